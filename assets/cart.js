@@ -12,6 +12,36 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+// Reopens the Cute Cards personaliser (cc-choice.js) pre-filled from a card's line item properties
+class CartEditMessageButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      const modal = document.querySelector('cc-choice-modal');
+      if (!modal || typeof modal.editCartLine !== 'function') return;
+
+      event.preventDefault();
+      const cartDrawer = this.closest('cart-drawer');
+      if (cartDrawer) cartDrawer.close();
+
+      modal.editCartLine({
+        handle: this.dataset.handle,
+        variantId: parseInt(this.dataset.variantId),
+        key: this.dataset.key,
+        quantity: parseInt(this.dataset.quantity),
+        properties: JSON.parse(this.dataset.properties),
+        opener: event.target.closest('button'),
+        fromDrawer: Boolean(cartDrawer),
+      });
+    });
+  }
+}
+
+if (!customElements.get('cart-edit-message-button')) {
+  customElements.define('cart-edit-message-button', CartEditMessageButton);
+}
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
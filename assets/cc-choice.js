@@ -2,9 +2,248 @@
  * Cute Cards Choice Modal
  * Modular architecture - built from src/cc-choice/
  * Do NOT edit this file directly - edit source files instead
- * Build: 2025-11-17T18:05:36.378Z
+ * Build: 2026-10-18T23:16:30.209Z
  */
-(()=>{var Ze=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,et={log:(...e)=>Ze&&console.log(...e),error:(...e)=>console.error(...e)};function S(e,t={}){typeof gtag<"u"&&gtag("event",e,t),typeof window.ShopifyAnalytics<"u"&&window.ShopifyAnalytics.lib.track(e,t),et.log("[CC Analytics]",e,t)}var tt=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,G={log:(...e)=>tt&&console.log(...e),warn:(...e)=>console.warn(...e),error:(...e)=>console.error(...e)},ve="cc-pers-",it=7;function se(e,t){return`${ve}${e}-${t}`}function _e(e,t,o){try{let i=se(e,t),c={data:o,timestamp:Date.now(),expiresAt:Date.now()+it*24*60*60*1e3};localStorage.setItem(i,JSON.stringify(c))}catch(i){G.warn("[CC Choice] Failed to save personalization:",i)}}function be(e,t){try{let o=se(e,t),i=localStorage.getItem(o);if(!i)return null;let c=JSON.parse(i);return Date.now()>c.expiresAt?(localStorage.removeItem(o),null):c.data}catch(o){return G.warn("[CC Choice] Failed to load personalization:",o),null}}function Q(e,t){try{let o=se(e,t);localStorage.removeItem(o)}catch(o){G.warn("[CC Choice] Failed to clear personalization:",o)}}function we(){try{let e=Date.now(),t=[];for(let o=0;o<localStorage.length;o++){let i=localStorage.key(o);if(i&&i.startsWith(ve))try{let c=localStorage.getItem(i);if(c){let n=JSON.parse(c);e>n.expiresAt&&t.push(i)}}catch{t.push(i)}}t.forEach(o=>localStorage.removeItem(o)),t.length>0&&G.log(`[CC Choice] Cleared ${t.length} expired personalizations`)}catch(e){G.warn("[CC Choice] Failed to clear expired personalizations:",e)}}function Ce({dialogWidth:e,dialogHeight:t,headerHeight:o,modalPadding:i,columnGap:c,cardAspect:n}){let a=e-i*2,s=t-i*2-o,d=(a-c)*.7,u=(a-c)*.3,p=d,f=p/n,m=420,b=s-60;return f>b&&(f=b,p=f*n),f<m&&(f=Math.min(m,b),p=f*n),{cardWidth:Math.floor(p),cardHeight:Math.floor(f),previewColumnWidth:Math.floor(d),controlsColumnWidth:Math.floor(u),availableHeight:s,needsScroll:f<m}}function Se(e,t,o){if(!t||!e||!o)return;e.style.setProperty("--ccc-card-width",`${t.cardWidth}px`),e.style.setProperty("--ccc-card-height",`${t.cardHeight}px`);let i=o.querySelector(".ccc__personaliser");i&&(i.setAttribute("data-ccc-layout-mode","desktop"),t.needsScroll&&i.setAttribute("data-ccc-scroll-mode","enabled"))}function ke(e){let t=getComputedStyle(e);return{headerHeight:parseInt(t.getPropertyValue("--ccc-header-height"))||110,modalPadding:parseInt(t.getPropertyValue("--ccc-modal-padding"))||24,columnGap:parseInt(t.getPropertyValue("--ccc-column-gap"))||32,cardAspect:parseFloat(t.getPropertyValue("--ccc-card-aspect"))||1.43}}function Le(){return`
+(()=>{var Xe=Object.freeze(["open","variant_select","personalise_enter","first_keystroke","ai_used","submit","error","success"]),br=Object.freeze(["added","close_button","escape","backdrop","back_button","navigation","product_switch"]);function es(){return typeof performance<"u"&&performance.now?performance.now():Date.now()}function ts(){return typeof crypto<"u"&&crypto.randomUUID?crypto.randomUUID():`${Date.now().toString(36)}-${Math.random().toString(36).slice(2,10)}`}function Nn({handle:e,source:t,now:r=es}){let n=ts(),o=r(),a={open:0},i=0,s=0,c=!1;return{id:n,mark(d){c||!Xe.includes(d)||(d==="submit"&&i++,d==="error"&&s++,d in a||(a[d]=Math.round(r()-o)))},end(d){if(c)return null;c=!0;let u=br.includes(d)?d:"close_button",f=Xe.filter(y=>y in a&&y!=="error").pop(),p={session_id:n,product_handle:e,source:t,outcome:"success"in a?"added":"abandoned",exit_reason:u,last_step:f,duration_ms:Math.round(r()-o),submit_count:i,error_count:s};return Xe.forEach(y=>{y!=="open"&&y in a&&(p[`${y}_ms`]=a[y])}),p}}}var rs=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,J={log:(...e)=>rs&&console.log(...e),error:(...e)=>console.error(...e)},R=Object.freeze({NETWORK:"network",SERVER:"server",RATE_LIMITED:"rate_limited",SOLD_OUT:"sold_out",INVALID:"invalid",NOT_FOUND:"not_found",REJECTED:"rejected"}),ns=[R.NETWORK,R.SERVER,R.RATE_LIMITED],os=[R.NETWORK,R.SERVER],se="_cc_pending_id",_t=class extends Error{constructor(t,r,{status:n=0,retryAfter:o=0}={}){super(r),this.name="CartError",this.type=t,this.status=n,this.retryAfter=o,this.retryable=ns.includes(t)}},as=3,is=500,ss=8e3,cs=/sold out|out of stock|only add|are in your cart|not enough/i;function ls(e,t){return e===429?R.RATE_LIMITED:e>=500?R.SERVER:e===404?R.NOT_FOUND:e===422&&cs.test(t)?R.SOLD_OUT:e===400||e===422?R.INVALID:R.REJECTED}async function vr(e,t){let r;try{r=await fetch(e,t)}catch{throw new _t(R.NETWORK,"Could not reach the basket")}let n=await r.json().catch(()=>({}));if(!r.ok){let o=n.description||n.message||"Could not add to cart";throw new _t(ls(r.status,o),o,{status:r.status,retryAfter:(parseInt(r.headers.get("Retry-After"),10)||0)*1e3})}return n}function ds(e,t,r){let n=e.retryAfter||r*2**t*(1+Math.random()*.25);return Math.min(n,ss)}async function Un(e,{retries:t=as,retryDelay:r=is}={},n=null){for(let o=0;;o++)try{return await e()}catch(a){let i=a.type===R.NETWORK&&navigator.onLine===!1;if(!a.retryable||i||o>=t)throw a;let s=ds(a,o,r);if(J.log(`[Cart Service] ${a.type} error, retrying in ${Math.round(s)}ms`),await new Promise(c=>setTimeout(c,s)),n&&os.includes(a.type)){let c=await n().catch(()=>{});if(c===void 0)throw a;if(c)return c}}}function Bn(e,t,r,n){return Un(()=>vr(e,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(t)}),r,n)}function us(){return`pa_${Date.now().toString(36)}${Math.random().toString(36).slice(2,8)}`}async function ps(e){return((await vr("/cart.js",{headers:{Accept:"application/json"}})).items||[]).filter(r=>r.properties&&r.properties[se]===e)}function jn(e,t,r){return Bn("/cart/add.js",e,r,async()=>{let n=await ps(t);return n.length===0?null:(J.log("[Cart Service] Add already reached the cart:",t),e.items?{items:n}:n[0])})}function pe(e){let t=e.find(n=>n.properties&&n.properties[se]),r=t?t.properties[se]:us();return e.map(n=>({...n,properties:{...n.properties,[se]:r}}))}async function wt(e,t){J.log("[Cart Service] Adding to cart with payload:",e);let[r]=pe([e]),n=await jn(r,r.properties[se],t);return J.log("[Cart Service] Successfully added to cart:",n),n}async function _r(e,t){J.log("[Cart Service] Adding items to cart:",e.length);let r=pe(e),n=await jn({items:r},r[0].properties[se],t);return J.log("[Cart Service] Successfully added items to cart:",n),n}async function Hn(e){try{return await _r(e,{retries:0}),{added:e.map((r,n)=>n),failed:[]}}catch(r){if(r.status!==422)throw r;J.log("[Cart Service] Batch rejected, retrying line by line:",r.message)}let t={added:[],failed:[]};for(let[r,n]of e.entries())try{await wt(n,{retries:0}),t.added.push(r)}catch(o){J.error("[Cart Service] Line rejected:",r,o.message),t.failed.push({index:r,message:o.message})}return t}async function Vn(e,t){J.log("[Cart Service] Changing cart line:",e);let r=await Bn("/cart/change.js",e,t);return J.log("[Cart Service] Successfully changed cart line:",r),r}async function wr(){return Un(()=>vr("/cart.js",{headers:{Accept:"application/json"}}))}var Re=Object.freeze({sentimental:"Sentimental",funny:"Funny",cheeky:"Cheeky",formal:"Formal"}),Pe=Object.freeze({mixed:"Mix of lengths",short:"Short",medium:"Medium",long:"Long"}),St=Object.freeze({partner:"Partner",parent:"Parent",child:"Child",sibling:"Brother or sister",grandparent:"Grandparent",friend:"Friend",colleague:"Colleague"});var Me=Object.freeze({funnier:{label:"Funnier",instruction:"Make it funnier"},shorter:{label:"Shorter",instruction:"Make it shorter"},longer:{label:"Longer",instruction:"Make it a bit longer"},warmer:{label:"Warmer",instruction:"Make it warmer and more affectionate"},simpler:{label:"Simpler",instruction:"Use simpler, everyday words"}}),Wn=6,Yn=120,Sr=Object.freeze({recipient:60,occasion:60,details:300});var Gn={short:{min:10,max:60},medium:{min:60,max:140},long:{min:140,max:250}};function Kn(e){let t=String(e).trim().length;return t<=Gn.short.max?"short":t<=Gn.medium.max?"medium":"long"}var Xn=["grid","recommendations","link","history"],Je=["similar","interest","occasion"],hs=Object.values(R),kt=Object.freeze({cc_modal_open:{description:"Choice modal opened",properties:{product_handle:"string",source:Xn}},cc_modal_close:{description:"Choice modal closed",properties:{product_handle:"string?"}},cc_modal_session:{description:"Summary of one modal session (funnel step timings and why it ended)",properties:{session_id:"string",product_handle:"string",source:Xn,outcome:["added","abandoned"],exit_reason:br,last_step:Xe,duration_ms:"number",submit_count:"number",error_count:"number",variant_select_ms:"number?",personalise_enter_ms:"number?",first_keystroke_ms:"number?",ai_used_ms:"number?",submit_ms:"number?",error_ms:"number?",success_ms:"number?"}},cc_personalise_open:{description:"Personaliser shown for a variant",properties:{product_id:"id",variant_id:"id",price:"number"}},cc_add_blank_success:{description:"Blank card added to the basket",properties:{product_id:"id",variant_id:"id",price:"number"}},cc_add_personalised_success:{description:"Personalised card added to the basket",properties:{product_id:"id",variant_id:"id",price:"number",has_message:"boolean",message_length:"number",has_front_caption:"boolean",has_photo:"boolean",delivery_method:"string"}},cc_batch_mode_toggled:{description:"Multi-card mode switched on or off",properties:{product_handle:"string",enabled:"boolean"}},cc_batch_add:{description:"Several personalised copies sent to the basket in one request",properties:{product_id:"id",variant_id:"id",price:"number",copies:"number",added:"number",failed:"number"}},cc_add_error:{description:"Basket add or edit failed after retries",properties:{product_handle:"string",error_type:hs,status:"number"}},cc_add_queued:{description:"Personalised add saved while offline, to be sent on reconnect",properties:{product_handle:"string",variant_id:"id",copies:"number"}},cc_add_replayed:{description:"Adds saved while offline were sent to the basket",properties:{added:"number",failed:"number",pending:"number"}},cc_cart_line_edit_open:{description:"Basket line reopened in the personaliser",properties:{product_handle:"string",variant_id:"id"}},cc_cart_line_edited:{description:"Basket line saved after editing",properties:{product_id:"id",variant_id:"id",delivery_method:"string"}},cc_message_cleared:{description:"Inside message cleared",properties:{product_handle:"string",variant_id:"id"}},cc_message_fit_action:{description:"Message too long for the card; customer chose to shrink the text or see what is cut",properties:{product_handle:"string",action:["shrink","show_cut"],font_size:"string"}},cc_unprintable_characters:{description:"Message has characters the chosen font can't print; shown once per font and set of scripts",properties:{product_handle:"string",font_family:"string",scripts:"string",suggested_font:"string?"}},cc_font_suggestion_applied:{description:"Customer switched to the font suggested for characters the previous font can't print",properties:{product_handle:"string",from_font:"string",to_font:"string"}},cc_message_check_flagged:{description:"Possible misspellings or blocked words found in the message; shown once per set of words",properties:{product_handle:"string",trigger:["blur","submit"],misspellings:"number",blocked:"boolean"}},cc_spelling_suggestion:{description:"Customer fixed a flagged word with a suggestion or kept their spelling",properties:{product_handle:"string",action:["fix","ignore"]}},cc_photo_uploaded:{description:"Cropped photo uploaded for a photo card",properties:{product_handle:"string",dpi:"number",bytes:"number",low_resolution:"boolean"}},cc_photo_upload_failed:{description:"Photo couldn't be opened, compressed or uploaded",properties:{product_handle:"string",reason:["unsupported","too_large","decode","encode","upload"]}},cc_ai_form_open:{description:"AI suggestions form opened",properties:{product_handle:"string",variant_id:"id"}},cc_ai_suggestions_generated:{description:"AI suggestions returned (count is how many fit the card and were shown)",properties:{product_handle:"string",variant_id:"id",count:"number",tone:Object.keys(Re),length:Object.keys(Pe),relationship:[...Object.keys(St),"none"],max_length:"number",fallback:"boolean"}},cc_ai_suggestion_use:{description:"AI suggestion copied into the message (version 1 is as generated, each change adds one)",properties:{product_handle:"string",variant_id:"id",suggestion_index:"number",version:"number"}},cc_ai_suggestion_copy:{description:"AI suggestion copied to the clipboard",properties:{product_handle:"string",variant_id:"id",suggestion_index:"number"}},cc_ai_suggestion_refine:{description:"Customer asked for a change to an AI suggestion (quick change or their own words)",properties:{product_handle:"string",variant_id:"id",suggestion_index:"number",refinement:[...Object.keys(Me),"custom"],version:"number",outcome:["changed","unchanged","too_long","budget","rate_limited","error"]}},cc_delivery_method_changed:{description:"Post to me / Send direct toggled",properties:{product_handle:"string",delivery_method:"string"}},cc_recipient_invalid:{description:"Send Direct address failed validation",properties:{product_handle:"string",country:"string",fields:"string"}},cc_send_date_selected:{description:"Scheduled arrival date picked",properties:{product_handle:"string",country:"string",arrival_date:"string"}},cc_saved_recipient_selected:{description:"Saved recipient picked from the address book",properties:{product_handle:"string"}},cc_saved_recipient_saved:{description:"Recipient saved to the address book",properties:{product_handle:"string",is_update:"boolean"}},cc_saved_recipient_deleted:{description:"Recipient removed from the address book",properties:{product_handle:"string"}},cc_recs_match:{description:"Recommendations computed for an anchor product",properties:{anchor_handle:"string",mode:Je,match_count:"number",duration_ms:"number"}},cc_recs_view:{description:"Recommendation rail rendered",properties:{anchor_handle:"string",mode:Je,count:"number"}},cc_recs_impression:{description:"Products shown in the recommendation rail",properties:{anchor_handle:"string",handles:"string"}},cc_recs_pivot:{description:"Recommendation pivot chip clicked",properties:{anchor_handle:"string",from_mode:Je,to_mode:Je}},cc_recs_click:{description:"Recommended product clicked",properties:{anchor_handle:"string",rec_handle:"string",position:"number",mode:Je}}});function fs(e,t){if(Array.isArray(t))return t.includes(e);switch(t){case"string":return typeof e=="string";case"number":return typeof e=="number"&&Number.isFinite(e);case"boolean":return typeof e=="boolean";case"id":return typeof e=="number"&&Number.isInteger(e)||typeof e=="string"&&/^\d+$/.test(e);default:return!1}}function Jn(e,t={}){let r=Object.prototype.hasOwnProperty.call(kt,e)?kt[e]:null;if(!r)return{valid:!1,errors:[`Unknown event "${e}"`]};let n=[],o=t||{};return Object.entries(r.properties).forEach(([a,i])=>{let s=typeof i=="string"&&i.endsWith("?"),c=s?i.slice(0,-1):i,d=o[a];d==null?s||n.push(`Missing "${a}"`):fs(d,c)||n.push(`"${a}" should be ${Array.isArray(c)?`one of ${c.join(", ")}`:`a ${c}`}`)}),Object.keys(o).forEach(a=>{a in r.properties||n.push(`Unexpected "${a}"`)}),{valid:n.length===0,errors:n}}function Qn(){return{name:"gtag",consent:"analytics",isReady:()=>typeof window.gtag=="function",send:e=>window.gtag("event",e.name,e.properties)}}function Zn(){return{name:"shopify",consent:"analytics",isReady:()=>!!(window.ShopifyAnalytics&&window.ShopifyAnalytics.lib),send:e=>window.ShopifyAnalytics.lib.track(e.name,e.properties)}}function eo({url:e,name:t="beacon",consent:r="analytics"}){return{name:t,consent:r,send:n=>{let o=JSON.stringify({event:n.name,properties:n.properties,timestamp:n.timestamp,page:window.location.pathname});navigator.sendBeacon&&navigator.sendBeacon(e,new Blob([o],{type:"application/json"}))||fetch(e,{method:"POST",keepalive:!0,headers:{"Content-Type":"application/json"},body:o}).catch(()=>{})}}}function to(){let e=()=>window.klaviyo||window._learnq;return{name:"klaviyo",consent:"marketing",isReady:()=>!!e(),send:t=>e().push(["track",t.name,t.properties])}}function ro({consent:e="none"}={}){let t=[];return{name:"recorder",consent:e,events:t,send:r=>t.push(r),clear:()=>{t.length=0}}}var gs=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,Et={log:(...e)=>gs&&console.log(...e),warn:(...e)=>console.warn(...e),error:(...e)=>console.error(...e)},ms=100,xt=new Map,oo=[],Ct={analytics:null,marketing:null};function no(e,t){e.push(t),e.length>ms&&e.shift()}function ys(e){let t=e.consent||"analytics";return t!=="none"&&Ct[t]!==!0?!1:!e.isReady||e.isReady()}function kr(e){if(e.queue.length===0||!ys(e.transport))return;e.queue.splice(0).forEach(r=>{try{e.transport.send(r)}catch(n){Et.error(`[CC Analytics] Transport "${e.transport.name}" failed:`,n)}})}function S(e,t={}){let r=Jn(e,t);if(!r.valid){Et.warn(`[CC Analytics] Dropped "${e}":`,r.errors.join("; "));return}let n={name:e,properties:{...t},timestamp:Date.now()};no(oo,n),xt.forEach(o=>{no(o.queue,n),kr(o)}),Et.log("[CC Analytics]",e,t)}function At(e,{replay:t=!0}={}){let r={transport:e,queue:t?oo.slice():[]};xt.set(e.name,r),kr(r)}function ao(e){xt.delete(e)}function Cr(e){Ct={...Ct,...e},Et.log("[CC Analytics] Consent:",Ct),Tt()}function Tt(){xt.forEach(kr)}At(Qn());At(Zn());var q=Object.freeze({MAIL_TO_ME:"Mail2Me",SEND_DIRECT:"Mail4Me"}),bs=["Direct","SendDirect"],he=Object.freeze([{value:q.MAIL_TO_ME,title:"Post to me",shortTitle:"Post to me",description:"Sent to you with blank envelope",skuKey:"sku_bla"},{value:q.SEND_DIRECT,title:"Send direct to recipient",shortTitle:"Send direct",description:"We'll post it directly for you",skuKey:"sku_dir"}]),De="Delivery Method",N=Object.freeze([{key:"recipientName",property:"Recipient Name",label:"Recipient Name",required:!0,autocomplete:"name"},{key:"addressLine1",property:"Recipient Address 1",label:"Address Line 1",required:!0,autocomplete:"address-line1"},{key:"addressLine2",property:"Recipient Address 2",label:"Address Line 2",required:!1,autocomplete:"address-line2"},{key:"city",property:"Recipient City",label:"City",required:!0,autocomplete:"address-level2"},{key:"postcode",property:"Recipient Postcode",label:"Postcode",required:!0,autocomplete:"postal-code"},{key:"region",property:"Recipient Region",label:"County",required:!1,autocomplete:"address-level1"},{key:"country",property:"Recipient Country",label:"Country",required:!0,autocomplete:"country",type:"select",defaultValue:"GB"}]),io=Object.freeze([{code:"GB",name:"United Kingdom"},{code:"US",name:"United States"},{code:"CA",name:"Canada"},{code:"AU",name:"Australia"},{code:"FR",name:"France"},{code:"DE",name:"Germany"},{code:"IT",name:"Italy"},{code:"ES",name:"Spain"},{code:"NL",name:"Netherlands"},{code:"IE",name:"Ireland"}]);function oe(e){return`properties[${e}]`}function Qe(e){return e===q.SEND_DIRECT||bs.includes(e)?q.SEND_DIRECT:q.MAIL_TO_ME}function H(e){return Qe(e)===q.SEND_DIRECT}function Lt(e,t){if(!e)return null;let r=he.find(n=>n.value===Qe(t));return e[r.skuKey]||null}function It(e){let t={};return N.forEach(r=>{t[r.key]=String(e.get(oe(r.property))||"").trim()}),fe({deliveryMethod:e.get(oe(De)),recipient:t})}function fe(e={}){let t=e&&e.recipient||{},r={};return N.forEach(n=>{let o=typeof t[n.key]=="string"?t[n.key].trim():"";r[n.key]=o||n.defaultValue||""}),{deliveryMethod:Qe(e&&e.deliveryMethod),recipient:r}}function Rt(e){let{deliveryMethod:t,recipient:r}=fe(e),n={[De]:t};return t===q.SEND_DIRECT&&N.forEach(o=>{n[o.property]=r[o.key]}),n}function so(e){let t=e||{},r={};return N.forEach(n=>{r[n.key]=String(t[n.property]||"")}),fe({deliveryMethod:t[De],recipient:r})}var vs=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,Ze={log:(...e)=>vs&&console.log(...e),warn:(...e)=>console.warn(...e),error:(...e)=>console.error(...e)},co="cc-pers-",_s=7;function Er(e,t){return`${co}${e}-${t}`}function lo(e,t,r){try{let n=Er(e,t),o={data:r,timestamp:Date.now(),expiresAt:Date.now()+_s*24*60*60*1e3};localStorage.setItem(n,JSON.stringify(o))}catch(n){Ze.warn("[CC Choice] Failed to save personalization:",n)}}function Pt(e,t){try{let r=Er(e,t),n=localStorage.getItem(r);if(!n)return null;let o=JSON.parse(n);if(Date.now()>o.expiresAt)return localStorage.removeItem(r),null;let a=o.data;return a&&a.delivery&&(a.delivery=fe(a.delivery)),a}catch(r){return Ze.warn("[CC Choice] Failed to load personalization:",r),null}}function ge(e,t){try{let r=Er(e,t);localStorage.removeItem(r)}catch(r){Ze.warn("[CC Choice] Failed to clear personalization:",r)}}function uo(){try{let e=Date.now(),t=[];for(let r=0;r<localStorage.length;r++){let n=localStorage.key(r);if(n&&n.startsWith(co))try{let o=localStorage.getItem(n);if(o){let a=JSON.parse(o);e>a.expiresAt&&t.push(n)}}catch{t.push(n)}}t.forEach(r=>localStorage.removeItem(r)),t.length>0&&Ze.log(`[CC Choice] Cleared ${t.length} expired personalizations`)}catch(e){Ze.warn("[CC Choice] Failed to clear expired personalizations:",e)}}function po(e){return e.toUpperCase().replace(/\s+/g,"")}function Mt(e){return t=>{let r=po(t);return r.length<=e?r:`${r.slice(0,-e)} ${r.slice(-e)}`}}function xr(e){return e.replace(/\s+/g,"")}var Dt={label:"Postcode",required:!0,pattern:/^\d{5}$/,example:"75001",normalize:xr},ws={GB:{region:{label:"County",required:!1},postcode:{label:"Postcode",required:!0,pattern:/^(GIR 0AA|[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2})$/,example:"SW1A 1AA",normalize:Mt(3)}},US:{region:{label:"State",required:!0,pattern:/^[A-Z]{2}$/,example:"NY",normalize:po},postcode:{label:"ZIP code",required:!0,pattern:/^\d{5}(-\d{4})?$/,example:"10001",normalize:xr}},CA:{region:{label:"Province",required:!0},postcode:{label:"Postal code",required:!0,pattern:/^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,example:"K1A 0B1",normalize:Mt(3)}},AU:{region:{label:"State",required:!0},postcode:{label:"Postcode",required:!0,pattern:/^\d{4}$/,example:"2000",normalize:xr}},IE:{region:{label:"County",required:!0},postcode:{label:"Eircode",required:!1,pattern:/^([AC-FHKNPRTV-Y]\d{2}|D6W) [0-9AC-FHKNPRTV-Y]{4}$/,example:"D02 X285",normalize:Mt(4)}},FR:{region:{hidden:!0},postcode:Dt},DE:{region:{hidden:!0},postcode:{...Dt,label:"Postleitzahl",example:"10115"}},IT:{region:{label:"Province",required:!1},postcode:{...Dt,label:"CAP",example:"00184"}},ES:{region:{label:"Province",required:!1},postcode:{...Dt,example:"28013"}},NL:{region:{hidden:!0},postcode:{label:"Postcode",required:!0,pattern:/^\d{4} [A-Z]{2}$/,example:"1012 AB",normalize:Mt(2)}}},Ss={region:{label:"Region",required:!1}};function et(e){let t=ws[e]||Ss,r={};return N.forEach(n=>{r[n.key]={label:n.label,required:n.required,hidden:!1,...t[n.key]||{}}}),r}function Ar(e){let t=et(e.country),r={};return N.forEach(n=>{let o=t[n.key],a=String(e[n.key]||"").trim().replace(/\s+/g," ");o.hidden?a="":a&&o.normalize&&(a=o.normalize(a)),r[n.key]=a}),r}function ho(e){let t=Ar(e),r=et(t.country),n={};return N.forEach(o=>{let a=r[o.key],i=t[o.key];if(!a.hidden){if(!i){a.required&&(n[o.key]=`${a.label} is required`);return}a.pattern&&!a.pattern.test(i)&&(n[o.key]=a.example?`Please enter a valid ${a.label} (e.g. ${a.example})`:`Please enter a valid ${a.label}`)}}),{valid:Object.keys(n).length===0,errors:n,recipient:t}}var ye=Object.freeze({ARRIVAL:"_arrival_date",DISPATCH:"_dispatch_date"}),ks="Europe/London",Ir=180,Cs={GB:{transitDays:2,saturdayDelivery:!0},IE:{transitDays:4},FR:{transitDays:5},DE:{transitDays:5},IT:{transitDays:6},ES:{transitDays:6},NL:{transitDays:5},US:{transitDays:7},CA:{transitDays:8},AU:{transitDays:10}},Es={transitDays:7,saturdayDelivery:!1},xs=["01-01","12-25"],As={GB:["12-26","2026-04-03","2026-04-06","2026-05-04","2026-05-25","2026-08-31","2026-12-28","2027-03-26","2027-03-29","2027-05-03","2027-05-31","2027-08-30","2027-12-27","2027-12-28"],IE:["12-26","03-17"],US:["2026-01-19","2026-02-16","2026-05-25","2026-06-19","2026-07-03","2026-09-07","2026-10-12","2026-11-11","2026-11-26","2027-01-18","2027-02-15","2027-05-31","2027-06-18","2027-07-05","2027-09-06","2027-10-11","2027-11-11","2027-11-25","2027-12-24"],CA:["07-01","12-26"],AU:["01-26","12-26"]},tt={cutoff:"14:00",closedDates:[]},Ts=/^\d{4}-\d{2}-\d{2}$/,Ls=/^([01]\d|2[0-3]):[0-5]\d$/,Is=24*60*60*1e3;function Fe(e){if(typeof e!="string"||!Ts.test(e))return null;let t=Date.parse(`${e}T00:00:00Z`);return Number.isNaN(t)||new Date(t).toISOString().slice(0,10)!==e?null:t}function be(e,t){return new Date(Fe(e)+t*Is).toISOString().slice(0,10)}function fo(e){return new Date(Fe(e)).getUTCDay()}function Tr(e,t){return t.includes(e)||t.includes(e.slice(5))}function Rr(e){return{...Es,...Cs[String(e||"").toUpperCase()]}}function go(e,t){let r=As[String(t||"").toUpperCase()]||[];return Tr(e,xs)||Tr(e,r)}function mo(e){let t=fo(e);return t!==0&&t!==6&&!go(e,"GB")&&!Tr(e,tt.closedDates)}function Ot(e,t){let r=fo(e);return r===0||r===6&&!Rr(t).saturdayDelivery?!1:!go(e,t)}function Oe(e,t,r){let n=e;for(let o=0;o<=Ir;o++){if(r(n))return n;n=be(n,t)}return n}function yo(e){let t={};return new Intl.DateTimeFormat("en-GB",{timeZone:ks,year:"numeric",month:"2-digit",day:"2-digit",hour:"2-digit",minute:"2-digit",hourCycle:"h23"}).formatToParts(e).forEach(r=>{t[r.type]=r.value}),{date:`${t.year}-${t.month}-${t.day}`,minutes:Number(t.hour)*60+Number(t.minute)}}function Rs(){let[e,t]=tt.cutoff.split(":").map(Number);return e*60+t}function bo(e={}){e&&(Ls.test(String(e.cutoff||"").trim())&&(tt.cutoff=String(e.cutoff).trim()),Array.isArray(e.closedDates)&&(tt.closedDates=e.closedDates.map(t=>String(t).trim()).filter(t=>Fe(t)!==null)))}function vo(e){let t=yo(e),r=t.minutes<Rs()?t.date:be(t.date,1);return Oe(r,1,mo)}function Ps(e,t){let r=vo(t);for(let n=Rr(e).transitDays;n>0;n--)r=Oe(be(r,1),1,o=>Ot(o,e));return r}function Pr(e,t){return{earliest:Ps(e,t),latest:be(yo(t).date,Ir)}}function Lr(e,t){if(Fe(e)===null||!Ot(e,t))return null;let r=e;for(let o=Rr(t).transitDays-1;o>0;o--)r=Oe(be(r,-1),-1,a=>Ot(a,t));let n=Oe(be(r,-1),-1,mo);return{dispatchDate:n,orderBy:n,cutoff:tt.cutoff}}function Ft(e,t,r){if(Fe(e)===null)return{valid:!1,error:"Please choose a valid date",suggestion:null};let{earliest:n,latest:o}=Pr(t,r);if(e<n)return{valid:!1,error:`That's too soon to arrive in time. The earliest we can deliver is ${me(n)}.`,suggestion:n};if(e>o)return{valid:!1,error:`Cards can be scheduled up to ${Ir} days ahead.`,suggestion:null};let a=Lr(e,t);if(!a){let s=Oe(e,1,c=>Ot(c,t));return{valid:!1,error:`There is no post on ${me(e)}. The next delivery day is ${me(s)}.`,suggestion:s}}let i=vo(r);if(a.dispatchDate<i){let s=Oe(be(e,1),1,c=>{let d=Lr(c,t);return!!d&&d.dispatchDate>=i});return{valid:!1,error:`That's too soon to arrive in time. The earliest we can deliver is ${me(s)}.`,suggestion:s}}return{valid:!0,deadline:a}}function _o(e,t){let r=e?Lr(e,t):null;return r?{[ye.ARRIVAL]:e,[ye.DISPATCH]:r.dispatchDate}:{}}function me(e){let t=Fe(e);return t===null?"":new Intl.DateTimeFormat("en-GB",{timeZone:"UTC",weekday:"long",day:"numeric",month:"long"}).format(new Date(t))}var wo="https://cute-cards-proofs.josh-715.workers.dev",So="_proof_url",Ms=Object.freeze(["Inside Message","Left Page Message","Font Family","Font Size","Text Color","Text Align","Line Spacing","leave_blank"]),Ds=["svg","pdf"];function Os(e){let t="";return new TextEncoder().encode(e).forEach(r=>{t+=String.fromCharCode(r)}),btoa(t).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"")}function Fs(e){let t={};return Ms.forEach(r=>{let n=e?.[r];n!=null&&n!==""&&(t[r]=String(n))}),t}function $s({properties:e,size:t}){return Os(JSON.stringify({p:Fs(e),s:String(t||"")}))}function ko(e,t,r="svg"){let n=Ds.includes(r)?r:"svg";return`${e.replace(/\/+$/,"")}/proof.${n}?d=${$s(t)}`}var zs=.35277777777777775,zt=Object.freeze({bleed:3,safeMargin:8}),$e=Object.freeze({standard:{width:132,height:185},large:{width:205,height:290},giant:{width:293,height:419},small:{width:105,height:148},a5:{width:148,height:210},a4:{width:210,height:297},a6:{width:105,height:148}}),Mr="standard",_e=Object.freeze({small:14,medium:18,large:24}),Dr=Object.freeze({base:{space:.26,narrow:.25,slim:.36,lower:.5,digit:.55,upper:.66,wide:.86,full:1,zero:0},families:{"Playfair Display":{scale:1,ascent:.82,descent:.22},"Dancing Script":{scale:.84,ascent:.78,descent:.26},Pacifico:{scale:1.12,ascent:.9,descent:.32},"Great Vibes":{scale:.8,ascent:.76,descent:.3},Caveat:{scale:.78,ascent:.74,descent:.24},"Permanent Marker":{scale:1.1,ascent:.86,descent:.2},"Shadows Into Light":{scale:.84,ascent:.8,descent:.26},Cookie:{scale:.74,ascent:.76,descent:.24},Satisfy:{scale:.86,ascent:.8,descent:.28},"Indie Flower":{scale:.94,ascent:.82,descent:.26},Lora:{scale:1,ascent:.8,descent:.22},"Crimson Text":{scale:.9,ascent:.78,descent:.24},"Noto Serif":{scale:1.06,ascent:.86,descent:.24},"Noto Sans SC":{scale:1,ascent:.88,descent:.12},"Noto Sans KR":{scale:1,ascent:.88,descent:.12}},fallback:{scale:1,ascent:.8,descent:.22}}),qs=$e.standard.width,we=Object.freeze({compact:1.2,normal:1.5,relaxed:1.8}),$t=Object.freeze({left:"start",center:"middle",right:"end"});function Ns(e){return e===" "?"space":/[\p{M}\p{Cf}\p{Emoji_Modifier}]/u.test(e)?"zero":/[\u1100-\u11FF\u2E80-\u9FFF\uA960-\uA97F\uAC00-\uD7FF\uF900-\uFAFF\uFF00-\uFF60\u{1F000}-\u{1FAFF}]/u.test(e)?"full":/[ijl|!.,:;'’]/.test(e)?"narrow":/[frtI()\-]/.test(e)?"slim":/[mwMW@%]/.test(e)?"wide":/[0-9]/.test(e)?"digit":/[A-Z]/.test(e)?"upper":"lower"}function ve(e){return Math.round(e*100)/100}function Us(e,t,r){let n=Array.from(e),o=1;for(;o<n.length&&r(n.slice(0,o+1).join(""))<=t;)o++;return n.slice(0,o).join("")}function Bs(e,t,r){let n=[];return e.split(`
+`).forEach(o=>{let a=o.split(/\s+/).filter(Boolean);if(a.length===0){n.push("");return}let i="";a.forEach(s=>{let c=i?`${i} ${s}`:s;if(r(c)<=t){i=c;return}i&&n.push(i);let d=s;for(;r(d)>t;){let u=Us(d,t,r);n.push(u),d=d.slice(u.length)}i=d}),n.push(i)}),n}function Co(e,t,{measureLine:r,lineHeight:n,baselineOffset:o,anchor:a}){let i=String(e).replace(/\r\n?/g,`
+`).trim(),s=i?Bs(i,t.width,r):[],c=Math.max(1,Math.floor((t.height+.001)/n)),d=s.slice(0,c),u=s.length>c,f=t.y+(t.height-d.length*n)/2,p=a==="start"?t.x:a==="end"?t.x+t.width:t.x+t.width/2,y=[];return d.forEach((k,m)=>{if(!k)return;let w=r(k),I=a==="start"?p:a==="end"?p-w:p-w/2;y.push({text:k,x:ve(I),y:ve(f+m*n+o),width:ve(w),anchor:a,anchorX:ve(p)})}),{textBox:t,lines:s,runs:y,maxLines:c,overflow:u,fitLength:u?js(String(e),d):String(e).length}}function js(e,t){let r=t.join("").replace(/\s/g,"").length;if(r===0)return 0;for(let n=0;n<e.length;n++)if(!/\s/.test(e[n])&&(r--,r===0))return n+1;return e.length}function Se(e){let t=String(e||"").toLowerCase(),r=Object.keys($e).find(n=>t.includes(n));return r?{key:r,...$e[r]}:null}function Eo({width:e,height:t}){let r=n=>(n/25.4).toFixed(1);return`${e} \xD7 ${t}mm (${r(e)}" \xD7 ${r(t)}")`}function Hs(e=Dr){return(t,{family:r,sizeMm:n})=>{let o=e.families[r]||e.fallback,a=0;for(let i of t)a+=e.base[Ns(i)];return a*o.scale*n}}var Vs=Hs();function ze({message:e="",leftMessage:t="",fontFamily:r="Playfair Display",fontSize:n="medium",textColor:o="#1A1A1A",format:a=Mr,lineSpacing:i="normal",align:s="center",measure:c=Vs}){let d=typeof a=="string"?Se(a)||{key:Mr,...$e[Mr]}:a,{bleed:u,safeMargin:f}=zt,p={left:{x:0,y:0,width:d.width,height:d.height},right:{x:d.width,y:0,width:d.width,height:d.height}},y=xe=>({x:xe.x+f,y:f,width:d.width-f*2,height:d.height-f*2}),k=(_e[n]||_e.medium)*(d.width/qs),m=k*zs,w=typeof i=="number"?i:we[i]||we.normal,I=m*w,C=Dr.families[r]||Dr.fallback,z={family:r,sizeMm:m},O=$t[s]?s:"center",F={measureLine:xe=>c(xe,z),lineHeight:I,baselineOffset:I/2+(C.ascent-C.descent)/2*m,anchor:$t[O]},K=Co(e,y(p.right),F),ee=Co(t,y(p.left),F);return{format:d,spread:{width:d.width*2,height:d.height},bleed:u,pages:p,textBox:K.textBox,font:{family:r,size:_e[n]?n:"medium",sizePt:ve(k),sizeMm:ve(m),lineHeight:ve(I)},color:o,align:O,lines:K.lines,runs:[...K.runs,...ee.runs],maxLines:K.maxLines,overflow:K.overflow,fitLength:K.fitLength,leftPage:{textBox:ee.textBox,lines:ee.lines,maxLines:ee.maxLines,overflow:ee.overflow,fitLength:ee.fitLength}}}var j=Object.freeze({FITS:"fits",SHRINK:"shrink",CUT:"cut"}),xo=Object.keys(_e).sort((e,t)=>_e[t]-_e[e]),Ao="Wishing you a wonderful day full of love, laughter and everything that makes you smile. ",To=600,Gs=.85;function rt({message:e="",leftMessage:t="",fontFamily:r,fontSize:n,lineSpacing:o,align:a,format:i,measure:s}){let c=String(e),d=String(t),u=w=>ze({message:c,leftMessage:d,fontFamily:r,fontSize:w,lineSpacing:o,align:a,format:i,measure:s}),f=w=>w.overflow||w.leftPage.overflow,p=u(n),y={status:j.FITS,fontSize:p.font.size,suggestedSize:null,fitLength:p.fitLength,cutText:c.slice(p.fitLength).trim(),left:{fitLength:p.leftPage.fitLength,cutText:d.slice(p.leftPage.fitLength).trim()}};if(!f(p))return y;let m=xo.slice(xo.indexOf(p.font.size)+1).find(w=>!f(u(w)))||null;return{...y,status:m?j.SHRINK:j.CUT,suggestedSize:m}}function Or({fontFamily:e,fontSize:t,lineSpacing:r,align:n,format:o,measure:a}){let i=Ao.repeat(Math.ceil(To/Ao.length)+1),s=ze({message:i,fontFamily:e,fontSize:t,lineSpacing:r,align:n,format:o,measure:a});return Math.floor(Math.min(s.fitLength,To)*Gs)}var qe=Object.freeze([{family:"Playfair Display",label:"Elegant",generic:"serif",scripts:["latin","latin-ext","vietnamese","cyrillic"]},{family:"Dancing Script",label:"Handwritten",generic:"cursive",scripts:["latin","latin-ext","vietnamese"]},{family:"Pacifico",label:"Playful",generic:"cursive",scripts:["latin","latin-ext","vietnamese","cyrillic"]},{family:"Great Vibes",label:"Fancy",generic:"cursive",scripts:["latin","latin-ext","vietnamese","cyrillic"]},{family:"Caveat",label:"Casual",generic:"cursive",scripts:["latin","latin-ext","cyrillic"]},{family:"Permanent Marker",label:"Bold & Fun",generic:"cursive",scripts:["latin"]},{family:"Shadows Into Light",label:"Friendly",generic:"cursive",scripts:["latin"]},{family:"Cookie",label:"Whimsical",generic:"cursive",scripts:["latin"]},{family:"Satisfy",label:"Romantic",generic:"cursive",scripts:["latin"]},{family:"Indie Flower",label:"Quirky",generic:"cursive",scripts:["latin"]},{family:"Lora",label:"Traditional",generic:"serif",scripts:["latin","latin-ext","vietnamese","cyrillic"]},{family:"Crimson Text",label:"Refined",generic:"serif",scripts:["latin","latin-ext","vietnamese"]},{family:"Noto Serif",label:"Classic (Greek & Cyrillic)",generic:"serif",scripts:["latin","latin-ext","vietnamese","greek","cyrillic"]},{family:"Noto Sans SC",label:"Clean (Chinese & Japanese)",generic:"sans-serif",scripts:["latin","cjk"]},{family:"Noto Sans KR",label:"Clean (Korean)",generic:"sans-serif",scripts:["latin","hangul"]}]),Ws=Object.freeze({"latin-ext":["Noto Serif"],vietnamese:["Noto Serif"],greek:["Noto Serif"],cyrillic:["Noto Serif"],cjk:["Noto Sans SC","PingFang SC","Hiragino Sans","Microsoft YaHei"],hangul:["Noto Sans KR","Apple SD Gothic Neo","Malgun Gothic"],emoji:["Noto Color Emoji","Apple Color Emoji","Segoe UI Emoji"]}),Ys=Object.freeze({latin:"U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+2000-206F, U+2074, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD","latin-ext":"U+0100-024F, U+0259, U+1E00-1E9F, U+1EF2-1EFF, U+20A0-20C0, U+2C60-2C7F, U+A720-A7FF",vietnamese:"U+1EA0-1EF1",greek:"U+0370-03FF, U+1F00-1FFF",cyrillic:"U+0400-052F, U+1C80-1C8F, U+2DE0-2DFF, U+A640-A69F",hangul:"U+1100-11FF, U+3130-318F, U+A960-A97F, U+AC00-D7FF",cjk:"U+2E80-2FDF, U+3000-30FF, U+31F0-31FF, U+3400-4DBF, U+4E00-9FFF, U+F900-FAFF, U+FF00-FFEF"}),Ks=/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]/u,Xs=/^[\s\p{M}\p{Cf}\p{Emoji_Modifier}]$/u,Js={scripts:["latin"]},Qs=[...Object.entries(Ys).map(([e,t])=>[e,Zs(t)]),["emoji",Ks]];function Zs(e){let t=n=>`\\u{${n.toString(16)}}`,r=ec(e).map(([n,o])=>n===o?t(n):`${t(n)}-${t(o)}`);return new RegExp(`[${r.join("")}]`,"u")}function Nt(e){if(Xs.test(e))return null;let t=Qs.find(([,r])=>r.test(e));return t?t[0]:"other"}function Fr(e){return qe.find(t=>t.family===e)||null}function qt(e){let t=e.slice(0,5).join(" ");return e.length>5?`${t} \u2026`:t}function ec(e){return String(e).split(",").map(t=>{let[r,n=r]=t.trim().replace(/^U\+/i,"").split("-");return[parseInt(r,16),parseInt(n,16)]})}function tc(e){let t=new Set;for(let r of String(e||"").normalize("NFC")){let n=Nt(r);n&&t.add(n)}return Array.from(t)}function Ut(e){let t=[e,...Object.values(Ws).flat()];return`${Array.from(new Set(t)).map(r=>`"${r}"`).join(", ")}, Georgia, serif`}function nt(e,t){let r=Fr(t)||Js,n=[],o=new Set;for(let c of String(e||"").normalize("NFC")){let d=Nt(c);!d||r.scripts.includes(d)||(n.includes(c)||n.push(c),o.add(d))}if(n.length===0)return null;let a=c=>qe.some(d=>d.scripts.includes(c)),i=n.filter(c=>!a(Nt(c))),s=null;if(i.length<n.length){let c=tc(e).filter(a),d=qe.filter(u=>c.every(f=>u.scripts.includes(f)));s=d.find(u=>u.generic===(Fr(t)||{}).generic)||d[0]||null}return{characters:n,scripts:Array.from(o),suggestion:s,unsupported:i}}function Bt({characters:e,suggestion:t,unsupported:r},n){let o=Fr(n),a=e.filter(s=>!r.includes(s)),i=[];if(a.length>0){let s=a.length===1?"it":"them";i.push(t?`${qt(a)} can't be printed in ${o?o.label:n}. Switch to ${t.label} to keep ${s}.`:`${qt(a)} can't be printed in ${o?o.label:n}.`)}if(r.length>0){let s=r.length===1?"it":"them";i.push(r.every(c=>Nt(c)==="emoji")?`Emoji can't be printed on the card (${qt(r)}). Please remove ${s}.`:`${qt(r)} can't be printed in any of our fonts. Please remove ${s}.`)}return i.join(" ")}var rc=Object.freeze([{name:"Black",value:"#1A1A1A"},{name:"Dark Grey",value:"#4A5568"},{name:"Blue",value:"#2563EB"},{name:"Red",value:"#DC2626"},{name:"Green",value:"#059669"},{name:"Purple",value:"#7C3AED"}]),nc=/^#([0-9a-f]{3}|[0-9a-f]{6})$/i,Ne={fonts:qe,colours:rc,skipped:[]};function Lo(e){return(Array.isArray(e)?e:String(e||"").split(/\r?\n/)).map(r=>String(r).trim()).filter(Boolean)}function $r(e){let t=String(e||"").trim();return nc.test(t)?`#${(t.length===4?t.slice(1).replace(/./g,n=>n+n):t.slice(1)).toUpperCase()}`:null}function Io(e){let t=[],r=[];return Lo(e).forEach(n=>{let[o,a]=n.split(":").map(s=>s.trim()),i=qe.find(s=>s.family.toLowerCase()===o.toLowerCase());i?t.some(s=>s.family===i.family)||t.push(a?{...i,label:a}:i):r.push(n)}),{fonts:t,skipped:r}}function Ro(e){let t=[],r=[];return Lo(e).forEach(n=>{let o=n.lastIndexOf(":"),a=n.slice(0,o).trim(),i=$r(n.slice(o+1));o===-1||!a||!i?r.push(n):t.some(s=>s.value===i)||t.push({name:a,value:i})}),{colours:t,skipped:r}}function Po(e={}){if(!e)return;let{fonts:t,skipped:r}=Io(e.fonts),{colours:n,skipped:o}=Ro(e.colours);t.length>0&&(Ne.fonts=t),n.length>0&&(Ne.colours=n),Ne.skipped=[...r,...o]}function ot(e){let t=e||{},{fonts:r,skipped:n}=Io(t.fonts),{colours:o,skipped:a}=Ro(t.colours),i={fonts:r.length>0?r:Ne.fonts,colours:o.length>0?o:Ne.colours,skipped:[...Ne.skipped,...n,...a]};return{...i,defaultFont:i.fonts[0].family,defaultColour:i.colours[0].value}}function Mo(e,{fontFamily:t,textColor:r}){let n={};return e.fonts.some(o=>o.family===t)||(n.fontFamily="This font isn't available for this card. Please choose another."),e.colours.some(o=>o.value===$r(r))||(n.textColor="This ink colour isn't available for this card. Please choose another."),n}function Do(e,{fontFamily:t,textColor:r}={}){let n=e.fonts.find(a=>a.family===t),o=e.colours.find(a=>a.value===$r(r));return{fontFamily:n?n.family:e.defaultFont,textColor:o?o.value:e.defaultColour}}var Ue="Front Caption";var Oo=Object.freeze({top:Object.freeze({top:6,left:10,width:80}),middle:Object.freeze({top:44,left:10,width:80}),bottom:Object.freeze({top:82,left:10,width:80})}),oc="bottom";function ac(e){return e===!0||String(e).trim().toLowerCase()==="true"}function Fo(e){if(!e||!ac(e.enabled))return null;let t=parseInt(e.limit,10),r=String(e.position||"").trim().toLowerCase(),n=Object.prototype.hasOwnProperty.call(Oo,r)?r:oc;return{limit:t>0?Math.min(t,80):40,position:n,area:Oo[n]}}function $o(e,t){let r=String(e||"").trim();return!t||r.length<=t.limit?null:`Front caption is too long (${r.length}/${t.limit} characters)`}var Be="_photo_ref",V=Object.freeze({targetDpi:300,minimumDpi:150,maxZoom:4,maxFileBytes:25*1024*1024,maxUploadBytes:5*1024*1024,acceptedTypes:Object.freeze(["image/jpeg","image/png","image/webp"])}),at=25.4,ic={standard:"a standard",large:"a large",giant:"a giant",small:"a small",a5:"an A5",a4:"an A4",a6:"an A6"};function zr({imageWidth:e,imageHeight:t,rotation:r}){return r%180===0?{width:e,height:t}:{width:t,height:e}}function zo(e,t){let r=zr(e),n=r.width/r.height>t,o=n?r.height*t:r.width,a=n?r.height:r.width/t;return{width:o/e.zoom,height:a/e.zoom}}function qr(e,t){let r=zr(e),n=zo(e,t),o=(a,i,s)=>Math.min(Math.max(a,i),s-i);return{...e,centerX:o(e.centerX,n.width/2,r.width),centerY:o(e.centerY,n.height/2,r.height)}}function qo(e){return e===!0||String(e).trim().toLowerCase()==="true"}function No(e){let t=(e&&typeof e=="object"&&e.width?e:Se(e))||{key:"standard",...$e.standard},r=t.width+zt.bleed*2,n=t.height+zt.bleed*2;return{key:t.key||"standard",width:r,height:n,aspect:r/n}}function Uo(e,t){return{imageWidth:e,imageHeight:t,rotation:0,zoom:1,centerX:e/2,centerY:t/2}}function Bo(e){let t=(e.rotation+90)%360,r=zr({...e,rotation:t});return{...e,rotation:t,centerX:r.width/2,centerY:r.height/2}}function jo(e,t,r){let n=Math.min(Math.max(Number(t)||1,1),V.maxZoom);return qr({...e,zoom:n},r)}function Nr(e,t,r,n){return qr({...e,centerX:e.centerX+t,centerY:e.centerY+r},n)}function jt(e,t){let r=qr(e,t),n=zo(r,t);return{x:r.centerX-n.width/2,y:r.centerY-n.height/2,width:n.width,height:n.height}}function Ho(e,t){let r=t.width/at*V.targetDpi,n=Math.min(1,r/e.width);return{width:Math.max(1,Math.round(e.width*n)),height:Math.max(1,Math.round(e.height*n))}}function Vo(e,t){let r=Math.floor(Math.min(e.width/(t.width/at),e.height/(t.height/at)));if(r>=V.minimumDpi)return{dpi:r,ok:!0,message:""};let n=Math.ceil(t.width/at*V.minimumDpi),o=Math.ceil(t.height/at*V.minimumDpi),a=ic[t.key]||"this";return{dpi:r,ok:!1,message:`This photo may look blurry on ${a} card. For a sharp print, zoom out or use a photo at least ${n} \xD7 ${o} pixels.`}}var Ht=Object.freeze({"en-GB":`
+a abbey abide ability able about above abroad absence absolute absolutely absorb abuse academic academy accent accept access
+accident accommodation accompany accomplish accomplishment according account accurate accuse ace ache achieve achievement acid
+acknowledge acorn acquire acre acrobat across act action active actively activity actor actress actual actually adapt add addict
+addition address adjust administration admiration admire admit adopt adoption adorable adore adult advance advantage adventure
+advert advertise advice advise aerial affair affect affection affectionate afford afloat afraid after afternoon afterwards again
+against age aged agency agenda agent aggressive ago agony agree ahead aid aim air airport aisle alarm album alien align alive all
+allergy alley alligator allow allowance ally almost alone along alongside aloud alphabet already alright also alter alternative
+although altogether always am amateur amaze amazing ambition ambulance amend among amount ample amuse amusing an anchor ancient
+and angel anger angle angry animal ankle anniversary announce annoy annual another answer anxiety anxious any anybody anymore
+anyone anything anyway anywhere apart apartment apologise apology apparent appeal appear appetite applaud applause apple appliance
+application apply appoint appointment appreciate approach approve approximately apricot april apron aquarium arch architect area
+arena argue argument arise arm armchair army around arrange arrival arrive arrow art article artist artwork as ash ashamed aside
+ask asleep aspect assemble assess asset assignment assist assistant associate assume assure astonish at ate athlete atmosphere
+attach attack attempt attend attention attic attitude attract attractive auction audience august aunt auntie author authority
+automatic autumn available avenue average avocado avoid awake award aware awareness away awesome awful awkward axe
+baby back background backpack backwards bacon bad badge badger badly bag baggage bait bake baker bakery balance balcony bald ball
+ballet balloon ballroom bamboo banana band bandage bang bank banner banquet banter bants bar barbecue barely bargain bark barn
+barrel barrier base basic basin basket bat batch bath bathroom battery battle bay bbq be beach beam bean bear beard beast beat
+beautiful beauty beaver became because become bed bedroom bedtime bee beef been beer beetle before beg began beggar begin
+beginning behalf behave behaviour behind behold beige being belief believe bell belly belong beloved below belt bench bend beneath
+beneficial benefit berry beside best bestie bet better between beyond bicycle big bike bill bin bingo biology birch bird birth
+birthday biscuit bishop bit bite bitter black blade blame blank blanket blast blaze bleed blend bless blessed blessing blind blink
+bliss blister blizzard block blog bloke blonde blood bloom blossom blouse blow blue blush board boast boat body boil bold bolt
+bomb bond bone bonus book bookcase bookshop boom boost boot booth border bore bored boring born borrow boss both bother bottle
+bottom bought bounce boundless bouquet bout bow bowl box boy boyfriend brace bracelet brain brake branch brand brass brave bravery
+bravo bread break breakfast breath breathe breed breeze brew brick bridal bride bridesmaid bridge brief bright brighten brill
+brilliance brilliant bring brink broad broadcast broccoli bronze brook broom brother brought brown brownie browse bruise brush
+bubble bubbly buck bucket buckle bud buddy budget buffet bug build building built bulb bull bullet bully bump bunch bundle bunny
+burden burger burn burst bury bus bush business busy but butcher butter buttercup butterfly button buy buzz by bye
+cabbage cabin cabinet cable cactus cafe cage cake calendar calf call calm calorie came camel camera camp campaign can canal canary
+cancel cancer candle cane cannot canoe canvas canyon cap capable capacity capital captain car caravan carbon card cardboard
+cardigan care career careful carefully carer carnival carol carpet carriage carrot carry cart cartoon carve cascade case cash
+casino casserole cast castle casual cat catalogue catch category cathedral cattle caught cauliflower cause caution cave ceiling
+celebrate celebration celebrity cell cellar cement centre century cereal ceremony certain certainly certificate chain chair chalk
+challenge chamber champagne champion chance change chant chaos chapel chapter character charge chariot charity charm charming
+chart chase chat cheap cheat check cheddar cheek cheeky cheer cheerful cheers cheese chef chemist chemistry cheque cherish cherry
+chess chest chestnut chew chick chicken chief child childhood children chill chilli chilly chime chimney chin chip chocolate
+choice choir choke choose chop chord chore chorus chose chosen christening christmas chuckle chuffed chunk church cider cigar
+cinema cinnamon circle circus citizen city civil claim clap clarify clash class classic clay clean clear clerk clever click client
+cliff climate climb cling clinic clip cloak clock close cloth clothes cloud club clue cluster clutch coach coal coast coat
+cocktail coconut code coffee coin coincidence cold collar colleague collect collection college collide colour colourful column
+comb combine come comedy comfort comfortable comic coming command comment commit committee common community companion company
+compare compass compete competition complete completely compliment compose computer concentrate concept concern concert conclude
+condition conduct cone conference confess confidence confident confuse congrats congratulate congratulations connect conquer
+conscious consider constant constantly construct consult contact contain content contest context continue contract contrast
+contribute control conversation convince cook cookery cookie cool copper copy coral cord core cork corn corner correct cosmic cost
+costume cosy cottage cotton couch cough could council count counter country countryside couple courage courageous courier course
+court courtesy cousin cover cow cowboy crab crack crackers cracking cradle craft crane crash crater crawl crayon crazy cream
+create creative creature credit creek crew crib cricket cried crime crisis crisp critic crocodile crop cross crossword crouch
+crowd crown crumb crunch crust cry crystal cucumber cuddle cuddly cuisine culture cunning cup cupboard cupcake cuppa cure curious
+curl current curry curtain cushion custard custom customer cut cute cutie cycle cycling
+dad daddy daft daily dairy daisy dam damage damp dance dancer dandelion danger dangerous dare darling dash data database date
+daughter dawn day dead deadline deaf deal dear dearest death debate debt debut decade december decent decide decision declare
+decline decorate decoration decrease dedicate dedication deep deeply deer defeat defend define definitely degree delay delegate
+delete deliberately delicious delight delighted deliver delivery demand demonstrate denim dentist deny depart department departure
+depend deposit depth deputy derby descend describe desert deserve design desire desk desperate despite dessert destination destiny
+destroy detail detective determined develop device devil devoted dew diamond diary dice dictionary did die diet differ difference
+different difficult dig digital dignity dim dine dinner dinosaur dip diploma direct direction dirty disagree disappear disappoint
+disaster disco discount discover discuss disguise dish dismiss display dispute distance distant distinct district disturb ditch
+dive dizzy do dock doctor document dog doll dolphin domestic donate done donkey donut door dose dot double doubt dough dove down
+download doze dozen draft drag dragon drain drama draw drawer dread dream dreamt dreamy dress drift drill drink drip drive driver
+drizzle drop drove drum dry duck duckling due duet duke dull dumpling dune dungeon during dust duty duvet dwell
+each eager eagle ear early earn earring earth earthquake ease easel easily east easter easy eat eaten echo eclipse economy edge
+edit editor educate education eel effect effective efficient effort egg eight eighteen eighty either elaborate elastic elbow
+elderly elect elegant element elephant elf else email embarrass embrace emerald emerge emergency emoji emotion empire employ empty
+enable enchant encounter encourage encouragement end ending endless endure enemy energy engaged engagement engine engineer enhance
+enjoy enjoyable enormous enough enquiry ensure enter entertain enthusiasm entire entirely entrance entry envelope environment
+episode equal equipment era error escape especially essay essential establish estate eternal eternity evaluate eve even evening
+event eventually ever every everybody everyday everyone everything everywhere evidence evil evolve exact exactly exaggerate exam
+examine example exceed excellent except exception exchange excite excited excitement exciting excuse exercise exhaust exhibition
+exist exit expand expect expedition expensive experience experiment expert explain explode explore explosion export expose express
+extend extent extra extraordinary extremely eye
+fab fable fabric face facility fact factory fade fail faint fair fairground fairy fairytale faith faithful fake fall false fame
+familiar family famous fan fancy fang fantastic fantasy far fare farewell farm farmer fashion fast fasten fat fate father fault
+fauna favour favourite fear fearless feast feather feature february fed fee feeble feed feel feeling fell fellow felt female fence
+fern ferry festival festive fetch fever few fiddle field fierce fifteen fifth fifty fig fight figure file fill film filter fin
+final finally finance find fine finest finger finish fire fireplace firework firm first firstly fish fist fit five fix flag flake
+flame flamingo flap flash flask flat flavour flee fleet flexible flick flight flip flirt float flock flood floor flour flourish
+flow flower flu fluffy flute fly foam focus fog foil fold folder folk follow font food fool foot football footprint for force
+forecast forehead foreign forest forever forget forgive forgiveness fork form formal former fort fortnight fortune forty forward
+fossil found foundation fountain four fourteen fourth fox fraction fragile frame frank freckle free freedom freely freeze french
+frequent frequently fresh fret friday fridge friend friendly friendship frighten fringe frog from front frost frown frozen fruit
+fudge fuel fulfil full fully fume fun fund funeral funny fur furious furniture fuss future
+gadget gain galaxy gallery gamble game gap garage garden garlic gas gasp gate gather gave gaze gear gem gene general generation
+generous genius gentle gentleman gently genuine geography germ gesture get getaway ghost giant gift giggle ginger giraffe girl
+girlfriend give given glad glance glare glass glasses gleam glide glimpse glitter globe gloom glorious glove glow glue gnome go
+goal goat goblin god godchild goddaughter godfather godmother godson going gold golden golf gone good goodbye goodness goose
+gorgeous gospel gossip got gotten govern government gown grab grace grade gradually graduate graduation grain gram gran grand
+grandad granddad granddaughter grandfather grandma grandmother grandpa grandparent grandson granny grape graph grasp grass
+grateful gratitude grave gravity gravy graze grease great greatest greedy green greet greeting grew grey grid grief grill grin
+grip groan grocery groom groove ground group grow grown grownup growth grumpy guarantee guard guardian guess guest guide guilty
+guitar gulp gum gust gutted gutter gym
+habit hack had hail hair haircut half hall hallway halo ham hammer hamper hamster hand handbag handful handle handmade handshake
+handsome handwriting handy hang happen happily happiness happy harbour hard hardly hardware harm harmony harp harvest haste hat
+hatch hate haunt have hawk hay hazard hazel he head headache headline headphones heal healing health healthy heap hear heard heart
+heartbeat heartfelt heat heater heather heaven heavy hedge hedgehog heel height heir held helicopter hello helmet help helpful hen
+her herb herd here heritage hermit hero herself hesitate hey hi hiccup hid hide high highlight hike hill him himself hint hip
+hippo hire his history hit hive hiya hoard hobby hockey hold hole holiday hollow holly home homemade homework honest honestly
+honesty honey honour hood hook hoop hop hope hopefully horizon horn horrible horror horse hose hospital host hostel hot hotel hour
+house household hover how however howl hug huge hum human humble humour hundred hungry hunt hurricane hurry hurt husband hut
+hydrate hymn
+ice icicle icon icy idea ideal identity idle idol if ignite ignore ill illness illustrate image imagine imitate immediately
+immense impact impatient imply import important impose impossible impress impressive improve improvement impulse in inch incident
+include including income increase incredible indeed independence independent index indicate individual indoors infant infinite
+influence inform information ingredient inherit initial injury ink inn innit innocent input insect inside insist inspect
+inspiration inspire install instance instant instead instinct institute instruction instrument insult insurance intend intense
+interest interested interesting interior internal internet interrupt interval interview into introduce invent invest investigate
+invisible invitation invite involve iron is island issue it item its itself ivory ivy
+jacket jam january jar jaw jazz jealous jelly jersey jet jewel jewellery jigsaw jingle job jog join joke jolly journal journey joy
+joyful judge jug juggle juice juicy july jump june jungle junior junk jury just justice
+kangaroo keen keep kept kettle key keyboard kick kid kidney kin kind kindle kindness king kingdom kiss kit kitchen kite kitten
+knackered knee knew knife knit knob knock knot know knowledge known koala
+label laboratory lace lad ladder lady ladybird laid lake lamb lamp land lane language lantern lap laptop large lark lasagne laser
+last lasting late lately later latest latter laugh laughter launch lavender law lawn lay layer lazy lead leader leaf leak lean
+leap learn lease least leather leave lecture led left leg legal legend leisure lemon lemonade lend length lens leopard less lesson
+let letter lettuce level liberty library lick lid lie life lifestyle lifetime lift light lighthouse lightning like likely lily
+limb lime limit limp line linen lining link lion lip lipstick liquid list listen listener literature litter little live lively
+liver lizard load loaf loan lobster local locate lock lockdown lodge loft lol lollipop london lonely lonesome long look loop loose
+lord lorry lose loss lost lot lottery lotus loud lounge love lovebird lovely lover loving low loyal luck luckily lucky lullaby
+lump lunar lunch lung lush luxury lying lyric
+machine mad made magazine magic magical magnet magnificent magpie maid mail main mainly majesty major majority make male mall mama
+mammal man manage manager mane mango manner manor mansion mantle manual many map maple marathon marble march margin marine mark
+marker market marmalade marriage married marry marsh marshmallow marvellous mascot mask mass massive master mat match mate
+material maths matter mattress mature maximum may maybe mayor maze me meadow meal mean meaning meaningful meant meanwhile measure
+meat mechanic medal medicine meditate meditation medium meet meeting mellow melody melon melt member memorable memory men mend
+mental mention mentor menu merchant mercy mere merit mermaid merry mess message messy met metal method microwave middle midnight
+might mighty mild mile milestone milk mill mind mine mineral minimum mint minus minute miracle mirror miserable misery miss missed
+mission mist mistake mitten mix moan moat mode model modern moist mole moment monday money monkey monster month monument mood moon
+moose mop moral more morning moss most mostly moth mother motion motivate motor motto mould mound mount mountain mourn mouse
+moustache mouth move movie much mud muddle muffin mug mule multiply mum mumble mummy muscle museum mushroom music musical must
+mutual my myself mysterious mystery
+nail naked name nan nana nanny nap napkin narrate narrow nasty nation native natural nature naughty navy near nearby nearly neat
+necessary neck necklace need needle negative neglect neighbour neither nephew nerve nervous nest network neutral never new newborn
+news newspaper next nibble nice nickname niece night nightmare nine nineteen ninety no noble nobody nod noise none noodle noon nor
+normal normally north nose not note notebook nothing notice notion novel november now nowhere nucleus nudge nugget numb number
+nurse nursery nut nutmeg
+oak oar oasis oath oatmeal obey object observe obstacle obtain obviously occasion occupy occur ocean october octopus odd odour of
+off offend offer office official officially often oh ok okay old older oldest olive omelette on once one onion only onto open
+operate operation opinion opponent opportunity oppose opposite optimist optimistic option or oral orange orbit orchard orchestra
+order ordinary organ organic organise original ostrich other otherwise otter ought our ours ourselves out outdoor outfit outing
+outline outlook outside outstanding oval oven over overall overcome overflow overjoyed overseas overwhelm owe owl own owner oxygen
+oyster
+pace pack paddle padlock page paid pain paint pair palace pale palm pan pancake panda panel panic pantry paper parade paradise
+paragraph parallel parcel pardon parent park parrot parsley part participate particular partly partner party pass passenger
+passion passport password past pasta pastry patch path patience patient patio patrol pattern pause pavement paw pay peace peaceful
+peach peacock peak peanut pear pearl pebble pedal peek peel peer pelican pen pencil peng penguin penny pension people pepper
+percent perfect perfectly perform perfume perhaps period permanent permit person personal persuade pet petal phase phenomenon
+philosophy phone photo photograph photographer phrase physical physics piano pick pickle picnic picture pie piece pig pigeon pile
+pill pillow pilot pine pineapple pink pint pioneer pipe pirate pitch pity pizza place plain plan plane planet plant plaster
+plastic plate platform play player plead pleasant please pleased pleasure plenty plot plough plug plum plumber plunge plus pocket
+poem poet poetry point poison pole police polish polite pond pony poodle pool poor pop poppy popular porch porridge port portion
+portrait pose position positive possess possibility possible post postbox postcard poster postman pot potato pottery pound pour
+powder power powerful practice practise praise pram pray prayer precious precise predict prefer pregnancy pregnant prepare
+presence present preserve president press pretend pretty prevent prey price pride priest primary prime primrose prince princess
+principal principle print prison private privilege prize probably problem procedure process produce profession professional
+professor profile profit programme progress project prominent promise promote promotion prompt proof prop proper properly property
+proposal propose prosper protect protest proud proudly prove proverb provide province pub public pudding puddle puff pull pulse
+pump pumpkin punch punish pup pupil puppet puppy purchase purple purpose purse push put puzzle pyjamas
+quack quality quarter queen quest question queue quick quickly quid quiet quilt quirky quite quiz quote
+rabbit raccoon race racket radiant radio radish raft rag rage rail railway rain rainbow raise raisin rake rally ramble ran ranch
+random range rank rapid rare rarely rash raspberry rat rate rather rattle raven raw ray razor reach reaction read reader ready
+real realise reality really realm rear reason recall receipt receive recent recently reception recipe recognise recognition
+recommend record recover recycle red reduce reed reef referee reflect reflection refresh refuse regard region register regret
+regular rehearsal reign reindeer reject rejoice relate relationship relative relax release relief relieve religion rely remain
+remarkable remedy remember remind reminder remote remove renew rent repair repeat replace reply report represent reputation
+request require rescue research reserve resident resign resist resolution resort resource respect respond response responsible
+rest restaurant restore result retire retired retirement retreat return reunion reveal revenge review revise reward rhyme rhythm
+rib ribbon rice rich riddle ride ridge ridiculous rifle rig right rigid rim rind ring ripe ripple rise risk rival river road roam
+roar roast rob robin robot rock rocket rod rodeo rogue role roll romance romantic roof room root rope rose rosy rot rotate rotten
+rough round route routine row royal rubber rubbish rucksack rug rugby ruin rule ruler rumble rumour run runner rush rust rustle
+sack sacred sacrifice sad saddle safari safe safely safety saga said sail sailor saint salad sale salmon salon salt salute same
+sample sanctuary sand sandal sandwich sang sapphire sardine sat satellite satisfy saturday sauce sausage savage save savour saw
+saxophone say scale scan scarce scare scared scarf scatter scene scenery scent schedule scholar school science scissors scone
+scoop scooter score scrap scrapbook scratch scream screen screw scribble script scrub sculpture sea seagull seal search seashell
+seaside season seat second secret secretary section secure see seed seek seem seen segment seize select selection self selfie
+selfish sell semester send senior sensation sense sensible sensitive sent sentence separate september sequence series serious
+seriously servant serve service session set setting settle seven seventeen seventy several shade shadow shake shall shallow shame
+shampoo shape share shark sharp shave shawl she shed sheep sheer sheet shelf shell shelter shepherd shield shift shimmer shin
+shine shiny ship shirt shiver shock shoe shop shopping shore short shortly shot should shoulder shout shovel show shower shrimp
+shrink shrug shuffle shut shy sibling sick side sigh sight sign signal signature silence silent silk silly silver similar simple
+simply sin since sincere sing singer single sip sir siren sis sister sit site situation six sixteen sixty size sketch ski skill
+skin skip skirt skull sky skyline slam slate sledge sleep sleepless sleeve slice slide slightly slim slip slipper slope slot slow
+slowly slumber small smart smash smell smile smiling smooth snack snail snake snap sneak sneeze sniff snooze snore snow snug so
+soak soap soar sob social sock soda sofa soft soil solar soldier sole solid solution solve sombre some somebody someday somehow
+someone somersault something sometimes somewhere son song sonnet soon sore sorrow sorry sort soul sound soup sour source south
+souvenir sow space spaghetti span spare sparkle sparkling sparrow speak spear special species spectacular speech speed spell spend
+spent spice spider spike spill spin spinach spine spiral spirit splash splendid split spoil sponge spoon sport spot spray spread
+spring sprinkle sprint sprout spy squad square squash squeeze squirrel stable stadium staff stage stain stair stake stall stamp
+stand standard staple star stare starfish start state statement station statue status stay steady steak steal steam steel steep
+steer stem step stew stick still stir stitch stock stocking stomach stone stool stop store stork storm story stove straight
+strange straw strawberry stream street strength stress stretch strict stride strike string strip stripe stroke stroll strong
+structure struggle stubborn student studio study stuff stumble stunning stunt style subject submit substance subtle suburb succeed
+success successful such suck sudden suddenly suffer sugar suggest suggestion suit suitcase sum summer summit sun sunday sunflower
+sunny sunrise sunset sunshine super superb superstar supper supply support suppose sure surely surf surface surgeon surgery
+surname surprise surprised surround survey survive suspect swallow swamp swan swap sway swear sweat sweep sweet sweetheart sweetie
+swell swift swim swing switch sword symbol sympathy symphony syrup system
+ta table tablet tackle tactic tag tail take takeaway taken tale talent talented talk tall tame tan tangerine tank tap tape target
+tart task taste tasty tattoo taught tea teach teacher team tear tease technique technology teddy teenage telescope television tell
+temper temperature temple tempt ten tenant tend tender tennis tense tent term terrace terrible terrier terrific territory test
+text texture than thank thankful thankfully thanks that the theatre their them theme themselves then theory therapy there
+therefore these they thick thief thin thing think third thirsty thirteen thirty this thorn those though thought thoughtful
+thousand thread threat three thrill thrilled thrive throat throne through throw thumb thunder thursday thus tick ticket tide
+tidings tidy tie tiger tight tile till timber time timid tin tingle tiny tip tiptoe tired tissue title to toad toast today toddle
+toe toffee together toilet token told tolerate tomato tomb tomorrow tone tongue tonight too took tool tooth top topic torch
+tornado tortoise toss total touch tough tour towards towel tower town toy trace track trade tradition traditional traffic tragedy
+trail train trainer trait tram transform transport trap travel tray treasure treat treaty tree tremble trend trial triangle tribe
+trick trickle trim trip triumph trolley trophy tropical trot trouble troubled trousers truck true truly trumpet trunk trust truth
+try tub tube tuck tuesday tug tulip tumble tummy tuna tune tunnel turkey turn turtle tutor tweet twelve twenty twice twig twin
+twinkle twist two type typical
+ugly umbrella uncle under understand unfortunately unicorn uniform union unique unit unite unity universe university unless until
+unusual up update upgrade upon upright upset upstairs urban urge urgent us use used useful usher usual usually utensil utmost
+vacuum vague vain valentine valid valley value van vanilla vanish variety various vase vast vault vegetable vehicle veil vein
+velvet vendor venture venue verse version very vessel vet via vibe vicar victory video view village vine vinegar vintage violet
+violin virtue visible vision visit visitor vital vivid vocal voice volcano volume volunteer vote voyage
+wade waffle wage wagon waist wait waiter wake walk wall walnut wander want war ward wardrobe warm warmest warmly warmth warn
+warrior was wash wasp waste watch water wave way we weak wealth wealthy weapon wear weather weave web wed wedding wednesday weed
+week weekend weep weigh weight welcome welfare well wellbeing went were west wet wetsuit whale what whatever wheat wheel when
+whenever where wherever whether which while whip whisk whisker whisky whisper whistle whole whom whose why wicked wide widow width
+wife wig wild wildlife will willow win wind window wine wing wink winner winter wipe wire wise wish wit witch with within without
+wizard wolf woman women won wonder wonderful wonderland wood woodland wool word wore work worker workshop world worm worried worry
+worse worst worth would wow wrap wreath wren wrist write writer written wrong wrote
+yacht yard yawn yay yeah year yearn yell yellow yes yesterday yet yoga yoghurt yolk you young younger youngest your yours yourself
+yourselves youth yummy
+zebra zero zest zip zodiac zone zoo
+
+ain't aren't can't couldn't didn't doesn't don't hadn't hasn't haven't he'd he'll he's how's i'd i'll i'm i've isn't it'd
+it'll it's let's mustn't shan't she'd she'll she's shouldn't that'll that's there's they'd they'll they're they've wasn't we'd
+we'll we're we've weren't what's where's who's won't wouldn't you'd you'll you're you've
+
+baptism bubbly colleague condolence decade diwali eid fab fabulous fiance fiancee gin grandchild grandkid
+hanukkah honeymoon housewarming jolly kiddo mistletoe mitzvah newborn prosecco recovery regards reindeer rockstar santa sincerely
+snowman stag stepdad stepmum stocking sympathy teen teenager toddler uni vow wisdom wiser
+
+xx xxx xo xoxo haha hahaha hehe omg aww awww bday hun hon babe bae bro fam hubby wifey bff ily tbh btw asap
+x hee woohoo hooray hurrah yippee yup nope ooh oops ta
+`});var sc=Object.freeze(["fuck*","motherfuck*","shit*","bullshit*","cunt*","twat*","wank*","bollock*"]),Ko="en-GB",cc=3,Go=4,lc=8,dc={"en-GB":{hapy:"happy",happpy:"happy",hppy:"happy",birthady:"birthday",brithday:"birthday",birhtday:"birthday",bithday:"birthday",birtday:"birthday",christmass:"christmas",chirstmas:"christmas",aniversary:"anniversary",anniversery:"anniversary",annivesary:"anniversary",congradulations:"congratulations",congratualtions:"congratulations",retirment:"retirement",engagment:"engagement",weding:"wedding",condolances:"condolences",grandaughter:"granddaughter",neice:"niece",freind:"friend",firend:"friend",recieve:"receive",beleive:"believe",belive:"believe",acheive:"achieve",wierd:"weird",untill:"until",tommorow:"tomorrow",tomorow:"tomorrow",tommorrow:"tomorrow",definately:"definitely",definatly:"definitely",seperate:"separate",occured:"occurred",occassion:"occasion",ocassion:"occasion",accomodation:"accommodation",goverment:"government",enviroment:"environment",begining:"beginning",beautifull:"beautiful",beatiful:"beautiful",wonderfull:"wonderful",thankyou:"thank you",alot:"a lot",allways:"always",becuase:"because",beacuse:"because",wich:"which",teh:"the",adn:"and",thier:"their",freinds:"friends",realy:"really",truely:"truly",sincerly:"sincerely",greatful:"grateful",gratefull:"grateful",excercise:"exercise",embarass:"embarrass",familys:"families",memorys:"memories",lovley:"lovely",luv:"love",speacial:"special",specail:"special",color:"colour",favorite:"favourite",favor:"favour",center:"centre",theater:"theatre",neighbor:"neighbour",honor:"honour",humor:"humour",behavior:"behaviour",flavor:"flavour",harbor:"harbour",jewelry:"jewellery",gray:"grey",mom:"mum",mommy:"mummy",realize:"realise",organize:"organise",apologize:"apologise",recognize:"recognise",cozy:"cosy",pajamas:"pyjamas",catalog:"catalogue",traveling:"travelling",traveled:"travelled",aging:"ageing",mustache:"moustache",yogurt:"yoghurt"}},uc=[["'s",""],["s'","s"],["s",""],["es",""],["ies","y"],["ed",""],["ed","e"],["d",""],["ied","y"],["ing",""],["ing","e"],["er",""],["er","e"],["ier","y"],["est",""],["est","e"],["iest","y"],["ly",""],["ly","le"],["ily","y"],["ness",""],["iness","y"],["ful",""],["less",""]],pc=new Set(["ed","ing","er","est"]),Wo={0:"o",1:"i",3:"e",4:"a",5:"s",7:"t","@":"a",$:"s"},hc=new Set(["shitake","shiitake","wankel"]),fc=/\S+@\S+\.\S+|https?:\/\/\S+|www\.\S+|[#@][\p{L}\d_]+/giu,Vt={locale:Ko,blockedWords:Jo(sc)},Ur=new Map;function gc(e){return(Array.isArray(e)?e:String(e||"").split(/\r?\n/)).map(r=>String(r).trim()).filter(Boolean)}function Xo(e){return String(e||"").split("").map(t=>{let r=t.toLowerCase();return Wo[r]?Wo[r]:r.normalize("NFD").charAt(0)}).join("")}function mc(e){return[e,e.replace(/(.)\1{2,}/g,"$1$1"),e.replace(/(.)\1{2,}/g,"$1")]}function yc(e,t){return t.prefix?!hc.has(e[0])&&e.some(r=>r.startsWith(t.text)):e.includes(t.text)}function Jo(e){return gc(e).filter(t=>!t.startsWith("#")).map(t=>({label:t,parts:Xo(t).split(/[^a-z*]+/).filter(Boolean).map(r=>({text:r.replace(/\*+$/,""),prefix:r.endsWith("*")})).filter(r=>r.text)})).filter(t=>t.parts.length>0)}function bc(e){let t=Ht[e]?e:Ko;if(!Ur.has(t)){let r=new Set(Ht[t].split(/\s+/).filter(Boolean)),n=new Map;r.forEach(o=>{n.has(o.length)||n.set(o.length,[]),n.get(o.length).push(o)}),Ur.set(t,{words:r,byLength:n,corrections:dc[t]||{}})}return Ur.get(t)}function Qo(e){let t=[];return uc.forEach(([r,n])=>{if(!e.endsWith(r)||e.length-r.length<2)return;let o=e.slice(0,-r.length),a=i=>(n&&i.endsWith(n)?i.slice(0,-n.length):i)+r;t.push({base:o+n,inflect:a}),!n&&pc.has(r)&&/([^aeiou])\1$/.test(o)&&t.push({base:o.slice(0,-1),inflect:i=>i+i.slice(-1)+r})}),t}function Br(e,t){return t.words.has(e)?!0:Qo(e).some(({base:r})=>t.words.has(r))}function vc(e,t,r){if(Math.abs(e.length-t.length)>r)return r+1;let n=null,o=Array.from({length:t.length+1},(a,i)=>i);for(let a=1;a<=e.length;a++){let i=[a],s=a;for(let c=1;c<=t.length;c++){let d=e[a-1]===t[c-1]?0:1,u=Math.min(o[c]+1,i[c-1]+1,o[c-1]+d);n&&a>1&&c>1&&e[a-1]===t[c-2]&&e[a-2]===t[c-1]&&(u=Math.min(u,n[c-2]+1)),i.push(u),s=Math.min(s,u)}if(s>r)return r+1;n=o,o=i}return o[t.length]}function Yo(e,t){let r=e.length>=lc?2:1,n=[];for(let o=e.length-r;o<=e.length+r;o++)(t.byLength.get(o)||[]).forEach(a=>{let i=vc(e,a,r);i<=r&&n.push({candidate:a,distance:i})});return n.sort((o,a)=>o.distance-a.distance||Math.abs(o.candidate.length-e.length)-Math.abs(a.candidate.length-e.length)||o.candidate.localeCompare(a.candidate)).map(o=>o.candidate)}function _c(e,t){let{corrections:r}=t,n=Qo(e);if(r[e])return[r[e]];for(let{base:i,inflect:s}of n)if(r[i])return[s(r[i])];if(e.length<Go)return[];let o=Yo(e,t);if(o.length>0)return o;let a=[];return n.forEach(({base:i,inflect:s})=>{i.length<Go||Yo(i,t).forEach(c=>a.push(s(c)))}),a}function wc(e,t){return t[0]===t[0].toUpperCase()&&t[0]!==t[0].toLowerCase()?e.charAt(0).toUpperCase()+e.slice(1):e}function Zo(e={}){if(!e)return;let t=Jo(e.blockedWords);t.length>0&&(Vt.blockedWords=t),e.locale&&Ht[e.locale]&&(Vt.locale=e.locale)}function ea(e,{ignore:t}={}){let r=bc(Vt.locale),n=String(e||"").replace(/’/g,"'").replace(fc,a=>" ".repeat(a.length)),o=[];for(let a of n.matchAll(/\p{L}[\p{L}']*/gu)){let i=a[0].replace(/'+$/,""),s=i.toLowerCase();if(t&&t.has(s)||/\d/.test(n.charAt(a.index+a[0].length)))continue;let c=i!==s;if(r.corrections[s]===void 0&&(Br(s,r)||Br(s.replace(/(.)\1{2,}/g,"$1$1"),r)||Br(s.replace(/(.)\1{2,}/g,"$1"),r))||c&&!r.corrections[s])continue;let u=_c(s,r).filter((f,p,y)=>f!==s&&y.indexOf(f)===p).slice(0,cc).map(f=>wc(f,i));u.length>0&&o.push({word:i,index:a.index,suggestions:u})}return o}function Sc(e){let t=String(e||""),r=Xo(t),n=Array.from(r.matchAll(/[a-z]+/g)).map(a=>({spellings:mc(a[0]),start:a.index,end:a.index+a[0].length})),o=[];return n.forEach((a,i)=>{Vt.blockedWords.forEach(({parts:s})=>{if(s.every((d,u)=>{let f=n[i+u];return!!f&&yc(f.spellings,d)})){let d=n[i+s.length-1].end;o.push(t.slice(a.start,d))}})}),o.filter((a,i)=>o.indexOf(a)===i)}function Gt(e){let t=Sc(e);return t.length===0?null:`Sorry, we can't print "${t[0]}" on a card. Please reword it to continue.`}function ta(e,t,r){let n=String(e||""),o=t.index+t.word.length;return n.slice(t.index,o).replace(/’/g,"'")!==t.word?n:n.slice(0,t.index)+r+n.slice(o)}var ra=600,na=200,Q={fontFamily:"Playfair Display",fontSize:"medium",textColor:"#1A1A1A",textAlign:"center",lineSpacing:"normal"},kc="classic-5x7";function oa(e,t){return{textAlign:Object.prototype.hasOwnProperty.call($t,e)?e:Q.textAlign,lineSpacing:Object.prototype.hasOwnProperty.call(we,t)?t:Q.lineSpacing}}function Wt(e){let t=r=>String(e.get(r)||"");return{insideMessage:t("properties[Inside Message]"),leftMessage:t("properties[Left Page Message]"),frontCaption:t(`properties[${Ue}]`),photoRef:t(`properties[${Be}]`),fontFamily:t("properties[Font Family]")||Q.fontFamily,fontSize:t("properties[Font Size]")||Q.fontSize,textColor:t("properties[Text Color]")||Q.textColor,...oa(t("properties[Text Align]"),t("properties[Line Spacing]")),leaveBlank:e.get("leave_blank")==="on",arrivalDate:t(`properties[${ye.ARRIVAL}]`),delivery:It(e)}}function jr(e,t=new Date,{format:r,catalogue:n,frontCaption:o,photoRequired:a}={}){let i={},s=e.delivery,c=e.leftMessage||"";!e.leaveBlank&&c.length>na&&(i.leftMessage=`Left page note is too long (${c.length}/${na} characters)`);let d=e.leaveBlank?null:nt(`${e.insideMessage}
+${c}`,e.fontFamily);if(!e.leaveBlank&&e.insideMessage.length>ra)i.insideMessage=`Message is too long (${e.insideMessage.length}/${ra} characters)`;else if(d){let p=nt(e.insideMessage,e.fontFamily)?"insideMessage":"leftMessage";i[p]=i[p]||Bt(d,e.fontFamily)}else if(!e.leaveBlank&&r&&!i.leftMessage){let p=rt({message:e.insideMessage,leftMessage:c,fontFamily:e.fontFamily,fontSize:e.fontSize,lineSpacing:e.lineSpacing,align:e.textAlign,format:r});p.status!==j.FITS&&(i.insideMessage=p.status===j.SHRINK?`Your message doesn't fit on the card at this text size. Choose "Shrink to fit" or shorten it.`:"Your message doesn't fit on the card. Please shorten it \u2013 the highlighted part won't be printed.")}let u=$o(e.frontCaption,o);u&&(i.frontCaption=u);let f={insideMessage:e.leaveBlank?"":e.insideMessage,leftMessage:e.leaveBlank?"":c,frontCaption:e.frontCaption||""};if(Object.entries(f).forEach(([p,y])=>{let k=i[p]?null:Gt(y);k&&(i[p]=k)}),a&&!e.photoRef&&(i.photo="Please add your photo"),!e.leaveBlank&&n&&Object.assign(i,Mo(n,e)),H(s.deliveryMethod)){let p=ho(s.recipient);if(Object.assign(i,p.errors),s={...s,recipient:p.recipient},e.arrivalDate){let y=Ft(e.arrivalDate,s.recipient.country,t);y.valid||(i.arrivalDate=y.error)}}return{valid:Object.keys(i).length===0,errors:i,line:{...e,delivery:s}}}function Yt(e){let t=!e.leaveBlank&&(e.insideMessage.trim().length>0||(e.leftMessage||"").trim().length>0),r=(e.frontCaption||"").trim().length>0,n=!!e.photoRef,o=H(e.delivery.deliveryMethod)&&!!e.delivery.recipient.recipientName;return!t&&!r&&!n&&!o&&!e.leaveBlank}function Kt(e,t){let r={"Inside Message":e.leaveBlank?"":e.insideMessage,"Font Family":e.fontFamily,"Font Size":e.fontSize,"Text Color":e.textColor,...Rt(e.delivery),_card_template:kc,_artwork_prompt:t.artworkPrompt||""};H(e.delivery.deliveryMethod)&&Object.assign(r,_o(e.arrivalDate,e.delivery.recipient.country));let n=Lt(t.variantSkus,e.delivery.deliveryMethod);return n&&(r._prodigi_sku=n),!e.leaveBlank&&e.leftMessage&&e.leftMessage.trim()&&(r["Left Page Message"]=e.leftMessage),e.frontCaption&&e.frontCaption.trim()&&(r[Ue]=e.frontCaption.trim()),e.photoRef&&(r[Be]=e.photoRef),e.textAlign&&e.textAlign!==Q.textAlign&&(r["Text Align"]=e.textAlign),e.lineSpacing&&e.lineSpacing!==Q.lineSpacing&&(r["Line Spacing"]=e.lineSpacing),e.leaveBlank&&(r.leave_blank="Yes"),t.proof&&(r[So]=ko(t.proof.baseUrl,{properties:r,size:t.proof.size})),{id:t.variantId,quantity:1,properties:r}}function aa(e){let{recipient:t}=e.delivery;return H(e.delivery.deliveryMethod)&&t.recipientName?[`To ${t.recipientName}`,t.city].filter(Boolean).join(", "):"Post to me"}function ia(e){let t=e||{};return{insideMessage:String(t["Inside Message"]||""),leftMessage:String(t["Left Page Message"]||""),frontCaption:String(t[Ue]||""),photoRef:String(t[Be]||""),fontFamily:t["Font Family"]||Q.fontFamily,fontSize:t["Font Size"]||Q.fontSize,textColor:t["Text Color"]||Q.textColor,...oa(t["Text Align"],t["Line Spacing"]),leaveBlank:t.leave_blank==="Yes",arrivalDate:String(t[ye.ARRIVAL]||""),delivery:so(t)}}var G=Object.freeze({CHOICE:"choice",PERSONALISE:"personalise"}),ae={handle:"cc",view:"view",variant:"variant",delivery:"delivery"},Cc=/^[a-z0-9][a-z0-9-]*$/i;function sa(e){return new URL(e,window.location.origin)}function ca(e){Object.values(ae).forEach(t=>e.searchParams.delete(t))}function la(e){return`${e.pathname}${e.search}${e.hash}`}function da(e){let t=new URLSearchParams(e),r=(t.get(ae.handle)||"").trim();if(!Cc.test(r))return null;let n=t.get(ae.view)===G.PERSONALISE?G.PERSONALISE:G.CHOICE,o=parseInt(t.get(ae.variant),10),a=t.get(ae.delivery);return{handle:r.toLowerCase(),view:n,variantId:o>0?o:null,deliveryMethod:a?Qe(a):null}}function ua(e,t){let r=sa(t);return ca(r),r.searchParams.set(ae.handle,e.handle),r.searchParams.set(ae.view,e.view||G.CHOICE),e.variantId&&r.searchParams.set(ae.variant,String(e.variantId)),e.deliveryMethod&&e.view===G.PERSONALISE&&r.searchParams.set(ae.delivery,e.deliveryMethod),la(r)}function Hr(e){let t=sa(e);return ca(t),la(t)}var Ec="/apps/cute-cards/recipients";var pa=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,ha={log:(...e)=>pa&&console.log(...e),warn:(...e)=>pa&&console.warn(...e)};function it(){return!!(window.ccCustomer&&window.ccCustomer.id)}function fa(){if(!it())return[];let e=window.ccCustomer.savedRecipients;return Array.isArray(e)?e:[]}async function ga(e){if(!it())return!1;let t=new AbortController,r=setTimeout(()=>t.abort(),8e3);try{let n=await fetch(Ec,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({recipients:e}),signal:t.signal});if(!n.ok)throw new Error(`Recipient sync returned ${n.status}`);return window.ccCustomer.savedRecipients=e,ha.log("[Address Book Sync] Synced recipients:",e.length),!0}catch(n){return ha.warn("[Address Book Sync] Failed to sync recipients:",n),!1}finally{clearTimeout(r)}}var xc=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,Jt={log:(...e)=>xc&&console.log(...e),warn:(...e)=>console.warn(...e)},ya="cc-recipients",ma=50;function st(){try{let e=JSON.parse(localStorage.getItem(ya));if(e&&Array.isArray(e.recipients))return{recipients:e.recipients,deletedIds:Array.isArray(e.deletedIds)?e.deletedIds:[],syncedAt:Number(e.syncedAt)||0}}catch(e){Jt.warn("[CC Address Book] Failed to read address book:",e)}return{recipients:[],deletedIds:[],syncedAt:0}}function Qt(e){try{localStorage.setItem(ya,JSON.stringify({recipients:e.recipients.slice(0,ma),deletedIds:e.deletedIds.slice(-ma),syncedAt:e.syncedAt||0}))}catch(t){Jt.warn("[CC Address Book] Failed to save address book:",t)}}function Xt(e){return{id:e.id,nickname:String(e.nickname||"").trim(),recipient:fe({recipient:e.recipient}).recipient,updatedAt:Number(e.updatedAt)||0}}function Ac(){return`rcp_${Date.now().toString(36)}${Math.random().toString(36).slice(2,6)}`}function ba(e){let t=st();t.syncedAt=Math.max(t.syncedAt,e),Qt(t)}async function va(e){let t=Date.now();await ga(e)&&ba(t)}function _a(){it()&&va(ce())}function ce(){return st().recipients.map(Xt).sort((e,t)=>e.nickname.localeCompare(t.nickname))}function wa(e){return ce().find(t=>t.id===e)||null}function Zt({id:e,nickname:t,recipient:r}){let n=Xt({id:e||Ac(),nickname:t||r&&r.recipientName,recipient:r,updatedAt:Date.now()});if(!n.nickname||!n.recipient.addressLine1)return null;let o=st();return o.recipients=[n,...o.recipients.filter(a=>a.id!==n.id)],Qt(o),Jt.log("[CC Address Book] Saved recipient:",n.nickname),_a(),n}function er(e){let t=st(),r=t.recipients.filter(n=>n.id!==e);return r.length===t.recipients.length?!1:(t.recipients=r,t.deletedIds=[...t.deletedIds.filter(n=>n!==e),e],Qt(t),Jt.log("[CC Address Book] Deleted recipient:",e),_a(),!0)}function Tc(e){let t=st(),r=new Set((e||[]).filter(Boolean).map(o=>o.id)),n=new Map(t.recipients.map(Xt).filter(o=>r.has(o.id)||o.updatedAt>t.syncedAt).map(o=>[o.id,o]));return(e||[]).forEach(o=>{if(!o||!o.id||t.deletedIds.includes(o.id))return;let a=Xt(o),i=n.get(a.id);(!i||a.updatedAt>i.updatedAt)&&n.set(a.id,a)}),t.recipients=Array.from(n.values()).sort((o,a)=>a.updatedAt-o.updatedAt),Qt(t),ce()}async function Sa(){if(!it())return;let e=fa(),t=Tc(e),r=new Map(e.map(o=>[o.id,o]));t.length!==e.length||t.some(o=>{let a=r.get(o.id);return!a||o.updatedAt>(Number(a.updatedAt)||0)})?await va(t):ba(Date.now())}var Lc=new URLSearchParams(window.location.search).has("debug")||window.ccDebug,je={log:(...e)=>Lc&&console.log(...e),warn:(...e)=>console.warn(...e)},Vr="cc-pending-adds",Ic=7*24*60*60*1e3,Rc=20,ka=se,tr=null;function Gr(){try{let e=JSON.parse(localStorage.getItem(Vr));return Array.isArray(e)?e:[]}catch(e){return je.warn("[CC Pending Adds] Failed to read queue:",e),[]}}function Wr(e){try{return e.length===0?localStorage.removeItem(Vr):localStorage.setItem(Vr,JSON.stringify(e.slice(-Rc))),!0}catch(t){return je.warn("[CC Pending Adds] Failed to save queue:",t),!1}}function Pc(e){return new Set((e.items||[]).map(t=>t.properties&&t.properties[ka]).filter(Boolean))}async function Mc(){let e={added:[],failed:[],pending:Dc(),cart:null};if(e.pending.length===0||navigator.onLine===!1)return e;try{e.cart=await wr()}catch(r){return je.log("[CC Pending Adds] Cart unavailable, replay postponed:",r.message),e}let t=Pc(e.cart);for(;e.pending.length>0;){let r=e.pending[0];try{t.has(r.id)?je.log("[CC Pending Adds] Already in the cart:",r.id):(await _r(r.items),e.cart=null),e.added.push(r),ge(r.handle,r.variantId)}catch(n){if(n.retryable)break;je.warn("[CC Pending Adds] Queued add rejected:",n.message),e.failed.push({entry:r,error:n})}Oc(r.id),e.pending.shift()}return e.added.length>0&&!e.cart&&(e.cart=await wr().catch(()=>null)),e}function Ca(e,{handle:t,variantId:r,title:n=""}){let o=pe(e),a=o[0].properties[ka],i={id:a,items:o,handle:t,variantId:r,title:n,queuedAt:Date.now()};return Wr([...Gr(),i])?(je.log("[CC Pending Adds] Queued:",a,e.length),i):null}function Dc(e=Date.now()){let t=Gr(),r=t.filter(n=>Array.isArray(n.items)&&e-n.queuedAt<Ic);return r.length!==t.length&&Wr(r),r}function Oc(e){Wr(Gr().filter(t=>t.id!==e))}function Ea(){return tr||(tr=Mc().finally(()=>{tr=null})),tr}function xa({dialogWidth:e,dialogHeight:t,headerHeight:r,modalPadding:n,columnGap:o,cardAspect:a}){let i=e-n*2,s=t-n*2-r,c=(i-o)*.7,d=(i-o)*.3,u=c,f=u/a,p=420,y=s-60;return f>y&&(f=y,u=f*a),f<p&&(f=Math.min(p,y),u=f*a),{cardWidth:Math.floor(u),cardHeight:Math.floor(f),previewColumnWidth:Math.floor(c),controlsColumnWidth:Math.floor(d),availableHeight:s,needsScroll:f<p}}function Aa(e,t,r){if(!t||!e||!r)return;e.style.setProperty("--ccc-card-width",`${t.cardWidth}px`),e.style.setProperty("--ccc-card-height",`${t.cardHeight}px`);let n=r.querySelector(".ccc__personaliser");n&&(n.setAttribute("data-ccc-layout-mode","desktop"),t.needsScroll&&n.setAttribute("data-ccc-scroll-mode","enabled"))}function Ta(e){let t=getComputedStyle(e);return{headerHeight:parseInt(t.getPropertyValue("--ccc-header-height"))||110,modalPadding:parseInt(t.getPropertyValue("--ccc-modal-padding"))||24,columnGap:parseInt(t.getPropertyValue("--ccc-column-gap"))||32,cardAspect:parseFloat(t.getPropertyValue("--ccc-card-aspect"))||1.43}}function La(){return`
     <div class="ccc__loading">
       <div class="ccc__spinner" role="status" aria-live="polite">
         <svg class="ccc__spinner-svg" viewBox="0 0 50 50">
@@ -13,7 +252,149 @@
         <span class="visually-hidden">Loading product options...</span>
       </div>
     </div>
-  `}function E(e){return`\xA3${(e/100).toFixed(2)}`}var xe=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,A={log:(...e)=>xe&&console.log(...e),warn:(...e)=>xe&&console.warn(...e),error:(...e)=>console.error(...e)},ot=30*60*1e3;async function Ee(e){if(window.prodigiVariantSkus&&window.prodigiVariantSkus[e])return A.log("[CC Choice] Using Liquid-injected metafield data for:",e),A.log("[CC Choice] Injected SKU data:",window.prodigiVariantSkus[e]),window.prodigiVariantSkus[e];let t=`prodigi_skus_${e}`,o=sessionStorage.getItem(t);if(o)try{let i=JSON.parse(o);if(Date.now()-i.timestamp<ot)return A.log("[CC Choice] Using cached metafield data for:",e),i.data}catch(i){A.warn("[CC Choice] Invalid metafield cache:",i)}try{A.log("[CC Choice] Fetching metafields via Storefront API for:",e);let i=`
+  `}function U(e){return`\xA3${(e/100).toFixed(2)}`}function A(e){if(!e)return"";let t=document.createElement("div");return t.textContent=e,t.innerHTML}var yd=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0;function Ia(e){return`${A(e.label)}${e.required?' <span class="required">*</span>':" (optional)"}`}function Fc(e,t){let r=`cc-recipient-${e.key}`,n=`${r}-error`,o=t.required?"data-ccc-recipient-field":"",a=e.type==="select"?`
+          <select
+            id="${r}"
+            class="cc-input field__input"
+            name="${oe(e.property)}"
+            autocomplete="${e.autocomplete}"
+            aria-describedby="${n}"
+            data-ccc-recipient-key="${e.key}"
+            ${o}
+          >
+            ${io.map(i=>`
+              <option value="${i.code}"${i.code===e.defaultValue?" selected":""}>${A(i.name)}</option>
+            `).join("")}
+          </select>`:`
+          <input
+            id="${r}"
+            class="cc-input field__input"
+            type="text"
+            name="${oe(e.property)}"
+            autocomplete="${e.autocomplete}"
+            aria-describedby="${n}"
+            data-ccc-recipient-key="${e.key}"
+            ${o}
+          >`;return`
+        <div class="cc-field" data-ccc-recipient-row="${e.key}"${t.hidden?" hidden":""}>
+          <label for="${r}" class="cc-label" data-ccc-recipient-label>
+            ${Ia(t)}
+          </label>${a}
+          <p id="${n}" class="ccc__field-error" data-ccc-field-error hidden></p>
+        </div>`}function Ra(){let e=N.find(r=>r.key==="country"),t=et(e.defaultValue);return N.map(r=>{let n=Fc(r,t[r.key]);return r.key==="city"?`<div class="ccc__field-group">${n}`:r.key==="postcode"?`${n}</div>`:n}).join("")}function ct(e,t){!e||!t||(N.forEach(r=>{let n=e.querySelector(`[data-ccc-recipient-key="${r.key}"]`);n&&(n.value=t[r.key]||r.defaultValue||"")}),Yr(e,t.country))}function Yr(e,t){if(!e)return;let r=et(t);N.forEach(n=>{let o=e.querySelector(`[data-ccc-recipient-row="${n.key}"]`);if(!o)return;let a=r[n.key],i=o.querySelector("[data-ccc-recipient-key]"),s=o.querySelector("[data-ccc-recipient-label]");o.hidden=a.hidden,s&&(s.innerHTML=Ia(a)),i&&i.toggleAttribute("data-ccc-recipient-field",a.required&&!a.hidden)})}function Kr(e,t){if(!e)return;let r=null;N.forEach(n=>{let o=e.querySelector(`[data-ccc-recipient-row="${n.key}"]`);if(!o)return;let a=o.querySelector("[data-ccc-recipient-key]"),i=o.querySelector("[data-ccc-field-error]"),s=t[n.key]||"";i&&(i.textContent=s,i.hidden=!s),a&&(a.classList.toggle("cc-input--invalid",!!s),a.setAttribute("aria-invalid",s?"true":"false"),s&&!r&&(r=a))}),r&&r.focus()}function Pa(e){if(!e)return;let t=e.querySelector('[data-ccc-recipient-key="country"]'),r=()=>{let n={};return e.querySelectorAll("[data-ccc-recipient-key]").forEach(o=>{n[o.dataset.cccRecipientKey]=o.value}),n};t&&(t.addEventListener("change",()=>{Yr(e,t.value),Kr(e,{})}),Yr(e,t.value)),e.querySelectorAll("[data-ccc-recipient-key]").forEach(n=>{n.addEventListener("input",()=>{let o=n.closest("[data-ccc-recipient-row]"),a=o&&o.querySelector("[data-ccc-field-error]");a&&(a.hidden=!0),n.classList.remove("cc-input--invalid"),n.removeAttribute("aria-invalid")}),n.addEventListener("blur",()=>{if(!n.value)return;let a=Ar(r())[n.dataset.cccRecipientKey];a!==void 0&&a!==n.value&&(n.value=a)})})}var Ma="Clear message";function $c(){let e=document.createElement("div");return e.className="ccc__confirm-dialog",e.hidden=!0,e.innerHTML=`
+    <div class="ccc__confirm-backdrop"></div>
+    <div class="ccc__confirm-panel">
+      <div class="ccc__confirm-icon">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
+          <line x1="12" y1="9" x2="12" y2="13"/>
+          <line x1="12" y1="17" x2="12.01" y2="17"/>
+        </svg>
+      </div>
+      <h3 class="ccc__confirm-title">Clear your message?</h3>
+      <p class="ccc__confirm-message">This will permanently delete your message. This action cannot be undone.</p>
+      <div class="ccc__confirm-actions">
+        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--cancel">Cancel</button>
+        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--confirm">${Ma}</button>
+      </div>
+    </div>
+  `,document.body.appendChild(e),e}function He(e,t,r){return new Promise(n=>{let o=document.querySelector(".ccc__confirm-dialog");o||(o=$c());let a=o.querySelector(".ccc__confirm-title"),i=o.querySelector(".ccc__confirm-message");e&&(a.textContent=e),t&&(i.textContent=t);let s=o.querySelector(".ccc__confirm-btn--cancel"),c=o.querySelector(".ccc__confirm-btn--confirm"),d=o.querySelector(".ccc__confirm-backdrop");c.textContent=r||Ma,o.hidden=!1,setTimeout(()=>c.focus(),100);let u=()=>{y(),n(!1)},f=()=>{y(),n(!0)},p=k=>{k.key==="Escape"?u():k.key==="Enter"&&document.activeElement===c&&f()},y=()=>{o.hidden=!0,s.removeEventListener("click",u),c.removeEventListener("click",f),d.removeEventListener("click",u),document.removeEventListener("keydown",p)};s.addEventListener("click",u),c.addEventListener("click",f),d.addEventListener("click",u),document.addEventListener("keydown",p)})}function Da(e){return`
+    <option value="">New recipient</option>
+    ${e.map(t=>`
+      <option value="${A(t.id)}">${A(t.nickname)}${t.recipient.city?` \u2013 ${A(t.recipient.city)}`:""}</option>
+    `).join("")}
+  `}function Oa(e){return`
+    <div class="ccc__address-book" data-ccc-address-book>
+      <div class="cc-field" data-ccc-address-book-picker${e.length===0?" hidden":""}>
+        <label for="cc-saved-recipient" class="cc-label">Choose saved recipient</label>
+        <div class="ccc__address-book-row">
+          <select id="cc-saved-recipient" class="cc-input field__input" data-ccc-saved-recipient>
+            ${Da(e)}
+          </select>
+          <button type="button" class="ccc__address-book-delete" data-ccc-saved-recipient-delete hidden>
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <label class="ccc__address-book-save">
+        <input type="checkbox" data-ccc-saved-recipient-save>
+        <span data-ccc-saved-recipient-save-label>Save to my address book</span>
+      </label>
+      <input
+        type="text"
+        class="cc-input field__input ccc__address-book-nickname"
+        placeholder="Save as (e.g. Mum, Grandad)"
+        aria-label="Save recipient as"
+        data-ccc-saved-recipient-nickname
+        hidden
+      >
+    </div>
+  `}function Fa(e,t){let r=e&&e.querySelector("[data-ccc-address-book]");if(!r)return;let n=r.querySelector("[data-ccc-address-book-picker]"),o=r.querySelector("[data-ccc-saved-recipient]"),a=r.querySelector("[data-ccc-saved-recipient-delete]"),i=r.querySelector("[data-ccc-saved-recipient-save]"),s=r.querySelector("[data-ccc-saved-recipient-save-label]"),c=r.querySelector("[data-ccc-saved-recipient-nickname]"),d=u=>{s.textContent=u?`Update "${u.nickname}" in my address book`:"Save to my address book",c.value=u?u.nickname:"",a.hidden=!u};o.addEventListener("change",()=>{let u=t.onSelect(o.value||null);d(u)}),i.addEventListener("change",()=>{c.hidden=!i.checked,i.checked&&c.focus()}),a.addEventListener("click",async()=>{let u=o.selectedOptions[0];if(!o.value||!u||!await He("Delete saved recipient?",`${u.textContent.trim()} will be removed from your address book.`,"Delete recipient"))return;let p=t.onDelete(o.value);o.innerHTML=Da(p),n.hidden=p.length===0,d(null)})}function $a(e){let t=e&&e.querySelector("[data-ccc-address-book]");if(!t)return{save:!1,id:null,nickname:""};let r=t.querySelector("[data-ccc-saved-recipient]");return{save:t.querySelector("[data-ccc-saved-recipient-save]").checked,id:r&&r.value||null,nickname:t.querySelector("[data-ccc-saved-recipient-nickname]").value.trim()}}var za=60;function zc(e,t,r){let n=e.message.length>za?`${e.message.slice(0,za)}\u2026`:e.message;return`
+    <li class="ccc__batch-copy${r?" ccc__batch-copy--error":""}" data-ccc-batch-copy="${t}">
+      <div class="ccc__batch-copy-text">
+        <strong>Copy ${t+1} \xB7 ${A(e.summary)}</strong>
+        <span>${n?`\u201C${A(n)}\u201D`:"No message"}</span>
+        ${r?`<p class="ccc__field-error" role="alert">${A(r)}</p>`:""}
+      </div>
+      <div class="ccc__batch-copy-actions">
+        <button type="button" data-ccc-batch-edit="${t}" aria-label="Edit copy ${t+1}">Edit</button>
+        <button type="button" data-ccc-batch-remove="${t}" aria-label="Remove copy ${t+1}">Remove</button>
+      </div>
+    </li>
+  `}function qa(){return`
+    <div class="ccc__batch" data-ccc-batch>
+      <label class="ccc__batch-toggle">
+        <input type="checkbox" data-ccc-batch-toggle>
+        <span>Send this design to several people</span>
+      </label>
+
+      <div class="ccc__batch-panel" data-ccc-batch-panel hidden>
+        <p class="ccc__batch-hint">Each copy gets its own message and address. Save this one, then write the next.</p>
+        <ol class="ccc__batch-list" data-ccc-batch-list></ol>
+        <button type="button" class="ccc__batch-add" data-ccc-batch-add>
+          Save this copy &amp; start another
+        </button>
+      </div>
+    </div>
+  `}function Na(e,t){let r=e&&e.querySelector("[data-ccc-batch]");if(!r)return;let n=r.querySelector("[data-ccc-batch-toggle]"),o=r.querySelector("[data-ccc-batch-add]"),a=r.querySelector("[data-ccc-batch-list]");n.addEventListener("change",()=>t.onToggle(n.checked)),o.addEventListener("click",()=>t.onAddCopy()),a.addEventListener("click",i=>{let s=i.target.closest("[data-ccc-batch-edit]"),c=i.target.closest("[data-ccc-batch-remove]");s?t.onEditCopy(parseInt(s.dataset.cccBatchEdit,10)):c&&t.onRemoveCopy(parseInt(c.dataset.cccBatchRemove,10))})}function Ua(e,t){let r=e&&e.querySelector("[data-ccc-batch]");if(!r)return;let n=t.errors||{};r.querySelector("[data-ccc-batch-toggle]").checked=t.enabled,r.querySelector("[data-ccc-batch-panel]").hidden=!t.enabled,r.querySelector("[data-ccc-batch-list]").innerHTML=t.copies.map((a,i)=>zc(a,i,n[i])).join("");let o=e.querySelector("[data-ccc-footer-cta]");if(o){let a=t.enabled?t.copies.length+1:1;o.textContent=a>1?`Add ${a} cards to basket \xB7 ${U(t.price*a)}`:`Add to basket \xB7 ${U(t.price)}`}}function Jr(e){let t=e&&e.querySelector("[data-ccc-send-date]");return t?{picker:t,modes:t.querySelectorAll("[data-ccc-send-date-mode]"),row:t.querySelector("[data-ccc-send-date-row]"),input:t.querySelector("[data-ccc-arrival-date]"),estimate:t.querySelector("[data-ccc-send-date-estimate]"),hint:t.querySelector("[data-ccc-send-date-hint]"),error:t.querySelector("[data-ccc-send-date-error]"),country:e.querySelector('[data-ccc-recipient-key="country"]')}:null}function Ba(e){return Array.from(e.modes).some(t=>t.checked&&t.value==="scheduled")}function Xr(e,t){e.error.textContent=t||"",e.error.hidden=!t,e.input.classList.toggle("cc-input--invalid",!!t),e.input.setAttribute("aria-invalid",t?"true":"false")}function rr(e){let t=e.country?e.country.value:"",r=new Date,{earliest:n,latest:o}=Pr(t,r),a=Ba(e);if(e.input.min=n,e.input.max=o,e.input.disabled=!a,e.row.hidden=!a,e.estimate.textContent=`Usually arrives by ${me(n)}`,!a||!e.input.value)return e.hint.textContent="",Xr(e,""),{arrivalDate:"",country:t,valid:!0};let i=Ft(e.input.value,t,r);return e.hint.textContent=i.valid?`Order by ${i.deadline.cutoff} on ${me(i.deadline.orderBy)} and we'll post it that day.`:"",Xr(e,i.valid?"":i.error),{arrivalDate:e.input.value,country:t,valid:i.valid}}function ja(){return`
+    <div class="ccc__send-date" data-ccc-send-date>
+      <h4 class="ccc__section-heading">When should it arrive?</h4>
+
+      <label class="ccc__send-date-option">
+        <input type="radio" name="cc_send_date_mode" value="asap" data-ccc-send-date-mode checked>
+        <span>As soon as possible</span>
+        <small data-ccc-send-date-estimate></small>
+      </label>
+      <label class="ccc__send-date-option">
+        <input type="radio" name="cc_send_date_mode" value="scheduled" data-ccc-send-date-mode>
+        <span>On a specific day</span>
+      </label>
+
+      <div class="cc-field" data-ccc-send-date-row hidden>
+        <label for="cc-arrival-date" class="cc-label">Arrive on</label>
+        <input
+          id="cc-arrival-date"
+          class="cc-input field__input"
+          type="date"
+          name="${oe(ye.ARRIVAL)}"
+          aria-describedby="cc-arrival-date-hint cc-arrival-date-error"
+          data-ccc-arrival-date
+          disabled
+        >
+        <p id="cc-arrival-date-hint" class="ccc__send-date-hint" data-ccc-send-date-hint></p>
+        <p id="cc-arrival-date-error" class="ccc__field-error" data-ccc-send-date-error hidden></p>
+      </div>
+    </div>
+  `}function Ha(e,t={}){let r=Jr(e);if(!r)return;let n=()=>{let o=rr(r);t.onChange&&t.onChange(o)};r.modes.forEach(o=>o.addEventListener("change",()=>{n(),Ba(r)&&r.input.focus()})),r.input.addEventListener("change",n),r.country&&r.country.addEventListener("change",()=>rr(r)),rr(r)}function Qr(e,t){let r=Jr(e);r&&(r.modes.forEach(n=>{n.checked=n.value===(t?"scheduled":"asap")}),r.input.value=t||"",rr(r))}function Va(e,t){let r=Jr(e);r&&(Xr(r,t),t&&r.input.focus())}var Ga=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,$={log:(...e)=>Ga&&console.log(...e),warn:(...e)=>Ga&&console.warn(...e),error:(...e)=>console.error(...e)},Wa=30*60*1e3;async function Zr(e,t,r){let n=sessionStorage.getItem(t);if(n)try{let o=JSON.parse(n);if(Date.now()-o.timestamp<Wa)return o.data}catch(o){$.warn("[CC Choice] Invalid metafield cache:",t,o)}try{let o=Object.entries(r).map(([u,f])=>`
+          ${u}: metafield(namespace: "custom", key: ${JSON.stringify(f)}) {
+            value
+          }`).join(""),a=`
+      {
+        product(handle: ${JSON.stringify(e)}) {${o}
+        }
+      }
+    `,i=await fetch("/api/2024-10/graphql.json",{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({query:a})});if(!i.ok)throw new Error(`Storefront API error: ${i.status}`);let s=await i.json();if(s.errors)return $.error("[CC Choice] GraphQL errors:",s.errors),null;let c=s.data?.product,d={};return Object.keys(r).forEach(u=>{d[u]=c?.[u]?.value||""}),sessionStorage.setItem(t,JSON.stringify({data:d,timestamp:Date.now()})),d}catch(o){return $.error("[CC Choice] Failed to fetch product metafields:",Object.values(r).join(", "),o),null}}async function Ya(e){if(window.prodigiVariantSkus&&window.prodigiVariantSkus[e])return $.log("[CC Choice] Using Liquid-injected metafield data for:",e),$.log("[CC Choice] Injected SKU data:",window.prodigiVariantSkus[e]),window.prodigiVariantSkus[e];let t=`prodigi_skus_${e}`,r=sessionStorage.getItem(t);if(r)try{let n=JSON.parse(r);if(Date.now()-n.timestamp<Wa)return $.log("[CC Choice] Using cached metafield data for:",e),n.data}catch(n){$.warn("[CC Choice] Invalid metafield cache:",n)}try{$.log("[CC Choice] Fetching metafields via Storefront API for:",e);let n=`
       {
         product(handle: "${e}") {
           variants(first: 20) {
@@ -31,48 +412,131 @@
           }
         }
       }
-    `,c=await fetch("/api/2024-10/graphql.json",{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({query:i})});if(!c.ok)throw new Error(`Storefront API error: ${c.status}`);let n=await c.json();if(A.log("[CC Choice] Storefront API response:",n),n.errors)return A.error("[CC Choice] GraphQL errors:",n.errors),null;let a={},s=n.data?.product?.variants?.edges||[];A.log("[CC Choice] Found variants:",s.length),s.forEach(u=>{let p=u.node,f=p.id.split("/").pop();a[f]={sku_bla:p.sku_bla?.value||null,sku_dir:p.sku_dir?.value||null},A.log(`[CC Choice] Variant ${f}:`,{sku_bla:p.sku_bla?.value,sku_dir:p.sku_dir?.value})}),A.log("[CC Choice] Final SKU map:",a);let d={data:a,timestamp:Date.now()};return sessionStorage.setItem(t,JSON.stringify(d)),a}catch(i){return A.error("[CC Choice] Failed to fetch variant metafields:",i),null}}function Ae(e,t){return!e||!t?null:e[t]||null}var ct="https://cute-cards-ai-suggestions.josh-715.workers.dev";var at=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,X={log:(...e)=>at&&console.log(...e),error:(...e)=>console.error(...e)};async function Me({recipient:e,occasion:t,details:o="",imageUrl:i=""}){X.log("[AI Service] Generating suggestions for:",{recipient:e,occasion:t,details:o,imageUrl:i});let c=new AbortController,n=setTimeout(()=>c.abort(),3e4);try{let a=await fetch(ct,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({recipient:e.trim(),occasion:t.trim(),details:o.trim(),imageUrl:i}),signal:c.signal});if(clearTimeout(n),!a.ok){let d=await a.text().catch(()=>"Unknown error");throw new Error(`AI worker returned ${a.status}: ${d}`)}let s=await a.json();if(s.error)throw new Error(s.error);if(!s.suggestions||s.suggestions.length===0)throw new Error("No suggestions returned from AI");return X.log("[AI Service] Successfully generated suggestions:",s.suggestions.length),s}catch(a){throw clearTimeout(n),a.name==="AbortError"?(X.error("[AI Service] Request timed out after",3e4,"ms"),new Error("Request timed out. Please try again.")):(X.error("[AI Service] Failed to generate suggestions:",a),a)}}var Pe=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,H={log:(...e)=>Pe&&console.log(...e),warn:(...e)=>Pe&&console.warn(...e),error:(...e)=>console.error(...e)};function j(){let e=["Playfair+Display","Dancing+Script","Pacifico","Great+Vibes","Caveat","Permanent+Marker","Shadows+Into+Light","Cookie","Satisfy","Indie+Flower","Lora","Crimson+Text"],t=document.createElement("link");return t.rel="stylesheet",t.href=`https://fonts.googleapis.com/css2?family=${e.join(":wght@400;600&family=")}:wght@400;600&display=swap`,document.head.appendChild(t),H.log("[Message Field] Loading all Google Fonts for inline editing"),document.fonts.ready}function Te(e){let t=e.querySelector("[data-ccc-canvas]"),o=e.querySelector("[data-ccc-canvas-placeholder]");if(!t){H.error("[Message Field] Canvas not found");return}let c=t.parentElement.clientWidth,n=2.8/2;t.width=1400,t.height=1e3,t.style.width="100%",t.style.height="auto",H.log("[Message Field] Canvas initialized:",{width:t.width,height:t.height}),j().then(()=>{ne(e,"","Playfair Display","medium","#1A1A1A")})}function ne(e,t,o="Playfair Display",i="medium",c="#1A1A1A"){let n=e.querySelector("[data-ccc-canvas]"),a=e.querySelector("[data-ccc-canvas-placeholder]");if(!n)return;let s=n.getContext("2d"),d=n.width,u=n.height;if(t.trim().length===0){a&&a.removeAttribute("hidden"),n.style.opacity="0";return}else a&&a.setAttribute("hidden",""),n.style.opacity="1";s.clearRect(0,0,d,u),s.fillStyle="#FAF9F6",s.fillRect(0,0,d,u);for(let k=0;k<1e3;k++){let x=Math.random()*d,z=Math.random()*u,te=Math.random()*.015;s.fillStyle=`rgba(0, 0, 0, ${te})`,s.fillRect(x,z,1,1)}s.strokeStyle="rgba(0, 0, 0, 0.08)",s.lineWidth=2,s.setLineDash([10,5]),s.beginPath(),s.moveTo(d/2,0),s.lineTo(d/2,u),s.stroke(),s.setLineDash([]);let p=d/2,f=d/2,m=80;s.fillStyle=c,s.textAlign="center",s.textBaseline="middle";let C={small:24,medium:32,large:42}[i]||32;s.font=`${C}px "${o}", Georgia, 'Times New Roman', serif`;let N=f-m*2,T=C*1.5,W=t.split(" "),M=[],L="";W.forEach(k=>{let x=L+(L?" ":"")+k;s.measureText(x).width>N&&L!==""?(M.push(L),L=k):L=x}),L&&M.push(L);let h=M.length*T,I=u-m*2;h>I&&H.warn("[Message Field] Text too tall for card:",{totalTextHeight:h,maxHeight:I,lines:M.length});let R=M.length*T,$=(u-R)/2+T/2,B=p+f*.45;H.log("[Message Field] Text position:",{canvasWidth:d,rightPageX:p,rightPageWidth:f,centerX:B,calculation:`${p} + (${f} * 0.45) = ${B}`}),M.forEach((k,x)=>{let z=$+x*T;s.fillText(k,B,z)}),H.log("[Message Field] Canvas rendered:",{messageLength:t.length,lines:M.length,fontFamily:o,fontSize:C,fitsVertically:h<=I})}function st(){let e=document.createElement("div");return e.className="ccc__confirm-dialog",e.hidden=!0,e.innerHTML=`
-    <div class="ccc__confirm-backdrop"></div>
-    <div class="ccc__confirm-panel">
-      <div class="ccc__confirm-icon">
-        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/>
-          <line x1="12" y1="9" x2="12" y2="13"/>
-          <line x1="12" y1="17" x2="12.01" y2="17"/>
-        </svg>
+    `,o=await fetch("/api/2024-10/graphql.json",{method:"POST",headers:{"Content-Type":"application/json",Accept:"application/json"},body:JSON.stringify({query:n})});if(!o.ok)throw new Error(`Storefront API error: ${o.status}`);let a=await o.json();if($.log("[CC Choice] Storefront API response:",a),a.errors)return $.error("[CC Choice] GraphQL errors:",a.errors),null;let i={},s=a.data?.product?.variants?.edges||[];$.log("[CC Choice] Found variants:",s.length),s.forEach(d=>{let u=d.node,f=u.id.split("/").pop();i[f]={sku_bla:u.sku_bla?.value||null,sku_dir:u.sku_dir?.value||null},$.log(`[CC Choice] Variant ${f}:`,{sku_bla:u.sku_bla?.value,sku_dir:u.sku_dir?.value})}),$.log("[CC Choice] Final SKU map:",i);let c={data:i,timestamp:Date.now()};return sessionStorage.setItem(t,JSON.stringify(c)),i}catch(n){return $.error("[CC Choice] Failed to fetch variant metafields:",n),null}}async function Ka(e){return window.ccTypographyOverrides&&window.ccTypographyOverrides[e]?($.log("[CC Choice] Using Liquid-injected typography for:",e),window.ccTypographyOverrides[e]):Zr(e,`cc_typography_${e}`,{fonts:"message_fonts",colours:"ink_colours"})}async function Xa(e){return window.ccFrontCaptionMetafields&&window.ccFrontCaptionMetafields[e]?($.log("[CC Choice] Using Liquid-injected front caption settings for:",e),window.ccFrontCaptionMetafields[e]):Zr(e,`cc_front_caption_${e}`,{enabled:"front_caption_enabled",limit:"front_caption_limit",position:"front_caption_position"})}async function Ja(e){return window.ccPhotoCardMetafields&&window.ccPhotoCardMetafields[e]?($.log("[CC Choice] Using Liquid-injected photo card setting for:",e),window.ccPhotoCardMetafields[e]):Zr(e,`cc_photo_card_${e}`,{enabled:"photo_card"})}function nr(e,t){return!e||!t?null:e[t]||null}var qc="https://cute-cards-ai-suggestions.josh-715.workers.dev";var Qa="cc_ai_session",Ve=Object.freeze({TIMEOUT:"timeout",RATE_LIMITED:"rate_limited",REJECTED:"rejected"}),lt=class extends Error{constructor(t,r,{status:n=0,retryAfter:o=0}={}){super(r),this.name="AIServiceError",this.type=t,this.status=n,this.retryAfter=o}},Nc=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,ke={log:(...e)=>Nc&&console.log(...e),error:(...e)=>console.error(...e)};function Uc(){return window.ccAiSuggestionsUrl||qc}function Bc(){try{let e=sessionStorage.getItem(Qa);return e||(e=crypto.randomUUID(),sessionStorage.setItem(Qa,e)),e}catch{return""}}async function Za(e,t){let r=new AbortController,n=setTimeout(()=>r.abort(),3e4),o=Bc();try{let a=await fetch(`${Uc().replace(/\/+$/,"")}${e}`,{method:"POST",headers:{"Content-Type":"application/json",...o?{"X-CC-AI-Session":o}:{}},body:JSON.stringify(t),signal:r.signal});if(clearTimeout(n),a.status===429){let s=parseInt(a.headers.get("Retry-After"),10)||0;throw new lt(Ve.RATE_LIMITED,"Too many requests",{status:429,retryAfter:s})}if(!a.ok){let s=await a.text().catch(()=>"Unknown error");throw new lt(Ve.REJECTED,`AI worker returned ${a.status}: ${s}`,{status:a.status})}let i=await a.json();if(i.error)throw new Error(i.error);return i}catch(a){throw clearTimeout(n),a.name==="AbortError"?(ke.error("[AI Service] Request timed out after",3e4,"ms"),new lt(Ve.TIMEOUT,"Request timed out. Please try again.")):a}}async function ei({recipient:e,occasion:t,details:r="",tone:n,length:o,relationship:a,maxLength:i,imageUrl:s="",tags:c=[]}){ke.log("[AI Service] Generating suggestions for:",{recipient:e,occasion:t,details:r,tone:n,length:o,relationship:a,maxLength:i,imageUrl:s,tags:c});try{let d=await Za("",{recipient:e.trim(),occasion:t.trim(),details:r.trim(),tone:n,length:o,relationship:a,maxLength:i,imageUrl:s,tags:c});if(!d.suggestions||d.suggestions.length===0)throw new Error("No suggestions returned from AI");return ke.log("[AI Service] Successfully generated suggestions:",d.suggestions.length),d}catch(d){throw ke.error("[AI Service] Failed to generate suggestions:",d),d}}async function ti({message:e,instruction:t,history:r=[],recipient:n="",occasion:o="",details:a="",tone:i,relationship:s,maxLength:c,tags:d=[]}){ke.log("[AI Service] Refining suggestion:",{message:e,instruction:t,history:r.length});try{let u=await Za("/refine",{message:e,instruction:t,history:r,recipient:n.trim(),occasion:o.trim(),details:a.trim(),tone:i,relationship:s,maxLength:c,tags:d});if(!u.suggestion||!u.suggestion.message)throw new Error("No suggestion returned from AI");return ke.log("[AI Service] Refined suggestion",u.fallback?"(unchanged)":""),u}catch(u){throw ke.error("[AI Service] Failed to refine suggestion:",u),u}}var ri=Object.freeze({fonts:{"Playfair Display":[],"Dancing Script":[],Pacifico:[],"Great Vibes":[],Caveat:[],"Permanent Marker":[],"Shadows Into Light":[],Cookie:[],Satisfy:[],"Indie Flower":[],Lora:[],"Crimson Text":[],"Noto Serif":[],"Noto Sans SC":[],"Noto Sans KR":[]}});var ni=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,ar={log:(...e)=>ni&&console.log(...e),warn:(...e)=>ni&&console.warn(...e),error:(...e)=>console.error(...e)},jc=3e3,Hc=document.currentScript&&document.currentScript.src?new URL(".",document.currentScript.src).href:"/assets/",Vc="https://fonts.googleapis.com/css2",or=new Set,en=new Map;function oi(e){return`16px "${e}"`}function Gc(e){let t=document.createElement("link");t.rel="stylesheet",t.href=`${Vc}?${e.map(n=>`family=${n.replace(/ /g,"+")}`).join("&")}&display=swap`;let r=new Promise(n=>{t.addEventListener("load",n),t.addEventListener("error",n)});e.forEach(n=>{let o={loaded:!1,ready:r};r.then(()=>{o.loaded=!0}),en.set(n,o)}),document.head.appendChild(t),ar.warn("[Font Service] No self-hosted files, using Google Fonts for:",e)}function tn(e=ri){if(typeof FontFace>"u"||!document.fonts)return;let t=[];Object.entries(e.fonts).forEach(([r,n])=>{if(!or.has(r)){if(or.add(r),n.length===0){t.push(r);return}n.forEach(({file:o,version:a,unicodeRange:i})=>{let s=new FontFace(r,`url("${Hc}${o}?v=${a}") format("woff")`,{unicodeRange:i,display:"swap"});document.fonts.add(s)})}}),t.length>0&&Gc(t),ar.log("[Font Service] Registered fonts:",Array.from(or))}function ai(e,t){if(!document.fonts)return!0;let r=en.get(e);return r&&!r.loaded?!1:document.fonts.check(oi(e),t||void 0)}function dt(e,{text:t,timeoutMs:r=jc}={}){if(tn(),!document.fonts||!or.has(e))return Promise.resolve(!1);let n,o=new Promise(s=>{n=setTimeout(()=>{ar.warn("[Font Service] Timed out loading",e),s(!1)},r)}),a=en.get(e),i=(a?a.ready:Promise.resolve()).then(()=>document.fonts.load(oi(e),t||void 0)).then(s=>s.length>0).catch(s=>(ar.warn("[Font Service] Could not load",e,s),!1));return Promise.race([i,o]).finally(()=>clearTimeout(n))}var ii=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,Ce={log:(...e)=>ii&&console.log(...e),warn:(...e)=>ii&&console.warn(...e),error:(...e)=>console.error(...e)},Wc={start:"left",middle:"center",end:"right"},rn=1400,si={left:"Left page",front:"Front caption"},ci=new WeakMap,li=new WeakMap;function ui(e,t){let r=Math.round(rn*(t.spread.height/t.spread.width));(e.width!==rn||e.height!==r)&&(e.width=rn,e.height=r)}function di(e,t,r){if(!e||!t)return;let n=e.value,o=!!r&&r.cutText.length>0;e.setAttribute("aria-invalid",String(o)),t.innerHTML=o?`${A(n.slice(0,r.fitLength))}<mark class="ccc__message-cut">${A(n.slice(r.fitLength))}</mark>${n.endsWith(`
+`)?" ":""}`:"",t.scrollTop=e.scrollTop}function pi(e,t){let r=e.querySelector("[data-ccc-canvas]");if(!r){Ce.error("[Message Field] Canvas not found");return}ui(r,ze({format:t})),r.style.width="100%",r.style.height="auto",Ce.log("[Message Field] Canvas initialized:",{width:r.width,height:r.height}),tn(),ir(e,"","Playfair Display","medium","#1A1A1A",t)}function ir(e,t,r="Playfair Display",n="medium",o="#1A1A1A",a,{leftMessage:i="",align:s,lineSpacing:c}={}){let d=e.querySelector("[data-ccc-canvas]"),u=e.querySelector("[data-ccc-canvas-placeholder]");if(!d)return;if(ci.set(e,[t,r,n,o,a,{leftMessage:i,align:s,lineSpacing:c}]),t.trim().length===0&&i.trim().length===0){u&&u.removeAttribute("hidden"),d.style.opacity="0";return}else u&&u.setAttribute("hidden",""),d.style.opacity="1";let f=ze({message:t,leftMessage:i,fontFamily:r,fontSize:n,textColor:o,align:s,lineSpacing:c,format:a});ui(d,f);let p=d.getContext("2d"),y=d.width/f.spread.width,{width:k,height:m}=d;p.clearRect(0,0,k,m),p.fillStyle="#FAF9F6",p.fillRect(0,0,k,m);let w=f.pages.right.x*y;p.strokeStyle="rgba(0, 0, 0, 0.08)",p.lineWidth=2,p.setLineDash([10,5]),p.beginPath(),p.moveTo(w,0),p.lineTo(w,m),p.stroke(),p.setLineDash([]),p.fillStyle=f.color,p.textBaseline="alphabetic",p.font=`${f.font.sizeMm*y}px ${Ut(r)}`,f.runs.forEach(C=>{p.textAlign=Wc[C.anchor],p.fillText(C.text,C.anchorX*y,C.y*y)});let I=`${t}${i}`;ai(r,I)||dt(r,{text:I}).then(C=>{C&&ir(e,...ci.get(e))}),(f.overflow||f.leftPage.overflow)&&Ce.warn("[Message Field] Text too long for card:",{lines:f.lines.length,maxLines:f.maxLines,leftLines:f.leftPage.lines.length,leftMaxLines:f.leftPage.maxLines}),Ce.log("[Message Field] Canvas rendered:",{messageLength:t.length,format:f.format.key,lines:f.lines.length,fontFamily:r,fontSizePt:f.font.sizePt,fitsVertically:!f.overflow&&!f.leftPage.overflow})}function hi(e,t){let r=e.querySelector("[data-ccc-fit-notice]"),n=!!t&&t.status!==j.FITS;if(di(e.querySelector("[data-ccc-message-field]"),e.querySelector("[data-ccc-message-highlights]"),n?t:null),di(e.querySelector("[data-ccc-left-message-field]"),e.querySelector("[data-ccc-left-message-highlights]"),n?t.left:null),!r||(r.hidden=!n,!n))return;let o=r.querySelector("[data-ccc-fit-text]"),a=r.querySelector("[data-ccc-fit-shrink]"),i=Array.from(t.cutText).length+Array.from(t.left.cutText).length,s=`${i} character${i===1?"":"s"} won't be printed`;o&&(o.textContent=t.status===j.SHRINK?`Too long for ${t.fontSize} text \u2013 ${s}. It fits in ${t.suggestedSize} text.`:`Too long for this card, even in small text \u2013 ${s}. Shorten your message to fit.`),a&&(a.hidden=t.status!==j.SHRINK),Ce.log("[Message Field] Message overflows card:",{status:t.status,fitLength:t.fitLength,cutCount:i})}function fi(e,t){if(!t||t.status===j.FITS)return;let r=!t.cutText&&t.left.cutText,n=r?t.left:t,o=e.querySelector(r?"[data-ccc-left-message-field]":"[data-ccc-message-field]");if(!o)return;o.focus(),o.setSelectionRange(n.fitLength,o.value.length),o.scrollTop=o.scrollHeight;let a=e.querySelector(r?"[data-ccc-left-message-highlights]":"[data-ccc-message-highlights]");a&&(a.scrollTop=o.scrollTop)}function gi(e,t,r){let n=e.querySelector("[data-ccc-script-notice]");if(!n||(n.hidden=!t,!t))return;let o=n.querySelector("[data-ccc-script-text]"),a=n.querySelector("[data-ccc-script-switch]");o&&(o.textContent=Bt(t,r)),a&&(a.hidden=!t.suggestion,t.suggestion&&(a.textContent=`Use ${t.suggestion.label}`)),Ce.log("[Message Field] Unprintable characters:",{fontFamily:r,characters:t.characters})}function mi(e,t){let r=e.querySelector("[data-ccc-check-notice]");if(!r)return;let n=t?t.misspellings:[],o=t?t.blocked:null;if(r.hidden=n.length===0&&!o,r.classList.toggle("ccc__message-fit-notice--blocked",!!o),r.hidden)return;let a=r.querySelector("[data-ccc-check-text]"),i=r.querySelector("[data-ccc-spelling-list]"),s=n.length;if(a&&(o?a.textContent=o:t.submitting?a.textContent=`Please check ${s===1?"this word":"these words"} before adding to basket \u2013 we print exactly what you type.`:a.textContent=`${s===1?"This word":"These words"} may be misspelt \u2013 tap a suggestion to fix, or keep your spelling.`),i){i.hidden=s===0;let c=n.map(({field:d,word:u,index:f,suggestions:p})=>`
+      <li class="ccc__spelling-item">
+        <span class="ccc__spelling-word">${si[d]?`${si[d]}: `:""}<s>${A(u)}</s></span>
+        ${p.map(y=>`
+          <button
+            type="button"
+            class="ccc__spelling-fix"
+            data-ccc-spelling-fix
+            data-field="${d}"
+            data-index="${f}"
+            data-word="${A(u)}"
+            data-suggestion="${A(y)}"
+          >${A(y)}</button>
+        `).join("")}
+        <button type="button" class="ccc__spelling-ignore" data-ccc-spelling-ignore data-word="${A(u)}" aria-label="Keep &quot;${A(u)}&quot;">Keep</button>
+      </li>
+    `).join("");li.get(i)!==c&&(i.innerHTML=c,li.set(i,c))}Ce.log("[Message Field] Message check:",{misspellings:n.map(c=>c.word),blocked:o})}var Yc=2e3;function yi(e,t){let r=e.pending?" disabled":"",n=[Re[e.tone],Pe[e.length],e.history.length?`Version ${e.history.length+1}`:""].filter(Boolean).join(" \xB7 ");return`
+    <div class="ccc__ai-suggestion-card${e.pending?" ccc__ai-suggestion-card--pending":""}" data-ai-idea="${t}" aria-busy="${!!e.pending}">
+      <p class="ccc__ai-suggestion-label">${A(n)}</p>
+      <p class="ccc__ai-suggestion-text">${A(e.message)}</p>
+      <div class="ccc__ai-suggestion-actions">
+        <button type="button" class="ccc__ai-use-btn" data-ai-use="${t}"${r}>
+          Use this
+        </button>
+        <button type="button" class="ccc__ai-copy-btn" data-ai-copy="${t}"${r}>
+          Copy
+        </button>
+        ${e.history.length?`
+          <button type="button" class="ccc__ai-copy-btn" data-ai-undo="${t}"${r}>
+            Undo
+          </button>
+        `:""}
       </div>
-      <h3 class="ccc__confirm-title">Clear your message?</h3>
-      <p class="ccc__confirm-message">This will permanently delete your message. This action cannot be undone.</p>
-      <div class="ccc__confirm-actions">
-        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--cancel">Cancel</button>
-        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--confirm">Clear message</button>
+      <div class="ccc__ai-refine" role="group" aria-label="Change this idea">
+        ${Object.entries(Me).map(([o,{label:a}])=>`
+          <button type="button" class="ccc__ai-chip" data-ai-refine="${o}"${r}>${a}</button>
+        `).join("")}
+        <div class="ccc__ai-tweak">
+          <input
+            type="text"
+            class="ccc__ai-input ccc__ai-tweak-input"
+            placeholder="Or say what to change, e.g. mention the dog"
+            aria-label="What to change"
+            maxlength="${Yn}"
+            data-ai-tweak-input
+            ${r}
+          >
+          <button type="button" class="ccc__ai-copy-btn" data-ai-tweak${r}>Change</button>
+        </div>
+      </div>
+      ${e.pending?'<p class="ccc__ai-refine-status" role="status">Reworking this idea\u2026</p>':""}
+      ${e.error?`<p class="ccc__ai-refine-status ccc__ai-refine-status--error" role="alert">${A(e.error)}</p>`:""}
+    </div>
+  `}function bi(e){return e.map(yi).join("")}function sr(e,t,r){let n=e&&e.querySelector(`[data-ai-idea="${t}"]`);n&&(n.outerHTML=yi(r,t))}function vi(e,t){if(!e)return;let r=n=>{let o=n.querySelector("[data-ai-tweak-input]"),a=o?o.value.trim():"";a&&t.onRefine(parseInt(n.dataset.aiIdea,10),a)};e.addEventListener("click",async n=>{let o=n.target.closest("[data-ai-idea]"),a=n.target.closest("button");if(!o||!a||a.disabled)return;let i=parseInt(o.dataset.aiIdea,10);a.hasAttribute("data-ai-use")?t.onUse(i):a.hasAttribute("data-ai-copy")?await t.onCopy(i)&&(a.textContent="Copied!",setTimeout(()=>{a.textContent="Copy"},Yc)):a.dataset.aiRefine?t.onRefine(i,a.dataset.aiRefine):a.hasAttribute("data-ai-tweak")?r(o):a.hasAttribute("data-ai-undo")&&t.onUndo(i)}),e.addEventListener("keydown",n=>{n.key!=="Enter"||!n.target.matches("[data-ai-tweak-input]")||(n.preventDefault(),r(n.target.closest("[data-ai-idea]")))})}var Kc="https://cute-cards-photos.josh-715.workers.dev";var Xc=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,cr={log:(...e)=>Xc&&console.log(...e),error:(...e)=>console.error(...e)};function _i(){return String(window.ccPhotoUploadUrl||Kc).replace(/\/+$/,"")}async function wi(e){cr.log("[Photo Service] Uploading photo:",e.size,"bytes");let t=new AbortController,r=setTimeout(()=>t.abort(),6e4);try{let n=await fetch(`${_i()}/photos`,{method:"POST",headers:{"Content-Type":"image/jpeg"},body:e,signal:t.signal}),o=await n.json().catch(()=>({}));if(!n.ok||!o.ref)throw new Error(o.error||`Photo worker returned ${n.status}`);return cr.log("[Photo Service] Stored photo:",o.ref),{ref:o.ref,url:o.url||nn(o.ref)}}catch(n){throw n.name==="AbortError"?(cr.error("[Photo Service] Upload timed out after",6e4,"ms"),new Error("Your photo is taking too long to upload. Please check your connection and try again.")):(cr.error("[Photo Service] Upload failed:",n),new Error("We couldn't upload your photo. Please try again."))}finally{clearTimeout(r)}}function nn(e){return`${_i()}/photos/${e}`}var Jc=[.9,.82,.74,.66],Si=.8;function Qc(e,t){return new Promise((r,n)=>{e.toBlob(o=>o?r(o):n(new Error("Could not encode photo")),"image/jpeg",t)})}async function ki(e){if(typeof createImageBitmap=="function")try{let r=await createImageBitmap(e,{imageOrientation:"from-image"});return{source:r,width:r.width,height:r.height}}catch{}let t=URL.createObjectURL(e);try{let r=new Image;return r.decoding="async",r.src=t,await r.decode(),{source:r,width:r.naturalWidth,height:r.naturalHeight}}finally{URL.revokeObjectURL(t)}}function on(e,t,r,n){let o=e.getContext("2d");o.save(),o.clearRect(0,0,e.width,e.height),o.imageSmoothingQuality="high",o.scale(e.width/n.width,e.height/n.height),o.translate(-n.x,-n.y),r.rotation===90?o.translate(t.height,0):r.rotation===180?o.translate(t.width,t.height):r.rotation===270&&o.translate(0,t.width),o.rotate(r.rotation*Math.PI/180),o.drawImage(t.source,0,0,t.width,t.height),o.restore()}async function Ci(e,t){let r=e;for(;;){for(let a of Jc){let i=await Qc(r,a);if(i.size<=t)return i}let n=document.createElement("canvas");n.width=Math.max(1,Math.round(r.width*Si)),n.height=Math.max(1,Math.round(r.height*Si));let o=n.getContext("2d");o.imageSmoothingQuality="high",o.drawImage(r,0,0,n.width,n.height),r=n}}var Zc=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,an={log:(...e)=>Zc&&console.log(...e),error:(...e)=>console.error(...e)},Ei=720,xi=.05;function el(e){let t=e&&e.querySelector("[data-ccc-photo]");return t?{step:t,refInput:e.querySelector("[data-cc-photo-ref]"),fileInput:t.querySelector("[data-ccc-photo-file]"),picker:t.querySelector("[data-ccc-photo-pick]"),editor:t.querySelector("[data-ccc-photo-editor]"),canvas:t.querySelector("[data-ccc-photo-canvas]"),zoom:t.querySelector("[data-ccc-photo-zoom]"),rotate:t.querySelector("[data-ccc-photo-rotate]"),change:t.querySelectorAll("[data-ccc-photo-change]"),use:t.querySelector("[data-ccc-photo-use]"),warning:t.querySelector("[data-ccc-photo-warning]"),status:t.querySelector("[data-ccc-photo-status]"),saved:t.querySelector("[data-ccc-photo-saved]"),savedImage:t.querySelector("[data-ccc-photo-saved-image]")}:null}function sn(e,t){e.picker.hidden=t!=="pick",e.editor.hidden=t!=="edit",e.saved.hidden=t!=="saved"}function Ee(e,t,r=!1){e.status.textContent=t||"",e.status.classList.toggle("ccc__photo-status--error",!!t&&r)}function tl(e){return V.acceptedTypes.includes(e.type)?e.size>V.maxFileBytes?{reason:"too_large",message:`That photo is over ${Math.round(V.maxFileBytes/1048576)}MB. Please choose a smaller one.`}:null:{reason:"unsupported",message:"Please choose a JPEG, PNG or WebP photo."}}function Ai(){return`
+    <div class="ccc__photo-step" data-ccc-photo>
+      <h3 class="ccc__card-heading">Add your photo</h3>
+
+      <div class="ccc__photo-pick" data-ccc-photo-pick>
+        <label class="button ccc__photo-choose">
+          Choose a photo
+          <input type="file" accept="${V.acceptedTypes.join(",")}" class="visually-hidden" data-ccc-photo-file>
+        </label>
+        <p class="ccc__photo-hint">It fills the front of the card. You can move, zoom and turn it next.</p>
+      </div>
+
+      <div class="ccc__photo-editor" data-ccc-photo-editor hidden>
+        <div class="ccc__photo-frame">
+          <canvas
+            class="ccc__photo-canvas"
+            data-ccc-photo-canvas
+            tabindex="0"
+            role="img"
+            aria-label="Front of the card. Drag or use the arrow keys to move your photo."
+          ></canvas>
+        </div>
+
+        <div class="ccc__photo-controls">
+          <label class="ccc__photo-zoom">
+            <span class="ccc__control-label">Zoom</span>
+            <input type="range" min="1" max="${V.maxZoom}" step="0.01" value="1" data-ccc-photo-zoom>
+          </label>
+          <button type="button" class="button button--small button--secondary" data-ccc-photo-rotate>Rotate</button>
+          <button type="button" class="button button--small button--secondary" data-ccc-photo-change>Change photo</button>
+        </div>
+
+        <p class="ccc__photo-warning" data-ccc-photo-warning role="status" hidden></p>
+
+        <button type="button" class="button ccc__photo-use" data-ccc-photo-use>Use this photo</button>
       </div>
+
+      <div class="ccc__photo-saved" data-ccc-photo-saved hidden>
+        <img class="ccc__photo-saved-image" alt="Your photo on the front of the card" data-ccc-photo-saved-image>
+        <button type="button" class="button button--small button--secondary" data-ccc-photo-change>Change photo</button>
+      </div>
+
+      <p class="ccc__photo-status" data-ccc-photo-status aria-live="polite"></p>
     </div>
-  `,document.body.appendChild(e),e}function De(e,t){return new Promise(o=>{let i=document.querySelector(".ccc__confirm-dialog");i||(i=st());let c=i.querySelector(".ccc__confirm-title"),n=i.querySelector(".ccc__confirm-message");e&&(c.textContent=e),t&&(n.textContent=t);let a=i.querySelector(".ccc__confirm-btn--cancel"),s=i.querySelector(".ccc__confirm-btn--confirm"),d=i.querySelector(".ccc__confirm-backdrop");i.hidden=!1,setTimeout(()=>s.focus(),100);let u=()=>{m(),o(!1)},p=()=>{m(),o(!0)},f=b=>{b.key==="Escape"?u():b.key==="Enter"&&document.activeElement===s&&p()},m=()=>{i.hidden=!0,a.removeEventListener("click",u),s.removeEventListener("click",p),d.removeEventListener("click",u),document.removeEventListener("keydown",f)};a.addEventListener("click",u),s.addEventListener("click",p),d.addEventListener("click",u),document.addEventListener("keydown",f)})}function F(e){if(!e)return"";let t=document.createElement("div");return t.textContent=e,t.innerHTML}var ze=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,_={log:(...e)=>ze&&console.log(...e),warn:(...e)=>ze&&console.warn(...e),error:(...e)=>console.error(...e)};function Fe({product:e,selectedVariant:t,savedPersonalization:o,formId:i,escapeHtml:c,getVariantDisplayName:n,buildRecipientAddressFields:a}){let s=o&&o.insideMessage;return`
+  `}function Ti(){return`<input type="hidden" name="properties[${Be}]" value="" data-cc-photo-ref>`}function Li(e,t){let r=el(e);if(!r)return null;let n=No(t.format),o=null,a=null,i=!1;r.canvas.width=Ei,r.canvas.height=Math.round(Ei/n.aspect),r.canvas.style.aspectRatio=`${n.width} / ${n.height}`,r.savedImage&&(r.savedImage.style.aspectRatio=r.canvas.style.aspectRatio);let s=m=>{r.refInput.value!==m&&(r.refInput.value=m,t.onChange&&t.onChange(m))},c=()=>{let m=jt(a,n.aspect);on(r.canvas,o,a,m);let w=Vo(m,n);return r.warning.textContent=w.message,r.warning.hidden=w.ok,{rect:m,resolution:w}},d=m=>{a=m,r.zoom.value=String(a.zoom),c(),r.refInput.value&&(s(""),Ee(r,'Press "Use this photo" to save your changes.'))},u=(m,w)=>{Ee(r,w,!0),S("cc_photo_upload_failed",{product_handle:t.productHandle,reason:m})},f=async m=>{let w=tl(m);if(w){u(w.reason,w.message);return}Ee(r,"Opening your photo\u2026");try{o=await ki(m)}catch(I){an.error("[Photo Step] Could not decode photo:",I),u("decode","We couldn't open that photo. Please try a different one.");return}an.log("[Photo Step] Loaded photo:",o.width,"\xD7",o.height),s(""),Ee(r,""),a=Uo(o.width,o.height),r.zoom.value="1",sn(r,"edit"),c(),r.canvas.focus()},p=async()=>{if(!o||i)return;i=!0,r.use.disabled=!0,Ee(r,"Uploading your photo\u2026");let{rect:m,resolution:w}=c(),I=Ho(m,n),C=document.createElement("canvas");C.width=I.width,C.height=I.height;let z;try{on(C,o,a,m),z=await Ci(C,V.maxUploadBytes)}catch(O){an.error("[Photo Step] Could not compress photo:",O),u("encode","We couldn't prepare your photo. Please try a different one."),i=!1,r.use.disabled=!1;return}try{let{ref:O}=await wi(z);s(O),Ee(r,"Photo added to your card."),S("cc_photo_uploaded",{product_handle:t.productHandle,dpi:w.dpi,bytes:z.size,low_resolution:!w.ok})}catch(O){u("upload",O.message)}finally{i=!1,r.use.disabled=!1}};r.fileInput.addEventListener("change",()=>{let m=r.fileInput.files&&r.fileInput.files[0];r.fileInput.value="",m&&f(m)}),r.change.forEach(m=>m.addEventListener("click",()=>r.fileInput.click())),r.zoom.addEventListener("input",()=>{a&&d(jo(a,r.zoom.value,n.aspect))}),r.rotate.addEventListener("click",()=>{a&&d(Bo(a))});let y=null;return r.canvas.addEventListener("pointerdown",m=>{a&&(y={x:m.clientX,y:m.clientY},r.canvas.setPointerCapture(m.pointerId))}),r.canvas.addEventListener("pointermove",m=>{if(!y)return;let I=jt(a,n.aspect).width/r.canvas.clientWidth,C=(y.x-m.clientX)*I,z=(y.y-m.clientY)*I;y={x:m.clientX,y:m.clientY},d(Nr(a,C,z,n.aspect))}),["pointerup","pointercancel"].forEach(m=>r.canvas.addEventListener(m,()=>{y=null})),r.canvas.addEventListener("keydown",m=>{let w={ArrowLeft:[-1,0],ArrowRight:[1,0],ArrowUp:[0,-1],ArrowDown:[0,1]};if(!a||!w[m.key])return;m.preventDefault();let I=jt(a,n.aspect),[C,z]=w[m.key];d(Nr(a,C*I.width*xi,z*I.height*xi,n.aspect))}),r.use.addEventListener("click",p),{setPhotoRef:m=>{o=null,a=null,Ee(r,""),r.warning.hidden=!0,s(m||""),m?(r.savedImage.src=nn(m),sn(r,"saved")):(r.savedImage.removeAttribute("src"),sn(r,"pick"))}}}var Ii=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,P={log:(...e)=>Ii&&console.log(...e),warn:(...e)=>Ii&&console.warn(...e),error:(...e)=>console.error(...e)};function Pi({product:e,selectedVariant:t,savedPersonalization:r,formId:n,escapeHtml:o,getVariantDisplayName:a,buildRecipientAddressFields:i,editing:s=!1,typography:c=ot(),frontCaption:d=null,photoCard:u=!1}){let f=r&&(r.insideMessage||r.leftMessage||r.frontCaption);return`
     <div class="ccc__personaliser">
+      ${s?"":`
       <button type="button" class="ccc__back" data-ccc-back>
         Back to size selection
       </button>
+      `}
 
       <div class="ccc__personaliser-header">
         <img
           src="${e.featured_image}"
-          alt="${c(e.title)}"
+          alt="${o(e.title)}"
           class="ccc__personaliser-image"
           loading="lazy"
           width="200"
           height="200"
         >
         <div class="ccc__personaliser-info">
-          <h2 class="ccc__personaliser-title">${c(e.title)}</h2>
+          <h2 class="ccc__personaliser-title">${o(e.title)}</h2>
           <p class="ccc__personaliser-variant">
-            ${n(t)} \u2022 ${E(t.price)}
+            ${a(t)} \u2022 ${U(t.price)}
           </p>
         </div>
       </div>
 
-      ${s?`
-        <div class="ccc__restore-prompt" data-ccc-restore-prompt data-saved-inside="${c(o.insideMessage||"")}">
+      ${f?`
+        <div class="ccc__restore-prompt" data-ccc-restore-prompt data-saved-inside="${o(r.insideMessage||"")}">
           <div class="ccc__restore-content">
             <svg class="ccc__restore-icon" width="20" height="20" viewBox="0 0 20 20" fill="none">
               <path d="M10 2C5.58172 2 2 5.58172 2 10C2 14.4183 5.58172 18 10 18C14.4183 18 18 14.4183 18 10C18 8.53565 17.5716 7.16959 16.8284 6.02513" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -96,25 +560,61 @@
         <div class="ccc__card-caption">
           <img
             src="${e.featured_image}"
-            alt="${c(e.title)}"
+            alt="${o(e.title)}"
             class="ccc__card-caption-image"
             loading="lazy"
             width="48"
             height="48"
           >
           <div class="ccc__card-caption-info">
-            <div class="ccc__card-caption-title">${c(e.title)}</div>
+            <div class="ccc__card-caption-title">${o(e.title)}</div>
             <div class="ccc__card-caption-variant">
-              ${n(t)} \u2022 ${E(t.price)}
+              ${a(t)} \u2022 ${U(t.price)}
             </div>
           </div>
         </div>
 
+        ${u?Ai():""}
+
+        ${d?`
+        <!-- Front of the card, with the caption where it will be printed -->
+        <div class="ccc__card-front" data-ccc-card-front>
+          <img
+            src="${e.featured_image}"
+            alt=""
+            class="ccc__card-front-image"
+            loading="lazy"
+          >
+          <div
+            class="ccc__front-caption-overlay"
+            data-ccc-front-overlay
+            style="top: ${d.area.top}%; left: ${d.area.left}%; width: ${d.area.width}%;"
+            aria-hidden="true"
+            hidden
+          ></div>
+        </div>
+        `:""}
+
         <h3 class="ccc__card-heading">Write your message</h3>
 
         <div class="ccc__card-interior" data-ccc-card-interior>
-          <!-- LEFT page of card interior (blank) -->
+          <!-- LEFT page of card interior (optional short note) -->
           <div class="ccc__card-page ccc__card-page--left">
+            <div class="ccc__writing-area ccc__writing-area--left" data-ccc-left-writing-area>
+              <div class="ccc__message-highlights" data-ccc-left-message-highlights aria-hidden="true"></div>
+              <textarea
+                class="ccc__message-field ccc__message-field--left"
+                data-ccc-left-message-field
+                placeholder="Add a short note (optional)"
+                aria-label="Left page note"
+                spellcheck="false"
+                autocorrect="off"
+                autocapitalize="off"
+                data-cc-limit="200"
+                aria-describedby="ccc-fit-notice ccc-script-notice ccc-check-notice"
+                style="min-height: 60px; resize: none; overflow-y: hidden;"
+              ></textarea>
+            </div>
           </div>
 
           <!-- CENTER fold line -->
@@ -123,6 +623,8 @@
           <!-- RIGHT page of card interior (message area) -->
           <div class="ccc__card-page ccc__card-page--right">
             <div class="ccc__writing-area" data-ccc-writing-area>
+              <!-- Mirror of the message behind the field, highlighting text that won't be printed -->
+              <div class="ccc__message-highlights" data-ccc-message-highlights aria-hidden="true"></div>
               <textarea
                 class="ccc__message-field"
                 data-ccc-message-field
@@ -131,35 +633,69 @@
                 autocorrect="off"
                 autocapitalize="off"
                 data-cc-limit="600"
-                style="min-height: 100px; resize: none; overflow: hidden;"
+                aria-describedby="ccc-fit-notice ccc-script-notice ccc-check-notice"
+                style="min-height: 100px; resize: none; overflow-y: hidden;"
               ></textarea>
             </div>
           </div>
         </div>
 
-        <!-- Message trim notice -->
-        <div class="ccc__message-trim-notice" data-ccc-trim-notice hidden>
+        <!-- Message fit notice (message longer than the printed card holds) -->
+        <div class="ccc__message-fit-notice" id="ccc-fit-notice" data-ccc-fit-notice role="status" hidden>
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+            <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
+            <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
+          </svg>
+          <span class="ccc__message-fit-text" data-ccc-fit-text></span>
+          <div class="ccc__message-fit-actions">
+            <button type="button" class="button button--small" data-ccc-fit-shrink hidden>Shrink to fit</button>
+            <button type="button" class="button button--small button--secondary" data-ccc-fit-show>Show me what's cut</button>
+          </div>
+        </div>
+
+        <!-- Unprintable characters notice (emoji, or letters the chosen font doesn't have) -->
+        <div class="ccc__message-fit-notice ccc__message-fit-notice--script" id="ccc-script-notice" data-ccc-script-notice role="status" hidden>
           <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
             <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
             <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
           </svg>
-          <span>Message shortened to fit the card</span>
+          <span class="ccc__message-fit-text" data-ccc-script-text></span>
+          <div class="ccc__message-fit-actions">
+            <button type="button" class="button button--small" data-ccc-script-switch hidden></button>
+          </div>
+        </div>
+
+        <!-- Spelling and blocked words notice (checked on blur and before adding to basket) -->
+        <div class="ccc__message-fit-notice ccc__message-fit-notice--spelling" id="ccc-check-notice" data-ccc-check-notice role="status" hidden>
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+            <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
+            <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
+          </svg>
+          <span class="ccc__message-fit-text" data-ccc-check-text></span>
+          <ul class="ccc__spelling-list" data-ccc-spelling-list hidden></ul>
         </div>
       </div>
 
       <!-- Right Column: Unified Control Panel -->
       <div class="ccc__controls-column">
         <div class="ccc__controls-panel">
-          <form id="${i}" class="ccc__form">
+          <form id="${n}" class="ccc__form">
             <input type="hidden" name="id" value="${t.id}">
 
             <!-- Hidden textarea for form submission -->
             <textarea
-              id="cc-inside-${i}"
+              id="cc-inside-${n}"
               name="properties[Inside Message]"
               data-cc-inside
               style="display: none;"
             ></textarea>
+            <textarea
+              id="cc-left-inside-${n}"
+              name="properties[Left Page Message]"
+              data-cc-left-inside
+              style="display: none;"
+            ></textarea>
+            ${u?Ti():""}
 
             <!-- Typography Header with Clear Button -->
             <div class="ccc__typography-header">
@@ -178,18 +714,9 @@
               <div class="ccc__control-item">
                 <label class="ccc__control-label">Style</label>
                 <select name="properties[Font Family]" class="ccc__font-select" data-cc-font-select>
-                <option value="Playfair Display" style="font-family: 'Playfair Display', serif;">Elegant</option>
-                <option value="Dancing Script" style="font-family: 'Dancing Script', cursive;">Handwritten</option>
-                <option value="Pacifico" style="font-family: 'Pacifico', cursive;">Playful</option>
-                <option value="Great Vibes" style="font-family: 'Great Vibes', cursive;">Fancy</option>
-                <option value="Caveat" style="font-family: 'Caveat', cursive;">Casual</option>
-                <option value="Permanent Marker" style="font-family: 'Permanent Marker', cursive;">Bold & Fun</option>
-                <option value="Shadows Into Light" style="font-family: 'Shadows Into Light', cursive;">Friendly</option>
-                <option value="Cookie" style="font-family: 'Cookie', cursive;">Whimsical</option>
-                <option value="Satisfy" style="font-family: 'Satisfy', cursive;">Romantic</option>
-                <option value="Indie Flower" style="font-family: 'Indie Flower', cursive;">Quirky</option>
-                <option value="Lora" style="font-family: 'Lora', serif;">Traditional</option>
-                <option value="Crimson Text" style="font-family: 'Crimson Text', serif;">Refined</option>
+                ${c.fonts.map(p=>`
+                <option value="${p.family}" style="font-family: '${p.family}', ${p.generic};"${p.family===c.defaultFont?" selected":""}>${o(p.label)}</option>
+                `).join("")}
               </select>
             </div>
 
@@ -212,21 +739,68 @@
             <div class="ccc__control-item">
               <label class="ccc__control-label">Colour</label>
               <div class="ccc__color-swatches" data-cc-color-group>
-                <button type="button" class="ccc__color-swatch ccc__color-swatch--active" data-color="#1A1A1A" style="background: #1A1A1A;" title="Black"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#4A5568" style="background: #4A5568;" title="Dark Grey"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#2563EB" style="background: #2563EB;" title="Blue"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#DC2626" style="background: #DC2626;" title="Red"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#059669" style="background: #059669;" title="Green"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#7C3AED" style="background: #7C3AED;" title="Purple"></button>
+                ${c.colours.map(p=>`
+                <button type="button" class="ccc__color-swatch${p.value===c.defaultColour?" ccc__color-swatch--active":""}" data-color="${p.value}" style="background: ${p.value};" title="${o(p.name)}"></button>
+                `).join("")}
+              </div>
+              <input type="hidden" name="properties[Text Color]" value="${c.defaultColour}" data-cc-color-input>
+            </div>
+          </div>
+
+          <div class="ccc__control-row">
+            <div class="ccc__control-item">
+              <label class="ccc__control-label">Align</label>
+              <div class="ccc__layout-buttons" data-cc-align-group>
+                <button type="button" class="ccc__layout-btn" data-align="left" aria-pressed="false" title="Align left">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM1 7h9v2H1zM1 12h12v2H1z"/></svg>
+                </button>
+                <button type="button" class="ccc__layout-btn ccc__layout-btn--active" data-align="center" aria-pressed="true" title="Centre">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM3.5 7h9v2h-9zM2 12h12v2H2z"/></svg>
+                </button>
+                <button type="button" class="ccc__layout-btn" data-align="right" aria-pressed="false" title="Align right">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM6 7h9v2H6zM3 12h12v2H3z"/></svg>
+                </button>
+              </div>
+              <input type="hidden" name="properties[Text Align]" value="center" data-cc-align-input>
+            </div>
+
+            <div class="ccc__control-item">
+              <label class="ccc__control-label">Line spacing</label>
+              <div class="ccc__layout-buttons" data-cc-spacing-group>
+                <button type="button" class="ccc__layout-btn" data-spacing="compact" aria-pressed="false">Tight</button>
+                <button type="button" class="ccc__layout-btn ccc__layout-btn--active" data-spacing="normal" aria-pressed="true">Normal</button>
+                <button type="button" class="ccc__layout-btn" data-spacing="relaxed" aria-pressed="false">Airy</button>
               </div>
-              <input type="hidden" name="properties[Text Color]" value="#1A1A1A" data-cc-color-input>
+              <input type="hidden" name="properties[Line Spacing]" value="normal" data-cc-spacing-input>
             </div>
           </div>
         </div>
 
+            ${d?`
+            <!-- Front Caption (products with custom.front_caption_enabled) -->
+            <div class="ccc__front-caption-section">
+              <label for="cc-front-${n}" class="ccc__control-label">Front caption (optional)</label>
+              <input
+                type="text"
+                id="cc-front-${n}"
+                name="properties[${Ue}]"
+                class="cc-input field__input ccc__front-caption-input"
+                maxlength="${d.limit}"
+                autocomplete="off"
+                data-cc-front
+                data-cc-limit="${d.limit}"
+                aria-describedby="cc-front-help-${n} cc-front-count-${n} ccc-check-notice"
+              >
+              <div class="ccc__front-caption-meta">
+                <span id="cc-front-help-${n}">Short line on the front, shown on the preview.</span>
+                <span id="cc-front-count-${n}" aria-live="polite" data-cc-front-counter>0/${d.limit}</span>
+              </div>
+            </div>
+            `:""}
+
             <!-- Leave Blank Toggle -->
             <label class="ccc__leave-blank">
-              <input type="checkbox" data-cc-leave-blank>
+              <input type="checkbox" name="leave_blank" data-cc-leave-blank>
               <span class="ccc__leave-blank-label">Leave blank (send without message)</span>
             </label>
 
@@ -250,6 +824,7 @@
                     <input
                       type="text"
                       placeholder="Recipient name (e.g., Mum, Sarah)"
+                      maxlength="${Sr.recipient}"
                       data-ai-recipient
                       class="ccc__ai-input"
                     >
@@ -264,14 +839,35 @@
                       <option value="friendship">Friendship</option>
                       <option value="just-because">Just because</option>
                     </select>
+                    <select data-ai-relationship class="ccc__ai-input" aria-label="Who they are to you">
+                      <option value="">Who are they to you? (optional)</option>
+                      ${Object.entries(St).map(([p,y])=>`<option value="${p}">${y}</option>`).join("")}
+                    </select>
+                    <div class="ccc__ai-options">
+                      <label class="ccc__ai-option">
+                        <span class="ccc__ai-option-label">Tone</span>
+                        <select data-ai-tone class="ccc__ai-input">
+                          ${Object.entries(Re).map(([p,y])=>`<option value="${p}">${y}</option>`).join("")}
+                        </select>
+                      </label>
+                      <label class="ccc__ai-option">
+                        <span class="ccc__ai-option-label">Length</span>
+                        <select data-ai-length class="ccc__ai-input">
+                          ${Object.entries(Pe).map(([p,y])=>`<option value="${p}">${y}</option>`).join("")}
+                        </select>
+                      </label>
+                    </div>
                     <textarea
                       placeholder="Any specific details? (optional)"
+                      maxlength="${Sr.details}"
                       data-ai-details
                       class="ccc__ai-input ccc__ai-textarea"
                       rows="2"
                     ></textarea>
                   </div>
 
+                  <p class="ccc__ai-fit-hint">Ideas are sized to fit your card in the font and size you've chosen.</p>
+
                   <button type="button" class="button button--secondary" data-ccc-ai-generate>
                     Get message ideas
                   </button>
@@ -280,10 +876,6 @@
                 <div class="ccc__ai-results" data-ccc-ai-results hidden>
                   <!-- Results populated by JS -->
                 </div>
-
-                <div class="ccc__ai-used" data-ccc-ai-used hidden>
-                  <p>\u2728 You've used AI suggestions for this card</p>
-                </div>
               </div>
             </div>
 
@@ -291,7 +883,7 @@
             <input type="hidden" name="properties[_card_template]" value="classic-5x7">
             <input type="hidden" name="properties[_artwork_prompt]" value="">
             <input type="hidden" name="properties[_prodigi_sku]" data-ccc-prodigi-sku value="">
-            <input type="hidden" name="properties[Delivery Method]" data-ccc-delivery-method value="Mail2Me">
+            <input type="hidden" name="${oe(De)}" data-ccc-delivery-method value="${q.MAIL_TO_ME}">
 
             <!-- Error Container -->
             <div class="cc-error" role="alert" aria-live="assertive" hidden data-cc-error></div>
@@ -299,8 +891,13 @@
             <!-- Recipient address fields (shown when "Send direct" selected from footer) -->
             <div class="ccc__recipient-fields" data-ccc-recipient-fields hidden>
               <h4 class="ccc__section-heading">Recipient Address</h4>
-              ${a()}
+              ${Oa(ce())}
+              ${i()}
+              ${ja()}
             </div>
+
+            <!-- Multi-card mode (several copies, one basket request) -->
+            ${s?"":qa()}
           </form>
         </div>
       </div>
@@ -310,81 +907,75 @@
         <!-- Left: Delivery selection -->
         <div class="ccc__footer-delivery">
           <div class="ccc__footer-delivery-toggle">
-            <button type="button" class="ccc__delivery-toggle-btn ccc__delivery-toggle-btn--active" data-footer-delivery="Mail2Me">
-              Post to me
-            </button>
-            <button type="button" class="ccc__delivery-toggle-btn" data-footer-delivery="Mail4Me">
-              Send direct
-            </button>
+            ${he.map(p=>`
+              <button type="button" class="ccc__delivery-toggle-btn${p.value===q.MAIL_TO_ME?" ccc__delivery-toggle-btn--active":""}" data-footer-delivery="${p.value}">
+                ${p.shortTitle}
+              </button>
+            `).join("")}
           </div>
-          <span class="ccc__footer-delivery-summary" data-ccc-footer-summary">Sent to you with blank envelope</span>
+          <span class="ccc__footer-delivery-summary" data-ccc-footer-summary>${he[0].description}</span>
         </div>
 
         <!-- Right: Yellow CTA -->
-        <button type="submit" form="${i}" class="ccc__footer-cta">
-          Add to basket \xB7 ${E(t.price)}
+        <button type="submit" form="${n}" class="ccc__footer-cta" data-ccc-footer-cta>
+          ${s?"Save changes":`Add to basket \xB7 ${U(t.price)}`}
         </button>
       </div>
     </div>
-  `}function Ie(e,t,o){let{product:i,selectedVariantId:c,variantSkuMap:n}=t,a=null,s=null,d=null,u=e.querySelector("[data-cc-inside]"),p=e.querySelector("[data-cc-inside-counter]"),f=e.querySelector("[data-ccc-back]");f&&f.addEventListener("click",()=>o.onBack());let m=e.querySelector("[data-ccc-restore-prompt]");if(m){let r=m.querySelector("[data-ccc-restore]"),l=m.querySelector("[data-ccc-dismiss]");r&&r.addEventListener("click",()=>{u&&(u.value=m.dataset.savedInside||"",p&&(p.textContent=`${u.value.length}/600`)),m.style.animation="restorePromptFadeOut 0.3s var(--ease-out-quart) forwards",setTimeout(()=>m.remove(),300)}),l&&l.addEventListener("click",()=>{Q(i.handle,c),m.style.animation="restorePromptFadeOut 0.3s var(--ease-out-quart) forwards",setTimeout(()=>m.remove(),300)})}let b=e.querySelector("[data-ccc-recipient-fields]"),C=e.querySelector("[data-ccc-prodigi-sku]"),N=e.querySelector("[data-ccc-delivery-method]"),T=Ae(n,c),W=e.querySelectorAll("[data-footer-delivery]"),M=e.querySelector("[data-ccc-footer-summary]"),L=r=>{let l=r==="Mail4Me";N&&(N.value=r),C&&T&&(C.value=l?T.sku_dir:T.sku_bla),b&&(l?(b.hidden=!1,b.style.animation="recipientFieldsFadeIn 0.4s var(--ease-out-expo) forwards"):b.hidden=!0),W.forEach(g=>{g.dataset.footerDelivery===r?g.classList.add("ccc__delivery-toggle-btn--active"):g.classList.remove("ccc__delivery-toggle-btn--active")}),M&&(M.textContent=l?"We'll post it directly for you":"Sent to you with blank envelope"),S("cc_delivery_method_changed",{product_handle:i.handle,delivery_method:r}),_.log("[CC Choice] Delivery method changed:",{deliveryMethod:r,sku:C?.value})};W.forEach(r=>{r.addEventListener("click",()=>{L(r.dataset.footerDelivery)})}),L("Mail2Me");let h=e.querySelector("[data-ccc-message-field]"),I=e.querySelector("[data-cc-inside]"),R=e.querySelector("[data-cc-font-select]"),ee=e.querySelectorAll("[data-size]"),$=e.querySelector("[data-cc-size-input]"),B=e.querySelectorAll("[data-color]"),k=e.querySelector("[data-cc-color-input]"),x=()=>{if(!h)return;let r=R?R.value:"Playfair Display",l=$?$.value:"medium",g=k?k.value:"#1A1A1A",w={small:"1.4rem",medium:"1.8rem",large:"2.2rem"};h.style.setProperty("font-family",`"${r}", Georgia, serif`,"important"),h.style.setProperty("font-size",w[l]||"1.8rem","important"),h.style.setProperty("color",g,"important"),_.log("[CC Choice] Field style updated:",{fontFamily:r,fontSize:l,textColor:g})},z="",te=()=>{!h||!I||(I.value=h.value)};if(h){let r=h.closest(".ccc__card-page--right"),l=()=>{let v=r?r.clientHeight-24:320;h.style.height="auto";let P=h.scrollHeight,ae=!1;if(P<=v)h.style.height=P+"px",z=h.value;else{let Y=h.value;for(;P>v&&Y.length>0;)Y=Y.slice(0,-1),h.value=Y,h.style.height="auto",P=h.scrollHeight,ae=!0;h.style.height=P+"px",z=h.value}return ae},g=e.querySelector("[data-ccc-trim-notice]"),w;if(h.addEventListener("input",()=>{let v=l();te(),v&&g&&(g.hidden=!1,clearTimeout(w),w=setTimeout(()=>{g.hidden=!0},4e3))}),h.addEventListener("keydown",v=>{if(v.key==="Enter"){let P=r?r.clientHeight-24:320;h.scrollHeight+20>P&&v.preventDefault()}}),r&&typeof ResizeObserver<"u"){let v=new ResizeObserver(()=>{clearTimeout(s),s=setTimeout(()=>{l()},100)});v.observe(r),d=v}a=l,l(),setTimeout(()=>h.focus(),100)}let O=e.querySelector("[data-ccc-clear-btn]");if(O&&h){let r=()=>{h.value.trim().length>0?O.hidden=!1:O.hidden=!0};h.addEventListener("input",r),O.addEventListener("click",async()=>{if(await De("Clear your message?","This will permanently delete your message. This action cannot be undone.")){h.value="";let g=new Event("input",{bubbles:!0});h.dispatchEvent(g),O.hidden=!0,h.focus(),S("cc_message_cleared",{product_handle:i.handle,variant_id:c})}}),r()}R&&R.addEventListener("change",()=>{x(),a&&setTimeout(()=>a(),100)}),ee.forEach(r=>{r.addEventListener("click",()=>{ee.forEach(l=>l.classList.remove("ccc__size-btn--active")),r.classList.add("ccc__size-btn--active"),$&&($.value=r.dataset.size),x(),a&&setTimeout(()=>a(),100)})}),B.forEach(r=>{r.addEventListener("click",()=>{B.forEach(l=>l.classList.remove("ccc__color-swatch--active")),r.classList.add("ccc__color-swatch--active"),k&&(k.value=r.dataset.color),_.log("[CC Choice] Color changed to:",r.dataset.color),x()})}),j().then(()=>{x(),h&&a&&setTimeout(()=>a(),50)});let K=e.querySelector("[data-ccc-ai-toggle]"),ie=e.querySelector("[data-ccc-ai-panel]"),Qe=e.querySelector("[data-ccc-ai-form]"),J=e.querySelector("[data-ccc-ai-results]"),vt=e.querySelector("[data-ccc-ai-used]"),V=e.querySelector("[data-ccc-ai-generate]"),oe=e.querySelector("[data-ai-recipient]"),ce=e.querySelector("[data-ai-occasion]"),ge=e.querySelector("[data-ai-details]"),_t=`ai_used_${i.handle}_${c}`;if(K&&ie){let r=K.cloneNode(!0);K.parentNode.replaceChild(r,K),r.addEventListener("click",()=>{let l=r.getAttribute("aria-expanded")==="true";r.setAttribute("aria-expanded",!l),ie.classList.toggle("ccc__ai-help-panel--collapsed",l),l||(setTimeout(()=>{ie.scrollIntoView({behavior:"smooth",block:"nearest"})},50),S("cc_ai_form_open",{product_handle:i.handle,variant_id:c}))})}V&&V.addEventListener("click",async()=>{if(!oe||!oe.value.trim()){alert("Please enter the recipient's name");return}if(!ce||!ce.value){alert("Please select an occasion");return}V.disabled=!0,V.textContent="Generating...";try{let r=await Me({recipient:oe.value,occasion:ce.value,details:ge?ge.value:"",imageUrl:i.featured_image||""});r.suggestions&&r.suggestions.length>0&&(J.innerHTML=r.suggestions.map((l,g)=>`
-              <div class="ccc__ai-suggestion-card">
-                <p class="ccc__ai-suggestion-text">${F(l.message)}</p>
-                <div class="ccc__ai-suggestion-actions">
-                  <button type="button" class="ccc__ai-use-btn" data-ai-use="${g}">
-                    Use this
-                  </button>
-                  <button type="button" class="ccc__ai-copy-btn" data-ai-copy="${g}">
-                    Copy
-                  </button>
-                </div>
-              </div>
-            `).join(""),J.removeAttribute("hidden"),Qe.setAttribute("hidden",""),J.querySelectorAll("[data-ai-use]").forEach(l=>{l.addEventListener("click",()=>{let g=parseInt(l.dataset.aiUse),w=r.suggestions[g];if(h){h.value=w.message;let v=new Event("input",{bubbles:!0});h.dispatchEvent(v),setTimeout(()=>h.focus(),50),setTimeout(()=>{let P=e.querySelector('[role="dialog"]');P&&P.scrollTo({top:0,behavior:"smooth"})},100)}S("cc_ai_suggestion_use",{product_handle:i.handle,variant_id:c,suggestion_index:g})})}),J.querySelectorAll("[data-ai-copy]").forEach(l=>{l.addEventListener("click",async()=>{let g=parseInt(l.dataset.aiCopy),w=r.suggestions[g];try{await navigator.clipboard.writeText(w.message),l.textContent="Copied!",setTimeout(()=>{l.textContent="Copy"},2e3),S("cc_ai_suggestion_copy",{product_handle:i.handle,variant_id:c,suggestion_index:g})}catch(v){_.error("Failed to copy:",v)}})}),S("cc_ai_suggestions_generated",{product_handle:i.handle,variant_id:c,count:r.suggestions.length}))}catch(r){_.error("[CC Choice] AI generation error:",r),alert("Sorry, we couldn't generate suggestions right now. Please try again.")}finally{V.disabled=!1,V.textContent="Generate Suggestions"}});let me,Xe=()=>{clearTimeout(me),me=setTimeout(()=>{let r={insideMessage:u?u.value:""};_e(i.handle,c,r)},500)};u&&u.addEventListener("input",Xe);let ye=e.querySelector("[data-cc-leave-blank]");ye&&u&&ye.addEventListener("change",r=>{let l=e.querySelector("[data-ccc-message-field]"),g=e.querySelector("[data-ccc-writing-area]"),w=e.querySelector(".ccc__typography-section"),v=e.querySelector("[data-ccc-ai-toggle]");r.target.checked?(u.disabled=!0,u.required=!1,u.value="",l&&(l.value="",l.disabled=!0,l.classList.add("ccc__message-field--blank"),l.setAttribute("tabindex","-1")),g&&g.classList.add("ccc__writing-area--blank"),w&&w.classList.add("ccc__typography-section--disabled"),v&&(v.disabled=!0,v.style.opacity="0.4")):(u.disabled=!1,u.required=!0,l&&(l.disabled=!1,l.classList.remove("ccc__message-field--blank"),l.removeAttribute("tabindex"),l.focus()),g&&g.classList.remove("ccc__writing-area--blank"),w&&w.classList.remove("ccc__typography-section--disabled"),v&&(v.disabled=!1,v.style.opacity=""))}),setTimeout(()=>{let r=e.querySelector("[data-ccc-message-field]"),l=e.querySelector("[data-cc-leave-blank]");r&&(!l||!l.checked)&&r.focus()},150);let q=e.querySelector("#cc-modal-form");if(_.log("[CC Choice] Looking for form #cc-modal-form..."),q)_.log("[CC Choice] Form found immediately, Form ID:",q?.id),qe(e,q,o);else{_.log("[CC Choice] Form not found on first attempt, retrying...");let r=0,l=3,g=setInterval(()=>{q=e.querySelector("#cc-modal-form"),r++,q||r>=l?(clearInterval(g),q?(_.log(`[CC Choice] Form found after ${r} retry(ies)`),qe(e,q,o)):(_.error("[CC Choice] CRITICAL: Form #cc-modal-form not found after retries!"),_.error("[CC Choice] Modal body HTML (first 500 chars):",e.querySelector("[data-ccc-body]").innerHTML.substring(0,500)),_.error("[CC Choice] Available forms:",e.querySelectorAll("form").length),e.querySelectorAll("form").forEach(w=>{_.error("[CC Choice] Found form with ID:",w.id||"no ID")}))):_.log(`[CC Choice] Retry ${r}/${l}...`)},100)}}function qe(e,t,o){_.log("[Personaliser View] Attaching submit event listener to form"),t.addEventListener("submit",c=>{_.log("[Personaliser View] Form submit event fired"),_.log("[Personaliser View] Event target:",c.target),_.log("[Personaliser View] Form element:",t),_.log("[Personaliser View] Submit button:",c.submitter),c.preventDefault(),o.onSubmit(t)});let i=t.querySelectorAll('[type="submit"]');_.log("[Personaliser View] Submit buttons found in form:",i.length),i.forEach((c,n)=>{_.log(`[Personaliser View] Submit button ${n+1}:`,c.textContent.trim())})}var D=new Map,nt=10;async function Re(e){if(D.has(e)){let i=D.get(e);return D.delete(e),D.set(e,i),i}let t=await fetch(`/products/${e}.js`);if(!t.ok)throw new Error(`Product not found: ${e}`);let o=await t.json();if(D.size>=nt){let i=D.keys().next().value;D.delete(i)}return D.set(e,o),o}var rt=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,$e={log:(...e)=>rt&&console.log(...e),error:(...e)=>console.error(...e)};async function re(e){$e.log("[Cart Service] Adding to cart with payload:",e);let t=await fetch("/cart/add.js",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(e)}),o=await t.json();if(!t.ok)throw new Error(o.description||"Could not add to cart");return $e.log("[Cart Service] Successfully added to cart:",o),o}var lt=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,Be={log:(...e)=>lt&&console.log(...e),error:(...e)=>console.error(...e)};function le(e){if(!e)return;let t=document.createElement("div");t.className="ccc__success-banner",t.innerHTML=`
+  `}function Mi(e,t,r){let{product:n,selectedVariantId:o,variantSkuMap:a}=t,i=t.typography||ot(),s=null,c=null,d=null,u=e.querySelector("[data-cc-inside]"),f=e.querySelector("[data-cc-left-inside]"),p=e.querySelector("[data-cc-inside-counter]"),y=e.querySelector("#cc-modal-form"),k=e.querySelector("[data-cc-front]"),m=e.querySelector("[data-cc-front-counter]"),w=e.querySelector("[data-ccc-front-overlay]"),I,C=()=>{clearTimeout(I),I=setTimeout(()=>{let l={insideMessage:u?u.value:"",leftMessage:f?f.value:"",frontCaption:k?k.value:"",fontFamily:D?D.value:void 0,fontSize:X?X.value:void 0,textColor:Ae?Ae.value:void 0,textAlign:te?te.value:void 0,lineSpacing:re?re.value:void 0,delivery:y?It(new FormData(y)):null};lo(n.handle,o,l)},500)},z=e.querySelector("[data-ccc-back]");z&&z.addEventListener("click",()=>r.onBack());let O=e.querySelector("[data-ccc-restore-prompt]");if(O){let l=O.querySelector("[data-ccc-restore]"),h=O.querySelector("[data-ccc-dismiss]");l&&l.addEventListener("click",()=>{u&&(u.value=O.dataset.savedInside||"",p&&(p.textContent=`${u.value.length}/600`));let g=Pt(n.handle,o);g&&(kn(g),Sn(g),gr(g.frontCaption)),g&&g.delivery&&(ct(F,g.delivery.recipient),ht(g.delivery.deliveryMethod)),O.style.animation="restorePromptFadeOut 0.3s var(--ease-out-quart) forwards",setTimeout(()=>O.remove(),300)}),h&&h.addEventListener("click",()=>{ge(n.handle,o),O.style.animation="restorePromptFadeOut 0.3s var(--ease-out-quart) forwards",setTimeout(()=>O.remove(),300)})}let F=e.querySelector("[data-ccc-recipient-fields]"),K=e.querySelector("[data-ccc-prodigi-sku]"),ee=e.querySelector("[data-ccc-delivery-method]"),xe=nr(a,o),fn=e.querySelectorAll("[data-footer-delivery]"),gn=e.querySelector("[data-ccc-footer-summary]");Pa(F),Fa(F,{onSelect:l=>{let h=l?wa(l):null;if(h){ct(F,h.recipient);let g=e.querySelector("[data-ai-recipient]");g&&!g.value.trim()&&(g.value=h.nickname),S("cc_saved_recipient_selected",{product_handle:n.handle}),C()}return h},onDelete:l=>(er(l),S("cc_saved_recipient_deleted",{product_handle:n.handle}),ce())}),Ha(F,{onChange:({arrivalDate:l,country:h,valid:g})=>{l&&g&&S("cc_send_date_selected",{product_handle:n.handle,country:h,arrival_date:l})}});let ht=l=>{let h=H(l),g=he.find(b=>b.value===l)||he[0];ee&&(ee.value=l),K&&xe&&(K.value=Lt(xe,l)||""),F&&(h?(F.hidden=!1,F.style.animation="recipientFieldsFadeIn 0.4s var(--ease-out-expo) forwards"):F.hidden=!0),fn.forEach(b=>{b.dataset.footerDelivery===l?b.classList.add("ccc__delivery-toggle-btn--active"):b.classList.remove("ccc__delivery-toggle-btn--active")}),gn&&(gn.textContent=g.description),S("cc_delivery_method_changed",{product_handle:n.handle,delivery_method:l}),P.log("[CC Choice] Delivery method changed:",{deliveryMethod:l,sku:K?.value})};fn.forEach(l=>{l.addEventListener("click",()=>{ht(l.dataset.footerDelivery),C(),r.onDeliveryChange&&r.onDeliveryChange(l.dataset.footerDelivery)})}),ht(t.initialDeliveryMethod||q.MAIL_TO_ME);let E=e.querySelector("[data-ccc-message-field]"),L=e.querySelector("[data-ccc-left-message-field]"),mn=e.querySelector("[data-cc-inside]"),D=e.querySelector("[data-cc-font-select]"),ft=e.querySelectorAll("[data-size]"),X=e.querySelector("[data-cc-size-input]"),pr=e.querySelectorAll("[data-color]"),Ae=e.querySelector("[data-cc-color-input]"),yn=e.querySelectorAll("[data-align]"),te=e.querySelector("[data-cc-align-input]"),bn=e.querySelectorAll("[data-spacing]"),re=e.querySelector("[data-cc-spacing-input]"),We=()=>{if(!E)return;let l=D?D.value:"Playfair Display",h=X?X.value:"medium",g=Ae?Ae.value:"#1A1A1A",b=te?te.value:"center",v=we[re?re.value:"normal"]||we.normal,_={small:"1.4rem",medium:"1.8rem",large:"2.2rem"};[[E,"[data-ccc-message-highlights]"],[L,"[data-ccc-left-message-highlights]"]].forEach(([x,M])=>{if(!x)return;x.style.setProperty("font-family",Ut(l),"important"),x.style.setProperty("font-size",_[h]||"1.8rem","important"),x.style.setProperty("color",g,"important"),x.style.setProperty("text-align",b,"important"),x.style.setProperty("line-height",String(v),"important");let B=e.querySelector(M);B&&(B.style.fontFamily=x.style.fontFamily,B.style.fontSize=x.style.fontSize,B.style.textAlign=b,B.style.lineHeight=String(v))}),P.log("[CC Choice] Field style updated:",{fontFamily:l,fontSize:h,textColor:g,textAlign:b,lineHeight:v})},vn=()=>{E&&mn&&(mn.value=E.value),L&&f&&(f.value=L.value)},ne=null,W=null,_n=null,hr=()=>{if(!E)return;let l=E.disabled?"":E.value,h=L&&!L.disabled?L.value:"",g=D?D.value:void 0;ne=!l.trim()&&!h.trim()?null:rt({message:l,leftMessage:h,fontFamily:g,fontSize:X?X.value:void 0,lineSpacing:re?re.value:void 0,align:te?te.value:void 0,format:t.cardFormat}),hi(e,ne),W=nt(`${l}
+${h}`,g),gi(e,W,g);let b=W?`${g}|${W.scripts.join(",")}`:null;b&&b!==_n&&S("cc_unprintable_characters",{product_handle:n.handle,font_family:g,scripts:W.scripts.join(","),...W.suggestion?{suggested_font:W.suggestion.family}:{}}),_n=b};if(E){let l=E.closest(".ccc__card-page--right"),h=L?L.closest(".ccc__card-page--left"):null,g=(M,B)=>{let zn=B?B.clientHeight-24:320;M.style.height="auto";let qn=M.scrollHeight;M.style.height=Math.min(qn,zn)+"px",M.style.overflowY=qn>zn?"auto":"hidden"},b=()=>{g(E,l),L&&g(L,h),hr()};E.addEventListener("input",()=>{b(),vn()}),L&&L.addEventListener("input",()=>{b(),vn(),C()}),[[E,e.querySelector("[data-ccc-message-highlights]")],[L,e.querySelector("[data-ccc-left-message-highlights]")]].forEach(([M,B])=>{!M||!B||M.addEventListener("scroll",()=>{B.scrollTop=M.scrollTop})});let v=e.querySelector("[data-ccc-fit-shrink]"),_=e.querySelector("[data-ccc-fit-show]");v&&v.addEventListener("click",()=>{if(!ne||!ne.suggestedSize)return;S("cc_message_fit_action",{product_handle:n.handle,action:"shrink",font_size:ne.suggestedSize});let M=Array.from(ft).find(B=>B.dataset.size===ne.suggestedSize);M&&M.click()}),_&&_.addEventListener("click",()=>{ne&&(S("cc_message_fit_action",{product_handle:n.handle,action:"show_cut",font_size:ne.fontSize}),fi(e,ne))});let x=e.querySelector("[data-ccc-script-switch]");if(x&&D&&x.addEventListener("click",()=>{!W||!W.suggestion||(S("cc_font_suggestion_applied",{product_handle:n.handle,from_font:D.value,to_font:W.suggestion.family}),D.value=W.suggestion.family,D.dispatchEvent(new Event("change")))}),l&&typeof ResizeObserver<"u"){let M=new ResizeObserver(()=>{clearTimeout(c),c=setTimeout(()=>{b()},100)});M.observe(l),h&&M.observe(h),d=M}s=b,b(),setTimeout(()=>E.focus(),100)}let Ye=e.querySelector("[data-ccc-clear-btn]");if(Ye&&E){let l=()=>{E.value.trim().length>0||L&&L.value.trim().length>0?Ye.hidden=!1:Ye.hidden=!0};E.addEventListener("input",l),L&&L.addEventListener("input",l),Ye.addEventListener("click",async()=>{if(await He("Clear your message?","This will permanently delete your message. This action cannot be undone.")){E.value="",L&&(L.value="");let g=new Event("input",{bubbles:!0});E.dispatchEvent(g),Ye.hidden=!0,E.focus(),S("cc_message_cleared",{product_handle:n.handle,variant_id:o})}}),l()}D&&D.addEventListener("change",()=>{We(),s&&(setTimeout(()=>s(),100),dt(D.value,{text:E?E.value:""}).then(l=>{l&&s()})),C()}),ft.forEach(l=>{l.addEventListener("click",()=>{ft.forEach(h=>h.classList.remove("ccc__size-btn--active")),l.classList.add("ccc__size-btn--active"),X&&(X.value=l.dataset.size),We(),s&&setTimeout(()=>s(),100),C()})}),pr.forEach(l=>{l.addEventListener("click",()=>{pr.forEach(h=>h.classList.remove("ccc__color-swatch--active")),l.classList.add("ccc__color-swatch--active"),Ae&&(Ae.value=l.dataset.color),P.log("[CC Choice] Color changed to:",l.dataset.color),We(),C()})});let wn=(l,h,g)=>{l.forEach(b=>{b.addEventListener("click",()=>{l.forEach(v=>{v.classList.toggle("ccc__layout-btn--active",v===b),v.setAttribute("aria-pressed",String(v===b))}),h&&(h.value=b.dataset[g]),We(),s&&setTimeout(()=>s(),100),C()})})};wn(yn,te,"align"),wn(bn,re,"spacing");let Sn=({leftMessage:l,textAlign:h,lineSpacing:g})=>{let b=Array.from(yn).find(_=>_.dataset.align===(h||"center"));b&&b.click();let v=Array.from(bn).find(_=>_.dataset.spacing===(g||"normal"));v&&v.click(),L&&!L.disabled&&(L.value=l||"",L.dispatchEvent(new Event("input",{bubbles:!0})))},kn=({fontFamily:l,fontSize:h,textColor:g})=>{let b=Do(i,{fontFamily:l,textColor:g});D&&(D.value=b.fontFamily,D.dispatchEvent(new Event("change")));let v=Array.from(ft).find(x=>x.dataset.size===h);v&&v.click();let _=Array.from(pr).find(x=>x.dataset.color===b.textColor);_&&_.click()},fr=()=>{if(!k)return;let l=parseInt(k.dataset.ccLimit,10),h=k.value.trim().length;m&&(m.textContent=`${h}/${l}`,m.classList.toggle("cc-counter--warning",h>=l*.8&&h<l),m.classList.toggle("cc-counter--danger",h>=l)),w&&(w.textContent=k.value.trim(),w.hidden=h===0)},gr=l=>{k&&(k.value=l||"",fr())};k&&(k.addEventListener("input",()=>{fr(),C()}),fr());let mr={message:E,left:L,front:k},Cn=new Set,de=null,En=null,Ke=l=>{let h=[],g=null;Object.entries(mr).forEach(([v,_])=>{!_||_.disabled||(ea(_.value,{ignore:Cn}).forEach(x=>{h.push({field:v,...x})}),g=g||Gt(_.value))}),de={misspellings:h,blocked:g,submitting:l==="submit"},mi(e,de);let b=h.map(v=>v.word.toLowerCase()).concat(g||[]).join("|");return b&&b!==En&&l!=="input"&&S("cc_message_check_flagged",{product_handle:n.handle,trigger:l,misspellings:h.length,blocked:!!g}),l!=="input"&&(En=b),de};Object.values(mr).forEach(l=>{l&&(l.addEventListener("blur",()=>Ke("blur")),l.addEventListener("input",()=>{de&&(de.misspellings.length>0||de.blocked)&&Ke("input")}))});let gt=e.querySelector("[data-ccc-check-notice]");gt&&gt.addEventListener("click",l=>{let h=l.target.closest("[data-ccc-spelling-fix]"),g=l.target.closest("[data-ccc-spelling-ignore]");if(h){let b=mr[h.dataset.field];if(!b)return;let v={word:h.dataset.word,index:parseInt(h.dataset.index,10)};b.value=ta(b.value,v,h.dataset.suggestion),b.dispatchEvent(new Event("input",{bubbles:!0}))}else if(g)Cn.add(g.dataset.word.toLowerCase());else return;S("cc_spelling_suggestion",{product_handle:n.handle,action:h?"fix":"ignore"}),Ke("input")});let xn=t.photoCard?Li(e,{format:t.cardFormat,productHandle:n.handle}):null;We(),dt(D?D.value:"Playfair Display").then(()=>{E&&s&&setTimeout(()=>s(),50)});let mt=e.querySelector("[data-ccc-ai-toggle]"),yr=e.querySelector("[data-ccc-ai-panel]"),Zi=e.querySelector("[data-ccc-ai-form]"),Te=e.querySelector("[data-ccc-ai-results]"),Le=e.querySelector("[data-ccc-ai-generate]"),yt=e.querySelector("[data-ai-recipient]"),bt=e.querySelector("[data-ai-occasion]"),vt=e.querySelector("[data-ai-details]"),An=e.querySelector("[data-ai-relationship]"),Tn=e.querySelector("[data-ai-tone]"),Ln=e.querySelector("[data-ai-length]"),In=()=>({fontFamily:D?D.value:void 0,fontSize:X?X.value:void 0,lineSpacing:re?re.value:void 0,align:te?te.value:void 0,format:t.cardFormat}),Rn=(l,h)=>{let g=Math.max(1,Math.ceil(l.retryAfter/60));return`You've asked for a lot of ${h} \u2013 please try again in ${g} minute${g===1?"":"s"}.`};if(mt&&yr){let l=mt.cloneNode(!0);mt.parentNode.replaceChild(l,mt),l.addEventListener("click",()=>{let h=l.getAttribute("aria-expanded")==="true";l.setAttribute("aria-expanded",!h),yr.classList.toggle("ccc__ai-help-panel--collapsed",h),h||(setTimeout(()=>{yr.scrollIntoView({behavior:"smooth",block:"nearest"})},50),S("cc_ai_form_open",{product_handle:n.handle,variant_id:o}))})}let Y=[],Pn=null,Mn=(l,h)=>rt({...h,message:l}).status===j.FITS;vi(Te,{onUse:l=>{let h=Y[l];if(E){E.value=h.message;let g=new Event("input",{bubbles:!0});E.dispatchEvent(g),setTimeout(()=>E.focus(),50),setTimeout(()=>{let b=e.querySelector('[role="dialog"]');b&&b.scrollTo({top:0,behavior:"smooth"})},100)}S("cc_ai_suggestion_use",{product_handle:n.handle,variant_id:o,suggestion_index:l,version:h.history.length+1})},onCopy:async l=>{try{return await navigator.clipboard.writeText(Y[l].message),S("cc_ai_suggestion_copy",{product_handle:n.handle,variant_id:o,suggestion_index:l}),!0}catch(h){return P.error("Failed to copy:",h),!1}},onRefine:async(l,h)=>{let g=Y[l];if(!g||g.pending)return;let b=In();Y[l]={...g,pending:!0,error:""},sr(Te,l,Y[l]);let v="changed",_={...g,error:""};try{let x=await ti({...Pn,message:g.message,instruction:h,history:g.history,maxLength:Or(b)});x.reason==="budget"?(v="budget",_.error="Changes aren't available right now, but you can still edit the message on your card."):x.fallback?(v="unchanged",_.error="We couldn't rework that one. Try asking another way."):Mn(x.suggestion.message,b)?_={..._,message:x.suggestion.message,tone:x.suggestion.tone,length:x.suggestion.length,history:[...g.history,{message:g.message,instruction:h}].slice(-Wn)}:(v="too_long",_.error=`That version wouldn't fit your card. Try "Shorter".`)}catch(x){P.error("[CC Choice] AI refine error:",x),x.type===Ve.RATE_LIMITED?(v="rate_limited",_.error=Rn(x,"changes")):(v="error",_.error="Sorry, we couldn't change it right now. Please try again.")}Y[l]=_,sr(Te,l,_),S("cc_ai_suggestion_refine",{product_handle:n.handle,variant_id:o,suggestion_index:l,refinement:Object.prototype.hasOwnProperty.call(Me,h)?h:"custom",version:_.history.length+1,outcome:v})},onUndo:l=>{let h=Y[l];if(!h||!h.history.length)return;let g=h.history[h.history.length-1];Y[l]={...h,message:g.message,length:Kn(g.message),history:h.history.slice(0,-1),error:""},sr(Te,l,Y[l])}}),Le&&Le.addEventListener("click",async()=>{if(!yt||!yt.value.trim()){alert("Please enter the recipient's name");return}if(!bt||!bt.value){alert("Please select an occasion");return}Le.disabled=!0,Le.textContent="Generating...";try{let l=In(),h=Tn?Tn.value:void 0,g=Ln?Ln.value:void 0,b=An?An.value:"",v=Or(l),_=await ei({recipient:yt.value,occasion:bt.value,details:vt?vt.value:"",tone:h,length:g,relationship:b,maxLength:v,imageUrl:n.featured_image||"",tags:n.tags||[]}),x=(_.suggestions||[]).filter(M=>Mn(M.message,l));x.length===0&&alert("Sorry, none of the ideas fit your card at this size. Try a shorter length or a smaller text size."),x.length>0&&(Pn={recipient:yt.value,occasion:bt.value,details:vt?vt.value:"",tone:h,relationship:b,tags:n.tags||[]},Y=x.map(M=>({...M,history:[]})),Te.innerHTML=bi(Y),Te.removeAttribute("hidden"),Zi.setAttribute("hidden",""),S("cc_ai_suggestions_generated",{product_handle:n.handle,variant_id:o,count:x.length,tone:h||"sentimental",length:g||"mixed",relationship:b||"none",max_length:v,fallback:!!_.fallback}),r.onAiSuggestions&&r.onAiSuggestions())}catch(l){P.error("[CC Choice] AI generation error:",l),alert(l.type===Ve.RATE_LIMITED?Rn(l,"ideas"):"Sorry, we couldn't generate suggestions right now. Please try again.")}finally{Le.disabled=!1,Le.textContent="Get message ideas"}}),u&&u.addEventListener("input",C),F&&F.addEventListener("input",C);let Ie=e.querySelector("[data-cc-leave-blank]");Ie&&u&&Ie.addEventListener("change",l=>{let h=e.querySelector("[data-ccc-message-field]"),g=e.querySelector("[data-ccc-writing-area]"),b=e.querySelector(".ccc__typography-section"),v=e.querySelector("[data-ccc-ai-toggle]");l.target.checked?(u.disabled=!0,u.required=!1,u.value="",[h,L].forEach(_=>{_&&(_.value="",_.disabled=!0,_.classList.add("ccc__message-field--blank"),_.setAttribute("tabindex","-1"))}),f&&(f.value="",f.disabled=!0),hr(),de&&Ke("input"),g&&g.classList.add("ccc__writing-area--blank"),b&&b.classList.add("ccc__typography-section--disabled"),v&&(v.disabled=!0,v.style.opacity="0.4")):(u.disabled=!1,u.required=!0,[h,L].forEach(_=>{_&&(_.disabled=!1,_.classList.remove("ccc__message-field--blank"),_.removeAttribute("tabindex"))}),f&&(f.disabled=!1),h&&h.focus(),hr(),g&&g.classList.remove("ccc__writing-area--blank"),b&&b.classList.remove("ccc__typography-section--disabled"),v&&(v.disabled=!1,v.style.opacity=""))});let Dn=l=>{Ie&&Ie.checked!==l.leaveBlank&&(Ie.checked=l.leaveBlank,Ie.dispatchEvent(new Event("change"))),kn(l),Sn(l),gr(l.frontCaption),xn&&xn.setPhotoRef(l.photoRef),E&&(E.value=l.leaveBlank?"":l.insideMessage,E.dispatchEvent(new Event("input",{bubbles:!0}))),ct(F,l.delivery.recipient),Qr(F,l.arrivalDate),ht(l.delivery.deliveryMethod)},On=()=>{[L,E].forEach(h=>{h&&(h.value="",h.dispatchEvent(new Event("input",{bubbles:!0})))}),gr("");let l=e.querySelector("[data-ccc-saved-recipient]");l&&l.value&&(l.value="",l.dispatchEvent(new Event("change"))),ct(F,{}),Qr(F,""),E&&!E.disabled&&E.focus()},Fn=null,$n={...r,onSubmit:async l=>{let{misspellings:h}=Ke("submit"),g=h.map(v=>`${v.field}:${v.word.toLowerCase()}`).join("|");if(g&&g!==Fn){Fn=g,gt&&gt.scrollIntoView({behavior:"smooth",block:"center"});return}let b=await r.onSubmit(l);b&&b.formAdded&&On()}};Na(e,{onToggle:l=>r.onBatchToggle&&r.onBatchToggle(l),onAddCopy:()=>{r.onAddCopy&&r.onAddCopy(y)&&On()},onEditCopy:l=>{let h=r.onEditCopy&&r.onEditCopy(y,l);h&&Dn(h)},onRemoveCopy:l=>r.onRemoveCopy&&r.onRemoveCopy(l)}),t.initialLine&&Dn(t.initialLine),setTimeout(()=>{let l=e.querySelector("[data-ccc-message-field]"),h=e.querySelector("[data-cc-leave-blank]");l&&(!h||!h.checked)&&l.focus()},150);let ue=e.querySelector("#cc-modal-form");if(P.log("[CC Choice] Looking for form #cc-modal-form..."),ue)P.log("[CC Choice] Form found immediately, Form ID:",ue?.id),Ri(e,ue,$n);else{P.log("[CC Choice] Form not found on first attempt, retrying...");let l=0,h=3,g=setInterval(()=>{ue=e.querySelector("#cc-modal-form"),l++,ue||l>=h?(clearInterval(g),ue?(P.log(`[CC Choice] Form found after ${l} retry(ies)`),Ri(e,ue,$n)):(P.error("[CC Choice] CRITICAL: Form #cc-modal-form not found after retries!"),P.error("[CC Choice] Modal body HTML (first 500 chars):",e.querySelector("[data-ccc-body]").innerHTML.substring(0,500)),P.error("[CC Choice] Available forms:",e.querySelectorAll("form").length),e.querySelectorAll("form").forEach(b=>{P.error("[CC Choice] Found form with ID:",b.id||"no ID")}))):P.log(`[CC Choice] Retry ${l}/${h}...`)},100)}}function Ri(e,t,r){P.log("[Personaliser View] Attaching submit event listener to form"),t.addEventListener("submit",o=>{P.log("[Personaliser View] Form submit event fired"),P.log("[Personaliser View] Event target:",o.target),P.log("[Personaliser View] Form element:",t),P.log("[Personaliser View] Submit button:",o.submitter),o.preventDefault(),r.onSubmit(t)});let n=t.querySelectorAll('[type="submit"]');P.log("[Personaliser View] Submit buttons found in form:",n.length),n.forEach((o,a)=>{P.log(`[Personaliser View] Submit button ${a+1}:`,o.textContent.trim())})}var le=new Map,rl=10;async function Di(e){if(le.has(e)){let n=le.get(e);return le.delete(e),le.set(e,n),n}let t=await fetch(`/products/${e}.js`);if(!t.ok)throw new Error(`Product not found: ${e}`);let r=await t.json();if(le.size>=rl){let n=le.keys().next().value;le.delete(n)}return le.set(e,r),r}var nl=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,cn={log:(...e)=>nl&&console.log(...e),error:(...e)=>console.error(...e)};function lr(e,t="Added to basket!"){if(!e)return;let r=document.createElement("div");r.className="ccc__success-banner",r.innerHTML=`
     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
       <polyline points="20 6 9 17 4 12"></polyline>
     </svg>
-    <span>Added to basket!</span>
-  `,e.insertBefore(t,e.firstChild),requestAnimationFrame(()=>{t.style.animation="successSlideDown 0.5s cubic-bezier(0.34, 1.56, 0.64, 1) forwards"})}function de(e){e&&(e.disabled=!0,e.classList.add("button--success"),e.innerHTML=`
+    <span>${t}</span>
+  `,e.insertBefore(r,e.firstChild),requestAnimationFrame(()=>{r.style.animation="successSlideDown 0.5s cubic-bezier(0.34, 1.56, 0.64, 1) forwards"})}function Oi(e,t){if(!e)return;let r=document.createElement("div");r.className="ccc__success-banner ccc__success-banner--pending",r.setAttribute("role","status"),r.innerHTML=`
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="12" cy="12" r="9"></circle>
+      <polyline points="12 7 12 12 15 14"></polyline>
+    </svg>
+    <span></span>
+  `,r.querySelector("span").textContent=t,e.insertBefore(r,e.firstChild),requestAnimationFrame(()=>{r.style.animation="successSlideDown 0.5s cubic-bezier(0.34, 1.56, 0.64, 1) forwards"})}function ln(e){e&&e.querySelectorAll(".ccc__success-banner").forEach(t=>t.remove())}function ut(e,t="Added!"){e&&(e.disabled=!0,e.classList.add("button--success"),e.innerHTML=`
     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
       <polyline points="20 6 9 17 4 12"></polyline>
     </svg>
-    <span>Added!</span>
-  `)}async function ue(){let e=document.querySelector("cart-drawer");if(e)try{await(await fetch("/cart.js")).json(),typeof e.renderContents=="function"&&e.renderContents(),typeof e.open=="function"&&e.open()}catch(t){Be.error("[Cart Drawer] Failed to refresh cart:",t),typeof e.open=="function"&&e.open()}else Be.log("[Cart Drawer] No cart drawer found, redirecting to /cart"),window.location.href="/cart"}var Ve=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,U={log:(...e)=>Ve&&console.log(...e),warn:(...e)=>Ve&&console.warn(...e)};function dt(e){if(!e.options||e.options.length===0)return 0;let t=e.options.findIndex(o=>typeof o!="string"?!1:o.toLowerCase().includes("size")||o.toLowerCase().includes("card size"));return t>=0?t:0}function ut(e){let t=e.toLowerCase();return t.includes("large")||t.includes("big")?"Most Popular":t.includes("giant")||t.includes("xl")?"Makes a Statement":t.includes("standard")||t.includes("medium")?"Perfect Size":t.includes("small")||t.includes("compact")?"Sweet & Simple":""}function pt(e){let t=e.toLowerCase(),o={standard:'132 \xD7 185mm (5.2" \xD7 7.3")',large:'205 \xD7 290mm (8.1" \xD7 11.4")',giant:'293 \xD7 419mm (11.5" \xD7 16.5")',small:'105 \xD7 148mm (4.1" \xD7 5.8")',a5:'148 \xD7 210mm (5.8" \xD7 8.3")',a4:'210 \xD7 297mm (8.3" \xD7 11.7")',a6:'105 \xD7 148mm (4.1" \xD7 5.8")'};for(let[i,c]of Object.entries(o))if(t.includes(i))return c;return""}function ht(e){let t=e.toLowerCase(),o={standard:"Classic card size \u2013 fits perfectly on the mantelpiece",large:"Big impact \u2013 guaranteed to stand out",giant:"Statement piece \u2013 impossible to miss",small:"Cute and compact \u2013 perfect for desks",a5:"Generous space for longer messages",a4:"Maximum canvas \u2013 for when you have lots to say",a6:"Sweet little card \u2013 big on charm",square:"Modern and bold \u2013 looks great anywhere"};for(let[i,c]of Object.entries(o))if(t.includes(i))return c;return""}function ft(e,t,o){U.log("[Choice View] Building size radios:",{totalVariants:t.length,sizeOptionIndex:o,productOptions:e.options,variants:t.map(a=>({id:a.id,title:a.title,options:a.options,available:a.available}))});let i={};t.forEach(a=>{let s=a.options[o];U.log(`[Choice View] Variant ${a.id} has size: "${s}"`),i[s]||(i[s]=a)}),U.log("[Choice View] Variants grouped by size:",i);let c="",n=!0;return Object.entries(i).forEach(([a,s])=>{let d=a.toLowerCase()==="default title"||a.toLowerCase()==="default";if(d&&Object.keys(i).length>1)return;let u=ut(a),p=pt(a),f=ht(a),m=d?"Standard":a;c+=`
+    <span>${t}</span>
+  `)}async function dn(){let e=document.querySelector("cart-drawer");if(e)try{await(await fetch("/cart.js")).json(),typeof e.renderContents=="function"&&e.renderContents(),typeof e.open=="function"&&e.open()}catch(t){cn.error("[Cart Drawer] Failed to refresh cart:",t),typeof e.open=="function"&&e.open()}else cn.log("[Cart Drawer] No cart drawer found, redirecting to /cart"),window.location.href="/cart"}function dr(e){if(typeof publish=="function"&&typeof PUB_SUB_EVENTS<"u"){publish(PUB_SUB_EVENTS.cartUpdate,{source:"cc-choice",cartData:e});return}cn.log("[Cart Drawer] Theme pub/sub unavailable, reloading to show changes"),window.location.reload()}var Fi=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,Ge={log:(...e)=>Fi&&console.log(...e),warn:(...e)=>Fi&&console.warn(...e)};function ol(e){if(!e.options||e.options.length===0)return 0;let t=e.options.findIndex(r=>typeof r!="string"?!1:r.toLowerCase().includes("size")||r.toLowerCase().includes("card size"));return t>=0?t:0}function al(e){let t=e.toLowerCase();return t.includes("large")||t.includes("big")?"Most Popular":t.includes("giant")||t.includes("xl")?"Makes a Statement":t.includes("standard")||t.includes("medium")?"Perfect Size":t.includes("small")||t.includes("compact")?"Sweet & Simple":""}function il(e){let t=Se(e);return t?Eo(t):""}function sl(e){let t=e.toLowerCase(),r={standard:"Classic card size \u2013 fits perfectly on the mantelpiece",large:"Big impact \u2013 guaranteed to stand out",giant:"Statement piece \u2013 impossible to miss",small:"Cute and compact \u2013 perfect for desks",a5:"Generous space for longer messages",a4:"Maximum canvas \u2013 for when you have lots to say",a6:"Sweet little card \u2013 big on charm",square:"Modern and bold \u2013 looks great anywhere"};for(let[n,o]of Object.entries(r))if(t.includes(n))return o;return""}function cl(e,t,r){Ge.log("[Choice View] Building size radios:",{totalVariants:t.length,sizeOptionIndex:r,productOptions:e.options,variants:t.map(i=>({id:i.id,title:i.title,options:i.options,available:i.available}))});let n={};t.forEach(i=>{let s=i.options[r];Ge.log(`[Choice View] Variant ${i.id} has size: "${s}"`),n[s]||(n[s]=i)}),Ge.log("[Choice View] Variants grouped by size:",n);let o="",a=!0;return Object.entries(n).forEach(([i,s])=>{let c=i.toLowerCase()==="default title"||i.toLowerCase()==="default";if(c&&Object.keys(n).length>1)return;let d=al(i),u=il(i),f=sl(i),p=c?"Standard":i;o+=`
       <label class="ccc__size-option">
         <input
           type="radio"
           name="variant"
           value="${s.id}"
           data-price="${s.price}"
-          data-size-name="${F(m)}"
-          ${n?"checked":""}
+          data-size-name="${A(p)}"
+          ${a?"checked":""}
           ${s.available?"":"disabled"}
         >
         <div class="ccc__size-content">
           <div class="ccc__size-header">
-            <span class="ccc__size-label">${F(m)}</span>
-            ${u?`<span class="ccc__size-badge">${u}</span>`:""}
+            <span class="ccc__size-label">${A(p)}</span>
+            ${d?`<span class="ccc__size-badge">${d}</span>`:""}
           </div>
-          ${p?`<span class="ccc__size-dimensions">${p}</span>`:""}
+          ${u?`<span class="ccc__size-dimensions">${u}</span>`:""}
           ${f?`<p class="ccc__size-personality">${f}</p>`:""}
-          <span class="ccc__size-price">${E(s.price)}</span>
+          <span class="ccc__size-price">${U(s.price)}</span>
         </div>
         ${s.available?"":'<span class="ccc__size-unavailable">Out of stock</span>'}
       </label>
-    `,n=!1}),c}function He({product:e,selectedVariantId:t}){U.log("[Choice View] Rendering choice view for:",e.handle);let o=dt(e),i=e.variants;if(U.log("[Choice View] Using all variants (POD model):",i),U.log("[Choice View] Total variants:",i.length),i.length===0)return'<div class="ccc__error">Sorry, this product is currently out of stock.</div>';let c=i[0];return`
+    `,a=!1}),o}function $i({product:e,selectedVariantId:t}){Ge.log("[Choice View] Rendering choice view for:",e.handle);let r=ol(e),n=e.variants;if(Ge.log("[Choice View] Using all variants (POD model):",n),Ge.log("[Choice View] Total variants:",n.length),n.length===0)return'<div class="ccc__error">Sorry, this product is currently out of stock.</div>';let o=n[0];return`
     <div class="ccc__choice">
       <div class="ccc__product-preview">
         <img
           src="${e.featured_image}"
-          alt="${F(e.title)}"
+          alt="${A(e.title)}"
           class="ccc__product-image"
           loading="eager"
           style="aspect-ratio: 1 / 1; width: 100%;"
           width="600"
           height="600"
         >
-        <h2 id="ccc-title" class="ccc__product-title">${F(e.title)}</h2>
+        <h2 id="ccc-title" class="ccc__product-title">${A(e.title)}</h2>
         <div class="ccc__product-price">
-          <span data-ccc-price aria-live="polite" aria-atomic="true">${E(c.price)}</span>
+          <span data-ccc-price aria-live="polite" aria-atomic="true">${U(o.price)}</span>
         </div>
       </div>
 
@@ -408,7 +999,7 @@
 
         <h3 id="ccc-sizes-heading" class="ccc__sizes-heading">Select size</h3>
         <fieldset class="ccc__sizes" aria-labelledby="ccc-sizes-heading" role="radiogroup">
-          ${ft(e,i,o)}
+          ${cl(e,n,r)}
         </fieldset>
 
         <div class="ccc__delivery-promise">
@@ -419,8 +1010,8 @@
         </div>
 
         <div class="ccc__actions">
-          <button class="button button--primary" data-ccc-personalise data-ccc-price="${c.price}">
-            Personalise \u2014 ${E(c.price)}
+          <button class="button button--primary" data-ccc-personalise data-ccc-price="${o.price}">
+            Personalise \u2014 ${U(o.price)}
           </button>
           <p class="ccc__actions-caption">You'll see exactly how it looks inside before you buy</p>
           <button class="button button--secondary" data-ccc-add-blank>
@@ -439,10 +1030,10 @@
         </a>
       </div>
     </div>
-  `}function Ue(e,t){let o=e.querySelector("[data-ccc-personalise]"),i=e.querySelectorAll('input[name="variant"]');i.forEach(n=>{n.addEventListener("change",a=>{let s=parseInt(a.target.value,10),d=parseInt(a.target.dataset.price,10),u=a.target.dataset.sizeName||"",p=e.querySelector("[data-ccc-price]");p&&(p.style.animation="none",setTimeout(()=>{p.textContent=E(d),p.style.animation="priceChange 0.4s cubic-bezier(0.68, -0.55, 0.265, 1.55)"},10)),o&&(o.textContent=`Personalise \u2014 ${E(d)}`,o.dataset.cccPrice=d),t.onVariantChange&&t.onVariantChange(s,d,u)})}),i.forEach((n,a)=>{n.addEventListener("keydown",s=>{let d=a;if(s.key==="ArrowDown"||s.key==="ArrowRight")s.preventDefault(),d=(a+1)%i.length;else if(s.key==="ArrowUp"||s.key==="ArrowLeft")s.preventDefault(),d=(a-1+i.length)%i.length;else return;i[d].focus(),i[d].checked=!0,i[d].dispatchEvent(new Event("change",{bubbles:!0}))})}),o&&o.addEventListener("click",()=>{t.onPersonalise&&t.onPersonalise()});let c=e.querySelector("[data-ccc-add-blank]");c&&c.addEventListener("click",()=>{t.onAddBlank&&t.onAddBlank()})}function Oe(e,t){let o=e.querySelector(".ccc__footer-mobile");o&&o.remove();let i=`
+  `}function zi(e,t){let r=e.querySelector("[data-ccc-personalise]"),n=e.querySelectorAll('input[name="variant"]');n.forEach(a=>{a.addEventListener("change",i=>{let s=parseInt(i.target.value,10),c=parseInt(i.target.dataset.price,10),d=i.target.dataset.sizeName||"",u=e.querySelector("[data-ccc-price]");u&&(u.style.animation="none",setTimeout(()=>{u.textContent=U(c),u.style.animation="priceChange 0.4s cubic-bezier(0.68, -0.55, 0.265, 1.55)"},10)),r&&(r.textContent=`Personalise \u2014 ${U(c)}`,r.dataset.cccPrice=c),t.onVariantChange&&t.onVariantChange(s,c,d)})}),n.forEach((a,i)=>{a.addEventListener("keydown",s=>{let c=i;if(s.key==="ArrowDown"||s.key==="ArrowRight")s.preventDefault(),c=(i+1)%n.length;else if(s.key==="ArrowUp"||s.key==="ArrowLeft")s.preventDefault(),c=(i-1+n.length)%n.length;else return;n[c].focus(),n[c].checked=!0,n[c].dispatchEvent(new Event("change",{bubbles:!0}))})}),r&&r.addEventListener("click",()=>{t.onPersonalise&&t.onPersonalise()});let o=e.querySelector("[data-ccc-add-blank]");o&&o.addEventListener("click",()=>{t.onAddBlank&&t.onAddBlank()})}function qi(e,t){let r=e.querySelector(".ccc__footer-mobile");r&&r.remove();let n=`
     <div class="ccc__footer-mobile">
       <button class="button button--primary" data-ccc-personalise-mobile data-ccc-price="${t.price}">
-        Personalise \u2014 ${E(t.price)}
+        Personalise \u2014 ${U(t.price)}
       </button>
     </div>
-  `;e.insertAdjacentHTML("beforeend",i);let c=e.querySelector("[data-ccc-personalise-mobile]");c&&e._choiceViewCallbacks&&e._choiceViewCallbacks.onPersonalise&&c.addEventListener("click",()=>{e._choiceViewCallbacks.onPersonalise()})}var Wt=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0;var gt=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,mt={warn:(...e)=>gt&&console.warn(...e)};function Ge(e){if(typeof window.ccRecs>"u"){mt.warn("[Recs Integration] Recommendation engine not loaded");return}if(!e||!e.tags)return;let t=Array.isArray(e.tags)?e.tags:(e.tags||"").split(",").map(c=>c.trim()),o={interest:[],occasion:[],recipient:[],style:[],humour:[]};t.forEach(c=>{let a=c.toLowerCase().trim().split(":");if(a.length===2){let[s,d]=a;o.hasOwnProperty(s)&&o[s].push(d)}});let i=window.ccRecs.createRail("#cc-recs-container");i&&i.render(e.handle,o)}var je=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,y={log:(...e)=>je&&console.log(...e),warn:(...e)=>je&&console.warn(...e),error:(...e)=>console.error(...e)};function pe(e,t){e&&(e.textContent=t,e.hidden=!1)}function yt(e){e&&(e.textContent="",e.hidden=!0)}var he=class extends HTMLElement{constructor(){super(),this.productData=null,this.selectedVariantId=null,this.variantSkuMap=null,this.opener=null,this._cachedLayout=null,this._resizeObserver=null,this._resizeDebounce=null}connectedCallback(){this.modalElement=this,this.dialog=this.querySelector("[data-ccc-dialog]"),this.backdrop=this.querySelector("[data-ccc-backdrop]"),this.body=this.querySelector("[data-ccc-body]"),this.errorElement=this.querySelector("[data-ccc-error]"),this.bindCloseHandlers()}bindCloseHandlers(){let t=this.querySelector("[data-ccc-close]");t&&t.addEventListener("click",()=>this.hide()),this.backdrop&&this.backdrop.addEventListener("click",o=>{o.target===this.backdrop&&this.hide()})}async show({handle:t,productUrl:o,opener:i=null,fromRecs:c=!1}){y.log("[CC Choice] show() called with:",{handle:t,productUrl:o,opener:i,fromRecs:c}),this.opener=i,yt(this.errorElement),this.body.innerHTML=Le(),this.modalElement.hidden=!1,this.modalElement.setAttribute("aria-hidden","false"),document.body.style.overflow="hidden",S("cc_modal_open",{product_handle:t,source:c?"recommendations":"grid"}),this.pushHistoryState(t);try{this.productData=await Re(t),y.log("[CC Choice] Product data loaded:",this.productData),this.variantSkuMap=await this.loadVariantSkus(),this.buildChoiceView()}catch(n){console.error("[CC Choice] Failed to load product:",n),pe(this.errorElement,"Unable to load product details. Please try again.")}}hide(){y.log("[CC Choice] hide() called"),this.modalElement.hidden=!0,this.modalElement.setAttribute("aria-hidden","true"),document.body.style.overflow="",this.body.innerHTML="",this.opener&&this.opener.focus&&this.opener.focus(),window.history.state&&window.history.state.ccModal&&window.history.replaceState(null,"",window.location.pathname),S("cc_modal_close",{product_handle:this.productData?.handle}),this.productData=null,this.selectedVariantId=null,this.variantSkuMap=null,this.opener=null}pushHistoryState(t){let o=`/products/${t}`;(!window.history.state||!window.history.state.ccModal)&&window.history.pushState({ccModal:!0,handle:t},"",o)}async loadVariantSkus(){try{let t=await Ee(this.productData.handle);if(t&&Object.keys(t).length>0)return y.log("[CC Choice] Loaded variant SKUs from metafields:",t),t}catch(t){y.warn("[CC Choice] Metafield fetch failed:",t)}return y.warn("[CC Choice] No SKU map found for product:",this.productData.handle),{}}buildChoiceView(){y.log("[CC Choice] buildChoiceView()");let t=this.productData,o=t.variants,i=this.selectedVariantId;!i&&o.length>0&&(i=o[0].id);let c=He({product:t,selectedVariantId:i});this.body.innerHTML=c,Ge(t),requestAnimationFrame(()=>{Ue(this,{onVariantChange:n=>{this.selectedVariantId=n,y.log("[CC Choice] Variant changed to:",n)},onPersonalise:()=>{y.log("[CC Choice] Personalise button clicked"),this.buildPersonaliserView()},onAddBlank:n=>{y.log("[CC Choice] Add blank clicked for variant:",n),this.handleBlankAdd(n)}}),Oe(this),this.updateLayout(),this.setupResizeListener()})}buildPersonaliserView(){y.log("[CC Choice] buildPersonaliserView()");let t=this.productData,o=t.variants.find(n=>n.id===this.selectedVariantId);if(!o){console.error("[CC Choice] No variant selected!");return}S("cc_personalise_open",{product_id:t.id,variant_id:o.id,price:o.price});let i=be(t.handle,o.id),c=Fe(t,o,i);this.body.innerHTML=c,requestAnimationFrame(()=>{Ie(this,{product:this.productData,selectedVariantId:this.selectedVariantId,variantSkuMap:this.variantSkuMap},{onBack:()=>this.buildChoiceView(),onSubmit:n=>this.handlePersonalisedAdd(n)}),this.updateLayout(),this.setupResizeListener(),j(),Te(this)})}async handleBlankAdd(t){y.log("[CC Choice] handleBlankAdd() for variant:",t);let o=this.productData.variants.find(n=>n.id===t);if(!o){console.error("[CC Choice] Variant not found:",t);return}let i={id:o.id,quantity:1,properties:{leave_blank:"Yes","Delivery Method":"Mail2Me"}},c=this.querySelector("[data-ccc-add-blank]");try{await re(i),S("cc_add_blank_success",{product_id:this.productData.id,variant_id:o.id,price:o.price}),c&&de(c),le(this.dialog),setTimeout(()=>{ue(),this.hide()},800)}catch(n){console.error("[CC Choice] Add to cart failed:",n),pe(this.errorElement,"Unable to add to cart. Please try again.")}}async handlePersonalisedAdd(t){y.log("[CC Choice] handlePersonalisedAdd()"),y.log("[CC Choice] Form element:",t),y.log("[CC Choice] Form ID:",t?.id),y.log("[CC Choice] Form action:",t?.action);let o=this.productData.variants.find(C=>C.id===this.selectedVariantId);if(!o){console.error("[CC Choice] No variant selected!");return}let i=new FormData(t),c=i.get("insideMessage")||"",n=i.get("fontFamily")||"Playfair Display",a=i.get("fontSize")||"medium",s=i.get("textColor")||"#1A1A1A",d=i.get("deliveryMethod")||"Mail2Me",u=i.get("leave_blank")==="on";y.log("[CC Choice] Form data extracted:",{insideMessage:c.substring(0,50)+"...",fontFamily:n,fontSize:a,textColor:s,deliveryMethod:d,leaveBlank:u});let p={"Inside Message":u?"":c,"Font Family":n,"Font Size":a,"Text Color":s,"Delivery Method":d,_card_template:"classic-5x7",_artwork_prompt:this.productData.title||""},f=this.variantSkuMap?.[this.selectedVariantId];f&&(p._prodigi_sku=f),u&&(p.leave_blank="Yes"),d==="Direct"&&(p["Recipient Name"]=i.get("recipientName")||"",p["Address Line 1"]=i.get("addressLine1")||"",p["Address Line 2"]=i.get("addressLine2")||"",p.City=i.get("city")||"",p.Postcode=i.get("postcode")||"",p.Country=i.get("country")||"United Kingdom"),y.log("[CC Choice] Cart properties:",p);let m={id:o.id,quantity:1,properties:p},b=t.querySelector('[type="submit"]');y.log("[CC Choice] Submit button found:",b),y.log("[CC Choice] Submit button text:",b?.textContent);try{y.log("[CC Choice] Calling addToCart with payload:",m),await re(m),S("cc_add_personalised_success",{product_id:this.productData.id,variant_id:o.id,price:o.price,has_message:!u&&c.length>0,message_length:c.length,delivery_method:d}),b&&(y.log("[CC Choice] Transforming button to success state"),de(b)),le(this.dialog),Q(this.productData.handle,o.id),setTimeout(()=>{y.log("[CC Choice] Opening cart drawer and hiding modal"),ue(),this.hide()},800)}catch(C){console.error("[CC Choice] Add to cart failed:",C),y.error("[CC Choice] Error details:",C.message,C.stack),pe(this.errorElement,"Unable to add to cart. Please try again."),b&&(b.disabled=!1,b.classList.remove("button--loading"))}}updateLayout(){let t=ke(this);if(!t)return;let o=Ce(t);Se(this,o),this._cachedLayout={config:t,layout:o}}setupResizeListener(){this._resizeObserver&&this._resizeObserver.disconnect(),this._resizeObserver=new ResizeObserver(()=>{clearTimeout(this._resizeDebounce),this._resizeDebounce=setTimeout(()=>{this.updateLayout()},100)}),this.dialog&&this._resizeObserver.observe(this.dialog)}renderCardPreview(t,o="Playfair Display",i="medium",c="#1A1A1A"){ne(this,t,o,i,c)}},Ne=he;var We=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,Z={log:(...e)=>We&&console.log(...e),warn:(...e)=>We&&console.warn(...e),error:(...e)=>console.error(...e)};we();customElements.define("cc-choice-modal",Ne);function Ke(){document.addEventListener("click",e=>{if(e.ctrlKey||e.metaKey||e.shiftKey||e.button!==0)return;let t=e.target.closest("[data-cc-card]");if(!t)return;e.preventDefault(),e.stopImmediatePropagation(),e.stopPropagation();let o=document.querySelector("cc-choice-modal");if(!o){Z.error("[CC Choice] Modal not found in DOM"),window.location.href=t.href;return}let i=t.dataset.ccHandle,c=t.dataset.ccVariantSkus;if(c)try{let a=JSON.parse(c);window.prodigiVariantSkus=window.prodigiVariantSkus||{},window.prodigiVariantSkus[i]=a,Z.log("[CC Choice] Loaded SKU data from card element for:",i,a)}catch(a){Z.error("[CC Choice] Failed to parse variant SKUs from card element:",a)}else Z.log("[CC Choice] No variant SKU data on card element for:",i);let n=t.closest(".cc-recs")!==null;o.show({handle:i,productUrl:t.href,opener:t,fromRecs:n})},!0)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Ke):Ke();var Je=new Set;function Ye(e){if(!e||Je.has(e))return;Je.add(e);let t=document.createElement("link");t.rel="prefetch",t.href=`/products/${e}.js`,t.as="fetch",document.head.appendChild(t)}function fe(){document.querySelectorAll("[data-cc-card]").forEach(t=>{let o=t.dataset.ccHandle;o&&(t.addEventListener("mouseenter",()=>{Ye(o)},{once:!0,passive:!0}),t.addEventListener("focus",()=>{Ye(o)},{once:!0,passive:!0}))})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",fe):fe();typeof window.MutationObserver<"u"&&new MutationObserver(()=>{fe()}).observe(document.body,{childList:!0,subtree:!0});window.addEventListener("popstate",e=>{let t=document.querySelector("cc-choice-modal");t&&!t.hasAttribute("hidden")&&t.hide()});})();
+  `;e.insertAdjacentHTML("beforeend",n);let o=e.querySelector("[data-ccc-personalise-mobile]");o&&e._choiceViewCallbacks&&e._choiceViewCallbacks.onPersonalise&&o.addEventListener("click",()=>{e._choiceViewCallbacks.onPersonalise()})}var ll=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,dl={warn:(...e)=>ll&&console.warn(...e)};function Ni(e){if(typeof window.ccRecs>"u"){dl.warn("[Recs Integration] Recommendation engine not loaded");return}if(!e||!e.tags)return;let t=Array.isArray(e.tags)?e.tags:(e.tags||"").split(",").map(o=>o.trim()),r={interest:[],occasion:[],recipient:[],style:[],humour:[]};t.forEach(o=>{let i=o.toLowerCase().trim().split(":");if(i.length===2){let[s,c]=i;r.hasOwnProperty(s)&&r[s].push(c)}});let n=window.ccRecs.createRail("#cc-recs-container");n&&n.render(e.handle,r)}var Ui=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,T={log:(...e)=>Ui&&console.log(...e),warn:(...e)=>Ui&&console.warn(...e),error:(...e)=>console.error(...e)},ul=["insideMessage","leftMessage","frontCaption","photo","fontFamily","textColor","arrivalDate"];function Z(e,t){e&&(e.textContent=t,e.hidden=!1)}function un(e){e&&(e.textContent="",e.hidden=!0)}function pt(e,t="Unable to add to cart. Please try again."){switch(e&&e.type){case R.SOLD_OUT:return`${e.message} Try another size, or reduce the quantity in your basket.`;case R.INVALID:return"Something in this card couldn't be saved. Please check your message and delivery details, then try again.";case R.NOT_FOUND:return"This card is no longer available. Please refresh the page to see the current range.";case R.RATE_LIMITED:case R.SERVER:return"Our basket is busy right now. Please try again in a moment.";case R.NETWORK:return"We couldn't reach the shop. Please check your connection and try again.";default:return t}}var pn=class extends HTMLElement{constructor(){super(),this.productData=null,this.selectedVariantId=null,this.variantSkuMap=null,this.typography=null,this.frontCaption=null,this.photoCard=!1,this.batchMode=!1,this.batchLines=[],this.editingLine=null,this.pendingAddId=null,this.route=null,this._closingViaHistory=!1,this.session=null,this.opener=null,this._cachedLayout=null,this._resizeObserver=null,this._resizeDebounce=null}connectedCallback(){this.modalElement=this,this.dialog=this.querySelector("[data-ccc-dialog]"),this.backdrop=this.querySelector("[data-ccc-backdrop]"),this.body=this.querySelector("[data-ccc-body]"),this.errorElement=this.querySelector("[data-ccc-error]"),this.bindCloseHandlers()}bindCloseHandlers(){let t=this.querySelector("[data-ccc-close]");t&&t.addEventListener("click",()=>this.hide({reason:"close_button"})),this.backdrop&&this.backdrop.addEventListener("click",r=>{r.target===this.backdrop&&this.hide({reason:"backdrop"})}),this.addEventListener("keydown",r=>{r.key==="Escape"&&!this.modalElement.hidden&&!r.defaultPrevented&&this.hide({reason:"escape"})})}async show({handle:t,productUrl:r,opener:n=null,fromRecs:o=!1,variantId:a=null,view:i=G.CHOICE,deliveryMethod:s=null,fromLink:c=!1,fromHistory:d=!1}){T.log("[CC Choice] show() called with:",{handle:t,productUrl:r,opener:n,fromRecs:o,variantId:a,view:i,fromLink:c,fromHistory:d}),this.opener=n,un(this.errorElement),ln(this.dialog),this.pendingAddId=null,this.body.innerHTML=La(),this.modalElement.hidden=!1,this.modalElement.setAttribute("aria-hidden","false"),document.body.style.overflow="hidden";let u=o?"recommendations":"grid";c&&(u="link"),d&&(u="history"),S("cc_modal_open",{product_handle:t,source:u}),this.endSession("product_switch"),this.session=Nn({handle:t,source:u});let f={handle:t,view:i,variantId:Number(a)||null,deliveryMethod:s};c?this.setRoute(f,{push:!1}):d||this.setRoute(f,{push:!0}),this.route=f;try{this.productData=await Di(t),T.log("[CC Choice] Product data loaded:",this.productData);let[p,y,k,m]=await Promise.all([this.loadVariantSkus(),Ka(t),Xa(t),Ja(t)]);this.variantSkuMap=p,this.frontCaption=Fo(k),this.photoCard=qo(m&&m.enabled),this.typography=ot(y),this.typography.skipped.length>0&&T.warn("[CC Choice] Skipped unknown fonts/ink colours in settings or metafields:",this.typography.skipped),this.renderRoute(f)}catch(p){console.error("[CC Choice] Failed to load product:",p),Z(this.errorElement,"Unable to load product details. Please try again.")}}editCartLine({handle:t,variantId:r,key:n,quantity:o,properties:a,opener:i=null,fromDrawer:s=!1}){return T.log("[CC Choice] editCartLine() called with:",{handle:t,variantId:r,key:n,quantity:o}),this.editingLine={key:n,quantity:o,line:ia(a),fromDrawer:s},S("cc_cart_line_edit_open",{product_handle:t,variant_id:r}),this.show({handle:t,opener:i,variantId:r,view:G.PERSONALISE})}hide({fromHistory:t=!1,reason:r=t?"back_button":"close_button"}={}){T.log("[CC Choice] hide() called",{fromHistory:t,reason:r}),this.modalElement.hidden=!0,this.modalElement.setAttribute("aria-hidden","true"),document.body.style.overflow="",this.body.innerHTML="",this.opener&&this.opener.focus&&this.opener.focus();let n=window.history.state;!t&&n&&n.ccModal&&(n.depth>0?(this._closingViaHistory=!0,window.history.go(-n.depth)):window.history.replaceState(null,"",Hr(window.location.href))),S("cc_modal_close",{product_handle:this.productData?.handle}),this.endSession(r),this.productData=null,this.selectedVariantId=null,this.variantSkuMap=null,this.typography=null,this.frontCaption=null,this.photoCard=!1,this.opener=null,this.batchMode=!1,this.batchLines=[],this.editingLine=null,this.route=null}markStep(t){this.session&&this.session.mark(t)}endSession(t){if(!this.session)return;let r=this.session.end(t);this.session=null,r&&(T.log("[CC Choice] Session ended:",r),S("cc_modal_session",r))}setRoute(t,{push:r=!1}={}){let n=window.history.state,o=n&&n.ccModal?n.depth:0,a={ccModal:!0,route:t,depth:r?o+1:o,canGoBack:r&&t.view===G.PERSONALISE},i=ua(t,window.location.href);r?window.history.pushState(a,"",i):window.history.replaceState({...a,canGoBack:!!(n&&n.canGoBack)},"",i),this.route=t}updateRoute(t){this.route&&this.setRoute({...this.route,...t},{push:!1})}renderRoute(t){let r=this.productData.variants.find(n=>n.id===t.variantId);r&&(this.selectedVariantId=r.id),t.view===G.PERSONALISE&&r?this.buildPersonaliserView():this.buildChoiceView()}handlePopState(t){if(this._closingViaHistory){this._closingViaHistory=!1,t&&t.ccModal&&window.history.replaceState(null,"",Hr(window.location.href));return}let r=t&&t.ccModal?t.route:null,n=!this.modalElement.hidden;if(!r){n&&this.hide({fromHistory:!0});return}if(!n||!this.productData||this.productData.handle!==r.handle){this.show({...r,fromHistory:!0});return}T.log("[CC Choice] Routing to:",r),this.route=r,this.renderRoute(r)}async loadVariantSkus(){try{let t=await Ya(this.productData.handle);if(t&&Object.keys(t).length>0)return T.log("[CC Choice] Loaded variant SKUs from metafields:",t),t}catch(t){T.warn("[CC Choice] Metafield fetch failed:",t)}return T.warn("[CC Choice] No SKU map found for product:",this.productData.handle),{}}buildChoiceView(){T.log("[CC Choice] buildChoiceView()");let t=this.productData,r=t.variants,n=this.selectedVariantId;!n&&r.length>0&&(n=r[0].id);let o=$i({product:t,selectedVariantId:n});this.body.innerHTML=o,Ni(t),requestAnimationFrame(()=>{zi(this,{onVariantChange:a=>{this.selectedVariantId=a,this.updateRoute({variantId:a}),this.markStep("variant_select"),T.log("[CC Choice] Variant changed to:",a)},onPersonalise:()=>{T.log("[CC Choice] Personalise button clicked"),this.setRoute({handle:t.handle,view:G.PERSONALISE,variantId:this.selectedVariantId,deliveryMethod:null},{push:!0}),this.buildPersonaliserView()},onAddBlank:a=>{T.log("[CC Choice] Add blank clicked for variant:",a),this.handleBlankAdd(a)}}),qi(this),this.updateLayout(),this.setupResizeListener()})}buildPersonaliserView(){T.log("[CC Choice] buildPersonaliserView()");let t=this.productData,r=t.variants.find(i=>i.id===this.selectedVariantId);if(!r){console.error("[CC Choice] No variant selected!");return}S("cc_personalise_open",{product_id:t.id,variant_id:r.id,price:r.price}),this.markStep("personalise_enter");let n=!!this.editingLine,o=n?null:Pt(t.handle,r.id),a=Pi({product:t,selectedVariant:r,savedPersonalization:o,typography:this.typography,frontCaption:this.frontCaption,photoCard:this.photoCard,formId:"cc-modal-form",escapeHtml:A,getVariantDisplayName:i=>i.public_title||i.title,buildRecipientAddressFields:Ra,editing:n});this.body.innerHTML=a,requestAnimationFrame(()=>{Mi(this,{product:this.productData,selectedVariantId:this.selectedVariantId,variantSkuMap:this.variantSkuMap,typography:this.typography,frontCaption:this.frontCaption,photoCard:this.photoCard,initialLine:n?this.editingLine.line:null,initialDeliveryMethod:this.route?this.route.deliveryMethod:null,cardFormat:this.getCardFormat()},{onBack:()=>{if(window.history.state&&window.history.state.canGoBack){window.history.back();return}this.updateRoute({view:G.CHOICE,deliveryMethod:null}),this.buildChoiceView()},onDeliveryChange:s=>this.updateRoute({deliveryMethod:s}),onSubmit:s=>this.handlePersonalisedAdd(s),onBatchToggle:s=>this.handleBatchToggle(s),onAddCopy:s=>this.handleAddCopy(s),onEditCopy:(s,c)=>this.handleEditCopy(s,c),onRemoveCopy:s=>this.handleRemoveCopy(s),onAiSuggestions:()=>this.markStep("ai_used")}),this.renderBatchTray();let i=this.querySelector("[data-ccc-message-field]");i&&i.addEventListener("input",s=>{s.isTrusted&&this.markStep("first_keystroke")}),this.updateLayout(),this.setupResizeListener(),pi(this,this.getCardFormat())})}async handleBlankAdd(t){T.log("[CC Choice] handleBlankAdd() for variant:",t),this.markStep("submit");let r=this.productData.variants.find(a=>a.id===t);if(!r){console.error("[CC Choice] Variant not found:",t);return}let n={id:r.id,quantity:1,properties:{leave_blank:"Yes",...Rt({deliveryMethod:q.MAIL_TO_ME})}},o=this.querySelector("[data-ccc-add-blank]");try{await wt(n),S("cc_add_blank_success",{product_id:this.productData.id,variant_id:r.id,price:r.price}),this.markStep("success"),o&&ut(o),lr(this.dialog),setTimeout(()=>{dn(),this.hide({reason:"added"})},800)}catch(a){console.error("[CC Choice] Add to cart failed:",a),this.markStep("error"),this.trackCartError(a),Z(this.errorElement,pt(a))}}async handlePersonalisedAdd(t){if(T.log("[CC Choice] handlePersonalisedAdd()"),T.log("[CC Choice] Form element:",t),T.log("[CC Choice] Form ID:",t?.id),this.markStep("submit"),this.editingLine)return this.handleLineEdit(t);if(this.batchMode)return this.handleBatchAdd(t);let r=this.productData.variants.find(c=>c.id===this.selectedVariantId);if(!r){console.error("[CC Choice] No variant selected!");return}let n=this.validateFormLine(t);if(!n)return;let o=n.line,a=o.delivery.deliveryMethod;T.log("[CC Choice] Form data extracted:",{insideMessage:o.insideMessage.substring(0,50)+"...",fontFamily:o.fontFamily,fontSize:o.fontSize,textColor:o.textColor,deliveryMethod:a,leaveBlank:o.leaveBlank});let[i]=pe([Kt(o,this.getCardLineContext(r))]);T.log("[CC Choice] Cart properties:",i.properties);let s=t.querySelector('[type="submit"]');T.log("[CC Choice] Submit button found:",s);try{T.log("[CC Choice] Calling addToCart with payload:",i),await wt(i),S("cc_add_personalised_success",{product_id:this.productData.id,variant_id:r.id,price:r.price,has_message:!o.leaveBlank&&o.insideMessage.length>0,message_length:o.insideMessage.length,has_front_caption:o.frontCaption.trim().length>0,has_photo:!!o.photoRef,delivery_method:a}),H(a)&&this.saveChosenRecipient(t,o),this.completePersonalisedAdd(s,r)}catch(c){if(console.error("[CC Choice] Add to cart failed:",c),T.error("[CC Choice] Error details:",c.message,c.stack),c.type===R.NETWORK&&this.queueOfflineAdd([i],s,r))return;this.markStep("error"),this.trackCartError(c),Z(this.errorElement,pt(c)),s&&(s.disabled=!1,s.classList.remove("button--loading"))}}async handleLineEdit(t){let r=this.productData.variants.find(d=>d.id===this.selectedVariantId);if(!r){console.error("[CC Choice] No variant selected!");return}let n=this.validateFormLine(t);if(!n)return;let{key:o,quantity:a,fromDrawer:i}=this.editingLine,{properties:s}=Kt(n.line,this.getCardLineContext(r)),c=t.querySelector('[type="submit"]');try{let d=await Vn({id:o,quantity:a,properties:s});S("cc_cart_line_edited",{product_id:this.productData.id,variant_id:r.id,delivery_method:n.line.delivery.deliveryMethod}),this.markStep("success"),H(n.line.delivery.deliveryMethod)&&this.saveChosenRecipient(t,n.line),c&&ut(c,"Saved!"),lr(this.dialog,"Basket updated!"),ge(this.productData.handle,r.id),dr(d),setTimeout(()=>{this.hide({reason:"added"});let u=document.querySelector("cart-drawer");i&&u&&typeof u.open=="function"&&u.open()},800)}catch(d){console.error("[CC Choice] Cart line edit failed:",d),this.markStep("error"),this.trackCartError(d),Z(this.errorElement,pt(d,"Unable to update your basket. Please try again.")),c&&(c.disabled=!1,c.classList.remove("button--loading"))}}validateFormLine(t){let r=jr(Wt(new FormData(t)),new Date,{format:this.getCardFormat(),catalogue:this.typography,frontCaption:this.frontCaption,photoRequired:this.photoCard}),{errors:n,line:o}=r,a=t.querySelector("[data-ccc-recipient-fields]");if(Va(a,n.arrivalDate||""),Kr(a,n),!r.valid){T.log("[CC Choice] Card line invalid:",n),this.markStep("error");let i=n.insideMessage||n.leftMessage||n.frontCaption||n.photo||n.fontFamily||n.textColor;i&&Z(this.errorElement,i);let s=Object.keys(n).filter(c=>!ul.includes(c));return s.length>0&&S("cc_recipient_invalid",{product_handle:this.productData.handle,country:o.delivery.recipient.country,fields:s.join(",")}),null}return un(this.errorElement),r}getCardLineContext(t){return{variantId:t.id,variantSkus:nr(this.variantSkuMap,t.id),artworkPrompt:this.productData.title||"",proof:{baseUrl:wo,size:t.title||""}}}saveChosenRecipient(t,r){let n=$a(t);n.save&&Zt({id:n.id,nickname:n.nickname,recipient:r.delivery.recipient})&&S("cc_saved_recipient_saved",{product_handle:this.productData.handle,is_update:!!n.id})}completePersonalisedAdd(t,r){this.markStep("success"),t&&(T.log("[CC Choice] Transforming button to success state"),ut(t)),lr(this.dialog),ge(this.productData.handle,r.id),setTimeout(()=>{T.log("[CC Choice] Opening cart drawer and hiding modal"),dn(),this.hide({reason:"added"})},800)}queueOfflineAdd(t,r,n){let o=Ca(t,{handle:this.productData.handle,variantId:n.id,title:this.productData.title});return o?(this.pendingAddId=o.id,S("cc_add_queued",{product_handle:this.productData.handle,variant_id:n.id,copies:t.length}),un(this.errorElement),r&&ut(r,"Saved"),Oi(this.dialog,t.length>1?`Saved \u2013 we'll add these ${t.length} cards when you're back online`:"Saved \u2013 we'll add it to your basket when you're back online"),!0):!1}handlePendingReplay({added:t,failed:r}){if(!this.pendingAddId||this.hidden)return!1;let n=t.find(a=>a.id===this.pendingAddId),o=r.find(({entry:a})=>a.id===this.pendingAddId);if(!n&&!o)return!1;if(this.pendingAddId=null,ln(this.dialog),n){let a=this.productData.variants.find(i=>i.id===n.variantId);return this.completePersonalisedAdd(null,a||{id:n.variantId}),!0}return this.markStep("error"),this.trackCartError(o.error),Z(this.errorElement,`We couldn't add your saved card. ${pt(o.error)}`),!1}trackCartError(t){S("cc_add_error",{product_handle:this.productData.handle,error_type:t&&t.type||R.REJECTED,status:t&&t.status||0})}renderBatchTray(t={}){let r=this.productData.variants.find(n=>n.id===this.selectedVariantId);Ua(this,{enabled:this.batchMode,copies:this.batchLines.map(n=>({summary:aa(n),message:n.leaveBlank?"":n.insideMessage})),errors:t,price:r?r.price:0})}async handleBatchToggle(t){if(!t&&this.batchLines.length>0){if(!await He("Discard saved copies?",`Your ${this.batchLines.length} saved ${this.batchLines.length===1?"copy":"copies"} will be removed. The copy you're writing stays.`,"Discard copies")){this.renderBatchTray();return}this.batchLines=[]}this.batchMode=t,this.renderBatchTray(),S("cc_batch_mode_toggled",{product_handle:this.productData.handle,enabled:t})}handleAddCopy(t){let r=this.validateFormLine(t);return r?Yt(r.line)?(Z(this.errorElement,"Write a message or add a recipient before saving this copy."),!1):(this.saveChosenRecipient(t,r.line),this.batchLines.push(r.line),this.renderBatchTray(),T.log("[CC Choice] Copy saved, batch size:",this.batchLines.length),!0):!1}handleEditCopy(t,r){let n=this.batchLines[r];if(!n)return null;let o=Wt(new FormData(t));if(Yt(o))this.batchLines.splice(r,1);else{let a=this.validateFormLine(t);if(!a)return null;this.batchLines.splice(r,1,a.line)}return this.renderBatchTray(),n}handleRemoveCopy(t){this.batchLines.splice(t,1),this.renderBatchTray()}async handleBatchAdd(t){let r=this.productData.variants.find(p=>p.id===this.selectedVariantId);if(!r){console.error("[CC Choice] No variant selected!");return}let n={},o=this.getCardFormat(),a=this.batchLines.map((p,y)=>{let k=jr(p,new Date,{format:o,catalogue:this.typography,frontCaption:this.frontCaption,photoRequired:this.photoCard});return k.valid||(n[y]=Object.values(k.errors)[0]),k.line});if(Object.keys(n).length>0){this.renderBatchTray(n),this.markStep("error"),Z(this.errorElement,"Some copies need fixing before they can be added.");return}let i=null;if(a.length===0||!Yt(Wt(new FormData(t)))){let p=this.validateFormLine(t);if(!p)return;i=p.line}let s=i?[...a,i]:a,c=i?s.length-1:-1,d=t.querySelector('[type="submit"]'),u=this.getCardLineContext(r),f=pe(s.map(p=>Kt(p,u)));try{let p=await Hn(f),y=p.added.includes(c);if(S("cc_batch_add",{product_id:this.productData.id,variant_id:r.id,price:r.price,copies:s.length,added:p.added.length,failed:p.failed.length}),y&&H(i.delivery.deliveryMethod)&&this.saveChosenRecipient(t,i),p.failed.length===0)return this.batchLines=[],this.completePersonalisedAdd(d,r),{formAdded:y};let k={},m=p.failed.find(({index:C})=>C===c);this.batchLines=p.failed.filter(({index:C})=>C!==c).map(({index:C,message:z},O)=>(k[O]=z,s[C])),this.renderBatchTray(k),this.markStep("error");let w=p.added.length,I=w>0?`${w} of ${s.length} cards were added to your basket.`:"None of the cards could be added to your basket.";return Z(this.errorElement,m?`${I} This copy couldn't be added: ${m.message}`:`${I} See the copies below.`),{formAdded:y}}catch(p){if(console.error("[CC Choice] Batch add to cart failed:",p),p.type===R.NETWORK&&this.queueOfflineAdd(f,d,r))return i&&H(i.delivery.deliveryMethod)&&this.saveChosenRecipient(t,i),this.batchLines=[],this.renderBatchTray(),{formAdded:!!i};this.markStep("error"),this.trackCartError(p),Z(this.errorElement,pt(p)),d&&(d.disabled=!1,d.classList.remove("button--loading"))}}updateLayout(){let t=Ta(this);if(!t)return;let r=xa(t);Aa(this,r),this._cachedLayout={config:t,layout:r}}setupResizeListener(){this._resizeObserver&&this._resizeObserver.disconnect(),this._resizeObserver=new ResizeObserver(()=>{clearTimeout(this._resizeDebounce),this._resizeDebounce=setTimeout(()=>{this.updateLayout()},100)}),this.dialog&&this._resizeObserver.observe(this.dialog)}renderCardPreview(t,r="Playfair Display",n="medium",o="#1A1A1A",a={}){ir(this,t,r,n,o,this.getCardFormat(),a)}getCardFormat(){let t=this.productData&&this.productData.variants.find(r=>r.id===this.selectedVariantId);return t&&Se(t.title)||"standard"}},Bi=pn;var ji=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,Hi={log:(...e)=>ji&&console.log(...e),warn:(...e)=>ji&&console.warn(...e)},Vi=Object.freeze({analytics:null,marketing:null});function ur(){if(!window.Shopify)return{analytics:!0,marketing:!0};let e=window.Shopify.customerPrivacy;return e?{analytics:typeof e.analyticsProcessingAllowed=="function"?e.analyticsProcessingAllowed():null,marketing:typeof e.marketingAllowed=="function"?e.marketingAllowed():null}:Vi}function Gi(){let e=window.Shopify;return!e||e.customerPrivacy||typeof e.loadFeatures!="function"?Promise.resolve(ur()):new Promise(t=>{e.loadFeatures([{name:"consent-tracking-api",version:"0.1"}],r=>{if(r){Hi.warn("[CC Privacy] Customer Privacy API failed to load:",r),t(Vi);return}let n=ur();Hi.log("[CC Privacy] Consent:",n),t(n)})})}var Wi=new URLSearchParams(window.location.search).has("cc_debug")||window.ccDebug===!0,ie={log:(...e)=>Wi&&console.log(...e),warn:(...e)=>Wi&&console.warn(...e),error:(...e)=>console.error(...e)};uo();Sa();bo(window.ccSendDirect);Po(window.ccTypography);Zo(window.ccMessageCheck);window.ccAddressBook={list:ce,save:Zt,remove:er};customElements.define("cc-choice-modal",Bi);Gi().then(Cr);document.addEventListener("visitorConsentCollected",()=>Cr(ur()));window.addEventListener("load",Tt);window.ccAnalytics={track:S,registerTransport:At,unregisterTransport:ao,flush:Tt,events:kt,transports:{beacon:eo,klaviyo:to,recorder:ro}};var pl=Array.isArray(window.ccAnalyticsQueue)?window.ccAnalyticsQueue:[];window.ccAnalyticsQueue={push:([e,t])=>S(e,t)};pl.forEach(window.ccAnalyticsQueue.push);async function Qi(){let e=await Ea();if(e.added.length===0&&e.failed.length===0)return;ie.log("[CC Choice] Replayed offline adds:",e),S("cc_add_replayed",{added:e.added.length,failed:e.failed.length,pending:e.pending.length});let t=document.querySelector("cc-choice-modal"),r=!!(t&&t.handlePendingReplay(e));e.added.length>0&&!r&&dr(e.cart)}window.addEventListener("online",Qi);Qi();function Yi(){document.addEventListener("click",e=>{if(e.ctrlKey||e.metaKey||e.shiftKey||e.button!==0)return;let t=e.target.closest("[data-cc-card]");if(!t)return;e.preventDefault(),e.stopImmediatePropagation(),e.stopPropagation();let r=document.querySelector("cc-choice-modal");if(!r){ie.error("[CC Choice] Modal not found in DOM"),window.location.href=t.href;return}let n=t.dataset.ccHandle,o=t.dataset.ccVariantSkus;if(o)try{let i=JSON.parse(o);window.prodigiVariantSkus=window.prodigiVariantSkus||{},window.prodigiVariantSkus[n]=i,ie.log("[CC Choice] Loaded SKU data from card element for:",n,i)}catch(i){ie.error("[CC Choice] Failed to parse variant SKUs from card element:",i)}else ie.log("[CC Choice] No variant SKU data on card element for:",n);if((t.hasAttribute("data-cc-fonts")||t.hasAttribute("data-cc-inks"))&&(window.ccTypographyOverrides=window.ccTypographyOverrides||{},window.ccTypographyOverrides[n]={fonts:t.dataset.ccFonts||"",colours:t.dataset.ccInks||""}),t.dataset.ccFrontCaption)try{window.ccFrontCaptionMetafields=window.ccFrontCaptionMetafields||{},window.ccFrontCaptionMetafields[n]=JSON.parse(t.dataset.ccFrontCaption)}catch(i){ie.error("[CC Choice] Failed to parse front caption settings from card element:",i)}if(t.dataset.ccPhotoCard)try{window.ccPhotoCardMetafields=window.ccPhotoCardMetafields||{},window.ccPhotoCardMetafields[n]=JSON.parse(t.dataset.ccPhotoCard)}catch(i){ie.error("[CC Choice] Failed to parse photo card setting from card element:",i)}let a=t.closest(".cc-recs")!==null;r.show({handle:n,productUrl:t.href,opener:t,fromRecs:a})},!0)}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Yi):Yi();var Ki=new Set;function Xi(e){if(!e||Ki.has(e))return;Ki.add(e);let t=document.createElement("link");t.rel="prefetch",t.href=`/products/${e}.js`,t.as="fetch",document.head.appendChild(t)}function hn(){document.querySelectorAll("[data-cc-card]").forEach(t=>{let r=t.dataset.ccHandle;r&&(t.addEventListener("mouseenter",()=>{Xi(r)},{once:!0,passive:!0}),t.addEventListener("focus",()=>{Xi(r)},{once:!0,passive:!0}))})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",hn):hn();typeof window.MutationObserver<"u"&&new MutationObserver(()=>{hn()}).observe(document.body,{childList:!0,subtree:!0});window.addEventListener("popstate",e=>{let t=document.querySelector("cc-choice-modal");t&&t.handlePopState(e.state)});function Ji(){let e=da(window.location.search);if(!e)return;let t=document.querySelector("cc-choice-modal");if(!t){ie.warn("[CC Choice] Deep link found but modal is not on this page:",e);return}ie.log("[CC Choice] Opening modal from deep link:",e),t.show({...e,fromLink:!0})}document.readyState==="loading"?document.addEventListener("DOMContentLoaded",Ji):Ji();window.addEventListener("pagehide",()=>{let e=document.querySelector("cc-choice-modal");e&&!e.hidden&&e.endSession("navigation")});})();
@@ -42,17 +42,12 @@
 
   /**
    * Track analytics event
+   * Queued for the shared analytics subsystem in cc-choice.js (src/cc-choice/core/analytics.js),
+   * which validates, consent-gates and sends it. Works before and after that bundle loads.
    */
   function trackEvent(eventName, properties = {}) {
-    // GA4
-    if (typeof gtag !== 'undefined') {
-      gtag('event', eventName, properties);
-    }
-    // Shopify Analytics
-    if (typeof window.ShopifyAnalytics !== 'undefined') {
-      window.ShopifyAnalytics.lib.track(eventName, properties);
-    }
-    console.log('[CC Recs]', eventName, properties);
+    window.ccAnalyticsQueue = window.ccAnalyticsQueue || [];
+    window.ccAnalyticsQueue.push([eventName, properties]);
   }
 
   /**
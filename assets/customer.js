@@ -5,6 +5,8 @@ const selectors = {
   toggleAddressButton: 'button[aria-expanded]',
   cancelAddressButton: 'button[type="reset"]',
   deleteAddressButton: 'button[data-confirm-message]',
+  savedRecipients: '[data-cc-saved-recipients]',
+  savedRecipientsList: '[data-cc-saved-recipients-list]',
 };
 
 const attributes = {
@@ -83,3 +85,56 @@ class CustomerAddresses {
     }
   };
 }
+
+// Saved card recipients (Send Direct address book, managed by cc-choice.js)
+class SavedRecipients {
+  constructor() {
+    this.container = document.querySelector(selectors.savedRecipients);
+    if (!this.container || !window.ccAddressBook) return;
+    this.list = this.container.querySelector(selectors.savedRecipientsList);
+    this._render();
+  }
+
+  _render() {
+    const recipients = window.ccAddressBook.list();
+    this.container.hidden = recipients.length === 0;
+    this.list.replaceChildren(...recipients.map((entry) => this._createItem(entry)));
+  }
+
+  _createItem(entry) {
+    const { recipient } = entry;
+    const item = document.createElement('li');
+    const nickname = document.createElement('h3');
+    const address = document.createElement('p');
+    const deleteButton = document.createElement('button');
+
+    nickname.textContent = entry.nickname;
+    address.textContent = [
+      recipient.recipientName,
+      recipient.addressLine1,
+      recipient.addressLine2,
+      recipient.city,
+      recipient.region,
+      recipient.postcode,
+      recipient.country,
+    ]
+      .filter(Boolean)
+      .join(', ');
+    deleteButton.type = 'button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.dataset.recipientId = entry.id;
+    deleteButton.setAttribute('aria-label', `Delete ${entry.nickname}`);
+    deleteButton.addEventListener('click', this._handleDeleteButtonClick);
+
+    item.append(nickname, address, deleteButton);
+    return item;
+  }
+
+  _handleDeleteButtonClick = ({ currentTarget }) => {
+    // eslint-disable-next-line no-alert
+    if (confirm('Remove this recipient from your address book?')) {
+      window.ccAddressBook.remove(currentTarget.dataset.recipientId);
+      this._render();
+    }
+  };
+}
@@ -2,6 +2,10 @@
  * Cute Cards Personalization
  * Handles character counters and validation for front caption and inside message fields
  * Includes debug mode for testing: add ?cc_debug=1 to URL
+ *
+ * Legacy: the cc-choice personaliser modal now handles the front caption
+ * (src/cc-choice/core/frontCaption.js). Kept for the old product template
+ * until its products move to the modal.
  */
 
 (function() {
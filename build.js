@@ -3,17 +3,25 @@
  *
  * Bundles modular source files into Shopify theme assets
  * Usage:
- *   node build.js           # Production build
- *   node build.js --watch   # Watch mode for development
+ *   node build.js                 # Production build
+ *   node build.js --watch         # Watch mode for development
+ *   node build.js --fonts [dir]   # Also rebuild the self-hosted message fonts (default dir: fonts)
  */
 
 const esbuild = require('esbuild');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
 
 const isWatch = process.argv.includes('--watch');
 const isProd = !isWatch;
 
+// Font source folder: the argument after --fonts, if it isn't another flag
+const fontsFlag = process.argv.indexOf('--fonts');
+const fontSourceDir = fontsFlag === -1 ? null
+  : (process.argv[fontsFlag + 1] && !process.argv[fontsFlag + 1].startsWith('--') ? process.argv[fontsFlag + 1] : 'fonts');
+
 // Build configuration
 const config = {
   // JavaScript bundle
@@ -37,6 +45,13 @@ const config = {
  */`
     },
     logLevel: 'info'
+  },
+
+  // Self-hosted message fonts
+  fonts: {
+    outdir: 'assets',
+    prefix: 'cc-font-',
+    manifest: 'src/cc-choice/core/fontManifest.js'
   }
 };
 
@@ -71,11 +86,150 @@ function bundleCSS() {
   console.log(`✓ Built assets/cc-choice.css`);
 }
 
+// WOFF 1.0 wrapper: each table zlib-compressed (kept raw when that's no smaller)
+function toWoff(sfnt) {
+  const view = new DataView(sfnt.buffer, sfnt.byteOffset, sfnt.byteLength);
+  const count = view.getUint16(4);
+  const tables = [];
+
+  for (let i = 0; i < count; i++) {
+    const entry = 12 + i * 16;
+    const offset = view.getUint32(entry + 8);
+    const length = view.getUint32(entry + 12);
+    const data = Buffer.from(sfnt.subarray(offset, offset + length));
+    const compressed = zlib.deflateSync(data, { level: 9 });
+    tables.push({
+      tag: sfnt.subarray(entry, entry + 4),
+      checksum: view.getUint32(entry + 4),
+      length,
+      data: compressed.length < length ? compressed : data
+    });
+  }
+
+  const align = (n) => Math.ceil(n / 4) * 4;
+  const directoryEnd = 44 + count * 20;
+  const total = tables.reduce((sum, table) => sum + align(table.data.length), directoryEnd);
+  const woff = Buffer.alloc(total);
+
+  woff.write('wOFF', 0, 'latin1');
+  woff.writeUInt32BE(view.getUint32(0), 4);
+  woff.writeUInt32BE(total, 8);
+  woff.writeUInt16BE(count, 12);
+  woff.writeUInt32BE(tables.reduce((sum, table) => sum + align(table.length), 12 + count * 16), 16);
+  woff.writeUInt16BE(1, 20);
+
+  let offset = directoryEnd;
+  tables.forEach((table, i) => {
+    const entry = 44 + i * 20;
+    woff.set(table.tag, entry);
+    woff.writeUInt32BE(offset, entry + 4);
+    woff.writeUInt32BE(table.data.length, entry + 8);
+    woff.writeUInt32BE(table.length, entry + 12);
+    woff.writeUInt32BE(table.checksum, entry + 16);
+    woff.set(table.data, offset);
+    offset += align(table.data.length);
+  });
+
+  return woff;
+}
+
+// Subset each message font per script into assets/, and write the font manifest
+async function buildFonts(sourceDir) {
+  const { MESSAGE_FONTS, SCRIPT_UNICODE_RANGES, parseUnicodeRange } = await import('./src/cc-choice/core/fontCoverage.js');
+  const { subsetTrueType } = await import('./src/cc-choice/utils/truetype.js');
+  const { fontFileName } = await import('./workers/card-proofs.js');
+  const { outdir, prefix, manifest } = config.fonts;
+
+  const codePoints = (script) => parseUnicodeRange(SCRIPT_UNICODE_RANGES[script])
+    .flatMap(([start, end]) => Array.from({ length: end - start + 1 }, (_, i) => start + i));
+
+  const fonts = {};
+  const written = new Set();
+
+  for (const font of MESSAGE_FONTS) {
+    const source = path.join(sourceDir, fontFileName(font.family));
+    fonts[font.family] = [];
+
+    if (!fs.existsSync(source)) {
+      console.warn(`⚠ No ${source}: ${font.family} will load from Google Fonts`);
+      continue;
+    }
+
+    try {
+      const bytes = new Uint8Array(fs.readFileSync(source));
+      const slug = font.family.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+      fonts[font.family] = font.scripts.map(script => {
+        const others = font.scripts.filter(other => other !== script).flatMap(codePoints);
+        const woff = toWoff(subsetTrueType(bytes, { keep: codePoints(script), drop: others }));
+        const file = `${prefix}${slug}-${script}.woff`;
+        const target = path.join(outdir, file);
+
+        // Leave unchanged files alone so the theme push only uploads what changed
+        if (!fs.existsSync(target) || !fs.readFileSync(target).equals(woff)) {
+          fs.writeFileSync(target, woff);
+        }
+        written.add(file);
+
+        return {
+          script,
+          unicodeRange: SCRIPT_UNICODE_RANGES[script],
+          file,
+          version: crypto.createHash('sha1').update(woff).digest('hex').slice(0, 8)
+        };
+      });
+    } catch (error) {
+      console.warn(`⚠ Skipped ${font.family}: ${error.message}`);
+    }
+  }
+
+  // Files from fonts that were removed or renamed
+  fs.readdirSync(outdir)
+    .filter(file => file.startsWith(prefix) && !written.has(file))
+    .forEach(file => fs.unlinkSync(path.join(outdir, file)));
+
+  fs.writeFileSync(manifest, `/**
+ * Font Manifest
+ *
+ * @module core/fontManifest
+ * @description Self-hosted message font files - generated by \`node build.js --fonts\`, do not edit
+ *
+ * One WOFF file per message font and script in assets/, subset from the
+ * .ttf files in the font folder (the same files the card proofs worker
+ * embeds). services/fontService.js registers them with the script's
+ * unicode-range, so browsers only download what's on screen. A font with
+ * no files is loaded from Google Fonts until its subsets are committed.
+ *
+ * @public FONT_MANIFEST - Font files by family
+ *
+ * @typedef {Object} FontFile
+ * @property {string} script - Script key (see core/fontCoverage.js)
+ * @property {string} unicodeRange - CSS unicode-range
+ * @property {string} file - Theme asset name
+ * @property {string} version - Content hash, for cache busting
+ */
+
+/**
+ * Font files by family
+ * @type {{ fonts: Object.<string, FontFile[]> }}
+ */
+export const FONT_MANIFEST = Object.freeze(${JSON.stringify({ fonts }, null, 2)});
+`, 'utf-8');
+
+  const built = Object.values(fonts).filter(faces => faces.length > 0).length;
+  console.log(`✓ Built ${written.size} font files for ${built}/${MESSAGE_FONTS.length} fonts`);
+}
+
 // Build function
 async function build() {
   try {
     console.log(`Building Cute Cards Modal (${isProd ? 'production' : 'development'})...`);
 
+    // Fonts first: the bundle includes the manifest
+    if (fontSourceDir) {
+      await buildFonts(fontSourceDir);
+    }
+
     // Build JavaScript
     if (isWatch) {
       const ctx = await esbuild.context(config.js);
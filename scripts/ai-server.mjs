@@ -0,0 +1,58 @@
+/**
+ * Local AI Suggestions Server
+ *
+ * Serves workers/ai-suggestions.js from Node, with the mock provider unless
+ * told otherwise, so the AI panel can be tried offline.
+ *
+ * Usage (Node 18+):
+ *   node scripts/ai-server.mjs --port 8790
+ *   then, in the browser console on the storefront:
+ *   window.ccAiSuggestionsUrl = 'http://localhost:8790'
+ *
+ * Options:
+ *   --provider  openrouter | openai | workers-ai | mock (default mock); keys and
+ *               AI_MODEL etc. are read from the environment like the worker's env vars
+ *   --port      Port to listen on (default 8790)
+ *   --origins   Pages allowed to call it, comma-separated (default *, any). Rate
+ *               limits and the daily budget (AI_IP_LIMIT, AI_DAILY_BUDGET etc.)
+ *               are read from the environment and counted in memory
+ */
+
+import { createServer } from 'http';
+import { parseArgs } from 'util';
+import { createProvider } from '../workers/ai-providers.js';
+import { createSuggestionHandler, buildMockReply } from '../workers/ai-suggestions.js';
+import { createImageProxy } from '../workers/card-artwork.js';
+import { createAiGuard } from '../workers/ai-guard.js';
+
+const { values } = parseArgs({
+  options: {
+    provider: { type: 'string', default: 'mock' },
+    port: { type: 'string', default: '8790' },
+    origins: { type: 'string', default: process.env.AI_ALLOWED_ORIGINS || '*' }
+  }
+});
+
+const provider = createProvider({ ...process.env, AI_PROVIDER: values.provider }, { mockReply: buildMockReply });
+// Card images are fetched from the CDN and kept in memory; set AI_SHOP_DOMAINS (or AI_IMAGE_HOSTS) to allow other hosts
+const handler = createSuggestionHandler({
+  provider,
+  images: createImageProxy({ hosts: process.env.AI_IMAGE_HOSTS, shopDomains: process.env.AI_SHOP_DOMAINS }),
+  guard: createAiGuard({ ...process.env, AI_ALLOWED_ORIGINS: values.origins })
+});
+
+createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const response = await handler(new Request(`http://localhost:${values.port}${req.url}`, {
+    method: req.method,
+    headers: req.headers,
+    body: ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? undefined : Buffer.concat(chunks)
+  }));
+
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}).listen(Number(values.port), () => {
+  console.log(`AI suggestions on http://localhost:${values.port} (${provider.name} provider, model ${provider.model}${provider.vision ? ', with card images' : ''})`);
+});
@@ -0,0 +1,71 @@
+/**
+ * Local Photo Uploads Server
+ *
+ * Serves workers/photo-uploads.js from Node with photos stored in a local
+ * directory instead of R2, so photo cards can be tried without Cloudflare.
+ *
+ * Usage (Node 18+):
+ *   node scripts/photo-server.mjs --dir ./photo-uploads --port 8789
+ *   then, in the browser console on the storefront:
+ *   window.ccPhotoUploadUrl = 'http://localhost:8789'
+ *
+ * Options:
+ *   --dir         Directory to keep uploaded photos in (default photo-uploads)
+ *   --port        Port to listen on (default 8789)
+ *   --origins     Pages allowed to upload, comma-separated (default *, any). Rate
+ *                 limits (PHOTO_IP_LIMIT, PHOTO_RATE_WINDOW) are read from the
+ *                 environment and counted in memory
+ *   --keep-token  Bearer token for POST /photos/<ref>/keep (default PHOTO_KEEP_TOKEN; empty turns it off)
+ */
+
+import { createServer } from 'http';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { parseArgs } from 'util';
+import { createPhotoHandler } from '../workers/photo-uploads.js';
+import { createAiGuard } from '../workers/ai-guard.js';
+
+const { values } = parseArgs({
+  options: {
+    dir: { type: 'string', default: 'photo-uploads' },
+    port: { type: 'string', default: '8789' },
+    origins: { type: 'string', default: process.env.PHOTO_ALLOWED_ORIGINS || '*' },
+    'keep-token': { type: 'string', default: process.env.PHOTO_KEEP_TOKEN || '' }
+  }
+});
+
+// Files go in pending/ and ordered/ folders like the bucket's (nothing expires locally)
+const handler = createPhotoHandler({
+  guard: createAiGuard({ ...process.env, PHOTO_ALLOWED_ORIGINS: values.origins }, { prefix: 'PHOTO' }),
+  keepToken: values['keep-token'],
+  store: {
+    put: async (key, bytes) => {
+      const file = join(values.dir, key);
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, bytes);
+    },
+    get: async (key) => {
+      try {
+        return { bytes: new Uint8Array(await readFile(join(values.dir, key))), contentType: 'image/jpeg' };
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+});
+
+createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const response = await handler(new Request(`http://localhost:${values.port}${req.url}`, {
+    method: req.method,
+    headers: req.headers,
+    body: ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? undefined : Buffer.concat(chunks)
+  }));
+
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}).listen(Number(values.port), () => {
+  console.log(`Photo uploads on http://localhost:${values.port} (stored in ${values.dir})`);
+});
@@ -0,0 +1,53 @@
+/**
+ * Local Card Proofs Server
+ *
+ * Serves workers/card-proofs.js from Node with fonts read from a local
+ * directory instead of FONT_BASE_URL, so proofs can be checked offline.
+ *
+ * Usage (Node 18+):
+ *   node scripts/proof-server.mjs --fonts ./fonts --port 8788
+ *   open "http://localhost:8788/proof.svg?d=…"   (the query from a `_proof_url` property)
+ *
+ * Options:
+ *   --fonts   Directory of .ttf files named like PlayfairDisplay-Regular.ttf (missing fonts fall back)
+ *   --port    Port to listen on (default 8788)
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { createProofHandler, fontFileName } from '../workers/card-proofs.js';
+
+const { values } = parseArgs({
+  options: {
+    fonts: { type: 'string', default: 'fonts' },
+    port: { type: 'string', default: '8788' }
+  }
+});
+
+const handler = createProofHandler({
+  loadFont: async (family) => {
+    try {
+      return new Uint8Array(await readFile(join(values.fonts, fontFileName(family))));
+    } catch (error) {
+      return null;
+    }
+  }
+});
+
+createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const response = await handler(new Request(`http://localhost:${values.port}${req.url}`, {
+    method: req.method,
+    headers: req.headers,
+    body: ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? undefined : Buffer.concat(chunks)
+  }));
+
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}).listen(Number(values.port), () => {
+  console.log(`Card proofs on http://localhost:${values.port} (fonts from ${values.fonts})`);
+});
@@ -0,0 +1,88 @@
+/**
+ * Card Interior Print File
+ *
+ * Renders the inside of a card as print-ready SVG or PDF (bleed included),
+ * using the same layout as the storefront preview (src/cc-choice/core/cardInterior.js).
+ *
+ * Usage (Node 18+):
+ *   node scripts/render-interior.mjs --message "Happy birthday!" --format A5 --out interior.pdf
+ *   node scripts/render-interior.mjs --properties order-line.json --ttf fonts/Lora-Regular.ttf --out interior.pdf
+ *
+ * Options:
+ *   --message      Inside message
+ *   --left         Left page note
+ *   --font         Font family (default "Playfair Display")
+ *   --size         small | medium | large (default medium)
+ *   --color        Hex colour (default #1A1A1A)
+ *   --align        left | center | right (default center)
+ *   --spacing      compact | normal | relaxed (default normal)
+ *   --format       Card size name, e.g. "A5" or the variant title (default standard)
+ *   --properties   JSON file of cart line properties ("Inside Message", "Font Family", …) instead of the flags above
+ *   --ttf          TrueType file to embed in the PDF (Helvetica stands in without one)
+ *   --guides       Draw trim/fold/safe-area lines (proofs only)
+ *   --out          Output file; .svg or .pdf (default interior.pdf)
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { layoutCardInterior } from '../src/cc-choice/core/cardInterior.js';
+import { renderInteriorSvg, renderInteriorPdf } from '../src/cc-choice/core/interiorPrint.js';
+import { parseTrueType } from '../src/cc-choice/utils/truetype.js';
+import { cardLineFromProperties } from '../src/cc-choice/core/cardLine.js';
+
+const { values } = parseArgs({
+  options: {
+    message: { type: 'string', default: '' },
+    left: { type: 'string', default: '' },
+    font: { type: 'string', default: 'Playfair Display' },
+    size: { type: 'string', default: 'medium' },
+    color: { type: 'string', default: '#1A1A1A' },
+    align: { type: 'string', default: 'center' },
+    spacing: { type: 'string', default: 'normal' },
+    format: { type: 'string', default: 'standard' },
+    properties: { type: 'string' },
+    ttf: { type: 'string' },
+    guides: { type: 'boolean', default: false },
+    out: { type: 'string', default: 'interior.pdf' }
+  }
+});
+
+// Cart line properties as written by core/cardLine.js, or the flags
+const line = values.properties
+  ? cardLineFromProperties(JSON.parse(readFileSync(values.properties, 'utf8')))
+  : {
+    insideMessage: values.message,
+    leftMessage: values.left,
+    fontFamily: values.font,
+    fontSize: values.size,
+    textColor: values.color,
+    textAlign: values.align,
+    lineSpacing: values.spacing
+  };
+
+const layout = layoutCardInterior({
+  message: line.leaveBlank ? '' : line.insideMessage,
+  leftMessage: line.leaveBlank ? '' : line.leftMessage,
+  fontFamily: line.fontFamily,
+  fontSize: line.fontSize,
+  textColor: line.textColor,
+  align: line.textAlign,
+  lineSpacing: line.lineSpacing,
+  format: values.format
+});
+
+if (layout.overflow) {
+  console.warn(`Warning: message needs ${layout.lines.length} lines but only ${layout.maxLines} fit; the rest is cut.`);
+}
+if (layout.leftPage.overflow) {
+  console.warn(`Warning: left page note needs ${layout.leftPage.lines.length} lines but only ${layout.leftPage.maxLines} fit; the rest is cut.`);
+}
+
+if (values.out.endsWith('.svg')) {
+  writeFileSync(values.out, renderInteriorSvg(layout, { guides: values.guides }));
+} else {
+  const font = values.ttf ? parseTrueType(new Uint8Array(readFileSync(values.ttf))) : null;
+  writeFileSync(values.out, renderInteriorPdf(layout, { font }));
+}
+
+console.log(`Wrote ${values.out} (${layout.format.key}, ${layout.spread.width + layout.bleed * 2} × ${layout.spread.height + layout.bleed * 2}mm with bleed)`);
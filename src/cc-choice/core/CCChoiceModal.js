@@ -5,7 +5,8 @@
  * @description Main modal orchestrator for Cute Cards choice and personalization
  *
  * @public show(config) → void - Opens modal with product config
- * @public hide() → void - Closes modal and restores state
+ * @public hide(options?) → void - Closes modal and restores state
+ * @public endSession(reason: string) → void - Sends the funnel summary (page navigation)
  *
  * @example
  * const modal = document.querySelector('cc-choice-modal');
@@ -22,6 +23,28 @@ import {
   loadPersonalization,
   clearPersonalization
 } from './persistence.js';
+import {
+  DELIVERY_METHODS,
+  buildDeliveryProperties,
+  isSendDirect
+} from './deliverySchema.js';
+import {
+  readCardLine,
+  validateCardLine,
+  isCardLineEmpty,
+  buildCardLineItem,
+  describeCardLine,
+  cardLineFromProperties
+} from './cardLine.js';
+import { MODAL_VIEWS, buildModalUrl, clearModalUrl } from './modalRoute.js';
+import { createModalSession } from './modalSession.js';
+import { resolveCardFormat } from './cardInterior.js';
+import { PROOF_WORKER_URL } from './cardProof.js';
+import { getTypographyCatalogue } from './typographyCatalogue.js';
+import { readFrontCaptionSettings } from './frontCaption.js';
+import { isPhotoCard } from './photoCard.js';
+import { saveRecipient } from './addressBook.js';
+import { queuePendingAdd } from './pendingAdds.js';
 import {
   calculateOptimalLayout,
   applyLayoutToDOM,
@@ -30,13 +53,23 @@ import {
 import { renderLoadingView } from '../views/loadingView.js';
 import { buildPersonaliserHTML, bindPersonaliserViewHandlers } from '../views/personaliser-view.js';
 import { fetchProduct } from '../services/productService.js';
-import { fetchVariantMetafields, getVariantSkus } from '../services/metafieldService.js';
-import { addToCart } from '../services/cartService.js';
+import { fetchVariantMetafields, fetchTypographyOverrides, fetchFrontCaptionMetafields, fetchPhotoCardMetafields, getVariantSkus } from '../services/metafieldService.js';
+import { addToCart, addCardBatch, changeCartLine, stampAddId, CART_ERRORS } from '../services/cartService.js';
 import { generateMessageSuggestions } from '../services/aiService.js';
-import { showSuccessBanner, transformButtonToSuccess, openCartDrawerOrRedirect } from '../integrations/cartDrawer.js';
+import {
+  showSuccessBanner,
+  showPendingBanner,
+  clearBanners,
+  transformButtonToSuccess,
+  openCartDrawerOrRedirect,
+  refreshCartLines
+} from '../integrations/cartDrawer.js';
 import { renderChoiceView, bindChoiceViewHandlers, injectMobileFooter } from '../views/choiceView.js';
-import { renderDeliverySection } from '../views/deliverySection.js';
-import { loadAllGoogleFonts, loadGoogleFont, initializeCardPreview, renderCardPreview } from '../views/messageField.js';
+import { renderRecipientFields, showRecipientErrors } from '../views/deliverySection.js';
+import { readAddressBookChoice } from '../views/addressBookPicker.js';
+import { showSendDateError } from '../views/sendDatePicker.js';
+import { updateBatchTray } from '../views/batchTray.js';
+import { initializeCardPreview, renderCardPreview } from '../views/messageField.js';
 import { initializeRecommendationRail } from '../integrations/recsIntegration.js';
 import { formatPrice } from '../utils/format.js';
 import { normalizeText, escapeHtml } from '../utils/string.js';
@@ -56,6 +89,9 @@ const debug = {
   error: (...args) => console.error(...args) // Always show errors
 };
 
+// Validation errors that aren't about recipient address fields
+const CARD_ERROR_FIELDS = ['insideMessage', 'leftMessage', 'frontCaption', 'photo', 'fontFamily', 'textColor', 'arrivalDate'];
+
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
@@ -72,6 +108,27 @@ function clearError(errorContainer) {
   errorContainer.hidden = true;
 }
 
+/**
+ * Explain a failed basket request (CartError from services/cartService.js)
+ */
+function describeCartError(error, fallback = 'Unable to add to cart. Please try again.') {
+  switch (error && error.type) {
+    case CART_ERRORS.SOLD_OUT:
+      return `${error.message} Try another size, or reduce the quantity in your basket.`;
+    case CART_ERRORS.INVALID:
+      return 'Something in this card couldn\'t be saved. Please check your message and delivery details, then try again.';
+    case CART_ERRORS.NOT_FOUND:
+      return 'This card is no longer available. Please refresh the page to see the current range.';
+    case CART_ERRORS.RATE_LIMITED:
+    case CART_ERRORS.SERVER:
+      return 'Our basket is busy right now. Please try again in a moment.';
+    case CART_ERRORS.NETWORK:
+      return 'We couldn\'t reach the shop. Please check your connection and try again.';
+    default:
+      return fallback;
+  }
+}
+
 function setupCharacterCounter(field, counter) {
   if (!field || !counter) return;
 
@@ -99,6 +156,30 @@ class CCChoiceModal extends HTMLElement {
     this.selectedVariantId = null;
     this.variantSkuMap = null;
 
+    // Fonts and ink colours on offer for the product (core/typographyCatalogue.js)
+    this.typography = null;
+    // Front caption limit and position, null if the product has none (core/frontCaption.js)
+    this.frontCaption = null;
+    // Whether the customer's photo is the front of the card (core/photoCard.js)
+    this.photoCard = false;
+
+    // Multi-card mode: saved copies waiting to be added in one request
+    this.batchMode = false;
+    this.batchLines = [];
+
+    // Basket line being edited ({ key, quantity, line, fromDrawer }) or null
+    this.editingLine = null;
+
+    // Offline add waiting to be replayed (see core/pendingAdds.js), or null
+    this.pendingAddId = null;
+
+    // Current URL route ({ handle, view, variantId, deliveryMethod }), see core/modalRoute.js
+    this.route = null;
+    this._closingViaHistory = false;
+
+    // Funnel tracking for the current open -> add journey, see core/modalSession.js
+    this.session = null;
+
     // For focus restoration on close
     this.opener = null;
 
@@ -125,29 +206,50 @@ class CCChoiceModal extends HTMLElement {
     // Close button
     const closeBtn = this.querySelector("[data-ccc-close]");
     if (closeBtn) {
-      closeBtn.addEventListener("click", () => this.hide());
+      closeBtn.addEventListener("click", () => this.hide({ reason: 'close_button' }));
     }
 
     // Backdrop click
     if (this.backdrop) {
       this.backdrop.addEventListener("click", (e) => {
         if (e.target === this.backdrop) {
-          this.hide();
+          this.hide({ reason: 'backdrop' });
         }
       });
     }
+
+    // Escape key (the confirm dialog handles its own Escape)
+    this.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.modalElement.hidden && !e.defaultPrevented) {
+        this.hide({ reason: 'escape' });
+      }
+    });
   }
 
   // Public method: Show modal
-  async show({ handle, productUrl, opener = null, fromRecs = false }) {
+  // Pass `view: 'personalise'` (with `variantId`) to skip size selection.
+  // `fromLink` (deep link on page load) and `fromHistory` (back/forward) reuse the current history entry.
+  async show({
+    handle,
+    productUrl,
+    opener = null,
+    fromRecs = false,
+    variantId = null,
+    view = MODAL_VIEWS.CHOICE,
+    deliveryMethod = null,
+    fromLink = false,
+    fromHistory = false
+  }) {
     // Debug
-    debug.log('[CC Choice] show() called with:', { handle, productUrl, opener, fromRecs });
+    debug.log('[CC Choice] show() called with:', { handle, productUrl, opener, fromRecs, variantId, view, fromLink, fromHistory });
 
     // Track where we came from (for focus restoration)
     this.opener = opener;
 
     // Clear any previous errors
     clearError(this.errorElement);
+    clearBanners(this.dialog);
+    this.pendingAddId = null;
 
     // Show loading state
     this.body.innerHTML = renderLoadingView();
@@ -157,24 +259,50 @@ class CCChoiceModal extends HTMLElement {
     this.modalElement.setAttribute('aria-hidden', 'false');
     document.body.style.overflow = 'hidden';
 
+    let source = fromRecs ? 'recommendations' : 'grid';
+    if (fromLink) source = 'link';
+    if (fromHistory) source = 'history';
+
     trackEvent('cc_modal_open', {
       product_handle: handle,
-      source: fromRecs ? 'recommendations' : 'grid'
+      source
     });
 
-    // History state (for back button)
-    this.pushHistoryState(handle);
+    // Opening another product from inside the modal (recommendations, back/forward) ends the last session
+    this.endSession('product_switch');
+    this.session = createModalSession({ handle, source });
+
+    // History state (for back/forward and shareable URLs)
+    const route = { handle, view, variantId: Number(variantId) || null, deliveryMethod };
+    if (fromLink) {
+      this.setRoute(route, { push: false });
+    } else if (!fromHistory) {
+      this.setRoute(route, { push: true });
+    }
+    this.route = route;
 
     // Fetch product data
     try {
       this.productData = await fetchProduct(handle);
       debug.log('[CC Choice] Product data loaded:', this.productData);
 
-      // Load variant SKU map (for Prodigi)
-      this.variantSkuMap = await this.loadVariantSkus();
+      // Load variant SKU map (for Prodigi), the fonts/ink colours on offer, the front caption settings and the photo card flag
+      const [variantSkuMap, typographyOverrides, frontCaptionMetafields, photoCardMetafields] = await Promise.all([
+        this.loadVariantSkus(),
+        fetchTypographyOverrides(handle),
+        fetchFrontCaptionMetafields(handle),
+        fetchPhotoCardMetafields(handle)
+      ]);
+      this.variantSkuMap = variantSkuMap;
+      this.frontCaption = readFrontCaptionSettings(frontCaptionMetafields);
+      this.photoCard = isPhotoCard(photoCardMetafields && photoCardMetafields.enabled);
+      this.typography = getTypographyCatalogue(typographyOverrides);
+      if (this.typography.skipped.length > 0) {
+        debug.warn('[CC Choice] Skipped unknown fonts/ink colours in settings or metafields:', this.typography.skipped);
+      }
 
-      // Render the first view (choice view = size selection)
-      this.buildChoiceView();
+      // Render the first view (choice view = size selection, unless asked for the personaliser)
+      this.renderRoute(route);
 
     } catch (err) {
       console.error('[CC Choice] Failed to load product:', err);
@@ -182,9 +310,31 @@ class CCChoiceModal extends HTMLElement {
     }
   }
 
+  // Public method: Edit a personalised line already in the basket
+  // Called by <cart-edit-message-button> (assets/cart.js)
+  editCartLine({ handle, variantId, key, quantity, properties, opener = null, fromDrawer = false }) {
+    debug.log('[CC Choice] editCartLine() called with:', { handle, variantId, key, quantity });
+
+    this.editingLine = {
+      key,
+      quantity,
+      line: cardLineFromProperties(properties),
+      fromDrawer
+    };
+
+    trackEvent('cc_cart_line_edit_open', {
+      product_handle: handle,
+      variant_id: variantId
+    });
+
+    return this.show({ handle, opener, variantId, view: MODAL_VIEWS.PERSONALISE });
+  }
+
   // Public method: Hide modal
-  hide() {
-    debug.log('[CC Choice] hide() called');
+  // `fromHistory` when the browser already navigated away from the modal's history entries;
+  // `reason` is reported as the session's exit reason (see core/modalSession.js EXIT_REASONS)
+  hide({ fromHistory = false, reason = fromHistory ? 'back_button' : 'close_button' } = {}) {
+    debug.log('[CC Choice] hide() called', { fromHistory, reason });
 
     this.modalElement.hidden = true;
     this.modalElement.setAttribute('aria-hidden', 'true');
@@ -198,28 +348,139 @@ class CCChoiceModal extends HTMLElement {
       this.opener.focus();
     }
 
-    // Remove modal history state without navigating
-    // Replace current state if it's a modal state, otherwise leave history alone
-    if (window.history.state && window.history.state.ccModal) {
-      window.history.replaceState(null, '', window.location.pathname);
+    // Step back over the entries the modal pushed, so closing doesn't leave
+    // "back" pointing into the modal; the popstate that follows cleans the URL
+    const state = window.history.state;
+    if (!fromHistory && state && state.ccModal) {
+      if (state.depth > 0) {
+        this._closingViaHistory = true;
+        window.history.go(-state.depth);
+      } else {
+        window.history.replaceState(null, '', clearModalUrl(window.location.href));
+      }
     }
 
     trackEvent('cc_modal_close', {
       product_handle: this.productData?.handle
     });
+    this.endSession(reason);
 
     // Clear modal state
     this.productData = null;
     this.selectedVariantId = null;
     this.variantSkuMap = null;
+    this.typography = null;
+    this.frontCaption = null;
+    this.photoCard = false;
     this.opener = null;
+    this.batchMode = false;
+    this.batchLines = [];
+    this.editingLine = null;
+    this.route = null;
+  }
+
+  // ========================================
+  // FUNNEL SESSION (Step timings + exit reason)
+  // ========================================
+
+  // Record a funnel step (first occurrence only, see core/modalSession.js SESSION_STEPS)
+  markStep(step) {
+    if (this.session) this.session.mark(step);
   }
 
-  pushHistoryState(handle) {
-    const url = `/products/${handle}`;
-    if (!window.history.state || !window.history.state.ccModal) {
-      window.history.pushState({ ccModal: true, handle }, '', url);
+  // Send the cc_modal_session summary; no-op when no session is open
+  endSession(reason) {
+    if (!this.session) return;
+
+    const summary = this.session.end(reason);
+    this.session = null;
+    if (summary) {
+      debug.log('[CC Choice] Session ended:', summary);
+      trackEvent('cc_modal_session', summary);
+    }
+  }
+
+  // ========================================
+  // HISTORY ROUTING (Deep links, back/forward)
+  // ========================================
+
+  /**
+   * Write a route to the URL
+   *
+   * Each history entry records how many entries the modal has pushed
+   * (`depth`) so hide() can step back to the page it was opened from.
+   * Deep links start at depth 0 because their entry belongs to the page.
+   */
+  setRoute(route, { push = false } = {}) {
+    const state = window.history.state;
+    const currentDepth = state && state.ccModal ? state.depth : 0;
+    const nextState = {
+      ccModal: true,
+      route,
+      depth: push ? currentDepth + 1 : currentDepth,
+      canGoBack: push && route.view === MODAL_VIEWS.PERSONALISE
+    };
+    const url = buildModalUrl(route, window.location.href);
+
+    if (push) {
+      window.history.pushState(nextState, '', url);
+    } else {
+      window.history.replaceState({ ...nextState, canGoBack: Boolean(state && state.canGoBack) }, '', url);
+    }
+    this.route = route;
+  }
+
+  /**
+   * Update the current route without adding a history entry (variant/delivery changes)
+   */
+  updateRoute(changes) {
+    if (!this.route) return;
+    this.setRoute({ ...this.route, ...changes }, { push: false });
+  }
+
+  /**
+   * Render the view a route points at (product must already be loaded)
+   */
+  renderRoute(route) {
+    const variant = this.productData.variants.find(v => v.id === route.variantId);
+    if (variant) {
+      this.selectedVariantId = variant.id;
+    }
+
+    if (route.view === MODAL_VIEWS.PERSONALISE && variant) {
+      this.buildPersonaliserView();
+    } else {
+      this.buildChoiceView();
+    }
+  }
+
+  // Public method: Called by the popstate listener in index.js
+  handlePopState(state) {
+    // Landing after hide() stepped back over the modal's entries
+    if (this._closingViaHistory) {
+      this._closingViaHistory = false;
+      if (state && state.ccModal) {
+        window.history.replaceState(null, '', clearModalUrl(window.location.href));
+      }
+      return;
+    }
+
+    const route = state && state.ccModal ? state.route : null;
+    const isOpen = !this.modalElement.hidden;
+
+    if (!route) {
+      if (isOpen) this.hide({ fromHistory: true });
+      return;
+    }
+
+    if (!isOpen || !this.productData || this.productData.handle !== route.handle) {
+      this.show({ ...route, fromHistory: true });
+      return;
     }
+
+    debug.log('[CC Choice] Routing to:', route);
+    this.route = route;
+    this.renderRoute(route);
   }
 
   async loadVariantSkus() {
@@ -270,10 +531,18 @@ class CCChoiceModal extends HTMLElement {
       bindChoiceViewHandlers(this, {
         onVariantChange: (variantId) => {
           this.selectedVariantId = variantId;
+          this.updateRoute({ variantId });
+          this.markStep('variant_select');
           debug.log('[CC Choice] Variant changed to:', variantId);
         },
         onPersonalise: () => {
           debug.log('[CC Choice] Personalise button clicked');
+          this.setRoute({
+            handle: product.handle,
+            view: MODAL_VIEWS.PERSONALISE,
+            variantId: this.selectedVariantId,
+            deliveryMethod: null
+          }, { push: true });
           this.buildPersonaliserView();
         },
         onAddBlank: (variantId) => {
@@ -311,12 +580,26 @@ class CCChoiceModal extends HTMLElement {
       variant_id: variant.id,
       price: variant.price
     });
+    this.markStep('personalise_enter');
 
-    // Load any saved personalization data
-    const savedData = loadPersonalization(product.handle, variant.id);
+    // Load any saved personalization data (not when editing a basket line - that line is the source)
+    const editing = Boolean(this.editingLine);
+    const savedData = editing ? null : loadPersonalization(product.handle, variant.id);
 
     // Build HTML
-    const html = buildPersonaliserHTML(product, variant, savedData);
+    const html = buildPersonaliserHTML({
+      product,
+      selectedVariant: variant,
+      savedPersonalization: savedData,
+      typography: this.typography,
+      frontCaption: this.frontCaption,
+      photoCard: this.photoCard,
+      formId: 'cc-modal-form',
+      escapeHtml,
+      getVariantDisplayName: (v) => v.public_title || v.title,
+      buildRecipientAddressFields: renderRecipientFields,
+      editing
+    });
     this.body.innerHTML = html;
 
     // Bind event handlers
@@ -324,20 +607,46 @@ class CCChoiceModal extends HTMLElement {
       bindPersonaliserViewHandlers(this, {
         product: this.productData,
         selectedVariantId: this.selectedVariantId,
-        variantSkuMap: this.variantSkuMap
+        variantSkuMap: this.variantSkuMap,
+        typography: this.typography,
+        frontCaption: this.frontCaption,
+        photoCard: this.photoCard,
+        initialLine: editing ? this.editingLine.line : null,
+        initialDeliveryMethod: this.route ? this.route.deliveryMethod : null,
+        cardFormat: this.getCardFormat()
       }, {
-        onBack: () => this.buildChoiceView(),
-        onSubmit: (form) => this.handlePersonalisedAdd(form)
+        onBack: () => {
+          // Go back through history when the personaliser was reached from the choice view
+          if (window.history.state && window.history.state.canGoBack) {
+            window.history.back();
+            return;
+          }
+          this.updateRoute({ view: MODAL_VIEWS.CHOICE, deliveryMethod: null });
+          this.buildChoiceView();
+        },
+        onDeliveryChange: (deliveryMethod) => this.updateRoute({ deliveryMethod }),
+        onSubmit: (form) => this.handlePersonalisedAdd(form),
+        onBatchToggle: (enabled) => this.handleBatchToggle(enabled),
+        onAddCopy: (form) => this.handleAddCopy(form),
+        onEditCopy: (form, index) => this.handleEditCopy(form, index),
+        onRemoveCopy: (index) => this.handleRemoveCopy(index),
+        onAiSuggestions: () => this.markStep('ai_used')
       });
+      this.renderBatchTray();
+
+      // First real keystroke in the message (programmatic fills dispatch untrusted events)
+      const messageField = this.querySelector('[data-ccc-message-field]');
+      if (messageField) {
+        messageField.addEventListener('input', (e) => {
+          if (e.isTrusted) this.markStep('first_keystroke');
+        });
+      }
 
       this.updateLayout();
       this.setupResizeListener();
 
-      // Load Google Fonts for typography controls
-      loadAllGoogleFonts();
-
-      // Initialize canvas preview
-      initializeCardPreview(this);
+      // Initialize canvas preview (registers the self-hosted message fonts)
+      initializeCardPreview(this, this.getCardFormat());
     });
   }
 
@@ -347,6 +656,7 @@ class CCChoiceModal extends HTMLElement {
 
   async handleBlankAdd(variantId) {
     debug.log('[CC Choice] handleBlankAdd() for variant:', variantId);
+    this.markStep('submit');
 
     const variant = this.productData.variants.find(v => v.id === variantId);
     if (!variant) {
@@ -360,7 +670,7 @@ class CCChoiceModal extends HTMLElement {
       quantity: 1,
       properties: {
         'leave_blank': 'Yes',
-        'Delivery Method': 'Mail2Me'
+        ...buildDeliveryProperties({ deliveryMethod: DELIVERY_METHODS.MAIL_TO_ME })
       }
     };
 
@@ -375,6 +685,7 @@ class CCChoiceModal extends HTMLElement {
         variant_id: variant.id,
         price: variant.price
       });
+      this.markStep('success');
 
       // Show success UI
       if (addButton) {
@@ -385,12 +696,14 @@ class CCChoiceModal extends HTMLElement {
       // Open cart drawer after brief delay
       setTimeout(() => {
         openCartDrawerOrRedirect();
-        this.hide();
+        this.hide({ reason: 'added' });
       }, 800);
 
     } catch (err) {
       console.error('[CC Choice] Add to cart failed:', err);
-      showError(this.errorElement, 'Unable to add to cart. Please try again.');
+      this.markStep('error');
+      this.trackCartError(err);
+      showError(this.errorElement, describeCartError(err));
     }
   }
 
@@ -398,7 +711,15 @@ class CCChoiceModal extends HTMLElement {
     debug.log('[CC Choice] handlePersonalisedAdd()');
     debug.log('[CC Choice] Form element:', form);
     debug.log('[CC Choice] Form ID:', form?.id);
-    debug.log('[CC Choice] Form action:', form?.action);
+    this.markStep('submit');
+
+    if (this.editingLine) {
+      return this.handleLineEdit(form);
+    }
+
+    if (this.batchMode) {
+      return this.handleBatchAdd(form);
+    }
 
     const variant = this.productData.variants.find(v => v.id === this.selectedVariantId);
     if (!variant) {
@@ -406,69 +727,29 @@ class CCChoiceModal extends HTMLElement {
       return;
     }
 
-    // Extract form data
-    const formData = new FormData(form);
-    const insideMessage = formData.get('insideMessage') || '';
-    const fontFamily = formData.get('fontFamily') || 'Playfair Display';
-    const fontSize = formData.get('fontSize') || 'medium';
-    const textColor = formData.get('textColor') || '#1A1A1A';
-    const deliveryMethod = formData.get('deliveryMethod') || 'Mail2Me';
-    const leaveBlank = formData.get('leave_blank') === 'on';
+    // Read and validate the form (Prodigi rejects bad addresses)
+    const validation = this.validateFormLine(form);
+    if (!validation) return;
+
+    const line = validation.line;
+    const deliveryMethod = line.delivery.deliveryMethod;
 
     debug.log('[CC Choice] Form data extracted:', {
-      insideMessage: insideMessage.substring(0, 50) + '...',
-      fontFamily,
-      fontSize,
-      textColor,
+      insideMessage: line.insideMessage.substring(0, 50) + '...',
+      fontFamily: line.fontFamily,
+      fontSize: line.fontSize,
+      textColor: line.textColor,
       deliveryMethod,
-      leaveBlank
+      leaveBlank: line.leaveBlank
     });
 
-    // Build cart properties
-    const properties = {
-      'Inside Message': leaveBlank ? '' : insideMessage,
-      'Font Family': fontFamily,
-      'Font Size': fontSize,
-      'Text Color': textColor,
-      'Delivery Method': deliveryMethod,
-      '_card_template': 'classic-5x7',
-      '_artwork_prompt': this.productData.title || ''
-    };
-
-    // Add Prodigi SKU if available
-    const prodigiSku = this.variantSkuMap?.[this.selectedVariantId];
-    if (prodigiSku) {
-      properties['_prodigi_sku'] = prodigiSku;
-    }
-
-    // If leaving blank, mark it
-    if (leaveBlank) {
-      properties['leave_blank'] = 'Yes';
-    }
-
-    // If "Send direct", add recipient address fields
-    if (deliveryMethod === 'Direct') {
-      properties['Recipient Name'] = formData.get('recipientName') || '';
-      properties['Address Line 1'] = formData.get('addressLine1') || '';
-      properties['Address Line 2'] = formData.get('addressLine2') || '';
-      properties['City'] = formData.get('city') || '';
-      properties['Postcode'] = formData.get('postcode') || '';
-      properties['Country'] = formData.get('country') || 'United Kingdom';
-    }
-
-    debug.log('[CC Choice] Cart properties:', properties);
-
-    // Build cart payload
-    const payload = {
-      id: variant.id,
-      quantity: 1,
-      properties
-    };
+    // Build cart payload (stamped now so a queued retry is recognised in the cart)
+    const [payload] = stampAddId([buildCardLineItem(line, this.getCardLineContext(variant))]);
+    debug.log('[CC Choice] Cart properties:', payload.properties);
 
     // Get submit button
     const submitButton = form.querySelector('[type="submit"]');
     debug.log('[CC Choice] Submit button found:', submitButton);
-    debug.log('[CC Choice] Submit button text:', submitButton?.textContent);
 
     try {
       debug.log('[CC Choice] Calling addToCart with payload:', payload);
@@ -478,34 +759,444 @@ class CCChoiceModal extends HTMLElement {
         product_id: this.productData.id,
         variant_id: variant.id,
         price: variant.price,
-        has_message: !leaveBlank && insideMessage.length > 0,
-        message_length: insideMessage.length,
+        has_message: !line.leaveBlank && line.insideMessage.length > 0,
+        message_length: line.insideMessage.length,
+        has_front_caption: line.frontCaption.trim().length > 0,
+        has_photo: Boolean(line.photoRef),
         delivery_method: deliveryMethod
       });
 
-      // Show success UI
+      // Save/update the recipient in the address book if asked
+      if (isSendDirect(deliveryMethod)) {
+        this.saveChosenRecipient(form, line);
+      }
+
+      this.completePersonalisedAdd(submitButton, variant);
+
+    } catch (err) {
+      console.error('[CC Choice] Add to cart failed:', err);
+      debug.error('[CC Choice] Error details:', err.message, err.stack);
+
+      // Offline: keep the card and add it when the connection returns
+      if (err.type === CART_ERRORS.NETWORK && this.queueOfflineAdd([payload], submitButton, variant)) {
+        return;
+      }
+
+      this.markStep('error');
+      this.trackCartError(err);
+      showError(this.errorElement, describeCartError(err));
+
+      // Re-enable submit button on error
       if (submitButton) {
-        debug.log('[CC Choice] Transforming button to success state');
-        transformButtonToSuccess(submitButton);
+        submitButton.disabled = false;
+        submitButton.classList.remove('button--loading');
+      }
+    }
+  }
+
+  /**
+   * Replace the basket line being edited, keeping its position and quantity
+   */
+  async handleLineEdit(form) {
+    const variant = this.productData.variants.find(v => v.id === this.selectedVariantId);
+    if (!variant) {
+      console.error('[CC Choice] No variant selected!');
+      return;
+    }
+
+    const validation = this.validateFormLine(form);
+    if (!validation) return;
+
+    const { key, quantity, fromDrawer } = this.editingLine;
+    const { properties } = buildCardLineItem(validation.line, this.getCardLineContext(variant));
+    const submitButton = form.querySelector('[type="submit"]');
+
+    try {
+      const cart = await changeCartLine({ id: key, quantity, properties });
+
+      trackEvent('cc_cart_line_edited', {
+        product_id: this.productData.id,
+        variant_id: variant.id,
+        delivery_method: validation.line.delivery.deliveryMethod
+      });
+      this.markStep('success');
+
+      if (isSendDirect(validation.line.delivery.deliveryMethod)) {
+        this.saveChosenRecipient(form, validation.line);
       }
-      showSuccessBanner(this.dialog);
 
-      // Clear saved personalization data
+      if (submitButton) transformButtonToSuccess(submitButton, 'Saved!');
+      showSuccessBanner(this.dialog, 'Basket updated!');
       clearPersonalization(this.productData.handle, variant.id);
+      refreshCartLines(cart);
 
-      // Open cart drawer after brief delay
       setTimeout(() => {
-        debug.log('[CC Choice] Opening cart drawer and hiding modal');
-        openCartDrawerOrRedirect();
-        this.hide();
+        this.hide({ reason: 'added' });
+        const cartDrawer = document.querySelector('cart-drawer');
+        if (fromDrawer && cartDrawer && typeof cartDrawer.open === 'function') {
+          cartDrawer.open();
+        }
       }, 800);
 
     } catch (err) {
-      console.error('[CC Choice] Add to cart failed:', err);
-      debug.error('[CC Choice] Error details:', err.message, err.stack);
-      showError(this.errorElement, 'Unable to add to cart. Please try again.');
+      console.error('[CC Choice] Cart line edit failed:', err);
+      this.markStep('error');
+      this.trackCartError(err);
+      showError(this.errorElement, describeCartError(err, 'Unable to update your basket. Please try again.'));
+
+      if (submitButton) {
+        submitButton.disabled = false;
+        submitButton.classList.remove('button--loading');
+      }
+    }
+  }
+
+  // ========================================
+  // MULTI-CARD MODE (Several copies, one request)
+  // ========================================
+
+  /**
+   * Read the personaliser form as a card line and show any validation errors
+   * @returns {CardLineValidation|null} Validation result, or null if invalid
+   */
+  validateFormLine(form) {
+    const validation = validateCardLine(readCardLine(new FormData(form)), new Date(), {
+      format: this.getCardFormat(),
+      catalogue: this.typography,
+      frontCaption: this.frontCaption,
+      photoRequired: this.photoCard
+    });
+    const { errors, line } = validation;
+
+    const recipientRoot = form.querySelector('[data-ccc-recipient-fields]');
+    showSendDateError(recipientRoot, errors.arrivalDate || '');
+    showRecipientErrors(recipientRoot, errors);
+
+    if (!validation.valid) {
+      debug.log('[CC Choice] Card line invalid:', errors);
+      this.markStep('error');
+      const cardError = errors.insideMessage || errors.leftMessage || errors.frontCaption || errors.photo || errors.fontFamily || errors.textColor;
+      if (cardError) {
+        showError(this.errorElement, cardError);
+      }
+
+      const recipientFields = Object.keys(errors).filter(key => !CARD_ERROR_FIELDS.includes(key));
+      if (recipientFields.length > 0) {
+        trackEvent('cc_recipient_invalid', {
+          product_handle: this.productData.handle,
+          country: line.delivery.recipient.country,
+          fields: recipientFields.join(',')
+        });
+      }
+      return null;
+    }
+
+    clearError(this.errorElement);
+    return validation;
+  }
+
+  getCardLineContext(variant) {
+    return {
+      variantId: variant.id,
+      variantSkus: getVariantSkus(this.variantSkuMap, variant.id),
+      artworkPrompt: this.productData.title || '',
+      proof: { baseUrl: PROOF_WORKER_URL, size: variant.title || '' }
+    };
+  }
+
+  saveChosenRecipient(form, line) {
+    const choice = readAddressBookChoice(form);
+    if (choice.save && saveRecipient({ id: choice.id, nickname: choice.nickname, recipient: line.delivery.recipient })) {
+      trackEvent('cc_saved_recipient_saved', {
+        product_handle: this.productData.handle,
+        is_update: Boolean(choice.id)
+      });
+    }
+  }
+
+  completePersonalisedAdd(submitButton, variant) {
+    this.markStep('success');
+
+    // Show success UI
+    if (submitButton) {
+      debug.log('[CC Choice] Transforming button to success state');
+      transformButtonToSuccess(submitButton);
+    }
+    showSuccessBanner(this.dialog);
+
+    // Clear saved personalization data
+    clearPersonalization(this.productData.handle, variant.id);
+
+    // Open cart drawer after brief delay
+    setTimeout(() => {
+      debug.log('[CC Choice] Opening cart drawer and hiding modal');
+      openCartDrawerOrRedirect();
+      this.hide({ reason: 'added' });
+    }, 800);
+  }
+
+  // ========================================
+  // OFFLINE QUEUE (Adds that wait for the connection)
+  // ========================================
+
+  /**
+   * Keep an add that couldn't reach the basket and show the "saved" state
+   * @returns {boolean} False if it couldn't be kept (storage unavailable)
+   */
+  queueOfflineAdd(items, submitButton, variant) {
+    const entry = queuePendingAdd(items, {
+      handle: this.productData.handle,
+      variantId: variant.id,
+      title: this.productData.title
+    });
+    if (!entry) return false;
+
+    this.pendingAddId = entry.id;
+    trackEvent('cc_add_queued', {
+      product_handle: this.productData.handle,
+      variant_id: variant.id,
+      copies: items.length
+    });
+
+    clearError(this.errorElement);
+    if (submitButton) transformButtonToSuccess(submitButton, 'Saved');
+    showPendingBanner(
+      this.dialog,
+      items.length > 1
+        ? `Saved – we'll add these ${items.length} cards when you're back online`
+        : 'Saved – we\'ll add it to your basket when you\'re back online'
+    );
+    return true;
+  }
+
+  /**
+   * Queued adds were replayed (index.js, on reconnect): finish the add still on screen
+   *
+   * @param {ReplayResult} result - From replayPendingAdds()
+   * @returns {boolean} True if the add on screen reached the basket (the drawer opens from here)
+   */
+  handlePendingReplay({ added, failed }) {
+    if (!this.pendingAddId || this.hidden) return false;
+
+    const addedEntry = added.find(entry => entry.id === this.pendingAddId);
+    const failure = failed.find(({ entry }) => entry.id === this.pendingAddId);
+    if (!addedEntry && !failure) return false;
+
+    this.pendingAddId = null;
+    clearBanners(this.dialog);
+
+    if (addedEntry) {
+      const variant = this.productData.variants.find(v => v.id === addedEntry.variantId);
+      this.completePersonalisedAdd(null, variant || { id: addedEntry.variantId });
+      return true;
+    }
+
+    this.markStep('error');
+    this.trackCartError(failure.error);
+    showError(this.errorElement, `We couldn't add your saved card. ${describeCartError(failure.error)}`);
+    return false;
+  }
+
+  trackCartError(error) {
+    trackEvent('cc_add_error', {
+      product_handle: this.productData.handle,
+      error_type: (error && error.type) || CART_ERRORS.REJECTED,
+      status: (error && error.status) || 0
+    });
+  }
+
+  renderBatchTray(errors = {}) {
+    const variant = this.productData.variants.find(v => v.id === this.selectedVariantId);
+    updateBatchTray(this, {
+      enabled: this.batchMode,
+      copies: this.batchLines.map(line => ({
+        summary: describeCardLine(line),
+        message: line.leaveBlank ? '' : line.insideMessage
+      })),
+      errors,
+      price: variant ? variant.price : 0
+    });
+  }
+
+  async handleBatchToggle(enabled) {
+    if (!enabled && this.batchLines.length > 0) {
+      const confirmed = await showConfirmDialog(
+        'Discard saved copies?',
+        `Your ${this.batchLines.length} saved ${this.batchLines.length === 1 ? 'copy' : 'copies'} will be removed. The copy you're writing stays.`,
+        'Discard copies'
+      );
+      if (!confirmed) {
+        this.renderBatchTray();
+        return;
+      }
+      this.batchLines = [];
+    }
+
+    this.batchMode = enabled;
+    this.renderBatchTray();
+
+    trackEvent('cc_batch_mode_toggled', {
+      product_handle: this.productData.handle,
+      enabled
+    });
+  }
+
+  /**
+   * Save the copy in the form to the batch
+   * @returns {boolean} True if saved (the view then clears the form)
+   */
+  handleAddCopy(form) {
+    const validation = this.validateFormLine(form);
+    if (!validation) return false;
+
+    if (isCardLineEmpty(validation.line)) {
+      showError(this.errorElement, 'Write a message or add a recipient before saving this copy.');
+      return false;
+    }
+
+    this.saveChosenRecipient(form, validation.line);
+    this.batchLines.push(validation.line);
+    this.renderBatchTray();
+
+    debug.log('[CC Choice] Copy saved, batch size:', this.batchLines.length);
+    return true;
+  }
+
+  /**
+   * Move a saved copy back into the form, swapping in the copy being written
+   * @returns {CardLine|null} Line for the view to load, or null if the form copy is invalid
+   */
+  handleEditCopy(form, index) {
+    const editing = this.batchLines[index];
+    if (!editing) return null;
+
+    const current = readCardLine(new FormData(form));
+    if (isCardLineEmpty(current)) {
+      this.batchLines.splice(index, 1);
+    } else {
+      const validation = this.validateFormLine(form);
+      if (!validation) return null;
+      this.batchLines.splice(index, 1, validation.line);
+    }
+
+    this.renderBatchTray();
+    return editing;
+  }
+
+  handleRemoveCopy(index) {
+    this.batchLines.splice(index, 1);
+    this.renderBatchTray();
+  }
+
+  /**
+   * Add every copy in one /cart/add.js items[] request
+   *
+   * Copies that Shopify rejects stay in the tray with their reason so the
+   * customer can fix them; the ones that were added are removed.
+   *
+   * @returns {Promise<{ formAdded: boolean }|undefined>} formAdded tells the view to clear the form
+   */
+  async handleBatchAdd(form) {
+    const variant = this.productData.variants.find(v => v.id === this.selectedVariantId);
+    if (!variant) {
+      console.error('[CC Choice] No variant selected!');
+      return;
+    }
+
+    // Re-check saved copies (e.g. the address rules they were saved against)
+    const lineErrors = {};
+    const format = this.getCardFormat();
+    const saved = this.batchLines.map((line, index) => {
+      const validation = validateCardLine(line, new Date(), { format, catalogue: this.typography, frontCaption: this.frontCaption, photoRequired: this.photoCard });
+      if (!validation.valid) lineErrors[index] = Object.values(validation.errors)[0];
+      return validation.line;
+    });
+
+    if (Object.keys(lineErrors).length > 0) {
+      this.renderBatchTray(lineErrors);
+      this.markStep('error');
+      showError(this.errorElement, 'Some copies need fixing before they can be added.');
+      return;
+    }
+
+    // The copy in the form is part of the batch unless it was left empty
+    let formLine = null;
+    if (saved.length === 0 || !isCardLineEmpty(readCardLine(new FormData(form)))) {
+      const validation = this.validateFormLine(form);
+      if (!validation) return;
+      formLine = validation.line;
+    }
+
+    const lines = formLine ? [...saved, formLine] : saved;
+    const formIndex = formLine ? lines.length - 1 : -1;
+    const submitButton = form.querySelector('[type="submit"]');
+    const context = this.getCardLineContext(variant);
+    const items = stampAddId(lines.map(line => buildCardLineItem(line, context)));
+
+    try {
+      const result = await addCardBatch(items);
+      const formAdded = result.added.includes(formIndex);
+
+      trackEvent('cc_batch_add', {
+        product_id: this.productData.id,
+        variant_id: variant.id,
+        price: variant.price,
+        copies: lines.length,
+        added: result.added.length,
+        failed: result.failed.length
+      });
+
+      if (formAdded && isSendDirect(formLine.delivery.deliveryMethod)) {
+        this.saveChosenRecipient(form, formLine);
+      }
+
+      if (result.failed.length === 0) {
+        this.batchLines = [];
+        this.completePersonalisedAdd(submitButton, variant);
+        return { formAdded };
+      }
+
+      // Partial failure: the tray keeps only rejected saved copies, with Shopify's reason
+      const failedErrors = {};
+      const formFailure = result.failed.find(({ index }) => index === formIndex);
+      this.batchLines = result.failed
+        .filter(({ index }) => index !== formIndex)
+        .map(({ index, message }, position) => {
+          failedErrors[position] = message;
+          return lines[index];
+        });
+      this.renderBatchTray(failedErrors);
+      this.markStep('error');
+
+      const addedCount = result.added.length;
+      const summary = addedCount > 0
+        ? `${addedCount} of ${lines.length} cards were added to your basket.`
+        : 'None of the cards could be added to your basket.';
+      showError(
+        this.errorElement,
+        formFailure ? `${summary} This copy couldn't be added: ${formFailure.message}` : `${summary} See the copies below.`
+      );
+
+      return { formAdded };
+
+    } catch (err) {
+      console.error('[CC Choice] Batch add to cart failed:', err);
+
+      // Offline: the whole batch waits for the connection, so the tray and form can be cleared
+      if (err.type === CART_ERRORS.NETWORK && this.queueOfflineAdd(items, submitButton, variant)) {
+        if (formLine && isSendDirect(formLine.delivery.deliveryMethod)) {
+          this.saveChosenRecipient(form, formLine);
+        }
+        this.batchLines = [];
+        this.renderBatchTray();
+        return { formAdded: Boolean(formLine) };
+      }
+
+      // Nothing was added: tray and form are left as they were
+      this.markStep('error');
+      this.trackCartError(err);
+      showError(this.errorElement, describeCartError(err));
 
-      // Re-enable submit button on error
       if (submitButton) {
         submitButton.disabled = false;
         submitButton.classList.remove('button--loading');
@@ -552,8 +1243,17 @@ class CCChoiceModal extends HTMLElement {
   // CANVAS RENDERING (Card preview)
   // ========================================
 
-  renderCardPreview(message, fontFamily = 'Playfair Display', fontSize = 'medium', textColor = '#1A1A1A') {
-    renderCardPreview(this, message, fontFamily, fontSize, textColor);
+  renderCardPreview(message, fontFamily = 'Playfair Display', fontSize = 'medium', textColor = '#1A1A1A', options = {}) {
+    renderCardPreview(this, message, fontFamily, fontSize, textColor, this.getCardFormat(), options);
+  }
+
+  /**
+   * Physical size of the selected variant (falls back to the standard card)
+   * @returns {CardFormat|string} Format for core/cardInterior.js
+   */
+  getCardFormat() {
+    const variant = this.productData && this.productData.variants.find(v => v.id === this.selectedVariantId);
+    return (variant && resolveCardFormat(variant.title)) || 'standard';
   }
 }
 
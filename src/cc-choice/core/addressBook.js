@@ -0,0 +1,277 @@
+/**
+ * Address Book
+ *
+ * @module core/addressBook
+ * @description Saved Send Direct recipients in localStorage, optionally synced to the customer account
+ *
+ * Recipient values use the keys from core/deliverySchema.js so a saved
+ * contact can be written straight back into the recipient fields.
+ *
+ * When synced, the customer account is authoritative for anything this
+ * device has already pushed: an entry missing from it that hasn't changed
+ * here since the last successful sync was deleted on another device, so
+ * it's dropped rather than pushed back.
+ *
+ * @public listRecipients() → SavedRecipient[]
+ * @public getRecipient(id: string) → SavedRecipient | null
+ * @public saveRecipient(entry: { id?, nickname, recipient }) → SavedRecipient | null
+ * @public deleteRecipient(id: string) → boolean
+ * @public mergeRecipients(remote: SavedRecipient[]) → SavedRecipient[]
+ * @public syncAddressBook() → Promise<void>
+ *
+ * @typedef {Object} SavedRecipient
+ * @property {string} id - Stable identifier
+ * @property {string} nickname - What the customer calls them (e.g. "Mum")
+ * @property {Object.<string, string>} recipient - Address values keyed by schema key
+ * @property {number} updatedAt - Last change timestamp (ms)
+ *
+ * @example
+ * import { saveRecipient, listRecipients } from './core/addressBook.js';
+ *
+ * saveRecipient({ nickname: 'Grandad', recipient: { recipientName: 'Joe Bloggs', ... } });
+ * listRecipients(); // => [{ id: 'rcp_…', nickname: 'Grandad', recipient: {...}, updatedAt: … }]
+ */
+
+import { normalizeDeliveryDetails } from './deliverySchema.js';
+import { canSyncRecipients, loadRemoteRecipients, pushRecipients } from '../services/addressBookSync.js';
+
+const DEBUG = new URLSearchParams(window.location.search).has('debug') || window.ccDebug;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => console.warn(...args)
+};
+
+const STORAGE_KEY = 'cc-recipients';
+const MAX_RECIPIENTS = 50;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Read the stored address book
+ * @private
+ * @returns {{ recipients: SavedRecipient[], deletedIds: string[], syncedAt: number }}
+ */
+function readStore() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && Array.isArray(stored.recipients)) {
+      return {
+        recipients: stored.recipients,
+        deletedIds: Array.isArray(stored.deletedIds) ? stored.deletedIds : [],
+        syncedAt: Number(stored.syncedAt) || 0
+      };
+    }
+  } catch (error) {
+    debug.warn('[CC Address Book] Failed to read address book:', error);
+  }
+  return { recipients: [], deletedIds: [], syncedAt: 0 };
+}
+
+/**
+ * Write the address book
+ * @private
+ */
+function writeStore(store) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      recipients: store.recipients.slice(0, MAX_RECIPIENTS),
+      deletedIds: store.deletedIds.slice(-MAX_RECIPIENTS),
+      syncedAt: store.syncedAt || 0
+    }));
+  } catch (error) {
+    debug.warn('[CC Address Book] Failed to save address book:', error);
+  }
+}
+
+/**
+ * Normalize an entry against the delivery schema
+ * @private
+ */
+function normalizeEntry(entry) {
+  return {
+    id: entry.id,
+    nickname: String(entry.nickname || '').trim(),
+    recipient: normalizeDeliveryDetails({ recipient: entry.recipient }).recipient,
+    updatedAt: Number(entry.updatedAt) || 0
+  };
+}
+
+/**
+ * Generate a stable recipient ID
+ * @private
+ */
+function createId() {
+  return `rcp_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Record that the customer account held everything as of `time`
+ * @private
+ */
+function markSynced(time) {
+  const store = readStore();
+  store.syncedAt = Math.max(store.syncedAt, time);
+  writeStore(store);
+}
+
+/**
+ * Push a list to the customer account, marking it synced if that worked
+ * @private
+ */
+async function pushAndMark(recipients) {
+  const startedAt = Date.now();
+  if (await pushRecipients(recipients)) {
+    markSynced(startedAt);
+  }
+}
+
+/**
+ * Push the current list to the customer account (fire and forget)
+ * @private
+ */
+function queueSync() {
+  if (canSyncRecipients()) {
+    pushAndMark(listRecipients());
+  }
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * List saved recipients, alphabetically by nickname
+ *
+ * @returns {SavedRecipient[]} Saved recipients
+ */
+export function listRecipients() {
+  return readStore().recipients
+    .map(normalizeEntry)
+    .sort((a, b) => a.nickname.localeCompare(b.nickname));
+}
+
+/**
+ * Get a saved recipient by ID
+ *
+ * @param {string} id - Recipient ID
+ * @returns {SavedRecipient|null} Saved recipient or null if not found
+ */
+export function getRecipient(id) {
+  return listRecipients().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Add or update a saved recipient
+ *
+ * Passing an existing `id` edits that entry. The nickname falls back to the
+ * recipient's name.
+ *
+ * @param {{ id?: string, nickname?: string, recipient: Object.<string, string> }} entry - Recipient to save
+ * @returns {SavedRecipient|null} Saved entry, or null if there is nothing to save
+ */
+export function saveRecipient({ id, nickname, recipient }) {
+  const normalized = normalizeEntry({
+    id: id || createId(),
+    nickname: nickname || (recipient && recipient.recipientName),
+    recipient,
+    updatedAt: Date.now()
+  });
+
+  if (!normalized.nickname || !normalized.recipient.addressLine1) {
+    return null;
+  }
+
+  const store = readStore();
+  store.recipients = [normalized, ...store.recipients.filter(entry => entry.id !== normalized.id)];
+  writeStore(store);
+
+  debug.log('[CC Address Book] Saved recipient:', normalized.nickname);
+  queueSync();
+  return normalized;
+}
+
+/**
+ * Delete a saved recipient
+ *
+ * @param {string} id - Recipient ID
+ * @returns {boolean} True if an entry was removed
+ */
+export function deleteRecipient(id) {
+  const store = readStore();
+  const remaining = store.recipients.filter(entry => entry.id !== id);
+
+  if (remaining.length === store.recipients.length) {
+    return false;
+  }
+
+  store.recipients = remaining;
+  store.deletedIds = [...store.deletedIds.filter(deletedId => deletedId !== id), id];
+  writeStore(store);
+
+  debug.log('[CC Address Book] Deleted recipient:', id);
+  queueSync();
+  return true;
+}
+
+/**
+ * Merge recipients from another device/account into local storage
+ *
+ * The most recently updated copy of each entry wins. Entries deleted on this
+ * device are not resurrected, and local entries missing from the remote that
+ * haven't changed since the last sync are dropped (deleted elsewhere).
+ *
+ * @param {SavedRecipient[]} remote - Recipients from the customer account
+ * @returns {SavedRecipient[]} Merged list
+ */
+export function mergeRecipients(remote) {
+  const store = readStore();
+  const remoteIds = new Set((remote || []).filter(Boolean).map(entry => entry.id));
+  const byId = new Map(store.recipients
+    .map(normalizeEntry)
+    .filter(entry => remoteIds.has(entry.id) || entry.updatedAt > store.syncedAt)
+    .map(entry => [entry.id, entry]));
+
+  (remote || []).forEach(entry => {
+    if (!entry || !entry.id || store.deletedIds.includes(entry.id)) return;
+
+    const incoming = normalizeEntry(entry);
+    const existing = byId.get(incoming.id);
+    if (!existing || incoming.updatedAt > existing.updatedAt) {
+      byId.set(incoming.id, incoming);
+    }
+  });
+
+  store.recipients = Array.from(byId.values()).sort((a, b) => b.updatedAt - a.updatedAt);
+  writeStore(store);
+
+  return listRecipients();
+}
+
+/**
+ * Pull recipients from the customer account and push back any local-only ones
+ *
+ * No-op when the customer is logged out.
+ *
+ * @returns {Promise<void>}
+ */
+export async function syncAddressBook() {
+  if (!canSyncRecipients()) return;
+
+  const remote = loadRemoteRecipients();
+  const merged = mergeRecipients(remote);
+
+  const remoteById = new Map(remote.map(entry => [entry.id, entry]));
+  const needsPush = merged.length !== remote.length || merged.some(entry => {
+    const remoteEntry = remoteById.get(entry.id);
+    return !remoteEntry || entry.updatedAt > (Number(remoteEntry.updatedAt) || 0);
+  });
+
+  if (needsPush) {
+    await pushAndMark(merged);
+  } else {
+    markSynced(Date.now());
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Address Rules
+ *
+ * @module core/addressRules
+ * @description Per-country recipient address rules for Send Direct (required fields,
+ * postcode formats, field labels and normalization)
+ *
+ * Pure functions with no DOM dependencies. Rules are keyed by ISO 3166-1
+ * alpha-2 country code and extend the defaults in core/deliverySchema.js.
+ * Additional countries can be plugged in with registerAddressRules().
+ *
+ * @public getAddressRules(countryCode: string) → CountryRules
+ * @public registerAddressRules(countryCode: string, rules: CountryRules) → void
+ * @public normalizeRecipient(recipient: object) → object
+ * @public validateRecipient(recipient: object) → RecipientValidation
+ *
+ * @typedef {Object} FieldRule
+ * @property {string} [label] - Label override (e.g. "ZIP code", "State")
+ * @property {boolean} [required] - Required override
+ * @property {boolean} [hidden] - Hide the field for this country
+ * @property {RegExp} [pattern] - Format the value must match
+ * @property {string} [example] - Example value shown in format errors
+ * @property {Function} [normalize] - (value: string) → string
+ *
+ * @typedef {Object.<string, FieldRule>} CountryRules - Field rules keyed by schema key
+ *
+ * @typedef {Object} RecipientValidation
+ * @property {boolean} valid - True if the address can be sent
+ * @property {Object.<string, string>} errors - Error messages keyed by schema key
+ * @property {Object.<string, string>} recipient - Normalized recipient values
+ *
+ * @example
+ * import { validateRecipient } from './core/addressRules.js';
+ *
+ * const result = validateRecipient({ recipientName: 'Mum', ..., postcode: 'sw1a1aa', country: 'GB' });
+ * // => { valid: true, errors: {}, recipient: { ..., postcode: 'SW1A 1AA' } }
+ */
+
+import { RECIPIENT_FIELDS } from './deliverySchema.js';
+
+// ========================================
+// NORMALIZERS
+// ========================================
+
+/**
+ * Upper-case and collapse whitespace
+ * @private
+ */
+function upperCompact(value) {
+  return value.toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Insert a space before the last `inwardLength` characters (e.g. "SW1A1AA" → "SW1A 1AA")
+ * @private
+ */
+function splitInward(inwardLength) {
+  return (value) => {
+    const compact = upperCompact(value);
+    if (compact.length <= inwardLength) return compact;
+    return `${compact.slice(0, -inwardLength)} ${compact.slice(-inwardLength)}`;
+  };
+}
+
+/**
+ * Strip all whitespace (numeric postcodes)
+ * @private
+ */
+function stripSpaces(value) {
+  return value.replace(/\s+/g, '');
+}
+
+// ========================================
+// COUNTRY RULES
+// ========================================
+
+/**
+ * Five-digit postcode shared by several EU countries
+ * @private
+ */
+const EU_FIVE_DIGIT = {
+  label: 'Postcode',
+  required: true,
+  pattern: /^\d{5}$/,
+  example: '75001',
+  normalize: stripSpaces
+};
+
+/**
+ * Built-in rules by country code
+ * @private
+ * @type {Object.<string, CountryRules>}
+ */
+const COUNTRY_RULES = {
+  GB: {
+    region: { label: 'County', required: false },
+    postcode: {
+      label: 'Postcode',
+      required: true,
+      pattern: /^(GIR 0AA|[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2})$/,
+      example: 'SW1A 1AA',
+      normalize: splitInward(3)
+    }
+  },
+  US: {
+    region: { label: 'State', required: true, pattern: /^[A-Z]{2}$/, example: 'NY', normalize: upperCompact },
+    postcode: {
+      label: 'ZIP code',
+      required: true,
+      pattern: /^\d{5}(-\d{4})?$/,
+      example: '10001',
+      normalize: stripSpaces
+    }
+  },
+  CA: {
+    region: { label: 'Province', required: true },
+    postcode: {
+      label: 'Postal code',
+      required: true,
+      pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+      example: 'K1A 0B1',
+      normalize: splitInward(3)
+    }
+  },
+  AU: {
+    region: { label: 'State', required: true },
+    postcode: {
+      label: 'Postcode',
+      required: true,
+      pattern: /^\d{4}$/,
+      example: '2000',
+      normalize: stripSpaces
+    }
+  },
+  IE: {
+    region: { label: 'County', required: true },
+    postcode: {
+      label: 'Eircode',
+      required: false,
+      pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W) [0-9AC-FHKNPRTV-Y]{4}$/,
+      example: 'D02 X285',
+      normalize: splitInward(4)
+    }
+  },
+  FR: { region: { hidden: true }, postcode: EU_FIVE_DIGIT },
+  DE: { region: { hidden: true }, postcode: { ...EU_FIVE_DIGIT, label: 'Postleitzahl', example: '10115' } },
+  IT: { region: { label: 'Province', required: false }, postcode: { ...EU_FIVE_DIGIT, label: 'CAP', example: '00184' } },
+  ES: { region: { label: 'Province', required: false }, postcode: { ...EU_FIVE_DIGIT, example: '28013' } },
+  NL: {
+    region: { hidden: true },
+    postcode: {
+      label: 'Postcode',
+      required: true,
+      pattern: /^\d{4} [A-Z]{2}$/,
+      example: '1012 AB',
+      normalize: splitInward(2)
+    }
+  }
+};
+
+/**
+ * Rules applied to countries without an entry in COUNTRY_RULES
+ * @private
+ * @type {CountryRules}
+ */
+const DEFAULT_RULES = {
+  region: { label: 'Region', required: false }
+};
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Get the address rules for a country, merged over the schema defaults
+ *
+ * @param {string} countryCode - ISO country code (e.g. "GB")
+ * @returns {Object.<string, FieldRule>} Resolved rule for every recipient field
+ *
+ * @example
+ * getAddressRules('US').postcode.label; // "ZIP code"
+ */
+export function getAddressRules(countryCode) {
+  const countryRules = COUNTRY_RULES[countryCode] || DEFAULT_RULES;
+  const resolved = {};
+
+  RECIPIENT_FIELDS.forEach(field => {
+    resolved[field.key] = {
+      label: field.label,
+      required: field.required,
+      hidden: false,
+      ...(countryRules[field.key] || {})
+    };
+  });
+
+  return resolved;
+}
+
+/**
+ * Register (or replace) the rules for a country
+ *
+ * @param {string} countryCode - ISO country code
+ * @param {CountryRules} rules - Field rules keyed by schema key
+ *
+ * @example
+ * registerAddressRules('NZ', { postcode: { label: 'Postcode', required: true, pattern: /^\d{4}$/ } });
+ */
+export function registerAddressRules(countryCode, rules) {
+  COUNTRY_RULES[countryCode] = rules;
+}
+
+/**
+ * Normalize recipient values for their country (trim, upper-case postcodes, etc.)
+ *
+ * @param {Object.<string, string>} recipient - Recipient values keyed by schema key
+ * @returns {Object.<string, string>} Normalized copy
+ */
+export function normalizeRecipient(recipient) {
+  const rules = getAddressRules(recipient.country);
+  const normalized = {};
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const rule = rules[field.key];
+    let value = String(recipient[field.key] || '').trim().replace(/\s+/g, ' ');
+
+    if (rule.hidden) {
+      value = '';
+    } else if (value && rule.normalize) {
+      value = rule.normalize(value);
+    }
+
+    normalized[field.key] = value;
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate a recipient address against its country's rules
+ *
+ * @param {Object.<string, string>} recipient - Recipient values keyed by schema key
+ * @returns {RecipientValidation} Validation result with normalized values
+ *
+ * @example
+ * const { valid, errors } = validateRecipient({ ..., postcode: '1234', country: 'US' });
+ * // => valid: false, errors: { postcode: 'Please enter a valid ZIP code (e.g. 10001)' }
+ */
+export function validateRecipient(recipient) {
+  const normalized = normalizeRecipient(recipient);
+  const rules = getAddressRules(normalized.country);
+  const errors = {};
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const rule = rules[field.key];
+    const value = normalized[field.key];
+
+    if (rule.hidden) return;
+
+    if (!value) {
+      if (rule.required) {
+        errors[field.key] = `${rule.label} is required`;
+      }
+      return;
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors[field.key] = rule.example
+        ? `Please enter a valid ${rule.label} (e.g. ${rule.example})`
+        : `Please enter a valid ${rule.label}`;
+    }
+  });
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    recipient: normalized
+  };
+}
@@ -2,38 +2,180 @@
  * Analytics Service
  *
  * @module core/analytics
- * @description Tracks user events to GA4 and Shopify Analytics
+ * @description Validates, consent-gates and queues user events, then hands them to transports
+ *
+ * Every event is checked against the catalogue in core/analyticsEvents.js.
+ * Each registered transport (GA4 and Shopify Analytics by default) gets its
+ * own queue: events wait there until the visitor's consent covers the
+ * transport's purpose and the destination script has loaded. Transports
+ * registered later receive the events tracked before they arrived.
  *
  * @public trackEvent(eventName: string, properties: object) → void
+ * @public registerTransport(transport: AnalyticsTransport, options?: { replay?: boolean }) → void
+ * @public unregisterTransport(name: string) → void
+ * @public setAnalyticsConsent(consent: Consent) → void
+ * @public flushAnalytics() → void
  *
  * @example
- * import { trackEvent } from './core/analytics.js';
- * trackEvent('cc_size_select', { variant_id: 123, price: 399 });
+ * import { trackEvent, registerTransport } from './core/analytics.js';
+ * import { createRecorderTransport } from '../integrations/analyticsTransports.js';
+ *
+ * trackEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'grid' });
+ * registerTransport(createRecorderTransport()); // receives the event above
  */
 
+import { validateEvent } from './analyticsEvents.js';
+import { createGtagTransport, createShopifyTransport } from '../integrations/analyticsTransports.js';
+
 const DEBUG = new URLSearchParams(window.location.search).has('debug') || window.ccDebug;
 
 const debug = {
   log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => console.warn(...args), // Catalogue mismatches are developer errors
   error: (...args) => console.error(...args)
 };
 
+// ========================================
+// STATE
+// ========================================
+
+/**
+ * Most events kept per queue (oldest dropped first)
+ * @private
+ */
+const MAX_QUEUE = 100;
+
+/**
+ * Registered transports with their pending events, by name
+ * @private
+ * @type {Map<string, { transport: AnalyticsTransport, queue: AnalyticsEvent[] }>}
+ */
+const transports = new Map();
+
+/**
+ * Recent events, replayed to transports registered later
+ * @private
+ */
+const history = [];
+
+/**
+ * Visitor consent (null = not known yet)
+ * @private
+ */
+let consent = { analytics: null, marketing: null };
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Append to a bounded queue
+ * @private
+ */
+function enqueue(queue, event) {
+  queue.push(event);
+  if (queue.length > MAX_QUEUE) queue.shift();
+}
+
 /**
- * Tracks an event to Google Analytics (GA4) and Shopify Analytics
+ * Whether a transport may receive events right now
+ * @private
+ */
+function canSend(transport) {
+  const purpose = transport.consent || 'analytics';
+  if (purpose !== 'none' && consent[purpose] !== true) return false;
+  return !transport.isReady || transport.isReady();
+}
+
+/**
+ * Send a transport's queued events, in order, if it is allowed and ready
+ * @private
+ */
+function drain(entry) {
+  if (entry.queue.length === 0 || !canSend(entry.transport)) return;
+
+  const pending = entry.queue.splice(0);
+  pending.forEach(event => {
+    try {
+      entry.transport.send(event);
+    } catch (error) {
+      debug.error(`[CC Analytics] Transport "${entry.transport.name}" failed:`, error);
+    }
+  });
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Track an event
+ *
+ * Events that don't match the catalogue are dropped with a console warning.
  *
- * @param {string} eventName - Event name (should be prefixed with cc_*)
+ * @param {string} eventName - Event name (must be in ANALYTICS_EVENTS)
  * @param {object} properties - Event properties/parameters
  */
 export function trackEvent(eventName, properties = {}) {
-  // GA4 / Google Analytics tracking
-  if (typeof gtag !== 'undefined') {
-    gtag('event', eventName, properties);
+  const validation = validateEvent(eventName, properties);
+  if (!validation.valid) {
+    debug.warn(`[CC Analytics] Dropped "${eventName}":`, validation.errors.join('; '));
+    return;
   }
 
-  // Shopify Analytics
-  if (typeof window.ShopifyAnalytics !== 'undefined') {
-    window.ShopifyAnalytics.lib.track(eventName, properties);
-  }
+  const event = { name: eventName, properties: { ...properties }, timestamp: Date.now() };
+  enqueue(history, event);
+
+  transports.forEach(entry => {
+    enqueue(entry.queue, event);
+    drain(entry);
+  });
 
   debug.log('[CC Analytics]', eventName, properties);
 }
+
+/**
+ * Add a transport (replaces one with the same name)
+ *
+ * @param {AnalyticsTransport} transport - Transport (see integrations/analyticsTransports.js)
+ * @param {{ replay?: boolean }} [options] - replay: also send events tracked before registration (default true)
+ */
+export function registerTransport(transport, { replay = true } = {}) {
+  const entry = { transport, queue: replay ? history.slice() : [] };
+  transports.set(transport.name, entry);
+  drain(entry);
+}
+
+/**
+ * Remove a transport and drop its queue
+ *
+ * @param {string} name - Transport name
+ */
+export function unregisterTransport(name) {
+  transports.delete(name);
+}
+
+/**
+ * Update visitor consent and send anything it now allows
+ *
+ * @param {{ analytics: boolean|null, marketing: boolean|null }} next - Consent state
+ */
+export function setAnalyticsConsent(next) {
+  consent = { ...consent, ...next };
+  debug.log('[CC Analytics] Consent:', consent);
+  flushAnalytics();
+}
+
+/**
+ * Retry queued events (e.g. once gtag.js has loaded)
+ */
+export function flushAnalytics() {
+  transports.forEach(drain);
+}
+
+// ========================================
+// DEFAULT TRANSPORTS
+// ========================================
+
+registerTransport(createGtagTransport());
+registerTransport(createShopifyTransport());
@@ -0,0 +1,322 @@
+/**
+ * Analytics Events
+ *
+ * @module core/analyticsEvents
+ * @description Catalogue of every cc_* analytics event and its payload schema
+ *
+ * Both the modal (core/analytics.js) and the recommendations rail
+ * (assets/cc-recs.js, via window.ccAnalyticsQueue) validate against this list,
+ * so a renamed property or an uncatalogued event shows up as a console warning
+ * instead of a silent gap in reports. Add new events here before firing them.
+ *
+ * Property types: 'string', 'number', 'boolean', 'id' (Shopify ID, number or
+ * numeric string) or an array of allowed string values. A trailing '?' marks
+ * the property as optional.
+ *
+ * @public ANALYTICS_EVENTS - Event name → EventSchema
+ * @public validateEvent(name: string, properties: object) → EventValidation
+ *
+ * @typedef {Object} EventSchema
+ * @property {string} description - What the event means
+ * @property {Object.<string, string|string[]>} properties - Property types
+ *
+ * @typedef {Object} EventValidation
+ * @property {boolean} valid - True if the event is known and its payload matches
+ * @property {string[]} errors - Problems found (unknown event, missing/extra/mistyped properties)
+ *
+ * @example
+ * import { validateEvent } from './core/analyticsEvents.js';
+ *
+ * validateEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'grid' });
+ * // => { valid: true, errors: [] }
+ */
+
+import { SESSION_STEPS, EXIT_REASONS } from './modalSession.js';
+import { CART_ERRORS } from '../services/cartService.js';
+import { IDEA_TONES, IDEA_LENGTHS, IDEA_RELATIONSHIPS, IDEA_REFINEMENTS } from './messageIdeas.js';
+
+// ========================================
+// EVENT CATALOGUE
+// ========================================
+
+const MODAL_SOURCES = ['grid', 'recommendations', 'link', 'history'];
+const RECS_MODES = ['similar', 'interest', 'occasion'];
+const CART_ERROR_TYPES = Object.values(CART_ERRORS);
+
+/**
+ * Every event the storefront sends
+ * @type {Object.<string, EventSchema>}
+ */
+export const ANALYTICS_EVENTS = Object.freeze({
+  // Modal
+  cc_modal_open: {
+    description: 'Choice modal opened',
+    properties: { product_handle: 'string', source: MODAL_SOURCES }
+  },
+  cc_modal_close: {
+    description: 'Choice modal closed',
+    properties: { product_handle: 'string?' }
+  },
+  cc_modal_session: {
+    description: 'Summary of one modal session (funnel step timings and why it ended)',
+    properties: {
+      session_id: 'string',
+      product_handle: 'string',
+      source: MODAL_SOURCES,
+      outcome: ['added', 'abandoned'],
+      exit_reason: EXIT_REASONS,
+      last_step: SESSION_STEPS,
+      duration_ms: 'number',
+      submit_count: 'number',
+      error_count: 'number',
+      variant_select_ms: 'number?',
+      personalise_enter_ms: 'number?',
+      first_keystroke_ms: 'number?',
+      ai_used_ms: 'number?',
+      submit_ms: 'number?',
+      error_ms: 'number?',
+      success_ms: 'number?'
+    }
+  },
+  cc_personalise_open: {
+    description: 'Personaliser shown for a variant',
+    properties: { product_id: 'id', variant_id: 'id', price: 'number' }
+  },
+
+  // Basket
+  cc_add_blank_success: {
+    description: 'Blank card added to the basket',
+    properties: { product_id: 'id', variant_id: 'id', price: 'number' }
+  },
+  cc_add_personalised_success: {
+    description: 'Personalised card added to the basket',
+    properties: {
+      product_id: 'id',
+      variant_id: 'id',
+      price: 'number',
+      has_message: 'boolean',
+      message_length: 'number',
+      has_front_caption: 'boolean',
+      has_photo: 'boolean',
+      delivery_method: 'string'
+    }
+  },
+  cc_batch_mode_toggled: {
+    description: 'Multi-card mode switched on or off',
+    properties: { product_handle: 'string', enabled: 'boolean' }
+  },
+  cc_batch_add: {
+    description: 'Several personalised copies sent to the basket in one request',
+    properties: {
+      product_id: 'id',
+      variant_id: 'id',
+      price: 'number',
+      copies: 'number',
+      added: 'number',
+      failed: 'number'
+    }
+  },
+  cc_add_error: {
+    description: 'Basket add or edit failed after retries',
+    properties: { product_handle: 'string', error_type: CART_ERROR_TYPES, status: 'number' }
+  },
+  cc_add_queued: {
+    description: 'Personalised add saved while offline, to be sent on reconnect',
+    properties: { product_handle: 'string', variant_id: 'id', copies: 'number' }
+  },
+  cc_add_replayed: {
+    description: 'Adds saved while offline were sent to the basket',
+    properties: { added: 'number', failed: 'number', pending: 'number' }
+  },
+  cc_cart_line_edit_open: {
+    description: 'Basket line reopened in the personaliser',
+    properties: { product_handle: 'string', variant_id: 'id' }
+  },
+  cc_cart_line_edited: {
+    description: 'Basket line saved after editing',
+    properties: { product_id: 'id', variant_id: 'id', delivery_method: 'string' }
+  },
+
+  // Message
+  cc_message_cleared: {
+    description: 'Inside message cleared',
+    properties: { product_handle: 'string', variant_id: 'id' }
+  },
+  cc_message_fit_action: {
+    description: 'Message too long for the card; customer chose to shrink the text or see what is cut',
+    properties: { product_handle: 'string', action: ['shrink', 'show_cut'], font_size: 'string' }
+  },
+  cc_unprintable_characters: {
+    description: 'Message has characters the chosen font can\'t print; shown once per font and set of scripts',
+    properties: { product_handle: 'string', font_family: 'string', scripts: 'string', suggested_font: 'string?' }
+  },
+  cc_font_suggestion_applied: {
+    description: 'Customer switched to the font suggested for characters the previous font can\'t print',
+    properties: { product_handle: 'string', from_font: 'string', to_font: 'string' }
+  },
+  cc_message_check_flagged: {
+    description: 'Possible misspellings or blocked words found in the message; shown once per set of words',
+    properties: { product_handle: 'string', trigger: ['blur', 'submit'], misspellings: 'number', blocked: 'boolean' }
+  },
+  cc_spelling_suggestion: {
+    description: 'Customer fixed a flagged word with a suggestion or kept their spelling',
+    properties: { product_handle: 'string', action: ['fix', 'ignore'] }
+  },
+  cc_photo_uploaded: {
+    description: 'Cropped photo uploaded for a photo card',
+    properties: { product_handle: 'string', dpi: 'number', bytes: 'number', low_resolution: 'boolean' }
+  },
+  cc_photo_upload_failed: {
+    description: 'Photo couldn\'t be opened, compressed or uploaded',
+    properties: { product_handle: 'string', reason: ['unsupported', 'too_large', 'decode', 'encode', 'upload'] }
+  },
+  cc_ai_form_open: {
+    description: 'AI suggestions form opened',
+    properties: { product_handle: 'string', variant_id: 'id' }
+  },
+  cc_ai_suggestions_generated: {
+    description: 'AI suggestions returned (count is how many fit the card and were shown)',
+    properties: {
+      product_handle: 'string',
+      variant_id: 'id',
+      count: 'number',
+      tone: Object.keys(IDEA_TONES),
+      length: Object.keys(IDEA_LENGTHS),
+      relationship: [...Object.keys(IDEA_RELATIONSHIPS), 'none'],
+      max_length: 'number',
+      fallback: 'boolean'
+    }
+  },
+  cc_ai_suggestion_use: {
+    description: 'AI suggestion copied into the message (version 1 is as generated, each change adds one)',
+    properties: { product_handle: 'string', variant_id: 'id', suggestion_index: 'number', version: 'number' }
+  },
+  cc_ai_suggestion_copy: {
+    description: 'AI suggestion copied to the clipboard',
+    properties: { product_handle: 'string', variant_id: 'id', suggestion_index: 'number' }
+  },
+  cc_ai_suggestion_refine: {
+    description: 'Customer asked for a change to an AI suggestion (quick change or their own words)',
+    properties: {
+      product_handle: 'string',
+      variant_id: 'id',
+      suggestion_index: 'number',
+      refinement: [...Object.keys(IDEA_REFINEMENTS), 'custom'],
+      version: 'number',
+      outcome: ['changed', 'unchanged', 'too_long', 'budget', 'rate_limited', 'error']
+    }
+  },
+
+  // Delivery
+  cc_delivery_method_changed: {
+    description: 'Post to me / Send direct toggled',
+    properties: { product_handle: 'string', delivery_method: 'string' }
+  },
+  cc_recipient_invalid: {
+    description: 'Send Direct address failed validation',
+    properties: { product_handle: 'string', country: 'string', fields: 'string' }
+  },
+  cc_send_date_selected: {
+    description: 'Scheduled arrival date picked',
+    properties: { product_handle: 'string', country: 'string', arrival_date: 'string' }
+  },
+  cc_saved_recipient_selected: {
+    description: 'Saved recipient picked from the address book',
+    properties: { product_handle: 'string' }
+  },
+  cc_saved_recipient_saved: {
+    description: 'Recipient saved to the address book',
+    properties: { product_handle: 'string', is_update: 'boolean' }
+  },
+  cc_saved_recipient_deleted: {
+    description: 'Recipient removed from the address book',
+    properties: { product_handle: 'string' }
+  },
+
+  // Recommendations (assets/cc-recs.js)
+  cc_recs_match: {
+    description: 'Recommendations computed for an anchor product',
+    properties: { anchor_handle: 'string', mode: RECS_MODES, match_count: 'number', duration_ms: 'number' }
+  },
+  cc_recs_view: {
+    description: 'Recommendation rail rendered',
+    properties: { anchor_handle: 'string', mode: RECS_MODES, count: 'number' }
+  },
+  cc_recs_impression: {
+    description: 'Products shown in the recommendation rail',
+    properties: { anchor_handle: 'string', handles: 'string' }
+  },
+  cc_recs_pivot: {
+    description: 'Recommendation pivot chip clicked',
+    properties: { anchor_handle: 'string', from_mode: RECS_MODES, to_mode: RECS_MODES }
+  },
+  cc_recs_click: {
+    description: 'Recommended product clicked',
+    properties: { anchor_handle: 'string', rec_handle: 'string', position: 'number', mode: RECS_MODES }
+  }
+});
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Check one value against a property type
+ * @private
+ */
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.includes(value);
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'id':
+      return (typeof value === 'number' && Number.isInteger(value)) ||
+        (typeof value === 'string' && /^\d+$/.test(value));
+    default:
+      return false;
+  }
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Validate an event name and payload against the catalogue
+ *
+ * @param {string} name - Event name
+ * @param {Object} [properties] - Event properties
+ * @returns {EventValidation} Validation result
+ */
+export function validateEvent(name, properties = {}) {
+  const schema = Object.prototype.hasOwnProperty.call(ANALYTICS_EVENTS, name) ? ANALYTICS_EVENTS[name] : null;
+  if (!schema) {
+    return { valid: false, errors: [`Unknown event "${name}"`] };
+  }
+
+  const errors = [];
+  const payload = properties || {};
+
+  Object.entries(schema.properties).forEach(([key, spec]) => {
+    const optional = typeof spec === 'string' && spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = payload[key];
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`Missing "${key}"`);
+    } else if (!matchesType(value, type)) {
+      errors.push(`"${key}" should be ${Array.isArray(type) ? `one of ${type.join(', ')}` : `a ${type}`}`);
+    }
+  });
+
+  Object.keys(payload).forEach(key => {
+    if (!(key in schema.properties)) errors.push(`Unexpected "${key}"`);
+  });
+
+  return { valid: errors.length === 0, errors };
+}
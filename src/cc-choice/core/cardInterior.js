@@ -0,0 +1,487 @@
+/**
+ * Card Interior Layout
+ *
+ * @module core/cardInterior
+ * @description Print-accurate layout of the inside message, in millimetres, for preview and fulfilment
+ *
+ * Takes the message, typography and the chosen variant's physical size and
+ * returns positioned text runs on the opened card (left page, fold, right
+ * page). The canvas preview (views/messageField.js) and the print files
+ * (core/interiorPrint.js) both draw from this result, so line breaks and
+ * positions in the preview are the ones that get printed.
+ *
+ * Deterministic and DOM-free: it runs unchanged in the browser and in Node.
+ * Text is measured with FONT_METRICS unless a measurer is passed in, so the
+ * same message always breaks the same way whatever fonts have loaded.
+ *
+ * Coordinates are millimetres from the top-left corner of the trimmed,
+ * opened card. The bleed sits outside that box (negative coordinates and
+ * beyond the spread's width/height).
+ *
+ * @public PRINT_SPEC - Bleed and safe margin (mm)
+ * @public CARD_FORMATS - Folded card sizes (mm) by size keyword
+ * @public FONT_SIZES - Message sizes in points on a standard card
+ * @public FONT_METRICS - Approximate glyph widths per font family
+ * @public LINE_SPACINGS - Line spacing presets
+ * @public TEXT_ALIGNS - Alignments → text anchor
+ * @public PT_TO_MM - Millimetres per typographic point
+ * @public resolveCardFormat(sizeValue: string) → CardFormat | null
+ * @public formatCardDimensions(format: CardFormat) → string
+ * @public createMetricsMeasurer(metrics?: Object) → Measurer
+ * @public layoutCardInterior(options: InteriorOptions) → InteriorLayout
+ *
+ * @typedef {Object} CardFormat
+ * @property {string} key - Size keyword (e.g. 'a5')
+ * @property {number} width - Folded (front) width in mm
+ * @property {number} height - Height in mm
+ *
+ * @typedef {Function} Measurer
+ * (text: string, font: { family: string, sizeMm: number }) → number; width in mm
+ *
+ * @typedef {Object} InteriorOptions
+ * @property {string} message - Inside message (right page)
+ * @property {string} [leftMessage] - Note on the left page (default none)
+ * @property {string} [fontFamily] - Font family (default 'Playfair Display')
+ * @property {string} [fontSize] - 'small' | 'medium' | 'large' (default 'medium')
+ * @property {string} [textColor] - Hex colour (default '#1A1A1A')
+ * @property {CardFormat|string} [format] - Card format, or a variant size name to resolve
+ * @property {string|number} [lineSpacing] - LINE_SPACINGS preset or a multiple of the font size (default 'normal')
+ * @property {string} [align] - 'left' | 'center' | 'right' (default 'center')
+ * @property {Measurer} [measure] - Text measurer (default: FONT_METRICS)
+ *
+ * @typedef {Object} Box
+ * @property {number} x - Left (mm)
+ * @property {number} y - Top (mm)
+ * @property {number} width - Width (mm)
+ * @property {number} height - Height (mm)
+ *
+ * @typedef {Object} TextRun
+ * @property {string} text - Line text
+ * @property {number} x - Left edge of the measured line (mm)
+ * @property {number} y - Baseline (mm)
+ * @property {number} width - Measured width (mm)
+ * @property {string} anchor - 'start' | 'middle' | 'end'
+ * @property {number} anchorX - x of the anchor point; renderers with real font metrics align on this
+ *
+ * @typedef {Object} InteriorLayout
+ * @property {CardFormat} format - Card format used
+ * @property {{ width: number, height: number }} spread - Opened card, trimmed (mm)
+ * @property {number} bleed - Bleed on every edge (mm)
+ * @property {{ left: Box, right: Box }} pages - Pages of the opened card
+ * @property {Box} textBox - Safe area on the message page
+ * @property {{ family: string, size: string, sizePt: number, sizeMm: number, lineHeight: number }} font - Typography
+ * @property {string} color - Text colour
+ * @property {string} align - 'left' | 'center' | 'right'
+ * @property {string[]} lines - Every wrapped line of `message`, including any that don't fit
+ * @property {TextRun[]} runs - Lines that fit on both pages, positioned (blank lines take space but have no run)
+ * @property {number} maxLines - Lines the text box can hold
+ * @property {boolean} overflow - True if some lines of `message` don't fit
+ * @property {number} fitLength - Characters of `message` that get printed (the rest is cut when overflow is true)
+ * @property {PageText} leftPage - The left-page note
+ *
+ * @typedef {Object} PageText
+ * @property {Box} textBox - Safe area on the page
+ * @property {string[]} lines - Every wrapped line
+ * @property {number} maxLines - Lines the text box can hold
+ * @property {boolean} overflow - True if some lines don't fit
+ * @property {number} fitLength - Characters of the text that get printed
+ *
+ * @example
+ * import { layoutCardInterior } from './core/cardInterior.js';
+ *
+ * const layout = layoutCardInterior({
+ *   message: 'Happy birthday, Grandad!',
+ *   fontFamily: 'Dancing Script',
+ *   fontSize: 'large',
+ *   format: 'A5'
+ * });
+ * layout.runs[0];
+ * // => { text: 'Happy birthday, Grandad!', x: 179.46, y: 107.47, width: 85.08, anchor: 'middle', anchorX: 222 }
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Millimetres per typographic point
+ * @type {number}
+ */
+export const PT_TO_MM = 25.4 / 72;
+
+/**
+ * Print file requirements (mm)
+ *
+ * Artwork runs `bleed` past every trimmed edge; text stays `safeMargin`
+ * inside the trim and away from the fold. Keep in step with the Prodigi
+ * greeting-card templates.
+ */
+export const PRINT_SPEC = Object.freeze({
+  bleed: 3,
+  safeMargin: 8
+});
+
+/**
+ * Folded card sizes (mm), matched against the variant's size name in order
+ * @type {Object.<string, { width: number, height: number }>}
+ */
+export const CARD_FORMATS = Object.freeze({
+  standard: { width: 132, height: 185 },
+  large: { width: 205, height: 290 },
+  giant: { width: 293, height: 419 },
+  small: { width: 105, height: 148 },
+  a5: { width: 148, height: 210 },
+  a4: { width: 210, height: 297 },
+  a6: { width: 105, height: 148 }
+});
+
+const DEFAULT_FORMAT = 'standard';
+
+/**
+ * Message sizes in points on a standard card; other sizes scale with the page width
+ * @type {Object.<string, number>}
+ */
+export const FONT_SIZES = Object.freeze({
+  small: 14,
+  medium: 18,
+  large: 24
+});
+
+/**
+ * Approximate glyph widths, in ems
+ *
+ * `scale` is each family's average advance relative to the base widths,
+ * `ascent`/`descent` its vertical extent. These are estimates, not the
+ * fonts' real tables: what matters is that preview and print use the same
+ * numbers, and the safe margin absorbs the difference from the real glyphs.
+ */
+export const FONT_METRICS = Object.freeze({
+  base: {
+    space: 0.26,
+    narrow: 0.25, // i j l | ! . , : ; '
+    slim: 0.36, // f r t I ( ) -
+    lower: 0.5,
+    digit: 0.55,
+    upper: 0.66,
+    wide: 0.86, // m w M W @ %
+    full: 1, // CJK, Hangul, emoji
+    zero: 0 // accents, joiners, variation selectors, skin tones
+  },
+  families: {
+    'Playfair Display': { scale: 1, ascent: 0.82, descent: 0.22 },
+    'Dancing Script': { scale: 0.84, ascent: 0.78, descent: 0.26 },
+    'Pacifico': { scale: 1.12, ascent: 0.9, descent: 0.32 },
+    'Great Vibes': { scale: 0.8, ascent: 0.76, descent: 0.3 },
+    'Caveat': { scale: 0.78, ascent: 0.74, descent: 0.24 },
+    'Permanent Marker': { scale: 1.1, ascent: 0.86, descent: 0.2 },
+    'Shadows Into Light': { scale: 0.84, ascent: 0.8, descent: 0.26 },
+    'Cookie': { scale: 0.74, ascent: 0.76, descent: 0.24 },
+    'Satisfy': { scale: 0.86, ascent: 0.8, descent: 0.28 },
+    'Indie Flower': { scale: 0.94, ascent: 0.82, descent: 0.26 },
+    'Lora': { scale: 1, ascent: 0.8, descent: 0.22 },
+    'Crimson Text': { scale: 0.9, ascent: 0.78, descent: 0.24 },
+    'Noto Serif': { scale: 1.06, ascent: 0.86, descent: 0.24 },
+    'Noto Sans SC': { scale: 1, ascent: 0.88, descent: 0.12 },
+    'Noto Sans KR': { scale: 1, ascent: 0.88, descent: 0.12 }
+  },
+  fallback: { scale: 1, ascent: 0.8, descent: 0.22 }
+});
+
+// Standard card page width the FONT_SIZES are set for (mm)
+const REFERENCE_PAGE_WIDTH = CARD_FORMATS.standard.width;
+
+/**
+ * Line spacing presets, as multiples of the font size
+ * @type {Object.<string, number>}
+ */
+export const LINE_SPACINGS = Object.freeze({
+  compact: 1.2,
+  normal: 1.5,
+  relaxed: 1.8
+});
+
+/**
+ * Text alignments and the anchor each one uses
+ * @type {Object.<string, string>}
+ */
+export const TEXT_ALIGNS = Object.freeze({
+  left: 'start',
+  center: 'middle',
+  right: 'end'
+});
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Width class of one character
+ * @private
+ */
+function charClass(char) {
+  if (char === ' ') return 'space';
+  if (/[\p{M}\p{Cf}\p{Emoji_Modifier}]/u.test(char)) return 'zero';
+  if (/[\u1100-\u11FF\u2E80-\u9FFF\uA960-\uA97F\uAC00-\uD7FF\uF900-\uFAFF\uFF00-\uFF60\u{1F000}-\u{1FAFF}]/u.test(char)) return 'full';
+  if (/[ijl|!.,:;'’]/.test(char)) return 'narrow';
+  if (/[frtI()\-]/.test(char)) return 'slim';
+  if (/[mwMW@%]/.test(char)) return 'wide';
+  if (/[0-9]/.test(char)) return 'digit';
+  if (/[A-Z]/.test(char)) return 'upper';
+  return 'lower';
+}
+
+/**
+ * Round to 0.01mm so output is stable across platforms
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Longest prefix of a word that fits the width (at least one character)
+ * @private
+ */
+function fittingPrefix(word, maxWidth, measureLine) {
+  const chars = Array.from(word);
+  let end = 1;
+  while (end < chars.length && measureLine(chars.slice(0, end + 1).join('')) <= maxWidth) {
+    end++;
+  }
+  return chars.slice(0, end).join('');
+}
+
+/**
+ * Wrap text into lines no wider than maxWidth
+ *
+ * Line breaks in the message start a new line (blank lines are kept);
+ * words longer than a line are broken between characters.
+ *
+ * @private
+ */
+function wrapText(text, maxWidth, measureLine) {
+  const lines = [];
+
+  text.split('\n').forEach(paragraph => {
+    const words = paragraph.split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      lines.push('');
+      return;
+    }
+
+    let current = '';
+    words.forEach(word => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (measureLine(candidate) <= maxWidth) {
+        current = candidate;
+        return;
+      }
+
+      if (current) lines.push(current);
+
+      let rest = word;
+      while (measureLine(rest) > maxWidth) {
+        const prefix = fittingPrefix(rest, maxWidth, measureLine);
+        lines.push(prefix);
+        rest = rest.slice(prefix.length);
+      }
+      current = rest;
+    });
+    lines.push(current);
+  });
+
+  return lines;
+}
+
+/**
+ * Wrap and position one page's text, vertically centred in its text box
+ * @private
+ */
+function layoutPageText(message, textBox, { measureLine, lineHeight, baselineOffset, anchor }) {
+  const text = String(message).replace(/\r\n?/g, '\n').trim();
+  const lines = text ? wrapText(text, textBox.width, measureLine) : [];
+  const maxLines = Math.max(1, Math.floor((textBox.height + 0.001) / lineHeight));
+  const visible = lines.slice(0, maxLines);
+  const overflow = lines.length > maxLines;
+
+  const blockTop = textBox.y + (textBox.height - visible.length * lineHeight) / 2;
+  const anchorX = anchor === 'start'
+    ? textBox.x
+    : anchor === 'end' ? textBox.x + textBox.width : textBox.x + textBox.width / 2;
+
+  const runs = [];
+  visible.forEach((line, index) => {
+    if (!line) return;
+    const width = measureLine(line);
+    const x = anchor === 'start' ? anchorX : anchor === 'end' ? anchorX - width : anchorX - width / 2;
+    runs.push({
+      text: line,
+      x: round(x),
+      y: round(blockTop + index * lineHeight + baselineOffset),
+      width: round(width),
+      anchor,
+      anchorX: round(anchorX)
+    });
+  });
+
+  return {
+    textBox,
+    lines,
+    runs,
+    maxLines,
+    overflow,
+    fitLength: overflow ? printedLength(String(message), visible) : String(message).length
+  };
+}
+
+/**
+ * Length of the message up to its last printed character
+ *
+ * Wrapping only drops or moves whitespace, so counting the printed
+ * non-space characters back through the original message finds the cut.
+ *
+ * @private
+ */
+function printedLength(message, printedLines) {
+  let remaining = printedLines.join('').replace(/\s/g, '').length;
+  if (remaining === 0) return 0;
+
+  for (let i = 0; i < message.length; i++) {
+    if (/\s/.test(message[i])) continue;
+    remaining--;
+    if (remaining === 0) return i + 1;
+  }
+  return message.length;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Find the card format for a variant size name ("A5", "Large (205 × 290mm)", …)
+ *
+ * @param {string} sizeValue - Variant size option or title
+ * @returns {CardFormat|null} Format, or null if the name doesn't match one
+ */
+export function resolveCardFormat(sizeValue) {
+  const sizeLower = String(sizeValue || '').toLowerCase();
+  const key = Object.keys(CARD_FORMATS).find(name => sizeLower.includes(name));
+  return key ? { key, ...CARD_FORMATS[key] } : null;
+}
+
+/**
+ * Human-readable dimensions, e.g. '148 × 210mm (5.8" × 8.3")'
+ *
+ * @param {CardFormat} format - Card format
+ * @returns {string} Dimensions in mm and inches
+ */
+export function formatCardDimensions({ width, height }) {
+  const inches = (mm) => (mm / 25.4).toFixed(1);
+  return `${width} × ${height}mm (${inches(width)}" × ${inches(height)}")`;
+}
+
+/**
+ * Measurer based on FONT_METRICS (deterministic in every environment)
+ *
+ * @param {Object} [metrics] - Metrics table (defaults to FONT_METRICS)
+ * @returns {Measurer} Measurer
+ */
+export function createMetricsMeasurer(metrics = FONT_METRICS) {
+  return (text, { family, sizeMm }) => {
+    const font = metrics.families[family] || metrics.fallback;
+    let ems = 0;
+    for (const char of text) {
+      ems += metrics.base[charClass(char)];
+    }
+    return ems * font.scale * sizeMm;
+  };
+}
+
+const measureWithMetrics = createMetricsMeasurer();
+
+/**
+ * Lay out the inside message on the opened card
+ *
+ * The message sits on the right-hand page and the optional note on the
+ * left, each centred vertically in its page's safe area with the same
+ * typography. Lines that don't fit are reported in `lines`/`overflow`
+ * (`leftPage` for the note) but get no run.
+ *
+ * @param {InteriorOptions} options - Message, typography and card format
+ * @returns {InteriorLayout} Positioned text runs and page geometry (mm)
+ */
+export function layoutCardInterior({
+  message = '',
+  leftMessage = '',
+  fontFamily = 'Playfair Display',
+  fontSize = 'medium',
+  textColor = '#1A1A1A',
+  format = DEFAULT_FORMAT,
+  lineSpacing = 'normal',
+  align = 'center',
+  measure = measureWithMetrics
+}) {
+  const card = typeof format === 'string'
+    ? resolveCardFormat(format) || { key: DEFAULT_FORMAT, ...CARD_FORMATS[DEFAULT_FORMAT] }
+    : format;
+  const { bleed, safeMargin } = PRINT_SPEC;
+
+  const pages = {
+    left: { x: 0, y: 0, width: card.width, height: card.height },
+    right: { x: card.width, y: 0, width: card.width, height: card.height }
+  };
+  const safeArea = (page) => ({
+    x: page.x + safeMargin,
+    y: safeMargin,
+    width: card.width - safeMargin * 2,
+    height: card.height - safeMargin * 2
+  });
+
+  const sizePt = (FONT_SIZES[fontSize] || FONT_SIZES.medium) * (card.width / REFERENCE_PAGE_WIDTH);
+  const sizeMm = sizePt * PT_TO_MM;
+  const spacing = typeof lineSpacing === 'number' ? lineSpacing : LINE_SPACINGS[lineSpacing] || LINE_SPACINGS.normal;
+  const lineHeight = sizeMm * spacing;
+  const metrics = FONT_METRICS.families[fontFamily] || FONT_METRICS.fallback;
+  const font = { family: fontFamily, sizeMm };
+  const textAlign = TEXT_ALIGNS[align] ? align : 'center';
+
+  // Each baseline sits centred in its line box
+  const pageOptions = {
+    measureLine: (text) => measure(text, font),
+    lineHeight,
+    baselineOffset: lineHeight / 2 + ((metrics.ascent - metrics.descent) / 2) * sizeMm,
+    anchor: TEXT_ALIGNS[textAlign]
+  };
+  const right = layoutPageText(message, safeArea(pages.right), pageOptions);
+  const left = layoutPageText(leftMessage, safeArea(pages.left), pageOptions);
+
+  return {
+    format: card,
+    spread: { width: card.width * 2, height: card.height },
+    bleed,
+    pages,
+    textBox: right.textBox,
+    font: {
+      family: fontFamily,
+      size: FONT_SIZES[fontSize] ? fontSize : 'medium',
+      sizePt: round(sizePt),
+      sizeMm: round(sizeMm),
+      lineHeight: round(lineHeight)
+    },
+    color: textColor,
+    align: textAlign,
+    lines: right.lines,
+    runs: [...right.runs, ...left.runs],
+    maxLines: right.maxLines,
+    overflow: right.overflow,
+    fitLength: right.fitLength,
+    leftPage: {
+      textBox: left.textBox,
+      lines: left.lines,
+      maxLines: left.maxLines,
+      overflow: left.overflow,
+      fitLength: left.fitLength
+    }
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * Card Line
+ *
+ * @module core/cardLine
+ * @description Reads, validates and serializes one personalised card (one basket line)
+ *
+ * Used by the single "Add to basket" flow and by multi-card mode, where each
+ * copy of the design becomes its own line in a batched /cart/add.js request.
+ *
+ * @public MESSAGE_LIMIT - Maximum inside message length
+ * @public LEFT_MESSAGE_LIMIT - Maximum left-page note length
+ * @public readCardLine(formData: FormData) → CardLine
+ * @public validateCardLine(line: CardLine, now?: Date, options?: { format?: CardFormat|string, catalogue?: TypographyCatalogue, frontCaption?: FrontCaptionSettings, photoRequired?: boolean }) → CardLineValidation
+ * @public isCardLineEmpty(line: CardLine) → boolean
+ * @public buildCardLineItem(line: CardLine, context: CardLineContext) → CartPayload
+ * @public describeCardLine(line: CardLine) → string
+ * @public cardLineFromProperties(properties: object) → CardLine
+ *
+ * @typedef {Object} CardLine
+ * @property {string} insideMessage - Inside message text (right page)
+ * @property {string} leftMessage - Note on the left page ('' for none)
+ * @property {string} frontCaption - Caption on the front ('' for none)
+ * @property {string} photoRef - Uploaded photo for photo cards ('' for none)
+ * @property {string} fontFamily - Message font
+ * @property {string} fontSize - small | medium | large
+ * @property {string} textColor - Hex colour
+ * @property {string} textAlign - left | center | right
+ * @property {string} lineSpacing - compact | normal | relaxed
+ * @property {boolean} leaveBlank - Send without a message
+ * @property {string} arrivalDate - Scheduled arrival (ISO date, Send Direct only), '' to send straight away
+ * @property {import('./deliverySchema.js').DeliveryDetails} delivery - Delivery method + recipient
+ *
+ * @typedef {Object} CardLineValidation
+ * @property {boolean} valid - True if the line can be added to the basket
+ * @property {Object.<string, string>} errors - Messages keyed by field ("insideMessage", "leftMessage", "frontCaption", "photo", "fontFamily", "textColor", "arrivalDate" or recipient key)
+ * @property {CardLine} line - Line with normalized recipient values
+ *
+ * @typedef {Object} CardLineContext
+ * @property {number|string} variantId - Variant to add
+ * @property {Object} [variantSkus] - Prodigi SKU pair for the variant
+ * @property {string} [artworkPrompt] - Product title for the artwork prompt property
+ * @property {{ baseUrl: string, size: string }} [proof] - Proofs worker and card size for the `_proof_url` link
+ *
+ * @example
+ * import { readCardLine, validateCardLine, buildCardLineItem } from './core/cardLine.js';
+ *
+ * const { valid, errors, line } = validateCardLine(readCardLine(new FormData(form)));
+ * if (valid) await addToCart(buildCardLineItem(line, { variantId: 123, variantSkus }));
+ */
+
+import {
+  readDeliveryDetails,
+  buildDeliveryProperties,
+  parseDeliveryProperties,
+  getDeliverySku,
+  isSendDirect
+} from './deliverySchema.js';
+import { validateRecipient } from './addressRules.js';
+import { SEND_DATE_PROPERTIES, checkArrivalDate, buildSendDateProperties } from './sendDate.js';
+import { PROOF_PROPERTY, buildProofUrl } from './cardProof.js';
+import { checkMessageFit, FIT_STATUS } from './messageFit.js';
+import { LINE_SPACINGS, TEXT_ALIGNS } from './cardInterior.js';
+import { findUnprintable, describeUnprintable } from './fontCoverage.js';
+import { checkTypography } from './typographyCatalogue.js';
+import { FRONT_CAPTION_PROPERTY, checkFrontCaption } from './frontCaption.js';
+import { PHOTO_PROPERTY } from './photoCard.js';
+import { checkBlockedWords } from './messageCheck.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Maximum inside message length (matches the message field's data-cc-limit)
+ * @type {number}
+ */
+export const MESSAGE_LIMIT = 600;
+
+/**
+ * Maximum left-page note length (matches the left field's data-cc-limit)
+ * @type {number}
+ */
+export const LEFT_MESSAGE_LIMIT = 200;
+
+/**
+ * Typography used when the form doesn't provide a value
+ * @private
+ */
+const TYPOGRAPHY_DEFAULTS = {
+  fontFamily: 'Playfair Display',
+  fontSize: 'medium',
+  textColor: '#1A1A1A',
+  textAlign: 'center',
+  lineSpacing: 'normal'
+};
+
+const CARD_TEMPLATE = 'classic-5x7';
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Alignment and spacing from a form or line properties, defaulting unknown values
+ * (lines added before these options existed have neither)
+ * @private
+ */
+function readLayoutOptions(textAlign, lineSpacing) {
+  return {
+    textAlign: Object.prototype.hasOwnProperty.call(TEXT_ALIGNS, textAlign) ? textAlign : TYPOGRAPHY_DEFAULTS.textAlign,
+    lineSpacing: Object.prototype.hasOwnProperty.call(LINE_SPACINGS, lineSpacing) ? lineSpacing : TYPOGRAPHY_DEFAULTS.lineSpacing
+  };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Read a card line from the personaliser form
+ *
+ * @param {FormData} formData - Personaliser form data
+ * @returns {CardLine} Card line
+ */
+export function readCardLine(formData) {
+  const read = (name) => String(formData.get(name) || '');
+
+  return {
+    insideMessage: read('properties[Inside Message]'),
+    leftMessage: read('properties[Left Page Message]'),
+    frontCaption: read(`properties[${FRONT_CAPTION_PROPERTY}]`),
+    photoRef: read(`properties[${PHOTO_PROPERTY}]`),
+    fontFamily: read('properties[Font Family]') || TYPOGRAPHY_DEFAULTS.fontFamily,
+    fontSize: read('properties[Font Size]') || TYPOGRAPHY_DEFAULTS.fontSize,
+    textColor: read('properties[Text Color]') || TYPOGRAPHY_DEFAULTS.textColor,
+    ...readLayoutOptions(read('properties[Text Align]'), read('properties[Line Spacing]')),
+    leaveBlank: formData.get('leave_blank') === 'on',
+    arrivalDate: read(`properties[${SEND_DATE_PROPERTIES.ARRIVAL}]`),
+    delivery: readDeliveryDetails(formData)
+  };
+}
+
+/**
+ * Validate a card line before it goes to the basket
+ *
+ * Messages with characters the chosen font can't print (core/fontCoverage.js)
+ * or with blocked words (core/messageCheck.js) are rejected whether or not a
+ * format is given.
+ *
+ * @param {CardLine} line - Card line
+ * @param {Date} [now] - Current time (for scheduled arrival dates)
+ * @param {Object} [options]
+ * @param {import('./cardInterior.js').CardFormat|string} [options.format] - Card size; checks the message fits when given
+ * @param {import('./typographyCatalogue.js').TypographyCatalogue} [options.catalogue] - Product's fonts and inks; checks the line's are on offer when given
+ * @param {import('./frontCaption.js').FrontCaptionSettings|null} [options.frontCaption] - Product's front caption; checks the caption's length when given
+ * @param {boolean} [options.photoRequired] - Photo card; the line needs an uploaded photo
+ * @returns {CardLineValidation} Validation result
+ */
+export function validateCardLine(line, now = new Date(), { format, catalogue, frontCaption, photoRequired } = {}) {
+  const errors = {};
+  let delivery = line.delivery;
+
+  const leftMessage = line.leftMessage || '';
+
+  if (!line.leaveBlank && leftMessage.length > LEFT_MESSAGE_LIMIT) {
+    errors.leftMessage = `Left page note is too long (${leftMessage.length}/${LEFT_MESSAGE_LIMIT} characters)`;
+  }
+
+  // Both pages print in the one font, so check (and suggest a font for) them together
+  const unprintable = line.leaveBlank ? null : findUnprintable(`${line.insideMessage}\n${leftMessage}`, line.fontFamily);
+
+  if (!line.leaveBlank && line.insideMessage.length > MESSAGE_LIMIT) {
+    errors.insideMessage = `Message is too long (${line.insideMessage.length}/${MESSAGE_LIMIT} characters)`;
+  } else if (unprintable) {
+    const field = findUnprintable(line.insideMessage, line.fontFamily) ? 'insideMessage' : 'leftMessage';
+    errors[field] = errors[field] || describeUnprintable(unprintable, line.fontFamily);
+  } else if (!line.leaveBlank && format && !errors.leftMessage) {
+    const fit = checkMessageFit({
+      message: line.insideMessage,
+      leftMessage,
+      fontFamily: line.fontFamily,
+      fontSize: line.fontSize,
+      lineSpacing: line.lineSpacing,
+      align: line.textAlign,
+      format
+    });
+    if (fit.status !== FIT_STATUS.FITS) {
+      errors.insideMessage = fit.status === FIT_STATUS.SHRINK
+        ? `Your message doesn't fit on the card at this text size. Choose "Shrink to fit" or shorten it.`
+        : `Your message doesn't fit on the card. Please shorten it – the highlighted part won't be printed.`;
+    }
+  }
+
+  // The caption is on the front, so "leave blank" (inside) doesn't clear it
+  const frontCaptionError = checkFrontCaption(line.frontCaption, frontCaption);
+  if (frontCaptionError) {
+    errors.frontCaption = frontCaptionError;
+  }
+
+  // Blocked words are refused on every printed field
+  const printed = {
+    insideMessage: line.leaveBlank ? '' : line.insideMessage,
+    leftMessage: line.leaveBlank ? '' : leftMessage,
+    frontCaption: line.frontCaption || ''
+  };
+  Object.entries(printed).forEach(([field, text]) => {
+    const blocked = errors[field] ? null : checkBlockedWords(text);
+    if (blocked) errors[field] = blocked;
+  });
+
+  // The photo is the front of the card, so it's needed even when the inside is left blank
+  if (photoRequired && !line.photoRef) {
+    errors.photo = 'Please add your photo';
+  }
+
+  // Fonts and inks can be retired while a line waits in a tray or saved copy
+  if (!line.leaveBlank && catalogue) {
+    Object.assign(errors, checkTypography(catalogue, line));
+  }
+
+  // Prodigi rejects bad addresses, so Send Direct lines need a valid recipient
+  if (isSendDirect(delivery.deliveryMethod)) {
+    const validation = validateRecipient(delivery.recipient);
+    Object.assign(errors, validation.errors);
+    delivery = { ...delivery, recipient: validation.recipient };
+
+    if (line.arrivalDate) {
+      const check = checkArrivalDate(line.arrivalDate, delivery.recipient.country, now);
+      if (!check.valid) errors.arrivalDate = check.error;
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    line: { ...line, delivery }
+  };
+}
+
+/**
+ * Check whether a card line has anything worth keeping
+ *
+ * @param {CardLine} line - Card line
+ * @returns {boolean} True if there is no message, caption, photo or recipient name
+ */
+export function isCardLineEmpty(line) {
+  const hasMessage = !line.leaveBlank && (line.insideMessage.trim().length > 0 || (line.leftMessage || '').trim().length > 0);
+  const hasCaption = (line.frontCaption || '').trim().length > 0;
+  const hasPhoto = Boolean(line.photoRef);
+  const hasRecipient = isSendDirect(line.delivery.deliveryMethod) && Boolean(line.delivery.recipient.recipientName);
+  return !hasMessage && !hasCaption && !hasPhoto && !hasRecipient && !line.leaveBlank;
+}
+
+/**
+ * Build the /cart/add.js item for a card line
+ *
+ * @param {CardLine} line - Validated card line
+ * @param {CardLineContext} context - Variant and product context
+ * @returns {{ id: number|string, quantity: number, properties: Object }} Cart item
+ */
+export function buildCardLineItem(line, context) {
+  const properties = {
+    'Inside Message': line.leaveBlank ? '' : line.insideMessage,
+    'Font Family': line.fontFamily,
+    'Font Size': line.fontSize,
+    'Text Color': line.textColor,
+    ...buildDeliveryProperties(line.delivery),
+    '_card_template': CARD_TEMPLATE,
+    '_artwork_prompt': context.artworkPrompt || ''
+  };
+
+  if (isSendDirect(line.delivery.deliveryMethod)) {
+    Object.assign(properties, buildSendDateProperties(line.arrivalDate, line.delivery.recipient.country));
+  }
+
+  const prodigiSku = getDeliverySku(context.variantSkus, line.delivery.deliveryMethod);
+  if (prodigiSku) {
+    properties['_prodigi_sku'] = prodigiSku;
+  }
+
+  // Only written when used, so plain cards keep the original property set
+  if (!line.leaveBlank && line.leftMessage && line.leftMessage.trim()) {
+    properties['Left Page Message'] = line.leftMessage;
+  }
+  if (line.frontCaption && line.frontCaption.trim()) {
+    properties[FRONT_CAPTION_PROPERTY] = line.frontCaption.trim();
+  }
+  if (line.photoRef) {
+    properties[PHOTO_PROPERTY] = line.photoRef;
+  }
+  if (line.textAlign && line.textAlign !== TYPOGRAPHY_DEFAULTS.textAlign) {
+    properties['Text Align'] = line.textAlign;
+  }
+  if (line.lineSpacing && line.lineSpacing !== TYPOGRAPHY_DEFAULTS.lineSpacing) {
+    properties['Line Spacing'] = line.lineSpacing;
+  }
+
+  if (line.leaveBlank) {
+    properties['leave_blank'] = 'Yes';
+  }
+
+  if (context.proof) {
+    properties[PROOF_PROPERTY] = buildProofUrl(context.proof.baseUrl, { properties, size: context.proof.size });
+  }
+
+  return {
+    id: context.variantId,
+    quantity: 1,
+    properties
+  };
+}
+
+/**
+ * Short human-readable summary of a card line (for lists and error reports)
+ *
+ * @param {CardLine} line - Card line
+ * @returns {string} e.g. "To Grandad Joe, Bristol" or "Post to me"
+ */
+export function describeCardLine(line) {
+  const { recipient } = line.delivery;
+
+  if (isSendDirect(line.delivery.deliveryMethod) && recipient.recipientName) {
+    return [`To ${recipient.recipientName}`, recipient.city].filter(Boolean).join(', ');
+  }
+  return 'Post to me';
+}
+
+/**
+ * Rebuild a card line from cart line item properties
+ *
+ * Inverse of buildCardLineItem, used to reopen a basket line for editing.
+ *
+ * @param {Object.<string, string>} properties - Cart line item properties
+ * @returns {CardLine} Card line
+ */
+export function cardLineFromProperties(properties) {
+  const source = properties || {};
+
+  return {
+    insideMessage: String(source['Inside Message'] || ''),
+    leftMessage: String(source['Left Page Message'] || ''),
+    frontCaption: String(source[FRONT_CAPTION_PROPERTY] || ''),
+    photoRef: String(source[PHOTO_PROPERTY] || ''),
+    fontFamily: source['Font Family'] || TYPOGRAPHY_DEFAULTS.fontFamily,
+    fontSize: source['Font Size'] || TYPOGRAPHY_DEFAULTS.fontSize,
+    textColor: source['Text Color'] || TYPOGRAPHY_DEFAULTS.textColor,
+    ...readLayoutOptions(source['Text Align'], source['Line Spacing']),
+    leaveBlank: source['leave_blank'] === 'Yes',
+    arrivalDate: String(source[SEND_DATE_PROPERTIES.ARRIVAL] || ''),
+    delivery: parseDeliveryProperties(source)
+  };
+}
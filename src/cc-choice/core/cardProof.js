@@ -0,0 +1,158 @@
+/**
+ * Card Proof Links
+ *
+ * @module core/cardProof
+ * @description Builds and reads the `_proof_url` link stored on personalised basket lines
+ *
+ * The link points at the card proofs worker (workers/card-proofs.js) and
+ * carries everything needed to draw the interior: the typography properties
+ * and the card size. Nothing is stored server-side, so the link works for
+ * lines added offline and never goes stale. Fulfilment and customer service
+ * open it straight from the order to see the card as it will be printed.
+ *
+ * Shared by the storefront (building the link) and the worker (reading it).
+ *
+ * @public PROOF_WORKER_URL - Card proofs worker
+ * @public PROOF_PROPERTY - Hidden line item property holding the link
+ * @public PROOF_FIELDS - Line item properties that affect the interior
+ * @public encodeProofRequest(request: ProofRequest) → string
+ * @public decodeProofRequest(encoded: string) → ProofRequest
+ * @public buildProofUrl(baseUrl: string, request: ProofRequest, type?: string) → string
+ *
+ * @typedef {Object} ProofRequest
+ * @property {Object.<string, string>} properties - Line item properties (only PROOF_FIELDS are kept)
+ * @property {string} size - Card size (variant title or size name, e.g. "A5")
+ *
+ * @example
+ * import { buildProofUrl, PROOF_WORKER_URL } from './core/cardProof.js';
+ *
+ * buildProofUrl(PROOF_WORKER_URL, { properties: item.properties, size: 'A5' });
+ * // → 'https://cute-cards-proofs.josh-715.workers.dev/proof.svg?d=eyJwIjp7…'
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Cloudflare Worker URL for card proofs
+ * @type {string}
+ */
+export const PROOF_WORKER_URL = 'https://cute-cards-proofs.josh-715.workers.dev';
+
+/**
+ * Hidden line item property (underscore keeps it out of the cart and checkout)
+ * @type {string}
+ */
+export const PROOF_PROPERTY = '_proof_url';
+
+/**
+ * Line item properties that change what the interior looks like
+ * @type {string[]}
+ */
+export const PROOF_FIELDS = Object.freeze([
+  'Inside Message',
+  'Left Page Message',
+  'Font Family',
+  'Font Size',
+  'Text Color',
+  'Text Align',
+  'Line Spacing',
+  'leave_blank'
+]);
+
+const PROOF_TYPES = ['svg', 'pdf'];
+
+// Longest values we accept (the message field allows 600 characters; sizes are variant titles)
+const FIELD_LIMIT = 2000;
+const SIZE_LIMIT = 80;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * UTF-8 string → base64url
+ * @private
+ */
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url → UTF-8 string
+ * @private
+ */
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Keep only the fields that affect the interior, as strings
+ * @private
+ */
+function pickProofFields(properties) {
+  const picked = {};
+  PROOF_FIELDS.forEach(field => {
+    const value = properties?.[field];
+    if (value !== undefined && value !== null && value !== '') picked[field] = String(value);
+  });
+  return picked;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Encode a proof request for a URL query string
+ *
+ * @param {ProofRequest} request - Line item properties and card size
+ * @returns {string} base64url-encoded JSON
+ */
+export function encodeProofRequest({ properties, size }) {
+  return toBase64Url(JSON.stringify({ p: pickProofFields(properties), s: String(size || '') }));
+}
+
+/**
+ * Decode and validate a proof request from encodeProofRequest
+ *
+ * @param {string} encoded - base64url-encoded JSON
+ * @returns {ProofRequest} Proof request
+ * @throws {Error} If the value is malformed or over the limits
+ */
+export function decodeProofRequest(encoded) {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(String(encoded || '')));
+  } catch (error) {
+    throw new Error('Malformed proof request');
+  }
+
+  if (!data || typeof data.p !== 'object' || data.p === null || typeof data.s !== 'string') {
+    throw new Error('Malformed proof request');
+  }
+
+  const properties = pickProofFields(data.p);
+  if (Object.values(properties).some(value => value.length > FIELD_LIMIT) || data.s.length > SIZE_LIMIT) {
+    throw new Error('Proof request is over the size limits');
+  }
+
+  return { properties, size: data.s };
+}
+
+/**
+ * Build a proof link for a basket line
+ *
+ * @param {string} baseUrl - Proofs worker URL
+ * @param {ProofRequest} request - Line item properties and card size
+ * @param {string} [type] - 'svg' (default) or 'pdf'
+ * @returns {string} Proof URL
+ */
+export function buildProofUrl(baseUrl, request, type = 'svg') {
+  const extension = PROOF_TYPES.includes(type) ? type : 'svg';
+  return `${baseUrl.replace(/\/+$/, '')}/proof.${extension}?d=${encodeProofRequest(request)}`;
+}
@@ -0,0 +1,279 @@
+/**
+ * Delivery Schema
+ *
+ * @module core/deliverySchema
+ * @description Single source of truth for delivery methods and recipient address fields
+ *
+ * The delivery section renderer, the personaliser form reader, persistence and
+ * the cart-property builder all derive from the definitions in this module so
+ * that field names and values cannot drift apart.
+ *
+ * @public DELIVERY_METHODS - Canonical delivery method values
+ * @public DELIVERY_OPTIONS - Delivery method display + SKU metadata
+ * @public RECIPIENT_FIELDS - Recipient address field definitions
+ * @public RECIPIENT_COUNTRIES - Countries offered for Send Direct
+ * @public getFieldName(property: string) → string
+ * @public normalizeDeliveryMethod(value: string) → string
+ * @public isSendDirect(method: string) → boolean
+ * @public getDeliverySku(variantSkus: SkuPair, method: string) → string | null
+ * @public readDeliveryDetails(formData: FormData) → DeliveryDetails
+ * @public normalizeDeliveryDetails(details: object) → DeliveryDetails
+ * @public buildDeliveryProperties(details: DeliveryDetails) → object
+ * @public parseDeliveryProperties(properties: object) → DeliveryDetails
+ *
+ * @typedef {Object} RecipientField
+ * @property {string} key - Key used in persisted data (e.g. "addressLine1")
+ * @property {string} property - Cart line item property name (e.g. "Recipient Address 1")
+ * @property {string} label - Human-readable label
+ * @property {boolean} required - Whether the field must be filled for Send Direct
+ * @property {string} autocomplete - Browser autocomplete token
+ * @property {string} [type] - "select" for dropdowns, text input otherwise
+ * @property {string} [defaultValue] - Value used when the field is empty
+ *
+ * @typedef {Object} DeliveryDetails
+ * @property {string} deliveryMethod - One of DELIVERY_METHODS
+ * @property {Object.<string, string>} recipient - Recipient values keyed by RecipientField.key
+ *
+ * @example
+ * import { readDeliveryDetails, buildDeliveryProperties } from './core/deliverySchema.js';
+ *
+ * const details = readDeliveryDetails(new FormData(form));
+ * const properties = buildDeliveryProperties(details);
+ * // => { 'Delivery Method': 'Mail4Me', 'Recipient Name': 'Mum', ... }
+ */
+
+// ========================================
+// DELIVERY METHODS
+// ========================================
+
+/**
+ * Canonical delivery method values (stored in the "Delivery Method" property)
+ * @type {{ MAIL_TO_ME: string, SEND_DIRECT: string }}
+ */
+export const DELIVERY_METHODS = Object.freeze({
+  MAIL_TO_ME: 'Mail2Me',
+  SEND_DIRECT: 'Mail4Me'
+});
+
+/**
+ * Legacy values that older code paths wrote for Send Direct
+ * @private
+ */
+const LEGACY_SEND_DIRECT_VALUES = ['Direct', 'SendDirect'];
+
+/**
+ * Delivery option metadata used by the renderers
+ * @type {Array<{ value: string, title: string, shortTitle: string, description: string, skuKey: string }>}
+ */
+export const DELIVERY_OPTIONS = Object.freeze([
+  {
+    value: DELIVERY_METHODS.MAIL_TO_ME,
+    title: 'Post to me',
+    shortTitle: 'Post to me',
+    description: 'Sent to you with blank envelope',
+    skuKey: 'sku_bla'
+  },
+  {
+    value: DELIVERY_METHODS.SEND_DIRECT,
+    title: 'Send direct to recipient',
+    shortTitle: 'Send direct',
+    description: "We'll post it directly for you",
+    skuKey: 'sku_dir'
+  }
+]);
+
+/**
+ * Cart property that holds the delivery method
+ * @type {string}
+ */
+export const DELIVERY_METHOD_PROPERTY = 'Delivery Method';
+
+// ========================================
+// RECIPIENT FIELDS
+// ========================================
+
+/**
+ * Recipient address fields, in display order
+ * @type {RecipientField[]}
+ */
+export const RECIPIENT_FIELDS = Object.freeze([
+  { key: 'recipientName', property: 'Recipient Name', label: 'Recipient Name', required: true, autocomplete: 'name' },
+  { key: 'addressLine1', property: 'Recipient Address 1', label: 'Address Line 1', required: true, autocomplete: 'address-line1' },
+  { key: 'addressLine2', property: 'Recipient Address 2', label: 'Address Line 2', required: false, autocomplete: 'address-line2' },
+  { key: 'city', property: 'Recipient City', label: 'City', required: true, autocomplete: 'address-level2' },
+  { key: 'postcode', property: 'Recipient Postcode', label: 'Postcode', required: true, autocomplete: 'postal-code' },
+  { key: 'region', property: 'Recipient Region', label: 'County', required: false, autocomplete: 'address-level1' },
+  { key: 'country', property: 'Recipient Country', label: 'Country', required: true, autocomplete: 'country', type: 'select', defaultValue: 'GB' }
+]);
+
+/**
+ * Countries offered for Send Direct (ISO 3166-1 alpha-2)
+ * @type {Array<{ code: string, name: string }>}
+ */
+export const RECIPIENT_COUNTRIES = Object.freeze([
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'FR', name: 'France' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'IE', name: 'Ireland' }
+]);
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Form field name for a cart property (Shopify `properties[...]` convention)
+ *
+ * @param {string} property - Cart property name
+ * @returns {string} Form field name
+ *
+ * @example
+ * getFieldName('Recipient City'); // "properties[Recipient City]"
+ */
+export function getFieldName(property) {
+  return `properties[${property}]`;
+}
+
+/**
+ * Normalize a delivery method value to one of DELIVERY_METHODS
+ *
+ * Accepts legacy Send Direct values ("Direct") and falls back to Mail2Me
+ * for anything unrecognised.
+ *
+ * @param {string} value - Raw delivery method value
+ * @returns {string} Canonical delivery method
+ */
+export function normalizeDeliveryMethod(value) {
+  if (value === DELIVERY_METHODS.SEND_DIRECT || LEGACY_SEND_DIRECT_VALUES.includes(value)) {
+    return DELIVERY_METHODS.SEND_DIRECT;
+  }
+  return DELIVERY_METHODS.MAIL_TO_ME;
+}
+
+/**
+ * Check whether a delivery method is Send Direct
+ *
+ * @param {string} method - Delivery method value
+ * @returns {boolean} True if the card is posted straight to the recipient
+ */
+export function isSendDirect(method) {
+  return normalizeDeliveryMethod(method) === DELIVERY_METHODS.SEND_DIRECT;
+}
+
+/**
+ * Pick the Prodigi SKU matching a delivery method
+ *
+ * @param {{ sku_bla: string|null, sku_dir: string|null }|null} variantSkus - SKU pair for the variant
+ * @param {string} method - Delivery method value
+ * @returns {string|null} SKU or null if unavailable
+ */
+export function getDeliverySku(variantSkus, method) {
+  if (!variantSkus) return null;
+  const option = DELIVERY_OPTIONS.find(o => o.value === normalizeDeliveryMethod(method));
+  return variantSkus[option.skuKey] || null;
+}
+
+/**
+ * Read delivery method and recipient fields from form data
+ *
+ * @param {FormData|{ get: Function }} formData - Form data from the personaliser form
+ * @returns {DeliveryDetails} Delivery details
+ *
+ * @example
+ * const details = readDeliveryDetails(new FormData(form));
+ * // => { deliveryMethod: 'Mail4Me', recipient: { recipientName: 'Mum', ... } }
+ */
+export function readDeliveryDetails(formData) {
+  const recipient = {};
+  RECIPIENT_FIELDS.forEach(field => {
+    recipient[field.key] = String(formData.get(getFieldName(field.property)) || '').trim();
+  });
+
+  return normalizeDeliveryDetails({
+    deliveryMethod: formData.get(getFieldName(DELIVERY_METHOD_PROPERTY)),
+    recipient
+  });
+}
+
+/**
+ * Normalize delivery details (e.g. loaded from storage) against the schema
+ *
+ * Unknown keys are dropped, missing keys become empty strings and defaults
+ * are applied.
+ *
+ * @param {Object} [details] - Raw delivery details
+ * @returns {DeliveryDetails} Normalized delivery details
+ */
+export function normalizeDeliveryDetails(details = {}) {
+  const source = (details && details.recipient) || {};
+  const recipient = {};
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const value = typeof source[field.key] === 'string' ? source[field.key].trim() : '';
+    recipient[field.key] = value || field.defaultValue || '';
+  });
+
+  return {
+    deliveryMethod: normalizeDeliveryMethod(details && details.deliveryMethod),
+    recipient
+  };
+}
+
+/**
+ * Build cart line item properties for delivery
+ *
+ * Recipient properties are only included for Send Direct.
+ *
+ * @param {DeliveryDetails} details - Delivery details
+ * @returns {Object.<string, string>} Cart properties
+ *
+ * @example
+ * buildDeliveryProperties({ deliveryMethod: 'Mail2Me', recipient: {} });
+ * // => { 'Delivery Method': 'Mail2Me' }
+ */
+export function buildDeliveryProperties(details) {
+  const { deliveryMethod, recipient } = normalizeDeliveryDetails(details);
+  const properties = {
+    [DELIVERY_METHOD_PROPERTY]: deliveryMethod
+  };
+
+  if (deliveryMethod === DELIVERY_METHODS.SEND_DIRECT) {
+    RECIPIENT_FIELDS.forEach(field => {
+      properties[field.property] = recipient[field.key];
+    });
+  }
+
+  return properties;
+}
+
+/**
+ * Read delivery details back from cart line item properties
+ *
+ * Inverse of buildDeliveryProperties (used to edit a line already in the cart).
+ *
+ * @param {Object.<string, string>} properties - Cart line item properties
+ * @returns {DeliveryDetails} Normalized delivery details
+ *
+ * @example
+ * parseDeliveryProperties({ 'Delivery Method': 'Mail4Me', 'Recipient Name': 'Mum' });
+ * // => { deliveryMethod: 'Mail4Me', recipient: { recipientName: 'Mum', ..., country: 'GB' } }
+ */
+export function parseDeliveryProperties(properties) {
+  const source = properties || {};
+  const recipient = {};
+
+  RECIPIENT_FIELDS.forEach(field => {
+    recipient[field.key] = String(source[field.property] || '');
+  });
+
+  return normalizeDeliveryDetails({
+    deliveryMethod: source[DELIVERY_METHOD_PROPERTY],
+    recipient
+  });
+}
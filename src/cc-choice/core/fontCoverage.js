@@ -0,0 +1,278 @@
+/**
+ * Font Coverage
+ *
+ * @module core/fontCoverage
+ * @description Which scripts each message font can print, display fallbacks, and unprintable-character checks
+ *
+ * Most message fonts are Latin-only or Latin plus accents; none has emoji.
+ * The card is printed in the one chosen font (core/interiorPrint.js embeds
+ * a single font), so a character outside it would print as a box or in
+ * whatever font the printer substitutes.
+ *
+ * - On screen, fontStack() puts a fallback chain per script after the
+ *   chosen font, so the preview shows every character instead of tofu
+ * - Before add-to-cart, findUnprintable() lists the characters the chosen
+ *   font can't print and suggests a message font that has them
+ *
+ * Coverage follows each family's Google Fonts subsets (the print files use
+ * the same font files). The same script ranges split the self-hosted font
+ * files (`node build.js --fonts`, see core/fontManifest.js). DOM-free;
+ * shared with the proofs worker and the build.
+ *
+ * @public MESSAGE_FONTS - Message font catalogue, in picker order
+ * @public SCRIPT_FALLBACKS - Display fallback chain per script
+ * @public SCRIPT_UNICODE_RANGES - CSS unicode-range of each font script
+ * @public parseUnicodeRange(range: string) → Array<[number, number]>
+ * @public detectScripts(text: string) → string[]
+ * @public fontStack(family: string) → string
+ * @public findUnprintable(text: string, family: string) → Unprintable|null
+ * @public describeUnprintable(unprintable: Unprintable, family: string) → string
+ *
+ * @typedef {Object} MessageFont
+ * @property {string} family - Font family
+ * @property {string} label - Name shown in the font picker
+ * @property {string} generic - CSS generic family ('serif' | 'cursive' | 'sans-serif')
+ * @property {string[]} scripts - Scripts the font can print
+ *
+ * @typedef {Object} Unprintable
+ * @property {string[]} characters - Distinct characters the font can't print, in order of appearance
+ * @property {string[]} scripts - Their scripts
+ * @property {MessageFont|null} suggestion - Message font that prints everything any of our fonts can
+ * @property {string[]} unsupported - Characters none of the message fonts can print (emoji, other scripts)
+ *
+ * @example
+ * import { findUnprintable, describeUnprintable } from './core/fontCoverage.js';
+ *
+ * const unprintable = findUnprintable('Penblwydd hapus, Dafydd! Ŵyr', 'Permanent Marker');
+ * describeUnprintable(unprintable, 'Permanent Marker');
+ * // => "Ŵ can't be printed in Bold & Fun. Switch to Handwritten to keep it."
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Message fonts, in picker order
+ * @type {MessageFont[]}
+ */
+export const MESSAGE_FONTS = Object.freeze([
+  { family: 'Playfair Display', label: 'Elegant', generic: 'serif', scripts: ['latin', 'latin-ext', 'vietnamese', 'cyrillic'] },
+  { family: 'Dancing Script', label: 'Handwritten', generic: 'cursive', scripts: ['latin', 'latin-ext', 'vietnamese'] },
+  { family: 'Pacifico', label: 'Playful', generic: 'cursive', scripts: ['latin', 'latin-ext', 'vietnamese', 'cyrillic'] },
+  { family: 'Great Vibes', label: 'Fancy', generic: 'cursive', scripts: ['latin', 'latin-ext', 'vietnamese', 'cyrillic'] },
+  { family: 'Caveat', label: 'Casual', generic: 'cursive', scripts: ['latin', 'latin-ext', 'cyrillic'] },
+  { family: 'Permanent Marker', label: 'Bold & Fun', generic: 'cursive', scripts: ['latin'] },
+  { family: 'Shadows Into Light', label: 'Friendly', generic: 'cursive', scripts: ['latin'] },
+  { family: 'Cookie', label: 'Whimsical', generic: 'cursive', scripts: ['latin'] },
+  { family: 'Satisfy', label: 'Romantic', generic: 'cursive', scripts: ['latin'] },
+  { family: 'Indie Flower', label: 'Quirky', generic: 'cursive', scripts: ['latin'] },
+  { family: 'Lora', label: 'Traditional', generic: 'serif', scripts: ['latin', 'latin-ext', 'vietnamese', 'cyrillic'] },
+  { family: 'Crimson Text', label: 'Refined', generic: 'serif', scripts: ['latin', 'latin-ext', 'vietnamese'] },
+  { family: 'Noto Serif', label: 'Classic (Greek & Cyrillic)', generic: 'serif', scripts: ['latin', 'latin-ext', 'vietnamese', 'greek', 'cyrillic'] },
+  { family: 'Noto Sans SC', label: 'Clean (Chinese & Japanese)', generic: 'sans-serif', scripts: ['latin', 'cjk'] },
+  { family: 'Noto Sans KR', label: 'Clean (Korean)', generic: 'sans-serif', scripts: ['latin', 'hangul'] }
+]);
+
+/**
+ * Display fallbacks per script, tried in order after the chosen font
+ *
+ * Self-hosted message fonts first (so every visitor sees the same glyphs),
+ * then common system fonts.
+ *
+ * @type {Object.<string, string[]>}
+ */
+export const SCRIPT_FALLBACKS = Object.freeze({
+  'latin-ext': ['Noto Serif'],
+  vietnamese: ['Noto Serif'],
+  greek: ['Noto Serif'],
+  cyrillic: ['Noto Serif'],
+  cjk: ['Noto Sans SC', 'PingFang SC', 'Hiragino Sans', 'Microsoft YaHei'],
+  hangul: ['Noto Sans KR', 'Apple SD Gothic Neo', 'Malgun Gothic'],
+  emoji: ['Noto Color Emoji', 'Apple Color Emoji', 'Segoe UI Emoji']
+});
+
+/**
+ * Characters in each font script, as CSS unicode-range values
+ *
+ * Ranges follow the Google Fonts subsets. A character in two ranges belongs
+ * to the first.
+ *
+ * @type {Object.<string, string>}
+ */
+export const SCRIPT_UNICODE_RANGES = Object.freeze({
+  latin: 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+2000-206F, U+2074, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD',
+  'latin-ext': 'U+0100-024F, U+0259, U+1E00-1E9F, U+1EF2-1EFF, U+20A0-20C0, U+2C60-2C7F, U+A720-A7FF',
+  vietnamese: 'U+1EA0-1EF1',
+  greek: 'U+0370-03FF, U+1F00-1FFF',
+  cyrillic: 'U+0400-052F, U+1C80-1C8F, U+2DE0-2DFF, U+A640-A69F',
+  hangul: 'U+1100-11FF, U+3130-318F, U+A960-A97F, U+AC00-D7FF',
+  cjk: 'U+2E80-2FDF, U+3000-30FF, U+31F0-31FF, U+3400-4DBF, U+4E00-9FFF, U+F900-FAFF, U+FF00-FFEF'
+});
+
+// Emoji aren't in any message font, so they have no range to split files by
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}]/u;
+
+// Parts of a character or emoji sequence that aren't printed on their own
+// (accents, joiners, variation selectors, skin tones, flag tags)
+const SEQUENCE_PARTS = /^[\s\p{M}\p{Cf}\p{Emoji_Modifier}]$/u;
+
+// Font for families we have no coverage data for (assume the basics only)
+const UNKNOWN_FONT = { scripts: ['latin'] };
+
+// Script of each character, checked in order
+const SCRIPT_PATTERNS = [
+  ...Object.entries(SCRIPT_UNICODE_RANGES).map(([script, range]) => [script, rangePattern(range)]),
+  ['emoji', EMOJI]
+];
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Character class matching a unicode-range value
+ * @private
+ */
+function rangePattern(range) {
+  const hex = (codePoint) => `\\u{${codePoint.toString(16)}}`;
+  const parts = parseUnicodeRange(range).map(([start, end]) => (start === end ? hex(start) : `${hex(start)}-${hex(end)}`));
+  return new RegExp(`[${parts.join('')}]`, 'u');
+}
+
+/**
+ * Script key for one character, null for whitespace and sequence parts
+ * @private
+ */
+function scriptOf(char) {
+  if (SEQUENCE_PARTS.test(char)) return null;
+  const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Message font for a family
+ * @private
+ */
+function messageFont(family) {
+  return MESSAGE_FONTS.find(font => font.family === family) || null;
+}
+
+/**
+ * "ŵ ŷ", shortened to the first few
+ * @private
+ */
+function listCharacters(characters) {
+  const shown = characters.slice(0, 5).join(' ');
+  return characters.length > 5 ? `${shown} …` : shown;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Code point ranges in a CSS unicode-range value
+ *
+ * @param {string} range - e.g. 'U+0000-00FF, U+0131'
+ * @returns {Array<[number, number]>} Inclusive [start, end] pairs
+ *
+ * @example
+ * parseUnicodeRange('U+0000-00FF, U+0131'); // => [[0, 255], [305, 305]]
+ */
+export function parseUnicodeRange(range) {
+  return String(range).split(',').map(part => {
+    const [start, end = start] = part.trim().replace(/^U\+/i, '').split('-');
+    return [parseInt(start, 16), parseInt(end, 16)];
+  });
+}
+
+/**
+ * Scripts used in a text
+ *
+ * @param {string} text - Message text
+ * @returns {string[]} Script keys ('latin', 'latin-ext', 'vietnamese', 'greek', 'cyrillic', 'hangul', 'cjk', 'emoji' or 'other')
+ */
+export function detectScripts(text) {
+  const scripts = new Set();
+  for (const char of String(text || '').normalize('NFC')) {
+    const script = scriptOf(char);
+    if (script) scripts.add(script);
+  }
+  return Array.from(scripts);
+}
+
+/**
+ * CSS font-family list: the chosen font, then every script's fallbacks
+ *
+ * @param {string} family - Chosen message font
+ * @returns {string} font-family value, e.g. '"Caveat", "Noto Serif", …, Georgia, serif'
+ */
+export function fontStack(family) {
+  const families = [family, ...Object.values(SCRIPT_FALLBACKS).flat()];
+  return `${Array.from(new Set(families)).map(name => `"${name}"`).join(', ')}, Georgia, serif`;
+}
+
+/**
+ * Characters the chosen font can't print
+ *
+ * @param {string} text - Message text (both pages, if checking the whole card)
+ * @param {string} family - Chosen message font
+ * @returns {Unprintable|null} null when everything prints
+ */
+export function findUnprintable(text, family) {
+  const font = messageFont(family) || UNKNOWN_FONT;
+  const characters = [];
+  const scripts = new Set();
+
+  for (const char of String(text || '').normalize('NFC')) {
+    const script = scriptOf(char);
+    if (!script || font.scripts.includes(script)) continue;
+    if (!characters.includes(char)) characters.push(char);
+    scripts.add(script);
+  }
+
+  if (characters.length === 0) return null;
+
+  const printable = (script) => MESSAGE_FONTS.some(candidate => candidate.scripts.includes(script));
+  const unsupported = characters.filter(char => !printable(scriptOf(char)));
+
+  // Smallest change that keeps the most: a font covering every script any font can print, same style if possible
+  let suggestion = null;
+  if (unsupported.length < characters.length) {
+    const needed = detectScripts(text).filter(printable);
+    const candidates = MESSAGE_FONTS.filter(candidate => needed.every(script => candidate.scripts.includes(script)));
+    suggestion = candidates.find(candidate => candidate.generic === (messageFont(family) || {}).generic) || candidates[0] || null;
+  }
+
+  return { characters, scripts: Array.from(scripts), suggestion, unsupported };
+}
+
+/**
+ * Customer-facing explanation of an unprintable result
+ *
+ * @param {Unprintable} unprintable - From findUnprintable()
+ * @param {string} family - Chosen message font
+ * @returns {string} One or two sentences
+ */
+export function describeUnprintable({ characters, suggestion, unsupported }, family) {
+  const font = messageFont(family);
+  const fixable = characters.filter(char => !unsupported.includes(char));
+  const sentences = [];
+
+  if (fixable.length > 0) {
+    const them = fixable.length === 1 ? 'it' : 'them';
+    sentences.push(suggestion
+      ? `${listCharacters(fixable)} can't be printed in ${font ? font.label : family}. Switch to ${suggestion.label} to keep ${them}.`
+      : `${listCharacters(fixable)} can't be printed in ${font ? font.label : family}.`);
+  }
+
+  if (unsupported.length > 0) {
+    const them = unsupported.length === 1 ? 'it' : 'them';
+    sentences.push(unsupported.every(char => scriptOf(char) === 'emoji')
+      ? `Emoji can't be printed on the card (${listCharacters(unsupported)}). Please remove ${them}.`
+      : `${listCharacters(unsupported)} can't be printed in any of our fonts. Please remove ${them}.`);
+  }
+
+  return sentences.join(' ');
+}
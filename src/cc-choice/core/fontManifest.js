@@ -0,0 +1,44 @@
+/**
+ * Font Manifest
+ *
+ * @module core/fontManifest
+ * @description Self-hosted message font files - generated by `node build.js --fonts`, do not edit
+ *
+ * One WOFF file per message font and script in assets/, subset from the
+ * .ttf files in the font folder (the same files the card proofs worker
+ * embeds). services/fontService.js registers them with the script's
+ * unicode-range, so browsers only download what's on screen. A font with
+ * no files is loaded from Google Fonts until its subsets are committed.
+ *
+ * @public FONT_MANIFEST - Font files by family
+ *
+ * @typedef {Object} FontFile
+ * @property {string} script - Script key (see core/fontCoverage.js)
+ * @property {string} unicodeRange - CSS unicode-range
+ * @property {string} file - Theme asset name
+ * @property {string} version - Content hash, for cache busting
+ */
+
+/**
+ * Font files by family
+ * @type {{ fonts: Object.<string, FontFile[]> }}
+ */
+export const FONT_MANIFEST = Object.freeze({
+  "fonts": {
+    "Playfair Display": [],
+    "Dancing Script": [],
+    "Pacifico": [],
+    "Great Vibes": [],
+    "Caveat": [],
+    "Permanent Marker": [],
+    "Shadows Into Light": [],
+    "Cookie": [],
+    "Satisfy": [],
+    "Indie Flower": [],
+    "Lora": [],
+    "Crimson Text": [],
+    "Noto Serif": [],
+    "Noto Sans SC": [],
+    "Noto Sans KR": []
+  }
+});
@@ -0,0 +1,125 @@
+/**
+ * Front Caption
+ *
+ * @module core/frontCaption
+ * @description Short line printed on the front of the card, for products that enable it
+ *
+ * Pure functions with no DOM dependencies. A product enables the caption with
+ * its custom.front_caption_enabled metafield; custom.front_caption_limit and
+ * custom.front_caption_position set the length and where it sits on the
+ * artwork. The basket line keeps the legacy "Front Caption" property, so
+ * orders read the same as those from the old product-page form.
+ *
+ * @public FRONT_CAPTION_PROPERTY - Line item property holding the caption
+ * @public FRONT_CAPTION_LIMIT - Caption length when the product doesn't set one
+ * @public FRONT_CAPTION_POSITIONS - Where the caption sits on the front, per position name
+ * @public readFrontCaptionSettings(metafields?: FrontCaptionMetafields) → FrontCaptionSettings|null
+ * @public checkFrontCaption(caption: string, settings: FrontCaptionSettings|null) → string|null
+ *
+ * @typedef {Object} FrontCaptionMetafields
+ * @property {boolean|string} [enabled] - custom.front_caption_enabled
+ * @property {number|string} [limit] - custom.front_caption_limit
+ * @property {string} [position] - custom.front_caption_position (top | middle | bottom)
+ *
+ * @typedef {Object} CaptionArea
+ * @property {number} top - Top edge, % of the front's height
+ * @property {number} left - Left edge, % of the front's width
+ * @property {number} width - Width, % of the front's width
+ *
+ * @typedef {Object} FrontCaptionSettings
+ * @property {number} limit - Maximum caption length
+ * @property {string} position - Position name
+ * @property {CaptionArea} area - Where the caption sits on the front
+ *
+ * @example
+ * import { readFrontCaptionSettings, checkFrontCaption } from './core/frontCaption.js';
+ *
+ * const settings = readFrontCaptionSettings({ enabled: 'true', limit: '30', position: 'top' });
+ * checkFrontCaption('Happy 40th, you legend! Still going strong', settings);
+ * // => "Front caption is too long (42/30 characters)"
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Line item property holding the caption (same name as the legacy form)
+ * @type {string}
+ */
+export const FRONT_CAPTION_PROPERTY = 'Front Caption';
+
+/**
+ * Caption length when the product doesn't set one (the legacy form's default)
+ * @type {number}
+ */
+export const FRONT_CAPTION_LIMIT = 40;
+
+// Longest caption a product can allow - more won't fit a line on the smallest card
+const MAX_FRONT_CAPTION_LIMIT = 80;
+
+/**
+ * Where the caption sits on the front, per position name
+ * @type {Object.<string, CaptionArea>}
+ */
+export const FRONT_CAPTION_POSITIONS = Object.freeze({
+  top: Object.freeze({ top: 6, left: 10, width: 80 }),
+  middle: Object.freeze({ top: 44, left: 10, width: 80 }),
+  bottom: Object.freeze({ top: 82, left: 10, width: 80 })
+});
+
+const DEFAULT_POSITION = 'bottom';
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Metafield boolean (true, or "true" from a data attribute / the Storefront API)
+ * @private
+ */
+function isEnabled(value) {
+  return value === true || String(value).trim().toLowerCase() === 'true';
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Front caption settings from a product's metafields
+ *
+ * An unset or invalid limit uses FRONT_CAPTION_LIMIT (capped at 80); an
+ * unknown position uses "bottom".
+ *
+ * @param {FrontCaptionMetafields|null} [metafields] - Product metafield values
+ * @returns {FrontCaptionSettings|null} Settings, null if the product has no front caption
+ */
+export function readFrontCaptionSettings(metafields) {
+  if (!metafields || !isEnabled(metafields.enabled)) return null;
+
+  const limit = parseInt(metafields.limit, 10);
+  const position = String(metafields.position || '').trim().toLowerCase();
+  const name = Object.prototype.hasOwnProperty.call(FRONT_CAPTION_POSITIONS, position) ? position : DEFAULT_POSITION;
+
+  return {
+    limit: limit > 0 ? Math.min(limit, MAX_FRONT_CAPTION_LIMIT) : FRONT_CAPTION_LIMIT,
+    position: name,
+    area: FRONT_CAPTION_POSITIONS[name]
+  };
+}
+
+/**
+ * Check a caption against the product's limit
+ *
+ * Leading and trailing spaces don't count; they're trimmed from the basket line.
+ *
+ * @param {string} caption - Front caption
+ * @param {FrontCaptionSettings|null} settings - Product's settings
+ * @returns {string|null} Error message, null if the caption is fine (or the product has none)
+ */
+export function checkFrontCaption(caption, settings) {
+  const text = String(caption || '').trim();
+  if (!settings || text.length <= settings.limit) return null;
+  return `Front caption is too long (${text.length}/${settings.limit} characters)`;
+}
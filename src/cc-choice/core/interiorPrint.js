@@ -0,0 +1,321 @@
+/**
+ * Interior Print Files
+ *
+ * @module core/interiorPrint
+ * @description Print-ready SVG and PDF of the card interior, drawn from core/cardInterior.js
+ *
+ * Both files cover the opened card plus PRINT_SPEC.bleed on every edge, in
+ * millimetres, so they can go straight to Prodigi as the inside artwork.
+ * The PDF also sets TrimBox/BleedBox so preflight tools see the trim.
+ *
+ * DOM-free; runs in Node (fulfilment, proofs) as well as the browser.
+ *
+ * @public renderInteriorSvg(layout: InteriorLayout, options?: SvgOptions) → string
+ * @public renderInteriorPdf(layout: InteriorLayout, options?: PdfOptions) → Uint8Array
+ *
+ * @typedef {Object} SvgOptions
+ * @property {string} [background] - Paper colour (default '#FFFFFF')
+ * @property {Object.<string, string>} [fontUrls] - Family → font file URL (or data: URI) for @font-face
+ * @property {boolean} [guides] - Draw trim, fold and safe-area lines (proofs only, never for print)
+ *
+ * @typedef {Object} PdfOptions
+ * @property {string} [background] - Paper colour (default '#FFFFFF')
+ * @property {TrueTypeFont} [font] - Font to embed (utils/truetype.js); Helvetica without one
+ *
+ * @example
+ * import { layoutCardInterior } from './core/cardInterior.js';
+ * import { renderInteriorSvg, renderInteriorPdf } from './core/interiorPrint.js';
+ * import { parseTrueType } from './utils/truetype.js';
+ *
+ * const layout = layoutCardInterior({ message: 'Happy birthday!', fontFamily: 'Lora', format: 'A5' });
+ * const svg = renderInteriorSvg(layout);
+ * const pdf = renderInteriorPdf(layout, { font: parseTrueType(loraBytes) });
+ */
+
+import { escapeXml } from '../utils/string.js';
+import { fontStack } from './fontCoverage.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const MM_TO_PT = 72 / 25.4;
+
+const GUIDE_COLORS = {
+  trim: '#00A3FF',
+  safe: '#FF3DA5'
+};
+
+// Windows-1252 code points 0x80–0x9F (the PDF WinAnsiEncoding range that differs from Latin-1)
+const WIN_ANSI_EXTRAS = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+  0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+  0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// Joiners, variation selectors and skin tones: dropped when the embedded font has no glyph for them
+const ZERO_WIDTH = /^[\p{Cf}\p{M}\p{Emoji_Modifier}]$/u;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Round for output (0.01 precision)
+ * @private
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Hex colour → [r, g, b] in 0–1
+ * @private
+ */
+function rgb(hex) {
+  const value = String(hex).replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value.padEnd(6, '0');
+  return [0, 2, 4].map(i => (parseInt(full.slice(i, i + 2), 16) || 0) / 255);
+}
+
+/**
+ * Unicode code point → WinAnsi byte (63 "?" if it has none)
+ * @private
+ */
+function winAnsiByte(codePoint) {
+  if (WIN_ANSI_EXTRAS[codePoint]) return WIN_ANSI_EXTRAS[codePoint];
+  if ((codePoint >= 0x20 && codePoint < 0x7F) || (codePoint >= 0xA0 && codePoint <= 0xFF)) return codePoint;
+  return 63;
+}
+
+/**
+ * Encode text as WinAnsi bytes
+ * @private
+ */
+function encodeWinAnsi(text) {
+  return Array.from(text, char => winAnsiByte(char.codePointAt(0)));
+}
+
+/**
+ * Embedded-font text as glyph IDs (Identity-H), remembering each glyph's character for ToUnicode
+ * @private
+ */
+function encodeGlyphs(text, font, used) {
+  const glyphs = [];
+  for (const char of text.normalize('NFC')) {
+    const glyph = font.glyph(char.codePointAt(0));
+    if (glyph === 0 && ZERO_WIDTH.test(char)) continue;
+    if (glyph !== 0 && !used.has(glyph)) used.set(glyph, char);
+    glyphs.push(glyph);
+  }
+  return glyphs;
+}
+
+/**
+ * ToUnicode CMap so text in the PDF can be searched and copied
+ * @private
+ */
+function toUnicodeCMap(used) {
+  const hex4 = (value) => value.toString(16).padStart(4, '0').toUpperCase();
+  const entries = Array.from(used.entries()).sort((a, b) => a[0] - b[0]).map(([glyph, char]) => {
+    const units = Array.from({ length: char.length }, (_, i) => hex4(char.charCodeAt(i))).join('');
+    return `<${hex4(glyph)}> <${units}>`;
+  });
+
+  // bfchar blocks hold at most 100 entries
+  const blocks = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+  }
+
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
+
+/**
+ * Concatenate PDF parts (strings are ASCII) into one byte array, recording object offsets
+ * @private
+ */
+function assemblePdf(objects) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  push('%PDF-1.4\n');
+  push(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // Binary marker comment
+  objects.forEach((parts, index) => {
+    offsets.push(length);
+    push(`${index + 1} 0 obj\n`);
+    parts.forEach(push);
+    push('\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const output = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render the interior as SVG (units: mm, origin at the trimmed top-left)
+ *
+ * Text is anchored on each run's anchorX, so real font metrics centre
+ * (or align) the line exactly where the layout put it.
+ *
+ * @param {InteriorLayout} layout - From layoutCardInterior()
+ * @param {SvgOptions} [options] - Paper colour, fonts and guides
+ * @returns {string} SVG document
+ */
+export function renderInteriorSvg(layout, { background = '#FFFFFF', fontUrls = {}, guides = false } = {}) {
+  const { spread, bleed, pages, textBox, font, color, runs } = layout;
+  const width = spread.width + bleed * 2;
+  const height = spread.height + bleed * 2;
+
+  const fontFaces = Object.entries(fontUrls)
+    .map(([family, url]) => `@font-face { font-family: "${escapeXml(family)}"; src: url("${escapeXml(url)}"); }`)
+    .join('\n');
+
+  const guideLines = guides ? `
+  <g fill="none" stroke-width="0.25">
+    <rect x="0" y="0" width="${num(spread.width)}" height="${num(spread.height)}" stroke="${GUIDE_COLORS.trim}"/>
+    <line x1="${num(pages.right.x)}" y1="0" x2="${num(pages.right.x)}" y2="${num(spread.height)}" stroke="${GUIDE_COLORS.trim}" stroke-dasharray="2 1"/>
+    <rect x="${num(textBox.x)}" y="${num(textBox.y)}" width="${num(textBox.width)}" height="${num(textBox.height)}" stroke="${GUIDE_COLORS.safe}" stroke-dasharray="1 1"/>
+  </g>` : '';
+
+  const text = runs.map(run =>
+    `  <text x="${num(run.anchorX)}" y="${num(run.y)}" text-anchor="${run.anchor}">${escapeXml(run.text)}</text>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}mm" height="${num(height)}mm" viewBox="${num(-bleed)} ${num(-bleed)} ${num(width)} ${num(height)}">
+${fontFaces ? `  <style>\n${fontFaces}\n  </style>\n` : ''}  <rect x="${num(-bleed)}" y="${num(-bleed)}" width="${num(width)}" height="${num(height)}" fill="${escapeXml(background)}"/>${guideLines}
+  <g font-family="${escapeXml(fontStack(font.family))}" font-size="${num(font.sizeMm)}" fill="${escapeXml(color)}" xml:space="preserve">
+${text}
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Render the interior as a one-page PDF (MediaBox = bleed, TrimBox = trimmed card)
+ *
+ * With a TrueType font the font is embedded and lines are positioned with
+ * its real widths. Text is written as glyph IDs, so every character the
+ * font has prints (Welsh, Polish, Greek, CJK …); ones it lacks print as
+ * its missing-glyph box, which core/fontCoverage.js catches before the
+ * order is placed. Without a font, Helvetica stands in (drafts only) with
+ * WinAnsi encoding: characters outside it print as "?".
+ *
+ * @param {InteriorLayout} layout - From layoutCardInterior()
+ * @param {PdfOptions} [options] - Paper colour and font
+ * @returns {Uint8Array} PDF file
+ */
+export function renderInteriorPdf(layout, { background = '#FFFFFF', font = null } = {}) {
+  const { spread, bleed, runs, color } = layout;
+  const pageWidth = (spread.width + bleed * 2) * MM_TO_PT;
+  const pageHeight = (spread.height + bleed * 2) * MM_TO_PT;
+  const sizePt = layout.font.sizeMm * MM_TO_PT;
+
+  // mm (origin at trimmed top-left) → pt (origin at bottom-left of the bleed box)
+  const toX = (mm) => (mm + bleed) * MM_TO_PT;
+  const toY = (mm) => pageHeight - (mm + bleed) * MM_TO_PT;
+
+  // Helvetica: WinAnsi bytes; embedded font: 2-byte glyph IDs
+  const usedGlyphs = new Map();
+  const encodeRun = (text) => font ? encodeGlyphs(text, font, usedGlyphs) : encodeWinAnsi(text);
+  const widthOf = (codes) => {
+    if (!font) return null;
+    const units = codes.reduce((sum, glyph) => sum + font.glyphAdvance(glyph), 0);
+    return (units / font.unitsPerEm) * sizePt;
+  };
+  const codeDigits = font ? 4 : 2;
+
+  const [bgR, bgG, bgB] = rgb(background);
+  const [r, g, b] = rgb(color);
+  const content = [
+    `${num(bgR)} ${num(bgG)} ${num(bgB)} rg 0 0 ${num(pageWidth)} ${num(pageHeight)} re f`,
+    `${num(r)} ${num(g)} ${num(b)} rg`
+  ];
+
+  runs.forEach(run => {
+    const codes = encodeRun(run.text);
+    const width = widthOf(codes);
+    const left = width === null
+      ? toX(run.x)
+      : toX(run.anchorX) - (run.anchor === 'middle' ? width / 2 : run.anchor === 'end' ? width : 0);
+    const hex = codes.map(code => code.toString(16).padStart(codeDigits, '0')).join('').toUpperCase();
+    content.push(`BT /F1 ${num(sizePt)} Tf ${num(left)} ${num(toY(run.y))} Td <${hex}> Tj ET`);
+  });
+
+  const stream = content.join('\n');
+  const trimBox = [toX(0), toY(spread.height), toX(spread.width), toY(0)].map(num).join(' ');
+  const mediaBox = `0 0 ${num(pageWidth)} ${num(pageHeight)}`;
+
+  const objects = [
+    ['<< /Type /Catalog /Pages 2 0 R >>'],
+    ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [`<< /Type /Page /Parent 2 0 R /MediaBox [${mediaBox}] /BleedBox [${mediaBox}] /TrimBox [${trimBox}] ` +
+      '/Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>'],
+    [`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`]
+  ];
+
+  if (!font) {
+    objects.push(['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>']);
+    return assemblePdf(objects);
+  }
+
+  const scale = 1000 / font.unitsPerEm;
+  const widths = Array.from(usedGlyphs.keys())
+    .sort((a, b) => a - b)
+    .map(glyph => `${glyph} [${Math.round(font.glyphAdvance(glyph) * scale)}]`);
+  const name = font.postscriptName || 'CardFont';
+  const toUnicode = toUnicodeCMap(usedGlyphs);
+
+  objects.push(
+    [`<< /Type /Font /Subtype /Type0 /BaseFont /${name} /Encoding /Identity-H /DescendantFonts [8 0 R] /ToUnicode 9 0 R >>`],
+    [`<< /Type /FontDescriptor /FontName /${name} /Flags 4 /FontBBox [${font.bbox.map(v => Math.round(v * scale)).join(' ')}] ` +
+      `/ItalicAngle 0 /Ascent ${Math.round(font.ascent * scale)} /Descent ${Math.round(font.descent * scale)} ` +
+      `/CapHeight ${Math.round(font.capHeight * scale)} /StemV 80 /FontFile2 7 0 R >>`],
+    [`<< /Length ${font.bytes.length} /Length1 ${font.bytes.length} >>\nstream\n`, font.bytes, '\nendstream'],
+    [`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${name} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+      `/FontDescriptor 6 0 R /DW 1000 /W [${widths.join(' ')}] /CIDToGIDMap /Identity >>`],
+    [`<< /Length ${toUnicode.length} >>\nstream\n${toUnicode}\nendstream`]
+  );
+
+  return assemblePdf(objects);
+}
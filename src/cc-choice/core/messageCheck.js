@@ -0,0 +1,470 @@
+/**
+ * Message Check
+ *
+ * @module core/messageCheck
+ * @description Spelling suggestions and blocked words for the text printed on a card
+ *
+ * Pure functions with no DOM dependencies and no network: the dictionary is
+ * bundled (core/wordList.js, en-GB first). The message field has the
+ * browser's spellcheck off (it sits over the canvas preview), so this is
+ * the customer's only prompt before a typo is printed.
+ *
+ * Spelling only flags what is likely a typo: a word that isn't in the
+ * dictionary (or an inflection of a word that is) and is one letter away
+ * from one (two for long words), or a known misspelling such as "recieve"
+ * or a US spelling such as "color". Capitalised words are treated as names
+ * and left alone, and so are emails, links and #tags.
+ *
+ * Blocked words are words the printer refuses. The theme setting (Card
+ * personalisation → Blocked words, injected by snippets/cc-choice-modal.liquid)
+ * replaces the default list; one entry per line, `word*` matches anything
+ * starting with it, and several words match that phrase. Matching ignores
+ * case, accents, letters repeated three or more times ("fuuuck") and
+ * look-alike digits ("5h1t"). Ordinary doubled letters are kept, so
+ * "shiitake" isn't read as "shitake".
+ *
+ * @public DEFAULT_BLOCKED_WORDS - Blocked words when the theme sets none
+ * @public configureMessageCheck(settings: MessageCheckSettings) → void
+ * @public checkSpelling(text: string, options?: { ignore?: Set<string> }) → Misspelling[]
+ * @public findBlockedWords(text: string) → string[]
+ * @public checkBlockedWords(text: string) → string|null
+ * @public applySuggestion(text: string, misspelling: Misspelling, suggestion: string) → string
+ *
+ * @typedef {Object} MessageCheckSettings
+ * @property {string|string[]} [blockedWords] - Blocked word lines (textarea value or its lines)
+ * @property {string} [locale] - Dictionary to check against (a key of WORD_LISTS)
+ *
+ * @typedef {Object} Misspelling
+ * @property {string} word - Word as typed
+ * @property {number} index - Where it starts in the text
+ * @property {string[]} suggestions - Up to three replacements, best first
+ *
+ * @example
+ * import { checkSpelling, checkBlockedWords } from './core/messageCheck.js';
+ *
+ * checkSpelling('Hope you recieve this on your birthady');
+ * // => [{ word: 'recieve', index: 9, suggestions: ['receive'] },
+ * //     { word: 'birthady', index: 30, suggestions: ['birthday'] }]
+ *
+ * checkBlockedWords('Have a sh1tty day');
+ * // => 'Sorry, we can\'t print "sh1tty" on a card. Please reword it to continue.'
+ */
+
+import { WORD_LISTS } from './wordList.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Blocked words when the theme sets none
+ * @type {string[]}
+ */
+export const DEFAULT_BLOCKED_WORDS = Object.freeze([
+  'fuck*',
+  'motherfuck*',
+  'shit*',
+  'bullshit*',
+  'cunt*',
+  'twat*',
+  'wank*',
+  'bollock*'
+]);
+
+const DEFAULT_LOCALE = 'en-GB';
+
+// Most suggestions shown per word
+const MAX_SUGGESTIONS = 3;
+
+// Words shorter than this are only checked against the known misspellings
+const MIN_CHECKED_LENGTH = 4;
+
+// Words this long may be two letters out; shorter ones one
+const LONG_WORD_LENGTH = 8;
+
+/**
+ * Known misspellings and US spellings, per locale, with the intended word
+ * @private
+ */
+const CORRECTIONS = {
+  'en-GB': {
+    // Card favourites
+    hapy: 'happy', happpy: 'happy', hppy: 'happy', birthady: 'birthday', brithday: 'birthday', birhtday: 'birthday',
+    bithday: 'birthday', birtday: 'birthday', christmass: 'christmas', chirstmas: 'christmas',
+    aniversary: 'anniversary', anniversery: 'anniversary', annivesary: 'anniversary', congradulations: 'congratulations',
+    congratualtions: 'congratulations', retirment: 'retirement', engagment: 'engagement', weding: 'wedding',
+    condolances: 'condolences', grandaughter: 'granddaughter', neice: 'niece', freind: 'friend', firend: 'friend',
+    // Everyday slips
+    recieve: 'receive', beleive: 'believe', belive: 'believe', acheive: 'achieve', wierd: 'weird', untill: 'until',
+    tommorow: 'tomorrow', tomorow: 'tomorrow', tommorrow: 'tomorrow', definately: 'definitely', definatly: 'definitely',
+    seperate: 'separate', occured: 'occurred', occassion: 'occasion', ocassion: 'occasion', accomodation: 'accommodation',
+    goverment: 'government', enviroment: 'environment', begining: 'beginning', beautifull: 'beautiful', beatiful: 'beautiful',
+    wonderfull: 'wonderful', thankyou: 'thank you', alot: 'a lot', allways: 'always', becuase: 'because', beacuse: 'because',
+    wich: 'which', teh: 'the', adn: 'and', thier: 'their', freinds: 'friends', realy: 'really', truely: 'truly',
+    sincerly: 'sincerely', greatful: 'grateful', gratefull: 'grateful', excercise: 'exercise', embarass: 'embarrass',
+    familys: 'families', memorys: 'memories', lovley: 'lovely', luv: 'love', speacial: 'special', specail: 'special',
+    // US spellings
+    color: 'colour', favorite: 'favourite', favor: 'favour', center: 'centre', theater: 'theatre', neighbor: 'neighbour',
+    honor: 'honour', humor: 'humour', behavior: 'behaviour', flavor: 'flavour', harbor: 'harbour', jewelry: 'jewellery',
+    gray: 'grey', mom: 'mum', mommy: 'mummy', realize: 'realise', organize: 'organise', apologize: 'apologise',
+    recognize: 'recognise', cozy: 'cosy', pajamas: 'pyjamas', catalog: 'catalogue', traveling: 'travelling',
+    traveled: 'travelled', aging: 'ageing', mustache: 'moustache', yogurt: 'yoghurt'
+  }
+};
+
+/**
+ * Inflections recognised from a dictionary word: suffix, and what replaces
+ * it on the base ("happily" → "happy" is ["ily", "y"])
+ * @private
+ */
+const SUFFIX_RULES = [
+  ["'s", ''], ["s'", 's'], ['s', ''], ['es', ''], ['ies', 'y'],
+  ['ed', ''], ['ed', 'e'], ['d', ''], ['ied', 'y'],
+  ['ing', ''], ['ing', 'e'],
+  ['er', ''], ['er', 'e'], ['ier', 'y'], ['est', ''], ['est', 'e'], ['iest', 'y'],
+  ['ly', ''], ['ly', 'le'], ['ily', 'y'], ['ness', ''], ['iness', 'y'], ['ful', ''], ['less', '']
+];
+
+// Suffixes after which the base's final consonant may be doubled ("hopped" → "hop")
+const DOUBLING_SUFFIXES = new Set(['ed', 'ing', 'er', 'est']);
+
+// Look-alike characters used to dodge the blocked words
+const LOOK_ALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Innocent words that start with a blocked `word*` entry
+const PREFIX_EXCEPTIONS = new Set(['shitake', 'shiitake', 'wankel']);
+
+// Emails, links and #tags/@handles are never spell-checked
+const SKIPPED_SPANS = /\S+@\S+\.\S+|https?:\/\/\S+|www\.\S+|[#@][\p{L}\d_]+/giu;
+
+/**
+ * Current settings (see configureMessageCheck)
+ * @private
+ */
+const settings = {
+  locale: DEFAULT_LOCALE,
+  blockedWords: parseBlockedWords(DEFAULT_BLOCKED_WORDS)
+};
+
+// Parsed dictionaries, built on first use: locale → { words: Set, byLength: Map }
+const dictionaries = new Map();
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Lines of a textarea setting (value or pre-split lines)
+ * @private
+ */
+function readLines(value) {
+  const lines = Array.isArray(value) ? value : String(value || '').split(/\r?\n/);
+  return lines.map(line => String(line).trim()).filter(Boolean);
+}
+
+/**
+ * Lowercase, accent-free, look-alikes replaced, one character in for one out
+ * (so positions line up with the original text)
+ * @private
+ */
+function normaliseForBlocking(text) {
+  return String(text || '').split('').map(char => {
+    const lower = char.toLowerCase();
+    if (LOOK_ALIKES[lower]) return LOOK_ALIKES[lower];
+    return lower.normalize('NFD').charAt(0);
+  }).join('');
+}
+
+/**
+ * A normalised word as typed, and with runs of three or more letters cut to
+ * two and to one ("fuuuuck" → "fuuck", "fuck"), like the spelling check
+ * @private
+ */
+function spellingsOf(word) {
+  return [word, word.replace(/(.)\1{2,}/g, '$1$1'), word.replace(/(.)\1{2,}/g, '$1')];
+}
+
+/**
+ * Does a word match one part of a blocked entry?
+ * @private
+ */
+function matchesBlockedPart(spellings, part) {
+  if (!part.prefix) return spellings.includes(part.text);
+  return !PREFIX_EXCEPTIONS.has(spellings[0]) && spellings.some(spelling => spelling.startsWith(part.text));
+}
+
+/**
+ * Blocked word lines → [{ label, parts: [{ text, prefix }] }]
+ * @private
+ */
+function parseBlockedWords(lines) {
+  return readLines(lines)
+    .filter(line => !line.startsWith('#'))
+    .map(line => ({
+      label: line,
+      parts: normaliseForBlocking(line).split(/[^a-z*]+/).filter(Boolean).map(part => ({
+        text: part.replace(/\*+$/, ''),
+        prefix: part.endsWith('*')
+      })).filter(part => part.text)
+    }))
+    .filter(entry => entry.parts.length > 0);
+}
+
+/**
+ * Dictionary for a locale, built on first use
+ * @private
+ */
+function getDictionary(locale) {
+  const key = WORD_LISTS[locale] ? locale : DEFAULT_LOCALE;
+  if (!dictionaries.has(key)) {
+    const words = new Set(WORD_LISTS[key].split(/\s+/).filter(Boolean));
+    const byLength = new Map();
+    words.forEach(word => {
+      if (!byLength.has(word.length)) byLength.set(word.length, []);
+      byLength.get(word.length).push(word);
+    });
+    dictionaries.set(key, { words, byLength, corrections: CORRECTIONS[key] || {} });
+  }
+  return dictionaries.get(key);
+}
+
+/**
+ * Possible bases of an inflected word, each with how to inflect a replacement the same way
+ * @private
+ * @returns {{ base: string, inflect: (word: string) => string }[]}
+ */
+function getBases(word) {
+  const bases = [];
+
+  SUFFIX_RULES.forEach(([suffix, replacement]) => {
+    if (!word.endsWith(suffix) || word.length - suffix.length < 2) return;
+    const stem = word.slice(0, -suffix.length);
+    const inflect = (base) => (replacement && base.endsWith(replacement)
+      ? base.slice(0, -replacement.length)
+      : base) + suffix;
+
+    bases.push({ base: stem + replacement, inflect });
+
+    // "hopped" → "hop", "biggest" → "big"
+    if (!replacement && DOUBLING_SUFFIXES.has(suffix) && /([^aeiou])\1$/.test(stem)) {
+      bases.push({ base: stem.slice(0, -1), inflect: (base) => base + base.slice(-1) + suffix });
+    }
+  });
+
+  return bases;
+}
+
+/**
+ * @private
+ */
+function isKnown(word, dictionary) {
+  if (dictionary.words.has(word)) return true;
+  return getBases(word).some(({ base }) => dictionary.words.has(base));
+}
+
+/**
+ * Edit distance with adjacent swaps counted once; gives up above max
+ * @private
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Dictionary words within reach of a word, closest first
+ * @private
+ */
+function findNearWords(word, dictionary) {
+  const max = word.length >= LONG_WORD_LENGTH ? 2 : 1;
+  const matches = [];
+
+  for (let length = word.length - max; length <= word.length + max; length++) {
+    (dictionary.byLength.get(length) || []).forEach(candidate => {
+      const distance = editDistance(word, candidate, max);
+      if (distance <= max) matches.push({ candidate, distance });
+    });
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance
+      || Math.abs(a.candidate.length - word.length) - Math.abs(b.candidate.length - word.length)
+      || a.candidate.localeCompare(b.candidate))
+    .map(match => match.candidate);
+}
+
+/**
+ * Replacements for a lowercase word that isn't in the dictionary
+ * @private
+ */
+function suggestWords(word, dictionary) {
+  const { corrections } = dictionary;
+  const bases = getBases(word);
+
+  if (corrections[word]) return [corrections[word]];
+  for (const { base, inflect } of bases) {
+    if (corrections[base]) return [inflect(corrections[base])];
+  }
+
+  if (word.length < MIN_CHECKED_LENGTH) return [];
+
+  const direct = findNearWords(word, dictionary);
+  if (direct.length > 0) return direct;
+
+  // "freindly" → "friendly": correct the base, keep the ending
+  const inflected = [];
+  bases.forEach(({ base, inflect }) => {
+    if (base.length < MIN_CHECKED_LENGTH) return;
+    findNearWords(base, dictionary).forEach(candidate => inflected.push(inflect(candidate)));
+  });
+  return inflected;
+}
+
+/**
+ * Match a word's case: "Recieve" → "Receive"
+ * @private
+ */
+function matchCase(suggestion, word) {
+  return word[0] === word[0].toUpperCase() && word[0] !== word[0].toLowerCase()
+    ? suggestion.charAt(0).toUpperCase() + suggestion.slice(1)
+    : suggestion;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Set the blocked words and dictionary (theme settings)
+ *
+ * A blocked words list with no entries keeps the current one.
+ *
+ * @param {MessageCheckSettings} [options] - Theme settings
+ */
+export function configureMessageCheck(options = {}) {
+  if (!options) return;
+
+  const blockedWords = parseBlockedWords(options.blockedWords);
+  if (blockedWords.length > 0) settings.blockedWords = blockedWords;
+  if (options.locale && WORD_LISTS[options.locale]) settings.locale = options.locale;
+}
+
+/**
+ * Likely misspellings in a text
+ *
+ * @param {string} text - Message, note or caption
+ * @param {Object} [options]
+ * @param {Set<string>} [options.ignore] - Lowercase words the customer chose to keep
+ * @returns {Misspelling[]} Misspellings in text order
+ */
+export function checkSpelling(text, { ignore } = {}) {
+  const dictionary = getDictionary(settings.locale);
+  const source = String(text || '').replace(/’/g, '\'').replace(SKIPPED_SPANS, match => ' '.repeat(match.length));
+  const misspellings = [];
+
+  for (const match of source.matchAll(/\p{L}[\p{L}']*/gu)) {
+    const word = match[0].replace(/'+$/, '');
+    const lower = word.toLowerCase();
+    if (ignore && ignore.has(lower)) continue;
+    if (/\d/.test(source.charAt(match.index + match[0].length))) continue;
+
+    const capitalised = word !== lower;
+    const known = dictionary.corrections[lower] === undefined
+      && (isKnown(lower, dictionary) || isKnown(lower.replace(/(.)\1{2,}/g, '$1$1'), dictionary) || isKnown(lower.replace(/(.)\1{2,}/g, '$1'), dictionary));
+    if (known) continue;
+
+    // Names and shouting: only the known misspellings ("Hapy Birthday")
+    if (capitalised && !dictionary.corrections[lower]) continue;
+
+    const suggestions = suggestWords(lower, dictionary)
+      .filter((suggestion, index, all) => suggestion !== lower && all.indexOf(suggestion) === index)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(suggestion => matchCase(suggestion, word));
+
+    if (suggestions.length > 0) {
+      misspellings.push({ word, index: match.index, suggestions });
+    }
+  }
+
+  return misspellings;
+}
+
+/**
+ * Blocked words and phrases in a text, as typed
+ *
+ * @param {string} text - Message, note or caption
+ * @returns {string[]} Matches in text order
+ */
+export function findBlockedWords(text) {
+  const original = String(text || '');
+  const normalised = normaliseForBlocking(original);
+  const tokens = Array.from(normalised.matchAll(/[a-z]+/g)).map(match => ({
+    spellings: spellingsOf(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+  const found = [];
+
+  tokens.forEach((token, index) => {
+    settings.blockedWords.forEach(({ parts }) => {
+      const matches = parts.every((part, offset) => {
+        const candidate = tokens[index + offset];
+        return Boolean(candidate) && matchesBlockedPart(candidate.spellings, part);
+      });
+      if (matches) {
+        const end = tokens[index + parts.length - 1].end;
+        found.push(original.slice(token.start, end));
+      }
+    });
+  });
+
+  return found.filter((word, index) => found.indexOf(word) === index);
+}
+
+/**
+ * Message to show when a text has blocked words
+ *
+ * @param {string} text - Message, note or caption
+ * @returns {string|null} Message for the customer, null if there are none
+ */
+export function checkBlockedWords(text) {
+  const found = findBlockedWords(text);
+  if (found.length === 0) return null;
+  return `Sorry, we can't print "${found[0]}" on a card. Please reword it to continue.`;
+}
+
+/**
+ * Replace a misspelling with one of its suggestions
+ *
+ * @param {string} text - Text the misspelling was found in
+ * @param {Misspelling} misspelling - From checkSpelling
+ * @param {string} suggestion - Replacement
+ * @returns {string} Text with the word replaced (unchanged if the word has since moved)
+ */
+export function applySuggestion(text, misspelling, suggestion) {
+  const source = String(text || '');
+  const end = misspelling.index + misspelling.word.length;
+  if (source.slice(misspelling.index, end).replace(/’/g, '\'') !== misspelling.word) return source;
+  return source.slice(0, misspelling.index) + suggestion + source.slice(end);
+}
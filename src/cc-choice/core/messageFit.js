@@ -0,0 +1,137 @@
+/**
+ * Message Fit
+ *
+ * @module core/messageFit
+ * @description Checks whether the inside message fits the card, and what to offer when it doesn't
+ *
+ * Measures with the print layout (core/cardInterior.js) for the chosen font,
+ * size and card format, so "fits" means fits on the printed card, not in
+ * the on-screen textarea. When the message is too long it tries the next
+ * smaller text size, then the next; the customer chooses whether to shrink
+ * or edit. Nothing is ever removed from the message here.
+ *
+ * @public FIT_STATUS - Fit outcomes
+ * @public checkMessageFit(options: FitOptions) → MessageFit
+ * @public measureMessageCapacity(options: FitOptions) → number
+ *
+ * @typedef {Object} FitOptions
+ * @property {string} message - Inside message (right page)
+ * @property {string} [leftMessage] - Left-page note
+ * @property {string} [fontFamily] - Font family
+ * @property {string} [fontSize] - 'small' | 'medium' | 'large'
+ * @property {string|number} [lineSpacing] - LINE_SPACINGS preset
+ * @property {string} [align] - 'left' | 'center' | 'right'
+ * @property {import('./cardInterior.js').CardFormat|string} [format] - Card format or variant size name
+ * @property {import('./cardInterior.js').Measurer} [measure] - Text measurer (default: FONT_METRICS)
+ *
+ * @typedef {Object} MessageFit
+ * @property {string} status - FIT_STATUS value (both pages)
+ * @property {string} fontSize - Size that was measured
+ * @property {string|null} suggestedSize - Largest smaller size where both pages fit (FIT_STATUS.SHRINK only)
+ * @property {number} fitLength - Characters of the message that get printed
+ * @property {string} cutText - Text that won't be printed at this size ('' when it fits)
+ * @property {{ fitLength: number, cutText: string }} left - Same for the left-page note
+ *
+ * @example
+ * import { checkMessageFit, FIT_STATUS } from './core/messageFit.js';
+ *
+ * const fit = checkMessageFit({ message, fontFamily: 'Caveat', fontSize: 'large', format: 'A6' });
+ * if (fit.status === FIT_STATUS.SHRINK) offerShrink(fit.suggestedSize);
+ *
+ * measureMessageCapacity({ fontFamily: 'Caveat', fontSize: 'large', format: 'A6' });
+ * // => characters of ordinary prose the right page holds, e.g. for AI message ideas
+ */
+
+import { layoutCardInterior, FONT_SIZES } from './cardInterior.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Fit outcomes
+ * @type {{ FITS: string, SHRINK: string, CUT: string }}
+ */
+export const FIT_STATUS = Object.freeze({
+  FITS: 'fits',       // Whole message prints at the chosen size
+  SHRINK: 'shrink',   // Too long, but a smaller size fits
+  CUT: 'cut'          // Too long even at the smallest size
+});
+
+// Text sizes from largest to smallest
+const SIZES_DESCENDING = Object.keys(FONT_SIZES).sort((a, b) => FONT_SIZES[b] - FONT_SIZES[a]);
+
+// Ordinary card prose, repeated to fill a page when measuring its capacity
+const CAPACITY_SAMPLE = 'Wishing you a wonderful day full of love, laughter and everything that makes you smile. ';
+
+// Longest capacity measured (beyond the inside message limit)
+const CAPACITY_LIMIT = 600;
+
+// Share of the measured capacity to promise: real messages break lines and use wider words
+const CAPACITY_MARGIN = 0.85;
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Check whether a message fits the card at the chosen size
+ *
+ * @param {FitOptions} options - Message, typography and card format
+ * @returns {MessageFit} Fit result
+ */
+export function checkMessageFit({ message = '', leftMessage = '', fontFamily, fontSize, lineSpacing, align, format, measure }) {
+  const text = String(message);
+  const leftText = String(leftMessage);
+  const layoutAt = (size) => layoutCardInterior({
+    message: text,
+    leftMessage: leftText,
+    fontFamily,
+    fontSize: size,
+    lineSpacing,
+    align,
+    format,
+    measure
+  });
+  const overflows = (layout) => layout.overflow || layout.leftPage.overflow;
+  const layout = layoutAt(fontSize);
+
+  const result = {
+    status: FIT_STATUS.FITS,
+    fontSize: layout.font.size,
+    suggestedSize: null,
+    fitLength: layout.fitLength,
+    cutText: text.slice(layout.fitLength).trim(),
+    left: {
+      fitLength: layout.leftPage.fitLength,
+      cutText: leftText.slice(layout.leftPage.fitLength).trim()
+    }
+  };
+  if (!overflows(layout)) return result;
+
+  const smallerSizes = SIZES_DESCENDING.slice(SIZES_DESCENDING.indexOf(layout.font.size) + 1);
+  const suggestedSize = smallerSizes.find(size => !overflows(layoutAt(size))) || null;
+
+  return {
+    ...result,
+    status: suggestedSize ? FIT_STATUS.SHRINK : FIT_STATUS.CUT,
+    suggestedSize
+  };
+}
+
+/**
+ * How many characters of ordinary prose fit the right page
+ *
+ * Measured with the print layout for the font, size, spacing and card
+ * format, less a margin for line breaks and longer words, and never more
+ * than the inside message limit.
+ *
+ * @param {FitOptions} options - Typography and card format (message is ignored)
+ * @returns {number} Characters
+ */
+export function measureMessageCapacity({ fontFamily, fontSize, lineSpacing, align, format, measure }) {
+  const sample = CAPACITY_SAMPLE.repeat(Math.ceil(CAPACITY_LIMIT / CAPACITY_SAMPLE.length) + 1);
+  const layout = layoutCardInterior({ message: sample, fontFamily, fontSize, lineSpacing, align, format, measure });
+
+  return Math.floor(Math.min(layout.fitLength, CAPACITY_LIMIT) * CAPACITY_MARGIN);
+}
@@ -0,0 +1,273 @@
+/**
+ * Message Ideas
+ *
+ * @module core/messageIdeas
+ * @description Tone, length and relationship choices for AI message ideas, and the changes a customer can ask for
+ *
+ * Pure functions with no DOM dependencies, shared by the AI panel and the
+ * AI suggestions worker (workers/ai-suggestions.js) so both accept the same
+ * values. The panel measures how many characters the card holds in the
+ * chosen font and size (core/messageFit.js) and sends it as maxLength; the
+ * worker keeps every idea within it.
+ *
+ * Each idea can then be refined: a quick change (IDEA_REFINEMENTS) or the
+ * customer's own words, sent with the idea's earlier versions so the model
+ * can build on them rather than start again.
+ *
+ * @public IDEA_TONES - Tones on offer, value → label
+ * @public IDEA_LENGTHS - Lengths on offer, value → label ('mixed' is one of each)
+ * @public IDEA_RELATIONSHIPS - Who the recipient is to the sender, value → label
+ * @public IDEA_MAX_LENGTH - Longest idea when the card's capacity isn't known
+ * @public IDEA_REFINEMENTS - Quick changes, value → { label, instruction }
+ * @public REFINE_HISTORY_LIMIT - Earlier versions kept per idea
+ * @public REFINE_INSTRUCTION_MAX_LENGTH - Longest change in the customer's own words
+ * @public IDEA_FIELD_LIMITS - Longest recipient, occasion and details the worker accepts
+ * @public readIdeaOptions(params?: object) → IdeaOptions
+ * @public getLengthTargets(options: IdeaOptions) → LengthTarget[]
+ * @public describeLength(message: string) → string
+ * @public readRefinement(params?: object) → Refinement|null
+ *
+ * @typedef {Object} IdeaOptions
+ * @property {string} tone - IDEA_TONES key
+ * @property {string} length - IDEA_LENGTHS key
+ * @property {string} relationship - IDEA_RELATIONSHIPS key, '' if not given
+ * @property {number} maxLength - Most characters an idea may have
+ *
+ * @typedef {Object} LengthTarget
+ * @property {string} length - 'short' | 'medium' | 'long'
+ * @property {number} min - Fewest characters
+ * @property {number} max - Most characters
+ *
+ * @typedef {Object} RefineStep
+ * @property {string} message - A version of the idea
+ * @property {string} instruction - What the customer asked to change about it
+ *
+ * @typedef {Object} Refinement
+ * @property {string} message - Version to change
+ * @property {string} instruction - The change, in words the model can follow
+ * @property {string} refinement - IDEA_REFINEMENTS key, or 'custom' for the customer's own words
+ * @property {RefineStep[]} history - Earlier versions, oldest first
+ *
+ * @example
+ * import { readIdeaOptions, getLengthTargets } from './core/messageIdeas.js';
+ *
+ * const options = readIdeaOptions({ tone: 'cheeky', length: 'long', maxLength: 180 });
+ * getLengthTargets(options);
+ * // => three { length: 'long', min: 135, max: 180 }
+ *
+ * readRefinement({ message: 'Happy birthday, Mum!', instruction: 'funnier' });
+ * // => { message: 'Happy birthday, Mum!', instruction: 'Make it funnier', refinement: 'funnier', history: [] }
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Tones on offer
+ * @type {Object.<string, string>}
+ */
+export const IDEA_TONES = Object.freeze({
+  sentimental: 'Sentimental',
+  funny: 'Funny',
+  cheeky: 'Cheeky',
+  formal: 'Formal'
+});
+
+/**
+ * Lengths on offer
+ * @type {Object.<string, string>}
+ */
+export const IDEA_LENGTHS = Object.freeze({
+  mixed: 'Mix of lengths',
+  short: 'Short',
+  medium: 'Medium',
+  long: 'Long'
+});
+
+/**
+ * Who the recipient is to the sender
+ * @type {Object.<string, string>}
+ */
+export const IDEA_RELATIONSHIPS = Object.freeze({
+  partner: 'Partner',
+  parent: 'Parent',
+  child: 'Child',
+  sibling: 'Brother or sister',
+  grandparent: 'Grandparent',
+  friend: 'Friend',
+  colleague: 'Colleague'
+});
+
+/**
+ * Longest idea when the card's capacity isn't known (the old "heartfelt" length)
+ * @type {number}
+ */
+export const IDEA_MAX_LENGTH = 250;
+
+/**
+ * Quick changes offered on every idea
+ * @type {Object.<string, { label: string, instruction: string }>}
+ */
+export const IDEA_REFINEMENTS = Object.freeze({
+  funnier: { label: 'Funnier', instruction: 'Make it funnier' },
+  shorter: { label: 'Shorter', instruction: 'Make it shorter' },
+  longer: { label: 'Longer', instruction: 'Make it a bit longer' },
+  warmer: { label: 'Warmer', instruction: 'Make it warmer and more affectionate' },
+  simpler: { label: 'Simpler', instruction: 'Use simpler, everyday words' }
+});
+
+/**
+ * Earlier versions kept per idea (and sent with each change)
+ * @type {number}
+ */
+export const REFINE_HISTORY_LIMIT = 6;
+
+/**
+ * Longest change in the customer's own words
+ * @type {number}
+ */
+export const REFINE_INSTRUCTION_MAX_LENGTH = 120;
+
+/**
+ * Longest recipient, occasion and details the worker accepts (the panel's
+ * maxlength, so only requests that bypass it are refused)
+ * @type {Object.<string, number>}
+ */
+export const IDEA_FIELD_LIMITS = Object.freeze({
+  recipient: 60,
+  occasion: 60,
+  details: 300
+});
+
+// Shortest capacity worth asking for; smaller values are treated as this
+const MIN_MAX_LENGTH = 30;
+
+// Longest idea ever asked for (the inside message limit)
+const MAX_MAX_LENGTH = 600;
+
+/**
+ * Character range per length, before the card's capacity caps it
+ * @private
+ */
+const LENGTH_RANGES = {
+  short: { min: 10, max: 60 },
+  medium: { min: 60, max: 140 },
+  long: { min: 140, max: 250 }
+};
+
+const DEFAULT_TONE = 'sentimental';
+const CUSTOM_REFINEMENT = 'custom';
+const DEFAULT_LENGTH = 'mixed';
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+// Own keys only, so "toString" isn't a tone
+const has = (table, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(table, key);
+
+/**
+ * Quick change key → its instruction; anything else is the customer's own words
+ * @private
+ */
+function readInstruction(instruction) {
+  if (has(IDEA_REFINEMENTS, instruction)) {
+    return { instruction: IDEA_REFINEMENTS[instruction].instruction, refinement: instruction };
+  }
+  const text = typeof instruction === 'string' ? instruction.replace(/\s+/g, ' ').trim() : '';
+  return { instruction: text.slice(0, REFINE_INSTRUCTION_MAX_LENGTH), refinement: CUSTOM_REFINEMENT };
+}
+
+/**
+ * Trimmed message, or '' if it isn't one
+ * @private
+ */
+function readMessage(message) {
+  return typeof message === 'string' ? message.trim().slice(0, MAX_MAX_LENGTH) : '';
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Tone, length, relationship and capacity from request parameters
+ *
+ * Unknown values fall back to the defaults (sentimental, a mix of lengths,
+ * no relationship, IDEA_MAX_LENGTH).
+ *
+ * @param {Object} [params] - Request body or form values
+ * @returns {IdeaOptions} Options the worker can use
+ */
+export function readIdeaOptions({ tone, length, relationship, maxLength } = {}) {
+  const capacity = Math.floor(Number(maxLength));
+
+  return {
+    tone: has(IDEA_TONES, tone) ? tone : DEFAULT_TONE,
+    length: has(IDEA_LENGTHS, length) ? length : DEFAULT_LENGTH,
+    relationship: has(IDEA_RELATIONSHIPS, relationship) ? relationship : '',
+    maxLength: capacity > 0 ? Math.min(Math.max(capacity, MIN_MAX_LENGTH), MAX_MAX_LENGTH) : IDEA_MAX_LENGTH
+  };
+}
+
+/**
+ * Character range for each of the three ideas
+ *
+ * 'mixed' asks for one short, one medium and one long idea; otherwise all
+ * three are the chosen length. Every range is capped at maxLength, so on a
+ * small card "long" means "as long as fits".
+ *
+ * @param {IdeaOptions} options - From readIdeaOptions
+ * @returns {LengthTarget[]} One target per idea, in order
+ */
+export function getLengthTargets({ length, maxLength }) {
+  const lengths = length === 'mixed' ? ['short', 'medium', 'long'] : [length, length, length];
+
+  return lengths.map(name => {
+    const range = LENGTH_RANGES[name];
+    const max = Math.min(range.max, maxLength);
+    return { length: name, min: Math.min(range.min, Math.floor(max * 0.75)), max };
+  });
+}
+
+/**
+ * Which length an idea turned out to be
+ *
+ * @param {string} message - Idea text
+ * @returns {string} 'short' | 'medium' | 'long'
+ */
+export function describeLength(message) {
+  const count = String(message).trim().length;
+  if (count <= LENGTH_RANGES.short.max) return 'short';
+  return count <= LENGTH_RANGES.medium.max ? 'medium' : 'long';
+}
+
+/**
+ * The change asked for, from request parameters
+ *
+ * The instruction is an IDEA_REFINEMENTS key or the customer's own words
+ * (squashed to one line and cut to REFINE_INSTRUCTION_MAX_LENGTH). History
+ * entries that aren't a message and an instruction are dropped, and only the
+ * last REFINE_HISTORY_LIMIT are kept.
+ *
+ * @param {Object} [params] - Request body
+ * @param {string} params.message - Version to change
+ * @param {string} params.instruction - Quick change key or the customer's words
+ * @param {RefineStep[]} [params.history] - Earlier versions, oldest first
+ * @returns {Refinement|null} Null if there's no message or no instruction
+ */
+export function readRefinement({ message, instruction, history } = {}) {
+  const current = readMessage(message);
+  const change = readInstruction(instruction);
+  if (!current || !change.instruction) return null;
+
+  const steps = (Array.isArray(history) ? history : [])
+    .map(step => step && typeof step === 'object'
+      ? { message: readMessage(step.message), instruction: readInstruction(step.instruction).instruction }
+      : null)
+    .filter(step => step && step.message && step.instruction)
+    .slice(-REFINE_HISTORY_LIMIT);
+
+  return { message: current, ...change, history: steps };
+}
@@ -0,0 +1,159 @@
+/**
+ * Modal Route
+ *
+ * @module core/modalRoute
+ * @description URL <-> modal state mapping for deep links and back/forward routing
+ *
+ * The modal's state lives in query parameters on whatever page it was opened
+ * from, so links from emails or support can open it directly:
+ *
+ *   ?cc=frog-birthday&view=personalise&variant=123&delivery=Mail4Me
+ *
+ * Other query parameters and the hash are left untouched.
+ *
+ * @public MODAL_VIEWS - View names used in the `view` parameter
+ * @public parseModalRoute(search: string) → ModalRoute | null
+ * @public buildModalUrl(route: ModalRoute, href: string) → string
+ * @public clearModalUrl(href: string) → string
+ *
+ * @typedef {Object} ModalRoute
+ * @property {string} handle - Product handle
+ * @property {string} view - One of MODAL_VIEWS
+ * @property {number|null} variantId - Selected variant
+ * @property {string|null} deliveryMethod - Delivery method (personaliser only)
+ *
+ * @example
+ * import { parseModalRoute, buildModalUrl } from './core/modalRoute.js';
+ *
+ * parseModalRoute('?cc=frog-birthday&view=personalise&variant=123');
+ * // => { handle: 'frog-birthday', view: 'personalise', variantId: 123, deliveryMethod: null }
+ *
+ * buildModalUrl({ handle: 'frog-birthday', view: 'choice' }, 'https://shop.test/collections/all?page=2');
+ * // => '/collections/all?page=2&cc=frog-birthday&view=choice'
+ */
+
+import { normalizeDeliveryMethod } from './deliverySchema.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * View names used in the `view` parameter
+ * @type {{ CHOICE: string, PERSONALISE: string }}
+ */
+export const MODAL_VIEWS = Object.freeze({
+  CHOICE: 'choice',
+  PERSONALISE: 'personalise'
+});
+
+/**
+ * Query parameter names
+ * @private
+ */
+const PARAMS = {
+  handle: 'cc',
+  view: 'view',
+  variant: 'variant',
+  delivery: 'delivery'
+};
+
+/**
+ * Shopify product handles: lowercase letters, digits and hyphens
+ * @private
+ */
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Parse an href relative to the current page
+ * @private
+ */
+function toUrl(href) {
+  return new URL(href, window.location.origin);
+}
+
+/**
+ * Remove all modal parameters from a URL (mutates)
+ * @private
+ */
+function deleteModalParams(url) {
+  Object.values(PARAMS).forEach(name => url.searchParams.delete(name));
+}
+
+/**
+ * Serialize a URL back to a same-origin path
+ * @private
+ */
+function toPath(url) {
+  return `${url.pathname}${url.search}${url.hash}`;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Read modal state from a query string
+ *
+ * Unknown views fall back to the choice view; malformed variants and
+ * delivery values are ignored rather than rejected so old links still open.
+ *
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {ModalRoute|null} Route, or null if the URL doesn't target the modal
+ */
+export function parseModalRoute(search) {
+  const params = new URLSearchParams(search);
+  const handle = (params.get(PARAMS.handle) || '').trim();
+
+  if (!HANDLE_PATTERN.test(handle)) return null;
+
+  const view = params.get(PARAMS.view) === MODAL_VIEWS.PERSONALISE ? MODAL_VIEWS.PERSONALISE : MODAL_VIEWS.CHOICE;
+  const variantId = parseInt(params.get(PARAMS.variant), 10);
+  const delivery = params.get(PARAMS.delivery);
+
+  return {
+    handle: handle.toLowerCase(),
+    view,
+    variantId: variantId > 0 ? variantId : null,
+    deliveryMethod: delivery ? normalizeDeliveryMethod(delivery) : null
+  };
+}
+
+/**
+ * Build the URL for a modal state, keeping the page's own parameters
+ *
+ * @param {ModalRoute} route - Modal state
+ * @param {string} href - Current page URL
+ * @returns {string} Path + query + hash
+ */
+export function buildModalUrl(route, href) {
+  const url = toUrl(href);
+  deleteModalParams(url);
+
+  url.searchParams.set(PARAMS.handle, route.handle);
+  url.searchParams.set(PARAMS.view, route.view || MODAL_VIEWS.CHOICE);
+  if (route.variantId) {
+    url.searchParams.set(PARAMS.variant, String(route.variantId));
+  }
+  if (route.deliveryMethod && route.view === MODAL_VIEWS.PERSONALISE) {
+    url.searchParams.set(PARAMS.delivery, route.deliveryMethod);
+  }
+
+  return toPath(url);
+}
+
+/**
+ * Strip modal parameters from a URL
+ *
+ * @param {string} href - Current page URL
+ * @returns {string} Path + query + hash without modal parameters
+ */
+export function clearModalUrl(href) {
+  const url = toUrl(href);
+  deleteModalParams(url);
+  return toPath(url);
+}
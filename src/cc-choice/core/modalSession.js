@@ -0,0 +1,149 @@
+/**
+ * Modal Session
+ *
+ * @module core/modalSession
+ * @description Funnel tracking for one open → personalise → add journey through the modal
+ *
+ * A session starts when the modal opens and ends when it closes. Each funnel
+ * step records the time since opening the first time it happens, and the
+ * summary becomes a single `cc_modal_session` event, so drop-off can be
+ * read without stitching isolated events back together.
+ *
+ * No DOM access: CCChoiceModal calls mark() as steps happen and end() with
+ * the reason the modal closed.
+ *
+ * @public SESSION_STEPS - Funnel steps in order
+ * @public EXIT_REASONS - Why a session ended
+ * @public createModalSession(options: SessionOptions) → ModalSession
+ *
+ * @typedef {Object} SessionOptions
+ * @property {string} handle - Product handle
+ * @property {string} source - How the modal was opened (grid, recommendations, link, history)
+ * @property {Function} [now] - Clock in ms (defaults to performance.now / Date.now)
+ *
+ * @typedef {Object} ModalSession
+ * @property {string} id - Session id
+ * @property {Function} mark - (step: string) → void; records the first occurrence of a step
+ * @property {Function} end - (reason: string) → Object|null; summary payload, null if already ended
+ *
+ * @example
+ * import { createModalSession } from './core/modalSession.js';
+ *
+ * const session = createModalSession({ handle: 'frog-birthday', source: 'grid' });
+ * session.mark('personalise_enter');
+ * trackEvent('cc_modal_session', session.end('escape'));
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Funnel steps in order (open is recorded when the session starts)
+ * @type {string[]}
+ */
+export const SESSION_STEPS = Object.freeze([
+  'open',
+  'variant_select',
+  'personalise_enter',
+  'first_keystroke',
+  'ai_used',
+  'submit',
+  'error',
+  'success'
+]);
+
+/**
+ * Why a session ended; everything except "added" counts as abandonment
+ * @type {string[]}
+ */
+export const EXIT_REASONS = Object.freeze([
+  'added',
+  'close_button',
+  'escape',
+  'backdrop',
+  'back_button',
+  'navigation',
+  'product_switch'
+]);
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * @private
+ */
+function defaultClock() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * @private
+ */
+function createSessionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Start a modal session
+ *
+ * @param {SessionOptions} options - Product, source and optional clock
+ * @returns {ModalSession} Session
+ */
+export function createModalSession({ handle, source, now = defaultClock }) {
+  const id = createSessionId();
+  const startedAt = now();
+  const timings = { open: 0 };
+  let submits = 0;
+  let errors = 0;
+  let ended = false;
+
+  return {
+    id,
+
+    mark(step) {
+      if (ended || !SESSION_STEPS.includes(step)) return;
+
+      if (step === 'submit') submits++;
+      if (step === 'error') errors++;
+      if (!(step in timings)) {
+        timings[step] = Math.round(now() - startedAt);
+      }
+    },
+
+    end(reason) {
+      if (ended) return null;
+      ended = true;
+
+      const exitReason = EXIT_REASONS.includes(reason) ? reason : 'close_button';
+      const lastStep = SESSION_STEPS.filter(step => step in timings && step !== 'error').pop();
+      const summary = {
+        session_id: id,
+        product_handle: handle,
+        source,
+        outcome: 'success' in timings ? 'added' : 'abandoned',
+        exit_reason: exitReason,
+        last_step: lastStep,
+        duration_ms: Math.round(now() - startedAt),
+        submit_count: submits,
+        error_count: errors
+      };
+
+      SESSION_STEPS.forEach(step => {
+        if (step !== 'open' && step in timings) {
+          summary[`${step}_ms`] = timings[step];
+        }
+      });
+
+      return summary;
+    }
+  };
+}
@@ -0,0 +1,239 @@
+/**
+ * Pending Adds
+ *
+ * @module core/pendingAdds
+ * @description Personalised adds that couldn't reach the basket while offline, replayed on reconnect
+ *
+ * When /cart/add.js can't be reached, the card lines are kept in localStorage
+ * instead of being lost with the customer's message. index.js replays the
+ * queue when the browser comes back online (and on the next page load).
+ *
+ * Each queued line carries a hidden `_cc_pending_id` property (the add ID
+ * from cartService, kept if the lines were already stamped). Before
+ * replaying, the current cart is checked for that id, so an add whose
+ * response was lost, or that another tab already replayed, isn't added twice.
+ *
+ * @public PENDING_ID_PROPERTY - Hidden line property linking a cart line to its queued add
+ * @public queuePendingAdd(items: CartPayload[], context: PendingContext) → PendingAdd | null
+ * @public listPendingAdds(now?: number) → PendingAdd[]
+ * @public removePendingAdd(id: string) → void
+ * @public replayPendingAdds() → Promise<ReplayResult>
+ *
+ * @typedef {Object} PendingContext
+ * @property {string} handle - Product handle
+ * @property {number|string} variantId - Variant ID (to clear its saved personalization once added)
+ * @property {string} [title] - Product title, for messages
+ *
+ * @typedef {Object} PendingAdd
+ * @property {string} id - Queue entry ID (also stamped on every line as `_cc_pending_id`)
+ * @property {CartPayload[]} items - Line items to add
+ * @property {string} handle - Product handle
+ * @property {number|string} variantId - Variant ID
+ * @property {string} title - Product title
+ * @property {number} queuedAt - Timestamp (ms)
+ *
+ * @typedef {Object} ReplayResult
+ * @property {PendingAdd[]} added - Entries now in the basket
+ * @property {Array<{ entry: PendingAdd, error: CartError }>} failed - Entries Shopify rejected (dropped from the queue)
+ * @property {PendingAdd[]} pending - Entries still waiting for a connection
+ * @property {Object|null} cart - Cart after the last successful add
+ *
+ * @example
+ * import { queuePendingAdd, replayPendingAdds } from './core/pendingAdds.js';
+ *
+ * queuePendingAdd([payload], { handle: 'frog-birthday', variantId: 12345, title: 'Frog Card' });
+ * window.addEventListener('online', async () => {
+ *   const { added, failed } = await replayPendingAdds();
+ * });
+ */
+
+import { clearPersonalization } from './persistence.js';
+import { ADD_ID_PROPERTY, addItemsToCart, fetchCart, stampAddId } from '../services/cartService.js';
+
+const DEBUG = new URLSearchParams(window.location.search).has('debug') || window.ccDebug;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => console.warn(...args)
+};
+
+const STORAGE_KEY = 'cc-pending-adds';
+const EXPIRY_MS = 7 * 24 * 60 * 60 * 1000; // Same as saved personalizations
+const MAX_ENTRIES = 20;
+
+/**
+ * Hidden line property linking a cart line to its queued add
+ * @type {string}
+ */
+export const PENDING_ID_PROPERTY = ADD_ID_PROPERTY;
+
+/**
+ * Replay in progress (online + load can fire together)
+ * @private
+ */
+let replaying = null;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Read the stored queue
+ * @private
+ * @returns {PendingAdd[]}
+ */
+function readQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    debug.warn('[CC Pending Adds] Failed to read queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Write the queue
+ * @private
+ * @returns {boolean} False if storage is unavailable or full
+ */
+function writeQueue(entries) {
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-MAX_ENTRIES)));
+    }
+    return true;
+  } catch (error) {
+    debug.warn('[CC Pending Adds] Failed to save queue:', error);
+    return false;
+  }
+}
+
+/**
+ * IDs of queued adds already in the cart
+ * @private
+ */
+function pendingIdsInCart(cart) {
+  return new Set((cart.items || [])
+    .map(item => item.properties && item.properties[PENDING_ID_PROPERTY])
+    .filter(Boolean));
+}
+
+/**
+ * Replay queued entries in order, stopping at the first network failure
+ * @private
+ * @returns {Promise<ReplayResult>}
+ */
+async function replay() {
+  const result = { added: [], failed: [], pending: listPendingAdds(), cart: null };
+  if (result.pending.length === 0 || navigator.onLine === false) return result;
+
+  try {
+    result.cart = await fetchCart();
+  } catch (error) {
+    debug.log('[CC Pending Adds] Cart unavailable, replay postponed:', error.message);
+    return result;
+  }
+
+  const inCart = pendingIdsInCart(result.cart);
+
+  while (result.pending.length > 0) {
+    const entry = result.pending[0];
+
+    try {
+      if (inCart.has(entry.id)) {
+        debug.log('[CC Pending Adds] Already in the cart:', entry.id);
+      } else {
+        await addItemsToCart(entry.items);
+        result.cart = null; // Stale now; refreshed below
+      }
+      result.added.push(entry);
+      clearPersonalization(entry.handle, entry.variantId);
+    } catch (error) {
+      if (error.retryable) break;
+      debug.warn('[CC Pending Adds] Queued add rejected:', error.message);
+      result.failed.push({ entry, error });
+    }
+
+    removePendingAdd(entry.id);
+    result.pending.shift();
+  }
+
+  if (result.added.length > 0 && !result.cart) {
+    result.cart = await fetchCart().catch(() => null);
+  }
+
+  return result;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Keep an add for later
+ *
+ * @param {CartPayload[]} items - Line items that couldn't be sent
+ * @param {PendingContext} context - Product the lines belong to
+ * @returns {PendingAdd|null} Queued entry, or null if storage is unavailable
+ */
+export function queuePendingAdd(items, { handle, variantId, title = '' }) {
+  const stamped = stampAddId(items);
+  const id = stamped[0].properties[PENDING_ID_PROPERTY];
+  const entry = {
+    id,
+    items: stamped,
+    handle,
+    variantId,
+    title,
+    queuedAt: Date.now()
+  };
+
+  if (!writeQueue([...readQueue(), entry])) return null;
+
+  debug.log('[CC Pending Adds] Queued:', id, items.length);
+  return entry;
+}
+
+/**
+ * List queued adds, oldest first, dropping expired ones
+ *
+ * @param {number} [now] - Current time in ms (defaults to Date.now())
+ * @returns {PendingAdd[]} Queued adds
+ */
+export function listPendingAdds(now = Date.now()) {
+  const entries = readQueue();
+  const current = entries.filter(entry => Array.isArray(entry.items) && now - entry.queuedAt < EXPIRY_MS);
+
+  if (current.length !== entries.length) writeQueue(current);
+  return current;
+}
+
+/**
+ * Remove a queued add
+ *
+ * @param {string} id - Entry ID
+ */
+export function removePendingAdd(id) {
+  writeQueue(readQueue().filter(entry => entry.id !== id));
+}
+
+/**
+ * Send queued adds to the basket
+ *
+ * Entries Shopify rejects (sold out since, invalid) are dropped and reported
+ * in `failed`; their personalization stays saved so reopening the card
+ * restores the message. Network failures leave the rest queued.
+ *
+ * @returns {Promise<ReplayResult>} What happened to each entry
+ */
+export function replayPendingAdds() {
+  if (!replaying) {
+    replaying = replay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
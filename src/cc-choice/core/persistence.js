@@ -15,18 +15,25 @@
  * // Save personalization
  * savePersonalization('frog-birthday', 12345, {
  *   insideMessage: 'Happy Birthday!',
+ *   leftMessage: 'PS. Cake is in the fridge',
+ *   frontCaption: 'Happy 40th!',
+ *   textAlign: 'left',
+ *   lineSpacing: 'relaxed',
  *   fontFamily: 'Playfair Display',
  *   fontSize: 'medium',
- *   textColor: '#1A1A1A'
+ *   textColor: '#1A1A1A',
+ *   delivery: { deliveryMethod: 'Mail4Me', recipient: { recipientName: 'Mum', ... } }
  * });
  *
- * // Load personalization
+ * // Load personalization (older saves may lack leftMessage/frontCaption/textAlign/lineSpacing - use the defaults)
  * const saved = loadPersonalization('frog-birthday', 12345);
  * if (saved) {
  *   console.log('Restored:', saved.insideMessage);
  * }
  */
 
+import { normalizeDeliveryDetails } from './deliverySchema.js';
+
 const DEBUG = new URLSearchParams(window.location.search).has('debug') || window.ccDebug;
 
 const debug = {
@@ -92,7 +99,14 @@ export function loadPersonalization(handle, variantId) {
       return null;
     }
 
-    return payload.data;
+    const data = payload.data;
+
+    // Saved delivery details may predate the current schema
+    if (data && data.delivery) {
+      data.delivery = normalizeDeliveryDetails(data.delivery);
+    }
+
+    return data;
   } catch (error) {
     debug.warn('[CC Choice] Failed to load personalization:', error);
     return null;
@@ -0,0 +1,294 @@
+/**
+ * Photo Card
+ *
+ * @module core/photoCard
+ * @description Print size, crop geometry and resolution check for customer photos on the card front
+ *
+ * Pure functions with no DOM dependencies (views/photoStep.js draws and
+ * uploads). A product becomes a photo card with its custom.photo_card
+ * metafield. The photo fills the front including bleed, so the crop always
+ * has the aspect ratio of the chosen size (core/cardInterior.js CARD_FORMATS).
+ *
+ * Crop state is kept in the rotated photo's pixels: the crop window is the
+ * largest one of the card's aspect that fits, divided by the zoom, and its
+ * centre is clamped so it never leaves the photo.
+ *
+ * @public PHOTO_PROPERTY - Hidden line item property holding the uploaded file's reference
+ * @public PHOTO_LIMITS - Resolution targets, zoom range and file size limits
+ * @public isPhotoCard(enabled: boolean|string) → boolean
+ * @public getPhotoPrintSize(format: CardFormat|string) → PrintSize
+ * @public createCrop(imageWidth: number, imageHeight: number) → CropState
+ * @public rotateCrop(state: CropState) → CropState
+ * @public zoomCrop(state: CropState, zoom: number, aspect: number) → CropState
+ * @public panCrop(state: CropState, dx: number, dy: number, aspect: number) → CropState
+ * @public getCropRect(state: CropState, aspect: number) → CropRect
+ * @public getOutputSize(rect: CropRect, printSize: PrintSize) → { width: number, height: number }
+ * @public checkPhotoResolution(rect: CropRect, printSize: PrintSize) → ResolutionCheck
+ *
+ * @typedef {Object} PrintSize
+ * @property {string} key - Card format key ("a5", "standard", …)
+ * @property {number} width - Front width including bleed (mm)
+ * @property {number} height - Front height including bleed (mm)
+ * @property {number} aspect - width / height
+ *
+ * @typedef {Object} CropState
+ * @property {number} imageWidth - Photo width as decoded (px)
+ * @property {number} imageHeight - Photo height as decoded (px)
+ * @property {number} rotation - Clockwise quarter turns in degrees: 0 | 90 | 180 | 270
+ * @property {number} zoom - 1 (whole photo) to PHOTO_LIMITS.maxZoom
+ * @property {number} centerX - Crop centre in the rotated photo (px)
+ * @property {number} centerY - Crop centre in the rotated photo (px)
+ *
+ * @typedef {Object} CropRect
+ * @property {number} x - Left edge in the rotated photo (px)
+ * @property {number} y - Top edge in the rotated photo (px)
+ * @property {number} width - Width (px)
+ * @property {number} height - Height (px)
+ *
+ * @typedef {Object} ResolutionCheck
+ * @property {number} dpi - Dots per inch the crop prints at
+ * @property {boolean} ok - False when the print may look blurry
+ * @property {string} message - Warning to show ('' when ok)
+ *
+ * @example
+ * import { getPhotoPrintSize, createCrop, getCropRect, checkPhotoResolution } from './core/photoCard.js';
+ *
+ * const printSize = getPhotoPrintSize('A5');
+ * const crop = createCrop(1200, 900);
+ * const rect = getCropRect(crop, printSize.aspect);
+ * checkPhotoResolution(rect, printSize);
+ * // => { dpi: 105, ok: false, message: 'This photo may look blurry on an A5 card. …' }
+ */
+
+import { CARD_FORMATS, PRINT_SPEC, resolveCardFormat } from './cardInterior.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Hidden line item property (underscore keeps it out of the cart and checkout)
+ * @type {string}
+ */
+export const PHOTO_PROPERTY = '_photo_ref';
+
+/**
+ * Resolution targets, zoom range and file size limits
+ * @type {{ targetDpi: number, minimumDpi: number, maxZoom: number, maxFileBytes: number, maxUploadBytes: number, acceptedTypes: string[] }}
+ */
+export const PHOTO_LIMITS = Object.freeze({
+  // Uploads are scaled down to this; printers gain nothing from more
+  targetDpi: 300,
+  // Below this a print starts to look soft
+  minimumDpi: 150,
+  maxZoom: 4,
+  // Largest photo we'll try to open (phone photos are 2-12MB)
+  maxFileBytes: 25 * 1024 * 1024,
+  // Compressed JPEG sent to the worker (the worker accepts up to 8MB)
+  maxUploadBytes: 5 * 1024 * 1024,
+  acceptedTypes: Object.freeze(['image/jpeg', 'image/png', 'image/webp'])
+});
+
+const MM_PER_INCH = 25.4;
+
+// Printed names for the warning ("an A5 card")
+const FORMAT_NAMES = {
+  standard: 'a standard',
+  large: 'a large',
+  giant: 'a giant',
+  small: 'a small',
+  a5: 'an A5',
+  a4: 'an A4',
+  a6: 'an A6'
+};
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Photo size after rotation
+ * @private
+ */
+function rotatedSize({ imageWidth, imageHeight, rotation }) {
+  return rotation % 180 === 0
+    ? { width: imageWidth, height: imageHeight }
+    : { width: imageHeight, height: imageWidth };
+}
+
+/**
+ * Crop window size for a state (largest of the aspect that fits, divided by the zoom)
+ * @private
+ */
+function cropSize(state, aspect) {
+  const photo = rotatedSize(state);
+  const fitsHeight = photo.width / photo.height > aspect;
+  const width = fitsHeight ? photo.height * aspect : photo.width;
+  const height = fitsHeight ? photo.height : photo.width / aspect;
+  return { width: width / state.zoom, height: height / state.zoom };
+}
+
+/**
+ * Keep the crop centre where the window stays inside the photo
+ * @private
+ */
+function clampCentre(state, aspect) {
+  const photo = rotatedSize(state);
+  const size = cropSize(state, aspect);
+  const clamp = (value, half, max) => Math.min(Math.max(value, half), max - half);
+
+  return {
+    ...state,
+    centerX: clamp(state.centerX, size.width / 2, photo.width),
+    centerY: clamp(state.centerY, size.height / 2, photo.height)
+  };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Whether a product's custom.photo_card metafield makes it a photo card
+ *
+ * @param {boolean|string} enabled - Metafield value (true, or "true" from a data attribute / the Storefront API)
+ * @returns {boolean} True for photo cards
+ */
+export function isPhotoCard(enabled) {
+  return enabled === true || String(enabled).trim().toLowerCase() === 'true';
+}
+
+/**
+ * Printed size of the front, bleed included
+ *
+ * @param {import('./cardInterior.js').CardFormat|string} format - Card format or size name (unknown sizes use "standard")
+ * @returns {PrintSize} Size in mm
+ */
+export function getPhotoPrintSize(format) {
+  const resolved = (format && typeof format === 'object' && format.width ? format : resolveCardFormat(format))
+    || { key: 'standard', ...CARD_FORMATS.standard };
+  const width = resolved.width + PRINT_SPEC.bleed * 2;
+  const height = resolved.height + PRINT_SPEC.bleed * 2;
+
+  return { key: resolved.key || 'standard', width, height, aspect: width / height };
+}
+
+/**
+ * Crop showing as much of a new photo as fits, centred
+ *
+ * @param {number} imageWidth - Photo width (px)
+ * @param {number} imageHeight - Photo height (px)
+ * @returns {CropState} Initial state
+ */
+export function createCrop(imageWidth, imageHeight) {
+  return {
+    imageWidth,
+    imageHeight,
+    rotation: 0,
+    zoom: 1,
+    centerX: imageWidth / 2,
+    centerY: imageHeight / 2
+  };
+}
+
+/**
+ * Turn the photo a quarter clockwise (the crop goes back to the middle)
+ *
+ * @param {CropState} state - Current crop
+ * @returns {CropState} Rotated crop
+ */
+export function rotateCrop(state) {
+  const rotation = (state.rotation + 90) % 360;
+  const photo = rotatedSize({ ...state, rotation });
+  return { ...state, rotation, centerX: photo.width / 2, centerY: photo.height / 2 };
+}
+
+/**
+ * Zoom around the crop centre
+ *
+ * @param {CropState} state - Current crop
+ * @param {number} zoom - New zoom (clamped to 1…PHOTO_LIMITS.maxZoom)
+ * @param {number} aspect - Print aspect ratio (PrintSize.aspect)
+ * @returns {CropState} Zoomed crop
+ */
+export function zoomCrop(state, zoom, aspect) {
+  const clamped = Math.min(Math.max(Number(zoom) || 1, 1), PHOTO_LIMITS.maxZoom);
+  return clampCentre({ ...state, zoom: clamped }, aspect);
+}
+
+/**
+ * Move the crop window
+ *
+ * @param {CropState} state - Current crop
+ * @param {number} dx - Horizontal move in rotated photo pixels (positive = right)
+ * @param {number} dy - Vertical move in rotated photo pixels (positive = down)
+ * @param {number} aspect - Print aspect ratio (PrintSize.aspect)
+ * @returns {CropState} Moved crop, kept inside the photo
+ */
+export function panCrop(state, dx, dy, aspect) {
+  return clampCentre({ ...state, centerX: state.centerX + dx, centerY: state.centerY + dy }, aspect);
+}
+
+/**
+ * Crop window in the rotated photo
+ *
+ * @param {CropState} state - Crop
+ * @param {number} aspect - Print aspect ratio (PrintSize.aspect)
+ * @returns {CropRect} Window (px)
+ */
+export function getCropRect(state, aspect) {
+  const clamped = clampCentre(state, aspect);
+  const size = cropSize(clamped, aspect);
+
+  return {
+    x: clamped.centerX - size.width / 2,
+    y: clamped.centerY - size.height / 2,
+    width: size.width,
+    height: size.height
+  };
+}
+
+/**
+ * Pixel size to upload: the crop scaled down to PHOTO_LIMITS.targetDpi, never up
+ *
+ * @param {CropRect} rect - Crop window
+ * @param {PrintSize} printSize - Printed front
+ * @returns {{ width: number, height: number }} Output size (px)
+ */
+export function getOutputSize(rect, printSize) {
+  const targetWidth = (printSize.width / MM_PER_INCH) * PHOTO_LIMITS.targetDpi;
+  const scale = Math.min(1, targetWidth / rect.width);
+
+  return {
+    width: Math.max(1, Math.round(rect.width * scale)),
+    height: Math.max(1, Math.round(rect.height * scale))
+  };
+}
+
+/**
+ * Will the crop print sharply at this size?
+ *
+ * @param {CropRect} rect - Crop window
+ * @param {PrintSize} printSize - Printed front
+ * @returns {ResolutionCheck} Print resolution and any warning
+ */
+export function checkPhotoResolution(rect, printSize) {
+  const dpi = Math.floor(Math.min(
+    rect.width / (printSize.width / MM_PER_INCH),
+    rect.height / (printSize.height / MM_PER_INCH)
+  ));
+
+  if (dpi >= PHOTO_LIMITS.minimumDpi) {
+    return { dpi, ok: true, message: '' };
+  }
+
+  const minimumWidth = Math.ceil((printSize.width / MM_PER_INCH) * PHOTO_LIMITS.minimumDpi);
+  const minimumHeight = Math.ceil((printSize.height / MM_PER_INCH) * PHOTO_LIMITS.minimumDpi);
+  const cardName = FORMAT_NAMES[printSize.key] || 'this';
+
+  return {
+    dpi,
+    ok: false,
+    message: `This photo may look blurry on ${cardName} card. For a sharp print, zoom out or use a photo at least ${minimumWidth} × ${minimumHeight} pixels.`
+  };
+}
@@ -0,0 +1,459 @@
+/**
+ * Send Date
+ *
+ * @module core/sendDate
+ * @description Scheduled arrival dates for Send Direct cards (transit estimates,
+ * order cutoff and postal holidays)
+ *
+ * Pure functions with no DOM dependencies. Dates are ISO calendar dates
+ * ("2026-12-24") so they survive cart properties and storage unchanged;
+ * the current time is always passed in so the rules can be tested.
+ *
+ * Cards are printed and dispatched from the UK: an order placed before the
+ * cutoff on a dispatch day leaves the same day, then takes the destination
+ * country's transit time in delivery days.
+ *
+ * @public SEND_DATE_PROPERTIES - Hidden cart properties read by fulfilment
+ * @public configureSendDates(options: SendDateOptions) → void
+ * @public registerPostalHolidays(countryCode: string, dates: string[]) → void
+ * @public getEarliestDispatchDate(now: Date) → string
+ * @public getEarliestArrivalDate(countryCode: string, now: Date) → string
+ * @public getArrivalWindow(countryCode: string, now: Date) → { earliest: string, latest: string }
+ * @public getLatestOrderDate(arrivalDate: string, countryCode: string) → OrderDeadline | null
+ * @public checkArrivalDate(arrivalDate: string, countryCode: string, now: Date) → ArrivalCheck
+ * @public buildSendDateProperties(arrivalDate: string, countryCode: string) → object
+ * @public formatSendDate(date: string) → string
+ *
+ * @typedef {Object} SendDateOptions
+ * @property {string} [cutoff] - Daily order cutoff in UK time, "HH:MM"
+ * @property {string[]} [closedDates] - Extra days nothing is dispatched (studio closures)
+ *
+ * @typedef {Object} OrderDeadline
+ * @property {string} dispatchDate - Day the card must leave the studio
+ * @property {string} orderBy - Last day to order (same as dispatchDate)
+ * @property {string} cutoff - Order cutoff time on that day, "HH:MM"
+ *
+ * @typedef {Object} ArrivalCheck
+ * @property {boolean} valid - True if the date can be met
+ * @property {string} [error] - Customer-facing reason the date can't be used
+ * @property {string|null} [suggestion] - Nearest date that works
+ * @property {OrderDeadline} [deadline] - Dispatch and order-by dates for a valid date
+ *
+ * @example
+ * import { checkArrivalDate, formatSendDate } from './core/sendDate.js';
+ *
+ * const check = checkArrivalDate('2026-12-24', 'GB', new Date());
+ * if (check.valid) {
+ *   hint.textContent = `Order by ${check.deadline.cutoff} on ${formatSendDate(check.deadline.orderBy)}`;
+ * }
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Hidden cart properties read by fulfilment
+ * @type {{ ARRIVAL: string, DISPATCH: string }}
+ */
+export const SEND_DATE_PROPERTIES = Object.freeze({
+  ARRIVAL: '_arrival_date',
+  DISPATCH: '_dispatch_date'
+});
+
+/**
+ * Time zone the cutoff and dispatch days are measured in
+ * @private
+ */
+const STUDIO_TIME_ZONE = 'Europe/London';
+
+/**
+ * Furthest ahead a card can be scheduled (days)
+ * @private
+ */
+const MAX_DAYS_AHEAD = 180;
+
+/**
+ * Transit estimates in delivery days after dispatch
+ * @private
+ * @type {Object.<string, { transitDays: number, saturdayDelivery?: boolean }>}
+ */
+const COUNTRY_TRANSIT = {
+  GB: { transitDays: 2, saturdayDelivery: true },
+  IE: { transitDays: 4 },
+  FR: { transitDays: 5 },
+  DE: { transitDays: 5 },
+  IT: { transitDays: 6 },
+  ES: { transitDays: 6 },
+  NL: { transitDays: 5 },
+  US: { transitDays: 7 },
+  CA: { transitDays: 8 },
+  AU: { transitDays: 10 }
+};
+
+/**
+ * Used for countries without their own estimate
+ * @private
+ */
+const DEFAULT_TRANSIT = { transitDays: 7, saturdayDelivery: false };
+
+/**
+ * No post anywhere on these days ("MM-DD", every year)
+ * @private
+ */
+const ANNUAL_HOLIDAYS = ['01-01', '12-25'];
+
+/**
+ * Postal holidays by country ("YYYY-MM-DD" or "MM-DD" for every year)
+ * GB holidays also stop dispatch.
+ * @private
+ * @type {Object.<string, string[]>}
+ */
+const POSTAL_HOLIDAYS = {
+  GB: [
+    '12-26',
+    '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-28',
+    '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+  ],
+  IE: ['12-26', '03-17'],
+  US: [
+    '2026-01-19', '2026-02-16', '2026-05-25', '2026-06-19', '2026-07-03', '2026-09-07',
+    '2026-10-12', '2026-11-11', '2026-11-26',
+    '2027-01-18', '2027-02-15', '2027-05-31', '2027-06-18', '2027-07-05', '2027-09-06',
+    '2027-10-11', '2027-11-11', '2027-11-25', '2027-12-24'
+  ],
+  CA: ['07-01', '12-26'],
+  AU: ['01-26', '12-26']
+};
+
+/**
+ * Current settings (see configureSendDates)
+ * @private
+ */
+const settings = {
+  cutoff: '14:00',
+  closedDates: []
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Parse an ISO date to a UTC midnight timestamp, or null if it isn't a real date
+ * @private
+ */
+function parseIsoDate(value) {
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) return null;
+  return time;
+}
+
+/**
+ * Shift an ISO date by a number of days
+ * @private
+ */
+function addDays(date, days) {
+  return new Date(parseIsoDate(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week for an ISO date (0 = Sunday)
+ * @private
+ */
+function weekday(date) {
+  return new Date(parseIsoDate(date)).getUTCDay();
+}
+
+/**
+ * Check a date against a list of "YYYY-MM-DD" / "MM-DD" entries
+ * @private
+ */
+function inDateList(date, list) {
+  return list.includes(date) || list.includes(date.slice(5));
+}
+
+/**
+ * @private
+ */
+function getTransit(countryCode) {
+  return { ...DEFAULT_TRANSIT, ...COUNTRY_TRANSIT[String(countryCode || '').toUpperCase()] };
+}
+
+/**
+ * @private
+ */
+function isPostalHoliday(date, countryCode) {
+  const holidays = POSTAL_HOLIDAYS[String(countryCode || '').toUpperCase()] || [];
+  return inDateList(date, ANNUAL_HOLIDAYS) || inDateList(date, holidays);
+}
+
+/**
+ * Cards leave the studio Monday to Friday, outside UK holidays and closures
+ * @private
+ */
+function isDispatchDay(date) {
+  const day = weekday(date);
+  return day !== 0 && day !== 6 && !isPostalHoliday(date, 'GB') && !inDateList(date, settings.closedDates);
+}
+
+/**
+ * Post is delivered Monday to Friday (and Saturday where the country allows it)
+ * @private
+ */
+function isDeliveryDay(date, countryCode) {
+  const day = weekday(date);
+  if (day === 0 || (day === 6 && !getTransit(countryCode).saturdayDelivery)) return false;
+  return !isPostalHoliday(date, countryCode);
+}
+
+/**
+ * Walk from a date until `predicate` holds (inclusive), in steps of ±1 day
+ * @private
+ */
+function seek(date, step, predicate) {
+  let current = date;
+  for (let i = 0; i <= MAX_DAYS_AHEAD; i++) {
+    if (predicate(current)) return current;
+    current = addDays(current, step);
+  }
+  return current;
+}
+
+/**
+ * Wall-clock date and minutes past midnight in the studio time zone
+ * @private
+ */
+function studioClock(now) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: STUDIO_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * @private
+ */
+function cutoffMinutes() {
+  const [hours, minutes] = settings.cutoff.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Set the order cutoff and studio closure dates (theme settings)
+ *
+ * Invalid values are ignored so a typo in the theme editor can't break checkout.
+ *
+ * @param {SendDateOptions} [options] - Settings to apply
+ */
+export function configureSendDates(options = {}) {
+  if (!options) return;
+
+  if (CUTOFF_PATTERN.test(String(options.cutoff || '').trim())) {
+    settings.cutoff = String(options.cutoff).trim();
+  }
+  if (Array.isArray(options.closedDates)) {
+    settings.closedDates = options.closedDates
+      .map(date => String(date).trim())
+      .filter(date => parseIsoDate(date) !== null);
+  }
+}
+
+/**
+ * Add postal holidays for a country (merged with the built-in list)
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @param {string[]} dates - "YYYY-MM-DD" dates, or "MM-DD" for every year
+ */
+export function registerPostalHolidays(countryCode, dates) {
+  const code = String(countryCode || '').toUpperCase();
+  POSTAL_HOLIDAYS[code] = [...(POSTAL_HOLIDAYS[code] || []), ...dates];
+}
+
+/**
+ * First day a card ordered now can leave the studio
+ *
+ * @param {Date} now - Current time
+ * @returns {string} ISO date
+ */
+export function getEarliestDispatchDate(now) {
+  const clock = studioClock(now);
+  const start = clock.minutes < cutoffMinutes() ? clock.date : addDays(clock.date, 1);
+  return seek(start, 1, isDispatchDay);
+}
+
+/**
+ * First day a card ordered now can arrive
+ *
+ * @param {string} countryCode - Recipient country
+ * @param {Date} now - Current time
+ * @returns {string} ISO date
+ */
+export function getEarliestArrivalDate(countryCode, now) {
+  let date = getEarliestDispatchDate(now);
+
+  for (let remaining = getTransit(countryCode).transitDays; remaining > 0; remaining--) {
+    date = seek(addDays(date, 1), 1, day => isDeliveryDay(day, countryCode));
+  }
+  return date;
+}
+
+/**
+ * Range of arrival dates that can be scheduled (for the date input's min/max)
+ *
+ * @param {string} countryCode - Recipient country
+ * @param {Date} now - Current time
+ * @returns {{ earliest: string, latest: string }} ISO dates
+ */
+export function getArrivalWindow(countryCode, now) {
+  return {
+    earliest: getEarliestArrivalDate(countryCode, now),
+    latest: addDays(studioClock(now).date, MAX_DAYS_AHEAD)
+  };
+}
+
+/**
+ * When a card must be dispatched (and ordered) to arrive on a date
+ *
+ * @param {string} arrivalDate - Requested arrival (ISO date)
+ * @param {string} countryCode - Recipient country
+ * @returns {OrderDeadline|null} Deadline, or null if there is no post that day
+ *
+ * @example
+ * getLatestOrderDate('2026-12-24', 'GB');
+ * // => { dispatchDate: '2026-12-22', orderBy: '2026-12-22', cutoff: '14:00' }
+ */
+export function getLatestOrderDate(arrivalDate, countryCode) {
+  if (parseIsoDate(arrivalDate) === null || !isDeliveryDay(arrivalDate, countryCode)) {
+    return null;
+  }
+
+  // Mirror getEarliestArrivalDate: walk back to the first day in transit, then
+  // dispatch on the last studio day before it (which needn't have local post)
+  let date = arrivalDate;
+  for (let remaining = getTransit(countryCode).transitDays - 1; remaining > 0; remaining--) {
+    date = seek(addDays(date, -1), -1, day => isDeliveryDay(day, countryCode));
+  }
+  const dispatchDate = seek(addDays(date, -1), -1, isDispatchDay);
+
+  return { dispatchDate, orderBy: dispatchDate, cutoff: settings.cutoff };
+}
+
+/**
+ * Check a requested arrival date against transit times, cutoff and holidays
+ *
+ * @param {string} arrivalDate - Requested arrival (ISO date)
+ * @param {string} countryCode - Recipient country
+ * @param {Date} now - Current time
+ * @returns {ArrivalCheck} Result with a customer-facing error and suggestion
+ *
+ * @example
+ * checkArrivalDate('2026-12-25', 'GB', new Date('2026-12-01T10:00:00Z'));
+ * // => { valid: false, error: 'There is no post on Friday 25 December...', suggestion: '2026-12-29' }
+ */
+export function checkArrivalDate(arrivalDate, countryCode, now) {
+  if (parseIsoDate(arrivalDate) === null) {
+    return { valid: false, error: 'Please choose a valid date', suggestion: null };
+  }
+
+  const { earliest, latest } = getArrivalWindow(countryCode, now);
+
+  if (arrivalDate < earliest) {
+    return {
+      valid: false,
+      error: `That's too soon to arrive in time. The earliest we can deliver is ${formatSendDate(earliest)}.`,
+      suggestion: earliest
+    };
+  }
+
+  if (arrivalDate > latest) {
+    return {
+      valid: false,
+      error: `Cards can be scheduled up to ${MAX_DAYS_AHEAD} days ahead.`,
+      suggestion: null
+    };
+  }
+
+  const deadline = getLatestOrderDate(arrivalDate, countryCode);
+  if (!deadline) {
+    const suggestion = seek(arrivalDate, 1, day => isDeliveryDay(day, countryCode));
+    return {
+      valid: false,
+      error: `There is no post on ${formatSendDate(arrivalDate)}. The next delivery day is ${formatSendDate(suggestion)}.`,
+      suggestion
+    };
+  }
+
+  // Never accept a date whose dispatch day has already gone
+  const earliestDispatch = getEarliestDispatchDate(now);
+  if (deadline.dispatchDate < earliestDispatch) {
+    const suggestion = seek(addDays(arrivalDate, 1), 1, day => {
+      const next = getLatestOrderDate(day, countryCode);
+      return Boolean(next) && next.dispatchDate >= earliestDispatch;
+    });
+    return {
+      valid: false,
+      error: `That's too soon to arrive in time. The earliest we can deliver is ${formatSendDate(suggestion)}.`,
+      suggestion
+    };
+  }
+
+  return { valid: true, deadline };
+}
+
+/**
+ * Hidden cart properties for a scheduled card
+ *
+ * @param {string} arrivalDate - Checked arrival date (ISO), or '' to send straight away
+ * @param {string} countryCode - Recipient country
+ * @returns {Object.<string, string>} Properties (empty when not scheduled)
+ */
+export function buildSendDateProperties(arrivalDate, countryCode) {
+  const deadline = arrivalDate ? getLatestOrderDate(arrivalDate, countryCode) : null;
+  if (!deadline) return {};
+
+  return {
+    [SEND_DATE_PROPERTIES.ARRIVAL]: arrivalDate,
+    [SEND_DATE_PROPERTIES.DISPATCH]: deadline.dispatchDate
+  };
+}
+
+/**
+ * Human-readable date for hints and errors
+ *
+ * @param {string} date - ISO date
+ * @returns {string} e.g. "Thursday 24 December"
+ */
+export function formatSendDate(date) {
+  const time = parseIsoDate(date);
+  if (time === null) return '';
+
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long'
+  }).format(new Date(time));
+}
@@ -0,0 +1,252 @@
+/**
+ * Typography Catalogue
+ *
+ * @module core/typographyCatalogue
+ * @description Message fonts and ink colours customers can choose from (theme settings + product metafields)
+ *
+ * Pure functions with no DOM dependencies. Merchandising sets the store-wide
+ * lists in the theme editor (Card personalisation → Message fonts / Ink
+ * colours, injected by snippets/cc-choice-modal.liquid); a product can
+ * replace either list with its custom.message_fonts / custom.ink_colours
+ * metafields. Both use the same format, one entry per line, first = default:
+ *
+ *   Caveat               font from MESSAGE_FONTS (core/fontCoverage.js)
+ *   Caveat: Scribble     same font under another name
+ *   Gold: #B8860B        ink colour, name then hex
+ *
+ * Fonts must come from MESSAGE_FONTS: only those have self-hosted files,
+ * print metrics and script coverage. Entries that don't parse are skipped
+ * (listed in `skipped`) so a typo can't empty the picker; an empty list
+ * keeps the defaults.
+ *
+ * @public DEFAULT_INK_COLOURS - Ink colours when the theme sets none
+ * @public configureTypography(settings: CatalogueSettings) → void
+ * @public getTypographyCatalogue(overrides?: CatalogueSettings) → TypographyCatalogue
+ * @public checkTypography(catalogue: TypographyCatalogue, choice: TypographyChoice) → Object.<string, string>
+ * @public resolveTypography(catalogue: TypographyCatalogue, choice: TypographyChoice) → TypographyChoice
+ * @public isPrintableTypography(choice: TypographyChoice) → boolean
+ *
+ * @typedef {Object} CatalogueSettings
+ * @property {string|string[]} [fonts] - Font lines (textarea value or its lines)
+ * @property {string|string[]} [colours] - Ink colour lines
+ *
+ * @typedef {Object} InkColour
+ * @property {string} name - Name shown on the swatch
+ * @property {string} value - Hex colour, "#RRGGBB"
+ *
+ * @typedef {Object} TypographyCatalogue
+ * @property {import('./fontCoverage.js').MessageFont[]} fonts - Fonts in picker order
+ * @property {InkColour[]} colours - Ink colours in swatch order
+ * @property {string} defaultFont - First font's family
+ * @property {string} defaultColour - First colour's value
+ * @property {string[]} skipped - Lines that weren't a known font or a valid colour
+ *
+ * @typedef {Object} TypographyChoice
+ * @property {string} fontFamily - Message font
+ * @property {string} textColor - Hex colour
+ *
+ * @example
+ * import { configureTypography, getTypographyCatalogue, checkTypography } from './core/typographyCatalogue.js';
+ *
+ * configureTypography({ fonts: ['Caveat', 'Lora'], colours: 'Black: #1A1A1A\nGold: #B8860B' });
+ * const catalogue = getTypographyCatalogue({ colours: 'Silver: #A8A9AD' });
+ * checkTypography(catalogue, { fontFamily: 'Caveat', textColor: '#B8860B' });
+ * // => { textColor: "This ink colour isn't available for this card. Please choose another." }
+ */
+
+import { MESSAGE_FONTS } from './fontCoverage.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Ink colours when the theme sets none
+ * @type {InkColour[]}
+ */
+export const DEFAULT_INK_COLOURS = Object.freeze([
+  { name: 'Black', value: '#1A1A1A' },
+  { name: 'Dark Grey', value: '#4A5568' },
+  { name: 'Blue', value: '#2563EB' },
+  { name: 'Red', value: '#DC2626' },
+  { name: 'Green', value: '#059669' },
+  { name: 'Purple', value: '#7C3AED' }
+]);
+
+const HEX_COLOUR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Store-wide lists (see configureTypography)
+ * @private
+ */
+const storeLists = {
+  fonts: MESSAGE_FONTS,
+  colours: DEFAULT_INK_COLOURS,
+  skipped: []
+};
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Non-empty trimmed lines from a textarea value or list
+ * @private
+ */
+function readLines(value) {
+  const lines = Array.isArray(value) ? value : String(value || '').split(/\r?\n/);
+  return lines.map(line => String(line).trim()).filter(Boolean);
+}
+
+/**
+ * "#abc" → "#AABBCC", null if not a hex colour
+ * @private
+ */
+function normalizeHex(value) {
+  const hex = String(value || '').trim();
+  if (!HEX_COLOUR_PATTERN.test(hex)) return null;
+  const digits = hex.length === 4 ? hex.slice(1).replace(/./g, digit => digit + digit) : hex.slice(1);
+  return `#${digits.toUpperCase()}`;
+}
+
+/**
+ * Font lines → fonts, plus the lines that aren't a message font
+ * @private
+ */
+function parseFonts(value) {
+  const fonts = [];
+  const skipped = [];
+
+  readLines(value).forEach(line => {
+    const [family, label] = line.split(':').map(part => part.trim());
+    const font = MESSAGE_FONTS.find(candidate => candidate.family.toLowerCase() === family.toLowerCase());
+    if (!font) {
+      skipped.push(line);
+    } else if (!fonts.some(existing => existing.family === font.family)) {
+      fonts.push(label ? { ...font, label } : font);
+    }
+  });
+
+  return { fonts, skipped };
+}
+
+/**
+ * Colour lines → ink colours, plus the lines without a valid hex colour
+ * @private
+ */
+function parseColours(value) {
+  const colours = [];
+  const skipped = [];
+
+  readLines(value).forEach(line => {
+    const separator = line.lastIndexOf(':');
+    const name = line.slice(0, separator).trim();
+    const hex = normalizeHex(line.slice(separator + 1));
+    if (separator === -1 || !name || !hex) {
+      skipped.push(line);
+    } else if (!colours.some(existing => existing.value === hex)) {
+      colours.push({ name, value: hex });
+    }
+  });
+
+  return { colours, skipped };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Set the store-wide fonts and ink colours (theme settings)
+ *
+ * A list with no valid entries keeps the current one.
+ *
+ * @param {CatalogueSettings} [settings] - Theme settings
+ */
+export function configureTypography(settings = {}) {
+  if (!settings) return;
+
+  const { fonts, skipped: skippedFonts } = parseFonts(settings.fonts);
+  const { colours, skipped: skippedColours } = parseColours(settings.colours);
+
+  if (fonts.length > 0) storeLists.fonts = fonts;
+  if (colours.length > 0) storeLists.colours = colours;
+  storeLists.skipped = [...skippedFonts, ...skippedColours];
+}
+
+/**
+ * Fonts and ink colours for a product
+ *
+ * @param {CatalogueSettings|null} [overrides] - Product metafields; a list with valid entries replaces the store's
+ * @returns {TypographyCatalogue} Catalogue
+ */
+export function getTypographyCatalogue(overrides) {
+  const product = overrides || {};
+  const { fonts, skipped: skippedFonts } = parseFonts(product.fonts);
+  const { colours, skipped: skippedColours } = parseColours(product.colours);
+
+  const catalogue = {
+    fonts: fonts.length > 0 ? fonts : storeLists.fonts,
+    colours: colours.length > 0 ? colours : storeLists.colours,
+    skipped: [...storeLists.skipped, ...skippedFonts, ...skippedColours]
+  };
+
+  return {
+    ...catalogue,
+    defaultFont: catalogue.fonts[0].family,
+    defaultColour: catalogue.colours[0].value
+  };
+}
+
+/**
+ * Check a font and ink colour against a catalogue
+ *
+ * @param {TypographyCatalogue} catalogue - Product's catalogue
+ * @param {TypographyChoice} choice - Chosen font and colour
+ * @returns {Object.<string, string>} Messages keyed by "fontFamily" / "textColor" (empty when both are available)
+ */
+export function checkTypography(catalogue, { fontFamily, textColor }) {
+  const errors = {};
+
+  if (!catalogue.fonts.some(font => font.family === fontFamily)) {
+    errors.fontFamily = `This font isn't available for this card. Please choose another.`;
+  }
+  if (!catalogue.colours.some(colour => colour.value === normalizeHex(textColor))) {
+    errors.textColor = `This ink colour isn't available for this card. Please choose another.`;
+  }
+
+  return errors;
+}
+
+/**
+ * Font and ink colour to show, falling back to the catalogue defaults
+ *
+ * For saved personalisations and basket lines whose font or colour has
+ * since been retired.
+ *
+ * @param {TypographyCatalogue} catalogue - Product's catalogue
+ * @param {Partial<TypographyChoice>} choice - Saved font and colour
+ * @returns {TypographyChoice} Available font and colour
+ */
+export function resolveTypography(catalogue, { fontFamily, textColor } = {}) {
+  const font = catalogue.fonts.find(candidate => candidate.family === fontFamily);
+  const colour = catalogue.colours.find(candidate => candidate.value === normalizeHex(textColor));
+
+  return {
+    fontFamily: font ? font.family : catalogue.defaultFont,
+    textColor: colour ? colour.value : catalogue.defaultColour
+  };
+}
+
+/**
+ * Whether any catalogue could contain this font and colour
+ *
+ * For code that can't see the theme settings (the proofs worker): the font
+ * is a message font and the colour is a hex colour.
+ *
+ * @param {TypographyChoice} choice - Font and colour from a basket line
+ * @returns {boolean} True if it can be drawn
+ */
+export function isPrintableTypography({ fontFamily, textColor }) {
+  return MESSAGE_FONTS.some(font => font.family === fontFamily) && normalizeHex(textColor) !== null;
+}
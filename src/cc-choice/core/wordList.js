@@ -0,0 +1,261 @@
+/**
+ * Word Lists
+ *
+ * @module core/wordList
+ * @description Bundled spelling dictionaries for the message check (core/messageCheck.js)
+ *
+ * Base forms only, lowercase: plurals, -ed, -ing, -er, -est, -ly and -ness
+ * forms are recognised from their base by core/messageCheck.js. Each list
+ * covers everyday words and the ones card messages are made of, in the
+ * locale's spelling, so a word missing from the list isn't flagged on its
+ * own - only when it's one letter or two away from a listed word.
+ *
+ * Add a word (anywhere, any order) when customers report a correct word
+ * being flagged. Names don't need adding: capitalised words aren't checked.
+ *
+ * @public WORD_LISTS - Locale → space-separated words
+ */
+
+/**
+ * Space-separated base words per locale
+ * @type {Object.<string, string>}
+ */
+export const WORD_LISTS = Object.freeze({
+  'en-GB': `
+a abbey abide ability able about above abroad absence absolute absolutely absorb abuse academic academy accent accept access
+accident accommodation accompany accomplish accomplishment according account accurate accuse ace ache achieve achievement acid
+acknowledge acorn acquire acre acrobat across act action active actively activity actor actress actual actually adapt add addict
+addition address adjust administration admiration admire admit adopt adoption adorable adore adult advance advantage adventure
+advert advertise advice advise aerial affair affect affection affectionate afford afloat afraid after afternoon afterwards again
+against age aged agency agenda agent aggressive ago agony agree ahead aid aim air airport aisle alarm album alien align alive all
+allergy alley alligator allow allowance ally almost alone along alongside aloud alphabet already alright also alter alternative
+although altogether always am amateur amaze amazing ambition ambulance amend among amount ample amuse amusing an anchor ancient
+and angel anger angle angry animal ankle anniversary announce annoy annual another answer anxiety anxious any anybody anymore
+anyone anything anyway anywhere apart apartment apologise apology apparent appeal appear appetite applaud applause apple appliance
+application apply appoint appointment appreciate approach approve approximately apricot april apron aquarium arch architect area
+arena argue argument arise arm armchair army around arrange arrival arrive arrow art article artist artwork as ash ashamed aside
+ask asleep aspect assemble assess asset assignment assist assistant associate assume assure astonish at ate athlete atmosphere
+attach attack attempt attend attention attic attitude attract attractive auction audience august aunt auntie author authority
+automatic autumn available avenue average avocado avoid awake award aware awareness away awesome awful awkward axe
+baby back background backpack backwards bacon bad badge badger badly bag baggage bait bake baker bakery balance balcony bald ball
+ballet balloon ballroom bamboo banana band bandage bang bank banner banquet banter bants bar barbecue barely bargain bark barn
+barrel barrier base basic basin basket bat batch bath bathroom battery battle bay bbq be beach beam bean bear beard beast beat
+beautiful beauty beaver became because become bed bedroom bedtime bee beef been beer beetle before beg began beggar begin
+beginning behalf behave behaviour behind behold beige being belief believe bell belly belong beloved below belt bench bend beneath
+beneficial benefit berry beside best bestie bet better between beyond bicycle big bike bill bin bingo biology birch bird birth
+birthday biscuit bishop bit bite bitter black blade blame blank blanket blast blaze bleed blend bless blessed blessing blind blink
+bliss blister blizzard block blog bloke blonde blood bloom blossom blouse blow blue blush board boast boat body boil bold bolt
+bomb bond bone bonus book bookcase bookshop boom boost boot booth border bore bored boring born borrow boss both bother bottle
+bottom bought bounce boundless bouquet bout bow bowl box boy boyfriend brace bracelet brain brake branch brand brass brave bravery
+bravo bread break breakfast breath breathe breed breeze brew brick bridal bride bridesmaid bridge brief bright brighten brill
+brilliance brilliant bring brink broad broadcast broccoli bronze brook broom brother brought brown brownie browse bruise brush
+bubble bubbly buck bucket buckle bud buddy budget buffet bug build building built bulb bull bullet bully bump bunch bundle bunny
+burden burger burn burst bury bus bush business busy but butcher butter buttercup butterfly button buy buzz by bye
+cabbage cabin cabinet cable cactus cafe cage cake calendar calf call calm calorie came camel camera camp campaign can canal canary
+cancel cancer candle cane cannot canoe canvas canyon cap capable capacity capital captain car caravan carbon card cardboard
+cardigan care career careful carefully carer carnival carol carpet carriage carrot carry cart cartoon carve cascade case cash
+casino casserole cast castle casual cat catalogue catch category cathedral cattle caught cauliflower cause caution cave ceiling
+celebrate celebration celebrity cell cellar cement centre century cereal ceremony certain certainly certificate chain chair chalk
+challenge chamber champagne champion chance change chant chaos chapel chapter character charge chariot charity charm charming
+chart chase chat cheap cheat check cheddar cheek cheeky cheer cheerful cheers cheese chef chemist chemistry cheque cherish cherry
+chess chest chestnut chew chick chicken chief child childhood children chill chilli chilly chime chimney chin chip chocolate
+choice choir choke choose chop chord chore chorus chose chosen christening christmas chuckle chuffed chunk church cider cigar
+cinema cinnamon circle circus citizen city civil claim clap clarify clash class classic clay clean clear clerk clever click client
+cliff climate climb cling clinic clip cloak clock close cloth clothes cloud club clue cluster clutch coach coal coast coat
+cocktail coconut code coffee coin coincidence cold collar colleague collect collection college collide colour colourful column
+comb combine come comedy comfort comfortable comic coming command comment commit committee common community companion company
+compare compass compete competition complete completely compliment compose computer concentrate concept concern concert conclude
+condition conduct cone conference confess confidence confident confuse congrats congratulate congratulations connect conquer
+conscious consider constant constantly construct consult contact contain content contest context continue contract contrast
+contribute control conversation convince cook cookery cookie cool copper copy coral cord core cork corn corner correct cosmic cost
+costume cosy cottage cotton couch cough could council count counter country countryside couple courage courageous courier course
+court courtesy cousin cover cow cowboy crab crack crackers cracking cradle craft crane crash crater crawl crayon crazy cream
+create creative creature credit creek crew crib cricket cried crime crisis crisp critic crocodile crop cross crossword crouch
+crowd crown crumb crunch crust cry crystal cucumber cuddle cuddly cuisine culture cunning cup cupboard cupcake cuppa cure curious
+curl current curry curtain cushion custard custom customer cut cute cutie cycle cycling
+dad daddy daft daily dairy daisy dam damage damp dance dancer dandelion danger dangerous dare darling dash data database date
+daughter dawn day dead deadline deaf deal dear dearest death debate debt debut decade december decent decide decision declare
+decline decorate decoration decrease dedicate dedication deep deeply deer defeat defend define definitely degree delay delegate
+delete deliberately delicious delight delighted deliver delivery demand demonstrate denim dentist deny depart department departure
+depend deposit depth deputy derby descend describe desert deserve design desire desk desperate despite dessert destination destiny
+destroy detail detective determined develop device devil devoted dew diamond diary dice dictionary did die diet differ difference
+different difficult dig digital dignity dim dine dinner dinosaur dip diploma direct direction dirty disagree disappear disappoint
+disaster disco discount discover discuss disguise dish dismiss display dispute distance distant distinct district disturb ditch
+dive dizzy do dock doctor document dog doll dolphin domestic donate done donkey donut door dose dot double doubt dough dove down
+download doze dozen draft drag dragon drain drama draw drawer dread dream dreamt dreamy dress drift drill drink drip drive driver
+drizzle drop drove drum dry duck duckling due duet duke dull dumpling dune dungeon during dust duty duvet dwell
+each eager eagle ear early earn earring earth earthquake ease easel easily east easter easy eat eaten echo eclipse economy edge
+edit editor educate education eel effect effective efficient effort egg eight eighteen eighty either elaborate elastic elbow
+elderly elect elegant element elephant elf else email embarrass embrace emerald emerge emergency emoji emotion empire employ empty
+enable enchant encounter encourage encouragement end ending endless endure enemy energy engaged engagement engine engineer enhance
+enjoy enjoyable enormous enough enquiry ensure enter entertain enthusiasm entire entirely entrance entry envelope environment
+episode equal equipment era error escape especially essay essential establish estate eternal eternity evaluate eve even evening
+event eventually ever every everybody everyday everyone everything everywhere evidence evil evolve exact exactly exaggerate exam
+examine example exceed excellent except exception exchange excite excited excitement exciting excuse exercise exhaust exhibition
+exist exit expand expect expedition expensive experience experiment expert explain explode explore explosion export expose express
+extend extent extra extraordinary extremely eye
+fab fable fabric face facility fact factory fade fail faint fair fairground fairy fairytale faith faithful fake fall false fame
+familiar family famous fan fancy fang fantastic fantasy far fare farewell farm farmer fashion fast fasten fat fate father fault
+fauna favour favourite fear fearless feast feather feature february fed fee feeble feed feel feeling fell fellow felt female fence
+fern ferry festival festive fetch fever few fiddle field fierce fifteen fifth fifty fig fight figure file fill film filter fin
+final finally finance find fine finest finger finish fire fireplace firework firm first firstly fish fist fit five fix flag flake
+flame flamingo flap flash flask flat flavour flee fleet flexible flick flight flip flirt float flock flood floor flour flourish
+flow flower flu fluffy flute fly foam focus fog foil fold folder folk follow font food fool foot football footprint for force
+forecast forehead foreign forest forever forget forgive forgiveness fork form formal former fort fortnight fortune forty forward
+fossil found foundation fountain four fourteen fourth fox fraction fragile frame frank freckle free freedom freely freeze french
+frequent frequently fresh fret friday fridge friend friendly friendship frighten fringe frog from front frost frown frozen fruit
+fudge fuel fulfil full fully fume fun fund funeral funny fur furious furniture fuss future
+gadget gain galaxy gallery gamble game gap garage garden garlic gas gasp gate gather gave gaze gear gem gene general generation
+generous genius gentle gentleman gently genuine geography germ gesture get getaway ghost giant gift giggle ginger giraffe girl
+girlfriend give given glad glance glare glass glasses gleam glide glimpse glitter globe gloom glorious glove glow glue gnome go
+goal goat goblin god godchild goddaughter godfather godmother godson going gold golden golf gone good goodbye goodness goose
+gorgeous gospel gossip got gotten govern government gown grab grace grade gradually graduate graduation grain gram gran grand
+grandad granddad granddaughter grandfather grandma grandmother grandpa grandparent grandson granny grape graph grasp grass
+grateful gratitude grave gravity gravy graze grease great greatest greedy green greet greeting grew grey grid grief grill grin
+grip groan grocery groom groove ground group grow grown grownup growth grumpy guarantee guard guardian guess guest guide guilty
+guitar gulp gum gust gutted gutter gym
+habit hack had hail hair haircut half hall hallway halo ham hammer hamper hamster hand handbag handful handle handmade handshake
+handsome handwriting handy hang happen happily happiness happy harbour hard hardly hardware harm harmony harp harvest haste hat
+hatch hate haunt have hawk hay hazard hazel he head headache headline headphones heal healing health healthy heap hear heard heart
+heartbeat heartfelt heat heater heather heaven heavy hedge hedgehog heel height heir held helicopter hello helmet help helpful hen
+her herb herd here heritage hermit hero herself hesitate hey hi hiccup hid hide high highlight hike hill him himself hint hip
+hippo hire his history hit hive hiya hoard hobby hockey hold hole holiday hollow holly home homemade homework honest honestly
+honesty honey honour hood hook hoop hop hope hopefully horizon horn horrible horror horse hose hospital host hostel hot hotel hour
+house household hover how however howl hug huge hum human humble humour hundred hungry hunt hurricane hurry hurt husband hut
+hydrate hymn
+ice icicle icon icy idea ideal identity idle idol if ignite ignore ill illness illustrate image imagine imitate immediately
+immense impact impatient imply import important impose impossible impress impressive improve improvement impulse in inch incident
+include including income increase incredible indeed independence independent index indicate individual indoors infant infinite
+influence inform information ingredient inherit initial injury ink inn innit innocent input insect inside insist inspect
+inspiration inspire install instance instant instead instinct institute instruction instrument insult insurance intend intense
+interest interested interesting interior internal internet interrupt interval interview into introduce invent invest investigate
+invisible invitation invite involve iron is island issue it item its itself ivory ivy
+jacket jam january jar jaw jazz jealous jelly jersey jet jewel jewellery jigsaw jingle job jog join joke jolly journal journey joy
+joyful judge jug juggle juice juicy july jump june jungle junior junk jury just justice
+kangaroo keen keep kept kettle key keyboard kick kid kidney kin kind kindle kindness king kingdom kiss kit kitchen kite kitten
+knackered knee knew knife knit knob knock knot know knowledge known koala
+label laboratory lace lad ladder lady ladybird laid lake lamb lamp land lane language lantern lap laptop large lark lasagne laser
+last lasting late lately later latest latter laugh laughter launch lavender law lawn lay layer lazy lead leader leaf leak lean
+leap learn lease least leather leave lecture led left leg legal legend leisure lemon lemonade lend length lens leopard less lesson
+let letter lettuce level liberty library lick lid lie life lifestyle lifetime lift light lighthouse lightning like likely lily
+limb lime limit limp line linen lining link lion lip lipstick liquid list listen listener literature litter little live lively
+liver lizard load loaf loan lobster local locate lock lockdown lodge loft lol lollipop london lonely lonesome long look loop loose
+lord lorry lose loss lost lot lottery lotus loud lounge love lovebird lovely lover loving low loyal luck luckily lucky lullaby
+lump lunar lunch lung lush luxury lying lyric
+machine mad made magazine magic magical magnet magnificent magpie maid mail main mainly majesty major majority make male mall mama
+mammal man manage manager mane mango manner manor mansion mantle manual many map maple marathon marble march margin marine mark
+marker market marmalade marriage married marry marsh marshmallow marvellous mascot mask mass massive master mat match mate
+material maths matter mattress mature maximum may maybe mayor maze me meadow meal mean meaning meaningful meant meanwhile measure
+meat mechanic medal medicine meditate meditation medium meet meeting mellow melody melon melt member memorable memory men mend
+mental mention mentor menu merchant mercy mere merit mermaid merry mess message messy met metal method microwave middle midnight
+might mighty mild mile milestone milk mill mind mine mineral minimum mint minus minute miracle mirror miserable misery miss missed
+mission mist mistake mitten mix moan moat mode model modern moist mole moment monday money monkey monster month monument mood moon
+moose mop moral more morning moss most mostly moth mother motion motivate motor motto mould mound mount mountain mourn mouse
+moustache mouth move movie much mud muddle muffin mug mule multiply mum mumble mummy muscle museum mushroom music musical must
+mutual my myself mysterious mystery
+nail naked name nan nana nanny nap napkin narrate narrow nasty nation native natural nature naughty navy near nearby nearly neat
+necessary neck necklace need needle negative neglect neighbour neither nephew nerve nervous nest network neutral never new newborn
+news newspaper next nibble nice nickname niece night nightmare nine nineteen ninety no noble nobody nod noise none noodle noon nor
+normal normally north nose not note notebook nothing notice notion novel november now nowhere nucleus nudge nugget numb number
+nurse nursery nut nutmeg
+oak oar oasis oath oatmeal obey object observe obstacle obtain obviously occasion occupy occur ocean october octopus odd odour of
+off offend offer office official officially often oh ok okay old older oldest olive omelette on once one onion only onto open
+operate operation opinion opponent opportunity oppose opposite optimist optimistic option or oral orange orbit orchard orchestra
+order ordinary organ organic organise original ostrich other otherwise otter ought our ours ourselves out outdoor outfit outing
+outline outlook outside outstanding oval oven over overall overcome overflow overjoyed overseas overwhelm owe owl own owner oxygen
+oyster
+pace pack paddle padlock page paid pain paint pair palace pale palm pan pancake panda panel panic pantry paper parade paradise
+paragraph parallel parcel pardon parent park parrot parsley part participate particular partly partner party pass passenger
+passion passport password past pasta pastry patch path patience patient patio patrol pattern pause pavement paw pay peace peaceful
+peach peacock peak peanut pear pearl pebble pedal peek peel peer pelican pen pencil peng penguin penny pension people pepper
+percent perfect perfectly perform perfume perhaps period permanent permit person personal persuade pet petal phase phenomenon
+philosophy phone photo photograph photographer phrase physical physics piano pick pickle picnic picture pie piece pig pigeon pile
+pill pillow pilot pine pineapple pink pint pioneer pipe pirate pitch pity pizza place plain plan plane planet plant plaster
+plastic plate platform play player plead pleasant please pleased pleasure plenty plot plough plug plum plumber plunge plus pocket
+poem poet poetry point poison pole police polish polite pond pony poodle pool poor pop poppy popular porch porridge port portion
+portrait pose position positive possess possibility possible post postbox postcard poster postman pot potato pottery pound pour
+powder power powerful practice practise praise pram pray prayer precious precise predict prefer pregnancy pregnant prepare
+presence present preserve president press pretend pretty prevent prey price pride priest primary prime primrose prince princess
+principal principle print prison private privilege prize probably problem procedure process produce profession professional
+professor profile profit programme progress project prominent promise promote promotion prompt proof prop proper properly property
+proposal propose prosper protect protest proud proudly prove proverb provide province pub public pudding puddle puff pull pulse
+pump pumpkin punch punish pup pupil puppet puppy purchase purple purpose purse push put puzzle pyjamas
+quack quality quarter queen quest question queue quick quickly quid quiet quilt quirky quite quiz quote
+rabbit raccoon race racket radiant radio radish raft rag rage rail railway rain rainbow raise raisin rake rally ramble ran ranch
+random range rank rapid rare rarely rash raspberry rat rate rather rattle raven raw ray razor reach reaction read reader ready
+real realise reality really realm rear reason recall receipt receive recent recently reception recipe recognise recognition
+recommend record recover recycle red reduce reed reef referee reflect reflection refresh refuse regard region register regret
+regular rehearsal reign reindeer reject rejoice relate relationship relative relax release relief relieve religion rely remain
+remarkable remedy remember remind reminder remote remove renew rent repair repeat replace reply report represent reputation
+request require rescue research reserve resident resign resist resolution resort resource respect respond response responsible
+rest restaurant restore result retire retired retirement retreat return reunion reveal revenge review revise reward rhyme rhythm
+rib ribbon rice rich riddle ride ridge ridiculous rifle rig right rigid rim rind ring ripe ripple rise risk rival river road roam
+roar roast rob robin robot rock rocket rod rodeo rogue role roll romance romantic roof room root rope rose rosy rot rotate rotten
+rough round route routine row royal rubber rubbish rucksack rug rugby ruin rule ruler rumble rumour run runner rush rust rustle
+sack sacred sacrifice sad saddle safari safe safely safety saga said sail sailor saint salad sale salmon salon salt salute same
+sample sanctuary sand sandal sandwich sang sapphire sardine sat satellite satisfy saturday sauce sausage savage save savour saw
+saxophone say scale scan scarce scare scared scarf scatter scene scenery scent schedule scholar school science scissors scone
+scoop scooter score scrap scrapbook scratch scream screen screw scribble script scrub sculpture sea seagull seal search seashell
+seaside season seat second secret secretary section secure see seed seek seem seen segment seize select selection self selfie
+selfish sell semester send senior sensation sense sensible sensitive sent sentence separate september sequence series serious
+seriously servant serve service session set setting settle seven seventeen seventy several shade shadow shake shall shallow shame
+shampoo shape share shark sharp shave shawl she shed sheep sheer sheet shelf shell shelter shepherd shield shift shimmer shin
+shine shiny ship shirt shiver shock shoe shop shopping shore short shortly shot should shoulder shout shovel show shower shrimp
+shrink shrug shuffle shut shy sibling sick side sigh sight sign signal signature silence silent silk silly silver similar simple
+simply sin since sincere sing singer single sip sir siren sis sister sit site situation six sixteen sixty size sketch ski skill
+skin skip skirt skull sky skyline slam slate sledge sleep sleepless sleeve slice slide slightly slim slip slipper slope slot slow
+slowly slumber small smart smash smell smile smiling smooth snack snail snake snap sneak sneeze sniff snooze snore snow snug so
+soak soap soar sob social sock soda sofa soft soil solar soldier sole solid solution solve sombre some somebody someday somehow
+someone somersault something sometimes somewhere son song sonnet soon sore sorrow sorry sort soul sound soup sour source south
+souvenir sow space spaghetti span spare sparkle sparkling sparrow speak spear special species spectacular speech speed spell spend
+spent spice spider spike spill spin spinach spine spiral spirit splash splendid split spoil sponge spoon sport spot spray spread
+spring sprinkle sprint sprout spy squad square squash squeeze squirrel stable stadium staff stage stain stair stake stall stamp
+stand standard staple star stare starfish start state statement station statue status stay steady steak steal steam steel steep
+steer stem step stew stick still stir stitch stock stocking stomach stone stool stop store stork storm story stove straight
+strange straw strawberry stream street strength stress stretch strict stride strike string strip stripe stroke stroll strong
+structure struggle stubborn student studio study stuff stumble stunning stunt style subject submit substance subtle suburb succeed
+success successful such suck sudden suddenly suffer sugar suggest suggestion suit suitcase sum summer summit sun sunday sunflower
+sunny sunrise sunset sunshine super superb superstar supper supply support suppose sure surely surf surface surgeon surgery
+surname surprise surprised surround survey survive suspect swallow swamp swan swap sway swear sweat sweep sweet sweetheart sweetie
+swell swift swim swing switch sword symbol sympathy symphony syrup system
+ta table tablet tackle tactic tag tail take takeaway taken tale talent talented talk tall tame tan tangerine tank tap tape target
+tart task taste tasty tattoo taught tea teach teacher team tear tease technique technology teddy teenage telescope television tell
+temper temperature temple tempt ten tenant tend tender tennis tense tent term terrace terrible terrier terrific territory test
+text texture than thank thankful thankfully thanks that the theatre their them theme themselves then theory therapy there
+therefore these they thick thief thin thing think third thirsty thirteen thirty this thorn those though thought thoughtful
+thousand thread threat three thrill thrilled thrive throat throne through throw thumb thunder thursday thus tick ticket tide
+tidings tidy tie tiger tight tile till timber time timid tin tingle tiny tip tiptoe tired tissue title to toad toast today toddle
+toe toffee together toilet token told tolerate tomato tomb tomorrow tone tongue tonight too took tool tooth top topic torch
+tornado tortoise toss total touch tough tour towards towel tower town toy trace track trade tradition traditional traffic tragedy
+trail train trainer trait tram transform transport trap travel tray treasure treat treaty tree tremble trend trial triangle tribe
+trick trickle trim trip triumph trolley trophy tropical trot trouble troubled trousers truck true truly trumpet trunk trust truth
+try tub tube tuck tuesday tug tulip tumble tummy tuna tune tunnel turkey turn turtle tutor tweet twelve twenty twice twig twin
+twinkle twist two type typical
+ugly umbrella uncle under understand unfortunately unicorn uniform union unique unit unite unity universe university unless until
+unusual up update upgrade upon upright upset upstairs urban urge urgent us use used useful usher usual usually utensil utmost
+vacuum vague vain valentine valid valley value van vanilla vanish variety various vase vast vault vegetable vehicle veil vein
+velvet vendor venture venue verse version very vessel vet via vibe vicar victory video view village vine vinegar vintage violet
+violin virtue visible vision visit visitor vital vivid vocal voice volcano volume volunteer vote voyage
+wade waffle wage wagon waist wait waiter wake walk wall walnut wander want war ward wardrobe warm warmest warmly warmth warn
+warrior was wash wasp waste watch water wave way we weak wealth wealthy weapon wear weather weave web wed wedding wednesday weed
+week weekend weep weigh weight welcome welfare well wellbeing went were west wet wetsuit whale what whatever wheat wheel when
+whenever where wherever whether which while whip whisk whisker whisky whisper whistle whole whom whose why wicked wide widow width
+wife wig wild wildlife will willow win wind window wine wing wink winner winter wipe wire wise wish wit witch with within without
+wizard wolf woman women won wonder wonderful wonderland wood woodland wool word wore work worker workshop world worm worried worry
+worse worst worth would wow wrap wreath wren wrist write writer written wrong wrote
+yacht yard yawn yay yeah year yearn yell yellow yes yesterday yet yoga yoghurt yolk you young younger youngest your yours yourself
+yourselves youth yummy
+zebra zero zest zip zodiac zone zoo
+
+ain't aren't can't couldn't didn't doesn't don't hadn't hasn't haven't he'd he'll he's how's i'd i'll i'm i've isn't it'd
+it'll it's let's mustn't shan't she'd she'll she's shouldn't that'll that's there's they'd they'll they're they've wasn't we'd
+we'll we're we've weren't what's where's who's won't wouldn't you'd you'll you're you've
+
+baptism bubbly colleague condolence decade diwali eid fab fabulous fiance fiancee gin grandchild grandkid
+hanukkah honeymoon housewarming jolly kiddo mistletoe mitzvah newborn prosecco recovery regards reindeer rockstar santa sincerely
+snowman stag stepdad stepmum stocking sympathy teen teenager toddler uni vow wisdom wiser
+
+xx xxx xo xoxo haha hahaha hehe omg aww awww bday hun hon babe bae bro fam hubby wifey bff ily tbh btw asap
+x hee woohoo hooray hurrah yippee yup nope ooh oops ta
+`
+});
@@ -8,7 +8,9 @@
  * - Custom element registration
  * - Grid click interception
  * - Product prefetch on hover
- * - History management (back button)
+ * - History routing (deep links, back/forward)
+ * - Analytics consent + shared tracking API
+ * - Replaying basket adds saved while offline
  *
  * Business logic lives in:
  * - core/CCChoiceModal.js (modal orchestrator)
@@ -22,7 +24,28 @@
 // ========================================
 
 import CCChoiceModal from './core/CCChoiceModal.js';
+import { parseModalRoute } from './core/modalRoute.js';
 import { clearExpiredPersonalizations } from './core/persistence.js';
+import { listRecipients, saveRecipient, deleteRecipient, syncAddressBook } from './core/addressBook.js';
+import { configureSendDates } from './core/sendDate.js';
+import { configureTypography } from './core/typographyCatalogue.js';
+import { configureMessageCheck } from './core/messageCheck.js';
+import { replayPendingAdds } from './core/pendingAdds.js';
+import {
+  trackEvent,
+  registerTransport,
+  unregisterTransport,
+  setAnalyticsConsent,
+  flushAnalytics
+} from './core/analytics.js';
+import { ANALYTICS_EVENTS } from './core/analyticsEvents.js';
+import {
+  createBeaconTransport,
+  createKlaviyoTransport,
+  createRecorderTransport
+} from './integrations/analyticsTransports.js';
+import { loadConsent, readConsent } from './integrations/customerPrivacy.js';
+import { refreshCartLines } from './integrations/cartDrawer.js';
 
 // ========================================
 // DEBUG CONFIGURATION
@@ -45,9 +68,88 @@ const debug = {
 // Clear expired personalization data on page load
 clearExpiredPersonalizations();
 
+// Merge saved recipients with the customer account (no-op when logged out)
+syncAddressBook();
+
+// Send Direct cutoff and closure dates from theme settings (snippets/cc-choice-modal.liquid)
+configureSendDates(window.ccSendDirect);
+
+// Message fonts and ink colours from theme settings (snippets/cc-choice-modal.liquid)
+configureTypography(window.ccTypography);
+
+// Blocked words from theme settings (snippets/cc-choice-modal.liquid)
+configureMessageCheck(window.ccMessageCheck);
+
+// Address book API for the account pages (assets/customer.js)
+window.ccAddressBook = {
+  list: listRecipients,
+  save: saveRecipient,
+  remove: deleteRecipient
+};
+
 // Register custom element
 customElements.define('cc-choice-modal', CCChoiceModal);
 
+// ========================================
+// ANALYTICS (Consent + shared API)
+// ========================================
+
+// Events stay queued until Shopify's Customer Privacy API says what's allowed
+loadConsent().then(setAnalyticsConsent);
+document.addEventListener('visitorConsentCollected', () => setAnalyticsConsent(readConsent()));
+
+// gtag.js / Shopify Analytics may finish loading after us
+window.addEventListener('load', flushAnalytics);
+
+// Shared API for theme scripts, e.g. ccAnalytics.registerTransport(ccAnalytics.transports.klaviyo())
+window.ccAnalytics = {
+  track: trackEvent,
+  registerTransport,
+  unregisterTransport,
+  flush: flushAnalytics,
+  events: ANALYTICS_EVENTS,
+  transports: {
+    beacon: createBeaconTransport,
+    klaviyo: createKlaviyoTransport,
+    recorder: createRecorderTransport
+  }
+};
+
+// Classic scripts (assets/cc-recs.js) push [name, properties] before this bundle loads
+const earlyEvents = Array.isArray(window.ccAnalyticsQueue) ? window.ccAnalyticsQueue : [];
+window.ccAnalyticsQueue = {
+  push: ([eventName, properties]) => trackEvent(eventName, properties)
+};
+earlyEvents.forEach(window.ccAnalyticsQueue.push);
+
+// ========================================
+// OFFLINE BASKET ADDS (core/pendingAdds.js)
+// ========================================
+
+async function replayQueuedAdds() {
+  const result = await replayPendingAdds();
+  if (result.added.length === 0 && result.failed.length === 0) return;
+
+  debug.log('[CC Choice] Replayed offline adds:', result);
+  trackEvent('cc_add_replayed', {
+    added: result.added.length,
+    failed: result.failed.length,
+    pending: result.pending.length
+  });
+
+  // The modal finishes an add still on screen (and opens the drawer itself)
+  const modal = document.querySelector('cc-choice-modal');
+  const shownInModal = Boolean(modal && modal.handlePendingReplay(result));
+
+  if (result.added.length > 0 && !shownInModal) {
+    refreshCartLines(result.cart);
+  }
+}
+
+// Adds saved while offline are sent when the connection returns, or on the next page load
+window.addEventListener('online', replayQueuedAdds);
+replayQueuedAdds();
+
 // ========================================
 // GRID INTERCEPTION (Click Hijacking)
 // ========================================
@@ -91,6 +193,35 @@ function attachClickInterceptor() {
       debug.log('[CC Choice] No variant SKU data on card element for:', handle);
     }
 
+    // Per-product fonts and ink colours (custom.message_fonts / custom.ink_colours metafields)
+    if (cardLink.hasAttribute('data-cc-fonts') || cardLink.hasAttribute('data-cc-inks')) {
+      window.ccTypographyOverrides = window.ccTypographyOverrides || {};
+      window.ccTypographyOverrides[handle] = {
+        fonts: cardLink.dataset.ccFonts || '',
+        colours: cardLink.dataset.ccInks || ''
+      };
+    }
+
+    // Front caption settings (custom.front_caption_* metafields)
+    if (cardLink.dataset.ccFrontCaption) {
+      try {
+        window.ccFrontCaptionMetafields = window.ccFrontCaptionMetafields || {};
+        window.ccFrontCaptionMetafields[handle] = JSON.parse(cardLink.dataset.ccFrontCaption);
+      } catch (err) {
+        debug.error('[CC Choice] Failed to parse front caption settings from card element:', err);
+      }
+    }
+
+    // Photo card flag (custom.photo_card metafield)
+    if (cardLink.dataset.ccPhotoCard) {
+      try {
+        window.ccPhotoCardMetafields = window.ccPhotoCardMetafields || {};
+        window.ccPhotoCardMetafields[handle] = JSON.parse(cardLink.dataset.ccPhotoCard);
+      } catch (err) {
+        debug.error('[CC Choice] Failed to parse photo card setting from card element:', err);
+      }
+    }
+
     // Check if this click is from a recommendation rail
     const isFromRecs = cardLink.closest('.cc-recs') !== null;
 
@@ -164,14 +295,42 @@ if (typeof window.MutationObserver !== 'undefined') {
 }
 
 // ========================================
-// HISTORY MANAGEMENT (Back Button)
+// HISTORY ROUTING (Deep links, back/forward)
 // ========================================
 
+// Back/forward moves between choice <-> personaliser, or closes/reopens the modal
 window.addEventListener('popstate', (e) => {
   const modal = document.querySelector('cc-choice-modal');
-  if (modal && !modal.hasAttribute('hidden')) {
-    // PREMIUM FEEL: Properly close modal with full cleanup (position, top, width, scroll)
-    // Use the hide() method to ensure all body styles are restored
-    modal.hide();
+  if (modal) {
+    modal.handlePopState(e.state);
+  }
+});
+
+// Open the modal from a deep link, e.g. ?cc=frog-birthday&view=personalise&variant=123
+function openModalFromUrl() {
+  const route = parseModalRoute(window.location.search);
+  if (!route) return;
+
+  const modal = document.querySelector('cc-choice-modal');
+  if (!modal) {
+    debug.warn('[CC Choice] Deep link found but modal is not on this page:', route);
+    return;
+  }
+
+  debug.log('[CC Choice] Opening modal from deep link:', route);
+  modal.show({ ...route, fromLink: true });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', openModalFromUrl);
+} else {
+  openModalFromUrl();
+}
+
+// Leaving the page with the modal open ends its funnel session
+window.addEventListener('pagehide', () => {
+  const modal = document.querySelector('cc-choice-modal');
+  if (modal && !modal.hidden) {
+    modal.endSession('navigation');
   }
 });
@@ -0,0 +1,156 @@
+/**
+ * Analytics Transports
+ *
+ * @module integrations/analyticsTransports
+ * @description Destinations for analytics events (GA4, Shopify, beacon endpoint, Klaviyo, test recorder)
+ *
+ * A transport is a plain object registered with core/analytics.js. It only
+ * has to know how to hand one event to its destination; queueing, consent
+ * and validation are handled by the analytics core.
+ *
+ * @public createGtagTransport() → AnalyticsTransport
+ * @public createShopifyTransport() → AnalyticsTransport
+ * @public createBeaconTransport(options: BeaconOptions) → AnalyticsTransport
+ * @public createKlaviyoTransport() → AnalyticsTransport
+ * @public createRecorderTransport(options?: { consent?: string }) → RecorderTransport
+ *
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} name - Event name (cc_*)
+ * @property {Object} properties - Validated event properties
+ * @property {number} timestamp - Time the event was tracked (ms since epoch)
+ *
+ * @typedef {Object} AnalyticsTransport
+ * @property {string} name - Unique transport name (registering the same name replaces it)
+ * @property {string} consent - Consent purpose required: 'analytics', 'marketing' or 'none'
+ * @property {Function} [isReady] - () → boolean; events queue until the destination has loaded
+ * @property {Function} send - (event: AnalyticsEvent) → void
+ *
+ * @typedef {Object} BeaconOptions
+ * @property {string} url - Collector endpoint (receives one JSON event per request)
+ * @property {string} [name] - Transport name (default "beacon")
+ * @property {string} [consent] - Consent purpose (default "analytics")
+ *
+ * @typedef {AnalyticsTransport & { events: AnalyticsEvent[], clear: Function }} RecorderTransport
+ *
+ * @example
+ * import { registerTransport } from './core/analytics.js';
+ * import { createBeaconTransport } from './integrations/analyticsTransports.js';
+ *
+ * registerTransport(createBeaconTransport({ url: '/apps/cute-cards/events' }));
+ */
+
+// ========================================
+// BUILT-IN DESTINATIONS
+// ========================================
+
+/**
+ * Google Analytics 4 via gtag.js
+ *
+ * @returns {AnalyticsTransport} Transport
+ */
+export function createGtagTransport() {
+  return {
+    name: 'gtag',
+    consent: 'analytics',
+    isReady: () => typeof window.gtag === 'function',
+    send: (event) => window.gtag('event', event.name, event.properties)
+  };
+}
+
+/**
+ * Shopify Analytics (theme storefront tracking)
+ *
+ * @returns {AnalyticsTransport} Transport
+ */
+export function createShopifyTransport() {
+  return {
+    name: 'shopify',
+    consent: 'analytics',
+    isReady: () => Boolean(window.ShopifyAnalytics && window.ShopifyAnalytics.lib),
+    send: (event) => window.ShopifyAnalytics.lib.track(event.name, event.properties)
+  };
+}
+
+// ========================================
+// OPTIONAL DESTINATIONS
+// ========================================
+
+/**
+ * POST each event as JSON to a collector endpoint
+ *
+ * Uses navigator.sendBeacon so events survive navigation (e.g. the redirect
+ * to /cart), falling back to a keepalive fetch.
+ *
+ * @param {BeaconOptions} options - Endpoint and consent purpose
+ * @returns {AnalyticsTransport} Transport
+ */
+export function createBeaconTransport({ url, name = 'beacon', consent = 'analytics' }) {
+  return {
+    name,
+    consent,
+    send: (event) => {
+      const body = JSON.stringify({
+        event: event.name,
+        properties: event.properties,
+        timestamp: event.timestamp,
+        page: window.location.pathname
+      });
+
+      if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+
+      fetch(url, {
+        method: 'POST',
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+        body
+      }).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Klaviyo-style onsite tracker (`klaviyo.push(['track', name, properties])`)
+ *
+ * Works with both the current `window.klaviyo` object and the legacy
+ * `window._learnq` queue. Needs marketing consent.
+ *
+ * @returns {AnalyticsTransport} Transport
+ */
+export function createKlaviyoTransport() {
+  const tracker = () => window.klaviyo || window._learnq;
+
+  return {
+    name: 'klaviyo',
+    consent: 'marketing',
+    isReady: () => Boolean(tracker()),
+    send: (event) => tracker().push(['track', event.name, event.properties])
+  };
+}
+
+/**
+ * Keep events in memory (tests and the ?debug console)
+ *
+ * @param {{ consent?: string }} [options] - Consent purpose (default "none": records everything)
+ * @returns {RecorderTransport} Transport with `events` and `clear()`
+ *
+ * @example
+ * const recorder = createRecorderTransport();
+ * registerTransport(recorder);
+ * trackEvent('cc_modal_close', {});
+ * recorder.events[0].name; // 'cc_modal_close'
+ */
+export function createRecorderTransport({ consent = 'none' } = {}) {
+  const events = [];
+
+  return {
+    name: 'recorder',
+    consent,
+    events,
+    send: (event) => events.push(event),
+    clear: () => {
+      events.length = 0;
+    }
+  };
+}
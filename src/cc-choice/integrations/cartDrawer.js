@@ -4,9 +4,12 @@
  * @module integrations/cartDrawer
  * @description Handles cart drawer refresh and success UI after cart operations
  *
- * @public showSuccessBanner(dialogElement: HTMLElement) → void
- * @public transformButtonToSuccess(button: HTMLElement) → void
+ * @public showSuccessBanner(dialogElement: HTMLElement, message?: string) → void
+ * @public showPendingBanner(dialogElement: HTMLElement, message: string) → void
+ * @public clearBanners(dialogElement: HTMLElement) → void
+ * @public transformButtonToSuccess(button: HTMLElement, label?: string) → void
  * @public openCartDrawerOrRedirect() → Promise<void>
+ * @public refreshCartLines(cart: Object) → void
  *
  * @example
  * import { showSuccessBanner, transformButtonToSuccess, openCartDrawerOrRedirect } from './integrations/cartDrawer.js';
@@ -41,12 +44,13 @@ const debug = {
  * The banner will auto-animate via CSS.
  *
  * @param {HTMLElement} dialogElement - Dialog element to insert banner into
+ * @param {string} [message] - Banner text (defaults to "Added to basket!")
  *
  * @example
  * const dialog = document.querySelector('[role="dialog"]');
  * showSuccessBanner(dialog);
  */
-export function showSuccessBanner(dialogElement) {
+export function showSuccessBanner(dialogElement, message = 'Added to basket!') {
   if (!dialogElement) return;
 
   // Create success message
@@ -56,7 +60,7 @@ export function showSuccessBanner(dialogElement) {
     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
       <polyline points="20 6 9 17 4 12"></polyline>
     </svg>
-    <span>Added to basket!</span>
+    <span>${message}</span>
   `;
 
   // Insert success banner at top of dialog
@@ -68,6 +72,47 @@ export function showSuccessBanner(dialogElement) {
   });
 }
 
+/**
+ * Show "saved for later" banner at top of dialog
+ *
+ * Same placement and animation as the success banner, for adds kept in the
+ * offline queue (core/pendingAdds.js) until the connection returns.
+ *
+ * @param {HTMLElement} dialogElement - Dialog element to insert banner into
+ * @param {string} message - Banner text
+ */
+export function showPendingBanner(dialogElement, message) {
+  if (!dialogElement) return;
+
+  const pendingMessage = document.createElement('div');
+  pendingMessage.className = 'ccc__success-banner ccc__success-banner--pending';
+  pendingMessage.setAttribute('role', 'status');
+  pendingMessage.innerHTML = `
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="12" cy="12" r="9"></circle>
+      <polyline points="12 7 12 12 15 14"></polyline>
+    </svg>
+    <span></span>
+  `;
+  pendingMessage.querySelector('span').textContent = message;
+
+  dialogElement.insertBefore(pendingMessage, dialogElement.firstChild);
+
+  requestAnimationFrame(() => {
+    pendingMessage.style.animation = 'successSlideDown 0.5s cubic-bezier(0.34, 1.56, 0.64, 1) forwards';
+  });
+}
+
+/**
+ * Remove success and pending banners from a dialog
+ *
+ * @param {HTMLElement} dialogElement - Dialog element
+ */
+export function clearBanners(dialogElement) {
+  if (!dialogElement) return;
+  dialogElement.querySelectorAll('.ccc__success-banner').forEach(banner => banner.remove());
+}
+
 /**
  * Transform button to success state
  *
@@ -75,12 +120,13 @@ export function showSuccessBanner(dialogElement) {
  * Button will be disabled and get .button--success class.
  *
  * @param {HTMLElement} button - Button element to transform
+ * @param {string} [label] - Button text (defaults to "Added!")
  *
  * @example
  * const submitBtn = document.querySelector('[type="submit"]');
  * transformButtonToSuccess(submitBtn);
  */
-export function transformButtonToSuccess(button) {
+export function transformButtonToSuccess(button, label = 'Added!') {
   if (!button) return;
 
   button.disabled = true;
@@ -89,7 +135,7 @@ export function transformButtonToSuccess(button) {
     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
       <polyline points="20 6 9 17 4 12"></polyline>
     </svg>
-    <span>Added!</span>
+    <span>${label}</span>
   `;
 }
 
@@ -139,3 +185,26 @@ export async function openCartDrawerOrRedirect() {
     window.location.href = '/cart';
   }
 }
+
+/**
+ * Re-render cart lines after a line was changed outside the cart UI
+ *
+ * Publishes the theme's cart-update event (assets/pubsub.js) so <cart-items>
+ * and <cart-drawer-items> refetch their sections. Falls back to a reload if
+ * the theme's pub/sub isn't on the page.
+ *
+ * @param {Object} cart - Cart state returned by /cart/change.js
+ *
+ * @example
+ * const cart = await changeCartLine({ id: key, quantity, properties });
+ * refreshCartLines(cart);
+ */
+export function refreshCartLines(cart) {
+  if (typeof publish === 'function' && typeof PUB_SUB_EVENTS !== 'undefined') {
+    publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cc-choice', cartData: cart });
+    return;
+  }
+
+  debug.log('[Cart Drawer] Theme pub/sub unavailable, reloading to show changes');
+  window.location.reload();
+}
@@ -0,0 +1,86 @@
+/**
+ * Customer Privacy Integration
+ *
+ * @module integrations/customerPrivacy
+ * @description Reads visitor consent from Shopify's Customer Privacy API
+ *
+ * The API is loaded on demand with Shopify.loadFeatures. Until it answers,
+ * consent is unknown and core/analytics.js keeps events queued. The
+ * `visitorConsentCollected` listener that re-reads consent when the banner
+ * is answered lives in index.js.
+ *
+ * @public readConsent() → Consent
+ * @public loadConsent() → Promise<Consent>
+ *
+ * @typedef {Object} Consent
+ * @property {boolean|null} analytics - Analytics processing allowed (null = unknown)
+ * @property {boolean|null} marketing - Marketing allowed (null = unknown)
+ *
+ * @example
+ * import { loadConsent } from './integrations/customerPrivacy.js';
+ * import { setAnalyticsConsent } from './core/analytics.js';
+ *
+ * loadConsent().then(setAnalyticsConsent);
+ */
+
+const DEBUG = new URLSearchParams(window.location.search).has('cc_debug') || window.ccDebug === true;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => DEBUG && console.warn(...args)
+};
+
+const UNKNOWN = Object.freeze({ analytics: null, marketing: null });
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Current consent from the Customer Privacy API
+ *
+ * Outside a Shopify storefront (local previews, tests) there is no banner to
+ * answer, so everything is allowed.
+ *
+ * @returns {Consent} Consent state
+ */
+export function readConsent() {
+  if (!window.Shopify) {
+    return { analytics: true, marketing: true };
+  }
+
+  const api = window.Shopify.customerPrivacy;
+  if (!api) return UNKNOWN;
+
+  return {
+    analytics: typeof api.analyticsProcessingAllowed === 'function' ? api.analyticsProcessingAllowed() : null,
+    marketing: typeof api.marketingAllowed === 'function' ? api.marketingAllowed() : null
+  };
+}
+
+/**
+ * Load the Customer Privacy API (if needed) and read consent
+ *
+ * Never rejects: if the API can't load, consent stays unknown.
+ *
+ * @returns {Promise<Consent>} Consent state
+ */
+export function loadConsent() {
+  const shopify = window.Shopify;
+  if (!shopify || shopify.customerPrivacy || typeof shopify.loadFeatures !== 'function') {
+    return Promise.resolve(readConsent());
+  }
+
+  return new Promise(resolve => {
+    shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+      if (error) {
+        debug.warn('[CC Privacy] Customer Privacy API failed to load:', error);
+        resolve(UNKNOWN);
+        return;
+      }
+      const consent = readConsent();
+      debug.log('[CC Privacy] Consent:', consent);
+      resolve(consent);
+    });
+  });
+}
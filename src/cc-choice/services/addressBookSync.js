@@ -0,0 +1,118 @@
+/**
+ * Address Book Sync Service
+ *
+ * @module services/addressBookSync
+ * @description Optional sync of saved recipients to a customer metafield (no DOM access)
+ *
+ * Logged-in customers get their saved recipients injected by Liquid
+ * (snippets/cc-choice-modal.liquid) from the `custom.saved_recipients`
+ * metafield as `window.ccCustomer`. Changes are written back through the
+ * Cute Cards app proxy, which owns the Admin API credentials.
+ *
+ * The request carries no customer id: the app proxy must write to the
+ * customer in Shopify's signed `logged_in_customer_id` parameter (and
+ * refuse requests without one), so a visitor can't name someone else's
+ * account. `window.ccCustomer.id` only says a customer is logged in.
+ *
+ * @public canSyncRecipients() → boolean
+ * @public loadRemoteRecipients() → SavedRecipient[]
+ * @public pushRecipients(recipients: SavedRecipient[]) → Promise<boolean>
+ *
+ * @example
+ * import { canSyncRecipients, pushRecipients } from './services/addressBookSync.js';
+ *
+ * if (canSyncRecipients()) {
+ *   await pushRecipients(listRecipients());
+ * }
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * App proxy endpoint that writes the customer metafield
+ * @type {string}
+ */
+const SYNC_URL = '/apps/cute-cards/recipients';
+
+/**
+ * Request timeout in milliseconds
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 8000;
+
+// ========================================
+// DEBUG CONFIGURATION
+// ========================================
+
+const DEBUG = new URLSearchParams(window.location.search).has('cc_debug') || window.ccDebug === true;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => DEBUG && console.warn(...args)
+};
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Check whether a logged-in customer is available for sync
+ *
+ * @returns {boolean} True if recipients can be synced to the customer account
+ */
+export function canSyncRecipients() {
+  return Boolean(window.ccCustomer && window.ccCustomer.id);
+}
+
+/**
+ * Read the customer's saved recipients injected by Liquid
+ *
+ * @returns {Array<Object>} Saved recipients from the metafield (empty if logged out)
+ */
+export function loadRemoteRecipients() {
+  if (!canSyncRecipients()) return [];
+
+  const remote = window.ccCustomer.savedRecipients;
+  return Array.isArray(remote) ? remote : [];
+}
+
+/**
+ * Write the full recipient list to the customer metafield
+ *
+ * Never throws - local storage stays the source of truth if sync fails.
+ *
+ * @param {Array<Object>} recipients - Complete saved recipient list
+ * @returns {Promise<boolean>} True if the metafield was updated
+ */
+export async function pushRecipients(recipients) {
+  if (!canSyncRecipients()) return false;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(SYNC_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ recipients }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Recipient sync returned ${response.status}`);
+    }
+
+    // Keep the injected copy current so later merges don't resurrect stale data
+    window.ccCustomer.savedRecipients = recipients;
+
+    debug.log('[Address Book Sync] Synced recipients:', recipients.length);
+    return true;
+  } catch (error) {
+    debug.warn('[Address Book Sync] Failed to sync recipients:', error);
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
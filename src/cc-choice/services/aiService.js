@@ -2,24 +2,60 @@
  * AI Service
  *
  * @module services/aiService
- * @description Client for Cute Cards AI message suggestions Cloudflare Worker
+ * @description Client for Cute Cards AI message suggestions Cloudflare Worker (workers/ai-suggestions.js)
  *
+ * Set window.ccAiSuggestionsUrl to use another endpoint, e.g. the local mock
+ * server from `npm run ai:dev` (scripts/ai-server.mjs).
+ *
+ * Every request carries a per-tab session id (X-CC-AI-Session), which the
+ * worker rate limits alongside the IP. A failed request rejects with an
+ * AIServiceError; RATE_LIMITED has the seconds to wait in retryAfter.
+ *
+ * @public AI_WORKER_URL - AI suggestions worker
+ * @public AI_ERRORS - AIServiceError types
+ * @public AIServiceError - A failed request (type, status, retryAfter)
  * @public generateMessageSuggestions(params: AISuggestParams) → Promise<AISuggestResponse>
+ * @public refineMessageSuggestion(params: AIRefineParams) → Promise<AIRefineResponse>
  *
  * @typedef {Object} AISuggestParams
  * @property {string} recipient - Who the card is for (e.g., "Mum", "Dave")
  * @property {string} occasion - What's the occasion (e.g., "Birthday", "Thank you")
  * @property {string} [details] - Optional extra context
- * @property {string} [imageUrl] - Optional card image URL (for AI vision)
+ * @property {string} [tone] - IDEA_TONES key (core/messageIdeas.js), default "sentimental"
+ * @property {string} [length] - IDEA_LENGTHS key, default "mixed" (one short, one medium, one long)
+ * @property {string} [relationship] - IDEA_RELATIONSHIPS key
+ * @property {number} [maxLength] - Characters the card holds in the chosen font and size
+ * @property {string} [imageUrl] - Card image URL (product featured_image), shown to vision-capable models
+ * @property {string[]|string} [tags] - Product tags; interest:*, style:* and humour:* describe the artwork
  *
  * @typedef {Object} AISuggestion
  * @property {string} message - The suggested message text
- * @property {string} tone - Tone category ("brief", "warm", or "heartfelt")
+ * @property {string} tone - Tone it was written in (IDEA_TONES key)
+ * @property {string} length - "short", "medium" or "long"
  *
  * @typedef {Object} AISuggestResponse
- * @property {AISuggestion[]} suggestions - Array of 3 suggestions (brief, warm, heartfelt)
+ * @property {AISuggestion[]} suggestions - Up to 3 suggestions
+ * @property {boolean} [fallback] - True if these are stock messages because the model's reply couldn't be used
+ * @property {string} [reason] - 'budget' if they're stock because the day's AI budget is spent
  * @property {string} [error] - Error message if generation failed
  *
+ * @typedef {Object} AIRefineParams
+ * @property {string} message - Version to change
+ * @property {string} instruction - IDEA_REFINEMENTS key (core/messageIdeas.js) or the customer's own words
+ * @property {Array<{ message: string, instruction: string }>} [history] - Earlier versions and the change asked of each, oldest first
+ * @property {string} [recipient] - Who the card is for
+ * @property {string} [occasion] - What's the occasion
+ * @property {string} [details] - Extra context
+ * @property {string} [tone] - IDEA_TONES key
+ * @property {string} [relationship] - IDEA_RELATIONSHIPS key
+ * @property {number} [maxLength] - Characters the card holds in the chosen font and size
+ * @property {string[]|string} [tags] - Product tags
+ *
+ * @typedef {Object} AIRefineResponse
+ * @property {AISuggestion} suggestion - The changed message
+ * @property {boolean} [fallback] - True if the message came back unchanged because the model's reply couldn't be used
+ * @property {string} [reason] - 'budget' if it's unchanged because the day's AI budget is spent
+ *
  * @example
  * import { generateMessageSuggestions } from './services/aiService.js';
  *
@@ -27,11 +63,21 @@
  *   recipient: 'Mum',
  *   occasion: 'Birthday',
  *   details: 'Loves gardening',
- *   imageUrl: 'https://...'
+ *   tone: 'funny',
+ *   relationship: 'parent',
+ *   maxLength: 280,
+ *   imageUrl: 'https://...',
+ *   tags: ['interest:frogs', 'humour:2']
  * });
  *
  * result.suggestions.forEach(s => {
- *   console.log(`${s.tone}: ${s.message}`);
+ *   console.log(`${s.tone} (${s.length}): ${s.message}`);
+ * });
+ *
+ * const { suggestion } = await refineMessageSuggestion({
+ *   message: result.suggestions[0].message,
+ *   instruction: 'mention the dog',
+ *   maxLength: 280
  * });
  */
 
@@ -43,7 +89,7 @@
  * Cloudflare Worker URL for AI suggestions
  * @type {string}
  */
-const AI_WORKER_URL = 'https://cute-cards-ai-suggestions.josh-715.workers.dev';
+export const AI_WORKER_URL = 'https://cute-cards-ai-suggestions.josh-715.workers.dev';
 
 /**
  * Request timeout in milliseconds
@@ -51,6 +97,39 @@ const AI_WORKER_URL = 'https://cute-cards-ai-suggestions.josh-715.workers.dev';
  */
 const REQUEST_TIMEOUT_MS = 30000; // 30 seconds
 
+// Where this tab's AI session id is kept
+const SESSION_STORAGE_KEY = 'cc_ai_session';
+
+// ========================================
+// ERRORS
+// ========================================
+
+/**
+ * AIServiceError types
+ * @type {Object.<string, string>}
+ */
+export const AI_ERRORS = Object.freeze({
+  TIMEOUT: 'timeout',           // No answer within REQUEST_TIMEOUT_MS
+  RATE_LIMITED: 'rate_limited', // 429: too many requests from this IP or session
+  REJECTED: 'rejected'          // Any other error response
+});
+
+/**
+ * A failed AI request
+ *
+ * `status` is the HTTP status (0 when no response arrived), `retryAfter`
+ * the seconds the worker asked us to wait.
+ */
+export class AIServiceError extends Error {
+  constructor(type, message, { status = 0, retryAfter = 0 } = {}) {
+    super(message);
+    this.name = 'AIServiceError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
 // ========================================
 // DEBUG CONFIGURATION
 // ========================================
@@ -62,6 +141,86 @@ const debug = {
   error: (...args) => console.error(...args) // Always show errors
 };
 
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Worker URL (window.ccAiSuggestionsUrl overrides it for local testing)
+ * @private
+ */
+function workerUrl() {
+  return window.ccAiSuggestionsUrl || AI_WORKER_URL;
+}
+
+/**
+ * This tab's AI session id, made on first use
+ * @private
+ */
+function sessionId() {
+  try {
+    let id = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+    }
+    return id;
+  } catch (error) {
+    // Storage blocked or no randomUUID (insecure context): the IP limit still applies
+    return '';
+  }
+}
+
+/**
+ * POST JSON to the worker, with a timeout
+ * @private
+ */
+async function postToWorker(path, body) {
+  // Create abort controller for timeout
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const session = sessionId();
+
+  try {
+    const response = await fetch(`${workerUrl().replace(/\/+$/, '')}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(session ? { 'X-CC-AI-Session': session } : {}) },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 0;
+      throw new AIServiceError(AI_ERRORS.RATE_LIMITED, 'Too many requests', { status: 429, retryAfter });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      throw new AIServiceError(AI_ERRORS.REJECTED, `AI worker returned ${response.status}: ${errorText}`, { status: response.status });
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    return data;
+
+  } catch (error) {
+    clearTimeout(timeoutId);
+
+    if (error.name === 'AbortError') {
+      debug.error('[AI Service] Request timed out after', REQUEST_TIMEOUT_MS, 'ms');
+      throw new AIServiceError(AI_ERRORS.TIMEOUT, 'Request timed out. Please try again.');
+    }
+
+    throw error;
+  }
+}
+
 // ========================================
 // PUBLIC API
 // ========================================
@@ -69,63 +228,58 @@ const debug = {
 /**
  * Generate AI message suggestions via Cloudflare Worker
  *
- * Calls the Cute Cards AI suggestions worker which uses OpenRouter GPT-4o-mini
- * to generate three message variations: brief, warm, and heartfelt.
+ * Calls the Cute Cards AI suggestions worker, which asks its configured model
+ * (OpenRouter GPT-4o-mini by default) for three messages in the chosen tone
+ * and length, none longer than maxLength.
  *
  * @param {AISuggestParams} params - Suggestion parameters
  * @returns {Promise<AISuggestResponse>} AI-generated suggestions
- * @throws {Error} If network request fails or worker returns error
+ * @throws {AIServiceError|Error} If network request fails or worker returns error
  *
  * @example
  * const result = await generateMessageSuggestions({
  *   recipient: 'Dad',
  *   occasion: 'Thank you',
  *   details: 'For helping me move house',
+ *   tone: 'formal',
  *   imageUrl: 'https://cdn.shopify.com/...'
  * });
  *
  * // Returns:
  * // {
  * //   suggestions: [
- * //     { message: "Thanks Dad!", tone: "brief" },
- * //     { message: "Thank you so much Dad...", tone: "warm" },
- * //     { message: "Dear Dad, I wanted to...", tone: "heartfelt" }
+ * //     { message: "Thank you, Dad.", tone: "formal", length: "short" },
+ * //     { message: "Thank you so much Dad...", tone: "formal", length: "medium" },
+ * //     { message: "I wanted to say...", tone: "formal", length: "long" }
  * //   ]
  * // }
  */
-export async function generateMessageSuggestions({ recipient, occasion, details = '', imageUrl = '' }) {
-  debug.log('[AI Service] Generating suggestions for:', { recipient, occasion, details, imageUrl });
-
-  // Create abort controller for timeout
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+export async function generateMessageSuggestions({
+  recipient,
+  occasion,
+  details = '',
+  tone,
+  length,
+  relationship,
+  maxLength,
+  imageUrl = '',
+  tags = []
+}) {
+  debug.log('[AI Service] Generating suggestions for:', { recipient, occasion, details, tone, length, relationship, maxLength, imageUrl, tags });
 
   try {
-    const response = await fetch(AI_WORKER_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        recipient: recipient.trim(),
-        occasion: occasion.trim(),
-        details: details.trim(),
-        imageUrl: imageUrl
-      }),
-      signal: controller.signal
+    const data = await postToWorker('', {
+      recipient: recipient.trim(),
+      occasion: occasion.trim(),
+      details: details.trim(),
+      tone,
+      length,
+      relationship,
+      maxLength,
+      imageUrl: imageUrl,
+      tags
     });
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      throw new Error(`AI worker returned ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    if (data.error) {
-      throw new Error(data.error);
-    }
-
     if (!data.suggestions || data.suggestions.length === 0) {
       throw new Error('No suggestions returned from AI');
     }
@@ -134,14 +288,69 @@ export async function generateMessageSuggestions({ recipient, occasion, details
     return data;
 
   } catch (error) {
-    clearTimeout(timeoutId);
+    debug.error('[AI Service] Failed to generate suggestions:', error);
+    throw error;
+  }
+}
 
-    if (error.name === 'AbortError') {
-      debug.error('[AI Service] Request timed out after', REQUEST_TIMEOUT_MS, 'ms');
-      throw new Error('Request timed out. Please try again.');
+/**
+ * Change one suggestion the way the customer asks
+ *
+ * Sends the current version, the change (a quick change such as "shorter",
+ * or the customer's own words) and the earlier versions, so the model builds
+ * on what the customer has already asked for.
+ *
+ * @param {AIRefineParams} params - Message, change and card details
+ * @returns {Promise<AIRefineResponse>} The changed message
+ * @throws {AIServiceError|Error} If network request fails or worker returns error
+ *
+ * @example
+ * const { suggestion, fallback } = await refineMessageSuggestion({
+ *   message: 'Happy birthday, Dad!',
+ *   instruction: 'funnier',
+ *   history: [],
+ *   recipient: 'Dad',
+ *   occasion: 'birthday',
+ *   maxLength: 280
+ * });
+ */
+export async function refineMessageSuggestion({
+  message,
+  instruction,
+  history = [],
+  recipient = '',
+  occasion = '',
+  details = '',
+  tone,
+  relationship,
+  maxLength,
+  tags = []
+}) {
+  debug.log('[AI Service] Refining suggestion:', { message, instruction, history: history.length });
+
+  try {
+    const data = await postToWorker('/refine', {
+      message,
+      instruction,
+      history,
+      recipient: recipient.trim(),
+      occasion: occasion.trim(),
+      details: details.trim(),
+      tone,
+      relationship,
+      maxLength,
+      tags
+    });
+
+    if (!data.suggestion || !data.suggestion.message) {
+      throw new Error('No suggestion returned from AI');
     }
 
-    debug.error('[AI Service] Failed to generate suggestions:', error);
+    debug.log('[AI Service] Refined suggestion', data.fallback ? '(unchanged)' : '');
+    return data;
+
+  } catch (error) {
+    debug.error('[AI Service] Failed to refine suggestion:', error);
     throw error;
   }
 }
@@ -163,7 +372,7 @@ export async function isAIServiceAvailable() {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout for health check
 
-    const response = await fetch(AI_WORKER_URL, {
+    const response = await fetch(workerUrl(), {
       method: 'HEAD',
       signal: controller.signal
     });
@@ -4,7 +4,26 @@
  * @module services/cartService
  * @description Pure cart API operations (no DOM manipulation)
  *
- * @public addToCart(payload: CartPayload) → Promise<CartResponse>
+ * Requests that fail for transient reasons (no connection, 5xx, 429) are
+ * retried with exponential backoff. Every failure is thrown as a CartError
+ * whose `type` says what went wrong, so the modal can explain it (sold out,
+ * invalid properties) or keep the add for later (offline).
+ *
+ * /cart/add.js isn't idempotent: a dropped connection or a 5xx may come back
+ * after Shopify has already added the lines. Every added line therefore
+ * carries a hidden `_cc_pending_id`, and before retrying one of those
+ * failures the cart is checked for it. If the cart can't be read the add
+ * isn't retried, since a second paid line is worse than an error.
+ *
+ * @public CART_ERRORS - CartError types
+ * @public CartError - Error with `type`, `status` and `retryable`
+ * @public ADD_ID_PROPERTY - Hidden line property identifying the add a cart line came from
+ * @public stampAddId(items: CartPayload[]) → CartPayload[]
+ * @public addToCart(payload: CartPayload, options?: RetryOptions) → Promise<CartResponse>
+ * @public addItemsToCart(items: CartPayload[], options?: RetryOptions) → Promise<{ items: CartResponse[] }>
+ * @public addCardBatch(items: CartPayload[]) → Promise<BatchResult>
+ * @public changeCartLine(change: { id: string, quantity: number, properties: object }, options?: RetryOptions) → Promise<Object>
+ * @public fetchCart() → Promise<Object>
  *
  * @typedef {Object} CartPayload
  * @property {number|string} id - Variant ID
@@ -17,6 +36,14 @@
  * @property {string} title - Product title
  * @property {number} quantity - Quantity added
  *
+ * @typedef {Object} BatchResult
+ * @property {number[]} added - Indexes of items that reached the cart
+ * @property {Array<{ index: number, message: string }>} failed - Items Shopify rejected, with its reason
+ *
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries] - Extra attempts after a transient failure (default 3)
+ * @property {number} [retryDelay] - First backoff delay in ms, doubled each attempt (default 500)
+ *
  * @example
  * import { addToCart } from './services/cartService.js';
  *
@@ -38,16 +65,232 @@ const debug = {
   error: (...args) => console.error(...args) // Always show errors
 };
 
+// ========================================
+// ERRORS
+// ========================================
+
+/**
+ * CartError types
+ * @type {Object.<string, string>}
+ */
+export const CART_ERRORS = Object.freeze({
+  NETWORK: 'network',           // No response (offline, connection dropped)
+  SERVER: 'server',             // 5xx
+  RATE_LIMITED: 'rate_limited', // 429
+  SOLD_OUT: 'sold_out',         // 422: out of stock or quantity limit reached
+  INVALID: 'invalid',           // 400/422: bad variant ID or line item properties
+  NOT_FOUND: 'not_found',       // 404: variant no longer exists
+  REJECTED: 'rejected'          // Any other response
+});
+
+const RETRYABLE = [CART_ERRORS.NETWORK, CART_ERRORS.SERVER, CART_ERRORS.RATE_LIMITED];
+
+// Failures after which the request may still have gone through (a 429 never does)
+const AMBIGUOUS = [CART_ERRORS.NETWORK, CART_ERRORS.SERVER];
+
+/**
+ * Hidden line property identifying the add a cart line came from
+ * (also the offline queue's entry ID, see core/pendingAdds.js)
+ * @type {string}
+ */
+export const ADD_ID_PROPERTY = '_cc_pending_id';
+
+/**
+ * A failed cart request
+ *
+ * `message` is Shopify's description when it gave one (e.g. "Frog Card is
+ * sold out."), `status` the HTTP status (0 when no response arrived).
+ */
+export class CartError extends Error {
+  constructor(type, message, { status = 0, retryAfter = 0 } = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = RETRYABLE.includes(type);
+  }
+}
+
+// ========================================
+// RETRY CONFIGURATION
+// ========================================
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 8000;
+
+// Shopify's wording for stock problems on a 422
+const SOLD_OUT_PATTERN = /sold out|out of stock|only add|are in your cart|not enough/i;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Map an error response to a CartError type
+ * @private
+ */
+function classifyResponse(status, description) {
+  if (status === 429) return CART_ERRORS.RATE_LIMITED;
+  if (status >= 500) return CART_ERRORS.SERVER;
+  if (status === 404) return CART_ERRORS.NOT_FOUND;
+  if (status === 422 && SOLD_OUT_PATTERN.test(description)) return CART_ERRORS.SOLD_OUT;
+  if (status === 400 || status === 422) return CART_ERRORS.INVALID;
+  return CART_ERRORS.REJECTED;
+}
+
+/**
+ * Send one cart request and surface Shopify's error description
+ * @private
+ * @throws {CartError}
+ */
+async function requestCart(url, init) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw new CartError(CART_ERRORS.NETWORK, 'Could not reach the basket');
+  }
+
+  // Error pages from a proxy or CDN may not be JSON
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const description = result.description || result.message || 'Could not add to cart';
+    throw new CartError(classifyResponse(response.status, description), description, {
+      status: response.status,
+      retryAfter: (parseInt(response.headers.get('Retry-After'), 10) || 0) * 1000
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Delay before the next attempt: Retry-After if given, else exponential with jitter
+ * @private
+ */
+function backoffDelay(error, attempt, retryDelay) {
+  const delay = error.retryAfter || retryDelay * 2 ** attempt * (1 + Math.random() * 0.25);
+  return Math.min(delay, MAX_RETRY_DELAY);
+}
+
+/**
+ * Run a cart request, retrying transient failures
+ *
+ * Offline network errors are not retried: waiting won't bring the
+ * connection back, and the caller can keep the add until it does.
+ *
+ * When the request isn't safe to repeat, `findApplied` is asked before
+ * retrying an ambiguous failure whether it went through after all: it
+ * resolves to the result if so, or null if not.
+ *
+ * @private
+ * @throws {CartError} The last failure
+ */
+async function withRetry(send, { retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY } = {}, findApplied = null) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      const offline = error.type === CART_ERRORS.NETWORK && navigator.onLine === false;
+      if (!error.retryable || offline || attempt >= retries) throw error;
+
+      const delay = backoffDelay(error, attempt, retryDelay);
+      debug.log(`[Cart Service] ${error.type} error, retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (findApplied && AMBIGUOUS.includes(error.type)) {
+        const applied = await findApplied().catch(() => undefined);
+        if (applied === undefined) throw error; // Can't tell, so don't risk adding twice
+        if (applied) return applied;
+      }
+    }
+  }
+}
+
+/**
+ * POST JSON to a cart endpoint
+ * @private
+ * @throws {CartError}
+ */
+function postCart(url, body, options, findApplied) {
+  return withRetry(() => requestCart(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), options, findApplied);
+}
+
+/**
+ * Generate an add ID
+ * @private
+ */
+function createAddId() {
+  return `pa_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Cart lines that came from an add (read without retrying)
+ * @private
+ * @throws {CartError} If the cart can't be read
+ */
+async function findAddedLines(addId) {
+  const cart = await requestCart('/cart.js', { headers: { Accept: 'application/json' } });
+  return (cart.items || []).filter(item => item.properties && item.properties[ADD_ID_PROPERTY] === addId);
+}
+
+/**
+ * POST stamped lines to /cart/add.js, checking the cart before any ambiguous retry
+ * @private
+ * @throws {CartError}
+ */
+function postAdd(body, addId, options) {
+  return postCart('/cart/add.js', body, options, async () => {
+    const lines = await findAddedLines(addId);
+    if (lines.length === 0) return null;
+
+    debug.log('[Cart Service] Add already reached the cart:', addId);
+    return body.items ? { items: lines } : lines[0];
+  });
+}
+
 // ========================================
 // PUBLIC API
 // ========================================
 
+/**
+ * Give line items the add ID they will be recognised by in the cart
+ *
+ * Lines that already carry one (e.g. a queued add being replayed) keep it.
+ * Call this before the first attempt when the same lines may be sent again
+ * later, so every attempt shares one ID.
+ *
+ * @param {CartPayload[]} items - Line items
+ * @returns {CartPayload[]} Copies with `_cc_pending_id` set on every line
+ *
+ * @example
+ * const items = stampAddId([payload]);
+ * // => [{ id: 12345, quantity: 1, properties: { ..., _cc_pending_id: 'pa_...' } }]
+ */
+export function stampAddId(items) {
+  const existing = items.find(item => item.properties && item.properties[ADD_ID_PROPERTY]);
+  const addId = existing ? existing.properties[ADD_ID_PROPERTY] : createAddId();
+
+  return items.map(item => ({
+    ...item,
+    properties: { ...item.properties, [ADD_ID_PROPERTY]: addId }
+  }));
+}
+
 /**
  * Add item to cart via Shopify Ajax Cart API
  *
  * @param {CartPayload} payload - Cart add payload
+ * @param {RetryOptions} [options] - Retry settings
  * @returns {Promise<CartResponse>} Cart response from Shopify
- * @throws {Error} If cart add fails
+ * @throws {CartError} If cart add fails
  *
  * @example
  * const result = await addToCart({
@@ -60,21 +303,109 @@ const debug = {
  *   }
  * });
  */
-export async function addToCart(payload) {
+export async function addToCart(payload, options) {
   debug.log('[Cart Service] Adding to cart with payload:', payload);
 
-  const response = await fetch('/cart/add.js', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  });
+  const [line] = stampAddId([payload]);
+  const result = await postAdd(line, line.properties[ADD_ID_PROPERTY], options);
 
-  const result = await response.json();
+  debug.log('[Cart Service] Successfully added to cart:', result);
+  return result;
+}
 
-  if (!response.ok) {
-    throw new Error(result.description || 'Could not add to cart');
+/**
+ * Add several line items in one request
+ *
+ * Shopify accepts or rejects the whole `items[]` request.
+ *
+ * @param {CartPayload[]} items - Line items
+ * @param {RetryOptions} [options] - Retry settings
+ * @returns {Promise<{ items: CartResponse[] }>} Added line items
+ * @throws {CartError} If any item is rejected (`status` 422) or the request fails
+ */
+export async function addItemsToCart(items, options) {
+  debug.log('[Cart Service] Adding items to cart:', items.length);
+
+  const lines = stampAddId(items);
+  const result = await postAdd({ items: lines }, lines[0].properties[ADD_ID_PROPERTY], options);
+
+  debug.log('[Cart Service] Successfully added items to cart:', result);
+  return result;
+}
+
+/**
+ * Add a batch of cards, reporting which lines failed
+ *
+ * Tries one batched request first. If Shopify rejects it (422, e.g. one line
+ * is out of stock or has invalid properties), nothing was added, so each line
+ * is retried on its own to find out which ones are at fault. Network and
+ * server errors are rethrown rather than retried, line by line or as a
+ * whole, because the batch may already have been added.
+ *
+ * @param {CartPayload[]} items - Line items, one per card
+ * @returns {Promise<BatchResult>} Added and failed item indexes
+ * @throws {CartError} If the batch request fails for a reason other than validation
+ *
+ * @example
+ * const { added, failed } = await addCardBatch(items);
+ * // => { added: [0, 2], failed: [{ index: 1, message: 'Cute Frog Card is sold out.' }] }
+ */
+export async function addCardBatch(items) {
+  try {
+    await addItemsToCart(items, { retries: 0 });
+    return { added: items.map((_, index) => index), failed: [] };
+  } catch (error) {
+    if (error.status !== 422) throw error;
+    debug.log('[Cart Service] Batch rejected, retrying line by line:', error.message);
+  }
+
+  const result = { added: [], failed: [] };
+
+  for (const [index, item] of items.entries()) {
+    try {
+      await addToCart(item, { retries: 0 });
+      result.added.push(index);
+    } catch (error) {
+      debug.error('[Cart Service] Line rejected:', index, error.message);
+      result.failed.push({ index, message: error.message });
+    }
   }
 
-  debug.log('[Cart Service] Successfully added to cart:', result);
   return result;
 }
+
+/**
+ * Replace the properties of a line already in the cart
+ *
+ * /cart/change.js edits the line in place, so it keeps its position. The line
+ * key changes afterwards because it is derived from the properties.
+ *
+ * @param {{ id: string, quantity: number, properties: Object }} change - Line key, quantity to keep and new properties
+ * @param {RetryOptions} [options] - Retry settings
+ * @returns {Promise<Object>} Updated cart
+ * @throws {CartError} If the change is rejected
+ *
+ * @example
+ * const cart = await changeCartLine({ id: '123:abc', quantity: 2, properties: { 'Inside Message': 'Fixed!' } });
+ */
+export async function changeCartLine(change, options) {
+  debug.log('[Cart Service] Changing cart line:', change);
+
+  const cart = await postCart('/cart/change.js', change, options);
+
+  debug.log('[Cart Service] Successfully changed cart line:', cart);
+  return cart;
+}
+
+/**
+ * Read the current cart
+ *
+ * @returns {Promise<Object>} Cart (/cart.js)
+ * @throws {CartError} If the cart can't be read
+ *
+ * @example
+ * const { items } = await fetchCart();
+ */
+export async function fetchCart() {
+  return withRetry(() => requestCart('/cart.js', { headers: { Accept: 'application/json' } }));
+}
@@ -0,0 +1,215 @@
+/**
+ * Font Service
+ *
+ * @module services/fontService
+ * @description Lazy loading of the self-hosted message fonts
+ *
+ * Every file in the font manifest (core/fontManifest.js) is registered as a
+ * FontFace with its script's unicode-range. Registering downloads nothing:
+ * the browser fetches a file the first time text on screen needs it, so
+ * opening the personaliser costs one small Latin file for the selected font.
+ *
+ * Fonts with no files in the manifest (their subsets haven't been built and
+ * committed yet) still come from Google Fonts, so they never silently show
+ * in the fallback fonts. Its stylesheet is split by unicode-range the same
+ * way, and is only requested for those families.
+ *
+ * The canvas preview can't trigger those downloads itself, so it asks
+ * loadMessageFont() for the characters it's about to draw. That gives up
+ * after a timeout and resolves false; the text stays in the fallback fonts
+ * (core/fontCoverage.js) and picks the font up once it arrives.
+ *
+ * @public FONT_LOAD_TIMEOUT_MS - How long loadMessageFont waits
+ * @public registerMessageFonts(manifest?: FontManifest) → void
+ * @public isMessageFontLoaded(family: string, text?: string) → boolean
+ * @public loadMessageFont(family: string, options?: LoadOptions) → Promise<boolean>
+ *
+ * @typedef {Object} LoadOptions
+ * @property {string} [text] - Characters that need the font (default: Latin letters)
+ * @property {number} [timeoutMs] - Give up after this long (default FONT_LOAD_TIMEOUT_MS)
+ *
+ * @example
+ * import { registerMessageFonts, loadMessageFont } from './services/fontService.js';
+ *
+ * registerMessageFonts();
+ * const loaded = await loadMessageFont('Caveat', { text: 'Happy birthday!' });
+ * if (loaded) redrawPreview();
+ */
+
+import { FONT_MANIFEST } from '../core/fontManifest.js';
+
+// ========================================
+// DEBUG CONFIGURATION
+// ========================================
+
+const DEBUG = new URLSearchParams(window.location.search).has('cc_debug') || window.ccDebug === true;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  warn: (...args) => DEBUG && console.warn(...args),
+  error: (...args) => console.error(...args) // Always show errors
+};
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * How long loadMessageFont waits before drawing with the fallback fonts
+ * @type {number}
+ */
+export const FONT_LOAD_TIMEOUT_MS = 3000;
+
+// Font files sit next to cc-choice.js in the theme assets (its URL is only known while it runs)
+const ASSET_BASE_URL = document.currentScript && document.currentScript.src
+  ? new URL('.', document.currentScript.src).href
+  : '/assets/';
+
+// Stylesheet for message fonts that have no self-hosted files yet
+const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2';
+
+// Families already added to document.fonts
+const registeredFamilies = new Set();
+
+// Families served by Google Fonts → whether their stylesheet has loaded, and a promise for when it does
+const googleFamilies = new Map();
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * CSS font shorthand for checking and loading a family
+ * @private
+ */
+function fontQuery(family) {
+  return `16px "${family}"`;
+}
+
+/**
+ * Add one Google Fonts stylesheet for families without self-hosted files
+ *
+ * The stylesheet only declares the @font-face rules; files still download
+ * when text needs them. A failed stylesheet counts as loaded, leaving the
+ * fallback fonts.
+ *
+ * @private
+ */
+function loadGoogleFonts(families) {
+  const link = document.createElement('link');
+  link.rel = 'stylesheet';
+  link.href = `${GOOGLE_FONTS_CSS_URL}?${families.map(family => `family=${family.replace(/ /g, '+')}`).join('&')}&display=swap`;
+
+  const ready = new Promise(resolve => {
+    link.addEventListener('load', resolve);
+    link.addEventListener('error', resolve);
+  });
+  families.forEach(family => {
+    const entry = { loaded: false, ready };
+    ready.then(() => {
+      entry.loaded = true;
+    });
+    googleFamilies.set(family, entry);
+  });
+
+  document.head.appendChild(link);
+  debug.warn('[Font Service] No self-hosted files, using Google Fonts for:', families);
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Register the manifest's font files with the browser
+ *
+ * Families with no files are requested from Google Fonts instead. Safe to
+ * call repeatedly; each family is only added once.
+ *
+ * @param {{ fonts: Object.<string, import('../core/fontManifest.js').FontFile[]> }} [manifest] - Font manifest
+ */
+export function registerMessageFonts(manifest = FONT_MANIFEST) {
+  if (typeof FontFace === 'undefined' || !document.fonts) return;
+
+  const withoutFiles = [];
+
+  Object.entries(manifest.fonts).forEach(([family, files]) => {
+    if (registeredFamilies.has(family)) return;
+    registeredFamilies.add(family);
+
+    if (files.length === 0) {
+      withoutFiles.push(family);
+      return;
+    }
+
+    files.forEach(({ file, version, unicodeRange }) => {
+      const face = new FontFace(family, `url("${ASSET_BASE_URL}${file}?v=${version}") format("woff")`, {
+        unicodeRange,
+        display: 'swap'
+      });
+      document.fonts.add(face);
+    });
+  });
+
+  if (withoutFiles.length > 0) loadGoogleFonts(withoutFiles);
+
+  debug.log('[Font Service] Registered fonts:', Array.from(registeredFamilies));
+}
+
+/**
+ * Whether a family's files for some text have loaded
+ *
+ * True for unknown families too: there's nothing to wait for.
+ *
+ * @param {string} family - Message font
+ * @param {string} [text] - Characters to check
+ * @returns {boolean} True when the text can be drawn in the font now
+ */
+export function isMessageFontLoaded(family, text) {
+  if (!document.fonts) return true;
+
+  // Until the Google Fonts stylesheet arrives, check() can't see the family's faces
+  const google = googleFamilies.get(family);
+  if (google && !google.loaded) return false;
+
+  return document.fonts.check(fontQuery(family), text || undefined);
+}
+
+/**
+ * Load a message font for some text, giving up after a timeout
+ *
+ * Only the files whose unicode-range covers the text are fetched.
+ *
+ * @param {string} family - Message font
+ * @param {LoadOptions} [options] - Text and timeout
+ * @returns {Promise<boolean>} True once loaded; false for unknown fonts, failures and timeouts
+ *
+ * @example
+ * loadMessageFont('Noto Sans SC', { text: '生日快乐', timeoutMs: 5000 });
+ */
+export function loadMessageFont(family, { text, timeoutMs = FONT_LOAD_TIMEOUT_MS } = {}) {
+  registerMessageFonts();
+
+  if (!document.fonts || !registeredFamilies.has(family)) {
+    return Promise.resolve(false);
+  }
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      debug.warn('[Font Service] Timed out loading', family);
+      resolve(false);
+    }, timeoutMs);
+  });
+
+  const google = googleFamilies.get(family);
+  const load = (google ? google.ready : Promise.resolve())
+    .then(() => document.fonts.load(fontQuery(family), text || undefined))
+    .then(faces => faces.length > 0)
+    .catch(error => {
+      debug.warn('[Font Service] Could not load', family, error);
+      return false;
+    });
+
+  return Promise.race([load, timeout]).finally(() => clearTimeout(timer));
+}
@@ -2,9 +2,12 @@
  * Metafield Service
  *
  * @module services/metafieldService
- * @description Fetches Prodigi SKU metafields from Shopify Storefront API with sessionStorage caching
+ * @description Fetches Prodigi SKU, typography, front caption and photo card metafields from Shopify Storefront API with sessionStorage caching
  *
  * @public fetchVariantMetafields(handle: string) → Promise<VariantSkuMap>
+ * @public fetchTypographyOverrides(handle: string) → Promise<CatalogueSettings|null>
+ * @public fetchFrontCaptionMetafields(handle: string) → Promise<FrontCaptionMetafields|null>
+ * @public fetchPhotoCardMetafields(handle: string) → Promise<PhotoCardMetafields|null>
  * @public getVariantSkus(variantSkuMap: VariantSkuMap, variantId: string|number) → SkuPair | null
  *
  * @typedef {Object} SkuPair
@@ -13,6 +16,12 @@
  *
  * @typedef {Object.<string, SkuPair>} VariantSkuMap - Map of variant IDs to SKU pairs
  *
+ * @typedef {import('../core/typographyCatalogue.js').CatalogueSettings} CatalogueSettings
+ * @typedef {import('../core/frontCaption.js').FrontCaptionMetafields} FrontCaptionMetafields
+ *
+ * @typedef {Object} PhotoCardMetafields
+ * @property {boolean|string} [enabled] - custom.photo_card
+ *
  * @example
  * import { fetchVariantMetafields, getVariantSkus } from './services/metafieldService.js';
  *
@@ -43,6 +52,79 @@ const debug = {
  */
 const CACHE_TTL_MS = 30 * 60 * 1000;
 
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Product metafields in the "custom" namespace, cached in sessionStorage
+ *
+ * @private
+ * @param {string} handle - Product handle
+ * @param {string} cacheKey - sessionStorage key
+ * @param {Object.<string, string>} fields - Result key → metafield key
+ * @returns {Promise<Object.<string, string>|null>} Values by result key ('' when unset), null if the fetch failed
+ */
+async function fetchProductMetafields(handle, cacheKey, fields) {
+  const cached = sessionStorage.getItem(cacheKey);
+
+  if (cached) {
+    try {
+      const parsed = JSON.parse(cached);
+      if (Date.now() - parsed.timestamp < CACHE_TTL_MS) {
+        return parsed.data;
+      }
+    } catch (e) {
+      debug.warn('[CC Choice] Invalid metafield cache:', cacheKey, e);
+    }
+  }
+
+  try {
+    const selections = Object.entries(fields).map(([name, key]) => `
+          ${name}: metafield(namespace: "custom", key: ${JSON.stringify(key)}) {
+            value
+          }`).join('');
+    const query = `
+      {
+        product(handle: ${JSON.stringify(handle)}) {${selections}
+        }
+      }
+    `;
+
+    const response = await fetch('/api/2024-10/graphql.json', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ query: query })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Storefront API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (result.errors) {
+      debug.error('[CC Choice] GraphQL errors:', result.errors);
+      return null;
+    }
+
+    const product = result.data?.product;
+    const values = {};
+    Object.keys(fields).forEach(name => {
+      values[name] = product?.[name]?.value || '';
+    });
+
+    sessionStorage.setItem(cacheKey, JSON.stringify({ data: values, timestamp: Date.now() }));
+    return values;
+
+  } catch (error) {
+    debug.error('[CC Choice] Failed to fetch product metafields:', Object.values(fields).join(', '), error);
+    return null;
+  }
+}
+
 // ========================================
 // PUBLIC API
 // ========================================
@@ -171,6 +253,86 @@ export async function fetchVariantMetafields(handle) {
   }
 }
 
+/**
+ * Fetch a product's message font and ink colour lists
+ *
+ * Same sources as fetchVariantMetafields: Liquid-injected data
+ * (window.ccTypographyOverrides, from the card link), then the
+ * sessionStorage cache, then the Storefront API (custom.message_fonts and
+ * custom.ink_colours product metafields).
+ *
+ * @param {string} handle - Product handle
+ * @returns {Promise<CatalogueSettings|null>} Font and colour lines, null if none or the fetch failed
+ *
+ * @example
+ * const overrides = await fetchTypographyOverrides('christmas-robin');
+ * // Returns: { fonts: 'Great Vibes\nLora', colours: 'Gold: #B8860B' }
+ */
+export async function fetchTypographyOverrides(handle) {
+  if (window.ccTypographyOverrides && window.ccTypographyOverrides[handle]) {
+    debug.log('[CC Choice] Using Liquid-injected typography for:', handle);
+    return window.ccTypographyOverrides[handle];
+  }
+
+  return fetchProductMetafields(handle, `cc_typography_${handle}`, {
+    fonts: 'message_fonts',
+    colours: 'ink_colours'
+  });
+}
+
+/**
+ * Fetch a product's front caption metafields
+ *
+ * Same sources as fetchTypographyOverrides: window.ccFrontCaptionMetafields
+ * (from the card link), then the sessionStorage cache, then the Storefront
+ * API (custom.front_caption_enabled, custom.front_caption_limit and
+ * custom.front_caption_position).
+ *
+ * @param {string} handle - Product handle
+ * @returns {Promise<FrontCaptionMetafields|null>} Raw metafield values, null if the fetch failed
+ *
+ * @example
+ * const metafields = await fetchFrontCaptionMetafields('frog-birthday');
+ * // Returns: { enabled: 'true', limit: '30', position: 'top' }
+ */
+export async function fetchFrontCaptionMetafields(handle) {
+  if (window.ccFrontCaptionMetafields && window.ccFrontCaptionMetafields[handle]) {
+    debug.log('[CC Choice] Using Liquid-injected front caption settings for:', handle);
+    return window.ccFrontCaptionMetafields[handle];
+  }
+
+  return fetchProductMetafields(handle, `cc_front_caption_${handle}`, {
+    enabled: 'front_caption_enabled',
+    limit: 'front_caption_limit',
+    position: 'front_caption_position'
+  });
+}
+
+/**
+ * Fetch a product's photo card metafield
+ *
+ * Same sources as fetchFrontCaptionMetafields: window.ccPhotoCardMetafields
+ * (from the card link), then the sessionStorage cache, then the Storefront
+ * API (custom.photo_card).
+ *
+ * @param {string} handle - Product handle
+ * @returns {Promise<PhotoCardMetafields|null>} Raw metafield value, null if the fetch failed
+ *
+ * @example
+ * const metafields = await fetchPhotoCardMetafields('your-photo-birthday');
+ * // Returns: { enabled: 'true' }
+ */
+export async function fetchPhotoCardMetafields(handle) {
+  if (window.ccPhotoCardMetafields && window.ccPhotoCardMetafields[handle]) {
+    debug.log('[CC Choice] Using Liquid-injected photo card setting for:', handle);
+    return window.ccPhotoCardMetafields[handle];
+  }
+
+  return fetchProductMetafields(handle, `cc_photo_card_${handle}`, {
+    enabled: 'photo_card'
+  });
+}
+
 /**
  * Get SKU pair for a specific variant
  *
@@ -203,13 +365,15 @@ export function getVariantSkus(variantSkuMap, variantId) {
  */
 export function clearMetafieldCache(handle) {
   if (handle) {
-    const cacheKey = `prodigi_skus_${handle}`;
-    sessionStorage.removeItem(cacheKey);
+    sessionStorage.removeItem(`prodigi_skus_${handle}`);
+    sessionStorage.removeItem(`cc_typography_${handle}`);
+    sessionStorage.removeItem(`cc_front_caption_${handle}`);
+    sessionStorage.removeItem(`cc_photo_card_${handle}`);
   } else {
-    // Clear all prodigi_skus_* keys
+    // Clear all prodigi_skus_*, cc_typography_*, cc_front_caption_* and cc_photo_card_* keys
     const keys = Object.keys(sessionStorage);
     keys.forEach(key => {
-      if (key.startsWith('prodigi_skus_')) {
+      if (key.startsWith('prodigi_skus_') || key.startsWith('cc_typography_') || key.startsWith('cc_front_caption_') || key.startsWith('cc_photo_card_')) {
         sessionStorage.removeItem(key);
       }
     });
@@ -0,0 +1,123 @@
+/**
+ * Photo Service
+ *
+ * @module services/photoService
+ * @description Client for the photo uploads Cloudflare Worker (workers/photo-uploads.js)
+ *
+ * Set window.ccPhotoUploadUrl to use another endpoint, e.g. the local server
+ * from `npm run photos:dev` (scripts/photo-server.mjs).
+ *
+ * @public PHOTO_WORKER_URL - Photo uploads worker
+ * @public uploadPhoto(photo: Blob) → Promise<UploadedPhoto>
+ * @public getPhotoUrl(ref: string) → string
+ *
+ * @typedef {Object} UploadedPhoto
+ * @property {string} ref - Stored file reference (for the `_photo_ref` line property)
+ * @property {string} url - Where the stored photo can be viewed
+ *
+ * @example
+ * import { uploadPhoto } from './services/photoService.js';
+ *
+ * const { ref } = await uploadPhoto(jpegBlob);
+ * form.querySelector('[data-cc-photo-ref]').value = ref;
+ */
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+/**
+ * Cloudflare Worker URL for photo uploads
+ * @type {string}
+ */
+export const PHOTO_WORKER_URL = 'https://cute-cards-photos.josh-715.workers.dev';
+
+/**
+ * Request timeout in milliseconds (a few MB over a slow mobile connection)
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 60000;
+
+// ========================================
+// DEBUG CONFIGURATION
+// ========================================
+
+const DEBUG = new URLSearchParams(window.location.search).has('cc_debug') || window.ccDebug === true;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  error: (...args) => console.error(...args) // Always show errors
+};
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Worker base URL (window.ccPhotoUploadUrl overrides it for local testing)
+ * @private
+ */
+function workerUrl() {
+  return String(window.ccPhotoUploadUrl || PHOTO_WORKER_URL).replace(/\/+$/, '');
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Upload a cropped photo
+ *
+ * @param {Blob} photo - JPEG to store
+ * @returns {Promise<UploadedPhoto>} Stored file reference and its URL
+ * @throws {Error} With a message to show the customer if the upload fails
+ *
+ * @example
+ * const { ref, url } = await uploadPhoto(blob);
+ * // ref: '2026-10-18/6f1c…e2.jpg'
+ */
+export async function uploadPhoto(photo) {
+  debug.log('[Photo Service] Uploading photo:', photo.size, 'bytes');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${workerUrl()}/photos`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: photo,
+      signal: controller.signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ref) {
+      throw new Error(data.error || `Photo worker returned ${response.status}`);
+    }
+
+    debug.log('[Photo Service] Stored photo:', data.ref);
+    return { ref: data.ref, url: data.url || getPhotoUrl(data.ref) };
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      debug.error('[Photo Service] Upload timed out after', REQUEST_TIMEOUT_MS, 'ms');
+      throw new Error('Your photo is taking too long to upload. Please check your connection and try again.');
+    }
+
+    debug.error('[Photo Service] Upload failed:', error);
+    throw new Error('We couldn\'t upload your photo. Please try again.');
+
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * URL of a stored photo
+ *
+ * @param {string} ref - Stored file reference
+ * @returns {string} Photo URL
+ */
+export function getPhotoUrl(ref) {
+  return `${workerUrl()}/photos/${ref}`;
+}
@@ -4,7 +4,7 @@
  * @module utils/dialog
  * @description Custom confirmation dialog for destructive actions
  *
- * @public showConfirmDialog(title: string, message: string) → Promise<boolean>
+ * @public showConfirmDialog(title: string, message: string, confirmLabel?: string) → Promise<boolean>
  *
  * @example
  * import { showConfirmDialog } from './utils/dialog.js';
@@ -18,6 +18,8 @@
  * }
  */
 
+const DEFAULT_CONFIRM_LABEL = 'Clear message';
+
 /**
  * Creates the confirm dialog DOM structure
  * Only called once per page load; dialog is reused
@@ -43,7 +45,7 @@ function createConfirmDialog() {
       <p class="ccc__confirm-message">This will permanently delete your message. This action cannot be undone.</p>
       <div class="ccc__confirm-actions">
         <button type="button" class="ccc__confirm-btn ccc__confirm-btn--cancel">Cancel</button>
-        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--confirm">Clear message</button>
+        <button type="button" class="ccc__confirm-btn ccc__confirm-btn--confirm">${DEFAULT_CONFIRM_LABEL}</button>
       </div>
     </div>
   `;
@@ -56,9 +58,10 @@ function createConfirmDialog() {
  *
  * @param {string} title - Dialog title (optional, uses default if not provided)
  * @param {string} message - Dialog message (optional, uses default if not provided)
+ * @param {string} [confirmLabel] - Confirm button text (defaults to "Clear message")
  * @returns {Promise<boolean>} Resolves to true if confirmed, false if cancelled
  */
-export function showConfirmDialog(title, message) {
+export function showConfirmDialog(title, message, confirmLabel) {
   return new Promise((resolve) => {
     let confirmDialog = document.querySelector('.ccc__confirm-dialog');
 
@@ -74,6 +77,7 @@ export function showConfirmDialog(title, message) {
     const cancelBtn = confirmDialog.querySelector('.ccc__confirm-btn--cancel');
     const confirmBtn = confirmDialog.querySelector('.ccc__confirm-btn--confirm');
     const backdrop = confirmDialog.querySelector('.ccc__confirm-backdrop');
+    confirmBtn.textContent = confirmLabel || DEFAULT_CONFIRM_LABEL;
 
     confirmDialog.hidden = false;
 
@@ -0,0 +1,130 @@
+/**
+ * Image Utilities
+ *
+ * @module utils/image
+ * @description Decoding, cropping and JPEG compression of customer photos in the browser
+ *
+ * @public loadImageFile(file: File) → Promise<LoadedImage>
+ * @public drawCrop(canvas: HTMLCanvasElement, image: LoadedImage, state: CropState, rect: CropRect) → void
+ * @public canvasToJpeg(canvas: HTMLCanvasElement, maxBytes: number) → Promise<Blob>
+ *
+ * @typedef {Object} LoadedImage
+ * @property {ImageBitmap|HTMLImageElement} source - Decoded photo, camera orientation applied
+ * @property {number} width - Width (px)
+ * @property {number} height - Height (px)
+ *
+ * @typedef {import('../core/photoCard.js').CropState} CropState
+ * @typedef {import('../core/photoCard.js').CropRect} CropRect
+ *
+ * @example
+ * import { loadImageFile, drawCrop, canvasToJpeg } from './utils/image.js';
+ *
+ * const image = await loadImageFile(input.files[0]);
+ * canvas.width = 1819;
+ * canvas.height = 2551;
+ * drawCrop(canvas, image, crop, rect);
+ * const blob = await canvasToJpeg(canvas, 5 * 1024 * 1024);
+ */
+
+// JPEG qualities tried in turn until the file fits
+const JPEG_QUALITIES = [0.9, 0.82, 0.74, 0.66];
+
+// Shrink factor when even the lowest quality is too big
+const DOWNSCALE_STEP = 0.8;
+
+/**
+ * canvas.toBlob as a promise
+ * @private
+ */
+function toJpegBlob(canvas, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode photo'))), 'image/jpeg', quality);
+  });
+}
+
+/**
+ * Decode a photo file
+ *
+ * @param {File} file - Photo chosen by the customer
+ * @returns {Promise<LoadedImage>} Decoded photo
+ * @throws {Error} If the browser can't decode the file
+ */
+export async function loadImageFile(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height };
+    } catch (error) {
+      // Fall through to <img> (older Safari rejects the options object)
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.decoding = 'async';
+    image.src = url;
+    await image.decode();
+    return { source: image, width: image.naturalWidth, height: image.naturalHeight };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw the cropped, rotated photo to fill a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Target, already sized
+ * @param {LoadedImage} image - Decoded photo
+ * @param {CropState} state - Crop (for the rotation)
+ * @param {CropRect} rect - Crop window in the rotated photo
+ */
+export function drawCrop(canvas, image, state, rect) {
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingQuality = 'high';
+
+  // Crop window → canvas, then rotated photo space → original photo
+  ctx.scale(canvas.width / rect.width, canvas.height / rect.height);
+  ctx.translate(-rect.x, -rect.y);
+  if (state.rotation === 90) {
+    ctx.translate(image.height, 0);
+  } else if (state.rotation === 180) {
+    ctx.translate(image.width, image.height);
+  } else if (state.rotation === 270) {
+    ctx.translate(0, image.width);
+  }
+  ctx.rotate((state.rotation * Math.PI) / 180);
+
+  ctx.drawImage(image.source, 0, 0, image.width, image.height);
+  ctx.restore();
+}
+
+/**
+ * Encode a canvas as a JPEG no larger than maxBytes
+ *
+ * Lowers the quality first, then the size.
+ *
+ * @param {HTMLCanvasElement} canvas - Drawn photo
+ * @param {number} maxBytes - Largest acceptable file
+ * @returns {Promise<Blob>} JPEG
+ */
+export async function canvasToJpeg(canvas, maxBytes) {
+  let source = canvas;
+
+  for (;;) {
+    for (const quality of JPEG_QUALITIES) {
+      const blob = await toJpegBlob(source, quality);
+      if (blob.size <= maxBytes) return blob;
+    }
+
+    const smaller = document.createElement('canvas');
+    smaller.width = Math.max(1, Math.round(source.width * DOWNSCALE_STEP));
+    smaller.height = Math.max(1, Math.round(source.height * DOWNSCALE_STEP));
+    const ctx = smaller.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, smaller.width, smaller.height);
+    source = smaller;
+  }
+}
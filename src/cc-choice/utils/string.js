@@ -6,6 +6,7 @@
  *
  * @public normalizeText(text: string) → string
  * @public escapeHtml(text: string) → string
+ * @public escapeXml(text: string) → string
  *
  * @example
  * import { normalizeText, escapeHtml } from './utils/string.js';
@@ -45,3 +46,22 @@ export function escapeHtml(text) {
   div.textContent = text;
   return div.innerHTML;
 }
+
+/**
+ * Escape XML special characters without the DOM (safe in Node)
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} XML-safe text for element content and attribute values
+ *
+ * @example
+ * escapeXml('Tom & "Jerry"');
+ * // Returns: 'Tom &amp; &quot;Jerry&quot;'
+ */
+export function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,364 @@
+/**
+ * TrueType Utilities
+ *
+ * @module utils/truetype
+ * @description Reads the few TrueType tables needed to embed a font in a PDF, and subsets fonts for the web
+ *
+ * Covers metrics (head, hhea, hmtx, OS/2), the Unicode character map
+ * (cmap format 4) and the PostScript name. Fonts with CFF outlines (.otf
+ * starting with "OTTO") can't be embedded as TrueType and are rejected.
+ *
+ * subsetTrueType() empties the outlines one per-script font file doesn't
+ * need (glyf/loca); the build turns each subset into a theme asset.
+ *
+ * @public parseTrueType(bytes: Uint8Array) → TrueTypeFont
+ * @public subsetTrueType(bytes: Uint8Array, characters: SubsetCharacters) → Uint8Array
+ *
+ * @typedef {Object} TrueTypeFont
+ * @property {Uint8Array} bytes - Original font file
+ * @property {string} postscriptName - PostScript name (name ID 6)
+ * @property {number} unitsPerEm - Design units per em
+ * @property {number} ascent - Typographic ascent (design units)
+ * @property {number} descent - Typographic descent (design units, negative)
+ * @property {number} capHeight - Cap height (design units)
+ * @property {number[]} bbox - [xMin, yMin, xMax, yMax] (design units)
+ * @property {Function} glyph - (codePoint: number) → number; glyph ID, 0 if the font doesn't have it
+ * @property {Function} advance - (codePoint: number) → number; advance width in design units
+ * @property {Function} glyphAdvance - (glyph: number) → number; advance width of a glyph ID
+ *
+ * @typedef {Object} SubsetCharacters
+ * @property {number[]} keep - Code points the subset is for
+ * @property {number[]} drop - Code points other subsets serve
+ *
+ * @example
+ * import { parseTrueType } from './utils/truetype.js';
+ *
+ * const font = parseTrueType(new Uint8Array(fs.readFileSync('fonts/Lora-Regular.ttf')));
+ * font.advance('A'.codePointAt(0)) / font.unitsPerEm; // width of "A" in ems
+ */
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+// Composite glyph flags (glyf table)
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+/**
+ * Table directory entries, in file order
+ * @private
+ */
+function readTableRecords(view) {
+  const records = [];
+  const count = view.getUint16(4);
+
+  for (let i = 0; i < count; i++) {
+    const entry = 12 + i * 16;
+    const tag = String.fromCharCode(
+      view.getUint8(entry), view.getUint8(entry + 1), view.getUint8(entry + 2), view.getUint8(entry + 3)
+    );
+    records.push({ tag, offset: view.getUint32(entry + 8), length: view.getUint32(entry + 12) });
+  }
+
+  return records;
+}
+
+/**
+ * Table offsets by tag
+ * @private
+ */
+function readTables(view) {
+  const tables = {};
+  readTableRecords(view).forEach(({ tag, offset }) => { tables[tag] = offset; });
+  return tables;
+}
+
+/**
+ * Reject fonts without TrueType outlines
+ * @private
+ */
+function assertTrueType(view) {
+  const version = view.getUint32(0);
+  if (version !== 0x00010000 && version !== 0x74727565) {
+    throw new Error('Only TrueType-outline fonts (.ttf) can be embedded');
+  }
+}
+
+/**
+ * Glyph IDs a composite glyph is built from
+ * @private
+ */
+function readComponents(view, offset) {
+  const components = [];
+  let position = offset + 10;
+  let flags;
+
+  do {
+    flags = view.getUint16(position);
+    components.push(view.getUint16(position + 2));
+    position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) position += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) position += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) position += 8;
+  } while (flags & MORE_COMPONENTS);
+
+  return components;
+}
+
+/**
+ * Table checksum (sum of big-endian uint32s, zero-padded)
+ * @private
+ */
+function tableChecksum(bytes) {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+  return sum;
+}
+
+/**
+ * Assemble a font file from its tables
+ * @private
+ */
+function writeFont(tables) {
+  const tags = Object.keys(tables).sort();
+  const headerLength = 12 + tags.length * 16;
+  const length = tags.reduce((total, tag) => total + Math.ceil(tables[tag].length / 4) * 4, headerLength);
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+
+  const power = 2 ** Math.floor(Math.log2(tags.length));
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tags.length);
+  view.setUint16(6, power * 16);
+  view.setUint16(8, Math.log2(power));
+  view.setUint16(10, tags.length * 16 - power * 16);
+
+  let offset = headerLength;
+  tags.forEach((tag, i) => {
+    const entry = 12 + i * 16;
+    for (let j = 0; j < 4; j++) view.setUint8(entry + j, tag.charCodeAt(j));
+    view.setUint32(entry + 4, tableChecksum(tables[tag]));
+    view.setUint32(entry + 8, offset);
+    view.setUint32(entry + 12, tables[tag].length);
+    bytes.set(tables[tag], offset);
+    offset += Math.ceil(tables[tag].length / 4) * 4;
+  });
+
+  // head.checksumAdjustment makes the whole file sum to 0xB1B0AFBA
+  const headOffset = view.getUint32(12 + tags.indexOf('head') * 16 + 8);
+  view.setUint32(headOffset + 8, (0xB1B0AFBA - tableChecksum(bytes)) >>> 0);
+
+  return bytes;
+}
+
+/**
+ * Unicode → glyph ID from the Windows Unicode BMP cmap (format 4)
+ * @private
+ */
+function readCharacterMap(view, cmapOffset) {
+  const count = view.getUint16(cmapOffset + 2);
+  let subtable = null;
+
+  for (let i = 0; i < count; i++) {
+    const record = cmapOffset + 4 + i * 8;
+    const platform = view.getUint16(record);
+    const encoding = view.getUint16(record + 2);
+    const offset = cmapOffset + view.getUint32(record + 4);
+    if (view.getUint16(offset) === 4 && ((platform === 3 && encoding === 1) || platform === 0)) {
+      subtable = offset;
+      break;
+    }
+  }
+
+  if (subtable === null) return () => 0;
+
+  const segCount = view.getUint16(subtable + 6) / 2;
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+
+  return (codePoint) => {
+    if (codePoint > 0xFFFF) return 0;
+
+    for (let i = 0; i < segCount; i++) {
+      if (view.getUint16(endCodes + i * 2) < codePoint) continue;
+
+      const start = view.getUint16(startCodes + i * 2);
+      if (start > codePoint) return 0;
+
+      const delta = view.getInt16(idDeltas + i * 2);
+      const rangeOffsetAt = idRangeOffsets + i * 2;
+      const rangeOffset = view.getUint16(rangeOffsetAt);
+      if (rangeOffset === 0) return (codePoint + delta) & 0xFFFF;
+
+      const glyph = view.getUint16(rangeOffsetAt + rangeOffset + (codePoint - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+    }
+    return 0;
+  };
+}
+
+/**
+ * PostScript name (name ID 6), Windows (UTF-16) or Mac (ASCII) record
+ * @private
+ */
+function readPostscriptName(view, nameOffset) {
+  const count = view.getUint16(nameOffset + 2);
+  const strings = nameOffset + view.getUint16(nameOffset + 4);
+
+  for (let i = 0; i < count; i++) {
+    const record = nameOffset + 6 + i * 12;
+    if (view.getUint16(record + 6) !== 6) continue;
+
+    const platform = view.getUint16(record);
+    const length = view.getUint16(record + 8);
+    const start = strings + view.getUint16(record + 10);
+    const wide = platform === 3 || platform === 0;
+    let name = '';
+    for (let j = 0; j < length; j += wide ? 2 : 1) {
+      name += String.fromCharCode(wide ? view.getUint16(start + j) : view.getUint8(start + j));
+    }
+    return name.replace(/[^A-Za-z0-9-]/g, '');
+  }
+
+  return '';
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Parse a TrueType font file
+ *
+ * @param {Uint8Array} bytes - .ttf file contents
+ * @returns {TrueTypeFont} Metrics and character widths
+ * @throws {Error} If the file isn't a TrueType-outline font
+ */
+export function parseTrueType(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assertTrueType(view);
+
+  const tables = readTables(view);
+  ['head', 'hhea', 'hmtx', 'cmap'].forEach(tag => {
+    if (tables[tag] === undefined) throw new Error(`Font is missing its ${tag} table`);
+  });
+
+  const unitsPerEm = view.getUint16(tables.head + 18);
+  const bbox = [36, 38, 40, 42].map(offset => view.getInt16(tables.head + offset));
+  const ascent = view.getInt16(tables.hhea + 4);
+  const descent = view.getInt16(tables.hhea + 6);
+  const metricCount = view.getUint16(tables.hhea + 34);
+
+  // OS/2 version 2+ has sCapHeight
+  let capHeight = ascent;
+  if (tables['OS/2'] !== undefined && view.getUint16(tables['OS/2']) >= 2) {
+    capHeight = view.getInt16(tables['OS/2'] + 88);
+  }
+
+  const glyphFor = readCharacterMap(view, tables.cmap);
+  const advanceOf = (glyph) => view.getUint16(tables.hmtx + Math.min(glyph, metricCount - 1) * 4);
+
+  return {
+    bytes,
+    postscriptName: tables.name !== undefined ? readPostscriptName(view, tables.name) : '',
+    unitsPerEm,
+    ascent,
+    descent,
+    capHeight,
+    bbox,
+    glyph: glyphFor,
+    advance: (codePoint) => advanceOf(glyphFor(codePoint)),
+    glyphAdvance: advanceOf
+  };
+}
+
+/**
+ * Subset a font for one script's file
+ *
+ * Glyph IDs don't change, so hmtx, cmap, kerning and the OpenType layout
+ * tables stay valid. A glyph's outline is emptied only when every character
+ * that maps to it is in `drop` and none is in `keep`; unmapped glyphs
+ * (ligatures, alternates) and the parts of kept composite glyphs stay.
+ * Static fonts only: variable fonts keep their full gvar table.
+ *
+ * @param {Uint8Array} bytes - .ttf file contents
+ * @param {SubsetCharacters} characters - Code points to keep and to drop
+ * @returns {Uint8Array} Subset .ttf file
+ * @throws {Error} If the file isn't a TrueType-outline font
+ *
+ * @example
+ * const latin = subsetTrueType(bytes, { keep: latinCodePoints, drop: cyrillicCodePoints });
+ */
+export function subsetTrueType(bytes, { keep, drop }) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assertTrueType(view);
+
+  const records = readTableRecords(view);
+  const tables = readTables(view);
+  ['head', 'maxp', 'loca', 'glyf', 'cmap'].forEach(tag => {
+    if (tables[tag] === undefined) throw new Error(`Font is missing its ${tag} table`);
+  });
+
+  const glyphCount = view.getUint16(tables.maxp + 4);
+  const longOffsets = view.getInt16(tables.head + 50) === 1;
+  const glyphStart = (glyph) => tables.glyf + (longOffsets ? view.getUint32(tables.loca + glyph * 4) : view.getUint16(tables.loca + glyph * 2) * 2);
+  const glyphLength = (glyph) => glyphStart(glyph + 1) - glyphStart(glyph);
+
+  const glyphFor = readCharacterMap(view, tables.cmap);
+  const needed = new Set(keep.map(glyphFor));
+  const droppable = new Set(drop.map(glyphFor).filter(glyph => !needed.has(glyph)));
+  droppable.delete(0);
+
+  // Kept glyphs, then the parts of kept composites
+  const kept = new Set();
+  const queue = [];
+  for (let glyph = 0; glyph < glyphCount; glyph++) {
+    if (!droppable.has(glyph)) queue.push(glyph);
+  }
+  while (queue.length > 0) {
+    const glyph = queue.pop();
+    if (kept.has(glyph) || glyph >= glyphCount) continue;
+    kept.add(glyph);
+    if (glyphLength(glyph) > 0 && view.getInt16(glyphStart(glyph)) < 0) {
+      queue.push(...readComponents(view, glyphStart(glyph)));
+    }
+  }
+
+  // Rewrite glyf with long loca offsets
+  const glyphLengths = Array.from({ length: glyphCount }, (_, glyph) => (kept.has(glyph) ? Math.ceil(glyphLength(glyph) / 4) * 4 : 0));
+  const glyf = new Uint8Array(glyphLengths.reduce((total, length) => total + length, 0));
+  const loca = new Uint8Array((glyphCount + 1) * 4);
+  const locaView = new DataView(loca.buffer);
+  let offset = 0;
+  for (let glyph = 0; glyph < glyphCount; glyph++) {
+    locaView.setUint32(glyph * 4, offset);
+    if (glyphLengths[glyph] > 0) {
+      const start = glyphStart(glyph);
+      glyf.set(bytes.subarray(start, start + glyphLength(glyph)), offset);
+      offset += glyphLengths[glyph];
+    }
+  }
+  locaView.setUint32(glyphCount * 4, offset);
+
+  const output = {};
+  records.forEach(({ tag, offset: start, length }) => {
+    if (tag !== 'DSIG') output[tag] = bytes.slice(start, start + length);
+  });
+  output.glyf = glyf;
+  output.loca = loca;
+
+  const head = new DataView(output.head.buffer);
+  head.setUint32(8, 0);
+  head.setInt16(50, 1);
+
+  return writeFont(output);
+}
@@ -0,0 +1,162 @@
+/**
+ * Address Book Picker View
+ *
+ * @module views/addressBookPicker
+ * @description "Choose saved recipient" picker and save/delete controls for the recipient fields
+ *
+ * @public renderAddressBookPicker(recipients: SavedRecipient[]) → HTMLString
+ * @public bindAddressBookPicker(root: HTMLElement, callbacks: AddressBookCallbacks) → void
+ * @public readAddressBookChoice(root: HTMLElement) → AddressBookChoice
+ *
+ * @typedef {Object} AddressBookCallbacks
+ * @property {Function} onSelect - Called with the chosen recipient ID (or null for "new recipient"); returns the SavedRecipient
+ * @property {Function} onDelete - Called with a recipient ID; returns the updated recipient list
+ *
+ * @typedef {Object} AddressBookChoice
+ * @property {boolean} save - Whether to save/update the address after adding to basket
+ * @property {string|null} id - Selected saved recipient ID (edit) or null (new)
+ * @property {string} nickname - Name to save the recipient under
+ *
+ * @example
+ * import { renderAddressBookPicker, bindAddressBookPicker } from './views/addressBookPicker.js';
+ *
+ * container.insertAdjacentHTML('afterbegin', renderAddressBookPicker(listRecipients()));
+ * bindAddressBookPicker(container, {
+ *   onSelect: (id) => getRecipient(id),
+ *   onDelete: (id) => { deleteRecipient(id); return listRecipients(); }
+ * });
+ */
+
+import { escapeHtml } from '../utils/string.js';
+import { showConfirmDialog } from '../utils/dialog.js';
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Build <option> list for saved recipients
+ * @private
+ */
+function buildOptions(recipients) {
+  return `
+    <option value="">New recipient</option>
+    ${recipients.map(entry => `
+      <option value="${escapeHtml(entry.id)}">${escapeHtml(entry.nickname)}${entry.recipient.city ? ` – ${escapeHtml(entry.recipient.city)}` : ''}</option>
+    `).join('')}
+  `;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render the saved recipient picker and "save to address book" controls
+ *
+ * @param {Array<Object>} recipients - Saved recipients
+ * @returns {string} HTML string
+ */
+export function renderAddressBookPicker(recipients) {
+  return `
+    <div class="ccc__address-book" data-ccc-address-book>
+      <div class="cc-field" data-ccc-address-book-picker${recipients.length === 0 ? ' hidden' : ''}>
+        <label for="cc-saved-recipient" class="cc-label">Choose saved recipient</label>
+        <div class="ccc__address-book-row">
+          <select id="cc-saved-recipient" class="cc-input field__input" data-ccc-saved-recipient>
+            ${buildOptions(recipients)}
+          </select>
+          <button type="button" class="ccc__address-book-delete" data-ccc-saved-recipient-delete hidden>
+            Delete
+          </button>
+        </div>
+      </div>
+
+      <label class="ccc__address-book-save">
+        <input type="checkbox" data-ccc-saved-recipient-save>
+        <span data-ccc-saved-recipient-save-label>Save to my address book</span>
+      </label>
+      <input
+        type="text"
+        class="cc-input field__input ccc__address-book-nickname"
+        placeholder="Save as (e.g. Mum, Grandad)"
+        aria-label="Save recipient as"
+        data-ccc-saved-recipient-nickname
+        hidden
+      >
+    </div>
+  `;
+}
+
+/**
+ * Bind picker behaviour
+ *
+ * - Choosing a saved recipient calls onSelect and switches "save" to "update"
+ * - Delete asks for confirmation, then re-renders the options
+ * - Ticking "save" reveals the nickname input
+ *
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {AddressBookCallbacks} callbacks - Picker callbacks
+ */
+export function bindAddressBookPicker(root, callbacks) {
+  const container = root && root.querySelector('[data-ccc-address-book]');
+  if (!container) return;
+
+  const pickerField = container.querySelector('[data-ccc-address-book-picker]');
+  const select = container.querySelector('[data-ccc-saved-recipient]');
+  const deleteBtn = container.querySelector('[data-ccc-saved-recipient-delete]');
+  const saveCheckbox = container.querySelector('[data-ccc-saved-recipient-save]');
+  const saveLabel = container.querySelector('[data-ccc-saved-recipient-save-label]');
+  const nicknameInput = container.querySelector('[data-ccc-saved-recipient-nickname]');
+
+  const updateSaveControls = (entry) => {
+    saveLabel.textContent = entry ? `Update "${entry.nickname}" in my address book` : 'Save to my address book';
+    nicknameInput.value = entry ? entry.nickname : '';
+    deleteBtn.hidden = !entry;
+  };
+
+  select.addEventListener('change', () => {
+    const entry = callbacks.onSelect(select.value || null);
+    updateSaveControls(entry);
+  });
+
+  saveCheckbox.addEventListener('change', () => {
+    nicknameInput.hidden = !saveCheckbox.checked;
+    if (saveCheckbox.checked) nicknameInput.focus();
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    const option = select.selectedOptions[0];
+    if (!select.value || !option) return;
+
+    const confirmed = await showConfirmDialog(
+      'Delete saved recipient?',
+      `${option.textContent.trim()} will be removed from your address book.`,
+      'Delete recipient'
+    );
+    if (!confirmed) return;
+
+    const recipients = callbacks.onDelete(select.value);
+    select.innerHTML = buildOptions(recipients);
+    pickerField.hidden = recipients.length === 0;
+    updateSaveControls(null);
+  });
+}
+
+/**
+ * Read the customer's address book choice at submit time
+ *
+ * @param {HTMLElement} root - Element containing the picker
+ * @returns {AddressBookChoice} Current choice
+ */
+export function readAddressBookChoice(root) {
+  const container = root && root.querySelector('[data-ccc-address-book]');
+  if (!container) return { save: false, id: null, nickname: '' };
+
+  const select = container.querySelector('[data-ccc-saved-recipient]');
+  return {
+    save: container.querySelector('[data-ccc-saved-recipient-save]').checked,
+    id: (select && select.value) || null,
+    nickname: container.querySelector('[data-ccc-saved-recipient-nickname]').value.trim()
+  };
+}
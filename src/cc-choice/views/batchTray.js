@@ -0,0 +1,151 @@
+/**
+ * Batch Tray View
+ *
+ * @module views/batchTray
+ * @description "Send this design to several people" toggle and the list of saved copies
+ *
+ * Each saved copy is one basket line with its own message, typography and
+ * recipient. The copy currently in the form is not in the list until it is
+ * saved with "Save this copy & start another" or the basket button is pressed.
+ *
+ * @public renderBatchTray() → HTMLString
+ * @public bindBatchTray(root: HTMLElement, callbacks: BatchTrayCallbacks) → void
+ * @public updateBatchTray(root: HTMLElement, state: BatchTrayState) → void
+ *
+ * @typedef {Object} BatchTrayCallbacks
+ * @property {Function} onToggle - Called with true/false when multi-card mode is switched
+ * @property {Function} onAddCopy - "Save this copy & start another" clicked
+ * @property {Function} onEditCopy - Called with a copy index to move it back into the form
+ * @property {Function} onRemoveCopy - Called with a copy index to remove it
+ *
+ * @typedef {Object} BatchTrayState
+ * @property {boolean} enabled - Multi-card mode on/off
+ * @property {Array<{ summary: string, message: string }>} copies - Saved copies
+ * @property {Object.<number, string>} [errors] - Per-copy error messages keyed by index
+ * @property {number} price - Price of one card in pence
+ *
+ * @example
+ * import { renderBatchTray, bindBatchTray, updateBatchTray } from './views/batchTray.js';
+ *
+ * form.insertAdjacentHTML('beforeend', renderBatchTray());
+ * bindBatchTray(modal, { onToggle, onAddCopy, onEditCopy, onRemoveCopy });
+ * updateBatchTray(modal, { enabled: true, copies, errors: { 1: 'Postcode is required' }, price: 399 });
+ */
+
+import { escapeHtml } from '../utils/string.js';
+import { formatPrice } from '../utils/format.js';
+
+const MESSAGE_PREVIEW_LENGTH = 60;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Render one saved copy
+ * @private
+ */
+function renderCopy(copy, index, error) {
+  const preview = copy.message.length > MESSAGE_PREVIEW_LENGTH
+    ? `${copy.message.slice(0, MESSAGE_PREVIEW_LENGTH)}…`
+    : copy.message;
+
+  return `
+    <li class="ccc__batch-copy${error ? ' ccc__batch-copy--error' : ''}" data-ccc-batch-copy="${index}">
+      <div class="ccc__batch-copy-text">
+        <strong>Copy ${index + 1} · ${escapeHtml(copy.summary)}</strong>
+        <span>${preview ? `“${escapeHtml(preview)}”` : 'No message'}</span>
+        ${error ? `<p class="ccc__field-error" role="alert">${escapeHtml(error)}</p>` : ''}
+      </div>
+      <div class="ccc__batch-copy-actions">
+        <button type="button" data-ccc-batch-edit="${index}" aria-label="Edit copy ${index + 1}">Edit</button>
+        <button type="button" data-ccc-batch-remove="${index}" aria-label="Remove copy ${index + 1}">Remove</button>
+      </div>
+    </li>
+  `;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render the multi-card toggle and (empty) copy list
+ *
+ * @returns {string} HTML string
+ */
+export function renderBatchTray() {
+  return `
+    <div class="ccc__batch" data-ccc-batch>
+      <label class="ccc__batch-toggle">
+        <input type="checkbox" data-ccc-batch-toggle>
+        <span>Send this design to several people</span>
+      </label>
+
+      <div class="ccc__batch-panel" data-ccc-batch-panel hidden>
+        <p class="ccc__batch-hint">Each copy gets its own message and address. Save this one, then write the next.</p>
+        <ol class="ccc__batch-list" data-ccc-batch-list></ol>
+        <button type="button" class="ccc__batch-add" data-ccc-batch-add>
+          Save this copy &amp; start another
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Bind toggle, "save & start another", edit and remove buttons
+ *
+ * @param {HTMLElement} root - Element containing the tray (modal)
+ * @param {BatchTrayCallbacks} callbacks - Tray callbacks
+ */
+export function bindBatchTray(root, callbacks) {
+  const tray = root && root.querySelector('[data-ccc-batch]');
+  if (!tray) return;
+
+  const toggle = tray.querySelector('[data-ccc-batch-toggle]');
+  const addBtn = tray.querySelector('[data-ccc-batch-add]');
+  const list = tray.querySelector('[data-ccc-batch-list]');
+
+  toggle.addEventListener('change', () => callbacks.onToggle(toggle.checked));
+  addBtn.addEventListener('click', () => callbacks.onAddCopy());
+
+  list.addEventListener('click', (e) => {
+    const editBtn = e.target.closest('[data-ccc-batch-edit]');
+    const removeBtn = e.target.closest('[data-ccc-batch-remove]');
+
+    if (editBtn) {
+      callbacks.onEditCopy(parseInt(editBtn.dataset.cccBatchEdit, 10));
+    } else if (removeBtn) {
+      callbacks.onRemoveCopy(parseInt(removeBtn.dataset.cccBatchRemove, 10));
+    }
+  });
+}
+
+/**
+ * Re-render the copy list and the footer button label
+ *
+ * The copy in the form counts towards the total shown on the basket button.
+ *
+ * @param {HTMLElement} root - Element containing the tray and footer (modal)
+ * @param {BatchTrayState} state - Tray state
+ */
+export function updateBatchTray(root, state) {
+  const tray = root && root.querySelector('[data-ccc-batch]');
+  if (!tray) return;
+
+  const errors = state.errors || {};
+  tray.querySelector('[data-ccc-batch-toggle]').checked = state.enabled;
+  tray.querySelector('[data-ccc-batch-panel]').hidden = !state.enabled;
+  tray.querySelector('[data-ccc-batch-list]').innerHTML = state.copies
+    .map((copy, index) => renderCopy(copy, index, errors[index]))
+    .join('');
+
+  const cta = root.querySelector('[data-ccc-footer-cta]');
+  if (cta) {
+    const count = state.enabled ? state.copies.length + 1 : 1;
+    cta.textContent = count > 1
+      ? `Add ${count} cards to basket · ${formatPrice(state.price * count)}`
+      : `Add to basket · ${formatPrice(state.price)}`;
+  }
+}
@@ -38,6 +38,7 @@
 
 import { formatPrice } from '../utils/format.js';
 import { escapeHtml } from '../utils/string.js';
+import { resolveCardFormat, formatCardDimensions } from '../core/cardInterior.js';
 
 // ========================================
 // DEBUG CONFIGURATION
@@ -101,25 +102,8 @@ function getDescriptiveLabel(sizeValue) {
  * @private
  */
 function getDimensions(sizeValue) {
-  const sizeLower = sizeValue.toLowerCase();
-
-  const dimensionsMap = {
-    'standard': '132 × 185mm (5.2" × 7.3")',
-    'large': '205 × 290mm (8.1" × 11.4")',
-    'giant': '293 × 419mm (11.5" × 16.5")',
-    'small': '105 × 148mm (4.1" × 5.8")',
-    'a5': '148 × 210mm (5.8" × 8.3")',
-    'a4': '210 × 297mm (8.3" × 11.7")',
-    'a6': '105 × 148mm (4.1" × 5.8")'
-  };
-
-  for (const [key, dimensions] of Object.entries(dimensionsMap)) {
-    if (sizeLower.includes(key)) {
-      return dimensions;
-    }
-  }
-
-  return ''; // No dimensions found
+  const format = resolveCardFormat(sizeValue);
+  return format ? formatCardDimensions(format) : ''; // No dimensions found
 }
 
 /**
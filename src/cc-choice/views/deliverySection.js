@@ -5,6 +5,14 @@
  * @description Renders delivery method toggle and recipient address fields
  *
  * @public renderDeliverySection(config: DeliverySectionConfig) → HTMLString
+ * @public renderRecipientFields() → HTMLString
+ * @public fillRecipientFields(root: HTMLElement, recipient: object) → void
+ * @public applyAddressRules(root: HTMLElement, countryCode: string) → void
+ * @public showRecipientErrors(root: HTMLElement, errors: object) → void
+ * @public bindRecipientFields(root: HTMLElement) → void
+ *
+ * Field names, labels and delivery values come from core/deliverySchema.js;
+ * per-country labels and requirements come from core/addressRules.js.
  *
  * @typedef {Object} DeliverySectionConfig
  * @property {Object} variantSkus - { sku_bla, sku_dir } for selected variant
@@ -20,6 +28,17 @@
  * // Returns: empty string if no sku_dir (Mail2Me only)
  */
 
+import {
+  DELIVERY_METHODS,
+  DELIVERY_METHOD_PROPERTY,
+  DELIVERY_OPTIONS,
+  RECIPIENT_FIELDS,
+  RECIPIENT_COUNTRIES,
+  getFieldName
+} from '../core/deliverySchema.js';
+import { getAddressRules, normalizeRecipient } from '../core/addressRules.js';
+import { escapeHtml } from '../utils/string.js';
+
 // ========================================
 // DEBUG CONFIGURATION
 // ========================================
@@ -30,10 +49,223 @@ const debug = {
   log: (...args) => DEBUG && console.log(...args)
 };
 
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Label text with required marker
+ * @private
+ */
+function labelHTML(rule) {
+  return `${escapeHtml(rule.label)}${rule.required ? ' <span class="required">*</span>' : ' (optional)'}`;
+}
+
+/**
+ * Render a single recipient field from its schema definition
+ * @private
+ */
+function renderRecipientField(field, rule) {
+  const id = `cc-recipient-${field.key}`;
+  const errorId = `${id}-error`;
+  const requiredAttr = rule.required ? 'data-ccc-recipient-field' : '';
+
+  const control = field.type === 'select'
+    ? `
+          <select
+            id="${id}"
+            class="cc-input field__input"
+            name="${getFieldName(field.property)}"
+            autocomplete="${field.autocomplete}"
+            aria-describedby="${errorId}"
+            data-ccc-recipient-key="${field.key}"
+            ${requiredAttr}
+          >
+            ${RECIPIENT_COUNTRIES.map(country => `
+              <option value="${country.code}"${country.code === field.defaultValue ? ' selected' : ''}>${escapeHtml(country.name)}</option>
+            `).join('')}
+          </select>`
+    : `
+          <input
+            id="${id}"
+            class="cc-input field__input"
+            type="text"
+            name="${getFieldName(field.property)}"
+            autocomplete="${field.autocomplete}"
+            aria-describedby="${errorId}"
+            data-ccc-recipient-key="${field.key}"
+            ${requiredAttr}
+          >`;
+
+  return `
+        <div class="cc-field" data-ccc-recipient-row="${field.key}"${rule.hidden ? ' hidden' : ''}>
+          <label for="${id}" class="cc-label" data-ccc-recipient-label>
+            ${labelHTML(rule)}
+          </label>${control}
+          <p id="${errorId}" class="ccc__field-error" data-ccc-field-error hidden></p>
+        </div>`;
+}
+
 // ========================================
 // PUBLIC API
 // ========================================
 
+/**
+ * Render recipient address fields
+ *
+ * Used both by the delivery section and the personaliser form.
+ * City and postcode share a row.
+ *
+ * @returns {string} HTML string for recipient fields
+ */
+export function renderRecipientFields() {
+  const countryField = RECIPIENT_FIELDS.find(field => field.key === 'country');
+  const rules = getAddressRules(countryField.defaultValue);
+
+  return RECIPIENT_FIELDS.map(field => {
+    const html = renderRecipientField(field, rules[field.key]);
+    if (field.key === 'city') {
+      return `<div class="ccc__field-group">${html}`;
+    }
+    if (field.key === 'postcode') {
+      return `${html}</div>`;
+    }
+    return html;
+  }).join('');
+}
+
+/**
+ * Fill recipient fields from saved delivery details
+ *
+ * Missing values clear the field (or reset it to the schema default).
+ *
+ * @param {HTMLElement} root - Element containing the recipient fields
+ * @param {Object.<string, string>} recipient - Recipient values keyed by schema key
+ */
+export function fillRecipientFields(root, recipient) {
+  if (!root || !recipient) return;
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const input = root.querySelector(`[data-ccc-recipient-key="${field.key}"]`);
+    if (input) {
+      input.value = recipient[field.key] || field.defaultValue || '';
+    }
+  });
+
+  applyAddressRules(root, recipient.country);
+}
+
+/**
+ * Update labels, required markers and visibility for a country
+ *
+ * @param {HTMLElement} root - Element containing the recipient fields
+ * @param {string} countryCode - ISO country code
+ */
+export function applyAddressRules(root, countryCode) {
+  if (!root) return;
+
+  const rules = getAddressRules(countryCode);
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const row = root.querySelector(`[data-ccc-recipient-row="${field.key}"]`);
+    if (!row) return;
+
+    const rule = rules[field.key];
+    const input = row.querySelector('[data-ccc-recipient-key]');
+    const label = row.querySelector('[data-ccc-recipient-label]');
+
+    row.hidden = rule.hidden;
+    if (label) label.innerHTML = labelHTML(rule);
+    if (input) input.toggleAttribute('data-ccc-recipient-field', rule.required && !rule.hidden);
+  });
+}
+
+/**
+ * Show inline errors next to recipient fields (clears fields without an error)
+ *
+ * Focuses the first invalid field.
+ *
+ * @param {HTMLElement} root - Element containing the recipient fields
+ * @param {Object.<string, string>} errors - Error messages keyed by schema key
+ */
+export function showRecipientErrors(root, errors) {
+  if (!root) return;
+
+  let firstInvalid = null;
+
+  RECIPIENT_FIELDS.forEach(field => {
+    const row = root.querySelector(`[data-ccc-recipient-row="${field.key}"]`);
+    if (!row) return;
+
+    const input = row.querySelector('[data-ccc-recipient-key]');
+    const errorEl = row.querySelector('[data-ccc-field-error]');
+    const message = errors[field.key] || '';
+
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+    if (input) {
+      input.classList.toggle('cc-input--invalid', Boolean(message));
+      input.setAttribute('aria-invalid', message ? 'true' : 'false');
+      if (message && !firstInvalid) firstInvalid = input;
+    }
+  });
+
+  if (firstInvalid) {
+    firstInvalid.focus();
+  }
+}
+
+/**
+ * Bind recipient field behaviour
+ *
+ * - Country change re-applies labels/required fields
+ * - Blur normalizes the value for the selected country (e.g. upper-case postcodes)
+ * - Typing clears that field's inline error
+ *
+ * @param {HTMLElement} root - Element containing the recipient fields
+ */
+export function bindRecipientFields(root) {
+  if (!root) return;
+
+  const countrySelect = root.querySelector('[data-ccc-recipient-key="country"]');
+  const currentRecipient = () => {
+    const recipient = {};
+    root.querySelectorAll('[data-ccc-recipient-key]').forEach(input => {
+      recipient[input.dataset.cccRecipientKey] = input.value;
+    });
+    return recipient;
+  };
+
+  if (countrySelect) {
+    countrySelect.addEventListener('change', () => {
+      applyAddressRules(root, countrySelect.value);
+      showRecipientErrors(root, {});
+    });
+    applyAddressRules(root, countrySelect.value);
+  }
+
+  root.querySelectorAll('[data-ccc-recipient-key]').forEach(input => {
+    input.addEventListener('input', () => {
+      const row = input.closest('[data-ccc-recipient-row]');
+      const errorEl = row && row.querySelector('[data-ccc-field-error]');
+      if (errorEl) errorEl.hidden = true;
+      input.classList.remove('cc-input--invalid');
+      input.removeAttribute('aria-invalid');
+    });
+
+    input.addEventListener('blur', () => {
+      if (!input.value) return;
+      const normalized = normalizeRecipient(currentRecipient());
+      const value = normalized[input.dataset.cccRecipientKey];
+      if (value !== undefined && value !== input.value) {
+        input.value = value;
+      }
+    });
+  });
+}
+
 /**
  * Render delivery method section with recipient address fields
  *
@@ -64,126 +296,27 @@ export function renderDeliverySection({ variantSkus }) {
       <h3 class="ccc__delivery-heading">Delivery Options</h3>
 
       <div class="ccc__delivery-options">
-        <label class="ccc__delivery-option">
-          <input
-            type="radio"
-            name="delivery_method"
-            value="Mail2Me"
-            data-ccc-delivery-radio
-            checked
-          >
-          <div class="ccc__delivery-option-content">
-            <span class="ccc__delivery-option-title">Post to me</span>
-            <span class="ccc__delivery-option-desc">Sent to you with blank envelope</span>
-          </div>
-        </label>
-
-        <label class="ccc__delivery-option">
-          <input
-            type="radio"
-            name="delivery_method"
-            value="Mail4Me"
-            data-ccc-delivery-radio
-          >
-          <div class="ccc__delivery-option-content">
-            <span class="ccc__delivery-option-title">Send direct to recipient</span>
-            <span class="ccc__delivery-option-desc">We'll post it directly for you</span>
-          </div>
-        </label>
+        ${DELIVERY_OPTIONS.map(option => `
+          <label class="ccc__delivery-option">
+            <input
+              type="radio"
+              name="${getFieldName(DELIVERY_METHOD_PROPERTY)}"
+              value="${option.value}"
+              data-ccc-delivery-radio
+              ${option.value === DELIVERY_METHODS.MAIL_TO_ME ? 'checked' : ''}
+            >
+            <div class="ccc__delivery-option-content">
+              <span class="ccc__delivery-option-title">${escapeHtml(option.title)}</span>
+              <span class="ccc__delivery-option-desc">${escapeHtml(option.description)}</span>
+            </div>
+          </label>
+        `).join('')}
       </div>
 
       <!-- Recipient Address Fields (hidden by default) -->
       <div class="ccc__recipient-fields" data-ccc-recipient-fields hidden>
         <h4 class="ccc__recipient-heading">Recipient Details</h4>
-
-        <div class="cc-field">
-          <label for="cc-recipient-name" class="cc-label">
-            Recipient Name <span class="required">*</span>
-          </label>
-          <input
-            id="cc-recipient-name"
-            class="cc-input field__input"
-            type="text"
-            name="properties[Recipient Name]"
-            data-ccc-recipient-field
-          >
-        </div>
-
-        <div class="cc-field">
-          <label for="cc-recipient-address1" class="cc-label">
-            Address Line 1 <span class="required">*</span>
-          </label>
-          <input
-            id="cc-recipient-address1"
-            class="cc-input field__input"
-            type="text"
-            name="properties[Recipient Address 1]"
-            data-ccc-recipient-field
-          >
-        </div>
-
-        <div class="cc-field">
-          <label for="cc-recipient-address2" class="cc-label">
-            Address Line 2 (optional)
-          </label>
-          <input
-            id="cc-recipient-address2"
-            class="cc-input field__input"
-            type="text"
-            name="properties[Recipient Address 2]"
-          >
-        </div>
-
-        <div class="ccc__field-group">
-          <div class="cc-field">
-            <label for="cc-recipient-city" class="cc-label">
-              City <span class="required">*</span>
-            </label>
-            <input
-              id="cc-recipient-city"
-              class="cc-input field__input"
-              type="text"
-              name="properties[Recipient City]"
-              data-ccc-recipient-field
-            >
-          </div>
-
-          <div class="cc-field">
-            <label for="cc-recipient-postcode" class="cc-label">
-              Postcode <span class="required">*</span>
-            </label>
-            <input
-              id="cc-recipient-postcode"
-              class="cc-input field__input"
-              type="text"
-              name="properties[Recipient Postcode]"
-              data-ccc-recipient-field
-            >
-          </div>
-        </div>
-
-        <div class="cc-field">
-          <label for="cc-recipient-country" class="cc-label">
-            Country <span class="required">*</span>
-          </label>
-          <select
-            id="cc-recipient-country"
-            class="cc-input field__input"
-            name="properties[Recipient Country]"
-            data-ccc-recipient-field
-          >
-            <option value="GB">United Kingdom</option>
-            <option value="US">United States</option>
-            <option value="CA">Canada</option>
-            <option value="AU">Australia</option>
-            <option value="FR">France</option>
-            <option value="DE">Germany</option>
-            <option value="IT">Italy</option>
-            <option value="ES">Spain</option>
-            <option value="NL">Netherlands</option>
-            <option value="IE">Ireland</option>
-          </select>
-        </div>
+        ${renderRecipientFields()}
       </div>
     </div>
   `;
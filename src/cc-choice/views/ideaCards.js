@@ -0,0 +1,172 @@
+/**
+ * Idea Cards View
+ *
+ * @module views/ideaCards
+ * @description AI message ideas with "Use this", "Copy", quick changes and a free-text tweak
+ *
+ * Each card can be refined again and again ("Funnier", "Shorter", "mention
+ * the dog"); its earlier versions are kept so the customer can step back
+ * with "Undo". Cards are re-rendered one at a time, so a tweak being typed
+ * on one card survives another card updating.
+ *
+ * @public renderIdeaCards(ideas: IdeaCard[]) → HTMLString
+ * @public updateIdeaCard(root: HTMLElement, index: number, idea: IdeaCard) → void
+ * @public bindIdeaCards(root: HTMLElement, callbacks: IdeaCardCallbacks) → void
+ *
+ * @typedef {Object} IdeaCard
+ * @property {string} message - Current version
+ * @property {string} tone - IDEA_TONES key
+ * @property {string} length - 'short' | 'medium' | 'long'
+ * @property {Array<{ message: string, instruction: string }>} history - Earlier versions, oldest first
+ * @property {boolean} [pending] - A change is on its way
+ * @property {string} [error] - Why the last change didn't apply
+ *
+ * @typedef {Object} IdeaCardCallbacks
+ * @property {Function} onUse - Called with a card index to put its message on the card
+ * @property {Function} onCopy - Called with a card index; resolves true once copied
+ * @property {Function} onRefine - Called with a card index and an IDEA_REFINEMENTS key or the customer's words
+ * @property {Function} onUndo - Called with a card index to go back a version
+ *
+ * @example
+ * import { renderIdeaCards, updateIdeaCard, bindIdeaCards } from './views/ideaCards.js';
+ *
+ * results.innerHTML = renderIdeaCards(ideas);
+ * bindIdeaCards(results, { onUse, onCopy, onRefine, onUndo });
+ * updateIdeaCard(results, 1, { ...ideas[1], pending: true });
+ */
+
+import { escapeHtml } from '../utils/string.js';
+import { IDEA_TONES, IDEA_LENGTHS, IDEA_REFINEMENTS, REFINE_INSTRUCTION_MAX_LENGTH } from '../core/messageIdeas.js';
+
+const COPIED_RESET_MS = 2000;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * Render one idea
+ * @private
+ */
+function renderIdeaCard(idea, index) {
+  const disabled = idea.pending ? ' disabled' : '';
+  const label = [
+    IDEA_TONES[idea.tone],
+    IDEA_LENGTHS[idea.length],
+    idea.history.length ? `Version ${idea.history.length + 1}` : ''
+  ].filter(Boolean).join(' · ');
+
+  return `
+    <div class="ccc__ai-suggestion-card${idea.pending ? ' ccc__ai-suggestion-card--pending' : ''}" data-ai-idea="${index}" aria-busy="${Boolean(idea.pending)}">
+      <p class="ccc__ai-suggestion-label">${escapeHtml(label)}</p>
+      <p class="ccc__ai-suggestion-text">${escapeHtml(idea.message)}</p>
+      <div class="ccc__ai-suggestion-actions">
+        <button type="button" class="ccc__ai-use-btn" data-ai-use="${index}"${disabled}>
+          Use this
+        </button>
+        <button type="button" class="ccc__ai-copy-btn" data-ai-copy="${index}"${disabled}>
+          Copy
+        </button>
+        ${idea.history.length ? `
+          <button type="button" class="ccc__ai-copy-btn" data-ai-undo="${index}"${disabled}>
+            Undo
+          </button>
+        ` : ''}
+      </div>
+      <div class="ccc__ai-refine" role="group" aria-label="Change this idea">
+        ${Object.entries(IDEA_REFINEMENTS).map(([value, { label: chipLabel }]) => `
+          <button type="button" class="ccc__ai-chip" data-ai-refine="${value}"${disabled}>${chipLabel}</button>
+        `).join('')}
+        <div class="ccc__ai-tweak">
+          <input
+            type="text"
+            class="ccc__ai-input ccc__ai-tweak-input"
+            placeholder="Or say what to change, e.g. mention the dog"
+            aria-label="What to change"
+            maxlength="${REFINE_INSTRUCTION_MAX_LENGTH}"
+            data-ai-tweak-input
+            ${disabled}
+          >
+          <button type="button" class="ccc__ai-copy-btn" data-ai-tweak${disabled}>Change</button>
+        </div>
+      </div>
+      ${idea.pending ? '<p class="ccc__ai-refine-status" role="status">Reworking this idea…</p>' : ''}
+      ${idea.error ? `<p class="ccc__ai-refine-status ccc__ai-refine-status--error" role="alert">${escapeHtml(idea.error)}</p>` : ''}
+    </div>
+  `;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render every idea
+ *
+ * @param {IdeaCard[]} ideas - Ideas to show
+ * @returns {string} HTML string
+ */
+export function renderIdeaCards(ideas) {
+  return ideas.map(renderIdeaCard).join('');
+}
+
+/**
+ * Re-render one idea in place
+ *
+ * @param {HTMLElement} root - Element containing the cards
+ * @param {number} index - Card index
+ * @param {IdeaCard} idea - Idea to show
+ */
+export function updateIdeaCard(root, index, idea) {
+  const card = root && root.querySelector(`[data-ai-idea="${index}"]`);
+  if (card) card.outerHTML = renderIdeaCard(idea, index);
+}
+
+/**
+ * Bind use, copy, quick change, tweak and undo buttons
+ *
+ * Enter in the tweak field sends it (rather than submitting the form).
+ *
+ * @param {HTMLElement} root - Element containing the cards
+ * @param {IdeaCardCallbacks} callbacks - Card callbacks
+ */
+export function bindIdeaCards(root, callbacks) {
+  if (!root) return;
+
+  const sendTweak = (card) => {
+    const input = card.querySelector('[data-ai-tweak-input]');
+    const instruction = input ? input.value.trim() : '';
+    if (instruction) callbacks.onRefine(parseInt(card.dataset.aiIdea, 10), instruction);
+  };
+
+  root.addEventListener('click', async (e) => {
+    const card = e.target.closest('[data-ai-idea]');
+    const button = e.target.closest('button');
+    if (!card || !button || button.disabled) return;
+
+    const index = parseInt(card.dataset.aiIdea, 10);
+
+    if (button.hasAttribute('data-ai-use')) {
+      callbacks.onUse(index);
+    } else if (button.hasAttribute('data-ai-copy')) {
+      if (await callbacks.onCopy(index)) {
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+          button.textContent = 'Copy';
+        }, COPIED_RESET_MS);
+      }
+    } else if (button.dataset.aiRefine) {
+      callbacks.onRefine(index, button.dataset.aiRefine);
+    } else if (button.hasAttribute('data-ai-tweak')) {
+      sendTweak(card);
+    } else if (button.hasAttribute('data-ai-undo')) {
+      callbacks.onUndo(index);
+    }
+  });
+
+  root.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || !e.target.matches('[data-ai-tweak-input]')) return;
+    e.preventDefault();
+    sendTweak(e.target.closest('[data-ai-idea]'));
+  });
+}
@@ -2,25 +2,69 @@
  * Message Field / Card Preview
  *
  * @module views/messageField
- * @description Canvas-based card interior preview with live text rendering
+ * @description Canvas-based card interior preview with live text rendering, plus the message fit notice
  *
- * @public loadAllGoogleFonts() → Promise<void>
- * @public initializeCardPreview(modal: HTMLElement) → void
- * @public renderCardPreview(modal: HTMLElement, message: string, fontFamily: string, fontSize: string, textColor: string) → void
+ * The canvas draws from the same millimetre layout as the print files
+ * (core/cardInterior.js), scaled to the canvas width.
  *
- * @example
- * import { loadAllGoogleFonts, initializeCardPreview, renderCardPreview } from './views/messageField.js';
+ * When the message doesn't fit the printed card (core/messageFit.js), the
+ * text that won't print is highlighted inline in the message field (via a
+ * mirrored backdrop behind the transparent textarea) and a notice offers
+ * "Shrink to fit" and "Show me what's cut". The left-page note is checked
+ * and highlighted the same way, in its own field.
+ *
+ * Text is drawn with the chosen font followed by per-script fallbacks
+ * (core/fontCoverage.js), so emoji and non-Latin letters show instead of
+ * tofu boxes. Characters the chosen font can't print get their own notice,
+ * with a switch to a font that has them.
+ *
+ * Fonts are self-hosted and loaded lazily (services/fontService.js): the
+ * preview draws straight away in the fallback fonts and redraws once the
+ * chosen font's files for the message have arrived.
+ *
+ * Spelling and blocked words (core/messageCheck.js) are checked when a
+ * field loses focus and before adding to basket; a third notice lists the
+ * flagged words with one-tap suggestions.
+ *
+ * @public initializeCardPreview(modal: HTMLElement, format?: CardFormat|string) → void
+ * @public renderCardPreview(modal: HTMLElement, message: string, fontFamily: string, fontSize: string, textColor: string, format?: CardFormat|string, options?: PreviewOptions) → void
+ * @public renderMessageFit(modal: HTMLElement, fit: MessageFit|null) → void
+ * @public selectCutText(modal: HTMLElement, fit: MessageFit) → void
+ * @public renderUnprintable(modal: HTMLElement, unprintable: Unprintable|null, fontFamily: string) → void
+ * @public renderMessageCheck(modal: HTMLElement, check: MessageCheck|null) → void
+ *
+ * @typedef {Object} PreviewOptions
+ * @property {string} [leftMessage] - Left-page note
+ * @property {string} [align] - 'left' | 'center' | 'right'
+ * @property {string} [lineSpacing] - 'compact' | 'normal' | 'relaxed'
  *
- * // Load fonts on page load
- * loadAllGoogleFonts();
+ * @typedef {Object} MessageCheck
+ * @property {FlaggedWord[]} misspellings - Possible misspellings across the fields
+ * @property {string|null} blocked - Blocked word message (see checkBlockedWords), null if none
+ * @property {boolean} [submitting] - Checked on "Add to basket"; asks the customer to review first
+ *
+ * @typedef {Object} FlaggedWord
+ * @property {string} field - 'message' | 'left' | 'front'
+ * @property {string} word - Word as typed
+ * @property {number} index - Where it starts in the field
+ * @property {string[]} suggestions - Replacements, best first
+ *
+ * @example
+ * import { initializeCardPreview, renderCardPreview } from './views/messageField.js';
  *
  * // Initialize canvas when personaliser view loads
- * initializeCardPreview(modalElement);
+ * initializeCardPreview(modalElement, 'A5');
  *
  * // Re-render on message/font changes
- * renderCardPreview(modalElement, message, 'Playfair Display', 'medium', '#1A1A1A');
+ * renderCardPreview(modalElement, message, 'Playfair Display', 'medium', '#1A1A1A', 'A5');
  */
 
+import { layoutCardInterior } from '../core/cardInterior.js';
+import { FIT_STATUS } from '../core/messageFit.js';
+import { fontStack, describeUnprintable } from '../core/fontCoverage.js';
+import { registerMessageFonts, isMessageFontLoaded, loadMessageFont } from '../services/fontService.js';
+import { escapeHtml } from '../utils/string.js';
+
 // ========================================
 // DEBUG CONFIGURATION
 // ========================================
@@ -33,119 +77,105 @@ const debug = {
   error: (...args) => console.error(...args)
 };
 
+// Canvas text alignment for each SVG-style text anchor
+const CANVAS_ALIGN = { start: 'left', middle: 'center', end: 'right' };
+
+// Canvas width in pixels (high DPI for crisp text); height follows the card's proportions
+const CANVAS_WIDTH = 1400;
+
+// Field names in the spelling list (the inside message needs none)
+const CHECK_FIELD_LABELS = { left: 'Left page', front: 'Front caption' };
+
+// Latest renderCardPreview arguments per modal, for redrawing when a font arrives
+const latestPreview = new WeakMap();
+
+// Spelling list markup per notice; unchanged lists aren't redrawn, so a
+// suggestion tapped as its field blurs (and is re-checked) still gets the click
+const renderedSpelling = new WeakMap();
+
 // ========================================
-// PUBLIC API
+// PRIVATE HELPERS
 // ========================================
 
 /**
- * Load all Google Fonts used in font picker
- *
- * Loads all 12 fonts at once so they're available immediately in the dropdown.
- * Returns promise that resolves when fonts are ready.
- *
- * @returns {Promise<void>} Promise that resolves when fonts loaded
- *
- * @example
- * await loadAllGoogleFonts();
- * // All fonts now available for rendering
+ * Match the canvas to the opened card's proportions
+ * @private
  */
-export function loadAllGoogleFonts() {
-  // Load all fonts at once so dropdown shows them properly
-  const fonts = [
-    'Playfair+Display',
-    'Dancing+Script',
-    'Pacifico',
-    'Great+Vibes',
-    'Caveat',
-    'Permanent+Marker',
-    'Shadows+Into+Light',
-    'Cookie',
-    'Satisfy',
-    'Indie+Flower',
-    'Lora',
-    'Crimson+Text'
-  ];
-
-  const link = document.createElement('link');
-  link.rel = 'stylesheet';
-  link.href = `https://fonts.googleapis.com/css2?family=${fonts.join(':wght@400;600&family=')}:wght@400;600&display=swap`;
-  document.head.appendChild(link);
-
-  debug.log('[Message Field] Loading all Google Fonts for inline editing');
-  return document.fonts.ready;
+function sizeCanvas(canvas, layout) {
+  const height = Math.round(CANVAS_WIDTH * (layout.spread.height / layout.spread.width));
+  if (canvas.width !== CANVAS_WIDTH || canvas.height !== height) {
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = height;
+  }
 }
 
 /**
- * Load a specific Google Font
- *
- * Since all fonts are pre-loaded by loadAllGoogleFonts, this just waits for fonts.ready.
- *
- * @param {string} fontFamily - Font family name
- * @returns {Promise<void>} Promise that resolves when font ready
- *
- * @example
- * await loadGoogleFont('Playfair Display');
+ * Mirror one page's field, marking the text that won't be printed
+ * @private
  */
-export function loadGoogleFont(fontFamily) {
-  // Fonts are already loaded by loadAllGoogleFonts, just wait for fonts.ready
-  return document.fonts.ready;
+function renderPageHighlights(field, highlights, page) {
+  if (!field || !highlights) return;
+
+  const value = field.value;
+  const cut = Boolean(page) && page.cutText.length > 0;
+  field.setAttribute('aria-invalid', String(cut));
+
+  // Trailing newline needs a character after it or the mirror comes up one line short
+  highlights.innerHTML = cut
+    ? `${escapeHtml(value.slice(0, page.fitLength))}<mark class="ccc__message-cut">${escapeHtml(value.slice(page.fitLength))}</mark>${value.endsWith('\n') ? ' ' : ''}`
+    : '';
+  highlights.scrollTop = field.scrollTop;
 }
 
+// ========================================
+// PUBLIC API
+// ========================================
+
 /**
  * Initialize card preview canvas
  *
- * Sets up canvas dimensions and loads fonts.
- * Renders initial blank state.
+ * Sizes the canvas to the opened card's proportions, registers the
+ * message fonts and renders the initial blank state.
  *
  * @param {HTMLElement} modal - Modal element containing canvas
+ * @param {CardFormat|string} [format] - Card format or variant size name (see core/cardInterior.js)
  *
  * @example
- * initializeCardPreview(modalElement);
+ * initializeCardPreview(modalElement, 'A5');
  */
-export function initializeCardPreview(modal) {
+export function initializeCardPreview(modal, format) {
   const canvas = modal.querySelector('[data-ccc-canvas]');
-  const placeholder = modal.querySelector('[data-ccc-canvas-placeholder]');
 
   if (!canvas) {
     debug.error('[Message Field] Canvas not found');
     return;
   }
 
-  // Set canvas dimensions (card interior aspect ratio)
-  const container = canvas.parentElement;
-  const containerWidth = container.clientWidth;
-
-  // A5 card interior dimensions: 148mm x 210mm (roughly 1:1.4 ratio)
-  // But we'll use landscape orientation for the interior (folded open)
-  const aspectRatio = 2.8 / 2; // Double width when opened
-
-  canvas.width = 1400; // High DPI for crisp text
-  canvas.height = 1000;
+  sizeCanvas(canvas, layoutCardInterior({ format }));
   canvas.style.width = '100%';
   canvas.style.height = 'auto';
 
   debug.log('[Message Field] Canvas initialized:', { width: canvas.width, height: canvas.height });
 
-  // Load all fonts and initial render
-  loadAllGoogleFonts().then(() => {
-    renderCardPreview(modal, '', 'Playfair Display', 'medium', '#1A1A1A');
-  });
+  registerMessageFonts();
+  renderCardPreview(modal, '', 'Playfair Display', 'medium', '#1A1A1A', format);
 }
 
 /**
  * Render card preview with message
  *
- * Draws card interior with:
- * - Cream background with subtle texture
- * - Center fold line
- * - Message text on right page with word wrap
- * - Auto-centering and font rendering
+ * Draws the opened card from the print layout (core/cardInterior.js), so
+ * line breaks and positions match the printed interior:
+ * - Paper background and centre fold
+ * - Message runs on the right page (and the left-page note), at their millimetre positions
  *
  * @param {HTMLElement} modal - Modal element containing canvas
  * @param {string} message - Message text to render
- * @param {string} fontFamily - Google Font family name
+ * @param {string} fontFamily - Message font family
  * @param {string} fontSize - Size ('small' | 'medium' | 'large')
  * @param {string} textColor - Hex color code
+ * @param {CardFormat|string} [format] - Card format or variant size name
+ * @param {PreviewOptions} [options] - Left-page note, alignment and line spacing
  *
  * @example
  * renderCardPreview(
@@ -153,21 +183,20 @@ export function initializeCardPreview(modal) {
  *   'Happy Birthday!',
  *   'Playfair Display',
  *   'medium',
- *   '#1A1A1A'
+ *   '#1A1A1A',
+ *   'A5',
+ *   { leftMessage: 'Love from us all', align: 'left', lineSpacing: 'relaxed' }
  * );
  */
-export function renderCardPreview(modal, message, fontFamily = 'Playfair Display', fontSize = 'medium', textColor = '#1A1A1A') {
+export function renderCardPreview(modal, message, fontFamily = 'Playfair Display', fontSize = 'medium', textColor = '#1A1A1A', format, { leftMessage = '', align, lineSpacing } = {}) {
   const canvas = modal.querySelector('[data-ccc-canvas]');
   const placeholder = modal.querySelector('[data-ccc-canvas-placeholder]');
 
   if (!canvas) return;
-
-  const ctx = canvas.getContext('2d');
-  const width = canvas.width;
-  const height = canvas.height;
+  latestPreview.set(modal, [message, fontFamily, fontSize, textColor, format, { leftMessage, align, lineSpacing }]);
 
   // Show/hide placeholder
-  if (message.trim().length === 0) {
+  if (message.trim().length === 0 && leftMessage.trim().length === 0) {
     if (placeholder) placeholder.removeAttribute('hidden');
     canvas.style.opacity = '0';
     return;
@@ -176,115 +205,228 @@ export function renderCardPreview(modal, message, fontFamily = 'Playfair Display
     canvas.style.opacity = '1';
   }
 
-  // Clear canvas
-  ctx.clearRect(0, 0, width, height);
+  const layout = layoutCardInterior({ message, leftMessage, fontFamily, fontSize, textColor, align, lineSpacing, format });
+  sizeCanvas(canvas, layout);
+
+  const ctx = canvas.getContext('2d');
+  const scale = canvas.width / layout.spread.width; // px per mm
+  const { width, height } = canvas;
 
   // Card background (cream/off-white)
+  ctx.clearRect(0, 0, width, height);
   ctx.fillStyle = '#FAF9F6';
   ctx.fillRect(0, 0, width, height);
 
-  // Subtle texture/grain
-  for (let i = 0; i < 1000; i++) {
-    const x = Math.random() * width;
-    const y = Math.random() * height;
-    const opacity = Math.random() * 0.015;
-    ctx.fillStyle = `rgba(0, 0, 0, ${opacity})`;
-    ctx.fillRect(x, y, 1, 1);
-  }
-
   // Center line (fold)
+  const foldX = layout.pages.right.x * scale;
   ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
   ctx.lineWidth = 2;
   ctx.setLineDash([10, 5]);
   ctx.beginPath();
-  ctx.moveTo(width / 2, 0);
-  ctx.lineTo(width / 2, height);
+  ctx.moveTo(foldX, 0);
+  ctx.lineTo(foldX, height);
   ctx.stroke();
   ctx.setLineDash([]);
 
-  // Left page (blank - this is where envelope would be attached)
-  // Right page (message)
-  const rightPageX = width / 2;
-  const rightPageWidth = width / 2;
-  const padding = 80;
-
-  // Text rendering setup
-  ctx.fillStyle = textColor;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-
-  // Font size mapping (scales based on card size and ensures text fits)
-  const fontSizeMap = {
-    'small': 24,
-    'medium': 32,
-    'large': 42
-  };
-
-  const baseFontSize = fontSizeMap[fontSize] || 32;
-
-  // Use selected Google Font with fallbacks
-  ctx.font = `${baseFontSize}px "${fontFamily}", Georgia, 'Times New Roman', serif`;
-
-  // Word wrap the message with smart fitting
-  const maxWidth = rightPageWidth - (padding * 2);
-  const lineHeight = baseFontSize * 1.5;
-  const words = message.split(' ');
-  const lines = [];
-  let currentLine = '';
-
-  words.forEach(word => {
-    const testLine = currentLine + (currentLine ? ' ' : '') + word;
-    const metrics = ctx.measureText(testLine);
-
-    if (metrics.width > maxWidth && currentLine !== '') {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
-    }
+  // Message runs (anchored like the SVG/PDF so real glyph widths align the same way)
+  ctx.fillStyle = layout.color;
+  ctx.textBaseline = 'alphabetic';
+  ctx.font = `${layout.font.sizeMm * scale}px ${fontStack(fontFamily)}`;
+
+  layout.runs.forEach(run => {
+    ctx.textAlign = CANVAS_ALIGN[run.anchor];
+    ctx.fillText(run.text, run.anchorX * scale, run.y * scale);
   });
 
-  if (currentLine) {
-    lines.push(currentLine);
+  // Canvas text doesn't fetch fonts: load the files this text needs, then draw again
+  const text = `${message}${leftMessage}`;
+  if (!isMessageFontLoaded(fontFamily, text)) {
+    loadMessageFont(fontFamily, { text }).then(loaded => {
+      // The customer may have typed on or changed font meanwhile
+      if (loaded) renderCardPreview(modal, ...latestPreview.get(modal));
+    });
   }
 
-  // Check if text fits vertically, auto-reduce font size if needed
-  let totalTextHeight = lines.length * lineHeight;
-  const maxHeight = height - (padding * 2);
-
-  if (totalTextHeight > maxHeight) {
-    // Text too tall - warn user or auto-scale
-    debug.warn('[Message Field] Text too tall for card:', { totalTextHeight, maxHeight, lines: lines.length });
-    // Could add visual warning here
+  if (layout.overflow || layout.leftPage.overflow) {
+    debug.warn('[Message Field] Text too long for card:', {
+      lines: layout.lines.length,
+      maxLines: layout.maxLines,
+      leftLines: layout.leftPage.lines.length,
+      leftMaxLines: layout.leftPage.maxLines
+    });
   }
 
-  // Center the text block vertically with improved calculation
-  // For textBaseline='middle', we want the center of the entire text block at height/2
-  const textBlockHeight = lines.length * lineHeight;
-  const textBlockTop = (height - textBlockHeight) / 2;
-  const firstLineY = textBlockTop + (lineHeight / 2);
-
-  // Render each line - center at 45% across the right page (adjusted for visual centering)
-  const centerX = rightPageX + (rightPageWidth * 0.45);
-
-  debug.log('[Message Field] Text position:', {
-    canvasWidth: width,
-    rightPageX,
-    rightPageWidth,
-    centerX,
-    calculation: `${rightPageX} + (${rightPageWidth} * 0.45) = ${centerX}`
-  });
-
-  lines.forEach((line, index) => {
-    const y = firstLineY + (index * lineHeight);
-    ctx.fillText(line, centerX, y);
-  });
-
   debug.log('[Message Field] Canvas rendered:', {
     messageLength: message.length,
-    lines: lines.length,
+    format: layout.format.key,
+    lines: layout.lines.length,
     fontFamily,
-    fontSize: baseFontSize,
-    fitsVertically: totalTextHeight <= maxHeight
+    fontSizePt: layout.font.sizePt,
+    fitsVertically: !layout.overflow && !layout.leftPage.overflow
   });
 }
+
+/**
+ * Show whether the message fits the printed card
+ *
+ * Highlights the text that won't be printed on either page (nothing is
+ * removed) and updates the notice under the card. Pass null to clear both (empty
+ * message or "Leave blank").
+ *
+ * @param {HTMLElement} modal - Modal element containing the message field
+ * @param {MessageFit|null} fit - Result of checkMessageFit for the fields' current values
+ *
+ * @example
+ * renderMessageFit(modalElement, checkMessageFit({ message, fontFamily, fontSize, format: 'A5' }));
+ */
+export function renderMessageFit(modal, fit) {
+  const notice = modal.querySelector('[data-ccc-fit-notice]');
+  const overflowing = Boolean(fit) && fit.status !== FIT_STATUS.FITS;
+
+  renderPageHighlights(
+    modal.querySelector('[data-ccc-message-field]'),
+    modal.querySelector('[data-ccc-message-highlights]'),
+    overflowing ? fit : null
+  );
+  renderPageHighlights(
+    modal.querySelector('[data-ccc-left-message-field]'),
+    modal.querySelector('[data-ccc-left-message-highlights]'),
+    overflowing ? fit.left : null
+  );
+
+  if (!notice) return;
+  notice.hidden = !overflowing;
+  if (!overflowing) return;
+
+  const text = notice.querySelector('[data-ccc-fit-text]');
+  const shrinkButton = notice.querySelector('[data-ccc-fit-shrink]');
+  const cutCount = Array.from(fit.cutText).length + Array.from(fit.left.cutText).length;
+  const cutSummary = `${cutCount} character${cutCount === 1 ? '' : 's'} won't be printed`;
+
+  if (text) {
+    text.textContent = fit.status === FIT_STATUS.SHRINK
+      ? `Too long for ${fit.fontSize} text – ${cutSummary}. It fits in ${fit.suggestedSize} text.`
+      : `Too long for this card, even in small text – ${cutSummary}. Shorten your message to fit.`;
+  }
+
+  if (shrinkButton) shrinkButton.hidden = fit.status !== FIT_STATUS.SHRINK;
+
+  debug.log('[Message Field] Message overflows card:', { status: fit.status, fitLength: fit.fitLength, cutCount });
+}
+
+/**
+ * Select the text that won't be printed so the customer can see (and edit) it
+ *
+ * Starts with the inside message; if only the left-page note is cut, selects that instead.
+ *
+ * @param {HTMLElement} modal - Modal element containing the message field
+ * @param {MessageFit} fit - Current fit result
+ */
+export function selectCutText(modal, fit) {
+  if (!fit || fit.status === FIT_STATUS.FITS) return;
+
+  const leftOnly = !fit.cutText && fit.left.cutText;
+  const page = leftOnly ? fit.left : fit;
+  const field = modal.querySelector(leftOnly ? '[data-ccc-left-message-field]' : '[data-ccc-message-field]');
+  if (!field) return;
+
+  field.focus();
+  field.setSelectionRange(page.fitLength, field.value.length);
+  field.scrollTop = field.scrollHeight;
+
+  const highlights = modal.querySelector(leftOnly ? '[data-ccc-left-message-highlights]' : '[data-ccc-message-highlights]');
+  if (highlights) highlights.scrollTop = field.scrollTop;
+}
+
+/**
+ * Show which characters the chosen font can't print
+ *
+ * Pass null to hide the notice. The switch button offers the suggested
+ * font when there is one (emoji have none, so they only get the warning).
+ *
+ * @param {HTMLElement} modal - Modal element containing the notice
+ * @param {Unprintable|null} unprintable - Result of findUnprintable for both pages
+ * @param {string} fontFamily - Chosen font
+ */
+export function renderUnprintable(modal, unprintable, fontFamily) {
+  const notice = modal.querySelector('[data-ccc-script-notice]');
+  if (!notice) return;
+
+  notice.hidden = !unprintable;
+  if (!unprintable) return;
+
+  const text = notice.querySelector('[data-ccc-script-text]');
+  const switchButton = notice.querySelector('[data-ccc-script-switch]');
+
+  if (text) text.textContent = describeUnprintable(unprintable, fontFamily);
+
+  if (switchButton) {
+    switchButton.hidden = !unprintable.suggestion;
+    if (unprintable.suggestion) switchButton.textContent = `Use ${unprintable.suggestion.label}`;
+  }
+
+  debug.log('[Message Field] Unprintable characters:', { fontFamily, characters: unprintable.characters });
+}
+
+/**
+ * Show possible misspellings and blocked words
+ *
+ * Each flagged word gets its suggestions as buttons ([data-ccc-spelling-fix],
+ * carrying the field, index, word and suggestion) and a "Keep" button
+ * ([data-ccc-spelling-ignore]). Pass null, or a check with nothing found,
+ * to hide the notice.
+ *
+ * @param {HTMLElement} modal - Modal element containing the notice
+ * @param {MessageCheck|null} check - Words found in the fields' current values
+ */
+export function renderMessageCheck(modal, check) {
+  const notice = modal.querySelector('[data-ccc-check-notice]');
+  if (!notice) return;
+
+  const misspellings = check ? check.misspellings : [];
+  const blocked = check ? check.blocked : null;
+  notice.hidden = misspellings.length === 0 && !blocked;
+  notice.classList.toggle('ccc__message-fit-notice--blocked', Boolean(blocked));
+  if (notice.hidden) return;
+
+  const text = notice.querySelector('[data-ccc-check-text]');
+  const list = notice.querySelector('[data-ccc-spelling-list]');
+  const count = misspellings.length;
+
+  if (text) {
+    if (blocked) {
+      text.textContent = blocked;
+    } else if (check.submitting) {
+      text.textContent = `Please check ${count === 1 ? 'this word' : 'these words'} before adding to basket – we print exactly what you type.`;
+    } else {
+      text.textContent = `${count === 1 ? 'This word' : 'These words'} may be misspelt – tap a suggestion to fix, or keep your spelling.`;
+    }
+  }
+
+  if (list) {
+    list.hidden = count === 0;
+    const html = misspellings.map(({ field, word, index, suggestions }) => `
+      <li class="ccc__spelling-item">
+        <span class="ccc__spelling-word">${CHECK_FIELD_LABELS[field] ? `${CHECK_FIELD_LABELS[field]}: ` : ''}<s>${escapeHtml(word)}</s></span>
+        ${suggestions.map(suggestion => `
+          <button
+            type="button"
+            class="ccc__spelling-fix"
+            data-ccc-spelling-fix
+            data-field="${field}"
+            data-index="${index}"
+            data-word="${escapeHtml(word)}"
+            data-suggestion="${escapeHtml(suggestion)}"
+          >${escapeHtml(suggestion)}</button>
+        `).join('')}
+        <button type="button" class="ccc__spelling-ignore" data-ccc-spelling-ignore data-word="${escapeHtml(word)}" aria-label="Keep &quot;${escapeHtml(word)}&quot;">Keep</button>
+      </li>
+    `).join('');
+    if (renderedSpelling.get(list) !== html) {
+      list.innerHTML = html;
+      renderedSpelling.set(list, html);
+    }
+  }
+
+  debug.log('[Message Field] Message check:', { misspellings: misspellings.map(m => m.word), blocked });
+}
@@ -10,10 +10,42 @@
 
 import { formatPrice } from '../utils/format.js';
 import { trackEvent } from '../core/analytics.js';
-import { clearPersonalization, savePersonalization } from '../core/persistence.js';
+import { clearPersonalization, savePersonalization, loadPersonalization } from '../core/persistence.js';
+import {
+  DELIVERY_METHODS,
+  DELIVERY_METHOD_PROPERTY,
+  DELIVERY_OPTIONS,
+  getFieldName,
+  isSendDirect,
+  getDeliverySku,
+  readDeliveryDetails
+} from '../core/deliverySchema.js';
+import { listRecipients, getRecipient, deleteRecipient } from '../core/addressBook.js';
+import { fillRecipientFields, bindRecipientFields } from './deliverySection.js';
+import { renderAddressBookPicker, bindAddressBookPicker } from './addressBookPicker.js';
+import { renderBatchTray, bindBatchTray } from './batchTray.js';
+import { renderSendDatePicker, bindSendDatePicker, setSendDate } from './sendDatePicker.js';
 import { getVariantSkus } from '../services/metafieldService.js';
-import { generateMessageSuggestions } from '../services/aiService.js';
-import { loadAllGoogleFonts } from './messageField.js';
+import { generateMessageSuggestions, refineMessageSuggestion, AI_ERRORS } from '../services/aiService.js';
+import { renderMessageFit, renderUnprintable, selectCutText, renderMessageCheck } from './messageField.js';
+import { loadMessageFont } from '../services/fontService.js';
+import { checkMessageFit, measureMessageCapacity, FIT_STATUS } from '../core/messageFit.js';
+import {
+  IDEA_TONES,
+  IDEA_LENGTHS,
+  IDEA_RELATIONSHIPS,
+  IDEA_REFINEMENTS,
+  IDEA_FIELD_LIMITS,
+  REFINE_HISTORY_LIMIT,
+  describeLength
+} from '../core/messageIdeas.js';
+import { renderIdeaCards, updateIdeaCard, bindIdeaCards } from './ideaCards.js';
+import { fontStack, findUnprintable } from '../core/fontCoverage.js';
+import { getTypographyCatalogue, resolveTypography } from '../core/typographyCatalogue.js';
+import { FRONT_CAPTION_PROPERTY } from '../core/frontCaption.js';
+import { checkSpelling, checkBlockedWords, applySuggestion } from '../core/messageCheck.js';
+import { renderPhotoStep, renderPhotoRefInput, bindPhotoStep } from './photoStep.js';
+import { LINE_SPACINGS } from '../core/cardInterior.js';
 import { showConfirmDialog } from '../utils/dialog.js';
 import { escapeHtml } from '../utils/string.js';
 
@@ -40,6 +72,10 @@ const debug = {
  * @param {Function} config.escapeHtml - HTML escape function
  * @param {Function} config.getVariantDisplayName - Variant name formatter
  * @param {Function} config.buildRecipientAddressFields - Recipient fields HTML builder
+ * @param {boolean} [config.editing] - Editing a line already in the basket (no size change, no multi-card mode)
+ * @param {import('../core/typographyCatalogue.js').TypographyCatalogue} [config.typography] - Fonts and ink colours for this product
+ * @param {import('../core/frontCaption.js').FrontCaptionSettings|null} [config.frontCaption] - Front caption limit and position, null if the product has none
+ * @param {boolean} [config.photoCard] - Photo card: the customer's photo is the front
  * @returns {string} Complete HTML for personaliser view
  */
 export function buildPersonaliserHTML({
@@ -49,15 +85,21 @@ export function buildPersonaliserHTML({
   formId,
   escapeHtml,
   getVariantDisplayName,
-  buildRecipientAddressFields
+  buildRecipientAddressFields,
+  editing = false,
+  typography = getTypographyCatalogue(),
+  frontCaption = null,
+  photoCard = false
 }) {
-  const hasSavedData = savedPersonalization && savedPersonalization.insideMessage;
+  const hasSavedData = savedPersonalization && (savedPersonalization.insideMessage || savedPersonalization.leftMessage || savedPersonalization.frontCaption);
 
   return `
     <div class="ccc__personaliser">
+      ${editing ? '' : `
       <button type="button" class="ccc__back" data-ccc-back>
         Back to size selection
       </button>
+      `}
 
       <div class="ccc__personaliser-header">
         <img
@@ -115,11 +157,47 @@ export function buildPersonaliserHTML({
           </div>
         </div>
 
+        ${photoCard ? renderPhotoStep() : ''}
+
+        ${frontCaption ? `
+        <!-- Front of the card, with the caption where it will be printed -->
+        <div class="ccc__card-front" data-ccc-card-front>
+          <img
+            src="${product.featured_image}"
+            alt=""
+            class="ccc__card-front-image"
+            loading="lazy"
+          >
+          <div
+            class="ccc__front-caption-overlay"
+            data-ccc-front-overlay
+            style="top: ${frontCaption.area.top}%; left: ${frontCaption.area.left}%; width: ${frontCaption.area.width}%;"
+            aria-hidden="true"
+            hidden
+          ></div>
+        </div>
+        ` : ''}
+
         <h3 class="ccc__card-heading">Write your message</h3>
 
         <div class="ccc__card-interior" data-ccc-card-interior>
-          <!-- LEFT page of card interior (blank) -->
+          <!-- LEFT page of card interior (optional short note) -->
           <div class="ccc__card-page ccc__card-page--left">
+            <div class="ccc__writing-area ccc__writing-area--left" data-ccc-left-writing-area>
+              <div class="ccc__message-highlights" data-ccc-left-message-highlights aria-hidden="true"></div>
+              <textarea
+                class="ccc__message-field ccc__message-field--left"
+                data-ccc-left-message-field
+                placeholder="Add a short note (optional)"
+                aria-label="Left page note"
+                spellcheck="false"
+                autocorrect="off"
+                autocapitalize="off"
+                data-cc-limit="200"
+                aria-describedby="ccc-fit-notice ccc-script-notice ccc-check-notice"
+                style="min-height: 60px; resize: none; overflow-y: hidden;"
+              ></textarea>
+            </div>
           </div>
 
           <!-- CENTER fold line -->
@@ -128,6 +206,8 @@ export function buildPersonaliserHTML({
           <!-- RIGHT page of card interior (message area) -->
           <div class="ccc__card-page ccc__card-page--right">
             <div class="ccc__writing-area" data-ccc-writing-area>
+              <!-- Mirror of the message behind the field, highlighting text that won't be printed -->
+              <div class="ccc__message-highlights" data-ccc-message-highlights aria-hidden="true"></div>
               <textarea
                 class="ccc__message-field"
                 data-ccc-message-field
@@ -136,19 +216,46 @@ export function buildPersonaliserHTML({
                 autocorrect="off"
                 autocapitalize="off"
                 data-cc-limit="600"
-                style="min-height: 100px; resize: none; overflow: hidden;"
+                aria-describedby="ccc-fit-notice ccc-script-notice ccc-check-notice"
+                style="min-height: 100px; resize: none; overflow-y: hidden;"
               ></textarea>
             </div>
           </div>
         </div>
 
-        <!-- Message trim notice -->
-        <div class="ccc__message-trim-notice" data-ccc-trim-notice hidden>
+        <!-- Message fit notice (message longer than the printed card holds) -->
+        <div class="ccc__message-fit-notice" id="ccc-fit-notice" data-ccc-fit-notice role="status" hidden>
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+            <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
+            <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
+          </svg>
+          <span class="ccc__message-fit-text" data-ccc-fit-text></span>
+          <div class="ccc__message-fit-actions">
+            <button type="button" class="button button--small" data-ccc-fit-shrink hidden>Shrink to fit</button>
+            <button type="button" class="button button--small button--secondary" data-ccc-fit-show>Show me what's cut</button>
+          </div>
+        </div>
+
+        <!-- Unprintable characters notice (emoji, or letters the chosen font doesn't have) -->
+        <div class="ccc__message-fit-notice ccc__message-fit-notice--script" id="ccc-script-notice" data-ccc-script-notice role="status" hidden>
           <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
             <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
             <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
           </svg>
-          <span>Message shortened to fit the card</span>
+          <span class="ccc__message-fit-text" data-ccc-script-text></span>
+          <div class="ccc__message-fit-actions">
+            <button type="button" class="button button--small" data-ccc-script-switch hidden></button>
+          </div>
+        </div>
+
+        <!-- Spelling and blocked words notice (checked on blur and before adding to basket) -->
+        <div class="ccc__message-fit-notice ccc__message-fit-notice--spelling" id="ccc-check-notice" data-ccc-check-notice role="status" hidden>
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+            <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
+            <path d="M7.002 11a1 1 0 1 1 2 0 1 1 0 0 1-2 0zM7.1 4.995a.905.905 0 1 1 1.8 0l-.35 3.507a.552.552 0 0 1-1.1 0L7.1 4.995z"/>
+          </svg>
+          <span class="ccc__message-fit-text" data-ccc-check-text></span>
+          <ul class="ccc__spelling-list" data-ccc-spelling-list hidden></ul>
         </div>
       </div>
 
@@ -165,6 +272,13 @@ export function buildPersonaliserHTML({
               data-cc-inside
               style="display: none;"
             ></textarea>
+            <textarea
+              id="cc-left-inside-${formId}"
+              name="properties[Left Page Message]"
+              data-cc-left-inside
+              style="display: none;"
+            ></textarea>
+            ${photoCard ? renderPhotoRefInput() : ''}
 
             <!-- Typography Header with Clear Button -->
             <div class="ccc__typography-header">
@@ -183,18 +297,9 @@ export function buildPersonaliserHTML({
               <div class="ccc__control-item">
                 <label class="ccc__control-label">Style</label>
                 <select name="properties[Font Family]" class="ccc__font-select" data-cc-font-select>
-                <option value="Playfair Display" style="font-family: 'Playfair Display', serif;">Elegant</option>
-                <option value="Dancing Script" style="font-family: 'Dancing Script', cursive;">Handwritten</option>
-                <option value="Pacifico" style="font-family: 'Pacifico', cursive;">Playful</option>
-                <option value="Great Vibes" style="font-family: 'Great Vibes', cursive;">Fancy</option>
-                <option value="Caveat" style="font-family: 'Caveat', cursive;">Casual</option>
-                <option value="Permanent Marker" style="font-family: 'Permanent Marker', cursive;">Bold & Fun</option>
-                <option value="Shadows Into Light" style="font-family: 'Shadows Into Light', cursive;">Friendly</option>
-                <option value="Cookie" style="font-family: 'Cookie', cursive;">Whimsical</option>
-                <option value="Satisfy" style="font-family: 'Satisfy', cursive;">Romantic</option>
-                <option value="Indie Flower" style="font-family: 'Indie Flower', cursive;">Quirky</option>
-                <option value="Lora" style="font-family: 'Lora', serif;">Traditional</option>
-                <option value="Crimson Text" style="font-family: 'Crimson Text', serif;">Refined</option>
+                ${typography.fonts.map(font => `
+                <option value="${font.family}" style="font-family: '${font.family}', ${font.generic};"${font.family === typography.defaultFont ? ' selected' : ''}>${escapeHtml(font.label)}</option>
+                `).join('')}
               </select>
             </div>
 
@@ -217,21 +322,68 @@ export function buildPersonaliserHTML({
             <div class="ccc__control-item">
               <label class="ccc__control-label">Colour</label>
               <div class="ccc__color-swatches" data-cc-color-group>
-                <button type="button" class="ccc__color-swatch ccc__color-swatch--active" data-color="#1A1A1A" style="background: #1A1A1A;" title="Black"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#4A5568" style="background: #4A5568;" title="Dark Grey"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#2563EB" style="background: #2563EB;" title="Blue"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#DC2626" style="background: #DC2626;" title="Red"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#059669" style="background: #059669;" title="Green"></button>
-                <button type="button" class="ccc__color-swatch" data-color="#7C3AED" style="background: #7C3AED;" title="Purple"></button>
+                ${typography.colours.map(colour => `
+                <button type="button" class="ccc__color-swatch${colour.value === typography.defaultColour ? ' ccc__color-swatch--active' : ''}" data-color="${colour.value}" style="background: ${colour.value};" title="${escapeHtml(colour.name)}"></button>
+                `).join('')}
               </div>
-              <input type="hidden" name="properties[Text Color]" value="#1A1A1A" data-cc-color-input>
+              <input type="hidden" name="properties[Text Color]" value="${typography.defaultColour}" data-cc-color-input>
+            </div>
+          </div>
+
+          <div class="ccc__control-row">
+            <div class="ccc__control-item">
+              <label class="ccc__control-label">Align</label>
+              <div class="ccc__layout-buttons" data-cc-align-group>
+                <button type="button" class="ccc__layout-btn" data-align="left" aria-pressed="false" title="Align left">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM1 7h9v2H1zM1 12h12v2H1z"/></svg>
+                </button>
+                <button type="button" class="ccc__layout-btn ccc__layout-btn--active" data-align="center" aria-pressed="true" title="Centre">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM3.5 7h9v2h-9zM2 12h12v2H2z"/></svg>
+                </button>
+                <button type="button" class="ccc__layout-btn" data-align="right" aria-pressed="false" title="Align right">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true"><path d="M1 2h14v2H1zM6 7h9v2H6zM3 12h12v2H3z"/></svg>
+                </button>
+              </div>
+              <input type="hidden" name="properties[Text Align]" value="center" data-cc-align-input>
+            </div>
+
+            <div class="ccc__control-item">
+              <label class="ccc__control-label">Line spacing</label>
+              <div class="ccc__layout-buttons" data-cc-spacing-group>
+                <button type="button" class="ccc__layout-btn" data-spacing="compact" aria-pressed="false">Tight</button>
+                <button type="button" class="ccc__layout-btn ccc__layout-btn--active" data-spacing="normal" aria-pressed="true">Normal</button>
+                <button type="button" class="ccc__layout-btn" data-spacing="relaxed" aria-pressed="false">Airy</button>
+              </div>
+              <input type="hidden" name="properties[Line Spacing]" value="normal" data-cc-spacing-input>
             </div>
           </div>
         </div>
 
+            ${frontCaption ? `
+            <!-- Front Caption (products with custom.front_caption_enabled) -->
+            <div class="ccc__front-caption-section">
+              <label for="cc-front-${formId}" class="ccc__control-label">Front caption (optional)</label>
+              <input
+                type="text"
+                id="cc-front-${formId}"
+                name="properties[${FRONT_CAPTION_PROPERTY}]"
+                class="cc-input field__input ccc__front-caption-input"
+                maxlength="${frontCaption.limit}"
+                autocomplete="off"
+                data-cc-front
+                data-cc-limit="${frontCaption.limit}"
+                aria-describedby="cc-front-help-${formId} cc-front-count-${formId} ccc-check-notice"
+              >
+              <div class="ccc__front-caption-meta">
+                <span id="cc-front-help-${formId}">Short line on the front, shown on the preview.</span>
+                <span id="cc-front-count-${formId}" aria-live="polite" data-cc-front-counter>0/${frontCaption.limit}</span>
+              </div>
+            </div>
+            ` : ''}
+
             <!-- Leave Blank Toggle -->
             <label class="ccc__leave-blank">
-              <input type="checkbox" data-cc-leave-blank>
+              <input type="checkbox" name="leave_blank" data-cc-leave-blank>
               <span class="ccc__leave-blank-label">Leave blank (send without message)</span>
             </label>
 
@@ -255,6 +407,7 @@ export function buildPersonaliserHTML({
                     <input
                       type="text"
                       placeholder="Recipient name (e.g., Mum, Sarah)"
+                      maxlength="${IDEA_FIELD_LIMITS.recipient}"
                       data-ai-recipient
                       class="ccc__ai-input"
                     >
@@ -269,14 +422,35 @@ export function buildPersonaliserHTML({
                       <option value="friendship">Friendship</option>
                       <option value="just-because">Just because</option>
                     </select>
+                    <select data-ai-relationship class="ccc__ai-input" aria-label="Who they are to you">
+                      <option value="">Who are they to you? (optional)</option>
+                      ${Object.entries(IDEA_RELATIONSHIPS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <div class="ccc__ai-options">
+                      <label class="ccc__ai-option">
+                        <span class="ccc__ai-option-label">Tone</span>
+                        <select data-ai-tone class="ccc__ai-input">
+                          ${Object.entries(IDEA_TONES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                      </label>
+                      <label class="ccc__ai-option">
+                        <span class="ccc__ai-option-label">Length</span>
+                        <select data-ai-length class="ccc__ai-input">
+                          ${Object.entries(IDEA_LENGTHS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                      </label>
+                    </div>
                     <textarea
                       placeholder="Any specific details? (optional)"
+                      maxlength="${IDEA_FIELD_LIMITS.details}"
                       data-ai-details
                       class="ccc__ai-input ccc__ai-textarea"
                       rows="2"
                     ></textarea>
                   </div>
 
+                  <p class="ccc__ai-fit-hint">Ideas are sized to fit your card in the font and size you've chosen.</p>
+
                   <button type="button" class="button button--secondary" data-ccc-ai-generate>
                     Get message ideas
                   </button>
@@ -285,10 +459,6 @@ export function buildPersonaliserHTML({
                 <div class="ccc__ai-results" data-ccc-ai-results hidden>
                   <!-- Results populated by JS -->
                 </div>
-
-                <div class="ccc__ai-used" data-ccc-ai-used hidden>
-                  <p>✨ You've used AI suggestions for this card</p>
-                </div>
               </div>
             </div>
 
@@ -296,7 +466,7 @@ export function buildPersonaliserHTML({
             <input type="hidden" name="properties[_card_template]" value="classic-5x7">
             <input type="hidden" name="properties[_artwork_prompt]" value="">
             <input type="hidden" name="properties[_prodigi_sku]" data-ccc-prodigi-sku value="">
-            <input type="hidden" name="properties[Delivery Method]" data-ccc-delivery-method value="Mail2Me">
+            <input type="hidden" name="${getFieldName(DELIVERY_METHOD_PROPERTY)}" data-ccc-delivery-method value="${DELIVERY_METHODS.MAIL_TO_ME}">
 
             <!-- Error Container -->
             <div class="cc-error" role="alert" aria-live="assertive" hidden data-cc-error></div>
@@ -304,8 +474,13 @@ export function buildPersonaliserHTML({
             <!-- Recipient address fields (shown when "Send direct" selected from footer) -->
             <div class="ccc__recipient-fields" data-ccc-recipient-fields hidden>
               <h4 class="ccc__section-heading">Recipient Address</h4>
+              ${renderAddressBookPicker(listRecipients())}
               ${buildRecipientAddressFields()}
+              ${renderSendDatePicker()}
             </div>
+
+            <!-- Multi-card mode (several copies, one basket request) -->
+            ${editing ? '' : renderBatchTray()}
           </form>
         </div>
       </div>
@@ -315,19 +490,18 @@ export function buildPersonaliserHTML({
         <!-- Left: Delivery selection -->
         <div class="ccc__footer-delivery">
           <div class="ccc__footer-delivery-toggle">
-            <button type="button" class="ccc__delivery-toggle-btn ccc__delivery-toggle-btn--active" data-footer-delivery="Mail2Me">
-              Post to me
-            </button>
-            <button type="button" class="ccc__delivery-toggle-btn" data-footer-delivery="Mail4Me">
-              Send direct
-            </button>
+            ${DELIVERY_OPTIONS.map(option => `
+              <button type="button" class="ccc__delivery-toggle-btn${option.value === DELIVERY_METHODS.MAIL_TO_ME ? ' ccc__delivery-toggle-btn--active' : ''}" data-footer-delivery="${option.value}">
+                ${option.shortTitle}
+              </button>
+            `).join('')}
           </div>
-          <span class="ccc__footer-delivery-summary" data-ccc-footer-summary">Sent to you with blank envelope</span>
+          <span class="ccc__footer-delivery-summary" data-ccc-footer-summary>${DELIVERY_OPTIONS[0].description}</span>
         </div>
 
         <!-- Right: Yellow CTA -->
-        <button type="submit" form="${formId}" class="ccc__footer-cta">
-          Add to basket · ${formatPrice(selectedVariant.price)}
+        <button type="submit" form="${formId}" class="ccc__footer-cta" data-ccc-footer-cta>
+          ${editing ? 'Save changes' : `Add to basket · ${formatPrice(selectedVariant.price)}`}
         </button>
       </div>
     </div>
@@ -349,6 +523,7 @@ export function buildPersonaliserHTML({
  * - Typography controls (font, size, color)
  * - AI suggestions
  * - Leave blank toggle
+ * - Photo step (photo cards)
  * - Form submit
  *
  * @param {HTMLElement} modal - Modal element
@@ -356,9 +531,20 @@ export function buildPersonaliserHTML({
  * @param {Object} context.product - Product data
  * @param {number} context.selectedVariantId - Selected variant ID
  * @param {Object} context.variantSkuMap - Variant SKU mapping
+ * @param {Object} [context.initialLine] - CardLine to pre-fill the form with (editing a basket line)
+ * @param {string} [context.initialDeliveryMethod] - Delivery method to start with (deep links)
+ * @param {CardFormat|string} [context.cardFormat] - Printed card size, for checking the message fits and framing the photo
+ * @param {import('../core/typographyCatalogue.js').TypographyCatalogue} [context.typography] - Fonts and ink colours for this product
+ * @param {boolean} [context.photoCard] - Photo card: bind the photo step
  * @param {Object} callbacks - Event callbacks
  * @param {Function} callbacks.onBack - Back button clicked
  * @param {Function} callbacks.onSubmit - Form submitted
+ * @param {Function} [callbacks.onDeliveryChange] - Delivery toggle clicked (receives method)
+ * @param {Function} [callbacks.onBatchToggle] - Multi-card mode switched (receives boolean)
+ * @param {Function} [callbacks.onAddCopy] - Save current copy; receives form, returns true if saved
+ * @param {Function} [callbacks.onEditCopy] - Receives form + copy index, returns the CardLine to load or null
+ * @param {Function} [callbacks.onRemoveCopy] - Receives copy index
+ * @param {Function} [callbacks.onAiSuggestions] - AI suggestions were generated
  * @param {Function} callbacks.onAutoResize - Auto-resize function reference (for storage)
  *
  * @example
@@ -373,6 +559,7 @@ export function buildPersonaliserHTML({
  */
 export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     const { product, selectedVariantId, variantSkuMap } = context;
+    const typography = context.typography || getTypographyCatalogue();
 
   // Local state for auto-resize and observers
   let _autoResizeTextarea = null;
@@ -381,7 +568,32 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
 
     // Get form elements at function scope
     const insideTextarea = modal.querySelector('[data-cc-inside]');
+    const leftInsideTextarea = modal.querySelector('[data-cc-left-inside]');
     const insideCounter = modal.querySelector('[data-cc-inside-counter]');
+    const personaliserForm = modal.querySelector('#cc-modal-form');
+    const frontInput = modal.querySelector('[data-cc-front]');
+    const frontCounter = modal.querySelector('[data-cc-front-counter]');
+    const frontOverlay = modal.querySelector('[data-ccc-front-overlay]');
+
+    // Debounced save to localStorage
+    let saveTimeout;
+    const debouncedSave = () => {
+      clearTimeout(saveTimeout);
+      saveTimeout = setTimeout(() => {
+        const data = {
+          insideMessage: insideTextarea ? insideTextarea.value : '',
+          leftMessage: leftInsideTextarea ? leftInsideTextarea.value : '',
+          frontCaption: frontInput ? frontInput.value : '',
+          fontFamily: fontSelect ? fontSelect.value : undefined,
+          fontSize: sizeInput ? sizeInput.value : undefined,
+          textColor: colorInput ? colorInput.value : undefined,
+          textAlign: alignInput ? alignInput.value : undefined,
+          lineSpacing: spacingInput ? spacingInput.value : undefined,
+          delivery: personaliserForm ? readDeliveryDetails(new FormData(personaliserForm)) : null
+        };
+        savePersonalization(product.handle, selectedVariantId, data);
+      }, 500);
+    };
 
     // Back button
     const backBtn = modal.querySelector('[data-ccc-back]');
@@ -404,6 +616,20 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
               insideCounter.textContent = `${insideTextarea.value.length}/600`;
             }
           }
+
+          // Restore typography, the left-page note, layout and front caption (saves from before these existed have none)
+          const saved = loadPersonalization(product.handle, selectedVariantId);
+          if (saved) {
+            fillTypographyFields(saved);
+            fillLayoutFields(saved);
+            fillFrontCaption(saved.frontCaption);
+          }
+
+          // Restore delivery method and recipient address
+          if (saved && saved.delivery) {
+            fillRecipientFields(recipientFields, saved.delivery.recipient);
+            updateDeliveryMethod(saved.delivery.deliveryMethod);
+          }
           // Hide prompt with animation
           restorePrompt.style.animation = 'restorePromptFadeOut 0.3s var(--ease-out-quart) forwards';
           setTimeout(() => restorePrompt.remove(), 300);
@@ -428,9 +654,48 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     const footerToggleButtons = modal.querySelectorAll('[data-footer-delivery]');
     const footerSummary = modal.querySelector('[data-ccc-footer-summary]');
 
+    // Country-aware labels, normalization and inline error clearing
+    bindRecipientFields(recipientFields);
+
+    // Saved recipients: fill the address and the AI "Recipient name" from the chosen contact
+    bindAddressBookPicker(recipientFields, {
+      onSelect: (id) => {
+        const entry = id ? getRecipient(id) : null;
+        if (entry) {
+          fillRecipientFields(recipientFields, entry.recipient);
+          const aiRecipientInput = modal.querySelector('[data-ai-recipient]');
+          if (aiRecipientInput && !aiRecipientInput.value.trim()) {
+            aiRecipientInput.value = entry.nickname;
+          }
+          trackEvent('cc_saved_recipient_selected', { product_handle: product.handle });
+          debouncedSave();
+        }
+        return entry;
+      },
+      onDelete: (id) => {
+        deleteRecipient(id);
+        trackEvent('cc_saved_recipient_deleted', { product_handle: product.handle });
+        return listRecipients();
+      }
+    });
+
+    // Scheduled arrival date (Send Direct only)
+    bindSendDatePicker(recipientFields, {
+      onChange: ({ arrivalDate, country, valid }) => {
+        if (arrivalDate && valid) {
+          trackEvent('cc_send_date_selected', {
+            product_handle: product.handle,
+            country,
+            arrival_date: arrivalDate
+          });
+        }
+      }
+    });
+
     // Helper to update delivery method (called from footer toggles)
     const updateDeliveryMethod = (deliveryMethod) => {
-      const isSendDirect = deliveryMethod === 'Mail4Me';
+      const sendDirect = isSendDirect(deliveryMethod);
+      const option = DELIVERY_OPTIONS.find(o => o.value === deliveryMethod) || DELIVERY_OPTIONS[0];
 
       // Update hidden form fields
       if (deliveryMethodField) {
@@ -438,12 +703,12 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       }
 
       if (prodigiSkuField && variantSkus) {
-        prodigiSkuField.value = isSendDirect ? variantSkus.sku_dir : variantSkus.sku_bla;
+        prodigiSkuField.value = getDeliverySku(variantSkus, deliveryMethod) || '';
       }
 
       // Show/hide recipient address fields
       if (recipientFields) {
-        if (isSendDirect) {
+        if (sendDirect) {
           recipientFields.hidden = false;
           recipientFields.style.animation = 'recipientFieldsFadeIn 0.4s var(--ease-out-expo) forwards';
         } else {
@@ -461,9 +726,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       });
 
       if (footerSummary) {
-        footerSummary.textContent = isSendDirect
-          ? "We'll post it directly for you"
-          : "Sent to you with blank envelope";
+        footerSummary.textContent = option.description;
       }
 
       // Analytics
@@ -479,20 +742,27 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     footerToggleButtons.forEach(btn => {
       btn.addEventListener('click', () => {
         updateDeliveryMethod(btn.dataset.footerDelivery);
+        debouncedSave();
+        if (callbacks.onDeliveryChange) callbacks.onDeliveryChange(btn.dataset.footerDelivery);
       });
     });
 
-    // Set initial delivery method (defaults to Mail2Me)
-    updateDeliveryMethod('Mail2Me');
+    // Set initial delivery method (defaults to Mail2Me, or the one in a deep link)
+    updateDeliveryMethod(context.initialDeliveryMethod || DELIVERY_METHODS.MAIL_TO_ME);
 
     // Message field and controls
     const messageField = modal.querySelector('[data-ccc-message-field]');
+    const leftMessageField = modal.querySelector('[data-ccc-left-message-field]');
     const hiddenTextarea = modal.querySelector('[data-cc-inside]');
     const fontSelect = modal.querySelector('[data-cc-font-select]');
     const sizeButtons = modal.querySelectorAll('[data-size]');
     const sizeInput = modal.querySelector('[data-cc-size-input]');
     const colorSwatches = modal.querySelectorAll('[data-color]');
     const colorInput = modal.querySelector('[data-cc-color-input]');
+    const alignButtons = modal.querySelectorAll('[data-align]');
+    const alignInput = modal.querySelector('[data-cc-align-input]');
+    const spacingButtons = modal.querySelectorAll('[data-spacing]');
+    const spacingInput = modal.querySelector('[data-cc-spacing-input]');
 
     // Helper to update message field styling
     const updateFieldStyle = () => {
@@ -501,6 +771,8 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       const fontFamily = fontSelect ? fontSelect.value : 'Playfair Display';
       const fontSize = sizeInput ? sizeInput.value : 'medium';
       const textColor = colorInput ? colorInput.value : '#1A1A1A';
+      const textAlign = alignInput ? alignInput.value : 'center';
+      const lineHeight = LINE_SPACINGS[spacingInput ? spacingInput.value : 'normal'] || LINE_SPACINGS.normal;
 
       const sizeMap = {
         small: '1.4rem',
@@ -508,99 +780,179 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
         large: '2.2rem'
       };
 
-      // Use !important so we override global brutal form styles
-      // that apply font-size/color with !important to all textareas.
-      messageField.style.setProperty(
-        'font-family',
-        `"${fontFamily}", Georgia, serif`,
-        'important'
-      );
-      messageField.style.setProperty(
-        'font-size',
-        sizeMap[fontSize] || '1.8rem',
-        'important'
-      );
-      messageField.style.setProperty('color', textColor, 'important');
-
-      debug.log('[CC Choice] Field style updated:', { fontFamily, fontSize, textColor });
-    };
+      // Both pages share the typography, like the printed card
+      [
+        [messageField, '[data-ccc-message-highlights]'],
+        [leftMessageField, '[data-ccc-left-message-highlights]']
+      ].forEach(([field, highlightsSelector]) => {
+        if (!field) return;
+
+        // Use !important so we override global brutal form styles
+        // that apply font-size/color with !important to all textareas.
+        field.style.setProperty(
+          'font-family',
+          fontStack(fontFamily),
+          'important'
+        );
+        field.style.setProperty(
+          'font-size',
+          sizeMap[fontSize] || '1.8rem',
+          'important'
+        );
+        field.style.setProperty('color', textColor, 'important');
+        field.style.setProperty('text-align', textAlign, 'important');
+        field.style.setProperty('line-height', String(lineHeight), 'important');
+
+        // Highlight mirror must wrap exactly like the field
+        const highlights = modal.querySelector(highlightsSelector);
+        if (highlights) {
+          highlights.style.fontFamily = field.style.fontFamily;
+          highlights.style.fontSize = field.style.fontSize;
+          highlights.style.textAlign = textAlign;
+          highlights.style.lineHeight = String(lineHeight);
+        }
+      });
 
-    // PREMIUM FEEL: Gentle overflow check with inline guidance
-    // Store last valid value that fits in the card
-    let lastValidValue = '';
+      debug.log('[CC Choice] Field style updated:', { fontFamily, fontSize, textColor, textAlign, lineHeight });
+    };
 
     // Sync message field to hidden textarea
     const syncToHiddenTextarea = () => {
-      if (!messageField || !hiddenTextarea) return;
-      hiddenTextarea.value = messageField.value;
+      if (messageField && hiddenTextarea) hiddenTextarea.value = messageField.value;
+      if (leftMessageField && leftInsideTextarea) leftInsideTextarea.value = leftMessageField.value;
+    };
+
+    // Fit against the printed card (core/messageFit.js): text that won't print
+    // is highlighted and the customer chooses to shrink or edit - never trimmed
+    let currentFit = null;
+    let currentUnprintable = null;
+    let lastUnprintableKey = null;
+    const updateMessageFit = () => {
+      if (!messageField) return;
+
+      const message = messageField.disabled ? '' : messageField.value;
+      const leftMessage = leftMessageField && !leftMessageField.disabled ? leftMessageField.value : '';
+
+      const fontFamily = fontSelect ? fontSelect.value : undefined;
+
+      currentFit = !message.trim() && !leftMessage.trim() ? null : checkMessageFit({
+        message,
+        leftMessage,
+        fontFamily,
+        fontSize: sizeInput ? sizeInput.value : undefined,
+        lineSpacing: spacingInput ? spacingInput.value : undefined,
+        align: alignInput ? alignInput.value : undefined,
+        format: context.cardFormat
+      });
+      renderMessageFit(modal, currentFit);
+
+      // Characters the chosen font can't print (emoji, letters it doesn't have)
+      currentUnprintable = findUnprintable(`${message}\n${leftMessage}`, fontFamily);
+      renderUnprintable(modal, currentUnprintable, fontFamily);
+
+      const unprintableKey = currentUnprintable ? `${fontFamily}|${currentUnprintable.scripts.join(',')}` : null;
+      if (unprintableKey && unprintableKey !== lastUnprintableKey) {
+        trackEvent('cc_unprintable_characters', {
+          product_handle: product.handle,
+          font_family: fontFamily,
+          scripts: currentUnprintable.scripts.join(','),
+          ...(currentUnprintable.suggestion ? { suggested_font: currentUnprintable.suggestion.family } : {})
+        });
+      }
+      lastUnprintableKey = unprintableKey;
     };
 
     // Message field input event
     if (messageField) {
-      // Get container for max expansion calculation
+      // Get containers for max expansion calculation
       const cardPage = messageField.closest('.ccc__card-page--right');
+      const leftCardPage = leftMessageField ? leftMessageField.closest('.ccc__card-page--left') : null;
 
-      // Hard-limit auto-resize - prevents text overflow by trimming
-      const autoResizeTextarea = () => {
+      // Grow a field with its text up to its card page, then scroll
+      const resizeToPage = (field, page) => {
         // Recalculate max height dynamically (viewport/orientation changes)
-        const maxHeight = cardPage ? cardPage.clientHeight - 24 : 320;
+        const maxHeight = page ? page.clientHeight - 24 : 320;
 
-        messageField.style.height = 'auto'; // Reset height
-        let scrollHeight = messageField.scrollHeight;
-        let wasTrimmed = false;
+        field.style.height = 'auto'; // Reset height
+        const scrollHeight = field.scrollHeight;
+        field.style.height = Math.min(scrollHeight, maxHeight) + 'px';
+        field.style.overflowY = scrollHeight > maxHeight ? 'auto' : 'hidden';
+      };
 
-        // If text fits, store it and update height
-        if (scrollHeight <= maxHeight) {
-          messageField.style.height = scrollHeight + 'px';
-          lastValidValue = messageField.value;
-        } else {
-          // Text overflows - trim from end until it fits
-          let value = messageField.value;
-          while (scrollHeight > maxHeight && value.length > 0) {
-            value = value.slice(0, -1);
-            messageField.value = value;
-            messageField.style.height = 'auto';
-            scrollHeight = messageField.scrollHeight;
-            wasTrimmed = true;
-          }
-          messageField.style.height = scrollHeight + 'px';
-          lastValidValue = messageField.value;
-        }
+      const autoResizeTextarea = () => {
+        resizeToPage(messageField, cardPage);
+        if (leftMessageField) resizeToPage(leftMessageField, leftCardPage);
 
-        return wasTrimmed;
+        updateMessageFit();
       };
 
-      // Input handler - auto-resize and sync
-      const trimNotice = modal.querySelector('[data-ccc-trim-notice]');
-      let trimNoticeTimeout;
-
       messageField.addEventListener('input', () => {
-        const wasTrimmed = autoResizeTextarea();
+        autoResizeTextarea();
         syncToHiddenTextarea();
+      });
 
-        // Show trim notice if text was trimmed
-        if (wasTrimmed && trimNotice) {
-          trimNotice.hidden = false;
+      if (leftMessageField) {
+        leftMessageField.addEventListener('input', () => {
+          autoResizeTextarea();
+          syncToHiddenTextarea();
+          debouncedSave();
+        });
+      }
 
-          // Auto-hide after 4 seconds
-          clearTimeout(trimNoticeTimeout);
-          trimNoticeTimeout = setTimeout(() => {
-            trimNotice.hidden = true;
-          }, 4000);
-        }
+      // Keep the highlight mirrors lined up when the fields scroll
+      [
+        [messageField, modal.querySelector('[data-ccc-message-highlights]')],
+        [leftMessageField, modal.querySelector('[data-ccc-left-message-highlights]')]
+      ].forEach(([field, highlights]) => {
+        if (!field || !highlights) return;
+        field.addEventListener('scroll', () => {
+          highlights.scrollTop = field.scrollTop;
+        });
       });
 
-      // Prevent new lines when at limit
-      messageField.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          // Recalculate maxHeight for keydown check
-          const maxHeight = cardPage ? cardPage.clientHeight - 24 : 320;
-          const testHeight = messageField.scrollHeight + 20; // Approximate new line height
-          if (testHeight > maxHeight) {
-            e.preventDefault();
-          }
-        }
-      });
+      // Fit notice actions
+      const shrinkButton = modal.querySelector('[data-ccc-fit-shrink]');
+      const showCutButton = modal.querySelector('[data-ccc-fit-show]');
+
+      if (shrinkButton) {
+        shrinkButton.addEventListener('click', () => {
+          if (!currentFit || !currentFit.suggestedSize) return;
+          trackEvent('cc_message_fit_action', {
+            product_handle: product.handle,
+            action: 'shrink',
+            font_size: currentFit.suggestedSize
+          });
+          const sizeButton = Array.from(sizeButtons).find(btn => btn.dataset.size === currentFit.suggestedSize);
+          if (sizeButton) sizeButton.click();
+        });
+      }
+
+      if (showCutButton) {
+        showCutButton.addEventListener('click', () => {
+          if (!currentFit) return;
+          trackEvent('cc_message_fit_action', {
+            product_handle: product.handle,
+            action: 'show_cut',
+            font_size: currentFit.fontSize
+          });
+          selectCutText(modal, currentFit);
+        });
+      }
+
+      // Unprintable notice action: switch to the font that has the characters
+      const scriptSwitchButton = modal.querySelector('[data-ccc-script-switch]');
+      if (scriptSwitchButton && fontSelect) {
+        scriptSwitchButton.addEventListener('click', () => {
+          if (!currentUnprintable || !currentUnprintable.suggestion) return;
+          trackEvent('cc_font_suggestion_applied', {
+            product_handle: product.handle,
+            from_font: fontSelect.value,
+            to_font: currentUnprintable.suggestion.family
+          });
+          fontSelect.value = currentUnprintable.suggestion.family;
+          fontSelect.dispatchEvent(new Event('change'));
+        });
+      }
 
       // PREMIUM FEEL: ResizeObserver for viewport/orientation changes
       if (cardPage && typeof ResizeObserver !== 'undefined') {
@@ -612,6 +964,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
           }, 100);
         });
         resizeObserver.observe(cardPage);
+        if (leftCardPage) resizeObserver.observe(leftCardPage);
 
         // Clean up on modal close
         _cardPageResizeObserver = resizeObserver;
@@ -632,7 +985,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     if (clearBtn && messageField) {
       // Function to toggle clear button visibility
       const toggleClearButton = () => {
-        if (messageField.value.trim().length > 0) {
+        if (messageField.value.trim().length > 0 || (leftMessageField && leftMessageField.value.trim().length > 0)) {
           clearBtn.hidden = false;
         } else {
           clearBtn.hidden = true;
@@ -641,6 +994,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
 
       // Listen for input changes
       messageField.addEventListener('input', toggleClearButton);
+      if (leftMessageField) leftMessageField.addEventListener('input', toggleClearButton);
 
       // Click handler with custom confirmation dialog
       clearBtn.addEventListener('click', async () => {
@@ -651,6 +1005,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
 
         if (confirmed) {
           messageField.value = '';
+          if (leftMessageField) leftMessageField.value = '';
 
           // Trigger input event to resize and update
           const inputEvent = new Event('input', { bubbles: true });
@@ -678,10 +1033,14 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     if (fontSelect) {
       fontSelect.addEventListener('change', () => {
         updateFieldStyle();
-        // Rerun auto-resize when font changes (may trigger trim if new font is larger)
+        // Rerun auto-resize when font changes (a wider font may no longer fit), and again once it has loaded
         if (_autoResizeTextarea) {
           setTimeout(() => _autoResizeTextarea(), 100);
+          loadMessageFont(fontSelect.value, { text: messageField ? messageField.value : '' }).then(loaded => {
+            if (loaded) _autoResizeTextarea();
+          });
         }
+        debouncedSave();
       });
     }
 
@@ -697,10 +1056,11 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
           sizeInput.value = btn.dataset.size;
         }
         updateFieldStyle();
-        // Rerun auto-resize when size changes (may trigger trim if new size is larger)
+        // Rerun auto-resize when size changes (a larger size may no longer fit)
         if (_autoResizeTextarea) {
           setTimeout(() => _autoResizeTextarea(), 100);
         }
+        debouncedSave();
       });
     });
 
@@ -717,14 +1077,171 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
         }
         debug.log('[CC Choice] Color changed to:', swatch.dataset.color);
         updateFieldStyle();
+        debouncedSave();
+      });
+    });
+
+    // Alignment and line spacing buttons (one active per group)
+    const bindLayoutButtons = (buttons, input, key) => {
+      buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+          buttons.forEach(b => {
+            b.classList.toggle('ccc__layout-btn--active', b === btn);
+            b.setAttribute('aria-pressed', String(b === btn));
+          });
+          if (input) {
+            input.value = btn.dataset[key];
+          }
+          updateFieldStyle();
+          // Rerun auto-resize when spacing changes (looser lines may no longer fit)
+          if (_autoResizeTextarea) {
+            setTimeout(() => _autoResizeTextarea(), 100);
+          }
+          debouncedSave();
+        });
+      });
+    };
+
+    bindLayoutButtons(alignButtons, alignInput, 'align');
+    bindLayoutButtons(spacingButtons, spacingInput, 'spacing');
+
+    // Left-page note, alignment and spacing from a line or saved personalisation
+    const fillLayoutFields = ({ leftMessage, textAlign, lineSpacing }) => {
+      const alignButton = Array.from(alignButtons).find(btn => btn.dataset.align === (textAlign || 'center'));
+      if (alignButton) alignButton.click();
+
+      const spacingButton = Array.from(spacingButtons).find(btn => btn.dataset.spacing === (lineSpacing || 'normal'));
+      if (spacingButton) spacingButton.click();
+
+      if (leftMessageField && !leftMessageField.disabled) {
+        leftMessageField.value = leftMessage || '';
+        leftMessageField.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    };
+
+    // Font, size and ink colour from a line or saved personalisation; a font or
+    // colour this product no longer offers falls back to the catalogue default
+    const fillTypographyFields = ({ fontFamily, fontSize, textColor }) => {
+      const choice = resolveTypography(typography, { fontFamily, textColor });
+
+      if (fontSelect) {
+        fontSelect.value = choice.fontFamily;
+        fontSelect.dispatchEvent(new Event('change'));
+      }
+
+      const sizeButton = Array.from(sizeButtons).find(btn => btn.dataset.size === fontSize);
+      if (sizeButton) sizeButton.click();
+
+      const swatch = Array.from(colorSwatches).find(s => s.dataset.color === choice.textColor);
+      if (swatch) swatch.click();
+    };
+
+    // Front caption: counter and the overlay on the front preview
+    const updateFrontCaption = () => {
+      if (!frontInput) return;
+
+      const limit = parseInt(frontInput.dataset.ccLimit, 10);
+      const length = frontInput.value.trim().length;
+      if (frontCounter) {
+        frontCounter.textContent = `${length}/${limit}`;
+        frontCounter.classList.toggle('cc-counter--warning', length >= limit * 0.8 && length < limit);
+        frontCounter.classList.toggle('cc-counter--danger', length >= limit);
+      }
+      if (frontOverlay) {
+        frontOverlay.textContent = frontInput.value.trim();
+        frontOverlay.hidden = length === 0;
+      }
+    };
+
+    const fillFrontCaption = (caption) => {
+      if (!frontInput) return;
+      frontInput.value = caption || '';
+      updateFrontCaption();
+    };
+
+    if (frontInput) {
+      frontInput.addEventListener('input', () => {
+        updateFrontCaption();
+        debouncedSave();
+      });
+      updateFrontCaption();
+    }
+
+    // Spelling and blocked words (core/messageCheck.js): the fields have the
+    // browser's spellcheck off, so check them on blur and before submitting
+    const checkedFields = { message: messageField, left: leftMessageField, front: frontInput };
+    const ignoredWords = new Set();
+    let currentCheck = null;
+    let lastCheckKey = null;
+    const runMessageCheck = (trigger) => {
+      const misspellings = [];
+      let blocked = null;
+
+      Object.entries(checkedFields).forEach(([field, input]) => {
+        if (!input || input.disabled) return;
+        checkSpelling(input.value, { ignore: ignoredWords }).forEach(misspelling => {
+          misspellings.push({ field, ...misspelling });
+        });
+        blocked = blocked || checkBlockedWords(input.value);
+      });
+
+      currentCheck = { misspellings, blocked, submitting: trigger === 'submit' };
+      renderMessageCheck(modal, currentCheck);
+
+      const checkKey = misspellings.map(m => m.word.toLowerCase()).concat(blocked || []).join('|');
+      if (checkKey && checkKey !== lastCheckKey && trigger !== 'input') {
+        trackEvent('cc_message_check_flagged', {
+          product_handle: product.handle,
+          trigger,
+          misspellings: misspellings.length,
+          blocked: Boolean(blocked)
+        });
+      }
+      if (trigger !== 'input') lastCheckKey = checkKey;
+      return currentCheck;
+    };
+
+    Object.values(checkedFields).forEach(input => {
+      if (!input) return;
+      input.addEventListener('blur', () => runMessageCheck('blur'));
+      // Once shown, keep the notice in step with the customer's edits
+      input.addEventListener('input', () => {
+        if (currentCheck && (currentCheck.misspellings.length > 0 || currentCheck.blocked)) runMessageCheck('input');
       });
     });
 
-    // Load all fonts and initialize message field styling
-    // PREMIUM FEEL: Rerun auto-resize after fonts load to prevent visual jumps
-    loadAllGoogleFonts().then(() => {
-      updateFieldStyle();
-      // Store reference for font-load resize
+    const checkNotice = modal.querySelector('[data-ccc-check-notice]');
+    if (checkNotice) {
+      checkNotice.addEventListener('click', (e) => {
+        const fixButton = e.target.closest('[data-ccc-spelling-fix]');
+        const ignoreButton = e.target.closest('[data-ccc-spelling-ignore]');
+
+        if (fixButton) {
+          const input = checkedFields[fixButton.dataset.field];
+          if (!input) return;
+          const misspelling = { word: fixButton.dataset.word, index: parseInt(fixButton.dataset.index, 10) };
+          input.value = applySuggestion(input.value, misspelling, fixButton.dataset.suggestion);
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+        } else if (ignoreButton) {
+          ignoredWords.add(ignoreButton.dataset.word.toLowerCase());
+        } else {
+          return;
+        }
+
+        trackEvent('cc_spelling_suggestion', { product_handle: product.handle, action: fixButton ? 'fix' : 'ignore' });
+        runMessageCheck('input');
+      });
+    }
+
+    // Photo cards: choose, crop and upload the front photo
+    const photoStep = context.photoCard
+      ? bindPhotoStep(modal, { format: context.cardFormat, productHandle: product.handle })
+      : null;
+
+    // Initialize message field styling, then load the selected font only
+    // PREMIUM FEEL: Rerun auto-resize after the font loads to prevent visual jumps
+    updateFieldStyle();
+    loadMessageFont(fontSelect ? fontSelect.value : 'Playfair Display').then(() => {
       if (messageField && _autoResizeTextarea) {
         setTimeout(() => _autoResizeTextarea(), 50);
       }
@@ -735,16 +1252,28 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
     const aiPanel = modal.querySelector('[data-ccc-ai-panel]');
     const aiForm = modal.querySelector('[data-ccc-ai-form]');
     const aiResults = modal.querySelector('[data-ccc-ai-results]');
-    const aiUsed = modal.querySelector('[data-ccc-ai-used]');
     const aiGenerateBtn = modal.querySelector('[data-ccc-ai-generate]');
     const aiRecipient = modal.querySelector('[data-ai-recipient]');
     const aiOccasion = modal.querySelector('[data-ai-occasion]');
     const aiDetails = modal.querySelector('[data-ai-details]');
+    const aiRelationship = modal.querySelector('[data-ai-relationship]');
+    const aiTone = modal.querySelector('[data-ai-tone]');
+    const aiLength = modal.querySelector('[data-ai-length]');
+
+    // Ideas are measured against the printed card in the current typography
+    const readTypography = () => ({
+      fontFamily: fontSelect ? fontSelect.value : undefined,
+      fontSize: sizeInput ? sizeInput.value : undefined,
+      lineSpacing: spacingInput ? spacingInput.value : undefined,
+      align: alignInput ? alignInput.value : undefined,
+      format: context.cardFormat
+    });
 
-    // Check if AI has been used for this product (session storage)
-    const aiUsedKey = `ai_used_${product.handle}_${selectedVariantId}`;
-    // TESTING: Disabled usage limit
-    // const hasUsedAI = sessionStorage.getItem(aiUsedKey) === 'true';
+    // The worker limits how often each customer can ask (workers/ai-guard.js)
+    const aiLimitMessage = (error, asked) => {
+      const minutes = Math.max(1, Math.ceil(error.retryAfter / 60));
+      return `You've asked for a lot of ${asked} – please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    };
 
     if (aiToggle && aiPanel) {
       // Remove any existing listener to prevent double-click issues
@@ -771,6 +1300,140 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       });
     }
 
+    // Ideas on show and the request they came from. Kept for the modal
+    // session, so each idea can be refined from where the customer left it
+    let aiIdeas = [];
+    let aiRequest = null;
+    const ideaFits = (message, typography) =>
+      checkMessageFit({ ...typography, message }).status === FIT_STATUS.FITS;
+
+    bindIdeaCards(aiResults, {
+      onUse: (index) => {
+        const idea = aiIdeas[index];
+
+        if (messageField) {
+          messageField.value = idea.message;
+
+          // Trigger input event to auto-resize and sync
+          const inputEvent = new Event('input', { bubbles: true });
+          messageField.dispatchEvent(inputEvent);
+
+          // Focus the field
+          setTimeout(() => messageField.focus(), 50);
+
+          // Scroll to the absolute top of the modal to see the card
+          setTimeout(() => {
+            const dialogContainer = modal.querySelector('[role="dialog"]');
+            if (dialogContainer) {
+              dialogContainer.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+          }, 100);
+        }
+
+        // Panel stays open so user can try different suggestions
+
+        trackEvent('cc_ai_suggestion_use', {
+          product_handle: product.handle,
+          variant_id: selectedVariantId,
+          suggestion_index: index,
+          version: idea.history.length + 1
+        });
+      },
+
+      onCopy: async (index) => {
+        try {
+          await navigator.clipboard.writeText(aiIdeas[index].message);
+
+          trackEvent('cc_ai_suggestion_copy', {
+            product_handle: product.handle,
+            variant_id: selectedVariantId,
+            suggestion_index: index
+          });
+          return true;
+        } catch (error) {
+          debug.error('Failed to copy:', error);
+          return false;
+        }
+      },
+
+      onRefine: async (index, instruction) => {
+        const idea = aiIdeas[index];
+        if (!idea || idea.pending) return;
+
+        // Measured now: the font or size may have changed since the ideas came
+        const typography = readTypography();
+        aiIdeas[index] = { ...idea, pending: true, error: '' };
+        updateIdeaCard(aiResults, index, aiIdeas[index]);
+
+        let outcome = 'changed';
+        let next = { ...idea, error: '' };
+        try {
+          const data = await refineMessageSuggestion({
+            ...aiRequest,
+            message: idea.message,
+            instruction,
+            history: idea.history,
+            maxLength: measureMessageCapacity(typography)
+          });
+
+          if (data.reason === 'budget') {
+            outcome = 'budget';
+            next.error = 'Changes aren\'t available right now, but you can still edit the message on your card.';
+          } else if (data.fallback) {
+            outcome = 'unchanged';
+            next.error = 'We couldn\'t rework that one. Try asking another way.';
+          } else if (!ideaFits(data.suggestion.message, typography)) {
+            outcome = 'too_long';
+            next.error = 'That version wouldn\'t fit your card. Try "Shorter".';
+          } else {
+            next = {
+              ...next,
+              message: data.suggestion.message,
+              tone: data.suggestion.tone,
+              length: data.suggestion.length,
+              history: [...idea.history, { message: idea.message, instruction }].slice(-REFINE_HISTORY_LIMIT)
+            };
+          }
+        } catch (error) {
+          debug.error('[CC Choice] AI refine error:', error);
+          if (error.type === AI_ERRORS.RATE_LIMITED) {
+            outcome = 'rate_limited';
+            next.error = aiLimitMessage(error, 'changes');
+          } else {
+            outcome = 'error';
+            next.error = 'Sorry, we couldn\'t change it right now. Please try again.';
+          }
+        }
+
+        aiIdeas[index] = next;
+        updateIdeaCard(aiResults, index, next);
+
+        trackEvent('cc_ai_suggestion_refine', {
+          product_handle: product.handle,
+          variant_id: selectedVariantId,
+          suggestion_index: index,
+          refinement: Object.prototype.hasOwnProperty.call(IDEA_REFINEMENTS, instruction) ? instruction : 'custom',
+          version: next.history.length + 1,
+          outcome
+        });
+      },
+
+      onUndo: (index) => {
+        const idea = aiIdeas[index];
+        if (!idea || !idea.history.length) return;
+
+        const previous = idea.history[idea.history.length - 1];
+        aiIdeas[index] = {
+          ...idea,
+          message: previous.message,
+          length: describeLength(previous.message),
+          history: idea.history.slice(0, -1),
+          error: ''
+        };
+        updateIdeaCard(aiResults, index, aiIdeas[index]);
+      }
+    });
+
     if (aiGenerateBtn) {
       aiGenerateBtn.addEventListener('click', async () => {
         // Validate inputs
@@ -788,125 +1451,80 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
         aiGenerateBtn.textContent = 'Generating...';
 
         try {
+          const typography = readTypography();
+          const tone = aiTone ? aiTone.value : undefined;
+          const length = aiLength ? aiLength.value : undefined;
+          const relationship = aiRelationship ? aiRelationship.value : '';
+          const maxLength = measureMessageCapacity(typography);
+
           // Call AI service
           const data = await generateMessageSuggestions({
             recipient: aiRecipient.value,
             occasion: aiOccasion.value,
             details: aiDetails ? aiDetails.value : '',
-            imageUrl: product.featured_image || ''
+            tone,
+            length,
+            relationship,
+            maxLength,
+            imageUrl: product.featured_image || '',
+            tags: product.tags || []
           });
 
-          // Display suggestions with "Use this" and "Copy" buttons
-          if (data.suggestions && data.suggestions.length > 0) {
-            aiResults.innerHTML = data.suggestions.map((s, i) => `
-              <div class="ccc__ai-suggestion-card">
-                <p class="ccc__ai-suggestion-text">${escapeHtml(s.message)}</p>
-                <div class="ccc__ai-suggestion-actions">
-                  <button type="button" class="ccc__ai-use-btn" data-ai-use="${i}">
-                    Use this
-                  </button>
-                  <button type="button" class="ccc__ai-copy-btn" data-ai-copy="${i}">
-                    Copy
-                  </button>
-                </div>
-              </div>
-            `).join('');
+          // maxLength is measured on ordinary prose; drop any idea whose line breaks push it off the card
+          const suggestions = (data.suggestions || []).filter(s => ideaFits(s.message, typography));
+          if (suggestions.length === 0) {
+            alert('Sorry, none of the ideas fit your card at this size. Try a shorter length or a smaller text size.');
+          }
+
+          // Display suggestions with "Use this", "Copy" and ways to change them
+          if (suggestions.length > 0) {
+            aiRequest = {
+              recipient: aiRecipient.value,
+              occasion: aiOccasion.value,
+              details: aiDetails ? aiDetails.value : '',
+              tone,
+              relationship,
+              tags: product.tags || []
+            };
+            aiIdeas = suggestions.map(s => ({ ...s, history: [] }));
+            aiResults.innerHTML = renderIdeaCards(aiIdeas);
 
             aiResults.removeAttribute('hidden');
             aiForm.setAttribute('hidden', '');
 
-            // "Use this" buttons - populate message (keep panel open for trying other suggestions)
-            aiResults.querySelectorAll('[data-ai-use]').forEach(btn => {
-              btn.addEventListener('click', () => {
-                const index = parseInt(btn.dataset.aiUse);
-                const suggestion = data.suggestions[index];
-
-                if (messageField) {
-                  messageField.value = suggestion.message;
-
-                  // Trigger input event to auto-resize and sync
-                  const inputEvent = new Event('input', { bubbles: true });
-                  messageField.dispatchEvent(inputEvent);
-
-                  // Focus the field
-                  setTimeout(() => messageField.focus(), 50);
-
-                  // Scroll to the absolute top of the modal to see the card
-                  setTimeout(() => {
-                    const dialogContainer = modal.querySelector('[role="dialog"]');
-                    if (dialogContainer) {
-                      dialogContainer.scrollTo({ top: 0, behavior: 'smooth' });
-                    }
-                  }, 100);
-                }
-
-                // Panel stays open so user can try different suggestions
-
-                trackEvent('cc_ai_suggestion_use', {
-                  product_handle: product.handle,
-                  variant_id: selectedVariantId,
-                  suggestion_index: index
-                });
-              });
-            });
-
-            // "Copy" buttons - copy to clipboard
-            aiResults.querySelectorAll('[data-ai-copy]').forEach(btn => {
-              btn.addEventListener('click', async () => {
-                const index = parseInt(btn.dataset.aiCopy);
-                const suggestion = data.suggestions[index];
-
-                try {
-                  await navigator.clipboard.writeText(suggestion.message);
-                  btn.textContent = 'Copied!';
-                  setTimeout(() => {
-                    btn.textContent = 'Copy';
-                  }, 2000);
-
-                  trackEvent('cc_ai_suggestion_copy', {
-                    product_handle: product.handle,
-                    variant_id: selectedVariantId,
-                    suggestion_index: index
-                  });
-                } catch (error) {
-                  debug.error('Failed to copy:', error);
-                }
-              });
-            });
-
             trackEvent('cc_ai_suggestions_generated', {
               product_handle: product.handle,
               variant_id: selectedVariantId,
-              count: data.suggestions.length
+              count: suggestions.length,
+              tone: tone || 'sentimental',
+              length: length || 'mixed',
+              relationship: relationship || 'none',
+              max_length: maxLength,
+              fallback: Boolean(data.fallback)
             });
+            if (callbacks.onAiSuggestions) callbacks.onAiSuggestions();
           }
 
         } catch (error) {
           debug.error('[CC Choice] AI generation error:', error);
-          alert('Sorry, we couldn\'t generate suggestions right now. Please try again.');
+          alert(error.type === AI_ERRORS.RATE_LIMITED
+            ? aiLimitMessage(error, 'ideas')
+            : 'Sorry, we couldn\'t generate suggestions right now. Please try again.');
         } finally {
           aiGenerateBtn.disabled = false;
-          aiGenerateBtn.textContent = 'Generate Suggestions';
+          aiGenerateBtn.textContent = 'Get message ideas';
         }
       });
     }
 
-    // Debounced save to localStorage
-    let saveTimeout;
-    const debouncedSave = () => {
-      clearTimeout(saveTimeout);
-      saveTimeout = setTimeout(() => {
-        const data = {
-          insideMessage: insideTextarea ? insideTextarea.value : ''
-        };
-        savePersonalization(product.handle, selectedVariantId, data);
-      }, 500);
-    };
-
     if (insideTextarea) {
       insideTextarea.addEventListener('input', debouncedSave);
     }
 
+    if (recipientFields) {
+      recipientFields.addEventListener('input', debouncedSave);
+    }
+
     // Leave blank toggle - Professional blank card mode
     const leaveBlankCheckbox = modal.querySelector('[data-cc-leave-blank]');
     if (leaveBlankCheckbox && insideTextarea) {
@@ -922,12 +1540,19 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
           insideTextarea.required = false;
           insideTextarea.value = ''; // Clear message
 
-          if (messageField) {
-            messageField.value = '';
-            messageField.disabled = true;
-            messageField.classList.add('ccc__message-field--blank');
-            messageField.setAttribute('tabindex', '-1');
+          [messageField, leftMessageField].forEach(field => {
+            if (!field) return;
+            field.value = '';
+            field.disabled = true;
+            field.classList.add('ccc__message-field--blank');
+            field.setAttribute('tabindex', '-1');
+          });
+          if (leftInsideTextarea) {
+            leftInsideTextarea.value = '';
+            leftInsideTextarea.disabled = true;
           }
+          updateMessageFit();
+          if (currentCheck) runMessageCheck('input');
 
           // Soften writing area (no grey fill)
           if (writingArea) {
@@ -949,12 +1574,19 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
           insideTextarea.disabled = false;
           insideTextarea.required = true;
 
+          [messageField, leftMessageField].forEach(field => {
+            if (!field) return;
+            field.disabled = false;
+            field.classList.remove('ccc__message-field--blank');
+            field.removeAttribute('tabindex');
+          });
+          if (leftInsideTextarea) {
+            leftInsideTextarea.disabled = false;
+          }
           if (messageField) {
-            messageField.disabled = false;
-            messageField.classList.remove('ccc__message-field--blank');
-            messageField.removeAttribute('tabindex');
             messageField.focus();
           }
+          updateMessageFit();
 
           // Restore writing area
           if (writingArea) {
@@ -975,6 +1607,88 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       });
     }
 
+    // Multi-card mode: load a copy into the form, or clear it for the next one
+    const fillCopyFields = (line) => {
+      if (leaveBlankCheckbox && leaveBlankCheckbox.checked !== line.leaveBlank) {
+        leaveBlankCheckbox.checked = line.leaveBlank;
+        leaveBlankCheckbox.dispatchEvent(new Event('change'));
+      }
+
+      fillTypographyFields(line);
+      fillLayoutFields(line);
+      fillFrontCaption(line.frontCaption);
+      if (photoStep) photoStep.setPhotoRef(line.photoRef);
+
+      if (messageField) {
+        messageField.value = line.leaveBlank ? '' : line.insideMessage;
+        messageField.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+
+      fillRecipientFields(recipientFields, line.delivery.recipient);
+      setSendDate(recipientFields, line.arrivalDate);
+      updateDeliveryMethod(line.delivery.deliveryMethod);
+    };
+
+    const resetCopyFields = () => {
+      [leftMessageField, messageField].forEach(field => {
+        if (!field) return;
+        field.value = '';
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+      fillFrontCaption('');
+      // The photo stays: like the artwork, it's the same on every copy
+
+      const savedRecipientSelect = modal.querySelector('[data-ccc-saved-recipient]');
+      if (savedRecipientSelect && savedRecipientSelect.value) {
+        savedRecipientSelect.value = '';
+        savedRecipientSelect.dispatchEvent(new Event('change'));
+      }
+      fillRecipientFields(recipientFields, {});
+      setSendDate(recipientFields, '');
+
+      if (messageField && !messageField.disabled) messageField.focus();
+    };
+
+    // Possible misspellings stop the first "Add to basket" so the customer can
+    // review them; submitting again with the same words goes ahead. Blocked
+    // words are refused by validateCardLine. In multi-card mode, clear the
+    // form once its copy has reached the basket.
+    let reviewedSpellingKey = null;
+    const submitCallbacks = {
+      ...callbacks,
+      onSubmit: async (submittedForm) => {
+        const { misspellings } = runMessageCheck('submit');
+        const spellingKey = misspellings.map(m => `${m.field}:${m.word.toLowerCase()}`).join('|');
+        if (spellingKey && spellingKey !== reviewedSpellingKey) {
+          reviewedSpellingKey = spellingKey;
+          if (checkNotice) checkNotice.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          return;
+        }
+
+        const result = await callbacks.onSubmit(submittedForm);
+        if (result && result.formAdded) resetCopyFields();
+      }
+    };
+
+    bindBatchTray(modal, {
+      onToggle: (enabled) => callbacks.onBatchToggle && callbacks.onBatchToggle(enabled),
+      onAddCopy: () => {
+        if (callbacks.onAddCopy && callbacks.onAddCopy(personaliserForm)) {
+          resetCopyFields();
+        }
+      },
+      onEditCopy: (index) => {
+        const line = callbacks.onEditCopy && callbacks.onEditCopy(personaliserForm, index);
+        if (line) fillCopyFields(line);
+      },
+      onRemoveCopy: (index) => callbacks.onRemoveCopy && callbacks.onRemoveCopy(index)
+    });
+
+    // Editing a basket line: hydrate the form from its properties
+    if (context.initialLine) {
+      fillCopyFields(context.initialLine);
+    }
+
     // Enhanced focus management on load
     setTimeout(() => {
       const messageField = modal.querySelector('[data-ccc-message-field]');
@@ -1004,7 +1718,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
 
           if (form) {
             debug.log(`[CC Choice] Form found after ${retries} retry(ies)`);
-            attachFormSubmitHandler(modal, form, callbacks);
+            attachFormSubmitHandler(modal, form, submitCallbacks);
           } else {
             debug.error('[CC Choice] CRITICAL: Form #cc-modal-form not found after retries!');
             debug.error('[CC Choice] Modal body HTML (first 500 chars):', modal.querySelector("[data-ccc-body]").innerHTML.substring(0, 500));
@@ -1021,7 +1735,7 @@ export function bindPersonaliserViewHandlers(modal, context, callbacks) {
       }, 100); // Try every 100ms
     } else {
       debug.log('[CC Choice] Form found immediately, Form ID:', form?.id);
-      attachFormSubmitHandler(modal, form, callbacks);
+      attachFormSubmitHandler(modal, form, submitCallbacks);
     }
 
 }
@@ -0,0 +1,388 @@
+/**
+ * Photo Step View
+ *
+ * @module views/photoStep
+ * @description "Add your photo" step for photo cards: choose, crop, upload
+ *
+ * The crop window always has the printed front's proportions (bleed
+ * included), so what the customer frames is what gets printed. Crop maths
+ * and the resolution check live in core/photoCard.js; decoding and JPEG
+ * compression in utils/image.js; the upload in services/photoService.js.
+ *
+ * Only the stored file reference reaches the basket, in the hidden
+ * `_photo_ref` line property. Moving, zooming or rotating after an upload
+ * clears it until "Use this photo" is pressed again, so the basket never
+ * carries a crop the customer has since changed.
+ *
+ * @public renderPhotoStep() → HTMLString
+ * @public renderPhotoRefInput() → HTMLString
+ * @public bindPhotoStep(root: HTMLElement, options: PhotoStepOptions) → PhotoStepController|null
+ *
+ * @typedef {Object} PhotoStepOptions
+ * @property {import('../core/cardInterior.js').CardFormat|string} [format] - Selected card size
+ * @property {string} productHandle - For analytics
+ * @property {Function} [onChange] - Called with the photo ref ('' when cleared)
+ *
+ * @typedef {Object} PhotoStepController
+ * @property {(ref: string) => void} setPhotoRef - Show an already uploaded photo ('' to start again)
+ *
+ * @example
+ * import { renderPhotoStep, renderPhotoRefInput, bindPhotoStep } from './views/photoStep.js';
+ *
+ * previewColumn.insertAdjacentHTML('afterbegin', renderPhotoStep());
+ * form.insertAdjacentHTML('beforeend', renderPhotoRefInput());
+ * const photo = bindPhotoStep(modal, { format: 'A5', productHandle: 'your-photo-birthday' });
+ * photo.setPhotoRef(line.photoRef);
+ */
+
+import {
+  PHOTO_PROPERTY,
+  PHOTO_LIMITS,
+  getPhotoPrintSize,
+  createCrop,
+  rotateCrop,
+  zoomCrop,
+  panCrop,
+  getCropRect,
+  getOutputSize,
+  checkPhotoResolution
+} from '../core/photoCard.js';
+import { trackEvent } from '../core/analytics.js';
+import { uploadPhoto, getPhotoUrl } from '../services/photoService.js';
+import { loadImageFile, drawCrop, canvasToJpeg } from '../utils/image.js';
+
+// ========================================
+// DEBUG CONFIGURATION
+// ========================================
+
+const DEBUG = new URLSearchParams(window.location.search).has('cc_debug') || window.ccDebug === true;
+
+const debug = {
+  log: (...args) => DEBUG && console.log(...args),
+  error: (...args) => console.error(...args)
+};
+
+// Preview canvas width in pixels; height follows the card's proportions
+const PREVIEW_WIDTH = 720;
+
+// Share of the crop window moved per arrow key press
+const KEYBOARD_PAN_STEP = 0.05;
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * @private
+ */
+function getElements(root) {
+  const step = root && root.querySelector('[data-ccc-photo]');
+  if (!step) return null;
+
+  return {
+    step,
+    refInput: root.querySelector('[data-cc-photo-ref]'),
+    fileInput: step.querySelector('[data-ccc-photo-file]'),
+    picker: step.querySelector('[data-ccc-photo-pick]'),
+    editor: step.querySelector('[data-ccc-photo-editor]'),
+    canvas: step.querySelector('[data-ccc-photo-canvas]'),
+    zoom: step.querySelector('[data-ccc-photo-zoom]'),
+    rotate: step.querySelector('[data-ccc-photo-rotate]'),
+    change: step.querySelectorAll('[data-ccc-photo-change]'),
+    use: step.querySelector('[data-ccc-photo-use]'),
+    warning: step.querySelector('[data-ccc-photo-warning]'),
+    status: step.querySelector('[data-ccc-photo-status]'),
+    saved: step.querySelector('[data-ccc-photo-saved]'),
+    savedImage: step.querySelector('[data-ccc-photo-saved-image]')
+  };
+}
+
+/**
+ * Show one of the step's three panels: 'pick', 'edit' or 'saved'
+ * @private
+ */
+function showPanel(els, panel) {
+  els.picker.hidden = panel !== 'pick';
+  els.editor.hidden = panel !== 'edit';
+  els.saved.hidden = panel !== 'saved';
+}
+
+/**
+ * @private
+ */
+function setStatus(els, message, isError = false) {
+  els.status.textContent = message || '';
+  els.status.classList.toggle('ccc__photo-status--error', Boolean(message) && isError);
+}
+
+/**
+ * Why a chosen file can't be used, before trying to decode it
+ * @private
+ * @returns {{ reason: string, message: string }|null}
+ */
+function checkPhotoFile(file) {
+  if (!PHOTO_LIMITS.acceptedTypes.includes(file.type)) {
+    return { reason: 'unsupported', message: 'Please choose a JPEG, PNG or WebP photo.' };
+  }
+  if (file.size > PHOTO_LIMITS.maxFileBytes) {
+    const limitMb = Math.round(PHOTO_LIMITS.maxFileBytes / (1024 * 1024));
+    return { reason: 'too_large', message: `That photo is over ${limitMb}MB. Please choose a smaller one.` };
+  }
+  return null;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render the photo step (goes in the preview column)
+ *
+ * @returns {string} HTML string
+ */
+export function renderPhotoStep() {
+  const accept = PHOTO_LIMITS.acceptedTypes.join(',');
+
+  return `
+    <div class="ccc__photo-step" data-ccc-photo>
+      <h3 class="ccc__card-heading">Add your photo</h3>
+
+      <div class="ccc__photo-pick" data-ccc-photo-pick>
+        <label class="button ccc__photo-choose">
+          Choose a photo
+          <input type="file" accept="${accept}" class="visually-hidden" data-ccc-photo-file>
+        </label>
+        <p class="ccc__photo-hint">It fills the front of the card. You can move, zoom and turn it next.</p>
+      </div>
+
+      <div class="ccc__photo-editor" data-ccc-photo-editor hidden>
+        <div class="ccc__photo-frame">
+          <canvas
+            class="ccc__photo-canvas"
+            data-ccc-photo-canvas
+            tabindex="0"
+            role="img"
+            aria-label="Front of the card. Drag or use the arrow keys to move your photo."
+          ></canvas>
+        </div>
+
+        <div class="ccc__photo-controls">
+          <label class="ccc__photo-zoom">
+            <span class="ccc__control-label">Zoom</span>
+            <input type="range" min="1" max="${PHOTO_LIMITS.maxZoom}" step="0.01" value="1" data-ccc-photo-zoom>
+          </label>
+          <button type="button" class="button button--small button--secondary" data-ccc-photo-rotate>Rotate</button>
+          <button type="button" class="button button--small button--secondary" data-ccc-photo-change>Change photo</button>
+        </div>
+
+        <p class="ccc__photo-warning" data-ccc-photo-warning role="status" hidden></p>
+
+        <button type="button" class="button ccc__photo-use" data-ccc-photo-use>Use this photo</button>
+      </div>
+
+      <div class="ccc__photo-saved" data-ccc-photo-saved hidden>
+        <img class="ccc__photo-saved-image" alt="Your photo on the front of the card" data-ccc-photo-saved-image>
+        <button type="button" class="button button--small button--secondary" data-ccc-photo-change>Change photo</button>
+      </div>
+
+      <p class="ccc__photo-status" data-ccc-photo-status aria-live="polite"></p>
+    </div>
+  `;
+}
+
+/**
+ * Render the hidden line property holding the photo reference (goes in the form)
+ *
+ * @returns {string} HTML string
+ */
+export function renderPhotoRefInput() {
+  return `<input type="hidden" name="properties[${PHOTO_PROPERTY}]" value="" data-cc-photo-ref>`;
+}
+
+/**
+ * Bind file choice, crop controls and upload
+ *
+ * @param {HTMLElement} root - Element containing the step and the form
+ * @param {PhotoStepOptions} options - Card size, analytics and callbacks
+ * @returns {PhotoStepController|null} Controller, or null if the step isn't rendered
+ */
+export function bindPhotoStep(root, options) {
+  const els = getElements(root);
+  if (!els) return null;
+
+  const printSize = getPhotoPrintSize(options.format);
+  let image = null;
+  let crop = null;
+  let uploading = false;
+
+  els.canvas.width = PREVIEW_WIDTH;
+  els.canvas.height = Math.round(PREVIEW_WIDTH / printSize.aspect);
+  els.canvas.style.aspectRatio = `${printSize.width} / ${printSize.height}`;
+  if (els.savedImage) els.savedImage.style.aspectRatio = els.canvas.style.aspectRatio;
+
+  const setRef = (ref) => {
+    if (els.refInput.value === ref) return;
+    els.refInput.value = ref;
+    if (options.onChange) options.onChange(ref);
+  };
+
+  const draw = () => {
+    const rect = getCropRect(crop, printSize.aspect);
+    drawCrop(els.canvas, image, crop, rect);
+
+    const resolution = checkPhotoResolution(rect, printSize);
+    els.warning.textContent = resolution.message;
+    els.warning.hidden = resolution.ok;
+    return { rect, resolution };
+  };
+
+  // Any change to the crop means the uploaded photo no longer matches
+  const updateCrop = (next) => {
+    crop = next;
+    els.zoom.value = String(crop.zoom);
+    draw();
+    if (els.refInput.value) {
+      setRef('');
+      setStatus(els, 'Press "Use this photo" to save your changes.');
+    }
+  };
+
+  const fail = (reason, message) => {
+    setStatus(els, message, true);
+    trackEvent('cc_photo_upload_failed', { product_handle: options.productHandle, reason });
+  };
+
+  const openPhoto = async (file) => {
+    const problem = checkPhotoFile(file);
+    if (problem) {
+      fail(problem.reason, problem.message);
+      return;
+    }
+
+    setStatus(els, 'Opening your photo…');
+    try {
+      image = await loadImageFile(file);
+    } catch (error) {
+      debug.error('[Photo Step] Could not decode photo:', error);
+      fail('decode', 'We couldn\'t open that photo. Please try a different one.');
+      return;
+    }
+
+    debug.log('[Photo Step] Loaded photo:', image.width, '×', image.height);
+    setRef('');
+    setStatus(els, '');
+    crop = createCrop(image.width, image.height);
+    els.zoom.value = '1';
+    showPanel(els, 'edit');
+    draw();
+    els.canvas.focus();
+  };
+
+  const usePhoto = async () => {
+    if (!image || uploading) return;
+    uploading = true;
+    els.use.disabled = true;
+    setStatus(els, 'Uploading your photo…');
+
+    const { rect, resolution } = draw();
+    const size = getOutputSize(rect, printSize);
+    const output = document.createElement('canvas');
+    output.width = size.width;
+    output.height = size.height;
+
+    let photo;
+    try {
+      drawCrop(output, image, crop, rect);
+      photo = await canvasToJpeg(output, PHOTO_LIMITS.maxUploadBytes);
+    } catch (error) {
+      debug.error('[Photo Step] Could not compress photo:', error);
+      fail('encode', 'We couldn\'t prepare your photo. Please try a different one.');
+      uploading = false;
+      els.use.disabled = false;
+      return;
+    }
+
+    try {
+      const { ref } = await uploadPhoto(photo);
+      setRef(ref);
+      setStatus(els, 'Photo added to your card.');
+      trackEvent('cc_photo_uploaded', {
+        product_handle: options.productHandle,
+        dpi: resolution.dpi,
+        bytes: photo.size,
+        low_resolution: !resolution.ok
+      });
+    } catch (error) {
+      fail('upload', error.message);
+    } finally {
+      uploading = false;
+      els.use.disabled = false;
+    }
+  };
+
+  els.fileInput.addEventListener('change', () => {
+    const file = els.fileInput.files && els.fileInput.files[0];
+    // Clear the input so choosing the same file again still fires 'change'
+    els.fileInput.value = '';
+    if (file) openPhoto(file);
+  });
+
+  els.change.forEach(button => button.addEventListener('click', () => els.fileInput.click()));
+
+  els.zoom.addEventListener('input', () => {
+    if (crop) updateCrop(zoomCrop(crop, els.zoom.value, printSize.aspect));
+  });
+
+  els.rotate.addEventListener('click', () => {
+    if (crop) updateCrop(rotateCrop(crop));
+  });
+
+  // Dragging moves the photo under the crop window, so the window goes the other way
+  let dragFrom = null;
+  els.canvas.addEventListener('pointerdown', (event) => {
+    if (!crop) return;
+    dragFrom = { x: event.clientX, y: event.clientY };
+    els.canvas.setPointerCapture(event.pointerId);
+  });
+  els.canvas.addEventListener('pointermove', (event) => {
+    if (!dragFrom) return;
+    const rect = getCropRect(crop, printSize.aspect);
+    const scale = rect.width / els.canvas.clientWidth;
+    const dx = (dragFrom.x - event.clientX) * scale;
+    const dy = (dragFrom.y - event.clientY) * scale;
+    dragFrom = { x: event.clientX, y: event.clientY };
+    updateCrop(panCrop(crop, dx, dy, printSize.aspect));
+  });
+  ['pointerup', 'pointercancel'].forEach(type => els.canvas.addEventListener(type, () => {
+    dragFrom = null;
+  }));
+
+  els.canvas.addEventListener('keydown', (event) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!crop || !moves[event.key]) return;
+    event.preventDefault();
+    const rect = getCropRect(crop, printSize.aspect);
+    const [x, y] = moves[event.key];
+    updateCrop(panCrop(crop, x * rect.width * KEYBOARD_PAN_STEP, y * rect.height * KEYBOARD_PAN_STEP, printSize.aspect));
+  });
+
+  els.use.addEventListener('click', usePhoto);
+
+  const setPhotoRef = (ref) => {
+    image = null;
+    crop = null;
+    setStatus(els, '');
+    els.warning.hidden = true;
+    setRef(ref || '');
+
+    if (ref) {
+      els.savedImage.src = getPhotoUrl(ref);
+      showPanel(els, 'saved');
+    } else {
+      els.savedImage.removeAttribute('src');
+      showPanel(els, 'pick');
+    }
+  };
+
+  return { setPhotoRef };
+}
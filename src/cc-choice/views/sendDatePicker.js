@@ -0,0 +1,206 @@
+/**
+ * Send Date Picker View
+ *
+ * @module views/sendDatePicker
+ * @description "When should it arrive?" choice for Send Direct cards
+ *
+ * Lives inside the recipient fields so it follows the selected country. Date
+ * rules (transit, cutoff, holidays) come from core/sendDate.js; this view only
+ * renders the result. The date input is disabled while "As soon as possible"
+ * is chosen, so only scheduled cards carry an arrival date.
+ *
+ * @public renderSendDatePicker() → HTMLString
+ * @public bindSendDatePicker(root: HTMLElement, callbacks: SendDatePickerCallbacks) → void
+ * @public setSendDate(root: HTMLElement, arrivalDate: string) → void
+ * @public showSendDateError(root: HTMLElement, message: string) → void
+ *
+ * @typedef {Object} SendDatePickerCallbacks
+ * @property {Function} [onChange] - Called with { arrivalDate, country, valid } after a date is picked
+ *
+ * @example
+ * import { renderSendDatePicker, bindSendDatePicker } from './views/sendDatePicker.js';
+ *
+ * recipientFields.insertAdjacentHTML('beforeend', renderSendDatePicker());
+ * bindSendDatePicker(recipientFields, { onChange: ({ arrivalDate }) => save() });
+ */
+
+import {
+  SEND_DATE_PROPERTIES,
+  getArrivalWindow,
+  checkArrivalDate,
+  formatSendDate
+} from '../core/sendDate.js';
+import { getFieldName } from '../core/deliverySchema.js';
+
+// ========================================
+// PRIVATE HELPERS
+// ========================================
+
+/**
+ * @private
+ */
+function getElements(root) {
+  const picker = root && root.querySelector('[data-ccc-send-date]');
+  if (!picker) return null;
+
+  return {
+    picker,
+    modes: picker.querySelectorAll('[data-ccc-send-date-mode]'),
+    row: picker.querySelector('[data-ccc-send-date-row]'),
+    input: picker.querySelector('[data-ccc-arrival-date]'),
+    estimate: picker.querySelector('[data-ccc-send-date-estimate]'),
+    hint: picker.querySelector('[data-ccc-send-date-hint]'),
+    error: picker.querySelector('[data-ccc-send-date-error]'),
+    country: root.querySelector('[data-ccc-recipient-key="country"]')
+  };
+}
+
+/**
+ * @private
+ */
+function isScheduled(els) {
+  return Array.from(els.modes).some(mode => mode.checked && mode.value === 'scheduled');
+}
+
+/**
+ * Show or clear the error under the date input
+ * @private
+ */
+function renderError(els, message) {
+  els.error.textContent = message || '';
+  els.error.hidden = !message;
+  els.input.classList.toggle('cc-input--invalid', Boolean(message));
+  els.input.setAttribute('aria-invalid', message ? 'true' : 'false');
+}
+
+/**
+ * Re-apply the window, estimate and order-by hint for the current country
+ * @private
+ * @returns {{ arrivalDate: string, country: string, valid: boolean }}
+ */
+function refresh(els) {
+  const country = els.country ? els.country.value : '';
+  const now = new Date();
+  const { earliest, latest } = getArrivalWindow(country, now);
+  const scheduled = isScheduled(els);
+
+  els.input.min = earliest;
+  els.input.max = latest;
+  els.input.disabled = !scheduled;
+  els.row.hidden = !scheduled;
+  els.estimate.textContent = `Usually arrives by ${formatSendDate(earliest)}`;
+
+  if (!scheduled || !els.input.value) {
+    els.hint.textContent = '';
+    renderError(els, '');
+    return { arrivalDate: '', country, valid: true };
+  }
+
+  const check = checkArrivalDate(els.input.value, country, now);
+  els.hint.textContent = check.valid
+    ? `Order by ${check.deadline.cutoff} on ${formatSendDate(check.deadline.orderBy)} and we'll post it that day.`
+    : '';
+  renderError(els, check.valid ? '' : check.error);
+
+  return { arrivalDate: els.input.value, country, valid: check.valid };
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+/**
+ * Render the arrival date choice
+ *
+ * @returns {string} HTML string
+ */
+export function renderSendDatePicker() {
+  return `
+    <div class="ccc__send-date" data-ccc-send-date>
+      <h4 class="ccc__section-heading">When should it arrive?</h4>
+
+      <label class="ccc__send-date-option">
+        <input type="radio" name="cc_send_date_mode" value="asap" data-ccc-send-date-mode checked>
+        <span>As soon as possible</span>
+        <small data-ccc-send-date-estimate></small>
+      </label>
+      <label class="ccc__send-date-option">
+        <input type="radio" name="cc_send_date_mode" value="scheduled" data-ccc-send-date-mode>
+        <span>On a specific day</span>
+      </label>
+
+      <div class="cc-field" data-ccc-send-date-row hidden>
+        <label for="cc-arrival-date" class="cc-label">Arrive on</label>
+        <input
+          id="cc-arrival-date"
+          class="cc-input field__input"
+          type="date"
+          name="${getFieldName(SEND_DATE_PROPERTIES.ARRIVAL)}"
+          aria-describedby="cc-arrival-date-hint cc-arrival-date-error"
+          data-ccc-arrival-date
+          disabled
+        >
+        <p id="cc-arrival-date-hint" class="ccc__send-date-hint" data-ccc-send-date-hint></p>
+        <p id="cc-arrival-date-error" class="ccc__field-error" data-ccc-send-date-error hidden></p>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Bind mode radios, the date input and the recipient country
+ *
+ * @param {HTMLElement} root - Element containing the picker and recipient fields
+ * @param {SendDatePickerCallbacks} [callbacks] - Picker callbacks
+ */
+export function bindSendDatePicker(root, callbacks = {}) {
+  const els = getElements(root);
+  if (!els) return;
+
+  const update = () => {
+    const result = refresh(els);
+    if (callbacks.onChange) callbacks.onChange(result);
+  };
+
+  els.modes.forEach(mode => mode.addEventListener('change', () => {
+    update();
+    if (isScheduled(els)) els.input.focus();
+  }));
+  els.input.addEventListener('change', update);
+  if (els.country) {
+    els.country.addEventListener('change', () => refresh(els));
+  }
+
+  refresh(els);
+}
+
+/**
+ * Load an arrival date into the picker ('' switches back to "As soon as possible")
+ *
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {string} arrivalDate - ISO date or ''
+ */
+export function setSendDate(root, arrivalDate) {
+  const els = getElements(root);
+  if (!els) return;
+
+  els.modes.forEach(mode => {
+    mode.checked = mode.value === (arrivalDate ? 'scheduled' : 'asap');
+  });
+  els.input.value = arrivalDate || '';
+  refresh(els);
+}
+
+/**
+ * Show a validation error under the date input and focus it
+ *
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {string} message - Error message ('' clears it)
+ */
+export function showSendDateError(root, message) {
+  const els = getElements(root);
+  if (!els) return;
+
+  renderError(els, message);
+  if (message) els.input.focus();
+}
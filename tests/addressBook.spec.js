@@ -0,0 +1,124 @@
+/**
+ * Address Book Tests
+ *
+ * Tests for core/addressBook.js
+ * Validates save/edit/delete of saved recipients and merging with the customer account
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const GRANDAD = {
+  recipientName: 'Joe Bloggs',
+  addressLine1: '12 Lily Pad Lane',
+  city: 'Bristol',
+  postcode: 'BS1 4DJ',
+  country: 'GB'
+};
+
+async function loadAddressBook(page) {
+  await loadModules(page, { testAddressBook: '/src/cc-choice/core/addressBook.js' });
+  await page.evaluate(() => localStorage.removeItem('cc-recipients'));
+}
+
+test.describe('Address Book - local recipients', () => {
+  test('saves, lists and edits a recipient', async ({ page }) => {
+    await loadAddressBook(page);
+
+    const result = await page.evaluate((recipient) => {
+      const book = window.testAddressBook;
+      const saved = book.saveRecipient({ nickname: 'Grandad', recipient });
+      book.saveRecipient({ id: saved.id, nickname: 'Grandad', recipient: { ...recipient, city: 'Bath' } });
+      book.saveRecipient({ nickname: 'Auntie', recipient });
+      return book.listRecipients();
+    }, GRANDAD);
+
+    expect(result.map(entry => entry.nickname)).toEqual(['Auntie', 'Grandad']);
+    expect(result[1].recipient.city).toBe('Bath');
+    // Unknown keys are dropped and missing ones defaulted by the delivery schema
+    expect(result[1].recipient.addressLine2).toBe('');
+  });
+
+  test('refuses to save a recipient without an address', async ({ page }) => {
+    await loadAddressBook(page);
+
+    const saved = await page.evaluate(() => {
+      return window.testAddressBook.saveRecipient({ nickname: 'Mum', recipient: { recipientName: 'Mum' } });
+    });
+
+    expect(saved).toBeNull();
+  });
+
+  test('deletes a recipient', async ({ page }) => {
+    await loadAddressBook(page);
+
+    const result = await page.evaluate((recipient) => {
+      const book = window.testAddressBook;
+      const saved = book.saveRecipient({ nickname: 'Grandad', recipient });
+      return { deleted: book.deleteRecipient(saved.id), remaining: book.listRecipients().length };
+    }, GRANDAD);
+
+    expect(result).toEqual({ deleted: true, remaining: 0 });
+  });
+});
+
+test.describe('Address Book - mergeRecipients', () => {
+  test('keeps the most recently updated copy', async ({ page }) => {
+    await loadAddressBook(page);
+
+    const result = await page.evaluate((recipient) => {
+      const book = window.testAddressBook;
+      const local = book.saveRecipient({ nickname: 'Grandad', recipient });
+      return book.mergeRecipients([
+        { ...local, recipient: { ...recipient, city: 'Old Town' }, updatedAt: local.updatedAt - 1000 },
+        { id: 'rcp_remote', nickname: 'Nan', recipient, updatedAt: 1 }
+      ]);
+    }, GRANDAD);
+
+    expect(result.map(entry => entry.nickname)).toEqual(['Grandad', 'Nan']);
+    expect(result[0].recipient.city).toBe('Bristol');
+  });
+
+  test('does not resurrect recipients deleted on this device', async ({ page }) => {
+    await loadAddressBook(page);
+
+    const result = await page.evaluate((recipient) => {
+      const book = window.testAddressBook;
+      const saved = book.saveRecipient({ nickname: 'Grandad', recipient });
+      book.deleteRecipient(saved.id);
+      return book.mergeRecipients([saved]);
+    }, GRANDAD);
+
+    expect(result).toEqual([]);
+  });
+
+  test('drops recipients deleted on another device, but keeps ones that never synced', async ({ page }) => {
+    const statuses = [200, 500];
+    await page.route('**/apps/cute-cards/recipients', route => route.fulfill({ status: statuses.shift() || 200, body: '{}' }));
+    await loadAddressBook(page);
+
+    const result = await page.evaluate(async (recipient) => {
+      const book = window.testAddressBook;
+      const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+      window.ccCustomer = { id: 1, savedRecipients: [] };
+
+      // Pushed, then deleted on another device
+      book.saveRecipient({ nickname: 'Grandad', recipient });
+      await settle();
+      window.ccCustomer.savedRecipients = [];
+
+      // Saved here while the push failed
+      await new Promise(resolve => setTimeout(resolve, 5));
+      book.saveRecipient({ nickname: 'Nan', recipient });
+      await settle();
+
+      await book.syncAddressBook();
+      return {
+        local: book.listRecipients().map(entry => entry.nickname),
+        remote: window.ccCustomer.savedRecipients.map(entry => entry.nickname)
+      };
+    }, GRANDAD);
+
+    expect(result).toEqual({ local: ['Nan'], remote: ['Nan'] });
+  });
+});
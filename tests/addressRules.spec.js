@@ -0,0 +1,119 @@
+/**
+ * Address Rules Tests
+ *
+ * Tests for core/addressRules.js pure functions
+ * Validates per-country postcode formats, labels and normalization
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const BASE_RECIPIENT = {
+  recipientName: 'Mum',
+  addressLine1: '1 Frog Street',
+  city: 'Pondville'
+};
+
+function loadRules(page) {
+  return loadModules(page, {
+    testAddressRules: '/src/cc-choice/core/addressRules.js'
+  });
+}
+
+test.describe('Address Rules - validateRecipient', () => {
+  const validPostcodes = [
+    ['GB', 'sw1a1aa', 'SW1A 1AA', ''],
+    ['US', '10001-1234', '10001-1234', 'ny'],
+    ['CA', 'k1a0b1', 'K1A 0B1', 'Ontario'],
+    ['AU', '2000', '2000', 'NSW'],
+    ['IE', 'd02x285', 'D02 X285', 'Dublin'],
+    ['FR', '75 001', '75001', ''],
+    ['NL', '1012ab', '1012 AB', '']
+  ];
+
+  for (const [country, input, expected, region] of validPostcodes) {
+    test(`accepts and normalizes ${country} postcode "${input}"`, async ({ page }) => {
+      await loadRules(page);
+
+      const result = await page.evaluate((recipient) => {
+        return window.testAddressRules.validateRecipient(recipient);
+      }, { ...BASE_RECIPIENT, country, postcode: input, region });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual({});
+      expect(result.recipient.postcode).toBe(expected);
+    });
+  }
+
+  test('rejects a malformed US ZIP code with a labelled message', async ({ page }) => {
+    await loadRules(page);
+
+    const result = await page.evaluate((recipient) => {
+      return window.testAddressRules.validateRecipient(recipient);
+    }, { ...BASE_RECIPIENT, country: 'US', postcode: '1234', region: 'NY' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.postcode).toContain('ZIP code');
+  });
+
+  test('requires a state for Australia but not a county for the UK', async ({ page }) => {
+    await loadRules(page);
+
+    const results = await page.evaluate((base) => {
+      return {
+        au: window.testAddressRules.validateRecipient({ ...base, country: 'AU', postcode: '2000' }),
+        gb: window.testAddressRules.validateRecipient({ ...base, country: 'GB', postcode: 'BS1 4DJ' })
+      };
+    }, BASE_RECIPIENT);
+
+    expect(results.au.errors.region).toBe('State is required');
+    expect(results.gb.valid).toBe(true);
+  });
+
+  test('Eircode is optional but must be valid when given', async ({ page }) => {
+    await loadRules(page);
+
+    const results = await page.evaluate((base) => {
+      return {
+        empty: window.testAddressRules.validateRecipient({ ...base, country: 'IE', region: 'Cork', postcode: '' }),
+        invalid: window.testAddressRules.validateRecipient({ ...base, country: 'IE', region: 'Cork', postcode: 'B12 3456' })
+      };
+    }, BASE_RECIPIENT);
+
+    expect(results.empty.valid).toBe(true);
+    expect(results.invalid.errors.postcode).toContain('Eircode');
+  });
+});
+
+test.describe('Address Rules - getAddressRules', () => {
+  test('returns country-specific labels', async ({ page }) => {
+    await loadRules(page);
+
+    const labels = await page.evaluate(() => {
+      const { getAddressRules } = window.testAddressRules;
+      return {
+        us: [getAddressRules('US').region.label, getAddressRules('US').postcode.label],
+        ca: [getAddressRules('CA').region.label, getAddressRules('CA').postcode.label],
+        gb: [getAddressRules('GB').region.label, getAddressRules('GB').postcode.label]
+      };
+    });
+
+    expect(labels.us).toEqual(['State', 'ZIP code']);
+    expect(labels.ca).toEqual(['Province', 'Postal code']);
+    expect(labels.gb).toEqual(['County', 'Postcode']);
+  });
+
+  test('registerAddressRules plugs in a new country', async ({ page }) => {
+    await loadRules(page);
+
+    const result = await page.evaluate((base) => {
+      window.testAddressRules.registerAddressRules('NZ', {
+        postcode: { label: 'Postcode', required: true, pattern: /^\d{4}$/, example: '6011' }
+      });
+      return window.testAddressRules.validateRecipient({ ...base, country: 'NZ', postcode: '60110' });
+    }, BASE_RECIPIENT);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.postcode).toContain('6011');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Analytics Tests
+ *
+ * Tests for core/analytics.js, core/analyticsEvents.js and integrations/analyticsTransports.js
+ * Validates catalogue checks, consent gating, queueing and transport replay
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadAnalytics(page) {
+  return loadModules(page, {
+    testAnalytics: [
+      '/src/cc-choice/core/analytics.js',
+      '/src/cc-choice/core/analyticsEvents.js',
+      '/src/cc-choice/integrations/analyticsTransports.js'
+    ]
+  });
+}
+
+test.describe('Analytics - validateEvent', () => {
+  test('accepts a catalogued event with a matching payload', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const result = await page.evaluate(() => {
+      return window.testAnalytics.validateEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'grid' });
+    });
+
+    expect(result).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports unknown events, wrong types and unexpected properties', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const results = await page.evaluate(() => {
+      const { validateEvent } = window.testAnalytics;
+      return {
+        unknown: validateEvent('cc_modal_opened', {}),
+        payload: validateEvent('cc_batch_add', {
+          product_id: 1,
+          variant_id: '2',
+          price: '399',
+          copies: 2,
+          added: 2,
+          failed: 0,
+          extra: true
+        })
+      };
+    });
+
+    expect(results.unknown.valid).toBe(false);
+    expect(results.payload.errors).toEqual(['"price" should be a number', 'Unexpected "extra"']);
+  });
+});
+
+test.describe('Analytics - trackEvent', () => {
+  test('queues events until consent covers the transport', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const counts = await page.evaluate(() => {
+      const { trackEvent, registerTransport, setAnalyticsConsent, createRecorderTransport } = window.testAnalytics;
+      const recorder = createRecorderTransport({ consent: 'analytics' });
+      registerTransport(recorder);
+
+      trackEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'grid' });
+      const beforeConsent = recorder.events.length;
+
+      setAnalyticsConsent({ analytics: true, marketing: false });
+      return { beforeConsent, afterConsent: recorder.events.length };
+    });
+
+    expect(counts).toEqual({ beforeConsent: 0, afterConsent: 1 });
+  });
+
+  test('replays earlier events to transports registered later', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const names = await page.evaluate(() => {
+      const { trackEvent, registerTransport, createRecorderTransport } = window.testAnalytics;
+      trackEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'link' });
+      trackEvent('cc_modal_close', { product_handle: 'frog-birthday' });
+
+      const recorder = createRecorderTransport();
+      registerTransport(recorder);
+      return recorder.events.map(event => event.name);
+    });
+
+    expect(names).toEqual(['cc_modal_open', 'cc_modal_close']);
+  });
+
+  test('drops events that do not match the catalogue', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const count = await page.evaluate(() => {
+      const { trackEvent, registerTransport, createRecorderTransport } = window.testAnalytics;
+      const recorder = createRecorderTransport();
+      registerTransport(recorder, { replay: false });
+
+      trackEvent('cc_modal_open', { product_handle: 'frog-birthday', source: 'somewhere' });
+      trackEvent('cc_not_an_event', {});
+      return recorder.events.length;
+    });
+
+    expect(count).toBe(0);
+  });
+
+  test('holds Klaviyo events until marketing consent and the tracker are present', async ({ page }) => {
+    await loadAnalytics(page);
+
+    const pushed = await page.evaluate(() => {
+      const { trackEvent, registerTransport, setAnalyticsConsent, flushAnalytics, createKlaviyoTransport } = window.testAnalytics;
+      registerTransport(createKlaviyoTransport(), { replay: false });
+      setAnalyticsConsent({ analytics: true, marketing: true });
+
+      trackEvent('cc_modal_close', {});
+
+      const calls = [];
+      window.klaviyo = { push: (args) => calls.push(args) };
+      flushAnalytics();
+      return calls;
+    });
+
+    expect(pushed).toEqual([['track', 'cc_modal_close', {}]]);
+  });
+});
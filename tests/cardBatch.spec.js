@@ -0,0 +1,150 @@
+/**
+ * Card Batch Tests
+ *
+ * Tests for core/cardLine.js and addCardBatch in services/cartService.js
+ * Validates per-copy validation, the batched items[] request and partial-failure reporting
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const SEND_DIRECT_LINE = {
+  insideMessage: 'Happy birthday!',
+  fontFamily: 'Playfair Display',
+  fontSize: 'medium',
+  textColor: '#1A1A1A',
+  leaveBlank: false,
+  delivery: {
+    deliveryMethod: 'Mail4Me',
+    recipient: {
+      recipientName: 'Grandad Joe',
+      addressLine1: '12 Lily Pad Lane',
+      addressLine2: '',
+      city: 'Bristol',
+      postcode: 'bs14dj',
+      region: '',
+      country: 'GB'
+    }
+  }
+};
+
+function loadBatchModules(page) {
+  return loadModules(page, {
+    testCardLine: '/src/cc-choice/core/cardLine.js',
+    testAddCardBatch: '/src/cc-choice/services/cartService.js#addCardBatch'
+  });
+}
+
+test.describe('Card Line - validateCardLine', () => {
+  test('normalizes a valid Send Direct copy', async ({ page }) => {
+    await loadBatchModules(page);
+
+    const result = await page.evaluate((line) => window.testCardLine.validateCardLine(line), SEND_DIRECT_LINE);
+
+    expect(result.valid).toBe(true);
+    expect(result.line.delivery.recipient.postcode).toBe('BS1 4DJ');
+  });
+
+  test('reports an over-long message and a missing address on the same copy', async ({ page }) => {
+    await loadBatchModules(page);
+
+    const result = await page.evaluate((line) => {
+      return window.testCardLine.validateCardLine({
+        ...line,
+        insideMessage: 'x'.repeat(window.testCardLine.MESSAGE_LIMIT + 1),
+        delivery: { ...line.delivery, recipient: { ...line.delivery.recipient, addressLine1: '' } }
+      });
+    }, SEND_DIRECT_LINE);
+
+    expect(result.valid).toBe(false);
+    expect(Object.keys(result.errors).sort()).toEqual(['addressLine1', 'insideMessage']);
+  });
+
+  test('builds one quantity-1 cart item per copy with its own properties', async ({ page }) => {
+    await loadBatchModules(page);
+
+    const item = await page.evaluate((line) => {
+      const { line: valid } = window.testCardLine.validateCardLine(line);
+      return window.testCardLine.buildCardLineItem(valid, {
+        variantId: 12345,
+        variantSkus: { sku_bla: 'PRD-BLA', sku_dir: 'PRD-DIR' },
+        artworkPrompt: 'Frog Card'
+      });
+    }, SEND_DIRECT_LINE);
+
+    expect(item.id).toBe(12345);
+    expect(item.quantity).toBe(1);
+    expect(item.properties['Inside Message']).toBe('Happy birthday!');
+    expect(item.properties['Recipient Name']).toBe('Grandad Joe');
+    expect(item.properties['_prodigi_sku']).toBe('PRD-DIR');
+  });
+});
+
+test.describe('Cart Service - addCardBatch', () => {
+  test('sends every copy in a single items[] request', async ({ page }) => {
+    const requests = [];
+    await page.route('**/cart/add.js', async (route) => {
+      requests.push(route.request().postDataJSON());
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' });
+    });
+
+    await loadBatchModules(page);
+
+    const result = await page.evaluate(() => {
+      return window.testAddCardBatch([
+        { id: 1, quantity: 1, properties: { 'Inside Message': 'One' } },
+        { id: 1, quantity: 1, properties: { 'Inside Message': 'Two' } }
+      ]);
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].items).toHaveLength(2);
+    expect(result).toEqual({ added: [0, 1], failed: [] });
+  });
+
+  test('retries line by line after a 422 and reports which copies failed', async ({ page }) => {
+    await page.route('**/cart/add.js', async (route) => {
+      const body = route.request().postDataJSON();
+      const rejected = body.items || body.properties['Inside Message'] === 'Two';
+
+      await route.fulfill(rejected
+        ? { status: 422, contentType: 'application/json', body: '{"description":"Frog Card is sold out."}' }
+        : { status: 200, contentType: 'application/json', body: '{"id":1}' });
+    });
+
+    await loadBatchModules(page);
+
+    const result = await page.evaluate(() => {
+      return window.testAddCardBatch([
+        { id: 1, quantity: 1, properties: { 'Inside Message': 'One' } },
+        { id: 1, quantity: 1, properties: { 'Inside Message': 'Two' } },
+        { id: 1, quantity: 1, properties: { 'Inside Message': 'Three' } }
+      ]);
+    });
+
+    expect(result.added).toEqual([0, 2]);
+    expect(result.failed).toEqual([{ index: 1, message: 'Frog Card is sold out.' }]);
+  });
+
+  test('does not retry line by line after a server error', async ({ page }) => {
+    let calls = 0;
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      await route.fulfill({ status: 500, contentType: 'application/json', body: '{"description":"Oops"}' });
+    });
+
+    await loadBatchModules(page);
+
+    const message = await page.evaluate(async () => {
+      try {
+        await window.testAddCardBatch([{ id: 1, quantity: 1, properties: {} }, { id: 1, quantity: 1, properties: {} }]);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+
+    expect(message).toBe('Oops');
+    expect(calls).toBe(1);
+  });
+});
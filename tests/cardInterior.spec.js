@@ -0,0 +1,149 @@
+/**
+ * Card Interior Tests
+ *
+ * Tests for core/cardInterior.js and core/interiorPrint.js
+ * Validates millimetre layout per card size, wrapping/overflow and the SVG/PDF print files
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadInteriorModules(page) {
+  return loadModules(page, {
+    testCardInterior: '/src/cc-choice/core/cardInterior.js',
+    testInteriorPrint: '/src/cc-choice/core/interiorPrint.js'
+  });
+}
+
+test.describe('Card Interior - formats', () => {
+  test('resolves variant size names to physical sizes', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const formats = await page.evaluate(() => {
+      const { resolveCardFormat } = window.testCardInterior;
+      return ['A5 / Glossy', 'Large', 'Giant (XL)', 'Mystery size'].map(resolveCardFormat);
+    });
+
+    expect(formats).toEqual([
+      { key: 'a5', width: 148, height: 210 },
+      { key: 'large', width: 205, height: 290 },
+      { key: 'giant', width: 293, height: 419 },
+      null
+    ]);
+  });
+
+  test('formats dimensions in mm and inches', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const label = await page.evaluate(() =>
+      window.testCardInterior.formatCardDimensions({ width: 148, height: 210 }));
+
+    expect(label).toBe('148 × 210mm (5.8" × 8.3")');
+  });
+});
+
+test.describe('Card Interior - layout', () => {
+  test('places the message inside the right page safe area', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const layout = await page.evaluate(() => window.testCardInterior.layoutCardInterior({
+      message: 'Happy birthday, Grandad!',
+      format: 'A5'
+    }));
+
+    expect(layout.spread).toEqual({ width: 296, height: 210 });
+    expect(layout.pages.right.x).toBe(148);
+    expect(layout.textBox.x).toBeGreaterThan(layout.pages.right.x);
+    expect(layout.runs).toHaveLength(1);
+
+    const [run] = layout.runs;
+    expect(run.anchor).toBe('middle');
+    expect(run.anchorX).toBe(layout.textBox.x + layout.textBox.width / 2);
+    expect(run.x).toBeGreaterThanOrEqual(layout.textBox.x);
+    expect(run.x + run.width).toBeLessThanOrEqual(layout.textBox.x + layout.textBox.width);
+    expect(layout.overflow).toBe(false);
+  });
+
+  test('is deterministic', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const same = await page.evaluate(() => {
+      const options = { message: 'Thinking of you today and always', fontFamily: 'Caveat', fontSize: 'large', format: 'a6' };
+      const { layoutCardInterior } = window.testCardInterior;
+      return JSON.stringify(layoutCardInterior(options)) === JSON.stringify(layoutCardInterior(options));
+    });
+
+    expect(same).toBe(true);
+  });
+
+  test('scales the font with the card size', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const sizes = await page.evaluate(() => {
+      const { layoutCardInterior } = window.testCardInterior;
+      return ['small', 'standard', 'giant'].map(format => layoutCardInterior({ message: 'Hi', format }).font.sizeMm);
+    });
+
+    expect(sizes[0]).toBeLessThan(sizes[1]);
+    expect(sizes[1]).toBeLessThan(sizes[2]);
+  });
+
+  test('keeps line breaks and blank lines', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const layout = await page.evaluate(() => window.testCardInterior.layoutCardInterior({
+      message: 'Dear Nan,\n\nThank you!'
+    }));
+
+    expect(layout.lines).toEqual(['Dear Nan,', '', 'Thank you!']);
+    expect(layout.runs.map(run => run.text)).toEqual(['Dear Nan,', 'Thank you!']);
+    expect(layout.runs[1].y - layout.runs[0].y).toBeCloseTo(layout.font.lineHeight * 2, 1);
+  });
+
+  test('wraps long words and reports overflow', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const layout = await page.evaluate(() => window.testCardInterior.layoutCardInterior({
+      message: `${'x'.repeat(80)} ${'lots of love '.repeat(60)}`,
+      fontSize: 'large',
+      format: 'a6'
+    }));
+
+    expect(layout.lines.length).toBeGreaterThan(layout.maxLines);
+    expect(layout.overflow).toBe(true);
+    expect(layout.runs).toHaveLength(layout.maxLines);
+    layout.runs.forEach(run => {
+      expect(run.x + run.width).toBeLessThanOrEqual(layout.textBox.x + layout.textBox.width + 0.01);
+    });
+  });
+});
+
+test.describe('Interior Print - files', () => {
+  test('SVG covers the card plus bleed, in millimetres', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const svg = await page.evaluate(() => {
+      const layout = window.testCardInterior.layoutCardInterior({ message: 'Love & hugs <3', format: 'A5' });
+      return window.testInteriorPrint.renderInteriorSvg(layout);
+    });
+
+    expect(svg).toContain('width="302mm" height="216mm" viewBox="-3 -3 302 216"');
+    expect(svg).toContain('text-anchor="middle">Love &amp; hugs &lt;3</text>');
+  });
+
+  test('PDF has bleed and trim boxes and the message text', async ({ page }) => {
+    await loadInteriorModules(page);
+
+    const pdf = await page.evaluate(() => {
+      const layout = window.testCardInterior.layoutCardInterior({ message: 'Hi', format: 'A5' });
+      const bytes = window.testInteriorPrint.renderInteriorPdf(layout);
+      return String.fromCharCode(...bytes);
+    });
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('/MediaBox [0 0 856.06 612.28]');
+    expect(pdf).toContain('/TrimBox [8.5 8.5 847.56 603.78]');
+    expect(pdf).toContain('<4869> Tj');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Card Proof Tests
+ *
+ * Tests for core/cardProof.js and the card proofs worker (workers/card-proofs.js)
+ * Validates the `_proof_url` line property and proof rendering from a stand-in font directory
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PROPERTIES = {
+  'Inside Message': 'Happy birthday, Grandad! 🎉',
+  'Font Family': 'Caveat',
+  'Font Size': 'large',
+  'Text Color': '#8B0000',
+  'Delivery Method': 'Mail4Me',
+  'Recipient Name': 'Grandad Joe'
+};
+
+function loadProofModules(page) {
+  return loadModules(page, {
+    testCardProof: '/src/cc-choice/core/cardProof.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+// Worker handler with fonts read from a throwaway directory (no network)
+async function createLocalHandler(fonts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-proof-fonts-'));
+  Object.entries(fonts).forEach(([file, bytes]) => fs.writeFileSync(path.join(dir, file), bytes));
+
+  const { createProofHandler, fontFileName } = await import('../workers/card-proofs.js');
+  return createProofHandler({
+    loadFont: async (family) => {
+      const file = path.join(dir, fontFileName(family));
+      return fs.existsSync(file) ? new Uint8Array(fs.readFileSync(file)) : null;
+    }
+  });
+}
+
+test.describe('Card Proof - links', () => {
+  test('round-trips the interior fields and card size', async ({ page }) => {
+    await loadProofModules(page);
+
+    const decoded = await page.evaluate((properties) => {
+      const { buildProofUrl, decodeProofRequest } = window.testCardProof;
+      const url = new URL(buildProofUrl('https://proofs.test/', { properties, size: 'A5 / Glossy' }));
+      return { path: url.pathname, request: decodeProofRequest(url.searchParams.get('d')) };
+    }, PROPERTIES);
+
+    expect(decoded.path).toBe('/proof.svg');
+    expect(decoded.request).toEqual({
+      properties: {
+        'Inside Message': 'Happy birthday, Grandad! 🎉',
+        'Font Family': 'Caveat',
+        'Font Size': 'large',
+        'Text Color': '#8B0000'
+      },
+      size: 'A5 / Glossy'
+    });
+  });
+
+  test('rejects malformed requests', async ({ page }) => {
+    await loadProofModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { decodeProofRequest } = window.testCardProof;
+      return ['not-base64!', btoa('{"p":"nope"}'), ''].map(value => {
+        try {
+          decodeProofRequest(value);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      });
+    });
+
+    expect(errors).toEqual(['Malformed proof request', 'Malformed proof request', 'Malformed proof request']);
+  });
+
+  test('buildCardLineItem adds _proof_url when given a proofs worker', async ({ page }) => {
+    await loadProofModules(page);
+
+    const result = await page.evaluate((properties) => {
+      const { cardLineFromProperties, buildCardLineItem } = window.testCardLine;
+      const line = cardLineFromProperties(properties);
+      return {
+        withProof: buildCardLineItem(line, { variantId: 1, proof: { baseUrl: 'https://proofs.test', size: 'Large' } }).properties,
+        without: buildCardLineItem(line, { variantId: 1 }).properties
+      };
+    }, PROPERTIES);
+
+    expect(result.withProof._proof_url).toMatch(/^https:\/\/proofs\.test\/proof\.svg\?d=[\w-]+$/);
+    expect(result.without).not.toHaveProperty('_proof_url');
+  });
+});
+
+test.describe('Card Proof - worker', () => {
+  test('renders the SVG proof from a _proof_url link with the font embedded', async () => {
+    const handler = await createLocalHandler({ 'Caveat-Regular.ttf': Buffer.from('stand-in font') });
+    const { buildProofUrl } = await import('../src/cc-choice/core/cardProof.js');
+
+    const response = await handler(new Request(buildProofUrl('https://proofs.test', { properties: PROPERTIES, size: 'A5' })));
+    const svg = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('image/svg+xml');
+    expect(response.headers.get('X-Proof-Font')).toBe('embedded');
+    expect(response.headers.get('Cache-Control')).toContain('immutable');
+    expect(svg).toContain('width="302mm" height="216mm"');
+    expect(svg).toContain(`src: url("data:font/ttf;base64,${Buffer.from('stand-in font').toString('base64')}")`);
+    expect(svg).toContain('Happy birthday, Grandad! 🎉</text>');
+  });
+
+  test('accepts POSTed properties and falls back when the font is missing', async () => {
+    const handler = await createLocalHandler({});
+
+    const response = await handler(new Request('https://proofs.test/proof.svg', {
+      method: 'POST',
+      body: JSON.stringify({ properties: { 'Inside Message': 'Hi', 'Font Family': 'Lora' }, size: 'Large' })
+    }));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-Proof-Font')).toBe('missing');
+    expect(response.headers.get('Cache-Control')).toBe('no-store');
+    expect(await response.text()).toContain('width="416mm" height="296mm"');
+  });
+
+  test('renders a PDF proof', async () => {
+    const handler = await createLocalHandler({});
+
+    const response = await handler(new Request('https://proofs.test/proof.pdf', {
+      method: 'POST',
+      body: JSON.stringify({ properties: { 'Inside Message': 'Hi' }, size: 'A5' })
+    }));
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    expect(response.headers.get('Content-Type')).toBe('application/pdf');
+    expect(Buffer.from(bytes.subarray(0, 8)).toString()).toBe('%PDF-1.4');
+  });
+
+  test('rejects bad requests', async () => {
+    const handler = await createLocalHandler({});
+
+    const statuses = await Promise.all([
+      handler(new Request('https://proofs.test/proof.svg?d=garbage!')),
+      handler(new Request('https://proofs.test/proof.png')),
+      handler(new Request('https://proofs.test/proof.svg', { method: 'PUT' })),
+      handler(new Request('https://proofs.test/proof.svg', {
+        method: 'POST',
+        body: JSON.stringify({ properties: { 'Inside Message': 'x'.repeat(601) } })
+      })),
+      handler(new Request('https://proofs.test/proof.svg', {
+        method: 'POST',
+        body: JSON.stringify({ properties: { 'Inside Message': 'Hi', 'Font Family': 'Comic Sans MS' } })
+      }))
+    ].map(promise => promise.then(response => response.status)));
+
+    expect(statuses).toEqual([400, 404, 405, 400, 400]);
+  });
+
+  test('answers a null or malformed POST body with a fixed message', async () => {
+    const handler = await createLocalHandler({});
+    const post = (body) => handler(new Request('https://proofs.test/proof.svg', { method: 'POST', body }));
+
+    const responses = await Promise.all([post('null'), post('{"properties":'), post('[1]')]);
+    const bodies = await Promise.all(responses.map(response => response.json()));
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400]);
+    expect(bodies).toEqual([{ error: 'Invalid request' }, { error: 'Invalid request' }, { error: 'Invalid request' }]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Cart Line Edit Tests
+ *
+ * Tests for cardLineFromProperties (core/cardLine.js) and changeCartLine (services/cartService.js)
+ * Validates that a basket line can be reopened and replaced in place
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const LINE_PROPERTIES = {
+  'Inside Message': 'Happy birthdya!',
+  'Font Family': 'Caveat',
+  'Font Size': 'large',
+  'Text Color': '#8B0000',
+  'Delivery Method': 'Mail4Me',
+  'Recipient Name': 'Grandad Joe',
+  'Recipient Address 1': '12 Lily Pad Lane',
+  'Recipient Address 2': '',
+  'Recipient City': 'Bristol',
+  'Recipient Postcode': 'BS1 4DJ',
+  'Recipient Region': '',
+  'Recipient Country': 'GB',
+  '_card_template': 'classic-5x7',
+  '_artwork_prompt': 'Frog Card'
+};
+
+function loadEditModules(page) {
+  return loadModules(page, {
+    testCardLine: '/src/cc-choice/core/cardLine.js',
+    testChangeCartLine: '/src/cc-choice/services/cartService.js#changeCartLine'
+  });
+}
+
+test.describe('Cart Line Edit - cardLineFromProperties', () => {
+  test('hydrates message, typography and recipient from line properties', async ({ page }) => {
+    await loadEditModules(page);
+
+    const line = await page.evaluate((properties) => {
+      return window.testCardLine.cardLineFromProperties(properties);
+    }, LINE_PROPERTIES);
+
+    expect(line.insideMessage).toBe('Happy birthdya!');
+    expect(line.fontFamily).toBe('Caveat');
+    expect(line.fontSize).toBe('large');
+    expect(line.textColor).toBe('#8B0000');
+    expect(line.leaveBlank).toBe(false);
+    expect(line.delivery.deliveryMethod).toBe('Mail4Me');
+    expect(line.delivery.recipient.recipientName).toBe('Grandad Joe');
+  });
+
+  test('round-trips through buildCardLineItem', async ({ page }) => {
+    await loadEditModules(page);
+
+    const properties = await page.evaluate((original) => {
+      const { cardLineFromProperties, buildCardLineItem } = window.testCardLine;
+      return buildCardLineItem(cardLineFromProperties(original), {
+        variantId: 1,
+        artworkPrompt: 'Frog Card'
+      }).properties;
+    }, LINE_PROPERTIES);
+
+    expect(properties).toEqual(LINE_PROPERTIES);
+  });
+
+  test('maps legacy "Direct" lines to Send Direct', async ({ page }) => {
+    await loadEditModules(page);
+
+    const line = await page.evaluate(() => {
+      return window.testCardLine.cardLineFromProperties({ 'Delivery Method': 'Direct', 'Recipient Name': 'Mum' });
+    });
+
+    expect(line.delivery.deliveryMethod).toBe('Mail4Me');
+    expect(line.delivery.recipient.country).toBe('GB');
+  });
+});
+
+test.describe('Cart Line Edit - changeCartLine', () => {
+  test('replaces the line by key and keeps its quantity', async ({ page }) => {
+    let changeRequest = null;
+    await page.route('**/cart/change.js', async (route) => {
+      changeRequest = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[],"item_count":2}' });
+    });
+
+    await loadEditModules(page);
+
+    await page.evaluate((properties) => {
+      return window.testChangeCartLine({
+        id: '123:abc',
+        quantity: 2,
+        properties: { ...properties, 'Inside Message': 'Happy birthday!' }
+      });
+    }, LINE_PROPERTIES);
+
+    expect(changeRequest.id).toBe('123:abc');
+    expect(changeRequest.quantity).toBe(2);
+    expect(changeRequest.properties['Inside Message']).toBe('Happy birthday!');
+  });
+});
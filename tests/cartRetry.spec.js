@@ -0,0 +1,293 @@
+/**
+ * Cart Retry Tests
+ *
+ * Tests for retries and typed errors in services/cartService.js, and the
+ * offline queue in core/pendingAdds.js
+ * Validates backoff on 5xx/network errors, CartError types and replay on reconnect
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const ITEM = { id: 1, quantity: 1, properties: { 'Inside Message': 'Happy birthday!' } };
+
+async function loadCartModules(page) {
+  await loadModules(page, {
+    testCartService: '/src/cc-choice/services/cartService.js',
+    testPendingAdds: '/src/cc-choice/core/pendingAdds.js'
+  });
+  await page.evaluate(() => localStorage.removeItem('cc-pending-adds'));
+}
+
+test.describe('Cart Service - retries', () => {
+  test('retries a 503 and resolves once the add succeeds', async ({ page }) => {
+    let calls = 0;
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      await route.fulfill(calls < 3
+        ? { status: 503, contentType: 'application/json', body: '{}' }
+        : { status: 200, contentType: 'application/json', body: '{"id":1}' });
+    });
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate((item) => window.testCartService.addToCart(item, { retryDelay: 10 }), ITEM);
+
+    expect(result).toEqual({ id: 1 });
+    expect(calls).toBe(3);
+  });
+
+  test('gives up after the retry limit with a server error', async ({ page }) => {
+    let calls = 0;
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      await route.fulfill({ status: 500, contentType: 'text/html', body: '<h1>Error</h1>' });
+    });
+
+    await loadCartModules(page);
+
+    const error = await page.evaluate(async (item) => {
+      try {
+        await window.testCartService.addToCart(item, { retries: 2, retryDelay: 10 });
+        return null;
+      } catch (err) {
+        return { type: err.type, status: err.status, retryable: err.retryable };
+      }
+    }, ITEM);
+
+    expect(error).toEqual({ type: 'server', status: 500, retryable: true });
+    expect(calls).toBe(3);
+  });
+
+  test('retries a dropped connection', async ({ page }) => {
+    let calls = 0;
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      if (calls === 1) {
+        await route.abort('connectionreset');
+      } else {
+        await route.fulfill({ status: 200, contentType: 'application/json', body: '{"id":1}' });
+      }
+    });
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate((item) => window.testCartService.addToCart(item, { retryDelay: 10 }), ITEM);
+
+    expect(result).toEqual({ id: 1 });
+    expect(calls).toBe(2);
+  });
+
+  test('sends every attempt with the same add id', async ({ page }) => {
+    const sent = [];
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', async (route) => {
+      sent.push(route.request().postDataJSON());
+      await route.fulfill(sent.length < 2
+        ? { status: 503, contentType: 'application/json', body: '{}' }
+        : { status: 200, contentType: 'application/json', body: '{"items":[]}' });
+    });
+
+    await loadCartModules(page);
+
+    await page.evaluate((item) => window.testCartService.addItemsToCart([item, item], { retryDelay: 10 }), ITEM);
+
+    const ids = sent.flatMap(body => body.items.map(line => line.properties._cc_pending_id));
+    expect(ids).toHaveLength(4);
+    expect(new Set(ids).size).toBe(1);
+    expect(ids[0]).toMatch(/^pa_/);
+  });
+
+  test('does not add twice when the first response was lost', async ({ page }) => {
+    let calls = 0;
+    let added = null;
+    await page.route('**/cart.js', (route) => route.fulfill({
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ items: added ? [added] : [] })
+    }));
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      // Shopify added the line, but the response never arrived
+      added = { id: 7, properties: route.request().postDataJSON().properties };
+      await route.abort('connectionreset');
+    });
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate((item) => window.testCartService.addToCart(item, { retryDelay: 10 }), ITEM);
+
+    expect(result.id).toBe(7);
+    expect(calls).toBe(1);
+  });
+
+  test('does not retry an ambiguous failure when the cart cannot be checked', async ({ page }) => {
+    let calls = 0;
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 500, contentType: 'text/html', body: '<h1>Error</h1>' }));
+    await page.route('**/cart/add.js', async (route) => {
+      calls++;
+      await route.fulfill({ status: 502, contentType: 'text/html', body: '<h1>Bad gateway</h1>' });
+    });
+
+    await loadCartModules(page);
+
+    const type = await page.evaluate(async (item) => {
+      try {
+        await window.testCartService.addToCart(item, { retryDelay: 10 });
+        return null;
+      } catch (err) {
+        return err.type;
+      }
+    }, ITEM);
+
+    expect(type).toBe('server');
+    expect(calls).toBe(1);
+  });
+});
+
+test.describe('Cart Service - typed errors', () => {
+  const cases = [
+    { status: 422, description: 'Frog Card is sold out.', type: 'sold_out' },
+    { status: 422, description: 'You can only add 2 of Frog Card to the cart.', type: 'sold_out' },
+    { status: 422, description: 'Line item property is invalid', type: 'invalid' },
+    { status: 400, description: 'Parameter Missing or Invalid', type: 'invalid' },
+    { status: 404, description: 'Cannot find variant', type: 'not_found' }
+  ];
+
+  for (const { status, description, type } of cases) {
+    test(`${status} "${description}" is a ${type} error and is not retried`, async ({ page }) => {
+      let calls = 0;
+      await page.route('**/cart/add.js', async (route) => {
+        calls++;
+        await route.fulfill({ status, contentType: 'application/json', body: JSON.stringify({ description }) });
+      });
+
+      await loadCartModules(page);
+
+      const error = await page.evaluate(async (item) => {
+        try {
+          await window.testCartService.addToCart(item, { retryDelay: 10 });
+          return null;
+        } catch (err) {
+          return { name: err.name, type: err.type, message: err.message, retryable: err.retryable };
+        }
+      }, ITEM);
+
+      expect(error).toEqual({ name: 'CartError', type, message: description, retryable: false });
+      expect(calls).toBe(1);
+    });
+  }
+});
+
+test.describe('Pending Adds - offline queue', () => {
+  test('fails fast while offline so the add can be queued', async ({ page, context }) => {
+    await loadCartModules(page);
+    await context.setOffline(true);
+
+    const type = await page.evaluate(async (item) => {
+      try {
+        await window.testCartService.addToCart(item);
+        return null;
+      } catch (err) {
+        return err.type;
+      }
+    }, ITEM);
+
+    await context.setOffline(false);
+    expect(type).toBe('network');
+  });
+
+  test('stamps queued lines and replays them in order', async ({ page }) => {
+    const added = [];
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', async (route) => {
+      added.push(route.request().postDataJSON());
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' });
+    });
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate(async (item) => {
+      const { queuePendingAdd, replayPendingAdds, listPendingAdds } = window.testPendingAdds;
+      const first = queuePendingAdd([item], { handle: 'frog-birthday', variantId: 1 });
+      const second = queuePendingAdd([item, item], { handle: 'frog-birthday', variantId: 1 });
+      const replay = await replayPendingAdds();
+      return {
+        ids: [first.id, second.id],
+        added: replay.added.map(entry => entry.id),
+        left: listPendingAdds().length
+      };
+    }, ITEM);
+
+    expect(result.added).toEqual(result.ids);
+    expect(result.left).toBe(0);
+    expect(added).toHaveLength(2);
+    expect(added[0].items[0].properties._cc_pending_id).toBe(result.ids[0]);
+    expect(added[1].items).toHaveLength(2);
+  });
+
+  test('skips adds already in the cart and drops rejected ones', async ({ page }) => {
+    let addCalls = 0;
+    await page.route('**/cart.js', async (route) => {
+      const cart = await page.evaluate(() => window.testCart);
+      await route.fulfill({ status: 200, contentType: 'application/json', body: JSON.stringify(cart) });
+    });
+    await page.route('**/cart/add.js', async (route) => {
+      addCalls++;
+      await route.fulfill({ status: 422, contentType: 'application/json', body: '{"description":"Frog Card is sold out."}' });
+    });
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate(async (item) => {
+      const { queuePendingAdd, replayPendingAdds, listPendingAdds } = window.testPendingAdds;
+      const sent = queuePendingAdd([item], { handle: 'frog-birthday', variantId: 1 });
+      const rejected = queuePendingAdd([item], { handle: 'frog-birthday', variantId: 1 });
+
+      window.testCart = { items: [{ properties: { _cc_pending_id: sent.id } }] };
+      const replay = await replayPendingAdds();
+      return {
+        added: replay.added.map(entry => entry.id === sent.id),
+        failed: replay.failed.map(({ entry, error }) => entry.id === rejected.id && error.type),
+        left: listPendingAdds().length
+      };
+    }, ITEM);
+
+    expect(result.added).toEqual([true]);
+    expect(result.failed).toEqual(['sold_out']);
+    expect(result.left).toBe(0);
+    expect(addCalls).toBe(1);
+  });
+
+  test('keeps the add id the lines were first sent with', async ({ page }) => {
+    await loadCartModules(page);
+
+    const result = await page.evaluate((item) => {
+      const [stamped] = window.testCartService.stampAddId([item]);
+      const entry = window.testPendingAdds.queuePendingAdd([stamped], { handle: 'frog-birthday', variantId: 1 });
+      return { sent: stamped.properties._cc_pending_id, queued: entry.id };
+    }, ITEM);
+
+    expect(result.queued).toBe(result.sent);
+  });
+
+  test('keeps the queue when the connection drops again', async ({ page }) => {
+    await page.route('**/cart.js', (route) => route.fulfill({ status: 200, contentType: 'application/json', body: '{"items":[]}' }));
+    await page.route('**/cart/add.js', (route) => route.abort('internetdisconnected'));
+
+    await loadCartModules(page);
+
+    const result = await page.evaluate(async (item) => {
+      const { queuePendingAdd, replayPendingAdds, listPendingAdds } = window.testPendingAdds;
+      queuePendingAdd([item], { handle: 'frog-birthday', variantId: 1 });
+      queuePendingAdd([item], { handle: 'frog-birthday', variantId: 1 });
+      const replay = await replayPendingAdds();
+      return { added: replay.added.length, pending: replay.pending.length, left: listPendingAdds().length };
+    }, ITEM);
+
+    expect(result).toEqual({ added: 0, pending: 2, left: 2 });
+  });
+});
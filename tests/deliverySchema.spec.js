@@ -0,0 +1,117 @@
+/**
+ * Delivery Schema Tests
+ *
+ * Tests for core/deliverySchema.js and the delivery section renderer
+ * Validates that Send Direct recipient fields round-trip into the cart payload
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const RECIPIENT = {
+  'Recipient Name': 'Grandad Joe',
+  'Recipient Address 1': '12 Lily Pad Lane',
+  'Recipient Address 2': 'Flat 3',
+  'Recipient City': 'Bristol',
+  'Recipient Postcode': 'BS1 4DJ',
+  'Recipient Region': 'Avon',
+  'Recipient Country': 'IE'
+};
+
+function loadSchema(page) {
+  return loadModules(page, {
+    testSchema: '/src/cc-choice/core/deliverySchema.js',
+    testRenderDeliverySection: '/src/cc-choice/views/deliverySection.js#renderDeliverySection',
+    testAddToCart: '/src/cc-choice/services/cartService.js#addToCart'
+  });
+}
+
+test.describe('Delivery Schema - buildDeliveryProperties', () => {
+  test('omits recipient properties for Mail2Me', async ({ page }) => {
+    await loadSchema(page);
+
+    const properties = await page.evaluate(() => {
+      return window.testSchema.buildDeliveryProperties({
+        deliveryMethod: 'Mail2Me',
+        recipient: { recipientName: 'Mum' }
+      });
+    });
+
+    expect(properties).toEqual({ 'Delivery Method': 'Mail2Me' });
+  });
+
+  test('maps legacy "Direct" value to Send Direct', async ({ page }) => {
+    await loadSchema(page);
+
+    const properties = await page.evaluate(() => {
+      return window.testSchema.buildDeliveryProperties({
+        deliveryMethod: 'Direct',
+        recipient: { recipientName: 'Mum' }
+      });
+    });
+
+    expect(properties['Delivery Method']).toBe('Mail4Me');
+    expect(properties['Recipient Name']).toBe('Mum');
+    // Missing country falls back to the schema default
+    expect(properties['Recipient Country']).toBe('GB');
+  });
+
+  test('renderer uses the schema field names', async ({ page }) => {
+    await loadSchema(page);
+
+    const result = await page.evaluate(() => {
+      const html = window.testRenderDeliverySection({
+        variantSkus: { sku_bla: 'PRD-BLA', sku_dir: 'PRD-DIR' }
+      });
+      const container = document.createElement('div');
+      container.innerHTML = html;
+
+      return {
+        fieldNames: Array.from(container.querySelectorAll('input[type="text"], select')).map(el => el.name),
+        expected: window.testSchema.RECIPIENT_FIELDS.map(f => window.testSchema.getFieldName(f.property)),
+        radioValues: Array.from(container.querySelectorAll('[data-ccc-delivery-radio]')).map(el => el.value)
+      };
+    });
+
+    expect(result.fieldNames).toEqual(result.expected);
+    expect(result.radioValues).toEqual(['Mail2Me', 'Mail4Me']);
+  });
+});
+
+test.describe('Delivery Schema - Send Direct round trip', () => {
+  test('every address field reaches the /cart/add.js payload', async ({ page }) => {
+    let cartRequest = null;
+    await page.route('**/cart/add.js', async (route) => {
+      cartRequest = route.request().postDataJSON();
+      await route.fulfill({ status: 200, contentType: 'application/json', body: '{"id":1}' });
+    });
+
+    await loadSchema(page);
+
+    await page.evaluate(async (recipient) => {
+      const form = document.createElement('form');
+      form.innerHTML = window.testRenderDeliverySection({
+        variantSkus: { sku_bla: 'PRD-BLA', sku_dir: 'PRD-DIR' }
+      });
+      document.body.appendChild(form);
+
+      form.querySelector('[data-ccc-delivery-radio][value="Mail4Me"]').checked = true;
+      Object.entries(recipient).forEach(([property, value]) => {
+        form.elements[`properties[${property}]`].value = value;
+      });
+
+      const details = window.testSchema.readDeliveryDetails(new FormData(form));
+      await window.testAddToCart({
+        id: 12345,
+        quantity: 1,
+        properties: window.testSchema.buildDeliveryProperties(details)
+      });
+    }, RECIPIENT);
+
+    expect(cartRequest).not.toBeNull();
+    expect(cartRequest.properties['Delivery Method']).toBe('Mail4Me');
+    for (const [property, value] of Object.entries(RECIPIENT)) {
+      expect(cartRequest.properties[property]).toBe(value);
+    }
+  });
+});
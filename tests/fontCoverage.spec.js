@@ -0,0 +1,123 @@
+/**
+ * Font Coverage Tests
+ *
+ * Tests for per-script fallbacks and the unprintable-character check
+ * (core/fontCoverage.js, core/cardLine.js and core/interiorPrint.js)
+ * Validates that characters the chosen font can't print are caught before add-to-cart
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadCoverageModules(page) {
+  return loadModules(page, {
+    testFontCoverage: '/src/cc-choice/core/fontCoverage.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js',
+    testCardInterior: '/src/cc-choice/core/cardInterior.js',
+    testInteriorPrint: '/src/cc-choice/core/interiorPrint.js'
+  });
+}
+
+test.describe('Font Coverage - detectScripts', () => {
+  test('finds each script in a message', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const scripts = await page.evaluate(() => {
+      const { detectScripts } = window.testFontCoverage;
+      return {
+        english: detectScripts('Happy birthday — love, Zoë'),
+        welsh: detectScripts('Penblwydd hapus Ŵyr'),
+        greek: detectScripts('Χρόνια πολλά'),
+        emoji: detectScripts('Cheers 🥂🇬🇧'),
+        mixed: detectScripts('生日快乐 생일 축하해')
+      };
+    });
+
+    expect(scripts.english).toEqual(['latin']);
+    expect(scripts.welsh).toEqual(['latin', 'latin-ext']);
+    expect(scripts.greek).toEqual(['greek']);
+    expect(scripts.emoji).toEqual(['latin', 'emoji']);
+    expect(scripts.mixed).toEqual(['cjk', 'hangul']);
+  });
+});
+
+test.describe('Font Coverage - findUnprintable', () => {
+  test('passes text the font covers', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const result = await page.evaluate(() => window.testFontCoverage.findUnprintable('Wszystkiego najlepszego, Łucja', 'Lora'));
+
+    expect(result).toBeNull();
+  });
+
+  test('suggests a font in the same style', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const result = await page.evaluate(() => {
+      const { findUnprintable, describeUnprintable } = window.testFontCoverage;
+      const unprintable = findUnprintable('Penblwydd hapus, Ŵyr', 'Permanent Marker');
+      return { unprintable, message: describeUnprintable(unprintable, 'Permanent Marker') };
+    });
+
+    expect(result.unprintable.characters).toEqual(['Ŵ']);
+    expect(result.unprintable.suggestion.family).toBe('Dancing Script');
+    expect(result.message).toBe('Ŵ can\'t be printed in Bold & Fun. Switch to Handwritten to keep it.');
+  });
+
+  test('suggests the Noto fonts for Greek and Chinese', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const families = await page.evaluate(() => {
+      const { findUnprintable } = window.testFontCoverage;
+      return [
+        findUnprintable('Χρόνια πολλά', 'Caveat').suggestion.family,
+        findUnprintable('生日快乐', 'Caveat').suggestion.family
+      ];
+    });
+
+    expect(families).toEqual(['Noto Serif', 'Noto Sans SC']);
+  });
+
+  test('asks for emoji to be removed', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const result = await page.evaluate(() => {
+      const { findUnprintable, describeUnprintable } = window.testFontCoverage;
+      const unprintable = findUnprintable('Well done! 🎉', 'Lora');
+      return { unprintable, message: describeUnprintable(unprintable, 'Lora') };
+    });
+
+    expect(result.unprintable.unsupported).toEqual(['🎉']);
+    expect(result.unprintable.suggestion).toBeNull();
+    expect(result.message).toBe('Emoji can\'t be printed on the card (🎉). Please remove it.');
+  });
+});
+
+test.describe('Font Coverage - printing', () => {
+  test('blocks a basket line with characters the font can\'t print', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      return [
+        validateCardLine(cardLineFromProperties({ 'Inside Message': 'Love you 💕', 'Font Family': 'Caveat' })).errors,
+        validateCardLine(cardLineFromProperties({ 'Inside Message': 'Hi', 'Left Page Message': 'Χ', 'Font Family': 'Noto Serif' })).errors
+      ];
+    });
+
+    expect(errors[0].insideMessage).toContain('Emoji can\'t be printed');
+    expect(errors[1]).toEqual({});
+  });
+
+  test('draws the SVG with per-script fallbacks', async ({ page }) => {
+    await loadCoverageModules(page);
+
+    const svg = await page.evaluate(() => {
+      const layout = window.testCardInterior.layoutCardInterior({ message: 'Hi', fontFamily: 'Caveat', format: 'A5' });
+      return window.testInteriorPrint.renderInteriorSvg(layout);
+    });
+
+    expect(svg).toContain('font-family="&quot;Caveat&quot;, &quot;Noto Serif&quot;');
+    expect(svg).toContain('&quot;Noto Color Emoji&quot;');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Font Service Tests
+ *
+ * Tests for lazy loading of the self-hosted message fonts (services/fontService.js)
+ * Validates unicode-range registration, the timeout fallback and Google Fonts only for fonts without files
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+const TEST_MANIFEST = {
+  fonts: {
+    'Test Script': [
+      { script: 'latin', unicodeRange: 'U+0000-00FF', file: 'cc-font-test-script-latin.woff', version: 'abc12345' },
+      { script: 'greek', unicodeRange: 'U+0370-03FF', file: 'cc-font-test-script-greek.woff', version: 'def67890' }
+    ]
+  }
+};
+
+function loadFontService(page) {
+  return loadModules(page, {
+    testFontService: '/src/cc-choice/services/fontService.js'
+  });
+}
+
+test.describe('Font Service - registration', () => {
+  test('registers one face per script without downloading anything', async ({ page }) => {
+    const requested = [];
+    page.on('request', request => {
+      if (request.url().includes('cc-font-')) requested.push(request.url());
+    });
+    await loadFontService(page);
+
+    const faces = await page.evaluate((manifest) => {
+      window.testFontService.registerMessageFonts(manifest);
+      window.testFontService.registerMessageFonts(manifest);
+      return Array.from(document.fonts)
+        .filter(face => face.family.replace(/"/g, '') === 'Test Script')
+        .map(face => ({ unicodeRange: face.unicodeRange, status: face.status }));
+    }, TEST_MANIFEST);
+
+    expect(faces).toEqual([
+      { unicodeRange: 'U+0-FF', status: 'unloaded' },
+      { unicodeRange: 'U+370-3FF', status: 'unloaded' }
+    ]);
+    expect(requested).toEqual([]);
+  });
+});
+
+test.describe('Font Service - loading', () => {
+  test('fetches only the files the text needs', async ({ page }) => {
+    const requested = [];
+    await page.route('**/assets/cc-font-test-script-*.woff*', route => {
+      requested.push(new URL(route.request().url()).pathname);
+      route.fulfill({ status: 404 });
+    });
+    await loadFontService(page);
+
+    const loaded = await page.evaluate(async (manifest) => {
+      window.testFontService.registerMessageFonts(manifest);
+      return window.testFontService.loadMessageFont('Test Script', { text: 'Χρόνια πολλά', timeoutMs: 2000 });
+    }, TEST_MANIFEST);
+
+    expect(loaded).toBe(false);
+    expect(requested).toEqual(['/assets/cc-font-test-script-greek.woff']);
+  });
+
+  test('gives up after the timeout', async ({ page }) => {
+    await page.route('**/assets/cc-font-test-script-*.woff*', () => {
+      // Never answer
+    });
+    await loadFontService(page);
+
+    const result = await page.evaluate(async (manifest) => {
+      window.testFontService.registerMessageFonts(manifest);
+      const started = performance.now();
+      const loaded = await window.testFontService.loadMessageFont('Test Script', { text: 'Hi', timeoutMs: 300 });
+      return { loaded, elapsed: performance.now() - started };
+    }, TEST_MANIFEST);
+
+    expect(result.loaded).toBe(false);
+    expect(result.elapsed).toBeLessThan(2000);
+  });
+
+  test('resolves false for a font that is not a message font', async ({ page }) => {
+    await loadFontService(page);
+
+    const loaded = await page.evaluate(() => window.testFontService.loadMessageFont('Not A Message Font', { text: 'Hi' }));
+
+    expect(loaded).toBe(false);
+  });
+
+  test('loads fonts without self-hosted files from Google Fonts', async ({ page }) => {
+    const stylesheets = [];
+    await page.route('https://fonts.googleapis.com/css2**', route => {
+      stylesheets.push(decodeURIComponent(route.request().url()));
+      route.fulfill({ status: 200, contentType: 'text/css', body: '' });
+    });
+    await loadFontService(page);
+
+    const result = await page.evaluate(async (manifest) => {
+      const { registerMessageFonts, isMessageFontLoaded, loadMessageFont } = window.testFontService;
+      registerMessageFonts({ fonts: { ...manifest.fonts, 'Shadows Into Light': [] } });
+      const before = isMessageFontLoaded('Shadows Into Light', 'Hi');
+      await loadMessageFont('Shadows Into Light', { text: 'Hi', timeoutMs: 2000 });
+      return { before };
+    }, TEST_MANIFEST);
+
+    expect(result.before).toBe(false);
+    expect(stylesheets[0]).toContain('family=Shadows+Into+Light');
+    expect(stylesheets.join()).not.toContain('Test+Script');
+  });
+});
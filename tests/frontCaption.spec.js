@@ -0,0 +1,120 @@
+/**
+ * Front Caption Tests
+ *
+ * Tests for the front-of-card caption (core/frontCaption.js and core/cardLine.js)
+ * Validates the product settings, the length limit and the legacy "Front Caption" line property
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadCaptionModules(page) {
+  return loadModules(page, {
+    testFrontCaption: '/src/cc-choice/core/frontCaption.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+test.describe('Front Caption - readFrontCaptionSettings', () => {
+  test('is off unless the product enables it', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const settings = await page.evaluate(() => {
+      const { readFrontCaptionSettings } = window.testFrontCaption;
+      return [
+        readFrontCaptionSettings(null),
+        readFrontCaptionSettings({ enabled: '', limit: '30' }),
+        readFrontCaptionSettings({ enabled: 'false' })
+      ];
+    });
+
+    expect(settings).toEqual([null, null, null]);
+  });
+
+  test('reads the limit and position, defaulting what is unset or unknown', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const settings = await page.evaluate(() => {
+      const { readFrontCaptionSettings } = window.testFrontCaption;
+      return {
+        set: readFrontCaptionSettings({ enabled: 'true', limit: '30', position: 'Top' }),
+        defaults: readFrontCaptionSettings({ enabled: true, limit: '', position: 'sideways' }),
+        capped: readFrontCaptionSettings({ enabled: true, limit: 500 })
+      };
+    });
+
+    expect(settings.set).toEqual({ limit: 30, position: 'top', area: { top: 6, left: 10, width: 80 } });
+    expect(settings.defaults.limit).toBe(40);
+    expect(settings.defaults.position).toBe('bottom');
+    expect(settings.capped.limit).toBe(80);
+  });
+});
+
+test.describe('Front Caption - validation', () => {
+  test('checks the trimmed caption against the product limit', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { readFrontCaptionSettings, checkFrontCaption } = window.testFrontCaption;
+      const settings = readFrontCaptionSettings({ enabled: 'true', limit: '10' });
+      return [
+        checkFrontCaption('  Hello Sam!  ', settings),
+        checkFrontCaption('Happy birthday', settings),
+        checkFrontCaption('Happy birthday', null)
+      ];
+    });
+
+    expect(errors).toEqual([null, 'Front caption is too long (14/10 characters)', null]);
+  });
+
+  test('validateCardLine reports a long caption, even on a card left blank inside', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { readFrontCaptionSettings } = window.testFrontCaption;
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const frontCaption = readFrontCaptionSettings({ enabled: 'true', limit: '10' });
+      const line = cardLineFromProperties({ 'Inside Message': '', leave_blank: 'Yes', 'Front Caption': 'Happy birthday' });
+      return {
+        withSettings: validateCardLine(line, new Date(), { frontCaption }).errors,
+        withoutSettings: validateCardLine(line).errors
+      };
+    });
+
+    expect(errors.withSettings).toEqual({ frontCaption: 'Front caption is too long (14/10 characters)' });
+    expect(errors.withoutSettings).toEqual({});
+  });
+});
+
+test.describe('Front Caption - basket line properties', () => {
+  test('writes the trimmed caption and reads it back', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const result = await page.evaluate(() => {
+      const { cardLineFromProperties, buildCardLineItem, isCardLineEmpty } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': '', 'Front Caption': '  Happy 40th!  ' });
+      const properties = buildCardLineItem(line, { variantId: 1 }).properties;
+      return {
+        properties,
+        reopened: cardLineFromProperties(properties).frontCaption,
+        empty: isCardLineEmpty(line)
+      };
+    });
+
+    expect(result.properties['Front Caption']).toBe('Happy 40th!');
+    expect(result.reopened).toBe('Happy 40th!');
+    expect(result.empty).toBe(false);
+  });
+
+  test('leaves the property off cards without a caption', async ({ page }) => {
+    await loadCaptionModules(page);
+
+    const keys = await page.evaluate(() => {
+      const { cardLineFromProperties, buildCardLineItem } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': 'Hi', 'Front Caption': '   ' });
+      return Object.keys(buildCardLineItem(line, { variantId: 1 }).properties);
+    });
+
+    expect(keys).not.toContain('Front Caption');
+  });
+});
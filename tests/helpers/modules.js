@@ -0,0 +1,42 @@
+/**
+ * Test Helpers - Module Loading
+ *
+ * Puts src/ modules on window for page.evaluate, so each spec only lists
+ * what it needs.
+ *
+ * @example
+ * const { loadModules } = require('./helpers/modules');
+ *
+ * await loadModules(page, {
+ *   testCardLine: '/src/cc-choice/core/cardLine.js',                // the whole module
+ *   testAddToCart: '/src/cc-choice/services/cartService.js#addToCart', // one export
+ *   testAnalytics: ['/src/cc-choice/core/analytics.js', '/src/cc-choice/core/analyticsEvents.js'] // merged
+ * });
+ */
+
+/**
+ * Import each module in the page and assign it to its window global
+ *
+ * @param {import('@playwright/test').Page} page - Page to load into
+ * @param {Object.<string, string|string[]>} modules - window global → module path (`path#export` for one export, an array to merge several)
+ * @returns {Promise<void>} Resolves once every global is set
+ */
+async function loadModules(page, modules) {
+  const globals = Object.keys(modules);
+  const imports = [];
+
+  const assignments = globals.map(name => {
+    const parts = [].concat(modules[name]).map(spec => {
+      const [path, exportName] = spec.split('#');
+      const local = `m${imports.length}`;
+      imports.push(`import * as ${local} from '${path}';`);
+      return exportName ? `${local}.${exportName}` : local;
+    });
+    return `window.${name} = ${parts.length === 1 ? parts[0] : `{ ...${parts.join(', ...')} }`};`;
+  });
+
+  await page.addScriptTag({ type: 'module', content: [...imports, ...assignments].join('\n') });
+  await page.waitForFunction((names) => names.every(name => window[name]), globals);
+}
+
+module.exports = { loadModules };
@@ -0,0 +1,13 @@
+/**
+ * Test Helpers - Text
+ */
+
+/**
+ * Filler text of a known word count: "word0 word1 word2 …"
+ *
+ * @param {number} count - Words
+ * @returns {string}
+ */
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+module.exports = { words };
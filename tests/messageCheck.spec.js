@@ -0,0 +1,151 @@
+/**
+ * Message Check Tests
+ *
+ * Tests for the spelling and blocked words check (core/messageCheck.js and core/cardLine.js)
+ * Validates the misspellings flagged, what is left alone, blocked word matching and the basket validation
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadCheckModules(page) {
+  return loadModules(page, {
+    testMessageCheck: '/src/cc-choice/core/messageCheck.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+test.describe('Message Check - spelling', () => {
+  test('flags likely misspellings with suggestions, in text order', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const misspellings = await page.evaluate(() => {
+      const { checkSpelling } = window.testMessageCheck;
+      return checkSpelling('Hope you recieve this on your birthady, wishing you a wonderfull day');
+    });
+
+    expect(misspellings).toEqual([
+      { word: 'recieve', index: 9, suggestions: ['receive'] },
+      { word: 'birthady', index: 30, suggestions: ['birthday'] },
+      { word: 'wonderfull', index: 54, suggestions: ['wonderful'] }
+    ]);
+  });
+
+  test('suggests British spellings and keeps the word\'s case and ending', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const suggestions = await page.evaluate(() => {
+      const { checkSpelling } = window.testMessageCheck;
+      return ['my favorite colors', 'Congradulations', 'a freindly hello', 'evrything'].map(text =>
+        checkSpelling(text).map(m => m.suggestions[0]));
+    });
+
+    expect(suggestions).toEqual([['favourite', 'colours'], ['Congratulations'], ['friendly'], ['everything']]);
+  });
+
+  test('leaves names, inflections, contractions, links and kept words alone', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const results = await page.evaluate(() => {
+      const { checkSpelling } = window.testMessageCheck;
+      return [
+        checkSpelling('Happy 40th Siobhan! Sooo proud of you, we\'re celebrating tonight'),
+        checkSpelling('Loved the hopping bunnies – happiest wishes, xoxo'),
+        checkSpelling('Email me at jazzyjeff@example.com or see www.example.com #blessed'),
+        checkSpelling('Have a brill day hunny', { ignore: new Set(['hunny']) })
+      ];
+    });
+
+    expect(results).toEqual([[], [], [], []]);
+  });
+
+  test('applySuggestion replaces the word where it was found', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const result = await page.evaluate(() => {
+      const { checkSpelling, applySuggestion } = window.testMessageCheck;
+      const text = 'Hapy birthady!';
+      const [first, second] = checkSpelling(text);
+      return {
+        fixed: applySuggestion(applySuggestion(text, second, second.suggestions[0]), first, first.suggestions[0]),
+        moved: applySuggestion('Oh, hapy birthady!', second, 'birthday')
+      };
+    });
+
+    expect(result.fixed).toBe('Happy birthday!');
+    expect(result.moved).toBe('Oh, hapy birthady!');
+  });
+});
+
+test.describe('Message Check - blocked words', () => {
+  test('matches case, repeated letters, look-alike digits and word prefixes', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const found = await page.evaluate(() => {
+      const { findBlockedWords } = window.testMessageCheck;
+      return findBlockedWords('Have a sh1tty day, you Fuuuucking WANKER');
+    });
+
+    expect(found).toEqual(['sh1tty', 'Fuuuucking', 'WANKER']);
+  });
+
+  test('doesn\'t match blocked words inside other words', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const found = await page.evaluate(() => {
+      const { findBlockedWords } = window.testMessageCheck;
+      return findBlockedWords('Greetings from Scunthorpe, Essex and the Isle of Wight');
+    });
+
+    expect(found).toEqual([]);
+  });
+
+  test('keeps doubled letters and knows innocent words that start with a blocked one', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const found = await page.evaluate(() => {
+      const { findBlockedWords } = window.testMessageCheck;
+      return {
+        innocent: findBlockedWords('Shiitake risotto, shitake soup and a Wankel engine for Dad'),
+        stretched: findBlockedWords('Shiiiit, you wannnker')
+      };
+    });
+
+    expect(found.innocent).toEqual([]);
+    expect(found.stretched).toEqual(['Shiiiit', 'wannnker']);
+  });
+
+  test('uses the theme\'s list, with phrases and comments, and keeps it when the setting is empty', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const result = await page.evaluate(() => {
+      const { configureMessageCheck, findBlockedWords, checkBlockedWords } = window.testMessageCheck;
+      configureMessageCheck({ blockedWords: ['# Shop rules', 'darn', 'heck off', ''] });
+      const custom = findBlockedWords('Darn it, heck off, shit');
+      configureMessageCheck({ blockedWords: ['', ''] });
+      return { custom, kept: findBlockedWords('darn'), message: checkBlockedWords('oh darn') };
+    });
+
+    expect(result.custom).toEqual(['Darn', 'heck off']);
+    expect(result.kept).toEqual(['darn']);
+    expect(result.message).toBe('Sorry, we can\'t print "darn" on a card. Please reword it to continue.');
+  });
+
+  test('validateCardLine refuses blocked words on every printed field', async ({ page }) => {
+    await loadCheckModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': 'Happy birthday you old b0ll0cks' });
+      return {
+        inside: validateCardLine(line).errors,
+        caption: validateCardLine({ ...line, insideMessage: 'Happy birthday', frontCaption: 'Shite day' }).errors,
+        blank: validateCardLine({ ...line, leaveBlank: true }).errors
+      };
+    });
+
+    expect(errors.inside).toEqual({ insideMessage: 'Sorry, we can\'t print "b0ll0cks" on a card. Please reword it to continue.' });
+    expect(errors.caption).toEqual({ frontCaption: 'Sorry, we can\'t print "Shite" on a card. Please reword it to continue.' });
+    expect(errors.blank).toEqual({});
+  });
+});
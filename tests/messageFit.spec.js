@@ -0,0 +1,151 @@
+/**
+ * Message Fit Tests
+ *
+ * Tests for core/messageFit.js (fit and capacity) and the fit check in validateCardLine (core/cardLine.js)
+ * Validates that long messages are measured against the printed card, never trimmed
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+const { words } = require('./helpers/text');
+
+function loadFitModules(page) {
+  return loadModules(page, {
+    testMessageFit: '/src/cc-choice/core/messageFit.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+test.describe('Message Fit - checkMessageFit', () => {
+  test('short messages fit', async ({ page }) => {
+    await loadFitModules(page);
+
+    const fit = await page.evaluate(() => window.testMessageFit.checkMessageFit({
+      message: 'Happy birthday!',
+      fontSize: 'large',
+      format: 'A6'
+    }));
+
+    expect(fit).toEqual({
+      status: 'fits',
+      fontSize: 'large',
+      suggestedSize: null,
+      fitLength: 15,
+      cutText: '',
+      left: { fitLength: 0, cutText: '' }
+    });
+  });
+
+  test('suggests the next smaller size that fits', async ({ page }) => {
+    await loadFitModules(page);
+
+    const fit = await page.evaluate((message) => window.testMessageFit.checkMessageFit({
+      message,
+      fontSize: 'large',
+      format: 'A6'
+    }), words(60));
+
+    expect(fit.status).toBe('shrink');
+    expect(fit.suggestedSize).toBe('medium');
+  });
+
+  test('skips sizes that still overflow', async ({ page }) => {
+    await loadFitModules(page);
+
+    const fit = await page.evaluate((message) => window.testMessageFit.checkMessageFit({
+      message,
+      fontSize: 'large',
+      format: 'A6'
+    }), words(100));
+
+    expect(fit.status).toBe('shrink');
+    expect(fit.suggestedSize).toBe('small');
+  });
+
+  test('reports the cut point without changing the message', async ({ page }) => {
+    await loadFitModules(page);
+
+    const message = `  Dear Nan,\n\n${words(200)}`;
+    const fit = await page.evaluate((text) => window.testMessageFit.checkMessageFit({
+      message: text,
+      fontSize: 'small',
+      format: 'A6'
+    }), message);
+
+    expect(fit.status).toBe('cut');
+    expect(fit.suggestedSize).toBeNull();
+    expect(message.slice(0, fit.fitLength)).toMatch(/word\d+$/);
+    expect(`${message.slice(0, fit.fitLength)} ${fit.cutText}`.replace(/\s+/g, ' ').trim())
+      .toBe(message.replace(/\s+/g, ' ').trim());
+  });
+
+  test('measures with the selected font', async ({ page }) => {
+    await loadFitModules(page);
+
+    const statuses = await page.evaluate((message) => ['Permanent Marker', 'Great Vibes'].map(fontFamily =>
+      window.testMessageFit.checkMessageFit({ message, fontFamily, fontSize: 'large', format: 'A6' }).status
+    ), words(48));
+
+    expect(statuses).toEqual(['shrink', 'fits']);
+  });
+});
+
+test.describe('Message Fit - measureMessageCapacity', () => {
+  test('holds less in a big, wide font and never more than the message limit', async ({ page }) => {
+    await loadFitModules(page);
+
+    const capacities = await page.evaluate(() => [
+      ['Pacifico', 'large'],
+      ['Playfair Display', 'large'],
+      ['Playfair Display', 'small']
+    ].map(([fontFamily, fontSize]) => window.testMessageFit.measureMessageCapacity({ fontFamily, fontSize, format: 'A6' })));
+
+    expect(capacities[0]).toBeLessThan(capacities[1]);
+    expect(capacities[1]).toBeLessThan(capacities[2]);
+    expect(capacities[2]).toBeLessThanOrEqual(510);
+  });
+
+  test('a message of that many characters fits', async ({ page }) => {
+    await loadFitModules(page);
+
+    const status = await page.evaluate(() => {
+      const options = { fontFamily: 'Permanent Marker', fontSize: 'large', format: 'A6' };
+      const capacity = window.testMessageFit.measureMessageCapacity(options);
+      const message = 'Thinking of you today and sending all our love. '.repeat(20).slice(0, capacity);
+      return window.testMessageFit.checkMessageFit({ ...options, message }).status;
+    });
+
+    expect(status).toBe('fits');
+  });
+});
+
+test.describe('Message Fit - validateCardLine', () => {
+  test('rejects a message that would be cut on the chosen card', async ({ page }) => {
+    await loadFitModules(page);
+
+    const result = await page.evaluate((message) => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': message, 'Font Size': 'large' });
+      return {
+        onA6: validateCardLine(line, new Date(), { format: 'A6' }),
+        noFormat: validateCardLine(line)
+      };
+    }, words(60));
+
+    expect(result.onA6.valid).toBe(false);
+    expect(result.onA6.errors.insideMessage).toContain('Shrink to fit');
+    expect(result.noFormat.valid).toBe(true);
+  });
+
+  test('blank cards skip the fit check', async ({ page }) => {
+    await loadFitModules(page);
+
+    const valid = await page.evaluate((message) => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const line = { ...cardLineFromProperties({ 'Inside Message': message }), leaveBlank: true };
+      return validateCardLine(line, new Date(), { format: 'A6' }).valid;
+    }, words(200));
+
+    expect(valid).toBe(true);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Message Layout Tests
+ *
+ * Tests for the left-page note, text alignment and line spacing
+ * (core/cardInterior.js, core/messageFit.js and core/cardLine.js)
+ * Validates the layout of both pages and that older basket lines keep their original properties
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+const { words } = require('./helpers/text');
+
+function loadLayoutModules(page) {
+  return loadModules(page, {
+    testCardInterior: '/src/cc-choice/core/cardInterior.js',
+    testMessageFit: '/src/cc-choice/core/messageFit.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+test.describe('Message Layout - layoutCardInterior', () => {
+  test('places the left-page note inside the left page safe area', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const layout = await page.evaluate(() => window.testCardInterior.layoutCardInterior({
+      message: 'Happy birthday!',
+      leftMessage: 'Love from us all',
+      format: 'A5'
+    }));
+
+    expect(layout.runs.map(run => run.text)).toEqual(['Happy birthday!', 'Love from us all']);
+    expect(layout.leftPage.lines).toEqual(['Love from us all']);
+    expect(layout.leftPage.textBox.x + layout.leftPage.textBox.width).toBeLessThanOrEqual(layout.pages.right.x);
+    expect(layout.runs[1].anchorX).toBe(layout.leftPage.textBox.x + layout.leftPage.textBox.width / 2);
+    expect(layout.leftPage.overflow).toBe(false);
+  });
+
+  test('anchors both pages to the chosen alignment', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const runs = await page.evaluate(() => ['left', 'right'].map(align => window.testCardInterior.layoutCardInterior({
+      message: 'Hi',
+      leftMessage: 'PS',
+      align,
+      format: 'A5'
+    }).runs.map(run => run.anchor)));
+
+    expect(runs).toEqual([['start', 'start'], ['end', 'end']]);
+  });
+
+  test('spaces lines by the chosen preset', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const gaps = await page.evaluate(() => ['compact', 'normal', 'relaxed'].map(lineSpacing => {
+      const { runs } = window.testCardInterior.layoutCardInterior({ message: 'Dear Nan,\nThank you!', lineSpacing, format: 'A5' });
+      return runs[1].y - runs[0].y;
+    }));
+
+    expect(gaps[0]).toBeLessThan(gaps[1]);
+    expect(gaps[1]).toBeLessThan(gaps[2]);
+  });
+});
+
+test.describe('Message Layout - checkMessageFit', () => {
+  test('reports a left-page note that won\'t fit', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const leftMessage = words(60);
+    const fit = await page.evaluate((note) => window.testMessageFit.checkMessageFit({
+      message: 'Hi',
+      leftMessage: note,
+      fontSize: 'large',
+      format: 'A6'
+    }), leftMessage);
+
+    expect(fit.status).toBe('shrink');
+    expect(fit.cutText).toBe('');
+    expect(fit.left.cutText).not.toBe('');
+    expect(leftMessage.slice(0, fit.left.fitLength)).toMatch(/word\d+$/);
+  });
+});
+
+test.describe('Message Layout - basket line properties', () => {
+  test('writes the note, alignment and spacing when used', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const properties = await page.evaluate(() => {
+      const { cardLineFromProperties, buildCardLineItem } = window.testCardLine;
+      const line = cardLineFromProperties({
+        'Inside Message': 'Hi',
+        'Left Page Message': 'PS. Cake is in the fridge',
+        'Text Align': 'right',
+        'Line Spacing': 'compact'
+      });
+      return buildCardLineItem(line, { variantId: 1 }).properties;
+    });
+
+    expect(properties['Left Page Message']).toBe('PS. Cake is in the fridge');
+    expect(properties['Text Align']).toBe('right');
+    expect(properties['Line Spacing']).toBe('compact');
+  });
+
+  test('existing Inside Message lines keep their original properties', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const result = await page.evaluate(() => {
+      const { cardLineFromProperties, buildCardLineItem } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': 'Hi', 'Text Align': 'justify' });
+      return { line, properties: buildCardLineItem(line, { variantId: 1 }).properties };
+    });
+
+    expect(result.line.leftMessage).toBe('');
+    expect(result.line.textAlign).toBe('center');
+    expect(result.line.lineSpacing).toBe('normal');
+    expect(Object.keys(result.properties)).not.toContain('Left Page Message');
+    expect(Object.keys(result.properties)).not.toContain('Text Align');
+    expect(Object.keys(result.properties)).not.toContain('Line Spacing');
+  });
+
+  test('rejects a left-page note over the limit', async ({ page }) => {
+    await loadLayoutModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': 'Hi', 'Left Page Message': 'x'.repeat(201) });
+      return validateCardLine(line).errors;
+    });
+
+    expect(errors.leftMessage).toBe('Left page note is too long (201/200 characters)');
+  });
+});
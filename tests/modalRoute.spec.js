@@ -0,0 +1,97 @@
+/**
+ * Modal Route Tests
+ *
+ * Tests for core/modalRoute.js pure functions
+ * Validates deep-link parsing and URL building for the choice modal
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadRoute(page) {
+  return loadModules(page, {
+    testModalRoute: '/src/cc-choice/core/modalRoute.js'
+  });
+}
+
+test.describe('Modal Route - parseModalRoute', () => {
+  test('reads handle, view, variant and delivery', async ({ page }) => {
+    await loadRoute(page);
+
+    const route = await page.evaluate(() => {
+      return window.testModalRoute.parseModalRoute('?cc=frog-birthday&view=personalise&variant=123&delivery=Direct');
+    });
+
+    expect(route).toEqual({
+      handle: 'frog-birthday',
+      view: 'personalise',
+      variantId: 123,
+      deliveryMethod: 'Mail4Me'
+    });
+  });
+
+  test('falls back to the choice view and ignores a malformed variant', async ({ page }) => {
+    await loadRoute(page);
+
+    const route = await page.evaluate(() => {
+      return window.testModalRoute.parseModalRoute('?cc=frog-birthday&view=checkout&variant=abc');
+    });
+
+    expect(route.view).toBe('choice');
+    expect(route.variantId).toBeNull();
+  });
+
+  test('returns null without a valid handle', async ({ page }) => {
+    await loadRoute(page);
+
+    const routes = await page.evaluate(() => {
+      const { parseModalRoute } = window.testModalRoute;
+      return [parseModalRoute('?page=2'), parseModalRoute('?cc=%3Cscript%3E')];
+    });
+
+    expect(routes).toEqual([null, null]);
+  });
+});
+
+test.describe('Modal Route - buildModalUrl / clearModalUrl', () => {
+  test('keeps page parameters and the hash', async ({ page }) => {
+    await loadRoute(page);
+
+    const urls = await page.evaluate(() => {
+      const { buildModalUrl, clearModalUrl } = window.testModalRoute;
+      const opened = buildModalUrl(
+        { handle: 'frog-birthday', view: 'personalise', variantId: 123, deliveryMethod: 'Mail4Me' },
+        '/collections/all?page=2#grid'
+      );
+      return { opened, closed: clearModalUrl(opened) };
+    });
+
+    expect(urls.opened).toBe('/collections/all?page=2&cc=frog-birthday&view=personalise&variant=123&delivery=Mail4Me#grid');
+    expect(urls.closed).toBe('/collections/all?page=2#grid');
+  });
+
+  test('omits delivery outside the personaliser', async ({ page }) => {
+    await loadRoute(page);
+
+    const url = await page.evaluate(() => {
+      return window.testModalRoute.buildModalUrl(
+        { handle: 'frog-birthday', view: 'choice', variantId: null, deliveryMethod: 'Mail4Me' },
+        '/'
+      );
+    });
+
+    expect(url).toBe('/?cc=frog-birthday&view=choice');
+  });
+
+  test('round-trips through parseModalRoute', async ({ page }) => {
+    await loadRoute(page);
+
+    const route = await page.evaluate(() => {
+      const { buildModalUrl, parseModalRoute } = window.testModalRoute;
+      const url = buildModalUrl({ handle: 'frog-birthday', view: 'personalise', variantId: 9, deliveryMethod: null }, '/');
+      return parseModalRoute(new URL(url, window.location.origin).search);
+    });
+
+    expect(route).toEqual({ handle: 'frog-birthday', view: 'personalise', variantId: 9, deliveryMethod: null });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Modal Session Tests
+ *
+ * Tests for core/modalSession.js
+ * Validates funnel step timings, exit reasons and the cc_modal_session payload
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadSession(page) {
+  return loadModules(page, {
+    testCreateSession: '/src/cc-choice/core/modalSession.js#createModalSession',
+    testValidateEvent: '/src/cc-choice/core/analyticsEvents.js#validateEvent'
+  });
+}
+
+test.describe('Modal Session - createModalSession', () => {
+  test('records the first time each step happens', async ({ page }) => {
+    await loadSession(page);
+
+    const summary = await page.evaluate(() => {
+      let time = 1000;
+      const session = window.testCreateSession({ handle: 'frog-birthday', source: 'grid', now: () => time });
+
+      time = 1400; session.mark('variant_select');
+      time = 2000; session.mark('personalise_enter');
+      time = 3500; session.mark('first_keystroke');
+      time = 3600; session.mark('first_keystroke');
+      time = 9000; session.mark('submit');
+      time = 9800; session.mark('success');
+      time = 10600;
+      return session.end('added');
+    });
+
+    expect(summary).toMatchObject({
+      product_handle: 'frog-birthday',
+      source: 'grid',
+      outcome: 'added',
+      exit_reason: 'added',
+      last_step: 'success',
+      duration_ms: 9600,
+      submit_count: 1,
+      error_count: 0,
+      variant_select_ms: 400,
+      personalise_enter_ms: 1000,
+      first_keystroke_ms: 2500,
+      submit_ms: 8000,
+      success_ms: 8800
+    });
+    expect(summary).not.toHaveProperty('ai_used_ms');
+  });
+
+  test('reports where an abandoned session stopped', async ({ page }) => {
+    await loadSession(page);
+
+    const summary = await page.evaluate(() => {
+      let time = 0;
+      const session = window.testCreateSession({ handle: 'frog-birthday', source: 'link', now: () => time });
+
+      time = 500; session.mark('personalise_enter');
+      time = 900; session.mark('submit');
+      time = 950; session.mark('error');
+      time = 1200; session.mark('submit');
+      time = 1300; session.mark('error');
+      return session.end('escape');
+    });
+
+    expect(summary.outcome).toBe('abandoned');
+    expect(summary.exit_reason).toBe('escape');
+    expect(summary.last_step).toBe('submit');
+    expect(summary.submit_count).toBe(2);
+    expect(summary.error_count).toBe(2);
+    expect(summary.error_ms).toBe(950);
+  });
+
+  test('ends only once and produces a catalogued event', async ({ page }) => {
+    await loadSession(page);
+
+    const result = await page.evaluate(() => {
+      const session = window.testCreateSession({ handle: 'frog-birthday', source: 'recommendations' });
+      session.mark('variant_select');
+      const summary = session.end('backdrop');
+      return {
+        second: session.end('navigation'),
+        validation: window.testValidateEvent('cc_modal_session', summary)
+      };
+    });
+
+    expect(result.second).toBeNull();
+    expect(result.validation).toEqual({ valid: true, errors: [] });
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * Photo Card Tests
+ *
+ * Tests for photo cards (core/photoCard.js, core/cardLine.js and workers/photo-uploads.js)
+ * Validates the crop geometry, the resolution warning, the `_photo_ref` line property and the upload worker
+ * (origin allowlist, rate limit and keeping ordered photos)
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadPhotoModules(page) {
+  return loadModules(page, {
+    testPhotoCard: '/src/cc-choice/core/photoCard.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+// Worker handler with photos kept in memory instead of R2
+async function createLocalHandler(options = {}) {
+  const { createPhotoHandler, MAX_PHOTO_BYTES } = await import('../workers/photo-uploads.js');
+  const photos = new Map();
+  const handler = createPhotoHandler({
+    ...options,
+    store: {
+      put: async (ref, bytes, contentType) => { photos.set(ref, { bytes, contentType }); },
+      get: async (ref) => photos.get(ref) || null
+    },
+    createId: () => '123e4567-e89b-12d3-a456-426614174000',
+    now: () => new Date('2026-10-18T10:00:00Z')
+  });
+  return { handler, photos, MAX_PHOTO_BYTES };
+}
+
+const JPEG_BYTES = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10]);
+
+test.describe('Photo Card - crop', () => {
+  test('frames the whole photo at the printed front\'s proportions', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const result = await page.evaluate(() => {
+      const { getPhotoPrintSize, createCrop, getCropRect } = window.testPhotoCard;
+      const a5 = getPhotoPrintSize('A5');
+      const rect = getCropRect(createCrop(4000, 3000), a5.aspect);
+      return { a5, rect, aspect: rect.width / rect.height };
+    });
+
+    expect(result.a5).toMatchObject({ key: 'a5', width: 154, height: 216 });
+    expect(result.rect.height).toBe(3000);
+    expect(result.rect.y).toBe(0);
+    expect(result.aspect).toBeCloseTo(result.a5.aspect, 6);
+    expect(result.rect.x + result.rect.width / 2).toBeCloseTo(2000, 6);
+  });
+
+  test('zooms in and keeps the crop inside the photo when panned', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const rect = await page.evaluate(() => {
+      const { getPhotoPrintSize, createCrop, zoomCrop, panCrop, getCropRect } = window.testPhotoCard;
+      const { aspect } = getPhotoPrintSize('A5');
+      const zoomed = zoomCrop(createCrop(4000, 3000), 2, aspect);
+      return getCropRect(panCrop(zoomed, 99999, -99999, aspect), aspect);
+    });
+
+    expect(rect.height).toBe(1500);
+    expect(rect.y).toBe(0);
+    expect(rect.x + rect.width).toBeCloseTo(4000, 6);
+  });
+
+  test('rotating swaps the photo\'s sides and re-centres the crop', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const result = await page.evaluate(() => {
+      const { getPhotoPrintSize, createCrop, rotateCrop, getCropRect } = window.testPhotoCard;
+      const { aspect } = getPhotoPrintSize('A5');
+      const rotated = rotateCrop(createCrop(4000, 3000));
+      return { rotated, rect: getCropRect(rotated, aspect), full: rotateCrop(rotateCrop(rotateCrop(rotated))).rotation };
+    });
+
+    expect(result.rotated).toMatchObject({ rotation: 90, centerX: 1500, centerY: 2000 });
+    expect(result.rect.height).toBe(4000);
+    expect(result.full).toBe(0);
+  });
+});
+
+test.describe('Photo Card - resolution', () => {
+  test('scales the upload down to 300 dpi but never up', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const sizes = await page.evaluate(() => {
+      const { getPhotoPrintSize, createCrop, getCropRect, getOutputSize } = window.testPhotoCard;
+      const a5 = getPhotoPrintSize('A5');
+      return [
+        getOutputSize(getCropRect(createCrop(4000, 3000), a5.aspect), a5),
+        getOutputSize(getCropRect(createCrop(800, 600), a5.aspect), a5)
+      ];
+    });
+
+    expect(sizes[0]).toEqual({ width: 1819, height: 2551 });
+    expect(sizes[1].height).toBe(600);
+  });
+
+  test('warns when the crop would print below 150 dpi for the chosen size', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const checks = await page.evaluate(() => {
+      const { getPhotoPrintSize, createCrop, getCropRect, checkPhotoResolution } = window.testPhotoCard;
+      const a5 = getPhotoPrintSize('A5');
+      return [
+        checkPhotoResolution(getCropRect(createCrop(4000, 3000), a5.aspect), a5),
+        checkPhotoResolution(getCropRect(createCrop(800, 600), a5.aspect), a5)
+      ];
+    });
+
+    expect(checks[0]).toEqual({ dpi: 352, ok: true, message: '' });
+    expect(checks[1].ok).toBe(false);
+    expect(checks[1].dpi).toBe(70);
+    expect(checks[1].message).toBe('This photo may look blurry on an A5 card. For a sharp print, zoom out or use a photo at least 910 × 1276 pixels.');
+  });
+});
+
+test.describe('Photo Card - basket line properties', () => {
+  test('writes the photo reference as a hidden property and reads it back', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const result = await page.evaluate(() => {
+      const { cardLineFromProperties, buildCardLineItem, isCardLineEmpty } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': '', _photo_ref: '2026-10-18/abc.jpg' });
+      const properties = buildCardLineItem(line, { variantId: 1 }).properties;
+      const plain = buildCardLineItem(cardLineFromProperties({ 'Inside Message': 'Hi' }), { variantId: 1 }).properties;
+      return {
+        ref: properties._photo_ref,
+        reopened: cardLineFromProperties(properties).photoRef,
+        empty: isCardLineEmpty(line),
+        plainKeys: Object.keys(plain)
+      };
+    });
+
+    expect(result.ref).toBe('2026-10-18/abc.jpg');
+    expect(result.reopened).toBe('2026-10-18/abc.jpg');
+    expect(result.empty).toBe(false);
+    expect(result.plainKeys).not.toContain('_photo_ref');
+  });
+
+  test('validateCardLine asks for the photo on photo cards, even left blank inside', async ({ page }) => {
+    await loadPhotoModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const line = cardLineFromProperties({ 'Inside Message': '', leave_blank: 'Yes' });
+      return {
+        photoCard: validateCardLine(line, new Date(), { photoRequired: true }).errors,
+        withPhoto: validateCardLine({ ...line, photoRef: '2026-10-18/abc.jpg' }, new Date(), { photoRequired: true }).errors,
+        plainCard: validateCardLine(line).errors
+      };
+    });
+
+    expect(errors.photoCard).toEqual({ photo: 'Please add your photo' });
+    expect(errors.withPhoto).toEqual({});
+    expect(errors.plainCard).toEqual({});
+  });
+});
+
+test.describe('Photo Card - upload worker', () => {
+  test('stores a JPEG and serves it back by reference', async () => {
+    const { handler, photos } = await createLocalHandler();
+
+    const upload = await handler(new Request('http://localhost/photos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: JPEG_BYTES
+    }));
+    const body = await upload.json();
+
+    expect(upload.status).toBe(201);
+    expect(body.ref).toBe('2026-10-18/123e4567-e89b-12d3-a456-426614174000.jpg');
+    expect(photos.has(`pending/${body.ref}`)).toBe(true);
+
+    const photo = await handler(new Request(body.url));
+    expect(photo.status).toBe(200);
+    expect(photo.headers.get('Content-Type')).toBe('image/jpeg');
+    expect(new Uint8Array(await photo.arrayBuffer())).toEqual(JPEG_BYTES);
+  });
+
+  test('rejects bad requests', async () => {
+    const { handler, MAX_PHOTO_BYTES } = await createLocalHandler();
+    const post = (contentType, body) => new Request('http://localhost/photos', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body
+    });
+
+    const statuses = [];
+    for (const request of [
+      post('image/png', JPEG_BYTES),
+      post('image/jpeg', new Uint8Array([0x89, 0x50, 0x4E, 0x47])),
+      post('image/jpeg', new Uint8Array(MAX_PHOTO_BYTES + 1)),
+      new Request('http://localhost/photos'),
+      new Request('http://localhost/photos/not-a-ref.jpg'),
+      new Request('http://localhost/photos/%E0%A4%A'),
+      new Request('http://localhost/elsewhere')
+    ]) {
+      statuses.push((await handler(request)).status);
+    }
+
+    expect(statuses).toEqual([415, 400, 413, 405, 404, 404, 404]);
+  });
+
+  test('only takes uploads from allowed pages, so many per IP', async () => {
+    const { createAiGuard, countUsage } = await import('../workers/ai-guard.js');
+    const counts = new Map();
+    const counters = {
+      add: async (key, options) => {
+        const result = countUsage(counts.get(key), options);
+        counts.set(key, result.record);
+        return result;
+      }
+    };
+    const guard = createAiGuard(
+      { PHOTO_ALLOWED_ORIGINS: 'https://shop.example', PHOTO_IP_LIMIT: '2' },
+      { prefix: 'PHOTO', counters, now: () => Date.UTC(2026, 9, 18, 10) }
+    );
+    const { handler, photos } = await createLocalHandler({ guard });
+    const upload = (origin) => handler(new Request('http://localhost/photos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg', 'CF-Connecting-IP': '203.0.113.9', ...(origin ? { Origin: origin } : {}) },
+      body: JPEG_BYTES
+    }));
+
+    const refused = await Promise.all([upload('https://evil.example'), upload(null)]);
+    const preflight = await handler(new Request('http://localhost/photos', {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://shop.example' }
+    }));
+    const allowed = [await upload('https://shop.example'), await upload('https://shop.example')];
+    const limited = await upload('https://shop.example');
+
+    expect(refused.map(response => response.status)).toEqual([403, 403]);
+    expect(refused[0].headers.get('Access-Control-Allow-Origin')).toBeNull();
+    expect(preflight.headers.get('Access-Control-Allow-Origin')).toBe('https://shop.example');
+    expect(allowed.map(response => response.status)).toEqual([201, 201]);
+    expect(allowed[0].headers.get('Access-Control-Allow-Origin')).toBe('https://shop.example');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(photos.size).toBe(1); // Both allowed uploads got the same test id
+  });
+
+  test('keeps ordered photos out of the pending folder with the keep token', async () => {
+    const { handler, photos } = await createLocalHandler({ keepToken: 'secret' });
+    const { ref } = await (await handler(new Request('http://localhost/photos', {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/jpeg' },
+      body: JPEG_BYTES
+    }))).json();
+    const keep = (token, path = ref) => handler(new Request(`http://localhost/photos/${path}/keep`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    }));
+
+    const statuses = [
+      (await keep(null)).status,
+      (await keep('wrong')).status,
+      (await keep('secret', '2026-10-18/00000000-0000-0000-0000-000000000000.jpg')).status,
+      (await keep('secret')).status,
+      (await keep('secret')).status
+    ];
+
+    expect(statuses).toEqual([401, 401, 404, 200, 200]);
+    expect(photos.has(`ordered/${ref}`)).toBe(true);
+
+    photos.delete(`pending/${ref}`); // Expired by the lifecycle rule
+    expect((await handler(new Request(`http://localhost/photos/${ref}`))).status).toBe(200);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Send Date Tests
+ *
+ * Tests for core/sendDate.js pure functions
+ * Validates cutoff handling, transit estimates, postal holidays and fulfilment properties
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+// Tuesday 1 December 2026, 10:00 UK time (before the 14:00 cutoff)
+const MORNING = '2026-12-01T10:00:00Z';
+// Same day, 14:30 UK time (after the cutoff)
+const AFTERNOON = '2026-12-01T14:30:00Z';
+
+function loadSendDate(page) {
+  return loadModules(page, {
+    testSendDate: '/src/cc-choice/core/sendDate.js'
+  });
+}
+
+test.describe('Send Date - earliest dates', () => {
+  test('dispatches the same day before the cutoff and the next day after it', async ({ page }) => {
+    await loadSendDate(page);
+
+    const dates = await page.evaluate(([morning, afternoon]) => {
+      const { getEarliestDispatchDate } = window.testSendDate;
+      return [getEarliestDispatchDate(new Date(morning)), getEarliestDispatchDate(new Date(afternoon))];
+    }, [MORNING, AFTERNOON]);
+
+    expect(dates).toEqual(['2026-12-01', '2026-12-02']);
+  });
+
+  test('measures the cutoff in UK time during British Summer Time', async ({ page }) => {
+    await loadSendDate(page);
+
+    // 13:30 UTC is 14:30 BST
+    const date = await page.evaluate(() => {
+      return window.testSendDate.getEarliestDispatchDate(new Date('2026-07-01T13:30:00Z'));
+    });
+
+    expect(date).toBe('2026-07-02');
+  });
+
+  test('adds per-country transit in delivery days', async ({ page }) => {
+    await loadSendDate(page);
+
+    const dates = await page.evaluate((morning) => {
+      const { getEarliestArrivalDate } = window.testSendDate;
+      return {
+        gb: getEarliestArrivalDate('GB', new Date(morning)),
+        us: getEarliestArrivalDate('US', new Date(morning))
+      };
+    }, MORNING);
+
+    expect(dates.gb).toBe('2026-12-03');
+    expect(dates.us).toBe('2026-12-10');
+  });
+});
+
+test.describe('Send Date - checkArrivalDate', () => {
+  test('works out the latest order date for a valid arrival', async ({ page }) => {
+    await loadSendDate(page);
+
+    const check = await page.evaluate((morning) => {
+      return window.testSendDate.checkArrivalDate('2026-12-24', 'GB', new Date(morning));
+    }, MORNING);
+
+    expect(check.valid).toBe(true);
+    expect(check.deadline).toEqual({ dispatchDate: '2026-12-22', orderBy: '2026-12-22', cutoff: '14:00' });
+  });
+
+  test('blocks dates that are too soon and suggests the earliest', async ({ page }) => {
+    await loadSendDate(page);
+
+    const check = await page.evaluate((morning) => {
+      return window.testSendDate.checkArrivalDate('2026-12-02', 'GB', new Date(morning));
+    }, MORNING);
+
+    expect(check.valid).toBe(false);
+    expect(check.suggestion).toBe('2026-12-03');
+  });
+
+  test('blocks postal holidays and suggests the next delivery day', async ({ page }) => {
+    await loadSendDate(page);
+
+    const check = await page.evaluate((morning) => {
+      return window.testSendDate.checkArrivalDate('2026-12-25', 'GB', new Date(morning));
+    }, MORNING);
+
+    expect(check.valid).toBe(false);
+    expect(check.error).toContain('no post');
+    expect(check.suggestion).toBe('2026-12-29');
+  });
+
+  test('never schedules dispatch before the earliest dispatch day around a US holiday', async ({ page }) => {
+    await loadSendDate(page);
+
+    // Thanksgiving (no US post, but the studio is open): 09:00 and 15:00 UK time
+    const result = await page.evaluate(() => {
+      const { checkArrivalDate, buildSendDateProperties } = window.testSendDate;
+      return {
+        morning: checkArrivalDate('2026-12-07', 'US', new Date('2026-11-26T09:00:00Z')),
+        afternoon: checkArrivalDate('2026-12-07', 'US', new Date('2026-11-26T15:00:00Z')),
+        properties: buildSendDateProperties('2026-12-07', 'US')
+      };
+    });
+
+    expect(result.morning.valid).toBe(true);
+    expect(result.morning.deadline.dispatchDate).toBe('2026-11-26');
+    expect(result.properties._dispatch_date).toBe('2026-11-26');
+    expect(result.afternoon.valid).toBe(false);
+    expect(result.afternoon.suggestion).toBe('2026-12-08');
+  });
+
+  test('rejects malformed dates', async ({ page }) => {
+    await loadSendDate(page);
+
+    const check = await page.evaluate((morning) => {
+      return window.testSendDate.checkArrivalDate('2026-02-30', 'GB', new Date(morning));
+    }, MORNING);
+
+    expect(check.valid).toBe(false);
+  });
+});
+
+test.describe('Send Date - cart properties', () => {
+  test('writes arrival and dispatch dates for fulfilment', async ({ page }) => {
+    await loadSendDate(page);
+
+    const result = await page.evaluate(() => {
+      const { buildSendDateProperties } = window.testSendDate;
+      return {
+        scheduled: buildSendDateProperties('2026-12-24', 'US'),
+        asap: buildSendDateProperties('', 'US')
+      };
+    });
+
+    expect(result.scheduled).toEqual({ _arrival_date: '2026-12-24', _dispatch_date: '2026-12-15' });
+    expect(result.asap).toEqual({});
+  });
+
+  test('card lines carry the scheduled date through validation and back', async ({ page }) => {
+    await loadModules(page, {
+      testCardLine: '/src/cc-choice/core/cardLine.js'
+    });
+
+    const result = await page.evaluate((morning) => {
+      const { validateCardLine, buildCardLineItem, cardLineFromProperties } = window.testCardLine;
+      const line = {
+        insideMessage: 'Happy birthday!',
+        fontFamily: 'Caveat',
+        fontSize: 'medium',
+        textColor: '#1A1A1A',
+        leaveBlank: false,
+        arrivalDate: '2026-12-24',
+        delivery: {
+          deliveryMethod: 'Mail4Me',
+          recipient: {
+            recipientName: 'Grandad Joe',
+            addressLine1: '12 Lily Pad Lane',
+            addressLine2: '',
+            city: 'Bristol',
+            postcode: 'BS1 4DJ',
+            region: '',
+            country: 'GB'
+          }
+        }
+      };
+
+      const tooLate = validateCardLine(line, new Date('2026-12-23T10:00:00Z'));
+      const { properties } = buildCardLineItem(validateCardLine(line, new Date(morning)).line, { variantId: 1 });
+      return { tooLate: tooLate.errors, properties, reopened: cardLineFromProperties(properties).arrivalDate };
+    }, MORNING);
+
+    expect(Object.keys(result.tooLate)).toEqual(['arrivalDate']);
+    expect(result.properties['_arrival_date']).toBe('2026-12-24');
+    expect(result.properties['_dispatch_date']).toBe('2026-12-22');
+    expect(result.reopened).toBe('2026-12-24');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Typography Catalogue Tests
+ *
+ * Tests for the configurable message fonts and ink colours
+ * (core/typographyCatalogue.js and core/cardLine.js)
+ * Validates theme settings, product overrides and that retired choices are caught before add-to-cart
+ */
+
+const { test, expect } = require('@playwright/test');
+const { loadModules } = require('./helpers/modules');
+
+function loadTypographyModules(page) {
+  return loadModules(page, {
+    testTypography: '/src/cc-choice/core/typographyCatalogue.js',
+    testCardLine: '/src/cc-choice/core/cardLine.js'
+  });
+}
+
+test.describe('Typography Catalogue - getTypographyCatalogue', () => {
+  test('offers every message font and the default inks when the theme sets none', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const catalogue = await page.evaluate(() => window.testTypography.getTypographyCatalogue());
+
+    expect(catalogue.fonts.length).toBe(15);
+    expect(catalogue.defaultFont).toBe('Playfair Display');
+    expect(catalogue.colours.map(colour => colour.name)).toEqual(['Black', 'Dark Grey', 'Blue', 'Red', 'Green', 'Purple']);
+    expect(catalogue.defaultColour).toBe('#1A1A1A');
+    expect(catalogue.skipped).toEqual([]);
+  });
+
+  test('reads the theme settings, relabels fonts and skips lines it can\'t use', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const catalogue = await page.evaluate(() => {
+      const { configureTypography, getTypographyCatalogue } = window.testTypography;
+      configureTypography({
+        fonts: ['caveat: Scribble', 'Lora', 'Comic Sans MS', 'Lora'],
+        colours: 'Gold: #b8860b\nNavy: #008\nSilver\nRose: pink'
+      });
+      return getTypographyCatalogue();
+    });
+
+    expect(catalogue.fonts.map(font => [font.family, font.label])).toEqual([['Caveat', 'Scribble'], ['Lora', 'Traditional']]);
+    expect(catalogue.colours).toEqual([{ name: 'Gold', value: '#B8860B' }, { name: 'Navy', value: '#000088' }]);
+    expect(catalogue.defaultFont).toBe('Caveat');
+    expect(catalogue.defaultColour).toBe('#B8860B');
+    expect(catalogue.skipped).toEqual(['Comic Sans MS', 'Silver', 'Rose: pink']);
+  });
+
+  test('product metafields replace the store lists they set', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const catalogue = await page.evaluate(() => {
+      const { configureTypography, getTypographyCatalogue } = window.testTypography;
+      configureTypography({ fonts: 'Caveat\nLora', colours: 'Black: #1A1A1A' });
+      return {
+        inks: getTypographyCatalogue({ colours: 'Gold: #B8860B' }),
+        invalid: getTypographyCatalogue({ fonts: 'Wingdings' })
+      };
+    });
+
+    expect(catalogue.inks.fonts.map(font => font.family)).toEqual(['Caveat', 'Lora']);
+    expect(catalogue.inks.colours.map(colour => colour.value)).toEqual(['#B8860B']);
+    expect(catalogue.invalid.fonts.map(font => font.family)).toEqual(['Caveat', 'Lora']);
+    expect(catalogue.invalid.skipped).toEqual(['Wingdings']);
+  });
+});
+
+test.describe('Typography Catalogue - checking choices', () => {
+  test('reports a font or colour the product doesn\'t offer', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { getTypographyCatalogue, checkTypography } = window.testTypography;
+      const catalogue = getTypographyCatalogue({ fonts: 'Caveat', colours: 'Gold: #B8860B' });
+      return {
+        valid: checkTypography(catalogue, { fontFamily: 'Caveat', textColor: '#b8860b' }),
+        retired: checkTypography(catalogue, { fontFamily: 'Lora', textColor: '#1A1A1A' })
+      };
+    });
+
+    expect(errors.valid).toEqual({});
+    expect(errors.retired.fontFamily).toBe('This font isn\'t available for this card. Please choose another.');
+    expect(errors.retired.textColor).toBe('This ink colour isn\'t available for this card. Please choose another.');
+  });
+
+  test('falls back to the defaults for retired choices', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const choices = await page.evaluate(() => {
+      const { getTypographyCatalogue, resolveTypography } = window.testTypography;
+      const catalogue = getTypographyCatalogue({ fonts: 'Caveat\nLora', colours: 'Black: #1A1A1A\nGold: #B8860B' });
+      return [
+        resolveTypography(catalogue, { fontFamily: 'Lora', textColor: '#b8860b' }),
+        resolveTypography(catalogue, { fontFamily: 'Pacifico', textColor: '#7C3AED' }),
+        resolveTypography(catalogue)
+      ];
+    });
+
+    expect(choices).toEqual([
+      { fontFamily: 'Lora', textColor: '#B8860B' },
+      { fontFamily: 'Caveat', textColor: '#1A1A1A' },
+      { fontFamily: 'Caveat', textColor: '#1A1A1A' }
+    ]);
+  });
+
+  test('validateCardLine checks typography against the catalogue, except for blank cards', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const errors = await page.evaluate(() => {
+      const { getTypographyCatalogue } = window.testTypography;
+      const { cardLineFromProperties, validateCardLine } = window.testCardLine;
+      const catalogue = getTypographyCatalogue({ fonts: 'Caveat', colours: 'Gold: #B8860B' });
+      const properties = { 'Inside Message': 'Hi', 'Font Family': 'Lora', 'Text Color': '#B8860B' };
+      return {
+        withCatalogue: validateCardLine(cardLineFromProperties(properties), new Date(), { catalogue }).errors,
+        withoutCatalogue: validateCardLine(cardLineFromProperties(properties)).errors,
+        blank: validateCardLine(cardLineFromProperties({ ...properties, 'Inside Message': '', leave_blank: 'Yes' }), new Date(), { catalogue }).errors
+      };
+    });
+
+    expect(Object.keys(errors.withCatalogue)).toEqual(['fontFamily']);
+    expect(errors.withoutCatalogue).toEqual({});
+    expect(errors.blank).toEqual({});
+  });
+
+  test('isPrintableTypography accepts any message font in a hex colour', async ({ page }) => {
+    await loadTypographyModules(page);
+
+    const results = await page.evaluate(() => {
+      const { isPrintableTypography } = window.testTypography;
+      return [
+        isPrintableTypography({ fontFamily: 'Noto Sans KR', textColor: '#8B0000' }),
+        isPrintableTypography({ fontFamily: 'Comic Sans MS', textColor: '#8B0000' }),
+        isPrintableTypography({ fontFamily: 'Caveat', textColor: 'url(javascript:alert(1))' })
+      ];
+    });
+
+    expect(results).toEqual([true, false, false]);
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * AI Guard
+ * What stops the AI suggestions worker being used from anywhere, by anyone,
+ * at any cost:
+ *
+ * - Origins: only pages on AI_ALLOWED_ORIGINS get CORS headers; other
+ *   origins (and requests with no Origin, like curl) are refused
+ * - Rate limits: AI_IP_LIMIT requests per IP (CF-Connecting-IP) and
+ *   AI_SESSION_LIMIT per browser session (the X-CC-AI-Session header sent
+ *   by services/aiService.js) every AI_RATE_WINDOW seconds
+ * - Input: the body's size and each field's length are capped
+ *   (checkInput), and customer text is cleaned before it reaches a prompt
+ *   (cleanText); replies with links, emails or markup are not passed on
+ * - Daily budget: every model call adds its estimated cost (AI_COST_PER_CALL,
+ *   plus AI_COST_PER_IMAGE when the card image is sent) to the UTC day's
+ *   spend. Past AI_DAILY_BUDGET (USD) the worker answers with canned
+ *   suggestions instead of asking the model
+ *
+ * Counts are kept in the AI_USAGE Durable Object (AiUsageCounter, one per
+ * key, so they hold across isolates), else the AI_USAGE_KV namespace (close
+ * enough for a daily total, but concurrent requests can undercount), else in
+ * memory per isolate (scripts/ai-server.mjs, tests). If the store can't be
+ * reached, requests are let through and the error logged: the budget still
+ * caps what an outage can cost.
+ *
+ * The photo uploads worker uses the same origin check and rate limits with
+ * its own settings (PHOTO_ALLOWED_ORIGINS, PHOTO_IP_LIMIT, ...; see the
+ * `prefix` option).
+ */
+
+import {
+  IDEA_FIELD_LIMITS,
+  REFINE_HISTORY_LIMIT,
+  REFINE_INSTRUCTION_MAX_LENGTH
+} from '../src/cc-choice/core/messageIdeas.js';
+
+/** Largest request body accepted (bytes) */
+export const MAX_BODY_BYTES = 32 * 1024;
+
+/** Header the storefront sends its AI session id in */
+export const SESSION_HEADER = 'X-CC-AI-Session';
+
+/** Limits and costs when the env vars aren't set */
+export const GUARD_DEFAULTS = Object.freeze({
+  ipLimit: 30,
+  sessionLimit: 15,
+  rateWindow: 60 * 60,
+  dailyBudget: 5,
+  costPerCall: 0.001,
+  costPerImage: 0.001
+});
+
+// Longest message (the inside message limit), image URL and tag list accepted
+const MAX_MESSAGE_LENGTH = 600;
+const MAX_IMAGE_URL_LENGTH = 1000;
+const MAX_TAGS = 250;
+
+const DAY_SECONDS = 24 * 60 * 60;
+const BUDGET_KEY = 'budget';
+const SESSION_ID = /^[A-Za-z0-9-]{8,64}$/;
+
+// Control, zero-width and direction characters: invisible in the panel, but the model reads them
+const INVISIBLE_CHARACTERS = /[\u0000-\u0008\u000b-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+
+// Nothing printed on a card needs a link, an email address or markup
+const UNSAFE_REPLY = /https?:\/\/|www\.|[\w.+-]+@[\w-]+\.[a-z]{2,}|<\/?[a-z]/i;
+
+// Counts kept per isolate when there's no Durable Object or KV namespace
+const memoryCounts = new Map();
+
+/**
+ * Number from an env var, or the default if it isn't set
+ * @private
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? fallback : number;
+}
+
+/**
+ * Length of a string field, 0 if it isn't one
+ * @private
+ */
+function lengthOf(value) {
+  return typeof value === 'string' ? value.length : 0;
+}
+
+/**
+ * Add to a fixed-window count
+ *
+ * Windows start at multiples of `window` seconds since the epoch, so a
+ * one-day window is a UTC day. A count already at `limit` isn't added to;
+ * `amount: 0` just asks whether there's room.
+ *
+ * @param {{ start: number, count: number }|null|undefined} record - Stored count
+ * @param {{ amount?: number, limit?: number|null, window: number, now: number }} options - limit null: no limit; now in ms
+ * @returns {{ record: { start: number, count: number }, allowed: boolean, count: number, retryAfter: number }}
+ */
+export function countUsage(record, { amount = 1, limit = null, window, now }) {
+  const seconds = Math.floor(now / 1000);
+  const start = seconds - (seconds % window);
+  const count = record && record.start === start ? record.count : 0;
+
+  if (limit !== null && count >= limit) {
+    return { record: { start, count }, allowed: false, count, retryAfter: start + window - seconds };
+  }
+
+  return { record: { start, count: count + amount }, allowed: true, count: count + amount, retryAfter: 0 };
+}
+
+/**
+ * Durable Object holding one count (bound as AI_USAGE)
+ *
+ * POST { amount, limit, window, now } → countUsage()'s result, less the record
+ */
+export class AiUsageCounter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const options = await request.json();
+    const result = countUsage(await this.state.storage.get('record'), options);
+    if (options.amount) await this.state.storage.put('record', result.record);
+
+    const { allowed, count, retryAfter } = result;
+    return Response.json({ allowed, count, retryAfter });
+  }
+}
+
+/**
+ * Where counts are kept: a Durable Object namespace, a KV namespace, or memory
+ *
+ * @param {Object} [bindings]
+ * @param {Object} [bindings.durableObject] - AI_USAGE namespace binding
+ * @param {{ get: Function, put: Function }} [bindings.kv] - AI_USAGE_KV namespace binding
+ * @returns {{ add: (key: string, options: Object) => Promise<{ allowed: boolean, count: number, retryAfter: number }> }}
+ */
+export function createUsageCounters({ durableObject, kv } = {}) {
+  if (durableObject) {
+    return {
+      add: async (key, options) => {
+        const counter = durableObject.get(durableObject.idFromName(key));
+        const response = await counter.fetch('https://ai-usage/count', { method: 'POST', body: JSON.stringify(options) });
+        if (!response.ok) throw new Error(`Usage counter returned ${response.status}`);
+        return response.json();
+      }
+    };
+  }
+
+  if (kv) {
+    return {
+      add: async (key, options) => {
+        const result = countUsage(JSON.parse(await kv.get(key) || 'null'), options);
+        if (options.amount) {
+          // KV won't expire keys sooner than a minute
+          await kv.put(key, JSON.stringify(result.record), { expirationTtl: Math.max(options.window, 60) });
+        }
+        return result;
+      }
+    };
+  }
+
+  return {
+    add: async (key, options) => {
+      const result = countUsage(memoryCounts.get(key), options);
+      if (options.amount) memoryCounts.set(key, result.record);
+      return result;
+    }
+  };
+}
+
+/**
+ * Customer text as it may go into a prompt: no control, zero-width or
+ * direction characters, and whitespace squashed (to one line unless
+ * multiline)
+ *
+ * @param {*} value - Field from the request body
+ * @param {Object} [options]
+ * @param {boolean} [options.multiline] - Keep line breaks (card messages)
+ * @returns {string} '' if it isn't a string
+ */
+export function cleanText(value, { multiline = false } = {}) {
+  if (typeof value !== 'string') return '';
+  const text = value.replace(/\r\n?/g, '\n').replace(INVISIBLE_CHARACTERS, '');
+
+  return multiline
+    ? text.replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n').trim()
+    : text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * First field that's longer than the worker accepts
+ *
+ * The panel's inputs have the same limits, so only requests that didn't
+ * come from it are refused.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} Error for the response, null if everything fits
+ */
+export function checkInput(body) {
+  const history = Array.isArray(body.history) ? body.history : [];
+  const tags = Array.isArray(body.tags) ? body.tags : typeof body.tags === 'string' ? body.tags.split(',') : [];
+  const lengths = {
+    recipient: [lengthOf(body.recipient), IDEA_FIELD_LIMITS.recipient],
+    occasion: [lengthOf(body.occasion), IDEA_FIELD_LIMITS.occasion],
+    details: [lengthOf(body.details), IDEA_FIELD_LIMITS.details],
+    message: [lengthOf(body.message), MAX_MESSAGE_LENGTH],
+    instruction: [lengthOf(body.instruction), REFINE_INSTRUCTION_MAX_LENGTH],
+    imageUrl: [lengthOf(body.imageUrl), MAX_IMAGE_URL_LENGTH],
+    history: [history.length, REFINE_HISTORY_LIMIT],
+    tags: [tags.length, MAX_TAGS]
+  };
+
+  const field = Object.keys(lengths).find(key => lengths[key][0] > lengths[key][1]);
+  if (field) return `${field} is too long`;
+
+  const step = history.find(entry => entry && (lengthOf(entry.message) > MAX_MESSAGE_LENGTH
+    || lengthOf(entry.instruction) > REFINE_INSTRUCTION_MAX_LENGTH));
+  return step ? 'history is too long' : null;
+}
+
+/**
+ * Whether a reply is fit to show: no links, email addresses or markup
+ *
+ * @param {string} message - Message from the model
+ * @returns {boolean}
+ */
+export function isSafeReply(message) {
+  return !UNSAFE_REPLY.test(message);
+}
+
+/**
+ * Allowed origins from AI_ALLOWED_ORIGINS (comma-separated; '*' allows any)
+ *
+ * @param {string} [value] - Env var
+ * @returns {string[]} Lowercase, without trailing slashes
+ */
+export function readAllowedOrigins(value) {
+  return String(value || '')
+    .split(',')
+    .map(origin => origin.trim().toLowerCase().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Build the guard
+ *
+ * @param {Object} [env] - Worker env: AI_ALLOWED_ORIGINS, AI_IP_LIMIT, AI_SESSION_LIMIT,
+ *   AI_RATE_WINDOW, AI_DAILY_BUDGET, AI_COST_PER_CALL, AI_COST_PER_IMAGE (a limit or budget of 0 turns it off)
+ * @param {Object} [deps]
+ * @param {string} [deps.prefix] - Env var prefix, e.g. 'PHOTO' reads PHOTO_ALLOWED_ORIGINS, PHOTO_USAGE, ... (default 'AI')
+ * @param {ReturnType<typeof createUsageCounters>} [deps.counters] - Where counts are kept (default: env.AI_USAGE, env.AI_USAGE_KV, memory)
+ * @param {() => number} [deps.now] - Clock (ms)
+ * @returns {{
+ *   allowsOrigin: (origin: string|null) => boolean,
+ *   corsHeaders: (origin: string) => Object,
+ *   checkRate: (request: Request) => Promise<{ allowed: boolean, retryAfter: number }>,
+ *   withinBudget: () => Promise<boolean>,
+ *   meter: (provider: Object) => Object
+ * }}
+ */
+export function createAiGuard(env = {}, {
+  prefix = 'AI',
+  counters = createUsageCounters({ durableObject: env[`${prefix}_USAGE`], kv: env[`${prefix}_USAGE_KV`] }),
+  now = Date.now
+} = {}) {
+  const read = (name) => env[`${prefix}_${name}`];
+  const origins = readAllowedOrigins(read('ALLOWED_ORIGINS'));
+  const settings = {
+    ipLimit: readNumber(read('IP_LIMIT'), GUARD_DEFAULTS.ipLimit),
+    sessionLimit: readNumber(read('SESSION_LIMIT'), GUARD_DEFAULTS.sessionLimit),
+    rateWindow: readNumber(read('RATE_WINDOW'), GUARD_DEFAULTS.rateWindow) || GUARD_DEFAULTS.rateWindow,
+    dailyBudget: readNumber(read('DAILY_BUDGET'), GUARD_DEFAULTS.dailyBudget),
+    costPerCall: readNumber(read('COST_PER_CALL'), GUARD_DEFAULTS.costPerCall),
+    costPerImage: readNumber(read('COST_PER_IMAGE'), GUARD_DEFAULTS.costPerImage)
+  };
+
+  if (origins.length === 0) {
+    console.error(`${prefix}_ALLOWED_ORIGINS is not set: every request will be refused`);
+  }
+
+  // Counting never blocks a request because the store is down
+  const add = async (key, options) => {
+    try {
+      return await counters.add(key, { ...options, now: now() });
+    } catch (error) {
+      console.error(`${prefix} usage count failed:`, key, error.message);
+      return { allowed: true, count: 0, retryAfter: 0 };
+    }
+  };
+
+  const spend = (amount) => add(BUDGET_KEY, { amount, limit: null, window: DAY_SECONDS });
+
+  return {
+    allowsOrigin(origin) {
+      return origins.includes('*') || (typeof origin === 'string' && origins.includes(origin.toLowerCase()));
+    },
+
+    corsHeaders(origin) {
+      return {
+        'Access-Control-Allow-Origin': origin || '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': `Content-Type, ${SESSION_HEADER}`,
+        'Access-Control-Max-Age': '86400',
+        Vary: 'Origin'
+      };
+    },
+
+    async checkRate(request) {
+      const ip = request.headers.get('CF-Connecting-IP') || 'local';
+      const session = request.headers.get(SESSION_HEADER);
+      const limits = [
+        settings.ipLimit > 0 ? [`ip:${ip}`, settings.ipLimit] : null,
+        settings.sessionLimit > 0 && SESSION_ID.test(session || '') ? [`session:${session}`, settings.sessionLimit] : null
+      ].filter(Boolean);
+
+      for (const [key, limit] of limits) {
+        const result = await add(key, { amount: 1, limit, window: settings.rateWindow });
+        if (!result.allowed) return { allowed: false, retryAfter: result.retryAfter };
+      }
+      return { allowed: true, retryAfter: 0 };
+    },
+
+    async withinBudget() {
+      if (!(settings.dailyBudget > 0)) return true;
+      const { allowed } = await add(BUDGET_KEY, { amount: 0, limit: settings.dailyBudget, window: DAY_SECONDS });
+      return allowed;
+    },
+
+    meter(provider) {
+      if (!provider) return provider;
+
+      return {
+        ...provider,
+        complete: async (request) => {
+          const withImage = request.messages.some(message => Array.isArray(message.content)
+            && message.content.some(part => part.type === 'image_url'));
+          try {
+            return await provider.complete(request);
+          } finally {
+            // A failed call may still have been billed
+            await spend(settings.costPerCall + (withImage ? settings.costPerImage : 0));
+          }
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * AI Providers
+ * Chat model backends for the AI suggestions worker, chosen by env vars
+ *
+ * AI_PROVIDER       openrouter (default) | openai | workers-ai | mock
+ * AI_MODEL          Model name (defaults per provider, see DEFAULT_MODELS)
+ * AI_TEMPERATURE    Sampling temperature (default 0.9)
+ * AI_MAX_TOKENS     Reply limit (default 400)
+ * AI_VISION         "true" | "false": send the card image (default per provider, see DEFAULT_VISION)
+ * OPENROUTER_API_KEY            openrouter: API key (secret)
+ * AI_BASE_URL, AI_API_KEY       openai: any OpenAI-compatible /chat/completions endpoint and its key
+ * AI (binding)                  workers-ai: the Workers AI binding
+ *
+ * Every provider is asked for JSON matching a schema, and generateJson checks
+ * the reply against it (asking once more if it doesn't match). The mock
+ * provider needs no network: it answers from the request itself, so the
+ * worker and the storefront client can be tested offline.
+ */
+
+export const PROVIDERS = ['openrouter', 'openai', 'workers-ai', 'mock'];
+
+export const DEFAULT_MODELS = {
+  openrouter: 'openai/gpt-4o-mini',
+  openai: 'gpt-4o-mini',
+  'workers-ai': '@cf/meta/llama-3.1-8b-instruct',
+  mock: 'mock'
+};
+
+// Whether the default model can look at images
+export const DEFAULT_VISION = {
+  openrouter: true,
+  openai: true,
+  'workers-ai': false,
+  mock: false
+};
+
+const DEFAULT_TEMPERATURE = 0.9;
+const DEFAULT_MAX_TOKENS = 400;
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const OPENAI_URL = 'https://api.openai.com/v1';
+
+// OpenRouter shows these on its dashboard
+const OPENROUTER_HEADERS = {
+  'HTTP-Referer': 'https://zir0yr-xe.myshopify.com',
+  'X-Title': 'Cute Cards'
+};
+
+/**
+ * The model's reply didn't match the schema, even when asked again
+ */
+export class AiOutputError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AiOutputError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a value against a JSON schema
+ *
+ * Supports the keywords the worker's schemas use: type, enum, properties,
+ * required, additionalProperties: false, items, minItems, maxItems,
+ * minLength and maxLength.
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Where value sits, for the messages
+ * @returns {string[]} Problems found, empty if the value matches
+ */
+export function validateJson(value, schema, path = '$') {
+  const errors = [];
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type) {
+    const matches = schema.type === 'integer' ? Number.isInteger(value) : schema.type === type;
+    if (!matches) return [`${path}: expected ${schema.type}, got ${type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`);
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(...validateJson(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * JSON from a model reply, allowing for code fences or chatter around it
+ */
+function parseReply(reply) {
+  if (reply && typeof reply === 'object') return reply;
+
+  const text = String(reply || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new SyntaxError('No JSON object in reply');
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * POST to an OpenAI-style /chat/completions endpoint
+ */
+async function postChatCompletion(fetchImpl, url, headers, body) {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`Provider returned ${response.status}: ${errorText.slice(0, 500)}`);
+  }
+
+  const data = await response.json();
+  const choice = data.choices && data.choices[0];
+  if (!choice || !choice.message) throw new Error('Provider returned no choices');
+  return choice.message.content;
+}
+
+function chatCompletionBody({ model, temperature, maxTokens }, { messages, schema, schemaName }) {
+  return {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    response_format: { type: 'json_schema', json_schema: { name: schemaName, schema } }
+  };
+}
+
+/**
+ * Build the provider named by env.AI_PROVIDER
+ *
+ * A provider's complete() takes the chat messages, the reply schema and the
+ * request the prompt was built from (the mock answers from that), and
+ * resolves with the model's reply: JSON text, or an already parsed object.
+ * `vision` says whether user messages may include an image part.
+ *
+ * @param {Object} env - Worker env vars and bindings
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] - fetch to call remote providers with
+ * @param {(input: Object) => Object} [options.mockReply] - Mock provider's reply, built from the request the prompt came from
+ * @returns {{ name: string, model: string, vision: boolean, complete: (request: { messages: Object[], schema: Object, schemaName: string, input: Object }) => Promise<string|Object> }}
+ * @throws {Error} If the provider is unknown or missing its key or binding
+ */
+export function createProvider(env = {}, { fetch: fetchImpl = (...args) => fetch(...args), mockReply } = {}) {
+  const name = env.AI_PROVIDER || 'openrouter';
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected ${PROVIDERS.join(', ')})`);
+  }
+
+  const temperature = Number(env.AI_TEMPERATURE);
+  const maxTokens = parseInt(env.AI_MAX_TOKENS, 10);
+  const settings = {
+    model: env.AI_MODEL || DEFAULT_MODELS[name],
+    temperature: Number.isFinite(temperature) && env.AI_TEMPERATURE !== '' ? temperature : DEFAULT_TEMPERATURE,
+    maxTokens: maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS
+  };
+  const vision = env.AI_VISION === 'true' || (env.AI_VISION !== 'false' && DEFAULT_VISION[name]);
+
+  if (name === 'openrouter') {
+    if (!env.OPENROUTER_API_KEY) throw new Error('OPENROUTER_API_KEY is not set');
+    return {
+      name,
+      model: settings.model,
+      vision,
+      complete: (request) => postChatCompletion(fetchImpl, OPENROUTER_URL, {
+        ...OPENROUTER_HEADERS,
+        Authorization: `Bearer ${env.OPENROUTER_API_KEY}`
+      }, chatCompletionBody(settings, request))
+    };
+  }
+
+  if (name === 'openai') {
+    if (!env.AI_API_KEY) throw new Error('AI_API_KEY is not set');
+    const baseUrl = (env.AI_BASE_URL || OPENAI_URL).replace(/\/+$/, '');
+    return {
+      name,
+      model: settings.model,
+      vision,
+      complete: (request) => postChatCompletion(fetchImpl, `${baseUrl}/chat/completions`, {
+        Authorization: `Bearer ${env.AI_API_KEY}`
+      }, chatCompletionBody(settings, request))
+    };
+  }
+
+  if (name === 'workers-ai') {
+    if (!env.AI || typeof env.AI.run !== 'function') throw new Error('The AI binding is not configured');
+    return {
+      name,
+      model: settings.model,
+      vision,
+      complete: async ({ messages, schema }) => {
+        const result = await env.AI.run(settings.model, {
+          messages,
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens,
+          response_format: { type: 'json_schema', json_schema: schema }
+        });
+        return result && result.response !== undefined ? result.response : result;
+      }
+    };
+  }
+
+  return {
+    name,
+    model: settings.model,
+    vision,
+    complete: async ({ input }) => JSON.stringify(mockReply ? mockReply(input) : {})
+  };
+}
+
+/**
+ * Ask a provider for JSON matching a schema
+ *
+ * If the reply isn't JSON or doesn't match, the provider is asked once more
+ * with the problems listed.
+ *
+ * @param {ReturnType<typeof createProvider>} provider - From createProvider
+ * @param {Object} request
+ * @param {Object[]} request.messages - Chat messages ({ role, content })
+ * @param {Object} request.schema - JSON schema the reply must match
+ * @param {string} request.schemaName - Schema name (some providers require one)
+ * @param {Object} [request.input] - What the prompt was built from (for the mock provider)
+ * @returns {Promise<Object>} Parsed, valid reply
+ * @throws {AiOutputError} If the reply still doesn't match
+ * @throws {Error} If the provider can't be reached
+ */
+export async function generateJson(provider, { messages, schema, schemaName, input = {} }) {
+  let conversation = messages;
+  let errors = [];
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const reply = await provider.complete({ messages: conversation, schema, schemaName, input });
+
+    try {
+      const value = parseReply(reply);
+      errors = validateJson(value, schema);
+      if (errors.length === 0) return value;
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: typeof reply === 'string' ? reply : JSON.stringify(reply) },
+      { role: 'user', content: `That reply didn't match the schema (${errors.join('; ')}). Reply again with only the JSON object.` }
+    ];
+  }
+
+  throw new AiOutputError('AI reply did not match the schema', errors);
+}
@@ -0,0 +1,267 @@
+/**
+ * Card Artwork
+ * What the AI suggestions worker knows about the card's design: the
+ * product's featured image (for vision-capable models) and its tags
+ *
+ * The image is fetched here rather than by the provider (providers fetching
+ * Shopify CDN URLs got 404s). Shopify's CDN resizes it (the `width` query
+ * parameter), and it's passed on as a data URL. Only hosts in AI_IMAGE_HOSTS
+ * and AI_SHOP_DOMAINS are fetched, so the worker can't be used to fetch
+ * arbitrary URLs (nor images from any other Shopify store): redirects
+ * are followed by hand and each one is checked the same way, and an image is
+ * dropped as soon as it's known to be over MAX_ARTWORK_BYTES.
+ *
+ * Tags follow PRODUCT_TAGGING_GUIDE.md: interest:*, style:* and humour:0-3
+ * are described to the model as text.
+ */
+
+/** Width the image is resized to before the model sees it */
+export const ARTWORK_IMAGE_WIDTH = 512;
+
+/** Largest resized image passed on */
+export const MAX_ARTWORK_BYTES = 1024 * 1024;
+
+/** How long a fetched image is cached in KV (seconds) */
+export const ARTWORK_CACHE_TTL = 7 * 24 * 60 * 60;
+
+/** Hosts images may come from when AI_IMAGE_HOSTS isn't set, besides the shop's own domains */
+export const DEFAULT_IMAGE_HOSTS = ['cdn.shopify.com'];
+
+const FETCH_TIMEOUT_MS = 5000;
+
+// Redirects followed per image (each to an allowed host)
+const MAX_REDIRECTS = 3;
+
+// Images kept per isolate when there's no KV namespace
+const MEMORY_CACHE_SIZE = 20;
+
+// Most tags of each kind described to the model
+const MAX_TAG_VALUES = 5;
+
+// humour:0-3, as the tagging guide describes them
+const HUMOUR_LEVELS = [
+  'serious and heartfelt, no jokes',
+  'light-hearted but not jokey',
+  'funny, punny and witty',
+  'very funny and cheeky'
+];
+
+// Memory cache shared by every request this isolate serves
+const memoryCache = new Map();
+
+/**
+ * interest, style and humour from the product's tags
+ *
+ * Tags may be an array or Shopify's comma-separated string. Values are kept
+ * only if they look like the guide's (lowercase words and hyphens), so tags
+ * can't carry instructions into the prompt.
+ *
+ * @param {string|string[]} tags - Product tags
+ * @returns {{ interests: string[], styles: string[], humour: number|null }}
+ */
+export function readArtworkTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  const found = { interest: [], style: [], humour: [] };
+
+  list.forEach(tag => {
+    const match = typeof tag === 'string' && /^\s*(interest|style|humour):([a-z0-9][a-z0-9-]{0,29})\s*$/i.exec(tag);
+    if (!match) return;
+    const value = match[2].toLowerCase().replace(/-/g, ' ');
+    const values = found[match[1].toLowerCase()];
+    if (!values.includes(value) && values.length < MAX_TAG_VALUES) values.push(value);
+  });
+
+  const humour = found.humour.map(Number).find(level => Number.isInteger(level) && HUMOUR_LEVELS[level]);
+
+  return {
+    interests: found.interest,
+    styles: found.style,
+    humour: humour === undefined ? null : humour
+  };
+}
+
+/**
+ * Prompt lines describing the artwork from its tags
+ *
+ * @param {string|string[]} tags - Product tags
+ * @returns {string[]} Lines for the user message (empty if the card isn't tagged)
+ */
+export function describeArtwork(tags) {
+  const { interests, styles, humour } = readArtworkTags(tags);
+
+  return [
+    interests.length ? `On the card: ${interests.join(', ')}` : '',
+    styles.length ? `Card style: ${styles.join(', ')}` : '',
+    humour !== null ? `Card humour: ${HUMOUR_LEVELS[humour]}` : ''
+  ].filter(Boolean);
+}
+
+/**
+ * Image URL to fetch: absolute, https, an allowed host, resized by the CDN
+ *
+ * @param {string} imageUrl - Product featured_image (may be protocol-relative)
+ * @param {string[]} hosts - Allowed hosts (a leading dot matches subdomains)
+ * @returns {string|null} Null if the URL can't or mustn't be fetched
+ */
+export function resolveArtworkUrl(imageUrl, hosts = DEFAULT_IMAGE_HOSTS) {
+  if (typeof imageUrl !== 'string' || !imageUrl.trim()) return null;
+
+  let url;
+  try {
+    url = new URL(imageUrl.trim().replace(/^\/\//, 'https://'));
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const allowed = hosts.some(entry => (entry.startsWith('.') ? host.endsWith(entry) : host === entry));
+  if (url.protocol !== 'https:' || !allowed) return null;
+
+  url.searchParams.set('width', String(ARTWORK_IMAGE_WIDTH));
+  return url.toString();
+}
+
+/**
+ * Base64 of some bytes, without Buffer (not in Workers)
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Fetch an image, following redirects only to allowed hosts
+ * @private
+ * @throws {Error} If a redirect leaves the allowed hosts, or there are too many
+ */
+async function fetchAllowed(fetchImpl, url, hosts) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetchImpl(current, { redirect: 'manual', signal });
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    const next = resolveArtworkUrl(new URL(location, current).toString(), hosts);
+    if (!next) throw new Error(`Redirected to a host that isn't allowed (${location})`);
+    if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+    current = next;
+  }
+}
+
+/**
+ * Body of a response, giving up once it's over `limit` bytes
+ * @private
+ * @throws {Error} If the image is too large
+ */
+async function readLimited(response, limit) {
+  const declared = Number(response.headers.get('Content-Length'));
+  if (declared > limit) throw new Error(`Image too large (${declared} bytes)`);
+  if (!response.body) return new Uint8Array(await response.arrayBuffer());
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel();
+      throw new Error(`Image too large (over ${limit} bytes)`);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Image cache: a KV namespace if there is one, else a small in-memory map
+ *
+ * @param {{ get: Function, put: Function }} [kv] - KV namespace binding (AI_IMAGE_CACHE)
+ * @returns {{ get: (key: string) => Promise<string|null>, put: (key: string, value: string) => Promise<void> }}
+ */
+export function createImageCache(kv) {
+  if (kv) {
+    return {
+      get: (key) => kv.get(key),
+      put: (key, value) => kv.put(key, value, { expirationTtl: ARTWORK_CACHE_TTL })
+    };
+  }
+
+  return {
+    get: async (key) => (memoryCache.has(key) ? memoryCache.get(key) : null),
+    put: async (key, value) => {
+      memoryCache.delete(key);
+      memoryCache.set(key, value);
+      if (memoryCache.size > MEMORY_CACHE_SIZE) memoryCache.delete(memoryCache.keys().next().value);
+    }
+  };
+}
+
+/**
+ * Hosts from a comma-separated setting or a list
+ * @private
+ */
+function readHosts(hosts) {
+  if (Array.isArray(hosts)) return hosts;
+  return typeof hosts === 'string' ? hosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+/**
+ * Build the image proxy
+ *
+ * load() never throws: an image that can't be fetched is logged and the
+ * suggestions go ahead on the tags alone.
+ *
+ * @param {Object} [options]
+ * @param {typeof fetch} [options.fetch] - fetch for the image
+ * @param {ReturnType<typeof createImageCache>} [options.cache] - Where fetched images are kept
+ * @param {string|string[]} [options.hosts] - Allowed hosts (AI_IMAGE_HOSTS, comma-separated; a leading dot matches subdomains)
+ * @param {string|string[]} [options.shopDomains] - The shop's own domains, allowed as well (AI_SHOP_DOMAINS, comma-separated)
+ * @returns {{ load: (imageUrl: string) => Promise<string|null> }} Resolves with a data URL, or null
+ */
+export function createImageProxy({ fetch: fetchImpl = (...args) => fetch(...args), cache = createImageCache(), hosts, shopDomains } = {}) {
+  const configured = readHosts(hosts);
+  const allowedHosts = [...(configured.length ? configured : DEFAULT_IMAGE_HOSTS), ...readHosts(shopDomains)];
+
+  return {
+    async load(imageUrl) {
+      const url = resolveArtworkUrl(imageUrl, allowedHosts);
+      if (!url) return null;
+
+      try {
+        const cached = await cache.get(url);
+        if (cached) return cached;
+
+        const response = await fetchAllowed(fetchImpl, url, allowedHosts);
+        if (!response.ok) throw new Error(`Image returned ${response.status}`);
+
+        const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+        if (!/^image\/(jpeg|png|webp|gif)$/.test(contentType)) throw new Error(`Not an image (${contentType || 'no type'})`);
+
+        const bytes = await readLimited(response, MAX_ARTWORK_BYTES);
+
+        const dataUrl = `data:${contentType};base64,${toBase64(bytes)}`;
+        await cache.put(url, dataUrl);
+        return dataUrl;
+      } catch (error) {
+        console.error('Card artwork unavailable:', url, error.message);
+        return null;
+      }
+    }
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * Cloudflare Worker: Card Proofs
+ * Draws the inside of a personalised card from its basket line properties,
+ * using the same layout as the storefront preview and print files
+ *
+ * GET  /proof.svg?d=…   Link stored in the hidden `_proof_url` line property
+ * GET  /proof.pdf?d=…   Same proof as a PDF (font embedded)
+ * POST /proof.svg       { properties, size } → proof (also /proof.pdf)
+ *
+ * Fonts are .ttf files named after the family ("Playfair Display" →
+ * PlayfairDisplay-Regular.ttf), fetched from FONT_BASE_URL. Locally,
+ * scripts/proof-server.mjs serves the same handler from a font directory.
+ */
+
+import { cardLineFromProperties, MESSAGE_LIMIT, LEFT_MESSAGE_LIMIT } from '../src/cc-choice/core/cardLine.js';
+import { layoutCardInterior } from '../src/cc-choice/core/cardInterior.js';
+import { renderInteriorSvg, renderInteriorPdf } from '../src/cc-choice/core/interiorPrint.js';
+import { decodeProofRequest } from '../src/cc-choice/core/cardProof.js';
+import { isPrintableTypography } from '../src/cc-choice/core/typographyCatalogue.js';
+import { parseTrueType } from '../src/cc-choice/utils/truetype.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Expose-Headers': 'X-Proof-Font, X-Proof-Overflow'
+};
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Font file name for a family, e.g. "Playfair Display" → "PlayfairDisplay-Regular.ttf"
+ */
+export function fontFileName(family) {
+  return `${String(family).replace(/[^A-Za-z0-9]/g, '')}-Regular.ttf`;
+}
+
+function jsonError(message, status) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Build the request handler
+ *
+ * @param {Object} options
+ * @param {(family: string) => Promise<Uint8Array|null>} options.loadFont - Font file for a family, null if missing
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export function createProofHandler({ loadFont }) {
+  return async function handleProofRequest(request) {
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    const url = new URL(request.url);
+    const match = url.pathname.match(/^\/proof\.(svg|pdf)$/);
+    if (!match) {
+      return jsonError('Not found', 404);
+    }
+
+    let proofRequest;
+    if (request.method === 'GET') {
+      try {
+        proofRequest = decodeProofRequest(url.searchParams.get('d'));
+      } catch (error) {
+        // decodeProofRequest only throws its own fixed messages
+        return jsonError(error.message, 400);
+      }
+    } else if (request.method === 'POST') {
+      // Parser errors are never echoed back
+      const body = await request.json().catch(() => null);
+      if (!isPlainObject(body)) {
+        return jsonError('Invalid request', 400);
+      }
+      if (!isPlainObject(body.properties)) {
+        return jsonError('Missing properties', 400);
+      }
+      proofRequest = { properties: body.properties, size: String(body.size || '') };
+    } else {
+      return jsonError('Method not allowed', 405);
+    }
+
+    const line = cardLineFromProperties(proofRequest.properties);
+    if (line.insideMessage.length > MESSAGE_LIMIT) {
+      return jsonError(`Inside message is over ${MESSAGE_LIMIT} characters`, 400);
+    }
+    if (line.leftMessage.length > LEFT_MESSAGE_LIMIT) {
+      return jsonError(`Left page message is over ${LEFT_MESSAGE_LIMIT} characters`, 400);
+    }
+    if (!isPrintableTypography(line)) {
+      return jsonError('Unknown font or ink colour', 400);
+    }
+
+    try {
+      const layout = layoutCardInterior({
+        message: line.leaveBlank ? '' : line.insideMessage,
+        leftMessage: line.leaveBlank ? '' : line.leftMessage,
+        fontFamily: line.fontFamily,
+        fontSize: line.fontSize,
+        textColor: line.textColor,
+        align: line.textAlign,
+        lineSpacing: line.lineSpacing,
+        format: proofRequest.size
+      });
+
+      const fontBytes = await loadFont(line.fontFamily);
+      const type = match[1];
+      let body;
+
+      if (type === 'pdf') {
+        body = renderInteriorPdf(layout, { font: fontBytes ? parseTrueType(fontBytes) : null });
+      } else {
+        const fontUrls = fontBytes ? { [line.fontFamily]: `data:font/ttf;base64,${toBase64(fontBytes)}` } : {};
+        body = renderInteriorSvg(layout, { fontUrls, guides: true });
+      }
+
+      return new Response(body, {
+        headers: {
+          ...corsHeaders,
+          'Content-Type': CONTENT_TYPES[type],
+          // GET links carry the whole proof in the URL, so the response only changes once a missing font is uploaded
+          'Cache-Control': request.method !== 'GET' ? 'no-store' : fontBytes ? 'public, max-age=31536000, immutable' : 'public, max-age=300',
+          'X-Proof-Font': fontBytes ? 'embedded' : 'missing',
+          'X-Proof-Overflow': String(layout.overflow || layout.leftPage.overflow)
+        }
+      });
+    } catch (error) {
+      console.error('Proof error:', error);
+      return jsonError('Could not render proof', 500);
+    }
+  };
+}
+
+// Font files fetched from FONT_BASE_URL, kept for the life of the isolate
+const fontCache = new Map();
+
+export default {
+  async fetch(request, env) {
+    const handler = createProofHandler({
+      loadFont: async (family) => {
+        if (!env.FONT_BASE_URL) return null;
+
+        const file = fontFileName(family);
+        if (!fontCache.has(file)) {
+          const response = await fetch(`${env.FONT_BASE_URL.replace(/\/+$/, '')}/${file}`);
+          if (!response.ok) return null;
+          fontCache.set(file, new Uint8Array(await response.arrayBuffer()));
+        }
+        return fontCache.get(file);
+      }
+    });
+
+    return handler(request);
+  }
+};
@@ -0,0 +1,240 @@
+/**
+ * Cloudflare Worker: Photo Uploads
+ * Stores the cropped, compressed photos customers add to photo cards
+ *
+ * POST /photos             JPEG body → 201 { ref, url }   (ref goes in the hidden `_photo_ref` line property)
+ * GET  /photos/<ref>       The stored photo, for fulfilment and the basket thumbnail
+ * POST /photos/<ref>/keep  Mark a photo as ordered (Authorization: Bearer PHOTO_KEEP_TOKEN)
+ *
+ * Refs look like "<YYYY-MM-DD>/<uuid>.jpg". Uploads are stored in the PHOTOS
+ * R2 bucket under "pending/<ref>", which a lifecycle rule empties after a
+ * few weeks; keeping a photo copies it to "ordered/<ref>" (see workers/README.md).
+ *
+ * Uploads use the AI worker's guard (ai-guard.js) with the PHOTO_* settings:
+ * only pages on PHOTO_ALLOWED_ORIGINS may upload, PHOTO_IP_LIMIT times per
+ * PHOTO_RATE_WINDOW seconds. Photos themselves are served to anyone.
+ *
+ * Locally, scripts/photo-server.mjs serves the same handler from a directory.
+ */
+
+import { createAiGuard } from './ai-guard.js';
+
+// Durable Object class for the PHOTO_USAGE binding (upload counts)
+export { AiUsageCounter } from './ai-guard.js';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// The storefront compresses to 5MB; leave room for browsers whose JPEG encoder is less efficient
+export const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+
+const REF_PATTERN = /^\d{4}-\d{2}-\d{2}\/[0-9a-f-]{36}\.jpg$/;
+
+// Bucket folders: uploads until an order keeps them, then ordered photos
+export const PENDING_PREFIX = 'pending/';
+export const ORDERED_PREFIX = 'ordered/';
+
+function jsonResponse(body, status = 200, headers = corsHeaders) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' }
+  });
+}
+
+function jsonError(message, status, headers) {
+  return jsonResponse({ error: message }, status, headers);
+}
+
+function isJpeg(bytes) {
+  return bytes.length > 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+}
+
+/**
+ * Whether two strings match, in time that doesn't depend on where they
+ * differ: both are hashed first so the compared lengths are equal too.
+ * Workers have crypto.subtle.timingSafeEqual; Node (scripts/photo-server.mjs)
+ * doesn't.
+ */
+async function tokensMatch(given, expected) {
+  const encoder = new TextEncoder();
+  const [a, b] = await Promise.all([given, expected].map(async value =>
+    new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(value)))
+  ));
+  if (typeof crypto.subtle.timingSafeEqual === 'function') {
+    return crypto.subtle.timingSafeEqual(a, b);
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Ref from a URL path segment, or null if it isn't one
+ */
+function readRef(encoded) {
+  try {
+    const ref = decodeURIComponent(encoded);
+    return REF_PATTERN.test(ref) ? ref : null;
+  } catch (error) {
+    return null; // Malformed escape, e.g. %E0%A4%A
+  }
+}
+
+/**
+ * Build the request handler
+ *
+ * @param {Object} options
+ * @param {{ put: (key: string, bytes: Uint8Array, contentType: string) => Promise<void>, get: (key: string) => Promise<{ bytes: Uint8Array, contentType: string }|null> }} options.store - Photo storage, by bucket key
+ * @param {ReturnType<typeof createAiGuard>|null} [options.guard] - Upload origins and rate limits (null: none, for tests)
+ * @param {string} [options.keepToken] - Bearer token for /keep (empty: keeping is turned off)
+ * @param {() => string} [options.createId] - New photo id (default crypto.randomUUID)
+ * @param {() => Date} [options.now] - Current time, for the date folder
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export function createPhotoHandler({ store, guard = null, keepToken = '', createId = () => crypto.randomUUID(), now = () => new Date() }) {
+  async function handleUpload(request, url) {
+    const origin = request.headers.get('Origin');
+
+    // No CORS headers either, so the browser doesn't let the page read it
+    if (guard && !guard.allowsOrigin(origin)) {
+      return jsonError('Origin not allowed', 403, {});
+    }
+
+    const headers = guard ? guard.corsHeaders(origin) : corsHeaders;
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers });
+    }
+    if (request.method !== 'POST') {
+      return jsonError('Method not allowed', 405, headers);
+    }
+
+    if (guard) {
+      const { allowed, retryAfter } = await guard.checkRate(request);
+      if (!allowed) {
+        return jsonResponse({ error: 'Too many requests', retryAfter }, 429, { ...headers, 'Retry-After': String(retryAfter) });
+      }
+    }
+
+    const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim();
+    if (contentType !== 'image/jpeg') {
+      return jsonError('Photos must be uploaded as JPEG', 415, headers);
+    }
+
+    const declaredLength = Number(request.headers.get('Content-Length'));
+    if (declaredLength > MAX_PHOTO_BYTES) {
+      return jsonError('Photo is too large', 413, headers);
+    }
+
+    const bytes = new Uint8Array(await request.arrayBuffer());
+    if (bytes.length > MAX_PHOTO_BYTES) {
+      return jsonError('Photo is too large', 413, headers);
+    }
+    if (!isJpeg(bytes)) {
+      return jsonError('Not a JPEG image', 400, headers);
+    }
+
+    const ref = `${now().toISOString().slice(0, 10)}/${createId()}.jpg`;
+    try {
+      await store.put(`${PENDING_PREFIX}${ref}`, bytes, 'image/jpeg');
+    } catch (error) {
+      console.error('Photo store error:', error);
+      return jsonError('Could not store photo', 500, headers);
+    }
+
+    return jsonResponse({ ref, url: `${url.origin}/photos/${ref}` }, 201, headers);
+  }
+
+  // Copy an ordered photo out of pending/ so the lifecycle rule leaves it alone
+  async function keepPhoto(request, ref) {
+    if (request.method !== 'POST') {
+      return jsonError('Method not allowed', 405);
+    }
+    if (!keepToken || !(await tokensMatch(request.headers.get('Authorization') || '', `Bearer ${keepToken}`))) {
+      return jsonError('Unauthorized', 401);
+    }
+    if (await store.get(`${ORDERED_PREFIX}${ref}`)) {
+      return jsonResponse({ ref });
+    }
+
+    const photo = await store.get(`${PENDING_PREFIX}${ref}`);
+    if (!photo) {
+      return jsonError('Not found', 404);
+    }
+
+    try {
+      await store.put(`${ORDERED_PREFIX}${ref}`, photo.bytes, photo.contentType);
+    } catch (error) {
+      console.error('Photo store error:', error);
+      return jsonError('Could not keep photo', 500);
+    }
+    return jsonResponse({ ref });
+  }
+
+  return async function handlePhotoRequest(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/photos') {
+      return handleUpload(request, url);
+    }
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
+
+    const keep = url.pathname.match(/^\/photos\/(.+)\/keep$/);
+    if (keep) {
+      const ref = readRef(keep[1]);
+      return ref ? keepPhoto(request, ref) : jsonError('Not found', 404);
+    }
+
+    const match = url.pathname.match(/^\/photos\/(.+)$/);
+    if (!match) {
+      return jsonError('Not found', 404);
+    }
+    if (request.method !== 'GET') {
+      return jsonError('Method not allowed', 405);
+    }
+
+    const ref = readRef(match[1]);
+    const photo = ref
+      ? (await store.get(`${ORDERED_PREFIX}${ref}`)) || (await store.get(`${PENDING_PREFIX}${ref}`))
+      : null;
+    if (!photo) {
+      return jsonError('Not found', 404);
+    }
+
+    return new Response(photo.bytes, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': photo.contentType,
+        // A ref is never reused, so the photo behind it never changes
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }
+    });
+  };
+}
+
+export default {
+  async fetch(request, env) {
+    const handler = createPhotoHandler({
+      guard: createAiGuard(env, { prefix: 'PHOTO' }),
+      keepToken: env.PHOTO_KEEP_TOKEN,
+      store: {
+        put: (key, bytes, contentType) => env.PHOTOS.put(key, bytes, { httpMetadata: { contentType } }),
+        get: async (key) => {
+          const object = await env.PHOTOS.get(key);
+          if (!object) return null;
+          return {
+            bytes: new Uint8Array(await object.arrayBuffer()),
+            contentType: (object.httpMetadata && object.httpMetadata.contentType) || 'image/jpeg'
+          };
+        }
+      }
+    });
+
+    return handler(request);
+  }
+};